@@ -11,6 +11,7 @@ import ICPPage from './pages/ICPPage';
 import SettingsPage from './pages/SettingsPage';
 import WorkflowsPage from './pages/WorkflowsPage';
 import PerformancePage from './pages/PerformancePage';
+import ReviewQueuePage from './pages/ReviewQueuePage';
 import ErrorBoundary from './components/ErrorBoundary';
 import useStore from './store/useStore';
 
@@ -155,6 +156,12 @@ function App() {
             <PerformancePage />
           </ErrorBoundary>
         );
+      case 'review':
+        return (
+          <ErrorBoundary fallbackMessage="Review queue encountered an error. Please try again.">
+            <ReviewQueuePage />
+          </ErrorBoundary>
+        );
       default:
         return (
           <ErrorBoundary fallbackMessage="Page encountered an error. Please try again.">
@@ -12,6 +12,7 @@ import {
   ChevronLeft,
   GitBranch,
   BarChart2,
+  Inbox,
 } from 'lucide-react';
 import useStore from '../store/useStore';
 
@@ -67,6 +68,12 @@ function Sidebar() {
       description: 'B-MAD automation workflows',
       badge: 'NEW',
     },
+    {
+      id: 'review',
+      label: 'Reply Review',
+      icon: Inbox,
+      description: 'Approve AI-drafted replies',
+    },
     {
       id: 'performance',
       label: 'Performance',
@@ -0,0 +1,435 @@
+import React, { useEffect, useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Inbox,
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  RefreshCw,
+  Loader2,
+  Send,
+  Edit3,
+  Mail,
+  Linkedin,
+  BookOpen,
+} from 'lucide-react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+
+/**
+ * ReviewQueuePage - Human review of AI-drafted replies
+ * Reps read the incoming message, edit the draft, then approve (send) or reject it
+ */
+function ReviewQueuePage() {
+  const [loading, setLoading] = useState(true);
+  const [items, setItems] = useState([]);
+  const [stats, setStats] = useState({ pending: 0, sent: 0, failed: 0, rejected: 0 });
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [selectedId, setSelectedId] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  // Track mounted state to prevent memory leaks
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  // Reload when filter changes, and poll every 15 seconds for new drafts
+  useEffect(() => {
+    loadQueue();
+
+    const interval = setInterval(() => {
+      if (isMountedRef.current) {
+        loadQueue(true); // true = background refresh
+      }
+    }, 15000);
+
+    return () => clearInterval(interval);
+  }, [statusFilter]);
+
+  const loadQueue = async (isBackgroundRefresh = false) => {
+    if (!isMountedRef.current) return;
+
+    if (isBackgroundRefresh) {
+      setIsRefreshing(true);
+    } else {
+      setLoading(true);
+    }
+
+    try {
+      const result = await api.getReviewQueue({ status: statusFilter, limit: 100 });
+      if (!isMountedRef.current) return;
+
+      const queueItems = Array.isArray(result?.data) ? result.data : [];
+      setItems(queueItems);
+      if (result?.stats) {
+        setStats(result.stats);
+      }
+
+      // Keep the current selection if it is still in the list
+      setSelectedId((current) =>
+        queueItems.some((item) => item.id === current) ? current : queueItems[0]?.id ?? null
+      );
+    } catch (error) {
+      if (process.env.NODE_ENV === 'development') {
+        console.error('Failed to load review queue:', error);
+      }
+      if (!isBackgroundRefresh) {
+        toast.error(error.message || 'Failed to load review queue');
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setLoading(false);
+        setIsRefreshing(false);
+      }
+    }
+  };
+
+  const handleApprove = async (item, edits) => {
+    try {
+      await api.approveReview(item.id, edits);
+      toast.success(`Reply sent to ${item.lead_name || item.lead_email}`);
+      await loadQueue(true);
+    } catch (error) {
+      toast.error(error.message || 'Failed to send reply');
+      await loadQueue(true);
+    }
+  };
+
+  const handleSaveDraft = async (item, edits) => {
+    try {
+      await api.updateReviewDraft(item.id, edits);
+      toast.success('Draft saved');
+      await loadQueue(true);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save draft');
+    }
+  };
+
+  const handleReject = async (item, reason) => {
+    try {
+      await api.rejectReview(item.id, reason);
+      toast.success('Draft rejected');
+      await loadQueue(true);
+    } catch (error) {
+      toast.error(error.message || 'Failed to reject draft');
+    }
+  };
+
+  const selectedItem = items.find((item) => item.id === selectedId) || null;
+
+  if (loading) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <div className="text-center">
+          <div className="spinner w-12 h-12 mx-auto mb-4"></div>
+          <p className="text-slate-400">Loading review queue...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div data-testid="review-queue-page" className="h-full overflow-y-auto custom-scrollbar bg-slate-900 p-8">
+      <div className="max-w-7xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-white mb-2">Reply Review</h1>
+            <p className="text-slate-400">
+              Approve, edit or reject AI-drafted replies before they reach your leads
+            </p>
+          </div>
+          <button
+            onClick={() => loadQueue()}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <RefreshCw size={16} className={isRefreshing ? 'animate-spin' : ''} />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {/* Status Filter */}
+        <div className="flex items-center space-x-2" role="group" aria-label="Filter drafts by status">
+          {['pending', 'failed', 'sent', 'rejected', 'all'].map((status) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              aria-pressed={statusFilter === status}
+              aria-label={`Filter by ${status} status`}
+              className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                statusFilter === status
+                  ? 'bg-rtgs-blue text-white'
+                  : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              {status.charAt(0).toUpperCase() + status.slice(1)}
+              {stats[status] > 0 && <span className="ml-1 text-xs opacity-75">({stats[status]})</span>}
+            </button>
+          ))}
+        </div>
+
+        {items.length > 0 ? (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Queue list */}
+            <div className="space-y-2">
+              {items.map((item) => (
+                <ReviewListItem
+                  key={item.id}
+                  item={item}
+                  isSelected={item.id === selectedId}
+                  onSelect={() => setSelectedId(item.id)}
+                />
+              ))}
+            </div>
+
+            {/* Draft editor */}
+            <div className="lg:col-span-2">
+              {selectedItem && (
+                <ReviewDetail
+                  key={selectedItem.id}
+                  item={selectedItem}
+                  onApprove={handleApprove}
+                  onSaveDraft={handleSaveDraft}
+                  onReject={handleReject}
+                />
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="card text-center py-12">
+            <Inbox size={48} className="mx-auto mb-4 text-slate-500" />
+            <p className="text-slate-400">No {statusFilter === 'all' ? '' : statusFilter} drafts</p>
+            <p className="text-sm text-slate-500 mt-2">
+              Drafts appear here when DYNAMIC_AI_REQUIRE_REVIEW is enabled on the API server
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+  sending: 'bg-blue-500/20 text-blue-400 border-blue-500/30',
+  sent: 'bg-green-500/20 text-green-400 border-green-500/30',
+  failed: 'bg-red-500/20 text-red-400 border-red-500/30',
+  rejected: 'bg-slate-500/20 text-slate-400 border-slate-500/30',
+};
+
+const SENTIMENT_STYLES = {
+  positive: 'text-green-400',
+  neutral: 'text-slate-400',
+  negative: 'text-red-400',
+  objection: 'text-amber-400',
+};
+
+/**
+ * Review List Item
+ */
+function ReviewListItem({ item, isSelected, onSelect }) {
+  const ChannelIcon = item.channel === 'linkedin' ? Linkedin : Mail;
+
+  return (
+    <button
+      onClick={onSelect}
+      aria-current={isSelected ? 'true' : undefined}
+      className={`w-full text-left card-hover transition-all ${isSelected ? 'ring-2 ring-rtgs-blue' : ''}`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center space-x-2 min-w-0">
+          <ChannelIcon size={14} className="text-slate-400 flex-shrink-0" />
+          <span className="font-semibold text-white truncate">{item.lead_name || item.lead_email}</span>
+        </div>
+        <span className={`px-2 py-0.5 text-xs rounded-full border ${STATUS_STYLES[item.status] || STATUS_STYLES.rejected}`}>
+          {item.status}
+        </span>
+      </div>
+      {item.company_name && <div className="text-xs text-slate-500">{item.company_name}</div>}
+      <div className="flex items-center space-x-3 text-xs mt-2">
+        <span className="text-slate-400">{item.intent?.replace(/_/g, ' ') || 'unknown'}</span>
+        <span className={SENTIMENT_STYLES[item.sentiment] || 'text-slate-400'}>{item.sentiment}</span>
+        <span className="text-slate-500 ml-auto">{new Date(item.created_at).toLocaleString()}</span>
+      </div>
+    </button>
+  );
+}
+
+ReviewListItem.propTypes = {
+  item: PropTypes.object.isRequired,
+  isSelected: PropTypes.bool.isRequired,
+  onSelect: PropTypes.func.isRequired,
+};
+
+/**
+ * Review Detail - incoming message, editable draft, knowledge used, actions
+ */
+function ReviewDetail({ item, onApprove, onSaveDraft, onReject }) {
+  const [subject, setSubject] = useState(item.draft_subject || '');
+  const [content, setContent] = useState(item.draft_content || '');
+  const [rejectReason, setRejectReason] = useState('');
+  const [busy, setBusy] = useState(null); // 'approve' | 'save' | 'reject'
+
+  const editable = item.status === 'pending' || item.status === 'failed';
+  const isDirty = content !== (item.draft_content || '') || subject !== (item.draft_subject || '');
+  const usedKnowledge = item.knowledge_context?.usedKnowledge || {};
+
+  const buildEdits = () => {
+    const edits = {};
+    if (content !== item.draft_content) edits.content = content;
+    if (subject !== (item.draft_subject || '')) edits.subject = subject;
+    return edits;
+  };
+
+  const run = async (action, fn) => {
+    setBusy(action);
+    try {
+      await fn();
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="card space-y-5">
+      {/* Lead */}
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-bold text-white">{item.lead_name || item.lead_email}</h3>
+          <p className="text-sm text-slate-400">
+            {item.lead_email}
+            {item.company_name && ` · ${item.company_name}`}
+          </p>
+        </div>
+        <div className="text-right text-xs text-slate-500">
+          <div>Intent: <span className="text-slate-300">{item.intent?.replace(/_/g, ' ') || 'unknown'}</span></div>
+          <div>Sentiment: <span className={SENTIMENT_STYLES[item.sentiment] || 'text-slate-300'}>{item.sentiment || '-'}</span></div>
+        </div>
+      </div>
+
+      {/* Incoming message */}
+      {item.incoming_message && (
+        <div>
+          <div className="text-sm text-slate-400 mb-1">Their message</div>
+          <div className="bg-slate-800 rounded-lg p-3 text-sm text-slate-300 whitespace-pre-wrap">
+            {item.incoming_message}
+          </div>
+        </div>
+      )}
+
+      {/* Warnings / send errors */}
+      {item.validation_warnings?.length > 0 && (
+        <div className="flex items-start space-x-2 text-sm text-amber-400">
+          <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <div>{item.validation_warnings.join(' · ')}</div>
+        </div>
+      )}
+      {item.status === 'failed' && item.send_result && (
+        <div className="flex items-start space-x-2 text-sm text-red-400">
+          <XCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <div>Send failed: {item.send_result.error || item.send_result.reason}</div>
+        </div>
+      )}
+
+      {/* Draft */}
+      <div className="space-y-3">
+        <div className="flex items-center space-x-2 text-sm text-slate-400">
+          <Edit3 size={14} />
+          <span>AI draft{editable ? ' (editable)' : ''}</span>
+        </div>
+        {item.channel !== 'linkedin' && (
+          <input
+            type="text"
+            className="input-field w-full"
+            placeholder="Subject"
+            aria-label="Reply subject"
+            value={subject}
+            disabled={!editable}
+            onChange={(e) => setSubject(e.target.value)}
+          />
+        )}
+        <textarea
+          className="input-field w-full min-h-[220px] font-sans"
+          aria-label="Reply body"
+          value={content}
+          disabled={!editable}
+          onChange={(e) => setContent(e.target.value)}
+        />
+      </div>
+
+      {/* Knowledge used */}
+      {Object.keys(usedKnowledge).length > 0 && (
+        <div className="flex items-start space-x-2 text-xs text-slate-500">
+          <BookOpen size={14} className="mt-0.5 flex-shrink-0" />
+          <div>
+            Knowledge used:{' '}
+            {Object.entries(usedKnowledge)
+              .map(([type, entries]) => `${type} (${entries.map((e) => e.key).join(', ')})`)
+              .join(' · ')}
+          </div>
+        </div>
+      )}
+
+      {/* Actions */}
+      {editable ? (
+        <div className="flex flex-wrap items-center gap-3 pt-2 border-t border-slate-700">
+          <button
+            onClick={() => run('approve', () => onApprove(item, buildEdits()))}
+            disabled={!!busy || !content.trim()}
+            className="btn-primary flex items-center space-x-2"
+          >
+            {busy === 'approve' ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />}
+            <span>{item.status === 'failed' ? 'Retry Send' : 'Approve & Send'}</span>
+          </button>
+          <button
+            onClick={() => run('save', () => onSaveDraft(item, buildEdits()))}
+            disabled={!!busy || !isDirty || !content.trim()}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            {busy === 'save' ? <Loader2 size={16} className="animate-spin" /> : <CheckCircle size={16} />}
+            <span>Save Draft</span>
+          </button>
+          <div className="flex items-center space-x-2 ml-auto">
+            <input
+              type="text"
+              className="input-field w-56"
+              placeholder="Reason (optional)"
+              aria-label="Rejection reason"
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+            />
+            <button
+              onClick={() => run('reject', () => onReject(item, rejectReason))}
+              disabled={!!busy}
+              className="text-red-400 hover:text-red-300 text-sm flex items-center space-x-1"
+            >
+              {busy === 'reject' ? <Loader2 size={14} className="animate-spin" /> : <XCircle size={14} />}
+              <span>Reject</span>
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="pt-2 border-t border-slate-700 text-sm text-slate-500">
+          {item.status === 'sent' && `Sent ${item.sent_at ? new Date(item.sent_at).toLocaleString() : ''}`}
+          {item.status === 'rejected' && `Rejected${item.review_notes ? `: ${item.review_notes}` : ''}`}
+          {item.status === 'sending' && 'Sending...'}
+          {item.reviewed_by && ` · reviewed by ${item.reviewed_by}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+ReviewDetail.propTypes = {
+  item: PropTypes.object.isRequired,
+  onApprove: PropTypes.func.isRequired,
+  onSaveDraft: PropTypes.func.isRequired,
+  onReject: PropTypes.func.isRequired,
+};
+
+export default ReviewQueuePage;
@@ -636,6 +636,61 @@ class APIService {
     return this.call(`/api/workflows/${jobId}`, 'DELETE', { reason });
   }
 
+  // ==========================================================================
+  // AI REPLY REVIEW QUEUE
+  // ==========================================================================
+
+  /**
+   * List AI-drafted replies awaiting review
+   * @param {Object} filters - Filter options
+   * @param {string} filters.status - pending (default) / sent / failed / rejected / all
+   * @param {string} filters.channel - email / linkedin
+   * @param {number} filters.limit - Max results
+   * @param {number} filters.offset - Results offset
+   * @returns {Promise<Object>} Review items, queue stats and pagination
+   */
+  async getReviewQueue(filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.status) params.append('status', filters.status);
+    if (filters.channel) params.append('channel', filters.channel);
+    if (filters.limit) params.append('limit', filters.limit.toString());
+    if (filters.offset) params.append('offset', filters.offset.toString());
+
+    const query = params.toString();
+    const endpoint = query ? `/api/review-queue?${query}` : '/api/review-queue';
+    return this.call(endpoint, 'GET');
+  }
+
+  /**
+   * Edit a draft reply
+   * @param {number} reviewId - Review item ID
+   * @param {Object} updates - { content, subject }
+   * @returns {Promise<Object>} Updated review item
+   */
+  async updateReviewDraft(reviewId, updates) {
+    return this.call(`/api/review-queue/${reviewId}`, 'PATCH', updates);
+  }
+
+  /**
+   * Approve and send a draft reply
+   * @param {number} reviewId - Review item ID
+   * @param {Object} edits - Optional final { content, subject }
+   * @returns {Promise<Object>} Sent review item and send result
+   */
+  async approveReview(reviewId, edits = {}) {
+    return this.call(`/api/review-queue/${reviewId}/approve`, 'POST', edits);
+  }
+
+  /**
+   * Reject a draft reply
+   * @param {number} reviewId - Review item ID
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<Object>} Rejected review item
+   */
+  async rejectReview(reviewId, reason = '') {
+    return this.call(`/api/review-queue/${reviewId}/reject`, 'POST', reason ? { reason } : {});
+  }
+
   // ==========================================================================
   // HEYGEN VIDEO (Avatar/Voice Selection, Video Generation)
   // ==========================================================================
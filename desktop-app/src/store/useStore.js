@@ -24,7 +24,7 @@ export const useStore = create(
   // APP STATE
   // ==========================================================================
   isLoading: false,
-  currentView: 'dashboard', // dashboard, chat, campaigns, contacts, import, settings, icp
+  currentView: 'dashboard', // dashboard, chat, campaigns, contacts, import, settings, icp, workflows, performance, review
   sidebarOpen: true,
 
   setCurrentView: (view) => set({ currentView: view }),
@@ -0,0 +1,13 @@
+-- Migration: Add resume bookkeeping to workflow_states
+-- Purpose: Let WorkflowEngine resume a failed run from its last completed step
+--          without repeating side effects (campaign creation, CRM upserts)
+-- Date: 2025-12-01
+
+ALTER TABLE workflow_states
+  ADD COLUMN IF NOT EXISTS completed_steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS side_effects JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS resume_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN workflow_states.completed_steps IS 'IDs of steps (and parallel groups) that completed, in completion order';
+COMMENT ON COLUMN workflow_states.side_effects IS 'Results of external side effects keyed by "<step_id>:<key>", replayed instead of repeated on resume';
+COMMENT ON COLUMN workflow_states.resume_count IS 'Number of times the run was resumed after a failure';
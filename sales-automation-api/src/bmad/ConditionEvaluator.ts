@@ -0,0 +1,358 @@
+/**
+ * Condition Evaluator for B-mad workflow `when:` clauses and reactive trigger conditions
+ *
+ * Evaluates small boolean expressions against the workflow context without
+ * eval(). Supported syntax:
+ *   - paths into context:   enrich-contacts.length, define-icp.quality_thresholds.auto_approve,
+ *                           search-companies.companies[0].domain
+ *   - literals:             42, 0.65, 'text', "text", true, false, null
+ *   - comparisons:          ==  !=  <  <=  >  >=
+ *   - logic:                &&  ||  !  ( ... )
+ *   - helpers:              len(list), ratio(list, 'field'), exists(path),
+ *                           contains(text_or_list, value)
+ *
+ * Step ids contain hyphens, so there is no arithmetic; use the helpers instead.
+ */
+
+export type Token =
+  | { type: 'number'; value: number }
+  | { type: 'string'; value: string }
+  | { type: 'ident'; value: string }
+  | { type: 'op'; value: string }
+  | { type: 'punct'; value: string };
+
+export type Node =
+  | { kind: 'literal'; value: unknown }
+  | { kind: 'path'; segments: Array<string | number> }
+  | { kind: 'call'; name: string; args: Node[] }
+  | { kind: 'not'; operand: Node }
+  | { kind: 'logical'; op: '&&' | '||'; left: Node; right: Node }
+  | { kind: 'compare'; op: string; left: Node; right: Node };
+
+const COMPARISON_OPS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const HELPERS: Record<string, (...args: any[]) => unknown> = {
+  len: (value: unknown) => {
+    if (Array.isArray(value) || typeof value === 'string') return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    return 0;
+  },
+  ratio: (list: unknown, field: unknown) => {
+    if (!Array.isArray(list) || list.length === 0 || typeof field !== 'string') return 0;
+    return list.filter(item => Boolean(item?.[field])).length / list.length;
+  },
+  exists: (value: unknown) => value !== undefined && value !== null,
+  contains: (haystack: unknown, needle: unknown) => {
+    if (typeof haystack === 'string') return typeof needle === 'string' && haystack.includes(needle);
+    if (Array.isArray(haystack)) return haystack.includes(needle);
+    return false;
+  }
+};
+
+export class ConditionSyntaxError extends Error {
+  constructor(message: string, public expression: string) {
+    super(`Invalid condition "${expression}": ${message}`);
+    this.name = 'ConditionSyntaxError';
+  }
+}
+
+export function tokenize(expression: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const ch = expression[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const twoChar = expression.slice(i, i + 2);
+    if (['==', '!=', '<=', '>=', '&&', '||'].includes(twoChar)) {
+      tokens.push({ type: 'op', value: twoChar });
+      i += 2;
+      continue;
+    }
+
+    // `|` pipes an input expression into filters (see ExpressionResolver)
+    if (['<', '>', '!', '|'].includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    if (['(', ')', '[', ']', '.', ','].includes(ch)) {
+      tokens.push({ type: 'punct', value: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = expression.indexOf(ch, i + 1);
+      if (end === -1) {
+        throw new ConditionSyntaxError('unterminated string', expression);
+      }
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(expression.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = /^[A-Za-z_$][\w$-]*/.exec(expression.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0] });
+      i += ident[0].length;
+      continue;
+    }
+
+    throw new ConditionSyntaxError(`unexpected character "${ch}"`, expression);
+  }
+
+  return tokens;
+}
+
+export class Parser {
+  private pos = 0;
+
+  constructor(private tokens: Token[], private expression: string) {}
+
+  parse(): Node {
+    const node = this.parseOr();
+    if (this.pos < this.tokens.length) {
+      throw this.error(`unexpected "${this.tokens[this.pos].value}"`);
+    }
+    return node;
+  }
+
+  private peek(): Token | undefined {
+    return this.tokens[this.pos];
+  }
+
+  private isToken(type: Token['type'], value?: string): boolean {
+    const token = this.peek();
+    return !!token && token.type === type && (value === undefined || token.value === value);
+  }
+
+  private expect(type: Token['type'], value: string) {
+    if (!this.isToken(type, value)) {
+      throw this.error(`expected "${value}"`);
+    }
+    this.pos++;
+  }
+
+  private error(message: string) {
+    return new ConditionSyntaxError(message, this.expression);
+  }
+
+  private parseOr(): Node {
+    let left = this.parseAnd();
+    while (this.isToken('op', '||')) {
+      this.pos++;
+      left = { kind: 'logical', op: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  private parseAnd(): Node {
+    let left = this.parseNot();
+    while (this.isToken('op', '&&')) {
+      this.pos++;
+      left = { kind: 'logical', op: '&&', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  private parseNot(): Node {
+    if (this.isToken('op', '!')) {
+      this.pos++;
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  private parseComparison(): Node {
+    const left = this.parsePrimary();
+    const token = this.peek();
+    if (token?.type === 'op' && COMPARISON_OPS.includes(token.value)) {
+      this.pos++;
+      return { kind: 'compare', op: token.value, left, right: this.parsePrimary() };
+    }
+    return left;
+  }
+
+  private parsePrimary(): Node {
+    const token = this.peek();
+    if (!token) {
+      throw this.error('unexpected end of expression');
+    }
+
+    if (this.isToken('punct', '(')) {
+      this.pos++;
+      const node = this.parseOr();
+      this.expect('punct', ')');
+      return node;
+    }
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.pos++;
+      return { kind: 'literal', value: token.value };
+    }
+
+    if (token.type === 'ident') {
+      this.pos++;
+
+      if (token.value === 'true') return { kind: 'literal', value: true };
+      if (token.value === 'false') return { kind: 'literal', value: false };
+      if (token.value === 'null') return { kind: 'literal', value: null };
+
+      if (this.isToken('punct', '(')) {
+        if (!HELPERS[token.value]) {
+          throw this.error(`unknown function "${token.value}"`);
+        }
+        this.pos++;
+        const args: Node[] = [];
+        if (!this.isToken('punct', ')')) {
+          args.push(this.parseOr());
+          while (this.isToken('punct', ',')) {
+            this.pos++;
+            args.push(this.parseOr());
+          }
+        }
+        this.expect('punct', ')');
+        return { kind: 'call', name: token.value, args };
+      }
+
+      return this.parsePath(token.value);
+    }
+
+    throw this.error(`unexpected "${token.value}"`);
+  }
+
+  private parsePath(head: string): Node {
+    const segments: Array<string | number> = [head];
+
+    while (this.isToken('punct', '.') || this.isToken('punct', '[')) {
+      if (this.isToken('punct', '.')) {
+        this.pos++;
+        const next = this.peek();
+        if (next?.type !== 'ident' && next?.type !== 'number') {
+          throw this.error('expected property name after "."');
+        }
+        this.pos++;
+        segments.push(String(next.value));
+      } else {
+        this.pos++;
+        const index = this.peek();
+        if (index?.type !== 'number' && index?.type !== 'string') {
+          throw this.error('expected index inside "[ ]"');
+        }
+        this.pos++;
+        segments.push(index.value);
+        this.expect('punct', ']');
+      }
+    }
+
+    return { kind: 'path', segments };
+  }
+}
+
+/**
+ * Resolve a path (already split into segments) against a context object
+ */
+export function resolvePath(context: any, segments: Array<string | number>): unknown {
+  let current = context;
+  for (const segment of segments) {
+    if (current === undefined || current === null) {
+      return undefined;
+    }
+    if (segment === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+      current = current.length;
+      continue;
+    }
+    // Never walk into the prototype chain
+    if (typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function compare(op: string, left: any, right: any): boolean {
+  switch (op) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+  }
+
+  // Relational comparisons only make sense between two numbers or two strings
+  const comparable =
+    (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) {
+    return false;
+  }
+
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+}
+
+export function evaluateNode(node: Node, context: any): unknown {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return resolvePath(context, node.segments);
+    case 'call':
+      return HELPERS[node.name](...node.args.map(arg => evaluateNode(arg, context)));
+    case 'not':
+      return !evaluateNode(node.operand, context);
+    case 'logical':
+      return node.op === '&&'
+        ? Boolean(evaluateNode(node.left, context)) && Boolean(evaluateNode(node.right, context))
+        : Boolean(evaluateNode(node.left, context)) || Boolean(evaluateNode(node.right, context));
+    case 'compare':
+      return compare(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+  }
+}
+
+export class ConditionEvaluator {
+  private cache: Map<string, Node> = new Map();
+
+  /**
+   * Parse an expression, throwing ConditionSyntaxError if it is malformed.
+   * Used to validate `when:` clauses before a workflow starts.
+   */
+  compile(expression: string): Node {
+    let ast = this.cache.get(expression);
+    if (!ast) {
+      ast = new Parser(tokenize(expression), expression).parse();
+      this.cache.set(expression, ast);
+    }
+    return ast;
+  }
+
+  /**
+   * Evaluate a `when:` clause. Booleans are returned as-is so YAML can use
+   * `when: false` to disable a step.
+   */
+  evaluate(expression: string | boolean, context: any): boolean {
+    if (typeof expression === 'boolean') {
+      return expression;
+    }
+    return Boolean(evaluateNode(this.compile(expression), context));
+  }
+}
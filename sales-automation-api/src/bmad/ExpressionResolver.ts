@@ -0,0 +1,337 @@
+/**
+ * Input expressions for B-mad workflow step inputs
+ *
+ * String input values may embed `${ ... }` expressions:
+ *   email:     "${steps.enrich-contacts[0].email}"
+ *   emails:    "${steps.enrich-contacts | filter('email_verified') | map('email')}"
+ *   owner:     "${inputs.owner_email | default('sales@example.com')}"
+ *   subject:   "Intro for ${inputs.company_name}"
+ *
+ * Roots:
+ *   - steps.<step-id>   result of an earlier step
+ *   - inputs.<name>     workflow inputs
+ *   - previous          result of the previous step that ran
+ *
+ * The part before the first `|` uses the `when:` syntax (paths, literals,
+ * comparisons, helpers). Filters: map(field), filter(field[, value]), length,
+ * default(value), first, last, join([separator]).
+ *
+ * A value that is exactly one `${...}` keeps its type (lists, objects);
+ * otherwise results are interpolated into the string. References are checked
+ * when the workflow starts, so a typo fails before any step runs.
+ */
+
+import { ConditionSyntaxError, Parser, evaluateNode, resolvePath, tokenize } from './ConditionEvaluator';
+import type { Node, Token } from './ConditionEvaluator';
+
+const EXPRESSION_PATTERN = /\$\{([^}]*)\}/g;
+
+const ROOTS = ['steps', 'inputs', 'previous'];
+
+interface FilterDefinition {
+  minArgs: number;
+  maxArgs: number;
+  apply: (value: any, ...args: any[]) => unknown;
+}
+
+const fieldOf = (item: any, field: unknown) =>
+  resolvePath(item, String(field).split('.'));
+
+const FILTERS: Record<string, FilterDefinition> = {
+  map: {
+    minArgs: 1,
+    maxArgs: 1,
+    apply: (value, field) => (Array.isArray(value) ? value.map(item => fieldOf(item, field)) : undefined)
+  },
+  filter: {
+    minArgs: 1,
+    maxArgs: 2,
+    apply: (value, field, ...expected) => {
+      if (!Array.isArray(value)) return undefined;
+      return value.filter(item => (expected.length > 0 ? fieldOf(item, field) === expected[0] : Boolean(fieldOf(item, field))));
+    }
+  },
+  length: {
+    minArgs: 0,
+    maxArgs: 0,
+    apply: value => {
+      if (Array.isArray(value) || typeof value === 'string') return value.length;
+      if (value && typeof value === 'object') return Object.keys(value).length;
+      return 0;
+    }
+  },
+  default: {
+    minArgs: 1,
+    maxArgs: 1,
+    apply: (value, fallback) => (value === undefined || value === null ? fallback : value)
+  },
+  first: {
+    minArgs: 0,
+    maxArgs: 0,
+    apply: value => (Array.isArray(value) ? value[0] : undefined)
+  },
+  last: {
+    minArgs: 0,
+    maxArgs: 0,
+    apply: value => (Array.isArray(value) ? value[value.length - 1] : undefined)
+  },
+  join: {
+    minArgs: 0,
+    maxArgs: 1,
+    apply: (value, separator = ', ') => (Array.isArray(value) ? value.join(String(separator)) : undefined)
+  }
+};
+
+export class InputExpressionError extends Error {
+  constructor(message: string, public expression: string) {
+    super(`Invalid input expression "${expression}": ${message}`);
+    this.name = 'InputExpressionError';
+  }
+}
+
+interface CompiledExpression {
+  source: string;
+  value: Node;
+  filters: Array<{ name: string; args: Node[] }>;
+}
+
+interface CompiledTemplate {
+  // Literal text and expressions in order; a lone expression has no literals
+  parts: Array<string | CompiledExpression>;
+}
+
+export interface ExpressionScope {
+  steps: Record<string, unknown>;
+  inputs: Record<string, unknown>;
+  previous: unknown;
+}
+
+/**
+ * Split tokens on a punctuation/operator value, ignoring nested ( ) and [ ]
+ */
+function splitTopLevel(tokens: Token[], separator: string): Token[][] {
+  const parts: Token[][] = [[]];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (token.type === 'punct' && (token.value === '(' || token.value === '[')) depth++;
+    if (token.type === 'punct' && (token.value === ')' || token.value === ']')) depth--;
+
+    if (depth === 0 && (token.type === 'punct' || token.type === 'op') && token.value === separator) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(token);
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * All context paths an expression reads
+ */
+function collectPaths(node: Node, paths: Array<Array<string | number>> = []): Array<Array<string | number>> {
+  switch (node.kind) {
+    case 'path':
+      paths.push(node.segments);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectPaths(arg, paths));
+      break;
+    case 'not':
+      collectPaths(node.operand, paths);
+      break;
+    case 'logical':
+    case 'compare':
+      collectPaths(node.left, paths);
+      collectPaths(node.right, paths);
+      break;
+  }
+  return paths;
+}
+
+export class ExpressionResolver {
+  private cache: Map<string, CompiledTemplate> = new Map();
+
+  /**
+   * True when a YAML input value uses `${...}` expressions
+   */
+  static isTemplate(value: unknown): value is string {
+    return typeof value === 'string' && value.includes('${');
+  }
+
+  /**
+   * Parse a template string, throwing InputExpressionError if it is malformed
+   */
+  compile(template: string): CompiledTemplate {
+    let compiled = this.cache.get(template);
+    if (compiled) {
+      return compiled;
+    }
+
+    const parts: CompiledTemplate['parts'] = [];
+    let last = 0;
+
+    for (const match of template.matchAll(EXPRESSION_PATTERN)) {
+      if (match.index! > last) {
+        parts.push(template.slice(last, match.index));
+      }
+      parts.push(this.compileExpression(match[1]));
+      last = match.index! + match[0].length;
+    }
+
+    const rest = template.slice(last);
+    if (rest.includes('${')) {
+      throw new InputExpressionError('unterminated "${"', template);
+    }
+    if (rest) {
+      parts.push(rest);
+    }
+
+    compiled = { parts };
+    this.cache.set(template, compiled);
+    return compiled;
+  }
+
+  /**
+   * Check a template's references against the steps that run before it
+   *
+   * @param availableSteps - Ids of steps (and parallel groups) declared earlier
+   * @param hasPrevious - Whether `previous` can refer to anything
+   */
+  validate(template: string, availableSteps: Set<string>, hasPrevious: boolean) {
+    for (const part of this.compile(template).parts) {
+      if (typeof part === 'string') continue;
+
+      const nodes = [part.value, ...part.filters.flatMap(filter => filter.args)];
+      for (const segments of nodes.flatMap(node => collectPaths(node))) {
+        const [root, stepId] = segments;
+
+        if (!ROOTS.includes(String(root))) {
+          throw new InputExpressionError(
+            `unknown reference "${root}"; use steps.<step-id>, inputs.<name> or previous`,
+            part.source
+          );
+        }
+
+        if (root === 'steps') {
+          if (stepId === undefined) {
+            throw new InputExpressionError('"steps" needs a step id, e.g. steps.define-icp', part.source);
+          }
+          if (!availableSteps.has(String(stepId))) {
+            const known = [...availableSteps];
+            throw new InputExpressionError(
+              `step "${stepId}" does not run before this step` +
+                (known.length > 0 ? ` (available: ${known.join(', ')})` : ''),
+              part.source
+            );
+          }
+        }
+
+        if (root === 'previous' && !hasPrevious) {
+          throw new InputExpressionError('"previous" used in the first step', part.source);
+        }
+      }
+    }
+  }
+
+  /**
+   * Evaluate a template against the run's step results and inputs
+   */
+  resolve(template: string, scope: ExpressionScope): unknown {
+    const { parts } = this.compile(template);
+
+    if (parts.length === 1 && typeof parts[0] !== 'string') {
+      return this.evaluate(parts[0], scope);
+    }
+
+    return parts
+      .map(part => {
+        if (typeof part === 'string') return part;
+        const value = this.evaluate(part, scope);
+        if (value === undefined || value === null) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      })
+      .join('');
+  }
+
+  private evaluate(expression: CompiledExpression, scope: ExpressionScope): unknown {
+    let value = evaluateNode(expression.value, scope);
+
+    for (const filter of expression.filters) {
+      const args = filter.args.map(arg => evaluateNode(arg, scope));
+      value = FILTERS[filter.name].apply(value, ...args);
+    }
+
+    return value;
+  }
+
+  private compileExpression(source: string): CompiledExpression {
+    const expression = source.trim();
+    if (!expression) {
+      throw new InputExpressionError('empty expression', '${}');
+    }
+
+    try {
+      const [valueTokens, ...filterTokens] = splitTopLevel(tokenize(expression), '|');
+
+      return {
+        source: expression,
+        value: this.parseTokens(valueTokens, expression),
+        filters: filterTokens.map(tokens => this.parseFilter(tokens, expression))
+      };
+    } catch (error) {
+      if (error instanceof ConditionSyntaxError) {
+        throw new InputExpressionError(error.message.replace(/^Invalid condition "[^"]*": /, ''), expression);
+      }
+      throw error;
+    }
+  }
+
+  private parseTokens(tokens: Token[], expression: string): Node {
+    if (tokens.length === 0) {
+      throw new InputExpressionError('missing value before "|"', expression);
+    }
+    return new Parser(tokens, expression).parse();
+  }
+
+  private parseFilter(tokens: Token[], expression: string): { name: string; args: Node[] } {
+    const [head, ...rest] = tokens;
+    if (head?.type !== 'ident') {
+      throw new InputExpressionError('expected a filter name after "|"', expression);
+    }
+
+    const definition = FILTERS[head.value];
+    if (!definition) {
+      throw new InputExpressionError(
+        `unknown filter "${head.value}" (available: ${Object.keys(FILTERS).join(', ')})`,
+        expression
+      );
+    }
+
+    let args: Node[] = [];
+    if (rest.length > 0) {
+      const open = rest[0];
+      const close = rest[rest.length - 1];
+      if (open.value !== '(' || close.value !== ')') {
+        throw new InputExpressionError(`malformed arguments for filter "${head.value}"`, expression);
+      }
+      const inner = rest.slice(1, -1);
+      args = inner.length === 0
+        ? []
+        : splitTopLevel(inner, ',').map(argTokens => this.parseTokens(argTokens, expression));
+    }
+
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      const expected = definition.minArgs === definition.maxArgs
+        ? `${definition.minArgs}`
+        : `${definition.minArgs}-${definition.maxArgs}`;
+      throw new InputExpressionError(
+        `filter "${head.value}" takes ${expected} argument(s), got ${args.length}`,
+        expression
+      );
+    }
+
+    return { name: head.value, args };
+  }
+}
@@ -1,3 +1,4 @@
+import { Op } from 'sequelize';
 import { ExploriumClient } from '../clients/explorium-client.js';
 import { LemlistClient } from '../clients/lemlist-client.js';
 import { HubSpotClient } from '../clients/hubspot-client.js';
@@ -5,6 +6,10 @@ import { createLogger } from '../utils/logger.js';
 import { providerConfig } from '../config/provider-config.js';
 import { AnthropicProvider } from '../ai/AnthropicProvider.js';
 import { GeminiProvider } from '../ai/GeminiProvider.js';
+import { ConversationalResponder } from '../services/ConversationalResponder.js';
+import { KnowledgeService } from '../services/KnowledgeService.js';
+import { suppressionList } from '../services/SuppressionList.js';
+import { replaceTemplateVariables } from '../providers/utils/variable-replacer.js';
 import {
   CreateICPProfileInputSchema,
   ExecuteCompanySearchInputSchema,
@@ -18,8 +23,316 @@ import {
   SendOutreachEmailInputSchema,
   ScheduleFollowUpInputSchema
 } from './validation-schemas.js';
+import type { ToolContext } from './types';
 
-type ToolFunction = (inputs: any) => Promise<any>;
+type ToolFunction = (inputs: any, context?: ToolContext) => Promise<any>;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pause length when an out-of-office reply has no recognizable return date
+const DEFAULT_OOO_PAUSE_DAYS = 7;
+
+// ConversationalResponder intent -> urgency score (0-100)
+const INTENT_URGENCY: Record<string, number> = {
+  meeting_request: 90,
+  interested: 75,
+  question: 50,
+  objection: 40,
+  follow_up: 30,
+  out_of_office: 10,
+  not_interested: 0
+};
+
+const EXIT_MESSAGE_TEMPLATE = `Thanks for letting me know, {{first_name}}. I appreciate your time.
+
+If anything changes, feel free to reach out anytime.
+
+All the best!`;
+
+const RE_ENGAGEMENT_TEMPLATE = `Welcome back, {{first_name}}! Hope you had a great time away.
+
+Quick refresh on what we discussed before you were away...`;
+
+const DIRECT_ASK_TEMPLATE = `{{first_name}} - I noticed you've checked this out a few times.
+
+Worth a quick 10-min call to see if there's a fit?
+
+If timing's off, just let me know and I'll circle back later.`;
+
+const COMPETITOR_RESPONSE_TEMPLATE = `{{competitor}} is a solid choice - {{acknowledge}}
+
+The main reason customers switch to us? {{key_differentiator}}
+
+If you're curious, happy to share a side-by-side comparison. No pressure either way!`;
+
+const PRIORITY_EMAIL_TEMPLATE = `Hi {{first_name}},
+
+Great to hear this resonates! I think a 15-min call could be really valuable.
+
+What does your calendar look like this week? Happy to work around you.
+
+Looking forward to it!`;
+
+// Reply per objection category (objection-handling-flow, execute-response)
+const OBJECTION_RESPONSE_TEMPLATES: Record<string, string> = {
+  price: `Totally fair, {{first_name}} - budget matters.
+
+Most teams we work with see the cost come back within a few months, and we can start smaller than you might expect.
+
+Would a quick ROI breakdown for your volumes help?`,
+  timing: `Understood, {{first_name}} - no rush at all.
+
+I'll check back in a few months. In the meantime, happy to send over anything useful for when the time is right.`,
+  authority: `Makes sense, {{first_name}}.
+
+Would a short overview you can share internally help? Happy to join a call with whoever else should weigh in.`,
+  competitor: `Thanks for sharing, {{first_name}}. Plenty of teams we work with came from a similar setup.
+
+If it's useful, I can send a quick side-by-side so you can compare.`,
+  not_fit: `Thanks for letting me know, {{first_name}} - sounds like we're not the right fit right now.
+
+If someone else on your team would be a better contact, I'd appreciate a pointer. Otherwise, all the best!`
+};
+
+// Follow-up per content progression (content-engagement-flow, send-contextual-follow-up)
+const FOLLOW_UP_TEMPLATES: Record<string, { subject: string; body: string }> = {
+  send_roi_calculator: {
+    subject: 'Running the numbers',
+    body: `{{first_name}} - saw you were looking at pricing. Happy to run the numbers for your volumes so you can see what it would save.
+
+Want me to put that together?`
+  },
+  send_similar_case_study: {
+    subject: 'A few more stories like that one',
+    body: `{{first_name}} - glad the case study was useful. We have a few more from teams in a similar position.
+
+Want me to send the most relevant one over?`
+  },
+  offer_live_demo: {
+    subject: 'Want to see it live?',
+    body: `{{first_name}} - if the video sparked any questions, happy to walk you through it live in 15 minutes.
+
+Would that be useful?`
+  },
+  continue_educational_nurture: {
+    subject: 'More along those lines',
+    body: `{{first_name}} - thanks for checking that out. Happy to send a few more pieces along the same lines.
+
+Anything in particular you're looking into?`
+  }
+};
+
+// Trigger event types that are prospect replies
+const REPLY_EVENT_TYPES = ['replied', 'message_replied'];
+
+// Objection categories beyond what ConversationalResponder.detectIntent recognizes
+const AUTHORITY_OBJECTION = /need (to get )?approval|check with (my|the) (team|boss|manager|cfo|ceo)|not my (call|decision)|decision maker/i;
+const NOT_FIT_OBJECTION = /not relevant|wrong (company|person|contact)|doesn't apply|not a fit/i;
+
+// Response approach per objection category (objection-handling-flow)
+const OBJECTION_STRATEGIES: Record<string, { approach: string; content: string[] }> = {
+  price: {
+    approach: 'roi_justification',
+    content: ['ROI calculator', 'Payment plan options', 'Scaled-down version', 'Customer success stories']
+  },
+  timing: {
+    approach: 'acknowledge_and_nurture',
+    content: ['Respect timeline', 'Add to 6-month follow-up', 'Offer valuable content']
+  },
+  authority: {
+    approach: 'facilitate_internal_buy_in',
+    content: ['Shareable deck', 'Request decision-maker intro', 'Stakeholder-specific materials']
+  },
+  competitor: {
+    approach: 'differentiation',
+    content: ['Comparison guide', 'Switch stories', 'Unique value props']
+  },
+  not_fit: {
+    approach: 'graceful_exit',
+    content: ['Acknowledge mismatch', 'Request referral', 'Annual check-in']
+  }
+};
+
+// Clicked URL -> content type (content-engagement-flow)
+const CONTENT_TYPE_PATTERNS: Array<[string, RegExp]> = [
+  ['pricing', /pric|plans|cost/i],
+  ['case_study', /case-?stud|customers?\/|success-stor/i],
+  ['demo_video', /demo|video|watch|youtu|vimeo|loom/i],
+  ['blog', /blog|article|insights|news/i]
+];
+
+// Next step after content of each type (content-engagement-flow)
+const CONTENT_PROGRESSION: Record<string, { next_content: string; messaging_angle: string }> = {
+  pricing: { next_content: 'send_roi_calculator', messaging_angle: 'cost_justification' },
+  case_study: { next_content: 'send_similar_case_study', messaging_angle: 'peer_results' },
+  demo_video: { next_content: 'offer_live_demo', messaging_angle: 'see_it_live' },
+  blog: { next_content: 'continue_educational_nurture', messaging_angle: 'education' },
+  other: { next_content: 'continue_educational_nurture', messaging_angle: 'education' }
+};
+
+// Cold lead window (re-engagement guardrails: 90-365 days since last contact)
+const DEFAULT_COLD_AFTER_DAYS = 90;
+const MAX_COLD_DAYS = 365;
+
+// Re-engagement volume guardrail (max_re_engagement_per_week)
+const MAX_RE_ENGAGEMENTS_PER_RUN = 100;
+
+// Re-engagement segments, first match wins (re-engagement workflow)
+const RE_ENGAGEMENT_SEGMENTS: Array<{ segment: string; matches: (lead: any) => boolean; strategy: string; messaging: string }> = [
+  {
+    segment: 'competitor_switched',
+    matches: lead => !!lead.competitor,
+    strategy: 'New differentiation, switch stories',
+    messaging: "What's new, why customers switch"
+  },
+  {
+    segment: 'engaged_then_ghosted',
+    matches: lead => !!lead.replied,
+    strategy: 'Acknowledge gap, provide update',
+    messaging: "What's changed since we last spoke"
+  },
+  {
+    segment: 'high_engagement_never_replied',
+    matches: lead => lead.open_count > 3,
+    strategy: 'Direct ask with new angle',
+    messaging: 'Reference past engagement, new value'
+  },
+  {
+    segment: 'low_engagement_timing_issue',
+    matches: () => true,
+    strategy: 'New timing, new value prop',
+    messaging: 'Fresh approach, different angle'
+  }
+];
+
+const COLD_LEAD_TEMPLATES: Record<string, { subject: string; body: string }> = {
+  high_engagement_never_replied: {
+    subject: 'Worth another look, {{first_name}}?',
+    body: `{{first_name}} - I reached out a few months back about {{original_topic}}.
+
+You checked it out but we never connected. Totally understandable - timing wasn't right.
+
+A lot has changed since then that might be more relevant for {{company_name}}.
+
+Worth a quick 10-min call?`
+  },
+  low_engagement_timing_issue: {
+    subject: 'Revisiting {{original_topic}}',
+    body: `Hi {{first_name}},
+
+{{months_ago}} months back wasn't the right time.
+
+We've shipped quite a bit since, and a few teams like {{company_name}} have been taking a second look.
+
+Might be worth revisiting?`
+  },
+  engaged_then_ghosted: {
+    subject: 'Picking up where we left off',
+    body: `{{first_name}} - we were in touch {{months_ago}} months ago about {{original_topic}}.
+
+Quick update that might matter: we've addressed a lot of what teams asked us about back then.
+
+Curious if this changes the equation for you?`
+  },
+  competitor_switched: {
+    subject: "What's new since {{competitor}}",
+    body: `Hi {{first_name}},
+
+I know you went with {{competitor}} a while back.
+
+Quite a few customers have switched from {{competitor}} to us since then.
+
+Worth exploring what changed?`
+  }
+};
+
+// Second re-engagement touch, only for leads who opened the first but didn't reply
+const GENTLE_REMINDER_TEMPLATE = `{{first_name}} - just wanted to make sure this didn't get buried.
+
+Happy to share more, or to leave it here if the timing still isn't right.`;
+
+// Re-engagement reply routing (re-engagement workflow, handle-responses)
+const REPLY_ROUTES: Record<string, { action: string; notify?: string; check_in_days?: number; update_status?: string }> = {
+  positive_reply: { action: 'trigger_accelerate_to_demo_flow', notify: 'account_executive' },
+  timing_objection: { action: 'add_to_long_term_nurture', check_in_days: 180 },
+  not_interested: { action: 'graceful_exit', update_status: 'not_interested' },
+  competitor_happy: { action: 'annual_check_in', check_in_days: 365 },
+  context_changed: { action: 'custom_response', notify: 'conversation_strategist' }
+};
+
+/**
+ * Day count from a criterion like "> 90 days ago"
+ */
+function parseDays(value: unknown): number | null {
+  if (typeof value === 'number') return value;
+  const match = typeof value === 'string' ? value.match(/(\d+)\s*days?/i) : null;
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Threshold from a criterion like "> 70"
+ */
+function parseThreshold(value: unknown): number | null {
+  if (typeof value === 'number') return value;
+  const match = typeof value === 'string' ? value.match(/(\d+(?:\.\d+)?)/) : null;
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Cold lead summary from an enrollment and its outreach outcome
+ */
+function toColdLead(enrollment: any, now: number) {
+  const contact = enrollment.metadata || {};
+  const outcome = enrollment.outcome || {};
+  const lastContact = new Date(enrollment.updated_at || outcome.sent_at).getTime();
+
+  return {
+    enrollment_id: enrollment.id,
+    instance_id: enrollment.instance_id,
+    contact_id: enrollment.contact_id,
+    email: contact.email,
+    first_name: contact.first_name || contact.firstName || null,
+    last_name: contact.last_name || contact.lastName || null,
+    company_name: contact.company_name || contact.companyName || contact.company || null,
+    title: contact.title || null,
+    icp_score: contact.icp_score ?? null,
+    competitor: contact.competitor || null,
+    touches: enrollment.current_step,
+    days_since_contact: Math.round((now - lastContact) / DAY_MS),
+    sent_at: outcome.sent_at ? new Date(outcome.sent_at).toISOString() : null,
+    open_count: outcome.open_count || 0,
+    click_count: outcome.click_count || 0,
+    replied: !!outcome.replied,
+    subject_line: outcome.subject_line || null,
+    template_used: outcome.template_used || null
+  };
+}
+
+// Lazy-load models so the registry can be built without a database
+let models: any;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+/**
+ * Run an external side effect at most once per workflow run.
+ * Outside a workflow (no tool context) it simply runs.
+ */
+function runOnce<T>(context: ToolContext | undefined, key: string, fn: () => Promise<T>): Promise<T> {
+  return context ? context.once(key, fn) : fn();
+}
+
+/**
+ * Subject for an answer in the prospect's thread
+ */
+function replySubject(subject: string | undefined, fallback: string): string {
+  if (!subject) return fallback;
+  return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+}
 
 interface ToolMetadata {
   name: string;
@@ -36,10 +349,14 @@ export class ToolRegistry {
   private lemlist: any;
   private hubspot: any;
   private aiProvider: any;
+  private suppressionList: any;
+  private responder: any;
   private logger: any;
 
-  constructor() {
+  constructor(options: { suppressionList?: any; responder?: any } = {}) {
     this.logger = createLogger('ToolRegistry');
+    this.suppressionList = options.suppressionList || suppressionList;
+    this.responder = options.responder || null;
 
     // Get API keys from centralized config
     const exploriumApiKey = providerConfig.getProviderApiKey('explorium');
@@ -322,7 +639,7 @@ export class ToolRegistry {
     });
 
     // Phase 4: PREPARE
-    this.register('setup_lemlist_campaign', async (inputs) => {
+    this.register('setup_lemlist_campaign', async (inputs, context) => {
       this.logger.info('Setting up Lemlist campaign', {
         prospect_count: inputs.auto_approve_list?.length || 0
       });
@@ -339,21 +656,23 @@ export class ToolRegistry {
       }
 
       try {
-        // Create campaign
-        const campaignResult = await this.lemlist.createCampaign({
-          name: inputs.campaign_name || `Campaign ${new Date().toISOString()}`,
-          emails: inputs.email_sequence || [],
-          settings: {
-            trackOpens: true,
-            trackClicks: true
-          }
-        });
+        // Create campaign (once per run, so a resumed run reuses it)
+        const campaignId = await runOnce(context, 'create_campaign', async () => {
+          const campaignResult = await this.lemlist.createCampaign({
+            name: inputs.campaign_name || `Campaign ${new Date().toISOString()}`,
+            emails: inputs.email_sequence || [],
+            settings: {
+              trackOpens: true,
+              trackClicks: true
+            }
+          });
 
-        if (!campaignResult.success) {
-          throw new Error(`Failed to create campaign: ${campaignResult.error}`);
-        }
+          if (!campaignResult.success) {
+            throw new Error(`Failed to create campaign: ${campaignResult.error}`);
+          }
 
-        const campaignId = campaignResult.campaignId;
+          return campaignResult.campaignId;
+        });
 
         // Bulk enroll prospects
         if (inputs.auto_approve_list && inputs.auto_approve_list.length > 0) {
@@ -364,7 +683,7 @@ export class ToolRegistry {
             companyName: contact.company || contact.currentCompany
           }));
 
-          await this.lemlist.bulkAddLeads(campaignId, leads);
+          await runOnce(context, 'add_leads', () => this.lemlist.bulkAddLeads(campaignId, leads));
         }
 
         this.logger.info('Lemlist campaign setup complete', {
@@ -390,7 +709,7 @@ export class ToolRegistry {
       requiresApproval: true
     });
 
-    this.register('sync_contacts_to_crm', async (inputs) => {
+    this.register('sync_contacts_to_crm', async (inputs, context) => {
       const totalContacts = (inputs.auto_approve_list?.length || 0) + (inputs.review_queue?.length || 0);
 
       this.logger.info('Syncing contacts to HubSpot CRM', {
@@ -438,8 +757,17 @@ export class ToolRegistry {
           lifecyclestage: contact.icp_score >= 85 ? 'lead' : 'subscriber'
         }));
 
-        // Batch upsert
-        const result = await this.hubspot.batchUpsertContacts(hubspotContacts);
+        // Batch upsert; only ids and emails are kept for the review tasks below
+        const result = await runOnce(context, 'upsert_contacts', async () => {
+          const upserted = await this.hubspot.batchUpsertContacts(hubspotContacts);
+          return {
+            count: upserted.count,
+            results: (upserted.results || []).map((r: any) => ({
+              id: r.id,
+              properties: { email: r.properties?.email }
+            }))
+          };
+        });
 
         // Create tasks for review queue
         let tasksCreated = 0;
@@ -450,14 +778,17 @@ export class ToolRegistry {
             );
 
             if (contactResult) {
-              await this.hubspot.createTask({
-                subject: `Review prospect: ${contact.first_name} ${contact.last_name}`,
-                body: `ICP Score: ${contact.icp_score}. Review this prospect for campaign enrollment.`,
-                status: 'NOT_STARTED',
-                priority: 'HIGH',
-                dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-                associatedObjectType: 'contact',
-                associatedObjectId: contactResult.id
+              await runOnce(context, `review_task:${contactResult.id}`, async () => {
+                const task = await this.hubspot.createTask({
+                  subject: `Review prospect: ${contact.first_name} ${contact.last_name}`,
+                  body: `ICP Score: ${contact.icp_score}. Review this prospect for campaign enrollment.`,
+                  status: 'NOT_STARTED',
+                  priority: 'HIGH',
+                  dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                  associatedObjectType: 'contact',
+                  associatedObjectId: contactResult.id
+                });
+                return { task_id: task?.id ?? null };
               });
               tasksCreated++;
             }
@@ -569,7 +900,7 @@ Generate a subject line and email body.`;
       }
     });
 
-    this.register('send_outreach_email', async (inputs) => {
+    this.register('send_outreach_email', async (inputs, context) => {
       this.logger.info('Sending outreach email');
 
       // Use mock data if Lemlist client not configured
@@ -583,10 +914,13 @@ Generate a subject line and email body.`;
 
       try {
         // Send email via Lemlist
-        const result = await this.lemlist.sendEmail({
-          to: inputs.contact_email,
-          subject: inputs.message?.subject || "Following up",
-          body: inputs.message?.body || "Hi there..."
+        const result = await runOnce(context, 'send_email', async () => {
+          const sent = await this.lemlist.sendEmail({
+            to: inputs.contact_email,
+            subject: inputs.message?.subject || "Following up",
+            body: inputs.message?.body || "Hi there..."
+          });
+          return { messageId: sent.messageId };
         });
 
         this.logger.info('Outreach email sent', {
@@ -603,7 +937,7 @@ Generate a subject line and email body.`;
       }
     });
 
-    this.register('schedule_follow_up', async (inputs) => {
+    this.register('schedule_follow_up', async (inputs, context) => {
       this.logger.info('Scheduling follow-up');
 
       // Use mock data if HubSpot client not configured
@@ -615,30 +949,921 @@ Generate a subject line and email body.`;
       }
 
       try {
-        const dueDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-
-        await this.hubspot.createTask({
-          subject: `Follow up with ${inputs.contact_name}`,
-          body: inputs.follow_up_reason || "Scheduled follow-up",
-          status: 'NOT_STARTED',
-          priority: 'MEDIUM',
-          dueDate: dueDate.toISOString(),
-          associatedObjectType: 'contact',
-          associatedObjectId: inputs.contact_id
+        const scheduledAt = await runOnce(context, 'create_task', async () => {
+          const dueDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+
+          await this.hubspot.createTask({
+            subject: `Follow up with ${inputs.contact_name}`,
+            body: inputs.follow_up_reason || "Scheduled follow-up",
+            status: 'NOT_STARTED',
+            priority: 'MEDIUM',
+            dueDate: dueDate.toISOString(),
+            associatedObjectType: 'contact',
+            associatedObjectId: inputs.contact_id
+          });
+
+          return dueDate.toISOString();
         });
 
         this.logger.info('Follow-up scheduled', {
-          scheduled_at: dueDate.toISOString()
+          scheduled_at: scheduledAt
         });
 
         return {
-          scheduled_at: dueDate.toISOString()
+          scheduled_at: scheduledAt
         };
       } catch (error) {
         this.logger.error('Follow-up scheduling error', { error: (error as Error).message });
         throw error;
       }
     });
+
+    // ===== COLD LEAD RE-ENGAGEMENT (re-engagement workflow) =====
+    this.register('query_cold_prospects', async (inputs) => {
+      const criteria = inputs.criteria || {};
+      const filters = inputs.filters || {};
+      const coldAfterDays = Number(inputs.days_since_contact) || parseDays(criteria.last_contacted) || DEFAULT_COLD_AFTER_DAYS;
+      const minIcpScore = parseThreshold(criteria.icp_score);
+      const now = Date.now();
+      const coldSince = new Date(now - coldAfterDays * DAY_MS);
+      const tooOld = new Date(now - MAX_COLD_DAYS * DAY_MS);
+
+      const outcomeWhere: any = {
+        replied: false,
+        unsubscribed: false,
+        bounced: false,
+        sent_at: { [Op.between]: [tooOld, coldSince] }
+      };
+      if (criteria.open_rate !== undefined) {
+        outcomeWhere.opened = true;
+      }
+
+      const { CampaignEnrollment, OutreachOutcome } = await getModels();
+      const enrollments = await CampaignEnrollment.findAll({
+        where: {
+          status: { [Op.in]: ['active', 'completed'] },
+          current_step: { [Op.gte]: filters.min_original_touches ?? 1 },
+          // Every step and event touches the enrollment, so this is the last contact
+          updated_at: { [Op.lte]: coldSince }
+        },
+        include: [{ model: OutreachOutcome, as: 'outcome', required: true, where: outcomeWhere }],
+        order: [['updated_at', 'ASC']],
+        limit: inputs.limit || 500
+      });
+
+      let leads = enrollments
+        .map((enrollment: any) => toColdLead(enrollment, now))
+        .filter((lead: any) => lead.email && (minIcpScore === null || lead.icp_score === null || lead.icp_score >= minIcpScore));
+
+      // Anyone who opted out since, on any campaign, is not cold but gone
+      const suppressed = await this.suppressionList.checkMany(leads.map((lead: any) => ({ email: lead.email })));
+      leads = leads.filter((_: any, index: number) => !suppressed[index]);
+
+      const average = (values: number[]) =>
+        values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+
+      this.logger.info('Found cold prospects', {
+        total_cold: leads.length,
+        suppressed: suppressed.filter(Boolean).length,
+        cold_after_days: coldAfterDays
+      });
+
+      return {
+        cold_lead_list: leads,
+        cold_lead_stats: {
+          total_cold: leads.length,
+          avg_days_since_contact: average(leads.map((lead: any) => lead.days_since_contact)),
+          original_campaign: [...new Set(leads.map((lead: any) => lead.instance_id))],
+          avg_icp_score: average(leads.filter((lead: any) => lead.icp_score !== null).map((lead: any) => lead.icp_score))
+        }
+      };
+    });
+
+    this.register('retrospective_analysis', async (inputs) => {
+      const leads: any[] = inputs.cold_lead_list?.cold_lead_list || [];
+      const repeatOpeners = leads.filter(lead => lead.open_count > 3);
+      const clickers = leads.filter(lead => lead.click_count > 0);
+      const quarterEnd = leads.filter(lead => lead.sent_at && new Date(lead.sent_at).getMonth() % 3 === 2);
+
+      const likelyReasons: string[] = [];
+      if (repeatOpeners.length > 0) likelyReasons.push('Opened repeatedly but the ask never prompted a reply');
+      if (clickers.length > 0) likelyReasons.push('Clicked through without replying - interest without urgency');
+      if (leads.length - repeatOpeners.length - clickers.length > 0) likelyReasons.push('Low engagement - the angle did not resonate');
+      if (quarterEnd.length > leads.length / 2) likelyReasons.push('Contacted near quarter end');
+
+      // Subject lines of the most-opened leads vs the ones opened once at most
+      const subjectsOf = (group: any[]) => [...new Set(group.map(lead => lead.subject_line).filter(Boolean))].slice(0, 5);
+      const byOpens = [...leads].sort((a, b) => b.open_count - a.open_count);
+
+      return {
+        insights: {
+          likely_reasons_for_cold: likelyReasons,
+          what_worked: subjectsOf(byOpens.filter(lead => lead.open_count > 1)),
+          what_didnt_work: subjectsOf(byOpens.filter(lead => lead.open_count <= 1))
+        },
+        recommendations: {
+          new_messaging_angle: repeatOpeners.length >= clickers.length ? 'direct_ask' : 'new_value_prop',
+          different_timing: quarterEnd.length > leads.length / 2 ? 'early_quarter' : 'same_window',
+          new_value_prop: clickers.length > 0 ? 'lead with what they clicked' : 'lead with what changed'
+        }
+      };
+    });
+
+    this.register('check_current_relevance', async (inputs) => {
+      const leads: any[] = inputs.cold_lead_list?.cold_lead_list || [];
+
+      // Without Explorium the contact can't be re-verified; keep everyone, marked unverified
+      if (!this.explorium) {
+        this.logger.warn('Skipping contact re-verification (Explorium not configured)');
+        return {
+          validated_leads: leads.map(lead => ({ ...lead, contact_verified: false })),
+          disqualified_leads: [],
+          enriched_context: { contact_updates: [] }
+        };
+      }
+
+      const validated: any[] = [];
+      const disqualified: any[] = [];
+      const contactUpdates: any[] = [];
+
+      for (const lead of leads) {
+        const result = await this.explorium.enrichContact({
+          email: lead.email,
+          firstName: lead.first_name,
+          lastName: lead.last_name,
+          company: { name: lead.company_name }
+        });
+        const profile = result?.data || result || {};
+
+        const currentCompany = profile.currentCompany;
+        if (currentCompany && lead.company_name && currentCompany.toLowerCase() !== lead.company_name.toLowerCase()) {
+          disqualified.push({ ...lead, reason: 'left_company', current_company: currentCompany });
+          continue;
+        }
+
+        if (profile.title && lead.title && profile.title !== lead.title) {
+          contactUpdates.push({ enrollment_id: lead.enrollment_id, previous_title: lead.title, title: profile.title });
+        }
+        validated.push({ ...lead, title: profile.title || lead.title, contact_verified: true });
+      }
+
+      this.logger.info('Checked cold lead relevance', {
+        validated: validated.length,
+        disqualified: disqualified.length
+      });
+
+      return {
+        validated_leads: validated,
+        disqualified_leads: disqualified,
+        enriched_context: { contact_updates: contactUpdates }
+      };
+    });
+
+    this.register('design_re_engagement_approach', async (inputs) => {
+      const leads: any[] = inputs.validated_leads?.validated_leads || [];
+      const strategies: Record<string, any> = {};
+      const variables: Record<string, any> = {};
+
+      for (const lead of leads) {
+        const { segment, strategy, messaging } = RE_ENGAGEMENT_SEGMENTS.find(candidate => candidate.matches(lead))!;
+        strategies[segment] ??= { strategy, messaging, enrollment_ids: [] };
+        strategies[segment].enrollment_ids.push(lead.enrollment_id);
+
+        variables[lead.enrollment_id] = {
+          segment,
+          first_name: lead.first_name || 'there',
+          company_name: lead.company_name || 'your team',
+          original_topic: lead.subject_line || 'what we discussed',
+          months_ago: String(Math.max(1, Math.round(lead.days_since_contact / 30))),
+          competitor: lead.competitor || ''
+        };
+      }
+
+      return {
+        segmented_strategies: strategies,
+        personalization_variables: variables,
+        messaging_angle: inputs.insights?.recommendations?.new_messaging_angle || null
+      };
+    });
+
+    this.register('craft_re_engagement_messages', async (inputs) => {
+      const leads: any[] = inputs.validated_leads?.validated_leads || [];
+      const variables = inputs.strategies?.personalization_variables || {};
+      const personalization: Record<string, any> = {};
+
+      for (const lead of leads) {
+        const leadVariables = variables[lead.enrollment_id];
+        if (!leadVariables) continue;
+
+        const template = COLD_LEAD_TEMPLATES[leadVariables.segment];
+        personalization[lead.enrollment_id] = {
+          email: lead.email,
+          segment: leadVariables.segment,
+          subject: replaceTemplateVariables(template.subject, leadVariables),
+          body: replaceTemplateVariables(template.body, leadVariables),
+          reminder: replaceTemplateVariables(GENTLE_REMINDER_TEMPLATE, leadVariables)
+        };
+      }
+
+      return {
+        message_variants: COLD_LEAD_TEMPLATES,
+        subject_lines: [...new Set(Object.values(personalization).map((message: any) => message.subject))],
+        personalization_data: personalization
+      };
+    });
+
+    this.register('create_lemlist_re_engagement', async (inputs, context) => {
+      const messages = inputs.messages?.personalization_data || {};
+      const candidates: any[] = (inputs.validated_leads?.validated_leads || []).filter((lead: any) => messages[lead.enrollment_id]);
+
+      // Re-checked here: someone may have opted out while the run waited for approval
+      const suppressed = await this.suppressionList.checkMany(candidates.map(lead => ({ email: lead.email })));
+      const allowed = candidates.filter((_, index) => !suppressed[index]);
+      const skipped = candidates.length - allowed.length;
+      const leads = allowed.slice(0, MAX_RE_ENGAGEMENTS_PER_RUN);
+
+      this.logger.info('Setting up Lemlist re-engagement campaign', {
+        prospect_count: leads.length,
+        suppressed: skipped,
+        deferred: allowed.length - leads.length
+      });
+
+      if (!this.lemlist) {
+        this.logger.warn('Using mock data for re-engagement campaign (Lemlist not configured)');
+        return {
+          campaign_id: 'camp_' + Date.now(),
+          enrolled_count: leads.length,
+          skipped_suppressed: skipped,
+          deferred_count: allowed.length - leads.length,
+          campaign_start_date: new Date().toISOString()
+        };
+      }
+
+      // Each lead carries its own message; the sequence only references it
+      const campaignId = await runOnce(context, 'create_campaign', async () => {
+        const campaignResult = await this.lemlist.createCampaign({
+          name: inputs.campaign_name || `Re-engagement ${new Date().toLocaleString('en-US', { month: 'long', year: 'numeric' })}`,
+          emails: [
+            { subject: '{{reEngagementSubject}}', body: '{{reEngagementBody}}', delay: 0 },
+            { subject: 'Re: {{reEngagementSubject}}', body: '{{reEngagementReminder}}', delay: 5 }
+          ],
+          settings: {
+            trackOpens: true,
+            trackClicks: true,
+            stopOnReply: true
+          }
+        });
+
+        if (!campaignResult.success) {
+          throw new Error(`Failed to create campaign: ${campaignResult.error}`);
+        }
+
+        return campaignResult.campaignId;
+      });
+
+      if (leads.length > 0) {
+        await runOnce(context, 'add_leads', () => this.lemlist.bulkAddLeads(campaignId, leads.map(lead => ({
+          email: lead.email,
+          firstName: lead.first_name,
+          lastName: lead.last_name,
+          companyName: lead.company_name,
+          reEngagementSubject: messages[lead.enrollment_id].subject,
+          reEngagementBody: messages[lead.enrollment_id].body,
+          reEngagementReminder: messages[lead.enrollment_id].reminder
+        }))));
+      }
+
+      this.logger.info('Lemlist re-engagement campaign setup complete', {
+        campaignId,
+        enrolled_count: leads.length
+      });
+
+      return {
+        campaign_id: campaignId,
+        enrolled_count: leads.length,
+        skipped_suppressed: skipped,
+        deferred_count: allowed.length - leads.length,
+        campaign_start_date: new Date().toISOString()
+      };
+    }, {
+      type: 'destructive',
+      batchLimit: 100,
+      requiresApproval: true
+    });
+
+    this.register('monitor_campaign_performance', async (inputs) => {
+      const campaignId = inputs.campaign_id;
+
+      if (!this.lemlist) {
+        this.logger.warn('Using mock data for campaign performance (Lemlist not configured)');
+        return {
+          campaign_id: campaignId || null,
+          performance_report: { total_sent: 0, open_rate: 0, reply_rate: 0, unsubscribe_rate: 0 },
+          alerts: []
+        };
+      }
+
+      const stats = await this.lemlist.getCampaignStats(campaignId);
+      if (!stats.success) {
+        throw new Error(`Failed to load campaign stats: ${stats.error}`);
+      }
+
+      const total = stats.total || {};
+      const sent = total.sent || 0;
+      const rate = (count: number) => (sent > 0 ? Math.round(((count || 0) / sent) * 1000) / 1000 : 0);
+      const report = {
+        total_sent: sent,
+        open_rate: rate(total.opened),
+        reply_rate: rate(total.replied),
+        unsubscribe_rate: rate(total.unsubscribed),
+        replies: total.replied || 0
+      };
+
+      const alerts: any[] = [];
+      if (report.reply_rate > 0.10) {
+        alerts.push({ action: 'alert_sales_team', message: 'Re-engagement performing exceptionally well' });
+      }
+      if (report.unsubscribe_rate > 0.05) {
+        alerts.push({ action: 'pause_campaign', message: 'High unsubscribe rate - review messaging' });
+      }
+      for (const alert of alerts) {
+        this.logger.warn('Re-engagement campaign alert', { campaign_id: campaignId, ...alert });
+      }
+
+      return { campaign_id: campaignId, performance_report: report, alerts };
+    });
+
+    // Replies also reach dynamic-outreach through the reply webhooks; this reports the routing
+    this.register('route_responses', async (inputs) => {
+      let replies: any[] = Array.isArray(inputs.campaign_replies) ? inputs.campaign_replies : [];
+      const campaignId = inputs.campaign_id;
+
+      if (!Array.isArray(inputs.campaign_replies) && campaignId && this.lemlist) {
+        const result = await this.lemlist.getActivities({ campaignId, type: 'emailsReplied' });
+        replies = result.success ? result.activities : [];
+      }
+
+      const routed = replies.map(reply => {
+        const detected = ConversationalResponder.detectIntent(reply.text || reply.reply_content || '');
+
+        let route = 'context_changed';
+        if (detected.intent === 'interested' || detected.intent === 'meeting_request') {
+          route = 'positive_reply';
+        } else if (detected.objectionType === 'timing') {
+          route = 'timing_objection';
+        } else if (detected.intent === 'not_interested') {
+          route = 'not_interested';
+        } else if (detected.competitor) {
+          route = 'competitor_happy';
+        }
+
+        const { check_in_days: checkInDays, ...routing } = REPLY_ROUTES[route];
+        return {
+          email: reply.leadEmail || reply.email || null,
+          route,
+          ...routing,
+          check_in_at: checkInDays ? new Date(Date.now() + checkInDays * DAY_MS).toISOString() : null
+        };
+      });
+
+      return {
+        routed,
+        counts: routed.reduce((counts: Record<string, number>, reply) => {
+          counts[reply.route] = (counts[reply.route] || 0) + 1;
+          return counts;
+        }, {})
+      };
+    });
+
+    this.register('analyze_successful_re_engagements', async (inputs) => {
+      const report = inputs.campaign_results?.performance_report || {};
+      const counts = inputs.responses?.counts || {};
+      const learnings: string[] = [];
+      const recommendations: string[] = [];
+
+      // Success criteria: reply rate above 5% minimum, 10% target
+      if (report.total_sent > 0) {
+        if (report.reply_rate >= 0.10) {
+          learnings.push(`Reply rate ${(report.reply_rate * 100).toFixed(1)}% beat the 10% target`);
+        } else if (report.reply_rate >= 0.05) {
+          learnings.push(`Reply rate ${(report.reply_rate * 100).toFixed(1)}% met the 5% minimum`);
+        } else {
+          learnings.push(`Reply rate ${(report.reply_rate * 100).toFixed(1)}% missed the 5% minimum`);
+          recommendations.push('Try a different angle or wait longer before re-engaging');
+        }
+        if (report.unsubscribe_rate > 0.05) {
+          recommendations.push('Tighten the cold lead criteria - too many unsubscribes');
+        }
+      } else {
+        learnings.push('No sends yet - check back once the campaign has run');
+      }
+
+      if ((counts.timing_objection || 0) > (counts.positive_reply || 0)) {
+        recommendations.push('Most replies were about timing - lengthen the cold window');
+      }
+      if (counts.competitor_happy) {
+        recommendations.push('Competitor users replied - schedule the annual check-in');
+      }
+
+      return {
+        learnings,
+        recommendations_for_next_time: recommendations,
+        update_icp_criteria: report.total_sent > 0 && report.reply_rate < 0.05
+      };
+    });
+
+    // ===== DYNAMIC OUTREACH (REACTIVE) ACTIONS =====
+    this.register('classify_response', async (inputs) => {
+      const detected = ConversationalResponder.detectIntent(inputs.reply_content || '');
+      const buyingSignals: string[] = [];
+
+      if (detected.intent === 'meeting_request') buyingSignals.push('meeting_request');
+      if (detected.intent === 'interested') buyingSignals.push('interest_expressed');
+      if (detected.competitor) buyingSignals.push('competitor_mentioned');
+
+      let urgency = INTENT_URGENCY[detected.intent] ?? 30;
+      if ((inputs.engagement_metrics?.opened || 0) >= 3 && detected.sentiment === 'positive') {
+        buyingSignals.push('high_engagement');
+        urgency = Math.min(100, urgency + 10);
+      }
+
+      // Workflow vocabulary: interested, not_interested, need_info, timing
+      let intent = detected.intent;
+      if (detected.intent === 'meeting_request') intent = 'interested';
+      if (detected.intent === 'question') intent = 'need_info';
+      if (detected.objectionType === 'timing') intent = 'timing';
+
+      this.logger.info('Classified prospect reply', {
+        sender_email: inputs.sender_email,
+        intent,
+        sentiment: detected.sentiment
+      });
+
+      return {
+        sentiment: detected.sentiment,
+        intent,
+        detected_intent: detected.intent,
+        buying_signals: buyingSignals,
+        urgency_score: urgency,
+        objection_type: detected.objectionType || null,
+        competitor: detected.competitor || null,
+        escalation_needed: urgency > 85,
+        // Pattern matches are reliable; the follow_up fallback is a guess
+        confidence: detected.intent === 'follow_up' ? 0.5 : 0.8
+      };
+    });
+
+    this.register('determine_next_action', async (inputs) => {
+      const analysis = inputs.analysis || {};
+      const signals: string[] = analysis.buying_signals || [];
+
+      let recommended = 'neutral-engagement-flow';
+      let reasoning = 'No strong signal - contextual follow-up';
+
+      if (analysis.urgency_score > 70 && analysis.sentiment === 'positive') {
+        recommended = 'accelerate-to-demo';
+        reasoning = 'High urgency with positive sentiment';
+      } else if (analysis.sentiment === 'objection') {
+        recommended = 'objection-handling-flow';
+        reasoning = `Objection raised (${analysis.objection_type || 'unspecified'})`;
+      } else if (signals.includes('competitor_mentioned')) {
+        recommended = 'competitive-differentiation-flow';
+        reasoning = `Competitor mentioned (${analysis.competitor})`;
+      } else if (analysis.intent === 'need_info') {
+        recommended = 'provide-educational-content';
+        reasoning = 'Prospect asked for more information';
+      } else if (analysis.intent === 'timing') {
+        recommended = 'nurture-long-term';
+        reasoning = 'Timing concern';
+      } else if (analysis.sentiment === 'negative' || analysis.intent === 'not_interested') {
+        recommended = 'graceful-exit-flow';
+        reasoning = 'Prospect is not interested';
+      }
+
+      return {
+        recommended_flow: recommended,
+        confidence: analysis.confidence ?? 0.5,
+        reasoning
+      };
+    });
+
+    this.register('parse_ooo_message', async (inputs) => {
+      const { returnDate, backupContact } = ConversationalResponder.parseOutOfOffice(inputs.reply_content || '');
+
+      return {
+        return_date: returnDate ? returnDate.toISOString() : null,
+        return_date_found: !!returnDate,
+        backup_contact: backupContact
+      };
+    });
+
+    this.register('pause_all_touches', async (inputs) => {
+      if (!inputs.enrollment_id) {
+        throw new Error('pause_all_touches requires enrollment_id');
+      }
+
+      const { CampaignEnrollment } = await getModels();
+      const enrollment = await CampaignEnrollment.findByPk(inputs.enrollment_id);
+      if (!enrollment) {
+        throw new Error(`Enrollment ${inputs.enrollment_id} not found`);
+      }
+
+      if (!['enrolled', 'active', 'paused'].includes(enrollment.status)) {
+        return { paused: false, enrollment_id: enrollment.id, reason: `Enrollment is ${enrollment.status}` };
+      }
+
+      // Resume a couple of days after the prospect is back, not on their first morning
+      const returnDate = inputs.ooo?.return_date
+        ? new Date(inputs.ooo.return_date)
+        : new Date(Date.now() + DEFAULT_OOO_PAUSE_DAYS * DAY_MS);
+      const until = new Date(returnDate.getTime() + (inputs.resume_after_days ?? 2) * DAY_MS);
+
+      await enrollment.pause({ until, reason: inputs.reason || 'out_of_office' });
+
+      this.logger.info('Paused all touches for enrollment', {
+        enrollment_id: enrollment.id,
+        paused_until: until.toISOString()
+      });
+
+      return {
+        paused: true,
+        enrollment_id: enrollment.id,
+        paused_until: until.toISOString(),
+        backup_contact: inputs.ooo?.backup_contact || null
+      };
+    }, {
+      type: 'destructive'
+    });
+
+    this.register('plan_re_engagement', async (inputs) => {
+      const message = replaceTemplateVariables(inputs.template || RE_ENGAGEMENT_TEMPLATE, {
+        first_name: inputs.first_name || 'there'
+      });
+      const resumeAt = inputs.pause?.paused_until || null;
+
+      // Kept on the enrollment for whoever writes the first touch after the pause
+      if (inputs.enrollment_id) {
+        const { CampaignEnrollment } = await getModels();
+        const enrollment = await CampaignEnrollment.findByPk(inputs.enrollment_id);
+        if (enrollment) {
+          await enrollment.update({
+            metadata: {
+              ...enrollment.metadata,
+              re_engagement: { resume_at: resumeAt, message, planned_at: new Date().toISOString() }
+            }
+          });
+        }
+      }
+
+      return {
+        resume_at: resumeAt,
+        message
+      };
+    });
+
+    // MeetingTracker records bookings (calendar sync, booking webhooks); this only reads the outcome
+    this.register('track_calendar_events', async (inputs) => {
+      if (!inputs.enrollment_id) {
+        throw new Error('track_calendar_events requires enrollment_id');
+      }
+
+      const { OutreachOutcome } = await getModels();
+      const outcome = await OutreachOutcome.findOne({
+        where: { enrollment_id: inputs.enrollment_id, meeting_booked: true },
+        order: [['meeting_booked_at', 'DESC']]
+      });
+
+      return {
+        booked: !!outcome,
+        booked_at: outcome?.meeting_booked_at ? new Date(outcome.meeting_booked_at).toISOString() : null,
+        enrollment_id: inputs.enrollment_id
+      };
+    });
+
+    this.register('get_competitive_intel', async (inputs) => {
+      const competitor = inputs.competitor_name;
+      const intel = competitor ? await KnowledgeService.getCompetitiveIntel(competitor) : null;
+
+      if (!intel) {
+        this.logger.warn('No competitive intel available', { competitor });
+        return {
+          found: false,
+          competitor: competitor || null,
+          key_differentiators: [],
+          switch_stories: [],
+          comparison_points: {}
+        };
+      }
+
+      return { found: true, ...intel };
+    });
+
+    this.register('craft_professional_exit', async (inputs) => {
+      return {
+        subject: 'Thanks for letting me know',
+        body: replaceTemplateVariables(inputs.template || EXIT_MESSAGE_TEMPLATE, {
+          first_name: inputs.first_name || 'there'
+        }),
+        tone: 'gracious and professional'
+      };
+    });
+
+    this.register('analyze_engagement_pattern', async (inputs) => {
+      const opens = Number(inputs.open_count) || 0;
+      const clicks = Number(inputs.clicks) || 0;
+
+      let engagementLevel = 'low';
+      if (opens >= 3 || clicks >= 2) {
+        engagementLevel = 'high';
+      } else if (opens >= 1 || clicks >= 1) {
+        engagementLevel = 'medium';
+      }
+
+      return {
+        engagement_level: engagementLevel,
+        recommended_action: engagementLevel === 'high' ? 'direct_ask' : 'nurture',
+        open_count: opens,
+        clicks
+      };
+    });
+
+    this.register('create_low_friction_message', async (inputs) => {
+      return {
+        subject: 'Quick question',
+        body: replaceTemplateVariables(inputs.template || DIRECT_ASK_TEMPLATE, {
+          first_name: inputs.first_name || 'Hi there'
+        }),
+        send_timing: 'immediate'
+      };
+    });
+
+    this.register('categorize_objection', async (inputs) => {
+      const text = inputs.reply_content || '';
+      const detected = ConversationalResponder.detectIntent(text);
+
+      let category = inputs.objection_type || detected.objectionType || null;
+      if (AUTHORITY_OBJECTION.test(text)) {
+        category = 'authority';
+      } else if (NOT_FIT_OBJECTION.test(text)) {
+        category = 'not_fit';
+      }
+      // detectIntent's "trust" objections are answered like a competitor comparison
+      if (category === 'trust') {
+        category = 'competitor';
+      }
+
+      return {
+        objection_category: category && OBJECTION_STRATEGIES[category] ? category : 'timing',
+        severity: detected.sentiment === 'negative' ? 'strong' : detected.sentiment === 'objection' ? 'moderate' : 'mild',
+        competitor: detected.competitor || null
+      };
+    });
+
+    this.register('choose_objection_response', async (inputs) => {
+      const category = inputs.objection?.objection_category;
+      const strategy = OBJECTION_STRATEGIES[category] || OBJECTION_STRATEGIES.timing;
+
+      return {
+        objection_category: category || 'timing',
+        approach: strategy.approach,
+        content: strategy.content
+      };
+    });
+
+    this.register('analyze_click_behavior', async (inputs) => {
+      const url = inputs.clicked_url || '';
+      const match = CONTENT_TYPE_PATTERNS.find(([, pattern]) => pattern.test(url));
+      const contentType = match ? match[0] : 'other';
+
+      return {
+        content_type: contentType,
+        interest_area: contentType === 'other' ? null : contentType,
+        url: url || null,
+        engagement_depth: (Number(inputs.clicks) || 0) > 1 ? 'repeat' : 'first_click'
+      };
+    });
+
+    this.register('content_progression_strategy', async (inputs) => {
+      const contentType = inputs.click?.content_type || 'other';
+      return {
+        content_type: contentType,
+        ...(CONTENT_PROGRESSION[contentType] || CONTENT_PROGRESSION.other)
+      };
+    });
+
+    this.register('extract_competitor_name', async (inputs) => {
+      const text = inputs.reply_content || '';
+      const competitor = inputs.competitor_name || ConversationalResponder.detectIntent(text).competitor || null;
+
+      let satisfaction = 'unknown';
+      if (/(issues?|problems?|frustrat|unhappy|not happy|struggl)/i.test(text)) {
+        satisfaction = 'issues';
+      } else if (/(fairly|mostly|pretty) happy/i.test(text)) {
+        satisfaction = 'fairly happy';
+      } else if (/happy with|love|works (well|great)/i.test(text)) {
+        satisfaction = 'happy';
+      }
+
+      return { competitor, satisfaction_level: satisfaction };
+    });
+
+    this.register('create_competitor_response', async (inputs) => {
+      const intel = inputs.intel || {};
+      const competitor = intel.competitor || inputs.competitor_name || 'Your current provider';
+
+      return {
+        subject: `Re: ${competitor}`,
+        body: replaceTemplateVariables(inputs.template || COMPETITOR_RESPONSE_TEMPLATE, {
+          competitor,
+          acknowledge: intel.acknowledge || 'plenty of teams are happy with it.',
+          key_differentiator: intel.key_differentiators?.[0] || 'faster settlement at lower cost.'
+        }),
+        differentiators: intel.key_differentiators || [],
+        switch_stories: intel.switch_stories || []
+      };
+    });
+
+    // Hand-off to a person: escalations and hot leads
+    this.register('notify_account_executive', async (inputs) => {
+      const escalation = {
+        reason: inputs.reason || inputs.trigger || 'workflow_escalation',
+        priority: inputs.priority || 'normal',
+        message: inputs.message || null,
+        escalated_at: new Date().toISOString()
+      };
+
+      this.logger.warn('Account executive notified', {
+        enrollment_id: inputs.enrollment_id,
+        prospect_email: inputs.prospect_email,
+        reason: escalation.reason,
+        priority: escalation.priority
+      });
+
+      // Kept on the enrollment so the owner sees it next to the prospect
+      if (inputs.enrollment_id) {
+        const { CampaignEnrollment } = await getModels();
+        const enrollment = await CampaignEnrollment.findByPk(inputs.enrollment_id);
+        if (enrollment) {
+          await enrollment.update({ metadata: { ...enrollment.metadata, escalation } });
+        }
+      }
+
+      return { notified: true, enrollment_id: inputs.enrollment_id || null, ...escalation };
+    });
+
+    this.register('send_with_tracking', async (inputs, context) => {
+      if (!inputs.message?.body) {
+        throw new Error('send_with_tracking requires a message with a body');
+      }
+      return this.sendToProspect('send_with_tracking', inputs, context, inputs.message);
+    }, {
+      type: 'destructive'
+    });
+
+    this.register('send_priority_email', async (inputs, context) => {
+      return this.sendToProspect('send_priority_email', inputs, context, {
+        subject: replySubject(inputs.subject, 'Quick call?'),
+        body: replaceTemplateVariables(PRIORITY_EMAIL_TEMPLATE, { first_name: inputs.first_name || 'there' })
+      });
+    }, {
+      type: 'destructive'
+    });
+
+    this.register('send_objection_response', async (inputs, context) => {
+      const category = inputs.selected_strategy?.objection_category;
+      const template = OBJECTION_RESPONSE_TEMPLATES[category] || OBJECTION_RESPONSE_TEMPLATES.timing;
+
+      return this.sendToProspect('send_objection_response', inputs, context, {
+        subject: replySubject(inputs.subject, 'Thanks for the reply'),
+        body: replaceTemplateVariables(template, { first_name: inputs.first_name || 'there' })
+      });
+    }, {
+      type: 'destructive'
+    });
+
+    this.register('send_personalized_follow_up', async (inputs, context) => {
+      const followUp = FOLLOW_UP_TEMPLATES[inputs.progression?.next_content] || FOLLOW_UP_TEMPLATES.continue_educational_nurture;
+
+      return this.sendToProspect('send_personalized_follow_up', inputs, context, {
+        subject: followUp.subject,
+        body: replaceTemplateVariables(followUp.body, { first_name: inputs.first_name || 'Hi there' })
+      });
+    }, {
+      type: 'destructive'
+    });
+
+    this.register('send_with_engagement_tracking', async (inputs, context) => {
+      if (!inputs.message?.body) {
+        throw new Error('send_with_engagement_tracking requires a message with a body');
+      }
+      return this.sendToProspect('send_with_engagement_tracking', inputs, context, {
+        subject: replySubject(inputs.subject, inputs.message.subject),
+        body: inputs.message.body
+      });
+    }, {
+      type: 'destructive'
+    });
+
+    // ===== FAILURE HANDLERS (on_failure / on_quality_fail) =====
+    this.register('flag_for_manual_review', async (inputs) => {
+      this.logger.warn('Workflow step flagged for manual review', {
+        workflow_id: inputs.workflow_id,
+        step_id: inputs.step_id,
+        reason: inputs.error || inputs.message
+      });
+
+      return {
+        flagged: true,
+        step_id: inputs.step_id,
+        reason: inputs.error || inputs.message || 'Manual review requested',
+        flagged_at: new Date().toISOString()
+      };
+    });
+
+    this.register('pause_and_alert_human', async (inputs) => {
+      this.logger.error('Workflow paused - human attention required', {
+        workflow_id: inputs.workflow_id,
+        workflow_name: inputs.workflow_name,
+        step_id: inputs.step_id,
+        message: inputs.message,
+        issues_found: inputs.issues_found
+      });
+
+      return {
+        paused: true,
+        step_id: inputs.step_id,
+        message: inputs.message || 'Manual review required',
+        alerted_at: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Send a flow's message to the enrollment's contact through the ConversationalResponder
+   * The send runs once per step, so a retried or resumed run never repeats it.
+   */
+  private async sendToProspect(action: string, inputs: any, context: ToolContext | undefined, message: { subject: string; body: string }) {
+    if (!inputs.enrollment_id) {
+      throw new Error(`${action} requires enrollment_id`);
+    }
+
+    if (!this.responder) {
+      this.logger.warn('Message not sent (ConversationalResponder not configured)', {
+        action,
+        enrollment_id: inputs.enrollment_id
+      });
+      return { sent: false, reason: 'no_responder', enrollment_id: inputs.enrollment_id };
+    }
+
+    const { CampaignEnrollment, CampaignInstance, CampaignTemplate } = await getModels();
+    const enrollment = await CampaignEnrollment.findByPk(inputs.enrollment_id, {
+      include: [{
+        model: CampaignInstance,
+        as: 'instance',
+        include: [{ model: CampaignTemplate, as: 'template' }]
+      }]
+    });
+    if (!enrollment) {
+      throw new Error(`Enrollment ${inputs.enrollment_id} not found`);
+    }
+
+    if (!['enrolled', 'active'].includes(enrollment.status)) {
+      return { sent: false, reason: `Enrollment is ${enrollment.status}`, enrollment_id: enrollment.id };
+    }
+
+    // On dynamic AI campaigns the responder has already answered the reply
+    const isReply = REPLY_EVENT_TYPES.includes(inputs.event_type);
+    if (isReply && ConversationalResponder.answersReplies(enrollment.instance, enrollment.instance?.template)) {
+      return { sent: false, reason: 'answered_by_responder', enrollment_id: enrollment.id };
+    }
+
+    const contact = enrollment.metadata || {};
+    const result = await runOnce(context, 'send', () => this.responder.sendMessage({
+      leadEmail: contact.email,
+      leadName: contact.first_name || contact.firstName,
+      companyName: contact.company_name || contact.companyName,
+      campaignId: enrollment.instance_id,
+      enrollmentId: enrollment.id,
+      channel: inputs.channel === 'linkedin' ? 'linkedin' : 'email',
+      threadId: isReply ? inputs.thread_id : undefined,
+      subject: message.subject,
+      content: message.body
+    }));
+
+    this.logger.info('Workflow message handled', {
+      action,
+      enrollment_id: enrollment.id,
+      status: result.status,
+      reason: result.reason
+    });
+
+    return {
+      sent: result.status === 'sent',
+      status: result.status,
+      reason: result.reason || null,
+      review_id: result.reviewId || null,
+      enrollment_id: enrollment.id
+    };
   }
 
   register(name: string, fn: ToolFunction, metadata?: Partial<ToolMetadata>) {
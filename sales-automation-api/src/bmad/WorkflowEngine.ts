@@ -5,68 +5,167 @@ import { randomUUID } from 'crypto';
 import { ToolRegistry } from './ToolRegistry';
 import { createLogger } from '../utils/logger.js';
 import { WorkflowStateManager } from './WorkflowStateManager.js';
+import { ConditionEvaluator, resolvePath } from './ConditionEvaluator';
+import { ExpressionResolver, InputExpressionError } from './ExpressionResolver';
+import type { ToolContext, WorkflowTrigger } from './types';
+
+interface RetryPolicy {
+  maxAttempts: number;
+  backoffMs: number;
+  multiplier: number;
+  maxBackoffMs: number;
+}
+
+const NO_RETRY: RetryPolicy = { maxAttempts: 1, backoffMs: 0, multiplier: 1, maxBackoffMs: 0 };
+const DEFAULT_BACKOFF_MS = 1000;
+const DEFAULT_MAX_BACKOFF_MS = 30000;
+
+// Errors that will fail the same way on every attempt
+const NON_RETRYABLE_ERRORS = ['ZodError', 'ConditionSyntaxError', 'InputExpressionError', 'StepTimeoutError'];
+
+interface RunOptions {
+  workflowId?: string;
+  resume?: {
+    context: any;
+    completedSteps: string[];
+    sideEffects: Record<string, any>;
+  };
+}
+
+// Highest first; unknown priorities sort last
+const TRIGGER_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+export class StepTimeoutError extends Error {
+  constructor(stepId: string, timeoutMs: number) {
+    super(`Step "${stepId}" timed out after ${timeoutMs}ms`);
+    this.name = 'StepTimeoutError';
+  }
+}
+
+export class UnregisteredActionError extends Error {
+  constructor(workflowName: string, public actions: string[]) {
+    super(`Workflow "${workflowName}" uses unregistered actions: ${actions.join(', ')}`);
+    this.name = 'UnregisteredActionError';
+  }
+}
 
 export class WorkflowEngine {
   private registry: ToolRegistry;
   private rootPath: string;
   private context: any = {};
+  private inputs: any = {};
   private logger: any;
   private workflowId: string | null = null;
   private workflowName: string | null = null;
   private stateManager: WorkflowStateManager;
+  private conditions: ConditionEvaluator;
+  private expressions: ExpressionResolver;
+  private defaultRetry: RetryPolicy = NO_RETRY;
+  private completedSteps: Set<string> = new Set();
+  private sideEffects: Record<string, any> = {};
 
-  constructor() {
-    this.registry = new ToolRegistry();
+  constructor(registry?: ToolRegistry) {
+    // Reactive flows run on a fresh engine per trigger; they share one registry
+    this.registry = registry || new ToolRegistry();
     this.rootPath = path.join(process.cwd(), 'bmad-library', 'modules', 'sales');
     this.logger = createLogger('WorkflowEngine');
     this.stateManager = new WorkflowStateManager();
+    this.conditions = new ConditionEvaluator();
+    this.expressions = new ExpressionResolver();
   }
 
-  async runWorkflow(workflowName: string, initialInputs: any) {
-    this.workflowId = randomUUID();
-    this.workflowName = workflowName;
+  /**
+   * @param options.workflowId - Use a caller-assigned run id (so the caller can resume it later)
+   */
+  async runWorkflow(workflowName: string, initialInputs: any, options: RunOptions = {}) {
+    return this.execute(workflowName, workflowName, initialInputs, (doc: any) => doc.workflow.steps, options);
+  }
+
+  /**
+   * Run one handler flow of a reactive workflow (`workflow.flows.<flowName>`).
+   * The run gets its own workflow_states row named "<workflow>/<flow>".
+   */
+  async runFlow(workflowName: string, flowName: string, initialInputs: any, options: RunOptions = {}) {
+    return this.execute(`${workflowName}/${flowName}`, workflowName, initialInputs, (doc: any) => {
+      const flow = doc.workflow.flows?.[flowName];
+      if (!flow) {
+        throw new Error(`Flow "${flowName}" not found in workflow "${workflowName}"`);
+      }
+      return flow.steps;
+    }, options);
+  }
 
-    this.logger.info('Starting workflow', {
+  /**
+   * Resume a failed (or crashed) run from workflow_states.
+   *
+   * The saved context is restored, steps that already completed are skipped,
+   * and execution continues from the step that failed under the same run id.
+   * Side effects recorded through `ToolContext.once` are replayed, not repeated.
+   */
+  async resumeWorkflow(workflowId: string) {
+    const state = await this.stateManager.resumeWorkflow(workflowId);
+
+    // Flow runs are stored as "<workflow>/<flow>"
+    const [workflowName, flowName] = String(state.workflowName).split('/');
+    const resume = {
+      context: state.context || {},
+      completedSteps: state.completedSteps || [],
+      sideEffects: state.sideEffects || {}
+    };
+
+    if (flowName) {
+      return this.runFlow(workflowName, flowName, resume.context, { workflowId, resume });
+    }
+    return this.runWorkflow(workflowName, resume.context, { workflowId, resume });
+  }
+
+  private async execute(runName: string, workflowName: string, initialInputs: any, selectSteps: (doc: any) => any[], options: RunOptions = {}) {
+    const resume = options.resume;
+    this.workflowId = options.workflowId || randomUUID();
+    this.workflowName = runName;
+    this.completedSteps = new Set(resume?.completedSteps || []);
+    this.sideEffects = { ...(resume?.sideEffects || {}) };
+
+    this.logger.info(resume ? 'Resuming workflow' : 'Starting workflow', {
       workflowId: this.workflowId,
-      workflowName,
+      workflowName: runName,
       inputKeys: Object.keys(initialInputs)
     });
 
-    // Create workflow state record
-    await this.stateManager.createWorkflow(this.workflowId, workflowName, initialInputs);
-
-    const workflowPath = path.join(this.rootPath, 'workflows', `${workflowName}.workflow.yaml`);
-
-    if (!fs.existsSync(workflowPath)) {
-      this.logger.error('Workflow file not found', {
-        workflowId: this.workflowId,
-        path: workflowPath
-      });
-      await this.stateManager.failWorkflow(this.workflowId, null, new Error('Workflow file not found'));
-      throw new Error(`Workflow file not found at: ${workflowPath}`);
+    // Create workflow state record (a resumed run keeps its existing one)
+    if (!resume) {
+      await this.stateManager.createWorkflow(this.workflowId, runName, initialInputs);
     }
 
     try {
-      const fileContents = fs.readFileSync(workflowPath, 'utf8');
+      const doc = this.loadDefinition(workflowName);
 
-      // SECURITY FIX: Use JSON_SCHEMA to prevent arbitrary code execution
-      const doc: any = yaml.load(fileContents, {
-        schema: yaml.JSON_SCHEMA,
-        onWarning: (warning) => {
-          this.logger.warn('YAML parsing warning', {
+      const steps = selectSteps(doc);
+      this.validateSteps(steps);
+      this.assertActionsRegistered(runName, steps);
+      this.defaultRetry = WorkflowEngine.resolveRetryPolicy(undefined, doc.workflow.error_handling);
+      this.inputs = { ...initialInputs };
+      this.context = { ...initialInputs };
+
+      let previousStepId: string | null = null;
+      for (const step of steps) {
+        if (this.completedSteps.has(step.id)) {
+          this.logger.info('Step already completed, skipping on resume', {
             workflowId: this.workflowId,
-            warning: warning.message
+            stepId: step.id
           });
+          previousStepId = step.id;
+          continue;
         }
-      });
 
-      const steps = doc.workflow.steps;
-      this.context = { ...initialInputs };
+        const ran = Array.isArray(step.parallel)
+          ? await this.executeParallelGroup(step, previousStepId)
+          : await this.executeStep(step, previousStepId);
 
-      let previousStepId: string | null = null;
-      for (const step of steps) {
-        await this.executeStep(step, previousStepId);
-        previousStepId = step.id;
+        // Skipped steps leave from_previous_step pointing at the last step that ran
+        if (ran) {
+          previousStepId = step.id;
+        }
       }
 
       // Mark workflow as completed
@@ -74,7 +173,7 @@ export class WorkflowEngine {
 
       this.logger.info('Workflow completed successfully', {
         workflowId: this.workflowId,
-        workflowName,
+        workflowName: runName,
         stepsCompleted: steps.length
       });
 
@@ -85,7 +184,7 @@ export class WorkflowEngine {
 
       this.logger.error('Workflow failed', {
         workflowId: this.workflowId,
-        workflowName,
+        workflowName: runName,
         error: (error as Error).message,
         stack: (error as Error).stack
       });
@@ -93,7 +192,316 @@ export class WorkflowEngine {
     }
   }
 
-  private async executeStep(step: any, previousStepId: string | null) {
+  /**
+   * Read and parse a workflow YAML file
+   */
+  private loadDefinition(workflowName: string): any {
+    const workflowPath = path.join(this.rootPath, 'workflows', `${workflowName}.workflow.yaml`);
+
+    if (!fs.existsSync(workflowPath)) {
+      this.logger.error('Workflow file not found', {
+        workflowId: this.workflowId,
+        path: workflowPath
+      });
+      throw new Error(`Workflow file not found at: ${workflowPath}`);
+    }
+
+    const fileContents = fs.readFileSync(workflowPath, 'utf8');
+
+    // SECURITY FIX: Use JSON_SCHEMA to prevent arbitrary code execution
+    return yaml.load(fileContents, {
+      schema: yaml.JSON_SCHEMA,
+      onWarning: (warning) => {
+        this.logger.warn('YAML parsing warning', {
+          workflowId: this.workflowId,
+          warning: warning.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Load the `triggers:` of a reactive workflow, ordered by priority.
+   *
+   * Each trigger may declare `on:` (CampaignEvent types it listens to) and a
+   * `condition:` evaluated against the trigger context. Triggers whose handler
+   * flow is not defined are dropped with a warning.
+   */
+  loadTriggers(workflowName: string): WorkflowTrigger[] {
+    const doc = this.loadDefinition(workflowName);
+    const workflow = doc?.workflow || {};
+
+    if (workflow.metadata?.execution_mode !== 'reactive') {
+      throw new Error(`Workflow "${workflowName}" is not reactive (execution_mode: ${workflow.metadata?.execution_mode || 'linear'})`);
+    }
+
+    const triggers: WorkflowTrigger[] = [];
+    for (const trigger of workflow.triggers || []) {
+      if (!trigger?.event || !trigger.handler) {
+        throw new Error(`Trigger in workflow "${workflowName}" needs an event and a handler`);
+      }
+
+      const on = trigger.on === undefined ? [] : [].concat(trigger.on).map(String);
+      if (on.length === 0) {
+        throw new Error(`Trigger "${trigger.event}" in workflow "${workflowName}" has no "on" event types`);
+      }
+
+      if (trigger.condition !== undefined && typeof trigger.condition !== 'boolean') {
+        this.conditions.compile(String(trigger.condition));
+      }
+
+      if (!workflow.flows?.[trigger.handler]) {
+        this.logger.warn('Trigger handler flow not defined, ignoring trigger', {
+          workflowName,
+          trigger: trigger.event,
+          handler: trigger.handler
+        });
+        continue;
+      }
+
+      const unregistered = this.findUnregisteredActions(workflow.flows[trigger.handler].steps);
+      if (unregistered.length > 0) {
+        this.logger.error('Trigger handler flow uses unregistered actions, ignoring trigger', {
+          workflowName,
+          trigger: trigger.event,
+          handler: trigger.handler,
+          actions: unregistered
+        });
+        continue;
+      }
+
+      triggers.push({
+        event: trigger.event,
+        handler: trigger.handler,
+        priority: trigger.priority || 'medium',
+        on,
+        condition: trigger.condition
+      });
+    }
+
+    // Stable sort keeps declaration order within a priority
+    return triggers.sort((a, b) => WorkflowEngine.priorityRank(a.priority) - WorkflowEngine.priorityRank(b.priority));
+  }
+
+  /**
+   * Pick the trigger to fire for an event: the highest-priority trigger
+   * listening to the event type whose condition holds, or null
+   */
+  matchTrigger(triggers: WorkflowTrigger[], triggerContext: any): WorkflowTrigger | null {
+    const eventType = triggerContext?.event?.event_type;
+
+    for (const trigger of triggers) {
+      if (!trigger.on.includes(eventType)) {
+        continue;
+      }
+      if (trigger.condition === undefined ||
+          this.conditions.evaluate(typeof trigger.condition === 'boolean' ? trigger.condition : String(trigger.condition), triggerContext)) {
+        return trigger;
+      }
+    }
+
+    return null;
+  }
+
+  static priorityRank(priority: string): number {
+    const rank = TRIGGER_PRIORITIES.indexOf(priority);
+    return rank === -1 ? TRIGGER_PRIORITIES.length : rank;
+  }
+
+  /**
+   * Validate step structure, pre-compile `when:` clauses and check `${...}`
+   * input expressions so a typo fails the workflow before any side effects run
+   *
+   * @param available - Step ids that run before these steps (members of a
+   *   parallel group can't reference each other)
+   */
+  private validateSteps(steps: any[], groupId: string | null = null, available: Set<string> = new Set()) {
+    if (!Array.isArray(steps)) {
+      throw new Error('Workflow has no steps array');
+    }
+
+    const declared = new Set(available);
+
+    for (const step of steps) {
+      if (!step?.id) {
+        throw new Error(`Workflow step is missing an id${groupId ? ` in parallel group "${groupId}"` : ''}`);
+      }
+
+      if (step.when !== undefined && typeof step.when !== 'boolean') {
+        this.conditions.compile(String(step.when));
+      }
+
+      const before = groupId ? available : declared;
+      this.validateExpressions(step.inputs, step.id, 'inputs', before, before.size > 0);
+
+      // Failure handlers run after the step, so they may reference it
+      const after = new Set(before).add(step.id);
+      for (const key of ['on_failure', 'on_quality_fail']) {
+        this.validateExpressions(WorkflowEngine.normalizeHandler(step[key]).inputs, step.id, `${key}.inputs`, after, true);
+      }
+
+      if (Array.isArray(step.parallel)) {
+        if (groupId) {
+          throw new Error(`Nested parallel groups are not supported ("${step.id}" inside "${groupId}")`);
+        }
+        this.validateSteps(step.parallel, step.id, new Set(declared));
+        step.parallel.forEach((member: any) => declared.add(member.id));
+      }
+
+      declared.add(step.id);
+    }
+  }
+
+  /**
+   * Check every `${...}` string inside a step's inputs, naming the step and
+   * input in the error
+   */
+  private validateExpressions(value: any, stepId: string, location: string, available: Set<string>, hasPrevious: boolean) {
+    if (ExpressionResolver.isTemplate(value)) {
+      try {
+        this.expressions.validate(value, available, hasPrevious);
+      } catch (error) {
+        if (error instanceof InputExpressionError) {
+          error.message = `Step "${stepId}" ${location}: ${error.message}`;
+        }
+        throw error;
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => this.validateExpressions(item, stepId, `${location}[${index}]`, available, hasPrevious));
+    } else if (value && typeof value === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        this.validateExpressions(item, stepId, `${location}.${key}`, available, hasPrevious);
+      }
+    }
+  }
+
+  /**
+   * Fail before any step runs when the workflow uses actions the registry
+   * doesn't provide, rather than silently skipping those steps
+   */
+  private assertActionsRegistered(workflowName: string, steps: any[]) {
+    const unregistered = this.findUnregisteredActions(steps);
+    if (unregistered.length > 0) {
+      throw new UnregisteredActionError(workflowName, unregistered);
+    }
+  }
+
+  /**
+   * Actions of steps and failure handlers that have no registered tool.
+   * Steps marked `required: false` are exempt; they are skipped at runtime.
+   */
+  private findUnregisteredActions(steps: any[]): string[] {
+    const missing = new Set<string>();
+    const check = (action?: string) => {
+      if (action && !this.registry.getTool(action)) {
+        missing.add(action);
+      }
+    };
+
+    for (const step of steps || []) {
+      if (Array.isArray(step.parallel)) {
+        this.findUnregisteredActions(step.parallel).forEach(action => missing.add(action));
+        continue;
+      }
+      if (step.required === false) {
+        continue;
+      }
+      check(step.action);
+      check(WorkflowEngine.normalizeHandler(step.on_failure).action);
+      check(WorkflowEngine.normalizeHandler(step.on_quality_fail).action);
+    }
+
+    return [...missing];
+  }
+
+  /**
+   * Check a step's `when:` clause against the current context
+   */
+  private shouldRun(step: any, context: any = this.context): boolean {
+    if (step.when === undefined) {
+      return true;
+    }
+
+    const run = this.conditions.evaluate(
+      typeof step.when === 'boolean' ? step.when : String(step.when),
+      context
+    );
+
+    if (!run) {
+      this.logger.info('Step condition not met, skipping', {
+        workflowId: this.workflowId,
+        stepId: step.id,
+        when: step.when
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * Run the steps of a `parallel:` group concurrently.
+   * Each member keeps its own when/retry/timeout/on_failure settings and runs
+   * against its own copy of the context, so members never see each other's
+   * writes. Once all members settle, their results are merged back into the
+   * context under each member's id and under the group id.
+   */
+  private async executeParallelGroup(group: any, previousStepId: string | null): Promise<boolean> {
+    if (!this.shouldRun(group)) {
+      return false;
+    }
+
+    this.logger.info('Executing parallel group', {
+      workflowId: this.workflowId,
+      groupId: group.id,
+      steps: group.parallel.map((step: any) => step.id)
+    });
+
+    // On resume, members that finished before the failure keep their results
+    const members = group.parallel.filter((step: any) => !this.completedSteps.has(step.id));
+    const scopes = members.map(() => ({ ...this.context }));
+    const outcomes = await Promise.allSettled(
+      members.map((step: any, index: number) => this.executeStep(step, previousStepId, scopes[index]))
+    );
+
+    // Merge in declaration order; members that succeeded stay completed even
+    // if a sibling failed, so a resume only re-runs the failed ones
+    for (const [index, step] of members.entries()) {
+      const outcome = outcomes[index];
+      if (outcome.status === 'fulfilled' && outcome.value) {
+        this.context[step.id] = scopes[index][step.id];
+        await this.markStepCompleted(step.id);
+      }
+    }
+
+    const rejected = outcomes.find(outcome => outcome.status === 'rejected') as PromiseRejectedResult | undefined;
+    if (rejected) {
+      throw rejected.reason;
+    }
+
+    const groupResult: any = {};
+    for (const step of group.parallel) {
+      if (step.id in this.context) {
+        groupResult[step.id] = this.context[step.id];
+      }
+    }
+    this.context[group.id] = groupResult;
+
+    await this.markStepCompleted(group.id);
+
+    return true;
+  }
+
+  /**
+   * Execute a single step
+   * @param context - The context the step reads and writes; parallel group
+   *   members pass their own copy and are recorded as completed by the group
+   * @returns true if the step ran (or failed with a continuing on_failure handler)
+   */
+  private async executeStep(step: any, previousStepId: string | null, context: any = this.context): Promise<boolean> {
+    if (!this.shouldRun(step, context)) {
+      return false;
+    }
+
     this.logger.info('Executing step', {
       workflowId: this.workflowId,
       stepId: step.id,
@@ -101,89 +509,377 @@ export class WorkflowEngine {
       action: step.action
     });
 
-    const inputs = this.resolveInputs(step.inputs, previousStepId);
+    if (!step.action) {
+      this.logger.warn('Step has no action, skipping', {
+        workflowId: this.workflowId,
+        stepId: step.id
+      });
+      return false;
+    }
+
+    const inputs = this.resolveInputs(step.inputs, previousStepId, context);
     const toolFn = this.registry.getTool(step.action);
 
+    // Only reachable for `required: false` steps; others fail validation up front
     if (!toolFn) {
-      this.logger.warn('Tool not found, skipping step', {
+      this.logger.warn('Tool not found, skipping optional step', {
         workflowId: this.workflowId,
         stepId: step.id,
         action: step.action
       });
-      return;
+      return false;
+    }
+
+    let result: any;
+    const startTime = Date.now();
+
+    try {
+      const retry = WorkflowEngine.resolveRetryPolicy(step.retry, null, this.defaultRetry);
+      const toolContext = this.createToolContext(step.id);
+      result = await this.runWithRetry(step, retry, () => this.runWithTimeout(step, () => toolFn(inputs, toolContext)));
+    } catch (error) {
+      this.logger.error('Step failed', {
+        workflowId: this.workflowId,
+        stepId: step.id,
+        action: step.action,
+        error: (error as Error).message,
+        stack: (error as Error).stack
+      });
+
+      if (step.on_failure && await this.handleStepFailure(step, error as Error, context)) {
+        return true;
+      }
+
+      // Record step failure
+      await this.stateManager.failWorkflow(this.workflowId!, step.id, error as Error);
+      throw error;
+    }
+
+    const duration = Date.now() - startTime;
+    context[step.id] = result;
+
+    // Persist state after each successful step
+    if (context === this.context) {
+      await this.markStepCompleted(step.id);
+    }
+
+    this.logger.info('Step completed', {
+      workflowId: this.workflowId,
+      stepId: step.id,
+      durationMs: duration,
+      resultKeys: result && typeof result === 'object' ? Object.keys(result) : []
+    });
+
+    if (step.on_quality_fail && result?.quality_passed === false) {
+      await this.handleQualityFailure(step, result, context);
+    }
+
+    return true;
+  }
+
+  /**
+   * Persist the context and record the step as completed for resume
+   */
+  private async markStepCompleted(stepId: string) {
+    this.completedSteps.add(stepId);
+    await this.stateManager.updateStepCompleted(this.workflowId!, stepId, this.context);
+  }
+
+  /**
+   * Tool context for one step. `once` results are keyed "<step_id>:<key>"
+   * and survive retries within the run as well as resumes.
+   */
+  private createToolContext(stepId: string): ToolContext {
+    const workflowId = this.workflowId!;
+
+    return {
+      workflowId,
+      stepId,
+      once: async <T>(key: string, fn: () => Promise<T>): Promise<T> => {
+        const ledgerKey = `${stepId}:${key}`;
+        if (ledgerKey in this.sideEffects) {
+          this.logger.info('Replaying recorded side effect', { workflowId, stepId, key });
+          return this.sideEffects[ledgerKey] as T;
+        }
+
+        const result = await fn();
+        this.sideEffects[ledgerKey] = result ?? null;
+        await this.stateManager.recordSideEffect(workflowId, ledgerKey, result);
+        return result;
+      }
+    };
+  }
+
+  /**
+   * Retry a step with exponential backoff
+   */
+  private async runWithRetry(step: any, policy: RetryPolicy, fn: () => Promise<any>): Promise<any> {
+    let delay = policy.backoffMs;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        const retryable = !NON_RETRYABLE_ERRORS.includes((error as Error).name);
+        if (!retryable || attempt >= policy.maxAttempts) {
+          throw error;
+        }
+
+        this.logger.warn('Step attempt failed, retrying', {
+          workflowId: this.workflowId,
+          stepId: step.id,
+          attempt,
+          maxAttempts: policy.maxAttempts,
+          retryInMs: delay,
+          error: (error as Error).message
+        });
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * policy.multiplier, policy.maxBackoffMs);
+      }
     }
+  }
+
+  /**
+   * Enforce `timeout_ms` on a single attempt.
+   * The tool call itself is not cancelled; its late result is discarded.
+   */
+  private async runWithTimeout(step: any, fn: () => Promise<any>): Promise<any> {
+    const timeoutMs = Number(step.timeout_ms);
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+      return fn();
+    }
+
+    let timer: NodeJS.Timeout | undefined;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new StepTimeoutError(step.id, timeoutMs)), timeoutMs);
+    });
 
     try {
-      const startTime = Date.now();
-      const result = await toolFn(inputs);
-      const duration = Date.now() - startTime;
+      return await Promise.race([fn(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a step's on_failure handler
+   * @returns true if the workflow should continue past the failed step
+   */
+  private async handleStepFailure(step: any, error: Error, context: any = this.context): Promise<boolean> {
+    const handler = WorkflowEngine.normalizeHandler(step.on_failure);
+
+    const fallbackResult = await this.runHandler(step, handler, context, {
+      step_id: step.id,
+      failed_action: step.action,
+      error: error.message
+    });
+
+    if (!handler.continue) {
+      return false;
+    }
+
+    context[step.id] = {
+      failed: true,
+      error: error.message,
+      handled_by: handler.action || null,
+      fallback_result: fallbackResult
+    };
+
+    if (context === this.context) {
+      await this.markStepCompleted(step.id);
+    }
+
+    this.logger.warn('Step failure handled, continuing workflow', {
+      workflowId: this.workflowId,
+      stepId: step.id,
+      handler: handler.action
+    });
+
+    return true;
+  }
+
+  /**
+   * Run a step's on_quality_fail handler when its result reports quality_passed: false
+   */
+  private async handleQualityFailure(step: any, result: any, context: any = this.context) {
+    const handler = WorkflowEngine.normalizeHandler(step.on_quality_fail);
+
+    await this.runHandler(step, handler, context, {
+      step_id: step.id,
+      quality_score: result.quality_score,
+      issues_found: result.issues_found
+    });
 
-      this.context[step.id] = result;
+    if (!handler.continue) {
+      const error = new Error(handler.message || `Quality check failed at step "${step.id}"`);
+      await this.stateManager.failWorkflow(this.workflowId!, step.id, error);
+      throw error;
+    }
+  }
 
-      // Persist state after each successful step
-      await this.stateManager.updateStepCompleted(
-        this.workflowId!,
-        step.id,
-        this.context
-      );
+  /**
+   * Invoke a fallback action from on_failure / on_quality_fail.
+   * Handler errors are logged, never thrown, so they can't mask the original failure.
+   */
+  private async runHandler(step: any, handler: any, context: any, details: Record<string, unknown>): Promise<any> {
+    if (!handler.action) {
+      return null;
+    }
 
-      this.logger.info('Step completed', {
+    const handlerFn = this.registry.getTool(handler.action);
+    if (!handlerFn) {
+      this.logger.error('Failure handler tool not found', {
         workflowId: this.workflowId,
         stepId: step.id,
-        durationMs: duration,
-        resultKeys: result && typeof result === 'object' ? Object.keys(result) : []
+        action: handler.action
       });
-    } catch (error) {
-      // Record step failure
-      await this.stateManager.failWorkflow(this.workflowId!, step.id, error as Error);
+      return null;
+    }
 
-      this.logger.error('Step failed', {
+    try {
+      return await handlerFn({
+        ...this.resolveInputs(handler.inputs, step.id, context),
+        ...details,
+        workflow_id: this.workflowId,
+        workflow_name: this.workflowName,
+        message: handler.message
+      });
+    } catch (handlerError) {
+      this.logger.error('Failure handler threw', {
         workflowId: this.workflowId,
         stepId: step.id,
-        action: step.action,
-        error: (error as Error).message,
-        stack: (error as Error).stack
+        action: handler.action,
+        error: (handlerError as Error).message
       });
-      throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Accept `on_failure: action_name` shorthand as well as the object form
+   */
+  static normalizeHandler(handler: any): { action?: string; continue?: boolean; message?: string; inputs?: any } {
+    if (typeof handler === 'string') {
+      return { action: handler };
+    }
+    return handler || {};
+  }
+
+  /**
+   * Resolve a step's retry policy.
+   *
+   * Step-level `retry:` accepts a number of attempts, `false` to disable, or
+   * `{ max_attempts, backoff_ms, backoff_multiplier, max_backoff_ms }`.
+   * Without one, the workflow's `error_handling.on_api_failure` block applies
+   * when its action is `retry_with_backoff`.
+   */
+  static resolveRetryPolicy(stepRetry: any, errorHandling?: any, fallback: RetryPolicy = NO_RETRY): RetryPolicy {
+    const positive = (value: any, defaultValue: number) => {
+      const num = Number(value);
+      return Number.isFinite(num) && num > 0 ? num : defaultValue;
+    };
+
+    if (stepRetry === false) {
+      return NO_RETRY;
+    }
+
+    if (typeof stepRetry === 'number') {
+      return {
+        maxAttempts: Math.floor(positive(stepRetry, 1)),
+        backoffMs: DEFAULT_BACKOFF_MS,
+        multiplier: 2,
+        maxBackoffMs: DEFAULT_MAX_BACKOFF_MS
+      };
     }
+
+    if (stepRetry && typeof stepRetry === 'object') {
+      return {
+        maxAttempts: Math.floor(positive(stepRetry.max_attempts, 1)),
+        backoffMs: positive(stepRetry.backoff_ms, DEFAULT_BACKOFF_MS),
+        multiplier: positive(stepRetry.backoff_multiplier, 2),
+        maxBackoffMs: positive(stepRetry.max_backoff_ms, DEFAULT_MAX_BACKOFF_MS)
+      };
+    }
+
+    const onApiFailure = errorHandling?.on_api_failure;
+    if (onApiFailure?.action === 'retry_with_backoff') {
+      return {
+        maxAttempts: Math.floor(positive(onApiFailure.max_retries, 0)) + 1,
+        backoffMs: positive(onApiFailure.backoff_ms, DEFAULT_BACKOFF_MS),
+        multiplier: positive(onApiFailure.backoff_multiplier, 2),
+        maxBackoffMs: positive(onApiFailure.max_backoff_ms, DEFAULT_MAX_BACKOFF_MS)
+      };
+    }
+
+    return fallback;
   }
 
-  private resolveInputs(yamlInputs: any, previousStepId: string | null): any {
+  private resolveInputs(yamlInputs: any, previousStepId: string | null, context: any = this.context): any {
     if (!yamlInputs) return {};
     const resolved: any = {};
 
+    // List form (used by reactive flows): each name is read from context;
+    // "<name>_from_previous_step" binds <name> to the previous step's result
+    if (Array.isArray(yamlInputs)) {
+      for (const item of yamlInputs) {
+        if (typeof item === 'string') {
+          if (item.endsWith('_from_previous_step')) {
+            resolved[item.slice(0, -'_from_previous_step'.length)] = previousStepId ? context[previousStepId] : undefined;
+          } else {
+            resolved[item] = context[item];
+          }
+        } else if (item && typeof item === 'object') {
+          Object.assign(resolved, this.resolveInputs(item, previousStepId, context));
+        }
+      }
+      return resolved;
+    }
+
     for (const [key, value] of Object.entries(yamlInputs)) {
-      if (typeof value === 'string') {
+      if (ExpressionResolver.isTemplate(value)) {
+        // Handle: "${steps.enrich-contacts[0].email}" expressions
+        resolved[key] = this.resolveExpression(value, previousStepId, context);
+      } else if (typeof value === 'string') {
         // Handle: from_previous_step
         if (value === 'from_previous_step' && previousStepId) {
-          resolved[key] = this.context[previousStepId];
+          resolved[key] = context[previousStepId];
         }
         // Handle: from_step_define-icp or from_icp_profile (step references)
         else if (value.startsWith('from_')) {
-          const sourceStepId = value.replace('from_step_', '').replace('from_', '');
+          // Strip only the prefix; step ids may themselves contain "from_"
+          const source = value.startsWith('from_step_') ? value.slice('from_step_'.length) : value.slice('from_'.length);
 
-          // Handle dotted notation: from_step.property
-          if (sourceStepId.includes('.')) {
-            const [stepId, prop] = sourceStepId.split('.');
-            resolved[key] = this.context[stepId]?.[prop];
-          } else {
-            resolved[key] = this.context[sourceStepId];
-          }
+          // Handle dotted notation: from_step.property.nested
+          resolved[key] = resolvePath(context, source.split('.'));
         } else {
           resolved[key] = value;
         }
       } else if (Array.isArray(value)) {
         // Recursively resolve arrays
-        resolved[key] = value.map(item =>
-          typeof item === 'object' ? this.resolveInputs(item, previousStepId) : item
-        );
+        resolved[key] = value.map(item => {
+          if (ExpressionResolver.isTemplate(item)) return this.resolveExpression(item, previousStepId, context);
+          return typeof item === 'object' ? this.resolveInputs(item, previousStepId, context) : item;
+        });
       } else if (typeof value === 'object' && value !== null) {
         // Recursively resolve nested objects
-        resolved[key] = this.resolveInputs(value, previousStepId);
+        resolved[key] = this.resolveInputs(value, previousStepId, context);
       } else {
         resolved[key] = value;
       }
     }
     return resolved;
   }
+
+  /**
+   * Evaluate a `${...}` input against step results, workflow inputs and the
+   * previous step's result
+   */
+  private resolveExpression(template: string, previousStepId: string | null, context: any = this.context): unknown {
+    return this.expressions.resolve(template, {
+      steps: context,
+      inputs: this.inputs,
+      previous: previousStepId ? context[previousStepId] : undefined
+    });
+  }
 }
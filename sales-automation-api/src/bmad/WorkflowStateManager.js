@@ -4,6 +4,14 @@ import { safeJsonParse } from '../utils/prototype-protection.js';
 
 const logger = createLogger('WorkflowStateManager');
 
+// JSONB comes back parsed from pg; tolerate string values and pre-migration rows
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  return typeof value === 'string' ? (safeJsonParse(value) ?? fallback) : value;
+}
+
 /**
  * Manages workflow execution state persistence for crash recovery and auditing
  */
@@ -36,12 +44,19 @@ export class WorkflowStateManager {
 
   /**
    * Update workflow state after step completion
+   * The step is also appended to completed_steps so a resumed run can skip it.
    */
   async updateStepCompleted(workflowId, stepId, context) {
     try {
       await sequelize.query(`
         UPDATE workflow_states
-        SET context = $1, current_step = $2, updated_at = NOW()
+        SET context = $1,
+            current_step = $2,
+            completed_steps = CASE
+              WHEN completed_steps @> jsonb_build_array($2::text) THEN completed_steps
+              ELSE completed_steps || jsonb_build_array($2::text)
+            END,
+            updated_at = NOW()
         WHERE id = $3
       `, {
         bind: [JSON.stringify(context), stepId, workflowId]
@@ -58,6 +73,32 @@ export class WorkflowStateManager {
     }
   }
 
+  /**
+   * Record the result of an external side effect (campaign created, contacts
+   * upserted) so a resumed run replays it instead of repeating it
+   */
+  async recordSideEffect(workflowId, key, result) {
+    try {
+      await sequelize.query(`
+        UPDATE workflow_states
+        SET side_effects = side_effects || jsonb_build_object($1::text, $2::jsonb),
+            updated_at = NOW()
+        WHERE id = $3
+      `, {
+        bind: [key, JSON.stringify(result ?? null), workflowId]
+      });
+
+      logger.debug('Workflow side effect recorded', { workflowId, key });
+    } catch (error) {
+      logger.error('Failed to record workflow side effect', {
+        workflowId,
+        key,
+        error: error.message
+      });
+      // Don't throw - the side effect already happened
+    }
+  }
+
   /**
    * Mark workflow as completed
    */
@@ -151,6 +192,9 @@ export class WorkflowStateManager {
         // PERF-004 FIX: Use safeJsonParse to prevent prototype pollution
         context: typeof state.context === 'string' ? safeJsonParse(state.context) : state.context,
         currentStep: state.current_step,
+        completedSteps: parseJsonColumn(state.completed_steps, []),
+        sideEffects: parseJsonColumn(state.side_effects, {}),
+        resumeCount: state.resume_count || 0,
         error: state.error,
         startedAt: state.started_at,
         completedAt: state.completed_at
@@ -166,6 +210,8 @@ export class WorkflowStateManager {
 
   /**
    * Resume workflow from last successful step
+   * Marks the run as running again and returns what the engine needs to
+   * rehydrate it: context, completed steps and recorded side effects.
    */
   async resumeWorkflow(workflowId) {
     const state = await this.getWorkflowState(workflowId);
@@ -178,15 +224,29 @@ export class WorkflowStateManager {
       throw new Error(`Workflow ${workflowId} already completed`);
     }
 
+    await sequelize.query(`
+      UPDATE workflow_states
+      SET status = 'running', error = NULL, completed_at = NULL,
+          resume_count = resume_count + 1, updated_at = NOW()
+      WHERE id = $1
+    `, {
+      bind: [workflowId]
+    });
+
     logger.info('Resuming workflow', {
       workflowId,
+      workflowName: state.workflowName,
       lastStep: state.currentStep,
+      completedSteps: state.completedSteps.length,
       status: state.status
     });
 
     return {
-      context: state.context,
-      lastStep: state.currentStep
+      workflowName: state.workflowName,
+      context: state.context || {},
+      lastStep: state.currentStep,
+      completedSteps: state.completedSteps,
+      sideEffects: state.sideEffects
     };
   }
 
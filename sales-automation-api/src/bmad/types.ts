@@ -7,7 +7,21 @@ export interface WorkflowMetadata {
   title: string;
   description: string;
   version: string;
-  execution_mode: 'sequential' | 'parallel';
+  execution_mode: 'sequential' | 'parallel' | 'reactive';
+}
+
+export interface WorkflowFailureHandler {
+  action?: string;
+  continue?: boolean;
+  message?: string;
+  inputs?: Record<string, unknown>;
+}
+
+export interface WorkflowRetryPolicy {
+  max_attempts?: number;
+  backoff_ms?: number;
+  backoff_multiplier?: number;
+  max_backoff_ms?: number;
 }
 
 export interface WorkflowStep {
@@ -16,23 +30,59 @@ export interface WorkflowStep {
   agent: string;
   action: string;
   description: string;
-  inputs?: Record<string, unknown>;
+  inputs?: Record<string, unknown> | Array<string | Record<string, unknown>>;
   required?: boolean;
+  when?: string | boolean;
+  retry?: number | false | WorkflowRetryPolicy;
+  timeout_ms?: number;
+  on_failure?: string | WorkflowFailureHandler;
+  on_quality_fail?: string | WorkflowFailureHandler;
+  parallel?: WorkflowStep[];
 }
 
 export interface WorkflowDocument {
   workflow: {
     metadata: WorkflowMetadata;
     steps: WorkflowStep[];
+    triggers?: WorkflowTrigger[];
+    flows?: Record<string, WorkflowFlow>;
   };
 }
 
+/**
+ * Reactive workflow trigger: fires `handler` for CampaignEvents whose type is
+ * listed in `on` and whose `condition` holds
+ */
+export interface WorkflowTrigger {
+  event: string;
+  handler: string;
+  priority: string;
+  on: string[];
+  condition?: string | boolean;
+}
+
+export interface WorkflowFlow {
+  description?: string;
+  steps: WorkflowStep[];
+}
+
 export interface WorkflowContext {
   [stepId: string]: unknown;
 }
 
+/**
+ * Passed to tools as their second argument while a workflow runs.
+ * `once(key, fn)` runs an external side effect at most once per step and run:
+ * the result is recorded in workflow_states and replayed on retry or resume.
+ */
+export interface ToolContext {
+  workflowId: string;
+  stepId: string;
+  once<T>(key: string, fn: () => Promise<T>): Promise<T>;
+}
+
 export type ToolFunction<TInput = unknown, TOutput = unknown> =
-  (inputs: TInput) => Promise<TOutput>;
+  (inputs: TInput, context?: ToolContext) => Promise<TOutput>;
 
 export interface WorkflowState {
   id: string;
@@ -40,6 +90,9 @@ export interface WorkflowState {
   status: 'running' | 'completed' | 'failed';
   context: WorkflowContext;
   currentStep: string | null;
+  completedSteps: string[];
+  sideEffects: Record<string, unknown>;
+  resumeCount: number;
   error: string | null;
   startedAt: Date;
   completedAt: Date | null;
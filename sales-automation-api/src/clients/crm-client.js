@@ -0,0 +1,182 @@
+/**
+ * CRM Client Interface
+ * Abstract base class for CRM clients (HubSpot, Salesforce)
+ *
+ * CRMSyncWorker only talks to this interface. Method names follow HubSpot's
+ * vocabulary; each implementation maps them onto its own objects:
+ *
+ *   contact  -> HubSpot contact, Salesforce Contact
+ *   company  -> HubSpot company, Salesforce Account
+ *   deal     -> HubSpot deal,    Salesforce Opportunity
+ *   note     -> HubSpot note,    Salesforce completed Task
+ *   task     -> HubSpot task,    Salesforce Task
+ *
+ * Like the HubSpot client, methods resolve to { success: true, ... } or
+ * { success: false, error } instead of throwing on API errors.
+ */
+
+export class CRMClient {
+  /**
+   * CRM name (e.g., 'hubspot', 'salesforce')
+   * Selects the field mapping in config/crm-field-mapping.js
+   * @type {string}
+   */
+  get name() {
+    throw new Error('CRMClient.name must be implemented');
+  }
+
+  // ============================================================================
+  // CONTACTS
+  // ============================================================================
+
+  /**
+   * Find a contact by email
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} { success, found, contact: { id, ... } | null }
+   */
+  async findContactByEmail(email) {
+    throw new Error('CRMClient.findContactByEmail() must be implemented');
+  }
+
+  /**
+   * Create a contact
+   * @param {Object} properties - CRM contact fields
+   * @returns {Promise<Object>} { success, contact, contactId }
+   */
+  async createContact(properties) {
+    throw new Error('CRMClient.createContact() must be implemented');
+  }
+
+  /**
+   * Update a contact
+   * @param {string} contactId - Contact ID
+   * @param {Object} properties - CRM contact fields to update
+   * @returns {Promise<Object>} { success, contact }
+   */
+  async updateContact(contactId, properties) {
+    throw new Error('CRMClient.updateContact() must be implemented');
+  }
+
+  /**
+   * Create or update contacts by email in as few API calls as possible
+   * @param {Array<Object>} contacts - CRM contact fields (each with the email field)
+   * @returns {Promise<Object>} { success, results, count }
+   */
+  async batchUpsertContacts(contacts) {
+    throw new Error('CRMClient.batchUpsertContacts() must be implemented');
+  }
+
+  // ============================================================================
+  // COMPANIES (ACCOUNTS)
+  // ============================================================================
+
+  /**
+   * Find a company by website domain
+   * @param {string} domain - Company domain
+   * @returns {Promise<Object>} { success, found, company: { id, ... } | null }
+   */
+  async findCompanyByDomain(domain) {
+    throw new Error('CRMClient.findCompanyByDomain() must be implemented');
+  }
+
+  /**
+   * Create a company
+   * @param {Object} properties - CRM company fields
+   * @returns {Promise<Object>} { success, company, companyId }
+   */
+  async createCompany(properties) {
+    throw new Error('CRMClient.createCompany() must be implemented');
+  }
+
+  /**
+   * Update a company
+   * @param {string} companyId - Company ID
+   * @param {Object} properties - CRM company fields to update
+   * @returns {Promise<Object>} { success, company }
+   */
+  async updateCompany(companyId, properties) {
+    throw new Error('CRMClient.updateCompany() must be implemented');
+  }
+
+  /**
+   * Link a contact to its company
+   * @returns {Promise<Object>} { success }
+   */
+  async associateContactToCompany(contactId, companyId) {
+    throw new Error('CRMClient.associateContactToCompany() must be implemented');
+  }
+
+  // ============================================================================
+  // DEALS (OPPORTUNITIES)
+  // ============================================================================
+
+  /**
+   * Create a deal
+   * @param {Object} properties - CRM deal fields
+   * @returns {Promise<Object>} { success, deal, dealId }
+   */
+  async createDeal(properties) {
+    throw new Error('CRMClient.createDeal() must be implemented');
+  }
+
+  /**
+   * Update a deal
+   * @returns {Promise<Object>} { success, deal }
+   */
+  async updateDeal(dealId, properties) {
+    throw new Error('CRMClient.updateDeal() must be implemented');
+  }
+
+  /**
+   * Link a contact to a deal
+   * @returns {Promise<Object>} { success }
+   */
+  async associateContactToDeal(contactId, dealId) {
+    throw new Error('CRMClient.associateContactToDeal() must be implemented');
+  }
+
+  // ============================================================================
+  // TASKS & ACTIVITY
+  // ============================================================================
+
+  /**
+   * Log a note on a record
+   * @param {Object} noteData
+   * @param {string} noteData.body - Note text
+   * @param {string|Date} [noteData.timestamp] - When the activity happened (defaults to now)
+   * @param {string} noteData.associatedObjectType - 'contact', 'company' or 'deal'
+   * @param {string} noteData.associatedObjectId - Record ID
+   * @returns {Promise<Object>} { success, note, noteId }
+   */
+  async createNote(noteData) {
+    throw new Error('CRMClient.createNote() must be implemented');
+  }
+
+  /**
+   * Create a follow-up task
+   * @param {Object} taskData - { subject, body, status, priority, dueDate, ownerId, associatedObjectType, associatedObjectId }
+   * @returns {Promise<Object>} { success, task, taskId }
+   */
+  async createTask(taskData) {
+    throw new Error('CRMClient.createTask() must be implemented');
+  }
+
+  /**
+   * Log a sent email on a contact
+   * @param {Object} emailData - { subject, body, status, toEmail, fromEmail, contactId }
+   * @returns {Promise<Object>} { success, email, emailId }
+   */
+  async logEmail(emailData) {
+    throw new Error('CRMClient.logEmail() must be implemented');
+  }
+
+  /**
+   * Check API connectivity
+   * @returns {Promise<Object>} { success, status: 'healthy' | 'unhealthy' }
+   */
+  async healthCheck() {
+    throw new Error('CRMClient.healthCheck() must be implemented');
+  }
+}
+
+export default CRMClient;
@@ -22,9 +22,12 @@ import axios from 'axios';
 import axiosRetry from 'axios-retry';
 import { createLogger } from '../utils/logger.js';
 import { createCircuitBreaker } from '../utils/circuit-breaker.js';
+import { CRMClient } from './crm-client.js';
 
-export class HubSpotClient {
+export class HubSpotClient extends CRMClient {
   constructor(config = {}) {
+    super();
+
     const apiKey = config.apiKey || process.env.HUBSPOT_API_TOKEN || process.env.HUBSPOT_API_KEY;
 
     if (!apiKey) {
@@ -119,6 +122,10 @@ export class HubSpotClient {
     );
   }
 
+  get name() {
+    return 'hubspot';
+  }
+
   // PHASE 3 FIX (P3.6): Helper method to make circuit-protected API calls
   async _makeRequest(method, url, data = null, config = {}) {
     const requestConfig = {
@@ -228,10 +235,11 @@ export class HubSpotClient {
    */
   async searchContacts(searchParams) {
     try {
-      const { filterGroups, properties, limit = 100, after } = searchParams;
+      const { filterGroups, sorts, properties, limit = 100, after } = searchParams;
 
       const response = await this.client.post('/crm/v3/objects/contacts/search', {
         filterGroups: filterGroups || [],
+        sorts: sorts || [],
         properties: properties || [],
         limit,
         after,
@@ -311,6 +319,27 @@ export class HubSpotClient {
     }
   }
 
+  /**
+   * Permanently delete a contact and its email history (GDPR delete)
+   * HubSpot also blocks the address from being re-added to the portal.
+   * @param {string} contactId - Contact ID
+   * @returns {Promise<Object>} Delete result
+   */
+  async gdprDeleteContact(contactId) {
+    try {
+      await this._makeRequest('post', '/crm/v3/objects/contacts/gdpr-delete', {
+        objectId: contactId,
+      });
+
+      return {
+        success: true,
+        contactId,
+      };
+    } catch (error) {
+      return this._handleError('gdprDeleteContact', error);
+    }
+  }
+
   /**
    * Batch create or update contacts
    * @param {Array} contacts - Array of contact objects
@@ -392,10 +421,11 @@ export class HubSpotClient {
    */
   async searchCompanies(searchParams) {
     try {
-      const { filterGroups, properties, limit = 100, after } = searchParams;
+      const { filterGroups, sorts, properties, limit = 100, after } = searchParams;
 
       const response = await this.client.post('/crm/v3/objects/companies/search', {
         filterGroups: filterGroups || [],
+        sorts: sorts || [],
         properties: properties || [],
         limit,
         after,
@@ -499,6 +529,50 @@ export class HubSpotClient {
     }
   }
 
+  /**
+   * Get deal by ID
+   * @param {string} dealId - Deal ID
+   * @param {Array} properties - Properties to retrieve
+   * @returns {Promise<Object>} Deal details
+   */
+  async getDeal(dealId, properties = []) {
+    try {
+      const params = properties.length > 0 ? { properties: properties.join(',') } : {};
+
+      const response = await this.client.get(
+        `/crm/v3/objects/deals/${dealId}`,
+        { params }
+      );
+
+      return {
+        success: true,
+        deal: response.data,
+      };
+    } catch (error) {
+      return this._handleError('getDeal', error);
+    }
+  }
+
+  /**
+   * Get a deal pipeline with its stages
+   * Stages carry displayOrder and metadata.isClosed for pipeline progression.
+   * @param {string} pipelineId - Pipeline ID ('default' for the standard pipeline)
+   * @returns {Promise<Object>} Pipeline with stages
+   */
+  async getDealPipeline(pipelineId) {
+    try {
+      const response = await this.client.get(`/crm/v3/pipelines/deals/${pipelineId}`);
+
+      return {
+        success: true,
+        pipeline: response.data,
+        stages: response.data.stages || [],
+      };
+    } catch (error) {
+      return this._handleError('getDealPipeline', error);
+    }
+  }
+
   // ============================================================================
   // ASSOCIATIONS
   // ============================================================================
@@ -559,6 +633,34 @@ export class HubSpotClient {
     }
   }
 
+  /**
+   * Associate company with deal
+   * @param {string} companyId - Company ID
+   * @param {string} dealId - Deal ID
+   * @returns {Promise<Object>} Association result
+   */
+  async associateCompanyToDeal(companyId, dealId) {
+    try {
+      const response = await this.client.put(
+        `/crm/v4/objects/companies/${companyId}/associations/deals/${dealId}`,
+        [
+          {
+            associationCategory: 'HUBSPOT_DEFINED',
+            associationTypeId: 342, // Company to Deal association type
+          },
+        ]
+      );
+
+      return {
+        success: true,
+        message: 'Company associated with deal',
+        result: response.data,
+      };
+    } catch (error) {
+      return this._handleError('associateCompanyToDeal', error);
+    }
+  }
+
   /**
    * Get contact's associations
    * @param {string} contactId - Contact ID
@@ -592,12 +694,14 @@ export class HubSpotClient {
    */
   async createNote(noteData) {
     try {
-      const { body, ownerId, associatedObjectType, associatedObjectId } = noteData;
+      const { body, ownerId, timestamp, associatedObjectType, associatedObjectId } = noteData;
 
       const response = await this.client.post('/crm/v3/objects/notes', {
         properties: {
           hs_note_body: body,
           hubspot_owner_id: ownerId,
+          // Activity time on the timeline (defaults to now)
+          hs_timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
         },
         associations: associatedObjectId
           ? [
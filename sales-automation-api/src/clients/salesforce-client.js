@@ -0,0 +1,883 @@
+/**
+ * Salesforce Client - Sales Automation Integration
+ *
+ * Implements the CRMClient interface on the Salesforce REST API so
+ * CRMSyncWorker can sync enriched contacts to Salesforce orgs the same way it
+ * syncs to HubSpot.
+ *
+ * Object mapping:
+ * - contact -> Contact (deduplicated by Email)
+ * - company -> Account (deduplicated by Website domain)
+ * - deal    -> Opportunity (contacts linked with OpportunityContactRole)
+ * - task    -> open Task; notes and logged emails -> completed Task
+ *
+ * Authentication (first match wins):
+ * - SALESFORCE_ACCESS_TOKEN + SALESFORCE_INSTANCE_URL: pre-issued token
+ * - SALESFORCE_CLIENT_ID/SECRET + SALESFORCE_USERNAME/PASSWORD: OAuth
+ *   username-password flow (append the security token to the password)
+ * - SALESFORCE_CLIENT_ID/SECRET only: OAuth client credentials flow
+ *   (SALESFORCE_LOGIN_URL must be the org's My Domain URL)
+ * Tokens from an OAuth flow are renewed once when a request returns 401.
+ *
+ * E2E Mock Mode (E2E_MOCK_EXTERNAL_APIS=true): records are kept in memory, so
+ * sync flows run offline with real dedupe/update behaviour.
+ */
+
+import axios from 'axios';
+import axiosRetry from 'axios-retry';
+import { createLogger } from '../utils/logger.js';
+import { createCircuitBreaker } from '../utils/circuit-breaker.js';
+import { CRMClient } from './crm-client.js';
+
+const DEFAULT_API_VERSION = 'v59.0';
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+const DEFAULT_OPPORTUNITY_STAGE = 'Prospecting';
+const DEFAULT_CLOSE_DAYS = 30;
+
+// sObject Collections accept at most 200 records per request
+const COLLECTION_LIMIT = 200;
+
+// Candidate Accounts fetched per domain lookup before exact hostname matching
+const DOMAIN_CANDIDATES = 20;
+
+const CONTACT_FIELDS = ['Id', 'Email', 'FirstName', 'LastName', 'Title', 'AccountId'];
+const ACCOUNT_FIELDS = ['Id', 'Name', 'Website', 'Industry'];
+
+// HubSpot-style task values -> Salesforce picklist values
+const TASK_STATUSES = {
+  NOT_STARTED: 'Not Started',
+  IN_PROGRESS: 'In Progress',
+  WAITING: 'Waiting on someone else',
+  COMPLETED: 'Completed',
+  DEFERRED: 'Deferred',
+};
+
+const TASK_PRIORITIES = {
+  LOW: 'Low',
+  MEDIUM: 'Normal',
+  HIGH: 'High',
+};
+
+// Key prefixes of the objects this client touches (mock mode IDs)
+const MOCK_ID_PREFIXES = {
+  Contact: '003',
+  Account: '001',
+  Opportunity: '006',
+  OpportunityContactRole: '00K',
+  Task: '00T',
+};
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+export class SalesforceClient extends CRMClient {
+  constructor(config = {}) {
+    super();
+
+    this.logger = createLogger('SalesforceClient');
+    this.apiVersion = config.apiVersion || process.env.SALESFORCE_API_VERSION || DEFAULT_API_VERSION;
+    this.opportunityStage = config.opportunityStage || process.env.SALESFORCE_OPPORTUNITY_STAGE || DEFAULT_OPPORTUNITY_STAGE;
+
+    // E2E Mock Mode: keep records in memory instead of calling Salesforce
+    this.mockMode = config.mockMode ?? process.env.E2E_MOCK_EXTERNAL_APIS === 'true';
+
+    if (this.mockMode) {
+      this.logger.info('[SalesforceClient] Running in E2E mock mode - records are kept in memory');
+      this.mockRecords = new Map();
+      this.mockSequence = 0;
+      return; // Skip real API setup in mock mode
+    }
+
+    this.instanceUrl = config.instanceUrl || process.env.SALESFORCE_INSTANCE_URL;
+    this.accessToken = config.accessToken || process.env.SALESFORCE_ACCESS_TOKEN;
+    this.loginUrl = config.loginUrl || process.env.SALESFORCE_LOGIN_URL || DEFAULT_LOGIN_URL;
+    this.credentials = {
+      clientId: config.clientId || process.env.SALESFORCE_CLIENT_ID,
+      clientSecret: config.clientSecret || process.env.SALESFORCE_CLIENT_SECRET,
+      username: config.username || process.env.SALESFORCE_USERNAME,
+      password: config.password || process.env.SALESFORCE_PASSWORD,
+    };
+
+    if (!(this.accessToken && this.instanceUrl) && !this._canLogin()) {
+      throw new Error(
+        'SALESFORCE_CLIENT_ID and SALESFORCE_CLIENT_SECRET (or SALESFORCE_ACCESS_TOKEN and SALESFORCE_INSTANCE_URL) are required for Salesforce integration'
+      );
+    }
+
+    this.client = axios.create({
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000,
+    });
+
+    // Retry network errors, rate limits and server errors with exponential backoff
+    axiosRetry(this.client, {
+      retries: 3,
+      retryDelay: axiosRetry.exponentialDelay,
+      retryCondition: (error) =>
+        axiosRetry.isNetworkError(error) ||
+        error.response?.status === 429 ||
+        error.response?.status >= 500,
+      onRetry: (retryCount, error, requestConfig) => {
+        this.logger.warn('Retrying Salesforce request', {
+          attempt: retryCount,
+          url: requestConfig.url,
+          method: requestConfig.method,
+          error: error.message
+        });
+      }
+    });
+
+    // Circuit Breaker wraps retry logic: CB → Axios (with retry) → HTTP
+    // The axios instance is passed per call because breakers are shared by service name
+    this.circuitBreaker = createCircuitBreaker(
+      async (client, requestConfig) => client.request(requestConfig),
+      {
+        serviceName: 'salesforce',
+        // Client errors (validation, duplicates, expired token) don't open the circuit
+        errorFilter: (error) => error.response?.status >= 400 && error.response?.status < 500
+      }
+    );
+  }
+
+  get name() {
+    return 'salesforce';
+  }
+
+  // ============================================================================
+  // CONTACTS
+  // ============================================================================
+
+  /**
+   * Find contact by email
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} Contact or null
+   */
+  async findContactByEmail(email) {
+    try {
+      const [contact] = await this._findRecords('Contact', { field: 'Email', values: [email] }, CONTACT_FIELDS);
+
+      return {
+        success: true,
+        contact: contact || null,
+        found: !!contact,
+      };
+    } catch (error) {
+      return this._handleError('findContactByEmail', error);
+    }
+  }
+
+  /**
+   * Create a contact
+   * @param {Object} properties - Contact fields (Salesforce API names)
+   * @returns {Promise<Object>} Created contact
+   */
+  async createContact(properties) {
+    try {
+      if (!properties.Email) {
+        throw new Error('Email is required to create a contact');
+      }
+
+      const fields = this._withLastName(properties);
+      const contactId = await this._createRecord('Contact', fields);
+
+      return {
+        success: true,
+        contact: { id: contactId, properties: fields },
+        contactId,
+      };
+    } catch (error) {
+      return this._handleError('createContact', error);
+    }
+  }
+
+  /**
+   * Update a contact
+   * @param {string} contactId - Contact ID
+   * @param {Object} properties - Fields to update
+   * @returns {Promise<Object>} Updated contact
+   */
+  async updateContact(contactId, properties) {
+    try {
+      await this._updateRecord('Contact', contactId, properties);
+
+      return {
+        success: true,
+        contact: { id: contactId, properties },
+      };
+    } catch (error) {
+      return this._handleError('updateContact', error);
+    }
+  }
+
+  /**
+   * Create or update contacts by email
+   * Email isn't an external ID field, so existing contacts are looked up
+   * first and the rest are created, 200 records per API call.
+   *
+   * @param {Array<Object>} contacts - Contact fields (each with Email)
+   * @returns {Promise<Object>} Batch operation result
+   */
+  async batchUpsertContacts(contacts) {
+    try {
+      const emails = contacts.map(contact => contact.Email).filter(Boolean);
+      const existing = new Map();
+
+      for (const emailChunk of chunk(emails, COLLECTION_LIMIT)) {
+        const records = await this._findRecords('Contact', { field: 'Email', values: emailChunk }, ['Id', 'Email']);
+        for (const record of records) {
+          existing.set(record.properties.Email.toLowerCase(), record.id);
+        }
+      }
+
+      const toCreate = [];
+      const toUpdate = [];
+      for (const contact of contacts) {
+        if (!contact.Email) {
+          continue;
+        }
+        const contactId = existing.get(contact.Email.toLowerCase());
+        if (contactId) {
+          toUpdate.push({ Id: contactId, ...contact });
+        } else {
+          toCreate.push(this._withLastName(contact));
+        }
+      }
+
+      const created = await this._createRecords('Contact', toCreate);
+      const updated = await this._updateRecords('Contact', toUpdate);
+
+      const results = [
+        ...created.map((result, i) => ({ ...result, email: toCreate[i].Email, action: 'created' })),
+        ...updated.map((result, i) => ({ ...result, email: toUpdate[i].Email, action: 'updated' })),
+      ];
+
+      return {
+        success: true,
+        results,
+        count: results.filter(result => result.success).length,
+        errors: results.filter(result => !result.success),
+      };
+    } catch (error) {
+      return this._handleError('batchUpsertContacts', error);
+    }
+  }
+
+  // ============================================================================
+  // ACCOUNTS (CRMClient companies)
+  // ============================================================================
+
+  /**
+   * Find account by website domain
+   * @param {string} domain - Company domain (e.g. acme.com)
+   * @returns {Promise<Object>} Account or null
+   */
+  async findCompanyByDomain(domain) {
+    try {
+      const normalized = SalesforceClient.hostnameOf(domain);
+
+      // Website is free text (https://www.acme.com/, acme.com, ...): narrow
+      // with LIKE, then compare hostnames so notacme.com doesn't match acme.com
+      const candidates = await this._findRecords(
+        'Account',
+        { field: 'Website', values: [normalized], contains: true, limit: DOMAIN_CANDIDATES },
+        ACCOUNT_FIELDS
+      );
+      const company = candidates.find(account => {
+        const hostname = SalesforceClient.hostnameOf(account.properties.Website);
+        return hostname === normalized || hostname.endsWith(`.${normalized}`);
+      });
+
+      return {
+        success: true,
+        company: company || null,
+        found: !!company,
+      };
+    } catch (error) {
+      return this._handleError('findCompanyByDomain', error);
+    }
+  }
+
+  /**
+   * Create an account
+   * @param {Object} properties - Account fields
+   * @returns {Promise<Object>} Created account
+   */
+  async createCompany(properties) {
+    try {
+      const companyId = await this._createRecord('Account', properties);
+
+      return {
+        success: true,
+        company: { id: companyId, properties },
+        companyId,
+      };
+    } catch (error) {
+      return this._handleError('createCompany', error);
+    }
+  }
+
+  /**
+   * Update an account
+   * @param {string} companyId - Account ID
+   * @param {Object} properties - Fields to update
+   * @returns {Promise<Object>} Updated account
+   */
+  async updateCompany(companyId, properties) {
+    try {
+      await this._updateRecord('Account', companyId, properties);
+
+      return {
+        success: true,
+        company: { id: companyId, properties },
+      };
+    } catch (error) {
+      return this._handleError('updateCompany', error);
+    }
+  }
+
+  /**
+   * Set a contact's account
+   * @param {string} contactId - Contact ID
+   * @param {string} companyId - Account ID
+   * @returns {Promise<Object>} Association result
+   */
+  async associateContactToCompany(contactId, companyId) {
+    try {
+      await this._updateRecord('Contact', contactId, { AccountId: companyId });
+
+      return {
+        success: true,
+        message: 'Contact associated with account',
+      };
+    } catch (error) {
+      return this._handleError('associateContactToCompany', error);
+    }
+  }
+
+  // ============================================================================
+  // OPPORTUNITIES (CRMClient deals)
+  // ============================================================================
+
+  /**
+   * Create an opportunity
+   * StageName and CloseDate are required by Salesforce and default to
+   * SALESFORCE_OPPORTUNITY_STAGE and 30 days out.
+   *
+   * @param {Object} properties - Opportunity fields (Name required)
+   * @returns {Promise<Object>} Created opportunity
+   */
+  async createDeal(properties) {
+    try {
+      const fields = {
+        StageName: this.opportunityStage,
+        CloseDate: this._dateOnly(Date.now() + DEFAULT_CLOSE_DAYS * 24 * 60 * 60 * 1000),
+        ...properties,
+      };
+      const dealId = await this._createRecord('Opportunity', fields);
+
+      return {
+        success: true,
+        deal: { id: dealId, properties: fields },
+        dealId,
+      };
+    } catch (error) {
+      return this._handleError('createDeal', error);
+    }
+  }
+
+  /**
+   * Update an opportunity
+   * @param {string} dealId - Opportunity ID
+   * @param {Object} properties - Fields to update
+   * @returns {Promise<Object>} Updated opportunity
+   */
+  async updateDeal(dealId, properties) {
+    try {
+      await this._updateRecord('Opportunity', dealId, properties);
+
+      return {
+        success: true,
+        deal: { id: dealId, properties },
+      };
+    } catch (error) {
+      return this._handleError('updateDeal', error);
+    }
+  }
+
+  /**
+   * Add a contact to an opportunity (OpportunityContactRole)
+   * @param {string} contactId - Contact ID
+   * @param {string} dealId - Opportunity ID
+   * @returns {Promise<Object>} Association result
+   */
+  async associateContactToDeal(contactId, dealId) {
+    try {
+      const roleId = await this._createRecord('OpportunityContactRole', {
+        ContactId: contactId,
+        OpportunityId: dealId,
+      });
+
+      return {
+        success: true,
+        message: 'Contact associated with opportunity',
+        result: { id: roleId },
+      };
+    } catch (error) {
+      return this._handleError('associateContactToDeal', error);
+    }
+  }
+
+  // ============================================================================
+  // TASKS & ACTIVITY
+  // ============================================================================
+
+  /**
+   * Log a note as a completed Task
+   * @param {Object} noteData - { body, ownerId, associatedObjectType, associatedObjectId }
+   * @returns {Promise<Object>} Created note
+   */
+  async createNote(noteData) {
+    try {
+      const { body, ownerId, timestamp, associatedObjectType = 'contact', associatedObjectId } = noteData;
+
+      const fields = {
+        Subject: this._subjectFrom(body, 'Note'),
+        Description: body,
+        Status: TASK_STATUSES.COMPLETED,
+        ActivityDate: this._dateOnly(timestamp || Date.now()),
+        ...(ownerId && { OwnerId: ownerId }),
+        ...this._relatedTo(associatedObjectType, associatedObjectId),
+      };
+      const noteId = await this._createRecord('Task', fields);
+
+      return {
+        success: true,
+        note: { id: noteId, properties: fields },
+        noteId,
+      };
+    } catch (error) {
+      return this._handleError('createNote', error);
+    }
+  }
+
+  /**
+   * Create a task
+   * Accepts HubSpot-style status/priority values (NOT_STARTED, HIGH, ...).
+   *
+   * @param {Object} taskData - Task properties
+   * @returns {Promise<Object>} Created task
+   */
+  async createTask(taskData) {
+    try {
+      const { subject, body, status, priority, dueDate, ownerId, associatedObjectType = 'contact', associatedObjectId } =
+        taskData;
+
+      const fields = {
+        Subject: subject,
+        Description: body,
+        Status: TASK_STATUSES[status] || status || TASK_STATUSES.NOT_STARTED,
+        Priority: TASK_PRIORITIES[priority] || priority || TASK_PRIORITIES.MEDIUM,
+        ...(dueDate && { ActivityDate: this._dateOnly(dueDate) }),
+        ...(ownerId && { OwnerId: ownerId }),
+        ...this._relatedTo(associatedObjectType, associatedObjectId),
+      };
+      const taskId = await this._createRecord('Task', fields);
+
+      return {
+        success: true,
+        task: { id: taskId, properties: fields },
+        taskId,
+      };
+    } catch (error) {
+      return this._handleError('createTask', error);
+    }
+  }
+
+  /**
+   * Log an email as a completed email Task
+   * @param {Object} emailData - Email activity data
+   * @returns {Promise<Object>} Created email activity
+   */
+  async logEmail(emailData) {
+    try {
+      const { subject, body, toEmail, fromEmail, contactId } = emailData;
+
+      const fields = {
+        Subject: `Email: ${subject || '(no subject)'}`.slice(0, 255),
+        Description: [fromEmail && `From: ${fromEmail}`, toEmail && `To: ${toEmail}`, '', body]
+          .filter(line => line !== undefined && line !== false && line !== null)
+          .join('\n'),
+        Status: TASK_STATUSES.COMPLETED,
+        TaskSubtype: 'Email',
+        ActivityDate: this._dateOnly(Date.now()),
+        ...this._relatedTo('contact', contactId),
+      };
+      const emailId = await this._createRecord('Task', fields);
+
+      return {
+        success: true,
+        email: { id: emailId, properties: fields },
+        emailId,
+      };
+    } catch (error) {
+      return this._handleError('logEmail', error);
+    }
+  }
+
+  // ============================================================================
+  // UTILITY METHODS
+  // ============================================================================
+
+  /**
+   * Escape a value for a SOQL string literal
+   * @param {string} value - Raw value
+   * @param {boolean} like - Also escape LIKE wildcards
+   */
+  static escapeSoql(value, like = false) {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    return like ? escaped.replace(/([%_])/g, '\\$1') : escaped;
+  }
+
+  /**
+   * Hostname of a website or domain, without protocol, www. or path
+   * (https://www.Acme.com/about -> acme.com)
+   */
+  static hostnameOf(website) {
+    return String(website || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[/:?#].*$/, '');
+  }
+
+  /**
+   * WhoId for people, WhatId for everything else
+   * @private
+   */
+  _relatedTo(objectType, objectId) {
+    if (!objectId) {
+      return {};
+    }
+    return ['contact', 'lead'].includes(objectType.toLowerCase())
+      ? { WhoId: objectId }
+      : { WhatId: objectId };
+  }
+
+  /**
+   * LastName is required on Contact - fall back to the email's local part
+   * @private
+   */
+  _withLastName(fields) {
+    return fields.LastName ? fields : { ...fields, LastName: fields.Email.split('@')[0] };
+  }
+
+  /**
+   * @private
+   */
+  _subjectFrom(body, fallback) {
+    const firstLine = (body || '').split('\n').find(line => line.trim());
+    return (firstLine || fallback).replace(/[*#]/g, '').trim().slice(0, 255);
+  }
+
+  /**
+   * @private
+   */
+  _dateOnly(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Find records where a field equals one of the values (or contains the value)
+   * @private
+   * @returns {Promise<Array<{id: string, properties: Object}>>}
+   */
+  async _findRecords(sobject, { field, values, contains = false, limit = COLLECTION_LIMIT }, fields) {
+    if (values.length === 0) {
+      return [];
+    }
+
+    if (this.mockMode) {
+      const needles = values.map(value => String(value).toLowerCase());
+      return [...this._mockTable(sobject).values()]
+        .filter(record => {
+          const actual = String(record[field] ?? '').toLowerCase();
+          return contains ? actual.includes(needles[0]) : needles.includes(actual);
+        })
+        .slice(0, limit)
+        .map(record => this._toRecord(record));
+    }
+
+    const where = contains
+      ? `${field} LIKE '%${SalesforceClient.escapeSoql(values[0], true)}%'`
+      : `${field} IN (${values.map(value => `'${SalesforceClient.escapeSoql(value)}'`).join(', ')})`;
+    const soql = `SELECT ${fields.join(', ')} FROM ${sobject} WHERE ${where} LIMIT ${limit}`;
+
+    const data = await this._request('get', '/query', { params: { q: soql } });
+    return (data.records || []).map(record => this._toRecord(record));
+  }
+
+  /**
+   * @private
+   * @returns {Promise<string>} New record ID
+   */
+  async _createRecord(sobject, fields) {
+    if (this.mockMode) {
+      const id = `${MOCK_ID_PREFIXES[sobject] || '000'}${String(++this.mockSequence).padStart(12, '0')}AAA`;
+      this._mockTable(sobject).set(id, { ...fields, Id: id });
+      return id;
+    }
+
+    const data = await this._request('post', `/sobjects/${sobject}`, { data: fields });
+    return data.id;
+  }
+
+  /**
+   * @private
+   */
+  async _updateRecord(sobject, id, fields) {
+    if (this.mockMode) {
+      const record = this._mockTable(sobject).get(id);
+      if (!record) {
+        const error = new Error(`Provided external ID field does not exist or is not accessible: ${id}`);
+        error.statusCode = 404;
+        throw error;
+      }
+      Object.assign(record, fields);
+      return;
+    }
+
+    await this._request('patch', `/sobjects/${sobject}/${id}`, { data: fields });
+  }
+
+  /**
+   * Create records with sObject Collections (allOrNone=false)
+   * @private
+   * @returns {Promise<Array<{id, success, errors}>>} One result per record, in order
+   */
+  async _createRecords(sobject, records) {
+    return this._saveRecords('post', sobject, records);
+  }
+
+  /**
+   * Update records (each with Id) with sObject Collections (allOrNone=false)
+   * @private
+   */
+  async _updateRecords(sobject, records) {
+    return this._saveRecords('patch', sobject, records);
+  }
+
+  /**
+   * @private
+   */
+  async _saveRecords(method, sobject, records) {
+    const results = [];
+
+    if (this.mockMode) {
+      for (const { Id, ...fields } of records) {
+        try {
+          const id = method === 'post'
+            ? await this._createRecord(sobject, fields)
+            : (await this._updateRecord(sobject, Id, fields), Id);
+          results.push({ id, success: true, errors: [] });
+        } catch (error) {
+          results.push({ id: Id || null, success: false, errors: [{ message: error.message }] });
+        }
+      }
+      return results;
+    }
+
+    for (const recordChunk of chunk(records, COLLECTION_LIMIT)) {
+      const data = await this._request(method, '/composite/sobjects', {
+        data: {
+          allOrNone: false,
+          records: recordChunk.map(record => ({ attributes: { type: sobject }, ...record })),
+        },
+      });
+      results.push(...data);
+    }
+
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  _mockTable(sobject) {
+    if (!this.mockRecords.has(sobject)) {
+      this.mockRecords.set(sobject, new Map());
+    }
+    return this.mockRecords.get(sobject);
+  }
+
+  /**
+   * Salesforce record -> { id, properties } (the shape HubSpot returns)
+   * @private
+   */
+  _toRecord(record) {
+    const { attributes, Id, ...properties } = record;
+    return { id: Id, properties };
+  }
+
+  /**
+   * @private
+   */
+  _canLogin() {
+    return !!(this.credentials.clientId && this.credentials.clientSecret);
+  }
+
+  /**
+   * Get an access token via OAuth (concurrent callers share one login)
+   * @private
+   */
+  async _login() {
+    if (!this.loginPromise) {
+      const { clientId, clientSecret, username, password } = this.credentials;
+      const params = new URLSearchParams(
+        username
+          ? { grant_type: 'password', client_id: clientId, client_secret: clientSecret, username, password }
+          : { grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret }
+      );
+
+      this.loginPromise = axios
+        .post(`${this.loginUrl}/services/oauth2/token`, params.toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 30000,
+        })
+        .then(response => {
+          this.accessToken = response.data.access_token;
+          this.instanceUrl = response.data.instance_url;
+          this.logger.info('Authenticated with Salesforce', { instanceUrl: this.instanceUrl });
+        })
+        .catch(error => {
+          const apiError = new Error(
+            `Salesforce authentication failed: ${error.response?.data?.error_description || error.message}`
+          );
+          apiError.statusCode = error.response?.status || 401;
+          throw apiError;
+        })
+        .finally(() => {
+          this.loginPromise = null;
+        });
+    }
+
+    return this.loginPromise;
+  }
+
+  /**
+   * Circuit-protected REST call, re-authenticating once on 401
+   * @private
+   */
+  async _request(method, path, { data, params } = {}, isRetry = false) {
+    if (!this.accessToken) {
+      await this._login();
+    }
+
+    try {
+      const response = await this.circuitBreaker.fire(this.client, {
+        method,
+        url: `${this.instanceUrl}/services/data/${this.apiVersion}${path}`,
+        headers: { Authorization: `Bearer ${this.accessToken}` },
+        data,
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401 && !isRetry && this._canLogin()) {
+        this.logger.info('Salesforce session expired, re-authenticating');
+        this.accessToken = null;
+        return this._request(method, path, { data, params }, true);
+      }
+      throw this._toApiError(error);
+    }
+  }
+
+  /**
+   * Salesforce errors are arrays of { message, errorCode, fields }
+   * @private
+   */
+  _toApiError(error) {
+    if (error.code === 'EOPENBREAKER') {
+      return new Error('Salesforce API is temporarily unavailable. Please try again in a few moments.');
+    }
+
+    if (error.response) {
+      const body = error.response.data;
+      const first = Array.isArray(body) ? body[0] : body;
+      const apiError = new Error(first?.message || `Salesforce API error: ${error.response.status}`);
+      apiError.statusCode = error.response.status;
+      apiError.salesforceError = body;
+      return apiError;
+    }
+
+    if (error.request) {
+      return new Error('Network error: Unable to reach Salesforce API');
+    }
+
+    return error;
+  }
+
+  /**
+   * Handle and format errors
+   * @private
+   */
+  _handleError(method, error) {
+    const errorResponse = {
+      success: false,
+      error: error.message || 'Unknown error',
+      method,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (error.statusCode) {
+      errorResponse.statusCode = error.statusCode;
+    }
+
+    if (error.salesforceError) {
+      errorResponse.salesforceError = error.salesforceError;
+    }
+
+    this.logger.error(`${method} failed`, errorResponse);
+
+    return errorResponse;
+  }
+
+  /**
+   * Health check
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    if (this.mockMode) {
+      return {
+        success: true,
+        status: 'healthy',
+        message: 'Salesforce API running in E2E mock mode',
+        mockMode: true,
+      };
+    }
+
+    try {
+      const limits = await this._request('get', '/limits');
+
+      return {
+        success: true,
+        status: 'healthy',
+        message: 'Salesforce API connection successful',
+        dailyApiRequests: limits.DailyApiRequests,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        status: 'unhealthy',
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default SalesforceClient;
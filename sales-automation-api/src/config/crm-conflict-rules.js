@@ -0,0 +1,114 @@
+/**
+ * CRM Conflict Rules
+ * Decide which side wins when a field pulled from the CRM differs from the
+ * locally stored (imported/enriched) value
+ *
+ * Rules:
+ * - crm_wins:        the CRM value replaces ours (reps are the source of truth)
+ * - enrichment_wins: our value is kept and written back to the CRM
+ * - newest_wins:     whichever side changed last (CRM record modified time vs
+ *                    our last import/enrichment)
+ *
+ * The default rule and per-field rules (canonical field names, see
+ * config/crm-field-mapping.js) come from the environment:
+ *
+ *   HUBSPOT_CONFLICT_RULE=newest_wins
+ *   HUBSPOT_CONFLICT_RULES='{"title":"crm_wins","linkedinUrl":"enrichment_wins"}'
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CRMConflictRules');
+
+export const CONFLICT_RULES = ['crm_wins', 'enrichment_wins', 'newest_wins'];
+
+const DEFAULT_RULE = 'newest_wins';
+
+/**
+ * Parse the per-field rules, dropping unknown rules
+ * @private
+ */
+function loadFieldRules(value, envName) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(parsed).filter(([field, rule]) => {
+        if (CONFLICT_RULES.includes(rule)) {
+          return true;
+        }
+        logger.warn(`Ignoring unknown conflict rule in ${envName}`, { field, rule });
+        return false;
+      })
+    );
+  } catch (error) {
+    logger.error(`Ignoring invalid ${envName}`, { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Conflict rules for a CRM (environment merged with explicit overrides)
+ *
+ * @param {string} crm - CRM name ('hubspot', 'salesforce')
+ * @param {Object} overrides - { default, fields }
+ * @returns {{default: string, fields: Object}}
+ */
+export function getConflictRules(crm, overrides = {}) {
+  const prefix = crm.toUpperCase();
+  const envDefault = process.env[`${prefix}_CONFLICT_RULE`];
+
+  let defaultRule = overrides.default || envDefault || DEFAULT_RULE;
+  if (!CONFLICT_RULES.includes(defaultRule)) {
+    logger.warn(`Unknown ${prefix}_CONFLICT_RULE, using ${DEFAULT_RULE}`, { rule: defaultRule });
+    defaultRule = DEFAULT_RULE;
+  }
+
+  return {
+    default: defaultRule,
+    fields: {
+      ...loadFieldRules(process.env[`${prefix}_CONFLICT_RULES`], `${prefix}_CONFLICT_RULES`),
+      ...overrides.fields,
+    },
+  };
+}
+
+/**
+ * Resolve one field conflict
+ * newest_wins keeps our value on ties or when the CRM modified time is
+ * unknown, so a CRM record without one never overwrites enrichment.
+ *
+ * @param {string} rule - One of CONFLICT_RULES
+ * @param {Object} conflict - { localValue, crmValue, localModifiedAt, crmModifiedAt }
+ * @returns {{winner: 'crm'|'local', value: *}}
+ */
+export function resolveConflict(rule, conflict) {
+  const { localValue, crmValue, localModifiedAt, crmModifiedAt } = conflict;
+
+  let crmWins;
+  switch (rule) {
+    case 'crm_wins':
+      crmWins = true;
+      break;
+    case 'enrichment_wins':
+      crmWins = false;
+      break;
+    case 'newest_wins': {
+      const crmTime = crmModifiedAt ? new Date(crmModifiedAt).getTime() : NaN;
+      const localTime = localModifiedAt ? new Date(localModifiedAt).getTime() : NaN;
+      crmWins = Number.isFinite(crmTime) && (!Number.isFinite(localTime) || crmTime > localTime);
+      break;
+    }
+    default:
+      throw new Error(`Unknown conflict rule: ${rule}`);
+  }
+
+  return crmWins
+    ? { winner: 'crm', value: crmValue }
+    : { winner: 'local', value: localValue };
+}
+
+export default { CONFLICT_RULES, getConflictRules, resolveConflict };
@@ -0,0 +1,162 @@
+/**
+ * CRM Field Mapping
+ * Maps the canonical contact/company fields produced by CRMSyncWorker to the
+ * field names of each CRM
+ *
+ * A field mapped to null is not synced. Salesforce custom fields (__c) differ
+ * per org, so the sales-intelligence fields are off by default there; enable
+ * them by overriding the mapping:
+ *
+ *   SALESFORCE_FIELD_MAPPING='{"contact":{"painPoints":"Pain_Points__c"}}'
+ *   SALESFORCE_FIELD_MAPPING=./config/salesforce-fields.json
+ *
+ * Overrides (JSON or a path to a JSON file) are merged over the defaults per
+ * object, so only changed fields need to be listed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CRMFieldMapping');
+
+/**
+ * Canonical field -> CRM field name
+ */
+const DEFAULT_FIELD_MAPPINGS = {
+  hubspot: {
+    contact: {
+      email: 'email',
+      firstName: 'firstname',
+      lastName: 'lastname',
+      title: 'jobtitle',
+      phone: 'phone',
+      linkedinUrl: 'linkedin_url',
+      city: 'city',
+      seniority: 'seniority',
+      department: 'department',
+      companyName: 'company',
+      companyDomain: 'domain',
+      painPoints: 'pain_points',
+      painConfidence: 'pain_confidence',
+      personalizationHooks: 'personalization_hooks',
+      whyNowTrigger: 'why_now_trigger',
+      whyNowUrgency: 'why_now_urgency',
+      dataQualityScore: 'data_quality_score',
+      lastEnriched: 'last_enriched',
+      enrichmentSource: 'enrichment_source',
+    },
+    company: {
+      name: 'name',
+      domain: 'domain',
+      industry: 'industry',
+      employees: 'numberofemployees',
+      revenue: 'annualrevenue',
+      city: 'city',
+      foundedYear: 'founded_year',
+      technologies: 'technologies',
+      fundingStage: 'funding_stage',
+      totalFunding: 'total_funding',
+      growthSignals: 'growth_signals',
+    },
+  },
+
+  salesforce: {
+    contact: {
+      email: 'Email',
+      firstName: 'FirstName',
+      lastName: 'LastName',
+      title: 'Title',
+      phone: 'Phone',
+      linkedinUrl: null,
+      city: 'MailingCity',
+      seniority: null,
+      department: 'Department',
+      // Contacts link to their Account instead of carrying a company name
+      companyName: null,
+      companyDomain: null,
+      painPoints: null,
+      painConfidence: null,
+      personalizationHooks: null,
+      whyNowTrigger: null,
+      whyNowUrgency: null,
+      dataQualityScore: null,
+      lastEnriched: null,
+      enrichmentSource: null,
+    },
+    company: {
+      name: 'Name',
+      domain: 'Website',
+      industry: 'Industry',
+      employees: 'NumberOfEmployees',
+      revenue: 'AnnualRevenue',
+      city: 'BillingCity',
+      foundedYear: null,
+      technologies: null,
+      fundingStage: null,
+      totalFunding: null,
+      growthSignals: null,
+    },
+  },
+};
+
+/**
+ * Parse a mapping override (inline JSON or a path to a JSON file)
+ * @private
+ */
+function loadOverride(value, envName) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const json = value.trim().startsWith('{')
+      ? value
+      : fs.readFileSync(path.resolve(value), 'utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    logger.error(`Ignoring invalid ${envName}`, { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Field mapping for a CRM (defaults merged with environment overrides)
+ *
+ * @param {string} crm - CRM name ('hubspot', 'salesforce')
+ * @param {Object} overrides - Explicit overrides, merged last ({contact, company})
+ * @returns {{contact: Object, company: Object}}
+ */
+export function getFieldMapping(crm, overrides = {}) {
+  const defaults = DEFAULT_FIELD_MAPPINGS[crm] || { contact: {}, company: {} };
+  const envName = `${crm.toUpperCase()}_FIELD_MAPPING`;
+  const fromEnv = loadOverride(process.env[envName], envName);
+
+  return {
+    contact: { ...defaults.contact, ...fromEnv.contact, ...overrides.contact },
+    company: { ...defaults.company, ...fromEnv.company, ...overrides.company },
+  };
+}
+
+/**
+ * Rename canonical fields to CRM fields
+ * Unmapped fields and undefined values are dropped.
+ *
+ * @param {Object} mapping - Canonical field -> CRM field (null = skip)
+ * @param {Object} fields - Canonical field values
+ * @returns {Object} CRM properties
+ */
+export function mapFields(mapping, fields) {
+  const properties = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    const target = mapping[field];
+    if (target && value !== undefined) {
+      properties[target] = value;
+    }
+  }
+
+  return properties;
+}
+
+export default { getFieldMapping, mapFields };
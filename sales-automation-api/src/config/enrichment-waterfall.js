@@ -0,0 +1,77 @@
+/**
+ * Enrichment Waterfall Configuration
+ * Which enrichment providers to try, in what order, when to stop and what
+ * each lookup costs
+ *
+ *   ENRICHMENT_PROVIDERS=explorium,hubspot,lemlist
+ *   ENRICHMENT_QUALITY_TARGET=0.7
+ *   ENRICHMENT_FIELD_PRECEDENCE='{"contact":{"linkedinUrl":["lemlist","explorium"]}}'
+ *   ENRICHMENT_PROVIDER_COSTS='{"explorium":{"contact":0.12,"company":0.05}}'
+ *
+ * Field precedence lists the providers whose value wins for a field; fields
+ * without an entry (and providers not listed) fall back to waterfall order.
+ * Costs are USD per matched lookup unless a provider reports its own cost.
+ * JSON settings may also be a path to a JSON file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('EnrichmentWaterfallConfig');
+
+const DEFAULT_PROVIDERS = ['explorium'];
+const DEFAULT_QUALITY_TARGET = 0.7;
+
+/**
+ * Parse an inline JSON or JSON file setting
+ * @private
+ */
+function loadJson(value, envName) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const json = value.trim().startsWith('{')
+      ? value
+      : fs.readFileSync(path.resolve(value), 'utf8');
+    return JSON.parse(json);
+  } catch (error) {
+    logger.error(`Ignoring invalid ${envName}`, { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Waterfall configuration (environment merged with explicit overrides)
+ *
+ * @param {Object} overrides - { providers, qualityTarget, precedence, costs }
+ * @returns {{providers: Array<string>, qualityTarget: number, precedence: Object, costs: Object}}
+ */
+export function getWaterfallConfig(overrides = {}) {
+  const providers = overrides.providers ||
+    (process.env.ENRICHMENT_PROVIDERS
+      ? process.env.ENRICHMENT_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_PROVIDERS);
+
+  let qualityTarget = overrides.qualityTarget ?? parseFloat(process.env.ENRICHMENT_QUALITY_TARGET);
+  if (!(qualityTarget >= 0 && qualityTarget <= 1)) {
+    qualityTarget = DEFAULT_QUALITY_TARGET;
+  }
+
+  const precedence = loadJson(process.env.ENRICHMENT_FIELD_PRECEDENCE, 'ENRICHMENT_FIELD_PRECEDENCE');
+  const costs = loadJson(process.env.ENRICHMENT_PROVIDER_COSTS, 'ENRICHMENT_PROVIDER_COSTS');
+
+  return {
+    providers: [...new Set(providers)],
+    qualityTarget,
+    precedence: {
+      contact: { ...precedence.contact, ...overrides.precedence?.contact },
+      company: { ...precedence.company, ...overrides.precedence?.company },
+    },
+    costs: { ...costs, ...overrides.costs },
+  };
+}
+
+export default { getWaterfallConfig };
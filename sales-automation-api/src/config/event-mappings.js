@@ -0,0 +1,50 @@
+/**
+ * Webhook Event Mappings
+ * Custom provider mappings for /api/campaigns/events/webhook/:provider
+ *
+ * Lemlist and Postmark are built into EventNormalizer. Other outreach tools
+ * are added without code changes by describing their webhook payloads:
+ *
+ *   WEBHOOK_EVENT_MAPPINGS='{"acme":{"signature":{"type":"hmac","header":"x-acme-signature"},...}}'
+ *   WEBHOOK_EVENT_MAPPINGS=./config/webhook-mappings.json
+ *
+ * The value (JSON or a path to a JSON file) is an object of provider name ->
+ * mapping definition; see EventMapping in providers/events/EventNormalizer.js
+ * for the definition format. A provider's secret is read from
+ * <PROVIDER>_WEBHOOK_SECRET unless the mapping names another variable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('EventMappings');
+
+/**
+ * Custom mappings from WEBHOOK_EVENT_MAPPINGS
+ *
+ * @returns {Object} Provider name -> mapping definition ({} when unset or invalid)
+ */
+export function getCustomEventMappings() {
+  const value = process.env.WEBHOOK_EVENT_MAPPINGS;
+  if (!value) {
+    return {};
+  }
+
+  try {
+    const json = value.trim().startsWith('{')
+      ? value
+      : fs.readFileSync(path.resolve(value), 'utf8');
+    const mappings = JSON.parse(json);
+
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+      throw new Error('expected an object of provider name -> mapping');
+    }
+    return mappings;
+  } catch (error) {
+    logger.error('Ignoring invalid WEBHOOK_EVENT_MAPPINGS', { error: error.message });
+    return {};
+  }
+}
+
+export default { getCustomEventMappings };
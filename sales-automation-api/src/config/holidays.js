@@ -0,0 +1,553 @@
+/**
+ * Public Holidays
+ * National public holidays per country (ISO 3166-1 alpha-2), used to hold
+ * outreach on days the recipient is off work
+ *
+ * Rules cover fixed dates, nth weekday of a month and Easter-relative days.
+ * Holidays that follow a lunar or Islamic calendar (Lunar New Year,
+ * Deepavali, Eid, Vesak, ...) and regional holidays are not computed; add
+ * them per campaign with provider_config.send_window.holidays.
+ *
+ * Fixed-date holidays falling on a weekend move to a weekday the way each
+ * country observes them:
+ * - next_weekday:     Saturday/Sunday -> following Monday (or Tuesday)
+ * - nearest_weekday:  Saturday -> Friday, Sunday -> Monday
+ * - sunday_to_monday: only Sunday moves
+ */
+
+import { addDays, toDateKey } from '../utils/timezone.js';
+
+/**
+ * Rule forms:
+ *   [month, day, name]                       fixed date
+ *   { nth: [month, weekday, n], name }       n-th weekday (n = -1: last)
+ *   { onOrBefore: [month, day, weekday], name }
+ *   { easter: offsetDays, name }
+ */
+const CALENDARS = {
+  US: {
+    substitute: 'nearest_weekday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      { nth: [1, 1, 3], name: 'Martin Luther King Jr. Day' },
+      { nth: [2, 1, 3], name: "Presidents' Day" },
+      { nth: [5, 1, -1], name: 'Memorial Day' },
+      [6, 19, 'Juneteenth'],
+      [7, 4, 'Independence Day'],
+      { nth: [9, 1, 1], name: 'Labor Day' },
+      { nth: [10, 1, 2], name: 'Columbus Day' },
+      [11, 11, 'Veterans Day'],
+      { nth: [11, 4, 4], name: 'Thanksgiving' },
+      [12, 25, 'Christmas Day']
+    ]
+  },
+  CA: {
+    substitute: 'next_weekday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      { easter: -2, name: 'Good Friday' },
+      { onOrBefore: [5, 24, 1], name: 'Victoria Day' },
+      [7, 1, 'Canada Day'],
+      { nth: [9, 1, 1], name: 'Labour Day' },
+      { nth: [10, 1, 2], name: 'Thanksgiving' },
+      [12, 25, 'Christmas Day'],
+      [12, 26, 'Boxing Day']
+    ]
+  },
+  GB: {
+    substitute: 'next_weekday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      { easter: -2, name: 'Good Friday' },
+      { easter: 1, name: 'Easter Monday' },
+      { nth: [5, 1, 1], name: 'Early May Bank Holiday' },
+      { nth: [5, 1, -1], name: 'Spring Bank Holiday' },
+      { nth: [8, 1, -1], name: 'Summer Bank Holiday' },
+      [12, 25, 'Christmas Day'],
+      [12, 26, 'Boxing Day']
+    ]
+  },
+  IE: {
+    substitute: 'next_weekday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      { nth: [2, 1, 1], name: "St Brigid's Day" },
+      [3, 17, "St Patrick's Day"],
+      { easter: 1, name: 'Easter Monday' },
+      { nth: [5, 1, 1], name: 'May Bank Holiday' },
+      { nth: [6, 1, 1], name: 'June Bank Holiday' },
+      { nth: [8, 1, 1], name: 'August Bank Holiday' },
+      { nth: [10, 1, -1], name: 'October Bank Holiday' },
+      [12, 25, 'Christmas Day'],
+      [12, 26, "St Stephen's Day"]
+    ]
+  },
+  DE: {
+    rules: [
+      [1, 1, 'Neujahr'],
+      { easter: -2, name: 'Karfreitag' },
+      { easter: 1, name: 'Ostermontag' },
+      [5, 1, 'Tag der Arbeit'],
+      { easter: 39, name: 'Christi Himmelfahrt' },
+      { easter: 50, name: 'Pfingstmontag' },
+      [10, 3, 'Tag der Deutschen Einheit'],
+      [12, 25, 'Weihnachtstag'],
+      [12, 26, 'Zweiter Weihnachtstag']
+    ]
+  },
+  AT: {
+    rules: [
+      [1, 1, 'Neujahr'],
+      [1, 6, 'Heilige Drei Könige'],
+      { easter: 1, name: 'Ostermontag' },
+      [5, 1, 'Staatsfeiertag'],
+      { easter: 39, name: 'Christi Himmelfahrt' },
+      { easter: 50, name: 'Pfingstmontag' },
+      { easter: 60, name: 'Fronleichnam' },
+      [8, 15, 'Mariä Himmelfahrt'],
+      [10, 26, 'Nationalfeiertag'],
+      [11, 1, 'Allerheiligen'],
+      [12, 8, 'Mariä Empfängnis'],
+      [12, 25, 'Christtag'],
+      [12, 26, 'Stefanitag']
+    ]
+  },
+  CH: {
+    rules: [
+      [1, 1, 'Neujahr'],
+      { easter: -2, name: 'Karfreitag' },
+      { easter: 1, name: 'Ostermontag' },
+      { easter: 39, name: 'Auffahrt' },
+      { easter: 50, name: 'Pfingstmontag' },
+      [8, 1, 'Bundesfeiertag'],
+      [12, 25, 'Weihnachten'],
+      [12, 26, 'Stephanstag']
+    ]
+  },
+  FR: {
+    rules: [
+      [1, 1, "Jour de l'an"],
+      { easter: 1, name: 'Lundi de Pâques' },
+      [5, 1, 'Fête du Travail'],
+      [5, 8, 'Victoire 1945'],
+      { easter: 39, name: 'Ascension' },
+      { easter: 50, name: 'Lundi de Pentecôte' },
+      [7, 14, 'Fête nationale'],
+      [8, 15, 'Assomption'],
+      [11, 1, 'Toussaint'],
+      [11, 11, 'Armistice'],
+      [12, 25, 'Noël']
+    ]
+  },
+  BE: {
+    rules: [
+      [1, 1, 'Nieuwjaar'],
+      { easter: 1, name: 'Paasmaandag' },
+      [5, 1, 'Dag van de Arbeid'],
+      { easter: 39, name: 'Hemelvaart' },
+      { easter: 50, name: 'Pinkstermaandag' },
+      [7, 21, 'Nationale feestdag'],
+      [8, 15, 'Onze-Lieve-Vrouw-Hemelvaart'],
+      [11, 1, 'Allerheiligen'],
+      [11, 11, 'Wapenstilstand'],
+      [12, 25, 'Kerstmis']
+    ]
+  },
+  NL: {
+    rules: [
+      [1, 1, 'Nieuwjaarsdag'],
+      { easter: -2, name: 'Goede Vrijdag' },
+      { easter: 1, name: 'Tweede Paasdag' },
+      [4, 27, 'Koningsdag'],
+      [5, 5, 'Bevrijdingsdag'],
+      { easter: 39, name: 'Hemelvaartsdag' },
+      { easter: 50, name: 'Tweede Pinksterdag' },
+      [12, 25, 'Eerste Kerstdag'],
+      [12, 26, 'Tweede Kerstdag']
+    ]
+  },
+  ES: {
+    rules: [
+      [1, 1, 'Año Nuevo'],
+      [1, 6, 'Epifanía'],
+      { easter: -2, name: 'Viernes Santo' },
+      [5, 1, 'Día del Trabajo'],
+      [8, 15, 'Asunción'],
+      [10, 12, 'Fiesta Nacional'],
+      [11, 1, 'Todos los Santos'],
+      [12, 6, 'Día de la Constitución'],
+      [12, 8, 'Inmaculada Concepción'],
+      [12, 25, 'Navidad']
+    ]
+  },
+  PT: {
+    rules: [
+      [1, 1, 'Ano Novo'],
+      { easter: -2, name: 'Sexta-feira Santa' },
+      [4, 25, 'Dia da Liberdade'],
+      [5, 1, 'Dia do Trabalhador'],
+      [6, 10, 'Dia de Portugal'],
+      { easter: 60, name: 'Corpo de Deus' },
+      [8, 15, 'Assunção'],
+      [10, 5, 'Implantação da República'],
+      [11, 1, 'Todos os Santos'],
+      [12, 1, 'Restauração da Independência'],
+      [12, 8, 'Imaculada Conceição'],
+      [12, 25, 'Natal']
+    ]
+  },
+  IT: {
+    rules: [
+      [1, 1, 'Capodanno'],
+      [1, 6, 'Epifania'],
+      { easter: 1, name: "Lunedì dell'Angelo" },
+      [4, 25, 'Festa della Liberazione'],
+      [5, 1, 'Festa del Lavoro'],
+      [6, 2, 'Festa della Repubblica'],
+      [8, 15, 'Ferragosto'],
+      [11, 1, 'Ognissanti'],
+      [12, 8, 'Immacolata Concezione'],
+      [12, 25, 'Natale'],
+      [12, 26, 'Santo Stefano']
+    ]
+  },
+  SE: {
+    rules: [
+      [1, 1, 'Nyårsdagen'],
+      [1, 6, 'Trettondedag jul'],
+      { easter: -2, name: 'Långfredagen' },
+      { easter: 1, name: 'Annandag påsk' },
+      [5, 1, 'Första maj'],
+      { easter: 39, name: 'Kristi himmelsfärdsdag' },
+      [6, 6, 'Nationaldagen'],
+      [12, 24, 'Julafton'],
+      [12, 25, 'Juldagen'],
+      [12, 26, 'Annandag jul'],
+      [12, 31, 'Nyårsafton']
+    ]
+  },
+  DK: {
+    rules: [
+      [1, 1, 'Nytårsdag'],
+      { easter: -3, name: 'Skærtorsdag' },
+      { easter: -2, name: 'Langfredag' },
+      { easter: 1, name: '2. påskedag' },
+      { easter: 39, name: 'Kristi himmelfartsdag' },
+      { easter: 50, name: '2. pinsedag' },
+      [6, 5, 'Grundlovsdag'],
+      [12, 24, 'Juleaften'],
+      [12, 25, 'Juledag'],
+      [12, 26, '2. juledag']
+    ]
+  },
+  NO: {
+    rules: [
+      [1, 1, 'Første nyttårsdag'],
+      { easter: -3, name: 'Skjærtorsdag' },
+      { easter: -2, name: 'Langfredag' },
+      { easter: 1, name: 'Andre påskedag' },
+      [5, 1, 'Arbeidernes dag'],
+      [5, 17, 'Grunnlovsdag'],
+      { easter: 39, name: 'Kristi himmelfartsdag' },
+      { easter: 50, name: 'Andre pinsedag' },
+      [12, 25, 'Første juledag'],
+      [12, 26, 'Andre juledag']
+    ]
+  },
+  FI: {
+    rules: [
+      [1, 1, 'Uudenvuodenpäivä'],
+      [1, 6, 'Loppiainen'],
+      { easter: -2, name: 'Pitkäperjantai' },
+      { easter: 1, name: 'Toinen pääsiäispäivä' },
+      [5, 1, 'Vappu'],
+      { easter: 39, name: 'Helatorstai' },
+      [12, 6, 'Itsenäisyyspäivä'],
+      [12, 24, 'Jouluaatto'],
+      [12, 25, 'Joulupäivä'],
+      [12, 26, 'Tapaninpäivä']
+    ]
+  },
+  PL: {
+    rules: [
+      [1, 1, 'Nowy Rok'],
+      [1, 6, 'Trzech Króli'],
+      { easter: 1, name: 'Poniedziałek Wielkanocny' },
+      [5, 1, 'Święto Pracy'],
+      [5, 3, 'Święto Konstytucji'],
+      { easter: 60, name: 'Boże Ciało' },
+      [8, 15, 'Wniebowzięcie'],
+      [11, 1, 'Wszystkich Świętych'],
+      [11, 11, 'Święto Niepodległości'],
+      [12, 25, 'Boże Narodzenie'],
+      [12, 26, 'Drugi dzień Świąt']
+    ]
+  },
+  AU: {
+    substitute: 'next_weekday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      [1, 26, 'Australia Day'],
+      { easter: -2, name: 'Good Friday' },
+      { easter: 1, name: 'Easter Monday' },
+      [4, 25, 'Anzac Day'],
+      [12, 25, 'Christmas Day'],
+      [12, 26, 'Boxing Day']
+    ]
+  },
+  NZ: {
+    substitute: 'next_weekday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      [1, 2, 'Day after New Year'],
+      [2, 6, 'Waitangi Day'],
+      { easter: -2, name: 'Good Friday' },
+      { easter: 1, name: 'Easter Monday' },
+      [4, 25, 'Anzac Day'],
+      { nth: [6, 1, 1], name: "King's Birthday" },
+      { nth: [10, 1, 4], name: 'Labour Day' },
+      [12, 25, 'Christmas Day'],
+      [12, 26, 'Boxing Day']
+    ]
+  },
+  SG: {
+    substitute: 'sunday_to_monday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      { easter: -2, name: 'Good Friday' },
+      [5, 1, 'Labour Day'],
+      [8, 9, 'National Day'],
+      [12, 25, 'Christmas Day']
+    ]
+  },
+  HK: {
+    substitute: 'sunday_to_monday',
+    rules: [
+      [1, 1, 'New Year'],
+      { easter: -2, name: 'Good Friday' },
+      { easter: -1, name: 'Day after Good Friday' },
+      { easter: 1, name: 'Easter Monday' },
+      [5, 1, 'Labour Day'],
+      [7, 1, 'HKSAR Establishment Day'],
+      [10, 1, 'National Day'],
+      [12, 25, 'Christmas Day'],
+      [12, 26, 'First weekday after Christmas']
+    ]
+  },
+  JP: {
+    substitute: 'sunday_to_monday',
+    rules: [
+      [1, 1, '元日'],
+      [1, 2, '年始休み'],
+      [1, 3, '年始休み'],
+      { nth: [1, 1, 2], name: '成人の日' },
+      [2, 11, '建国記念の日'],
+      [2, 23, '天皇誕生日'],
+      [4, 29, '昭和の日'],
+      [5, 3, '憲法記念日'],
+      [5, 4, 'みどりの日'],
+      [5, 5, 'こどもの日'],
+      { nth: [7, 1, 3], name: '海の日' },
+      [8, 11, '山の日'],
+      { nth: [9, 1, 3], name: '敬老の日' },
+      { nth: [10, 1, 2], name: 'スポーツの日' },
+      [11, 3, '文化の日'],
+      [11, 23, '勤労感謝の日']
+    ]
+  },
+  IN: {
+    rules: [
+      [1, 26, 'Republic Day'],
+      [8, 15, 'Independence Day'],
+      [10, 2, 'Gandhi Jayanti']
+    ]
+  },
+  AE: {
+    rules: [
+      [1, 1, "New Year's Day"],
+      [12, 2, 'National Day'],
+      [12, 3, 'National Day']
+    ]
+  },
+  ZA: {
+    substitute: 'sunday_to_monday',
+    rules: [
+      [1, 1, "New Year's Day"],
+      [3, 21, 'Human Rights Day'],
+      { easter: -2, name: 'Good Friday' },
+      { easter: 1, name: 'Family Day' },
+      [4, 27, 'Freedom Day'],
+      [5, 1, "Workers' Day"],
+      [6, 16, 'Youth Day'],
+      [8, 9, "National Women's Day"],
+      [9, 24, 'Heritage Day'],
+      [12, 16, 'Day of Reconciliation'],
+      [12, 25, 'Christmas Day'],
+      [12, 26, 'Day of Goodwill']
+    ]
+  },
+  BR: {
+    rules: [
+      [1, 1, 'Confraternização Universal'],
+      { easter: -48, name: 'Carnaval' },
+      { easter: -47, name: 'Carnaval' },
+      { easter: -2, name: 'Sexta-feira Santa' },
+      [4, 21, 'Tiradentes'],
+      [5, 1, 'Dia do Trabalhador'],
+      { easter: 60, name: 'Corpus Christi' },
+      [9, 7, 'Independência'],
+      [10, 12, 'Nossa Senhora Aparecida'],
+      [11, 2, 'Finados'],
+      [11, 15, 'Proclamação da República'],
+      [11, 20, 'Consciência Negra'],
+      [12, 25, 'Natal']
+    ]
+  },
+  MX: {
+    rules: [
+      [1, 1, 'Año Nuevo'],
+      { nth: [2, 1, 1], name: 'Día de la Constitución' },
+      { nth: [3, 1, 3], name: 'Natalicio de Benito Juárez' },
+      [5, 1, 'Día del Trabajo'],
+      [9, 16, 'Día de la Independencia'],
+      { nth: [11, 1, 3], name: 'Día de la Revolución' },
+      [12, 25, 'Navidad']
+    ]
+  }
+};
+
+export const HOLIDAY_COUNTRIES = Object.keys(CALENDARS);
+
+const cache = new Map();
+
+/**
+ * Easter Sunday (Gregorian, anonymous algorithm)
+ * @private
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { year, month, day };
+}
+
+/**
+ * n-th weekday of a month (n = -1 for the last)
+ * @private
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = addDays({ year, month, day: 1 }, 0);
+    return addDays(first, ((weekday - first.weekday + 7) % 7) + (n - 1) * 7);
+  }
+  const last = addDays({ year, month: month + 1, day: 1 }, -1);
+  return addDays(last, -((last.weekday - weekday + 7) % 7));
+}
+
+/**
+ * Move a weekend date to the weekday the country observes it on
+ * @private
+ */
+function observedDate(date, substitute, taken) {
+  if (substitute === 'nearest_weekday') {
+    if (date.weekday === 6) return addDays(date, -1);
+    if (date.weekday === 0) return addDays(date, 1);
+    return null;
+  }
+
+  const movesSaturday = substitute === 'next_weekday';
+  if (date.weekday !== 0 && !(movesSaturday && date.weekday === 6)) {
+    return null;
+  }
+
+  let next = addDays(date, date.weekday === 6 ? 2 : 1);
+  while (taken.has(toDateKey(next))) {
+    next = addDays(next, 1);
+  }
+  return next;
+}
+
+/**
+ * Public holidays of a country in a year
+ *
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @param {number} year
+ * @returns {Map<string, string>} YYYY-MM-DD -> holiday name (empty for unknown countries)
+ */
+export function getHolidays(country, year) {
+  const code = String(country || '').toUpperCase();
+  const cacheKey = `${code}:${year}`;
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const calendar = CALENDARS[code];
+  const holidays = new Map();
+
+  if (calendar) {
+    const easter = easterSunday(year);
+    const fixed = [];
+
+    for (const rule of calendar.rules) {
+      let date;
+      let name;
+      if (Array.isArray(rule)) {
+        date = addDays({ year, month: rule[0], day: rule[1] }, 0);
+        name = rule[2];
+        fixed.push({ date, name });
+      } else if (rule.nth) {
+        date = nthWeekday(year, rule.nth[0], rule.nth[1], rule.nth[2]);
+        name = rule.name;
+      } else if (rule.onOrBefore) {
+        const [month, day, weekday] = rule.onOrBefore;
+        const anchor = addDays({ year, month, day }, 0);
+        date = addDays(anchor, -((anchor.weekday - weekday + 7) % 7));
+        name = rule.name;
+      } else {
+        date = addDays(easter, rule.easter);
+        name = rule.name;
+      }
+      holidays.set(toDateKey(date), name);
+    }
+
+    if (calendar.substitute) {
+      for (const { date, name } of fixed) {
+        const observed = observedDate(date, calendar.substitute, holidays);
+        if (observed) {
+          holidays.set(toDateKey(observed), `${name} (observed)`);
+        }
+      }
+    }
+  }
+
+  cache.set(cacheKey, holidays);
+  return holidays;
+}
+
+/**
+ * Holiday on a wall-clock date, if any
+ *
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @param {Object} date - { year, month, day }
+ * @returns {string|null} Holiday name
+ */
+export function getHoliday(country, date) {
+  return getHolidays(country, date.year).get(toDateKey(date)) || null;
+}
+
+export default {
+  HOLIDAY_COUNTRIES,
+  getHolidays,
+  getHoliday
+};
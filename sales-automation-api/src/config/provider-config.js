@@ -10,6 +10,15 @@ import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('ProviderConfig');
 
+/**
+ * Env var prefix a sender pool mailbox may read secrets from, per provider.
+ * Campaign configs name the variables, so they must never reach other secrets.
+ */
+export const MAILBOX_SECRET_PREFIXES = {
+  smtp: 'SMTP_MAILBOX_',
+  postmark: 'POSTMARK_MAILBOX_'
+};
+
 export class ProviderConfig {
   constructor() {
     this.config = this.loadConfig();
@@ -26,6 +35,8 @@ export class ProviderConfig {
         apiKey: process.env.LEMLIST_API_KEY,
         webhookSecret: process.env.LEMLIST_WEBHOOK_SECRET,
         apiUrl: process.env.LEMLIST_API_URL || 'https://api.lemlist.com/api',
+        campaignId: process.env.LEMLIST_CAMPAIGN_ID,
+        linkedinCampaignId: process.env.LEMLIST_LINKEDIN_CAMPAIGN_ID || process.env.LEMLIST_CAMPAIGN_ID,
         enabled: process.env.EMAIL_PROVIDER === 'lemlist' || process.env.LINKEDIN_PROVIDER === 'lemlist'
       },
 
@@ -37,6 +48,45 @@ export class ProviderConfig {
         enabled: process.env.EMAIL_PROVIDER === 'postmark'
       },
 
+      // Self-hosted sending (Google Workspace, Office 365 or any SMTP relay)
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE
+          ? process.env.SMTP_SECURE === 'true'
+          : process.env.SMTP_PORT === '465',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        senderEmail: process.env.SMTP_SENDER_EMAIL || process.env.SMTP_USER,
+        senderName: process.env.SMTP_SENDER_NAME,
+        dkim: {
+          domainName: process.env.SMTP_DKIM_DOMAIN,
+          keySelector: process.env.SMTP_DKIM_SELECTOR,
+          // Keys pasted into .env usually carry literal "\n" sequences
+          privateKey: process.env.SMTP_DKIM_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+          privateKeyPath: process.env.SMTP_DKIM_PRIVATE_KEY_PATH
+        },
+        // Hosts other than SMTP_HOST that sender pool mailboxes may send through
+        mailboxHosts: (process.env.SMTP_MAILBOX_HOSTS || '')
+          .split(',')
+          .map(host => host.trim().toLowerCase())
+          .filter(Boolean),
+        enabled: process.env.EMAIL_PROVIDER === 'smtp'
+      },
+
+      // Reply capture for SMTP mailboxes
+      imap: {
+        host: process.env.IMAP_HOST,
+        port: parseInt(process.env.IMAP_PORT, 10) || 993,
+        secure: process.env.IMAP_SECURE !== 'false',
+        user: process.env.IMAP_USER || process.env.SMTP_USER,
+        password: process.env.IMAP_PASSWORD || process.env.SMTP_PASSWORD,
+        mailbox: process.env.IMAP_MAILBOX || 'INBOX',
+        pollIntervalMs: parseInt(process.env.IMAP_POLL_INTERVAL_MS, 10) || 60000,
+        lookbackHours: parseInt(process.env.IMAP_LOOKBACK_HOURS, 10) || 72,
+        enabled: !!process.env.IMAP_HOST && process.env.IMAP_POLLER_ENABLED !== 'false'
+      },
+
       // LinkedIn Providers
       phantombuster: {
         apiKey: process.env.PHANTOMBUSTER_API_KEY,
@@ -53,6 +103,18 @@ export class ProviderConfig {
         enabled: process.env.VIDEO_PROVIDER === 'heygen' || process.env.VIDEO_PROVIDER === undefined
       },
 
+      // Calendar (booked meeting detection and free slots)
+      // CALENDAR_PROVIDER=ics reads a published feed URL, caldav queries a CalDAV collection
+      calendar: {
+        provider: (process.env.CALENDAR_PROVIDER || 'ics').toLowerCase(),
+        url: process.env.CALENDAR_URL,
+        username: process.env.CALENDAR_USERNAME,
+        password: process.env.CALENDAR_PASSWORD,
+        timezone: process.env.CALENDAR_TIMEZONE || 'UTC',
+        webhookSecret: process.env.BOOKING_WEBHOOK_SECRET,
+        enabled: !!process.env.CALENDAR_URL
+      },
+
       // Provider Selection
       active: {
         email: process.env.EMAIL_PROVIDER || 'lemlist',
@@ -105,7 +167,8 @@ export class ProviderConfig {
    */
   getProviderApiKey(provider) {
     const config = this.config[provider];
-    return config?.apiKey || config?.serverToken;
+    // SMTP authenticates per mailbox; a host is the minimum it needs
+    return config?.apiKey || config?.serverToken || config?.host;
   }
 
   /**
@@ -143,6 +206,76 @@ export class ProviderConfig {
     return this.config[provider] || null;
   }
 
+  /**
+   * Build provider config for one sender pool mailbox
+   * Mailboxes live in campaign_instances.provider_config, so they only name
+   * the env vars holding their secrets, and only under MAILBOX_SECRET_PREFIXES.
+   * Anything not set per mailbox falls back to the provider's global settings,
+   * except that SMTP_PASSWORD is only ever sent to SMTP_HOST: a mailbox on
+   * another host (which must be listed in SMTP_MAILBOX_HOSTS) needs its own
+   * password_env.
+   *
+   * @param {Object} mailbox - Mailbox from SenderPool.getPoolConfig()
+   * @returns {Object|null} Config for the provider constructor, or null if
+   *   the provider cannot send per mailbox
+   * @throws {Error} If a named secret is outside the prefix or unset, or the
+   *   host is not allowed
+   */
+  getMailboxProviderConfig(mailbox) {
+    const secret = (name) => {
+      if (!name) {
+        return undefined;
+      }
+      const prefix = MAILBOX_SECRET_PREFIXES[mailbox.provider];
+      if (!name.startsWith(prefix)) {
+        throw new Error(`Sender mailbox ${mailbox.address} can only read secrets from ${prefix}* variables (got ${name})`);
+      }
+      if (!process.env[name]) {
+        throw new Error(`Sender mailbox ${mailbox.address} names ${name}, which is not set`);
+      }
+      return process.env[name];
+    };
+
+    if (mailbox.provider === 'smtp') {
+      const base = this.config.smtp;
+      const host = mailbox.host || base.host;
+      const ownHost = !mailbox.host || mailbox.host.toLowerCase() === base.host?.toLowerCase();
+
+      if (!ownHost && !base.mailboxHosts.includes(mailbox.host.toLowerCase())) {
+        throw new Error(`Sender mailbox ${mailbox.address} uses SMTP host ${mailbox.host}, which is not in SMTP_MAILBOX_HOSTS`);
+      }
+      if (!ownHost && !mailbox.password_env) {
+        throw new Error(`Sender mailbox ${mailbox.address} on ${mailbox.host} needs its own password_env`);
+      }
+
+      const dkimKey = secret(mailbox.dkim_private_key_env)?.replace(/\\n/g, '\n');
+      return {
+        ...base,
+        host,
+        port: mailbox.port || base.port,
+        secure: mailbox.secure ?? base.secure,
+        user: mailbox.user || mailbox.address,
+        password: mailbox.password_env ? secret(mailbox.password_env) : base.password,
+        senderEmail: mailbox.address,
+        senderName: mailbox.from_name || base.senderName,
+        dkim: mailbox.dkim_domain
+          ? { domainName: mailbox.dkim_domain, keySelector: mailbox.dkim_selector, privateKey: dkimKey }
+          : base.dkim
+      };
+    }
+
+    if (mailbox.provider === 'postmark') {
+      const base = this.config.postmark;
+      return {
+        ...base,
+        serverToken: mailbox.server_token_env ? secret(mailbox.server_token_env) : base.serverToken,
+        senderEmail: mailbox.address
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Get configuration summary (without secrets)
    */
@@ -161,6 +294,14 @@ export class ProviderConfig {
           hasWebhookSecret: !!this.config.postmark.webhookSecret,
           senderEmail: this.config.postmark.senderEmail
         },
+        smtp: {
+          enabled: this.config.smtp.enabled,
+          host: this.config.smtp.host,
+          hasCredentials: !!(this.config.smtp.user && this.config.smtp.password),
+          hasDkim: !!(this.config.smtp.dkim.domainName && (this.config.smtp.dkim.privateKey || this.config.smtp.dkim.privateKeyPath)),
+          senderEmail: this.config.smtp.senderEmail,
+          imapPolling: this.config.imap.enabled
+        },
         phantombuster: {
           enabled: this.config.phantombuster.enabled,
           hasApiKey: !!this.config.phantombuster.apiKey,
@@ -170,6 +311,13 @@ export class ProviderConfig {
           enabled: this.config.heygen.enabled,
           hasApiKey: !!this.config.heygen.apiKey,
           hasWebhookSecret: !!this.config.heygen.webhookSecret
+        },
+        calendar: {
+          enabled: this.config.calendar.enabled,
+          provider: this.config.calendar.provider,
+          timezone: this.config.calendar.timezone,
+          hasCredentials: !!(this.config.calendar.username && this.config.calendar.password),
+          hasWebhookSecret: !!this.config.calendar.webhookSecret
         }
       }
     };
@@ -39,6 +39,13 @@ export const CONFIDENCE_SAMPLES = {
   low: parseInt(process.env.CONFIDENCE_SAMPLES_LOW, 10) || 5
 };
 
+// A/B variant testing - when a step variant is promoted as the winner
+export const AB_TEST_CONFIG = {
+  metric: process.env.AB_TEST_METRIC || 'reply_rate',  // open_rate | click_rate | reply_rate
+  minSamplesPerVariant: parseInt(process.env.AB_TEST_MIN_SAMPLES, 10) || CONFIDENCE_SAMPLES.medium,
+  confidenceLevel: parseFloat(process.env.AB_TEST_CONFIDENCE_LEVEL) || 0.95
+};
+
 // Message length scoring thresholds
 export const MESSAGE_LENGTH = {
   min: 50,        // Below this: penalize heavily
@@ -139,6 +146,7 @@ export default {
   QUALITY_WEIGHTS,
   TEMPLATE_WEIGHTS,
   CONFIDENCE_SAMPLES,
+  AB_TEST_CONFIG,
   MESSAGE_LENGTH,
   SPAM_TRIGGERS,
   ROLE_BASED_PREFIXES,
@@ -0,0 +1,188 @@
+/**
+ * Admin Controller
+ * HTTP endpoint handlers for the dead letter queue (FIX #6)
+ *
+ * Events land in the DLQ after OrphanedEventQueue exhausts its retries.
+ * Replaying puts a failed event back on the orphaned event queue.
+ * Shared by the /api/admin/dlq routes and the dlq_* MCP tools.
+ */
+
+import OrphanedEventQueue from '../services/OrphanedEventQueue.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AdminController');
+
+/**
+ * GET /api/admin/dlq
+ * List dead letter events
+ */
+export async function listDeadLetterEvents(req, res) {
+  try {
+    const { DeadLetterEvent } = await import('../models/index.js');
+    const { status, limit = 100, offset = 0 } = req.validatedQuery;
+
+    const where = status ? { status } : {};
+
+    const events = await DeadLetterEvent.findAll({
+      where,
+      limit: Math.min(parseInt(limit), 1000),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC']]
+    });
+
+    const total = await DeadLetterEvent.count({ where });
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: (parseInt(offset) + events.length) < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching dead letter events', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/admin/dlq/replay
+ * Replay dead letter event(s)
+ */
+export async function replayDeadLetterEvents(req, res) {
+  try {
+    const { DeadLetterEvent } = await import('../models/index.js');
+    const { eventIds } = req.validatedBody;
+
+    // Validation handled by Zod middleware
+    const results = [];
+
+    for (const eventId of eventIds) {
+      try {
+        const dlqEvent = await DeadLetterEvent.findByPk(eventId);
+
+        if (!dlqEvent) {
+          results.push({
+            eventId,
+            success: false,
+            error: 'Event not found'
+          });
+          continue;
+        }
+
+        if (dlqEvent.status !== 'failed') {
+          results.push({
+            eventId,
+            success: false,
+            error: `Event status is ${dlqEvent.status}, can only replay failed events`
+          });
+          continue;
+        }
+
+        // Update status to replaying
+        await dlqEvent.update({ status: 'replaying' });
+
+        // Re-enqueue the event
+        await OrphanedEventQueue.enqueue(dlqEvent.event_data);
+
+        // Update status to replayed
+        await dlqEvent.update({
+          status: 'replayed',
+          replayed_at: new Date()
+        });
+
+        results.push({
+          eventId,
+          success: true,
+          message: 'Event re-queued for processing'
+        });
+
+        logger.info('Dead letter event replayed', {
+          dlqId: eventId,
+          email: dlqEvent.email,
+          eventType: dlqEvent.event_type
+        });
+
+      } catch (error) {
+        logger.error('Error replaying dead letter event', {
+          eventId,
+          error: error.message
+        });
+
+        results.push({
+          eventId,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      results,
+      summary: {
+        total: results.length,
+        succeeded: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in DLQ replay endpoint', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/admin/dlq/stats
+ * Dead letter event counts by status and event type
+ */
+export async function getDeadLetterStats(req, res) {
+  try {
+    const { DeadLetterEvent, sequelize } = await import('../models/index.js');
+
+    const stats = await DeadLetterEvent.findAll({
+      attributes: [
+        'status',
+        'event_type',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['status', 'event_type'],
+      raw: true
+    });
+
+    const totalByStatus = await DeadLetterEvent.findAll({
+      attributes: [
+        'status',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['status'],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        byStatusAndType: stats,
+        byStatus: totalByStatus
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching DLQ stats', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
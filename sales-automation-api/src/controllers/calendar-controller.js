@@ -0,0 +1,212 @@
+/**
+ * Calendar Controller
+ * HTTP endpoint handlers for meeting tracking and free slots
+ *
+ * Booking webhooks are verified with BOOKING_WEBHOOK_SECRET. Accepted
+ * signatures (HMAC-SHA256 of the raw body, hex):
+ * - X-Booking-Signature: <hex> or sha256=<hex> (generic senders)
+ * - X-Cal-Signature-256: <hex> (Cal.com)
+ * - Calendly-Webhook-Signature: t=<timestamp>,v1=<hex of "timestamp.body"> (Calendly)
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { WebhookSignature } from '../providers/utils/WebhookSignature.js';
+import { providerConfig } from '../config/provider-config.js';
+import { MeetingTracker } from '../services/MeetingTracker.js';
+
+const logger = createLogger('CalendarController');
+
+// Calendly signatures older than this are replays
+const CALENDLY_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Resolve the MeetingTracker or send 503
+ * @private
+ */
+function getTracker(req, res) {
+  const tracker = req.app.locals.meetingTracker;
+
+  if (!tracker) {
+    logger.error('MeetingTracker not initialized');
+    res.status(503).json({
+      success: false,
+      error: 'Meeting tracking unavailable',
+      message: 'MeetingTracker is not initialized (missing database)'
+    });
+    return null;
+  }
+
+  return tracker;
+}
+
+/**
+ * Check a booking webhook signature against the raw body
+ * @private
+ */
+function verifyBookingSignature(req, secret) {
+  const payload = req.rawBody ? req.rawBody.toString('utf8') : null;
+  if (!payload) {
+    logger.error('Missing raw body for signature verification. Configure express.json({ verify: saveRawBody })');
+    return false;
+  }
+
+  const calendly = req.headers['calendly-webhook-signature'];
+  if (calendly) {
+    const parts = Object.fromEntries(calendly.split(',').map(part => part.trim().split('=')));
+    const age = Math.abs(Date.now() / 1000 - Number(parts.t));
+    if (!parts.t || !parts.v1 || !(age <= CALENDLY_TOLERANCE_SECONDS)) {
+      return false;
+    }
+    return WebhookSignature.verify(parts.v1, `${parts.t}.${payload}`, secret);
+  }
+
+  const signature = req.headers['x-booking-signature'] || req.headers['x-cal-signature-256'];
+  if (!signature) {
+    return false;
+  }
+  return WebhookSignature.verify(signature.replace(/^sha256=/, ''), payload, secret);
+}
+
+/**
+ * Verify a booking webhook's signature
+ * Runs before body validation so unsigned requests learn nothing about the schema.
+ */
+export function verifyBookingWebhook(req, res, next) {
+  const secret = providerConfig.getProviderConfig('calendar')?.webhookSecret;
+
+  if (!secret) {
+    logger.error('Webhook secret not configured', { secretEnvVar: 'BOOKING_WEBHOOK_SECRET' });
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook authentication not configured',
+      message: 'BOOKING_WEBHOOK_SECRET is not set'
+    });
+  }
+
+  if (!verifyBookingSignature(req, secret)) {
+    logger.warn('Booking webhook signature verification failed', {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature',
+      message: 'Booking webhook signature verification failed'
+    });
+  }
+
+  next();
+}
+
+/**
+ * POST /api/calendar/webhook/booking
+ * Record a booking from Calendly, Cal.com or any tool that can post JSON
+ */
+export async function receiveBookingWebhook(req, res) {
+  const tracker = getTracker(req, res);
+  if (!tracker) return;
+
+  const booking = MeetingTracker.normalizeBooking(req.validatedBody);
+  if (!booking) {
+    // Acknowledge so the sender does not retry payloads we will never understand
+    logger.info('Ignoring unrecognised booking payload');
+    return res.json({
+      success: true,
+      data: { status: 'ignored' }
+    });
+  }
+
+  const result = await tracker.recordBooking(booking);
+
+  res.json({
+    success: true,
+    data: {
+      status: result.status,
+      meetingId: result.meeting?.id || null,
+      enrollmentIds: result.enrollmentIds || [],
+      sequencesStopped: result.stopped || 0
+    }
+  });
+}
+
+/**
+ * GET /api/calendar/meetings
+ * List recorded meetings, newest first
+ */
+export async function listMeetings(req, res) {
+  const tracker = getTracker(req, res);
+  if (!tracker) return;
+
+  const { status, since, limit, offset } = req.validatedQuery;
+  const { meetings, total } = tracker.database.listCalendarMeetings({ status, since, limit, offset });
+
+  res.json({
+    success: true,
+    data: meetings,
+    stats: tracker.stats,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + meetings.length < total
+    }
+  });
+}
+
+/**
+ * GET /api/calendar/slots
+ * Free slots to offer prospects
+ */
+export async function getSlots(req, res) {
+  const tracker = getTracker(req, res);
+  if (!tracker) return;
+
+  if (!tracker.calendar) {
+    return res.status(503).json({
+      success: false,
+      error: 'Calendar not configured',
+      message: 'Set CALENDAR_URL to read free slots'
+    });
+  }
+
+  const { days, duration, count } = req.validatedQuery;
+  const slots = await tracker.getFreeSlots({ days, durationMinutes: duration, count });
+
+  res.json({
+    success: true,
+    data: slots,
+    timezone: tracker.timezone
+  });
+}
+
+/**
+ * POST /api/calendar/sync
+ * Scan the calendar for booked meetings now
+ */
+export async function syncCalendar(req, res) {
+  const tracker = getTracker(req, res);
+  if (!tracker) return;
+
+  if (!tracker.calendar) {
+    return res.status(503).json({
+      success: false,
+      error: 'Calendar not configured',
+      message: 'Set CALENDAR_URL to sync meetings from a calendar'
+    });
+  }
+
+  const counts = await tracker.sync();
+
+  if (!counts) {
+    return res.status(409).json({
+      success: false,
+      error: 'Sync in progress',
+      message: 'A calendar sync is already running'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: counts
+  });
+}
@@ -37,10 +37,21 @@ import OrphanedEventQueue from '../services/OrphanedEventQueue.js';
 
 // Import OutcomeTracker for learning from webhook events
 import OutcomeTracker from '../services/OutcomeTracker.js';
+import { campaignEventBus } from '../services/CampaignEventBus.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from '../services/WebhookDispatcher.js';
+
+// Import EventNormalizer for provider-native webhook payloads
+import { EventNormalizer } from '../providers/events/EventNormalizer.js';
 
 // Import ConversationalResponder for dynamic AI responses
 import ConversationalResponder from '../services/ConversationalResponder.js';
 
+// Import ABTestService for email variant testing
+import ABTestService from '../services/ABTestService.js';
+
+// Import SenderPool for multi-mailbox quotas
+import { senderPool } from '../services/SenderPool.js';
+
 // ============================================================================
 // CUSTOM ERROR CLASSES
 // ============================================================================
@@ -533,12 +544,26 @@ async function getInstancePerformance(req, res) {
     throw new NotFoundError('Campaign instance');
   }
 
+  res.json({
+    success: true,
+    data: await buildInstancePerformance(instance)
+  });
+}
+
+/**
+ * Aggregate performance analytics for a campaign instance
+ * Shared by the REST endpoint and the MCP campaign performance resource.
+ *
+ * @param {Object} instance - CampaignInstance
+ * @returns {Promise<Object>} Metrics, event breakdown, time series, funnel and step performance
+ */
+async function buildInstancePerformance(instance) {
   // Calculate metrics from instance counters
   const metrics = instance.getMetrics();
 
   // Use SQL aggregation for enrollment status breakdown
   const enrollmentStatusQuery = await CampaignEnrollment.findAll({
-    where: { instance_id: id },
+    where: { instance_id: instance.id },
     attributes: [
       'status',
       [sequelize.fn('COUNT', sequelize.col('id')), 'count']
@@ -563,7 +588,7 @@ async function getInstancePerformance(req, res) {
     WHERE enr.instance_id = :instanceId
     GROUP BY channel, event_type
   `, {
-    replacements: { instanceId: id },
+    replacements: { instanceId: instance.id },
     type: Sequelize.QueryTypes.SELECT
   });
 
@@ -585,7 +610,7 @@ async function getInstancePerformance(req, res) {
     GROUP BY DATE(timestamp)
     ORDER BY date ASC
   `, {
-    replacements: { instanceId: id },
+    replacements: { instanceId: instance.id },
     type: Sequelize.QueryTypes.SELECT
   });
 
@@ -605,7 +630,7 @@ async function getInstancePerformance(req, res) {
       AND event_type IN ('sent', 'delivered', 'opened', 'clicked', 'replied')
     GROUP BY event_type
   `, {
-    replacements: { instanceId: id },
+    replacements: { instanceId: instance.id },
     type: Sequelize.QueryTypes.SELECT
   });
 
@@ -636,7 +661,7 @@ async function getInstancePerformance(req, res) {
     GROUP BY step_number, event_type
     ORDER BY step_number ASC
   `, {
-    replacements: { instanceId: id },
+    replacements: { instanceId: instance.id },
     type: Sequelize.QueryTypes.SELECT
   });
 
@@ -650,23 +675,20 @@ async function getInstancePerformance(req, res) {
     stepPerformanceMap[step].events[row.event_type] = parseInt(row.count, 10);
   });
 
-  res.json({
-    success: true,
-    data: {
-      instance: {
-        id: instance.id,
-        name: instance.name,
-        status: instance.status,
-        started_at: instance.started_at
-      },
-      metrics,
-      eventBreakdown,
-      timeSeries,
-      funnel,
-      stepPerformance: Object.values(stepPerformanceMap),
-      enrollmentStatus
-    }
-  });
+  return {
+    instance: {
+      id: instance.id,
+      name: instance.name,
+      status: instance.status,
+      started_at: instance.started_at
+    },
+    metrics,
+    eventBreakdown,
+    timeSeries,
+    funnel,
+    stepPerformance: Object.values(stepPerformanceMap),
+    enrollmentStatus
+  };
 }
 
 // ============================================================================
@@ -699,6 +721,26 @@ async function createEmailSequence(req, res) {
       throw new NotFoundError('Campaign template');
     }
 
+    // Variant labels must be unique within a step so outcomes can be attributed
+    if (sequenceData.a_b_variant) {
+      const duplicateVariant = await EmailSequence.findOne({
+        where: {
+          template_id: id,
+          step_number: sequenceData.step_number,
+          a_b_variant: sequenceData.a_b_variant,
+          is_active: true
+        },
+        transaction: t
+      });
+
+      if (duplicateVariant) {
+        throw new ConflictError(
+          `Variant '${sequenceData.a_b_variant}' already exists for step ${sequenceData.step_number}`,
+          { existingSequenceId: duplicateVariant.id }
+        );
+      }
+    }
+
     // Create sequence
     const newSequence = await EmailSequence.create(sequenceData, { transaction: t });
 
@@ -794,6 +836,55 @@ async function deleteEmailSequence(req, res) {
   res.status(204).send();
 }
 
+// ============================================================================
+// EMAIL A/B TESTS
+// ============================================================================
+
+/**
+ * Get per-variant performance for every email step with competing variants
+ * Read-only: significant winners are reported but not promoted
+ */
+async function getTemplateABTests(req, res) {
+  const { id } = req.validatedParams;
+
+  const result = await ABTestService.evaluateTemplate(id, { promote: false });
+
+  if (!result) {
+    throw new NotFoundError('Campaign template');
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+}
+
+/**
+ * Evaluate email variant tests now, promoting significant winners
+ */
+async function evaluateTemplateABTests(req, res) {
+  const { id } = req.validatedParams;
+  const { step_number, metric, promote } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  logger.info('A/B test evaluation requested', { userId, templateId: id, stepNumber: step_number, promote });
+
+  const result = await ABTestService.evaluateTemplate(id, {
+    stepNumber: step_number,
+    promote,
+    ...(metric && { metric })
+  });
+
+  if (!result) {
+    throw new NotFoundError('Campaign template');
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+}
+
 // ============================================================================
 // LINKEDIN SEQUENCE MANAGEMENT
 // ============================================================================
@@ -1307,6 +1398,8 @@ async function createEvent(req, res) {
       ? {}
       : { isolationLevel: Sequelize.Transaction.ISOLATION_LEVELS.READ_COMMITTED };
 
+    let isNewEvent = false;
+    let completedEnrollment = null;
     const event = await dbSequelize.transaction(transactionOptions, async (t) => {
       // Verify enrollment exists
       const enrollment = await models.CampaignEnrollment.findByPk(eventData.enrollment_id, {
@@ -1370,6 +1463,8 @@ async function createEvent(req, res) {
         return newEvent;
       }
 
+      isNewEvent = true;
+
       // Update instance counters based on event type using atomic increments
       // Instance is locked, so these updates are serialized (no race conditions)
 
@@ -1396,8 +1491,9 @@ async function createEvent(req, res) {
       await enrollment.update({ status: 'bounced' }, { transaction: t });
     } else if (eventData.event_type === 'unsubscribed') {
       await enrollment.update({ status: 'unsubscribed' }, { transaction: t });
-    } else if (eventData.event_type === 'replied') {
+    } else if (eventData.event_type === 'replied' && enrollment.status !== 'completed') {
       await enrollment.update({ status: 'completed' }, { transaction: t });
+      completedEnrollment = enrollment;
     }
 
       logger.info('Event created successfully', {
@@ -1416,6 +1512,19 @@ async function createEvent(req, res) {
       data: event
     });
 
+    // Notify in-process subscribers (reactive workflow triggers) once the event is committed
+    if (isNewEvent) {
+      campaignEventBus.publish(event);
+    }
+    if (completedEnrollment) {
+      webhookDispatcher.publish(WEBHOOK_EVENTS.ENROLLMENT_COMPLETED, {
+        enrollment_id: completedEnrollment.id,
+        instance_id: completedEnrollment.instance_id,
+        reason: 'replied',
+        completed_at: new Date(event.timestamp).toISOString()
+      });
+    }
+
     // Fire-and-forget: Update OutcomeTracker for learning (don't block response)
     // This enables automatic updates to what-works.md and what-doesnt-work.md
     setImmediate(async () => {
@@ -1441,8 +1550,7 @@ async function createEvent(req, res) {
                 const template = campaign ? await CampaignTemplate.findByPk(campaign.template_id) : null;
                 
                 // Check if campaign uses dynamic_ai path type
-                const isDynamicAI = template?.path_type === 'dynamic_ai' || 
-                                   campaign?.settings?.dynamic_ai_enabled === true;
+                const isDynamicAI = ConversationalResponder.answersReplies(campaign, template);
                 
                 if (isDynamicAI) {
                   logger.info('Triggering ConversationalResponder for dynamic AI reply', {
@@ -1505,6 +1613,93 @@ async function createEvent(req, res) {
   }
 }
 
+/**
+ * Receive a provider-native webhook (POST /events/webhook/:provider)
+ * The payload is translated by the provider's event mapping (authenticated
+ * and attached as req.eventMapping by validateProviderWebhook), correlated to
+ * enrollments by provider message ID and persisted like createEvent.
+ * Events whose enrollment can't be found yet go to OrphanedEventQueue, like
+ * createEvent (events without a provider message ID can never be correlated
+ * and are skipped); processing errors propagate so the provider redelivers.
+ */
+async function ingestProviderWebhook(req, res) {
+  const { provider } = req.validatedParams;
+  const mapping = req.eventMapping;
+  const processCampaignEvent = req.app.locals.processCampaignEvent;
+
+  if (!processCampaignEvent) {
+    return res.status(503).json({
+      success: false,
+      error: 'Service unavailable',
+      message: 'Campaign event processing is not initialized'
+    });
+  }
+
+  const { events, ignored } = mapping.parse(req.body);
+  const summary = { received: events.length + ignored.length, processed: 0, duplicates: 0, ignored: ignored.length, queued: 0, uncorrelated: 0 };
+  const tracked = [];
+
+  if (ignored.length > 0) {
+    logger.debug('Unmapped webhook event types ignored', { provider, types: ignored.map(event => event.type) });
+  }
+
+  for (const { rawEvent, channel } of events) {
+    const eventData = await EventNormalizer.normalize(rawEvent, provider, channel);
+
+    if (!eventData.enrollment_id) {
+      if (eventData.provider_message_id) {
+        // The send may not be recorded yet; the queue retries the correlation
+        await OrphanedEventQueue.enqueue(eventData);
+        summary.queued++;
+      } else {
+        summary.uncorrelated++;
+      }
+      continue;
+    }
+
+    const { created } = await processCampaignEvent(eventData);
+    if (created) {
+      summary.processed++;
+      tracked.push(eventData);
+    } else {
+      summary.duplicates++;
+    }
+  }
+
+  logger.info('Provider webhook processed', { provider, ...summary });
+
+  res.json({
+    success: true,
+    data: summary
+  });
+
+  // Fire-and-forget: learning outcomes for the new events
+  setImmediate(async () => {
+    for (const eventData of tracked) {
+      try {
+        switch (eventData.event_type) {
+          case 'opened':
+            await OutcomeTracker.recordOpen(eventData.enrollment_id);
+            break;
+          case 'clicked':
+            await OutcomeTracker.recordClick(eventData.enrollment_id);
+            break;
+          case 'replied':
+            await OutcomeTracker.recordReply(eventData.enrollment_id);
+            await OutcomeTracker.updateLearnings();
+            break;
+          case 'bounced':
+          case 'unsubscribed':
+            await OutcomeTracker.recordNegativeOutcome(eventData.enrollment_id, eventData.event_type);
+            break;
+        }
+      } catch (trackingError) {
+        logger.warn('OutcomeTracker update failed (non-blocking)', { error: trackingError.message });
+      }
+    }
+  });
+}
+
 /**
  * Get all events for an enrollment
  */
@@ -1530,6 +1725,43 @@ async function getEnrollmentEvents(req, res) {
   });
 }
 
+// ============================================================================
+// SENDER POOL
+// ============================================================================
+
+/**
+ * List quota and reputation of every sender pool mailbox in active campaigns
+ */
+async function listSenderMailboxes(req, res) {
+  const mailboxes = await senderPool.getQuotaReport();
+
+  res.json({
+    success: true,
+    data: mailboxes
+  });
+}
+
+/**
+ * Put a suspended sender mailbox back into rotation
+ */
+async function resumeSenderMailbox(req, res) {
+  const { mailbox } = req.validatedParams;
+  const userId = req.user?.id || 'anonymous';
+
+  const resumed = await senderPool.resume(mailbox);
+
+  if (!resumed) {
+    throw new NotFoundError('Suspended sender mailbox');
+  }
+
+  logger.info('Sender mailbox resumed', { userId, mailbox });
+
+  res.json({
+    success: true,
+    data: { mailbox, status: 'active' }
+  });
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -1547,6 +1779,10 @@ export {
   updateEmailSequence,
   deleteEmailSequence,
 
+  // Email A/B Tests
+  getTemplateABTests,
+  evaluateTemplateABTests,
+
   // LinkedIn Sequences
   createLinkedInSequence,
   updateLinkedInSequence,
@@ -1558,6 +1794,7 @@ export {
   getInstance,
   updateInstanceStatus,
   getInstancePerformance,
+  buildInstancePerformance,
 
   // Enrollments
   createEnrollment,
@@ -1569,5 +1806,10 @@ export {
 
   // Events
   createEvent,
-  getEnrollmentEvents
+  ingestProviderWebhook,
+  getEnrollmentEvents,
+
+  // Sender Pool
+  listSenderMailboxes,
+  resumeSenderMailbox
 };
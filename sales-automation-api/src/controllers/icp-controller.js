@@ -0,0 +1,241 @@
+/**
+ * ICP Controller
+ * HTTP endpoint handlers for Ideal Customer Profile management
+ *
+ * Shared by routes/icp.js and the icp_* MCP tools.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ICP');
+
+/**
+ * GET /api/icp
+ * List all ICP profiles
+ */
+export async function listProfiles(req, res) {
+  try {
+    const { ICPProfile } = await import('../models/index.js');
+
+    const profiles = await ICPProfile.findAll({
+      order: [['created_at', 'DESC']]
+    });
+
+    logger.info('Listed ICP profiles', { count: profiles.length });
+
+    res.json({
+      success: true,
+      profiles: profiles
+    });
+  } catch (error) {
+    logger.error('Failed to list ICP profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load ICP profiles',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/icp/:id
+ * Get single ICP profile by ID
+ */
+export async function getProfile(req, res) {
+  try {
+    const { ICPProfile } = await import('../models/index.js');
+    const { id } = req.validatedParams;
+
+    const profile = await ICPProfile.findByPk(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'ICP profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    logger.error('Failed to get ICP profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load ICP profile',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * POST /api/icp
+ * Create new ICP profile
+ */
+export async function createProfile(req, res) {
+  try {
+    const { ICPProfile } = await import('../models/index.js');
+
+    const profileData = req.validatedBody;
+
+    // Check for duplicate name
+    const existing = await ICPProfile.findOne({
+      where: { name: profileData.name }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'A profile with this name already exists'
+      });
+    }
+
+    const profile = await ICPProfile.create(profileData);
+
+    logger.info('Created ICP profile', {
+      id: profile.id,
+      name: profile.name,
+      tier: profile.tier
+    });
+
+    res.status(201).json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    logger.error('Failed to create ICP profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create ICP profile',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * PATCH /api/icp/:id
+ * Update existing ICP profile
+ */
+export async function updateProfile(req, res) {
+  try {
+    const { ICPProfile } = await import('../models/index.js');
+    const { id } = req.validatedParams;
+    const updates = req.validatedBody;
+
+    const profile = await ICPProfile.findByPk(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'ICP profile not found'
+      });
+    }
+
+    // Check for duplicate name if name is being updated
+    if (updates.name && updates.name !== profile.name) {
+      const existing = await ICPProfile.findOne({
+        where: { name: updates.name }
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'A profile with this name already exists'
+        });
+      }
+    }
+
+    // Merge nested objects properly
+    if (updates.firmographics) {
+      updates.firmographics = { ...profile.firmographics, ...updates.firmographics };
+    }
+    if (updates.titles) {
+      updates.titles = { ...profile.titles, ...updates.titles };
+    }
+    if (updates.scoring) {
+      updates.scoring = { ...profile.scoring, ...updates.scoring };
+    }
+    if (updates.stats) {
+      updates.stats = { ...profile.stats, ...updates.stats };
+    }
+
+    await profile.update(updates);
+
+    logger.info('Updated ICP profile', {
+      id: profile.id,
+      name: profile.name,
+      fields: Object.keys(updates)
+    });
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    logger.error('Failed to update ICP profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update ICP profile',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * DELETE /api/icp/:id
+ * Delete ICP profile (soft delete - sets active=false)
+ */
+export async function deleteProfile(req, res) {
+  try {
+    const { ICPProfile, CampaignTemplate } = await import('../models/index.js');
+    const { id } = req.validatedParams;
+
+    const profile = await ICPProfile.findByPk(id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'ICP profile not found'
+      });
+    }
+
+    // Check if profile is linked to any campaign templates
+    const linkedTemplates = await CampaignTemplate.count({
+      where: { icp_profile_id: id }
+    });
+
+    if (linkedTemplates > 0) {
+      // Soft delete if linked to templates
+      await profile.update({ active: false });
+
+      logger.info('Soft deleted ICP profile (has linked templates)', {
+        id: profile.id,
+        linkedTemplates
+      });
+
+      return res.json({
+        success: true,
+        message: 'Profile deactivated (has linked campaign templates)',
+        softDeleted: true
+      });
+    }
+
+    // Hard delete if no links
+    await profile.destroy();
+
+    logger.info('Deleted ICP profile', { id: profile.id, name: profile.name });
+
+    res.json({
+      success: true,
+      message: 'Profile deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Failed to delete ICP profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete ICP profile',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Privacy Controller
+ * HTTP endpoint handlers for data subject requests (GDPR / CCPA)
+ *
+ * Emails travel in the request body, never the URL, so they stay out of
+ * access logs.
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('PrivacyController');
+
+/**
+ * Resolve the PrivacyService or send 503
+ * @private
+ */
+function getPrivacyService(req, res) {
+  const service = req.app.locals.privacyService;
+
+  if (!service) {
+    logger.error('PrivacyService not initialized');
+    res.status(503).json({
+      success: false,
+      error: 'Privacy requests unavailable',
+      message: 'PrivacyService is not initialized (missing database)'
+    });
+    return null;
+  }
+
+  if (!service.configured) {
+    res.status(503).json({
+      success: false,
+      error: 'Privacy requests not configured',
+      message: 'Set PRIVACY_AUDIT_SECRET to sign privacy request audit records'
+    });
+    return null;
+  }
+
+  return service;
+}
+
+/**
+ * POST /api/privacy/export
+ * Download everything held about an email as one JSON bundle
+ */
+export async function exportSubjectData(req, res) {
+  const service = getPrivacyService(req, res);
+  if (!service) return;
+
+  const { email, note } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  const { bundle } = await service.export(email, { actor: userId, note });
+
+  res.setHeader('Content-Disposition', `attachment; filename="privacy-export-${bundle.request_id}.json"`);
+  res.json({
+    success: true,
+    data: bundle
+  });
+}
+
+/**
+ * POST /api/privacy/erase
+ * Erase everything held about an email and suppress it
+ */
+export async function eraseSubjectData(req, res) {
+  const service = getPrivacyService(req, res);
+  if (!service) return;
+
+  const { email, note } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  const request = await service.erase(email, { actor: userId, note });
+
+  // 207: local data is gone but HubSpot still holds the contact - retry the request
+  res.status(request.status === 'completed' ? 200 : 207).json({
+    success: request.status === 'completed',
+    data: request
+  });
+}
+
+/**
+ * GET /api/privacy/requests
+ * Signed audit trail, newest first
+ */
+export async function listPrivacyRequests(req, res) {
+  const service = getPrivacyService(req, res);
+  if (!service) return;
+
+  const { type, limit, offset } = req.validatedQuery;
+
+  const { requests, total } = await service.listRequests({ type, limit, offset });
+
+  res.json({
+    success: true,
+    data: requests,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + requests.length < total
+    }
+  });
+}
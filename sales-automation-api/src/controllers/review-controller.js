@@ -0,0 +1,194 @@
+/**
+ * Review Controller
+ * HTTP endpoint handlers for the AI draft review queue
+ *
+ * Drafts are queued by ConversationalResponder when DYNAMIC_AI_REQUIRE_REVIEW
+ * is enabled. Approving a draft sends it through the responder's normal
+ * channel routing (Lemlist -> Postmark fallback, PhantomBuster for LinkedIn).
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ReviewController');
+
+/**
+ * Resolve the ConversationalResponder or send 503
+ * @private
+ */
+function getResponder(req, res) {
+  const responder = req.app.locals.conversationalResponder;
+
+  if (!responder) {
+    logger.error('ConversationalResponder not initialized');
+    res.status(503).json({
+      success: false,
+      error: 'Review queue unavailable',
+      message: 'ConversationalResponder is not initialized (missing AI provider or database)'
+    });
+    return null;
+  }
+
+  return responder;
+}
+
+/**
+ * Map a responder result status to an HTTP error response
+ * @private
+ */
+function sendResultError(res, result, reviewId) {
+  switch (result.status) {
+    case 'not_found':
+      return res.status(404).json({
+        success: false,
+        error: 'Review item not found',
+        message: `Review item ${reviewId} not found`
+      });
+    case 'invalid_state':
+      return res.status(409).json({
+        success: false,
+        error: 'Invalid review state',
+        message: `Review item is '${result.item.status}' and can no longer be changed`,
+        data: result.item
+      });
+    case 'invalid':
+      return res.status(400).json({
+        success: false,
+        error: 'Draft failed validation',
+        message: 'The reply did not pass content checks',
+        details: result.errors,
+        data: result.item
+      });
+    default:
+      return null;
+  }
+}
+
+/**
+ * GET /api/review-queue
+ * List review items (pending by default) with queue stats
+ */
+export async function listReviewItems(req, res) {
+  const responder = getResponder(req, res);
+  if (!responder) return;
+
+  const { status, campaignId, channel, limit, offset } = req.validatedQuery;
+
+  const { items, total, stats } = responder.listReviewQueue({ status, campaignId, channel, limit, offset });
+
+  res.json({
+    success: true,
+    data: items,
+    stats,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + items.length < total
+    }
+  });
+}
+
+/**
+ * GET /api/review-queue/:id
+ * Get a single review item with its knowledge context
+ */
+export async function getReviewItem(req, res) {
+  const responder = getResponder(req, res);
+  if (!responder) return;
+
+  const { id } = req.validatedParams;
+  const item = responder.getReviewItem(id);
+
+  if (!item) {
+    return sendResultError(res, { status: 'not_found' }, id);
+  }
+
+  res.json({
+    success: true,
+    data: item
+  });
+}
+
+/**
+ * PATCH /api/review-queue/:id
+ * Edit the draft subject/content
+ */
+export async function updateReviewDraft(req, res) {
+  const responder = getResponder(req, res);
+  if (!responder) return;
+
+  const { id } = req.validatedParams;
+  const { content, subject } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  const result = responder.editReviewDraft(id, { content, subject, reviewedBy: userId });
+
+  if (result.status !== 'updated') {
+    return sendResultError(res, result, id);
+  }
+
+  res.json({
+    success: true,
+    data: result.item
+  });
+}
+
+/**
+ * POST /api/review-queue/:id/approve
+ * Approve the draft (with optional final edits) and send it
+ */
+export async function approveReview(req, res) {
+  const responder = getResponder(req, res);
+  if (!responder) return;
+
+  const { id } = req.validatedParams;
+  const { content, subject } = req.validatedBody || {};
+  const userId = req.user?.id || 'anonymous';
+
+  logger.info('Review approval requested', { userId, reviewId: id, edited: content !== undefined });
+
+  const result = await responder.approveReview(id, { content, subject, reviewedBy: userId });
+
+  if (result.status === 'failed') {
+    return res.status(502).json({
+      success: false,
+      error: 'Send failed',
+      message: result.sendResult?.error || result.sendResult?.reason || 'No provider could send the reply',
+      data: result.item
+    });
+  }
+
+  if (result.status !== 'sent') {
+    return sendResultError(res, result, id);
+  }
+
+  res.json({
+    success: true,
+    data: result.item,
+    sendResult: result.sendResult
+  });
+}
+
+/**
+ * POST /api/review-queue/:id/reject
+ * Reject the draft
+ */
+export async function rejectReview(req, res) {
+  const responder = getResponder(req, res);
+  if (!responder) return;
+
+  const { id } = req.validatedParams;
+  const { reason } = req.validatedBody || {};
+  const userId = req.user?.id || 'anonymous';
+
+  const result = responder.rejectReview(id, { reason, reviewedBy: userId });
+
+  if (result.status !== 'rejected') {
+    return sendResultError(res, result, id);
+  }
+
+  res.json({
+    success: true,
+    data: result.item
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * Suppression Controller
+ * HTTP endpoint handlers for the global do-not-contact list
+ *
+ * Every change is written to the suppression audit log with the API user
+ * as actor.
+ */
+
+import { parse } from 'csv-parse/sync';
+import { createLogger } from '../utils/logger.js';
+import { suppressionList } from '../services/SuppressionList.js';
+
+const logger = createLogger('SuppressionController');
+
+const EXPORT_COLUMNS = ['type', 'value', 'reason', 'source', 'note', 'created_by', 'created_at'];
+
+/**
+ * Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed with '
+ * @private
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Map a CSV row to an import row; accepts a value column or one of
+ * email / domain / linkedin_url (the column names exports from other tools use)
+ * @private
+ */
+function fromCsvRow(row) {
+  if (row.value) {
+    return { type: row.type || undefined, value: row.value, reason: row.reason || undefined, note: row.note || undefined };
+  }
+  const [type, value] = row.email ? ['email', row.email]
+    : row.domain ? ['domain', row.domain]
+      : row.linkedin_url ? ['linkedin', row.linkedin_url]
+        : [undefined, undefined];
+  return { type, value, reason: row.reason || undefined, note: row.note || undefined };
+}
+
+/**
+ * GET /api/suppressions
+ * List entries, newest first
+ */
+export async function listSuppressions(req, res) {
+  const { type, reason, search, limit, offset } = req.validatedQuery;
+
+  const { entries, total } = await suppressionList.list({ type, reason, search, limit, offset });
+
+  res.json({
+    success: true,
+    data: entries,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + entries.length < total
+    }
+  });
+}
+
+/**
+ * GET /api/suppressions/check
+ * Check whether a contact is suppressed
+ */
+export async function checkSuppression(req, res) {
+  const { email, linkedin_url: linkedinUrl } = req.validatedQuery;
+
+  const entry = await suppressionList.check({ email, linkedinUrl });
+
+  res.json({
+    success: true,
+    data: {
+      suppressed: !!entry,
+      entry
+    }
+  });
+}
+
+/**
+ * POST /api/suppressions
+ * Add an entry
+ */
+export async function createSuppression(req, res) {
+  const { type, value, reason, note } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  let result;
+  try {
+    result = await suppressionList.add({ type, value, reason, note, source: 'api', actor: userId });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid suppression entry',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  logger.info('Suppression added via API', { userId, type, reason, created: result.created });
+
+  res.status(result.created ? 201 : 200).json({
+    success: true,
+    data: result.entry,
+    created: result.created
+  });
+}
+
+/**
+ * DELETE /api/suppressions/:id
+ * Remove an entry
+ */
+export async function deleteSuppression(req, res) {
+  const { id } = req.validatedParams;
+  const userId = req.user?.id || 'anonymous';
+
+  const removed = await suppressionList.remove(id, { actor: userId, note: req.validatedBody?.note || null });
+
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Suppression not found',
+      message: `Suppression ${id} not found`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: removed
+  });
+}
+
+/**
+ * POST /api/suppressions/import
+ * Bulk add entries from JSON rows or CSV text
+ */
+export async function importSuppressions(req, res) {
+  const { entries, csv, reason, source } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  let rows = entries || [];
+  if (csv) {
+    try {
+      rows = rows.concat(parse(csv, { columns: true, skip_empty_lines: true, trim: true }).map(fromCsvRow));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid CSV',
+        message: error.message
+      });
+    }
+  }
+
+  const result = await suppressionList.import(rows, { reason, source, actor: userId });
+
+  logger.info('Suppression list imported via API', { userId, source, rows: rows.length });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}
+
+/**
+ * GET /api/suppressions/export
+ * Download all entries as CSV (default) or JSON
+ */
+export async function exportSuppressions(req, res) {
+  const { type, reason, format } = req.validatedQuery;
+
+  const entries = await suppressionList.export({ type, reason });
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: entries
+    });
+  }
+
+  const lines = [
+    EXPORT_COLUMNS.join(','),
+    ...entries.map(entry => EXPORT_COLUMNS.map(column => toCsvCell(entry[column])).join(','))
+  ];
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="suppressions-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.send(`${lines.join('\n')}\n`);
+}
+
+/**
+ * GET /api/suppressions/audit
+ * Audit log of changes and blocked sends
+ */
+export async function getSuppressionAudit(req, res) {
+  const { action, type, value, limit, offset } = req.validatedQuery;
+
+  const { entries, total } = await suppressionList.getAuditLog({ action, type, value, limit, offset });
+
+  res.json({
+    success: true,
+    data: entries,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + entries.length < total
+    }
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Webhook Controller
+ * HTTP endpoint handlers for outbound webhook subscriptions and their
+ * delivery log
+ *
+ * Signing secrets are returned once, when a subscription is created or its
+ * secret rotated; responses otherwise carry only secret_hint.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { webhookDispatcher } from '../services/WebhookDispatcher.js';
+
+const logger = createLogger('WebhookController');
+
+/**
+ * 400 for 'Invalid ...' errors from the dispatcher, rethrow the rest
+ * @private
+ */
+function sendInvalid(res, error) {
+  if (!error.message.startsWith('Invalid')) {
+    throw error;
+  }
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid webhook subscription',
+    message: error.message
+  });
+}
+
+/**
+ * @private
+ */
+function sendNotFound(res, id) {
+  return res.status(404).json({
+    success: false,
+    error: 'Webhook subscription not found',
+    message: `Webhook subscription ${id} not found`
+  });
+}
+
+/**
+ * GET /api/admin/webhooks
+ * List subscriptions, newest first
+ */
+export async function listWebhooks(req, res) {
+  const { active, limit, offset } = req.validatedQuery;
+
+  const { subscriptions, total } = await webhookDispatcher.listSubscriptions({ active, limit, offset });
+
+  res.json({
+    success: true,
+    data: subscriptions,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + subscriptions.length < total
+    }
+  });
+}
+
+/**
+ * POST /api/admin/webhooks
+ * Register an endpoint
+ */
+export async function createWebhook(req, res) {
+  const { url, event_types: eventTypes, description } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  let result;
+  try {
+    result = await webhookDispatcher.createSubscription({ url, eventTypes, description, actor: userId });
+  } catch (error) {
+    return sendInvalid(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: result.subscription,
+    secret: result.secret
+  });
+}
+
+/**
+ * GET /api/admin/webhooks/:id
+ */
+export async function getWebhook(req, res) {
+  const { id } = req.validatedParams;
+
+  const subscription = await webhookDispatcher.getSubscription(id);
+  if (!subscription) {
+    return sendNotFound(res, id);
+  }
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+}
+
+/**
+ * PATCH /api/admin/webhooks/:id
+ * Change an endpoint; rotate_secret returns the new secret
+ */
+export async function updateWebhook(req, res) {
+  const { id } = req.validatedParams;
+  const { url, event_types: eventTypes, description, active, rotate_secret: rotateSecret } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  let result;
+  try {
+    result = await webhookDispatcher.updateSubscription(id, {
+      url, eventTypes, description, active, rotateSecret, actor: userId
+    });
+  } catch (error) {
+    return sendInvalid(res, error);
+  }
+
+  if (!result) {
+    return sendNotFound(res, id);
+  }
+
+  res.json({
+    success: true,
+    data: result.subscription,
+    ...(result.secret && { secret: result.secret })
+  });
+}
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Remove an endpoint and its delivery log
+ */
+export async function deleteWebhook(req, res) {
+  const { id } = req.validatedParams;
+  const userId = req.user?.id || 'anonymous';
+
+  const deleted = await webhookDispatcher.deleteSubscription(id, { actor: userId });
+  if (!deleted) {
+    return sendNotFound(res, id);
+  }
+
+  res.json({
+    success: true,
+    message: `Webhook subscription ${id} deleted`
+  });
+}
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ * Delivery log, newest first
+ */
+export async function listDeliveries(req, res) {
+  const {
+    subscription_id: subscriptionId,
+    status,
+    event_type: eventType,
+    event_id: eventId,
+    limit,
+    offset
+  } = req.validatedQuery;
+
+  const { deliveries, total } = await webhookDispatcher.listDeliveries({
+    subscriptionId, status, eventType, eventId, limit, offset
+  });
+
+  res.json({
+    success: true,
+    data: deliveries,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + deliveries.length < total
+    }
+  });
+}
+
+/**
+ * POST /api/admin/webhooks/deliveries/replay
+ * Send past deliveries again (same event ID and payload, new delivery)
+ */
+export async function replayDeliveries(req, res) {
+  const { deliveryIds } = req.validatedBody;
+  const userId = req.user?.id || 'anonymous';
+
+  const results = await webhookDispatcher.replay(deliveryIds);
+  const succeeded = results.filter(r => r.success).length;
+
+  logger.info('Webhook deliveries replayed via API', { userId, requested: deliveryIds.length, succeeded });
+
+  res.json({
+    success: true,
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded
+    }
+  });
+}
@@ -309,18 +309,54 @@ export async function listWorkflowDefinitions(req, res) {
 export async function resumeWorkflow(req, res) {
   const { jobId } = req.params;
   const userId = req.user?.id || 'anonymous';
+  const workflowService = req.app.locals.workflowService;
+
+  if (!workflowService) {
+    return res.status(503).json({
+      success: false,
+      error: 'Workflow service unavailable'
+    });
+  }
 
   logger.info('Workflow resume requested', {
     userId,
     jobId
   });
 
-  // Phase 2 feature - not implemented in MVP
-  return res.status(501).json({
-    success: false,
-    error: 'Not implemented',
-    message: 'Workflow resumption is planned for Phase 2'
-  });
+  try {
+    const result = await workflowService.resumeWorkflow(jobId);
+
+    if (!result.success) {
+      const statusCode = result.reason === 'not_found' ? 404 : 409;
+      return res.status(statusCode).json({
+        success: false,
+        error: result.message,
+        jobId
+      });
+    }
+
+    logger.info('Workflow resumed', {
+      userId,
+      jobId,
+      workflowId: result.workflowId,
+      resumedFrom: result.resumedFrom
+    });
+
+    return res.status(202).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to resume workflow', {
+      jobId,
+      error: error.message
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 }
 
 export default {
@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Migration: Add Sender Mailbox Tables
+ *
+ * Supports multi-mailbox sender pools (campaign_instances.provider_config.sender_pool):
+ * - sender_mailbox_usage: per-mailbox daily send / bounce / complaint counts
+ *   (enforces daily caps and feeds rolling bounce/complaint rates)
+ * - sender_mailbox_suspensions: mailboxes pulled from rotation after
+ *   crossing a bounce or complaint threshold
+ *
+ * Mailboxes are identified by their lower-cased sender address, so one
+ * physical mailbox shared by several campaigns shares its cap.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('sender_mailbox_usage', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      mailbox: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        comment: 'Lower-cased sender address'
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+        comment: 'UTC date the counts apply to'
+      },
+      sent_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      bounced_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      complaint_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addConstraint('sender_mailbox_usage', {
+      fields: ['mailbox', 'date'],
+      type: 'unique',
+      name: 'uq_sender_mailbox_usage_mailbox_date'
+    });
+
+    await queryInterface.createTable('sender_mailbox_suspensions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      mailbox: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        unique: true,
+        comment: 'Lower-cased sender address'
+      },
+      reason: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'bounce_rate | complaint_rate | manual'
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Rates and thresholds at suspension time'
+      },
+      suspended_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add CHECK constraints (PostgreSQL only)
+    const isPostgres = queryInterface.sequelize.options.dialect === 'postgres';
+    if (isPostgres) {
+      await queryInterface.sequelize.query(`
+        ALTER TABLE sender_mailbox_usage
+        ADD CONSTRAINT chk_sender_mailbox_sent_non_negative CHECK (sent_count >= 0),
+        ADD CONSTRAINT chk_sender_mailbox_bounced_non_negative CHECK (bounced_count >= 0),
+        ADD CONSTRAINT chk_sender_mailbox_complaint_non_negative CHECK (complaint_count >= 0);
+      `);
+    }
+
+    console.log('✓ Created sender_mailbox_usage and sender_mailbox_suspensions tables');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('sender_mailbox_suspensions');
+    await queryInterface.dropTable('sender_mailbox_usage');
+    console.log('✓ Dropped sender mailbox tables');
+  }
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Migration: Add Suppression Tables
+ *
+ * Global do-not-contact list checked before every send, across campaigns
+ * and channels:
+ * - suppressions: one row per suppressed email, domain or LinkedIn profile
+ * - suppression_audit_log: who added/removed entries and which sends
+ *   were blocked by them
+ *
+ * Values are stored normalized (lower-cased email/domain, LinkedIn URLs as
+ * linkedin.com/in/<slug>) so lookups are exact matches.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('suppressions', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'email | domain | linkedin'
+      },
+      value: {
+        type: Sequelize.STRING(500),
+        allowNull: false,
+        comment: 'Normalized email, domain or LinkedIn profile'
+      },
+      reason: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'unsubscribe | bounce | spam_complaint | legal_request | manual'
+      },
+      source: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Where the entry came from (webhook provider, api, import, ...)'
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addConstraint('suppressions', {
+      fields: ['type', 'value'],
+      type: 'unique',
+      name: 'uq_suppressions_type_value'
+    });
+
+    await queryInterface.createTable('suppression_audit_log', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      action: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'add | remove | blocked'
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      actor: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+        comment: 'User ID, or system component for automatic entries'
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Blocked send context, import batch, notes'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('suppression_audit_log', ['type', 'value'], {
+      name: 'idx_suppression_audit_type_value'
+    });
+    await queryInterface.addIndex('suppression_audit_log', ['created_at'], {
+      name: 'idx_suppression_audit_created_at'
+    });
+
+    // Add CHECK constraints (PostgreSQL only)
+    const isPostgres = queryInterface.sequelize.options.dialect === 'postgres';
+    if (isPostgres) {
+      await queryInterface.sequelize.query(`
+        ALTER TABLE suppressions
+        ADD CONSTRAINT chk_suppressions_type CHECK (type IN ('email', 'domain', 'linkedin')),
+        ADD CONSTRAINT chk_suppressions_reason CHECK (reason IN ('unsubscribe', 'bounce', 'spam_complaint', 'legal_request', 'manual'));
+      `);
+    }
+
+    console.log('✓ Created suppressions and suppression_audit_log tables');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('suppression_audit_log');
+    await queryInterface.dropTable('suppressions');
+    console.log('✓ Dropped suppression tables');
+  }
+};
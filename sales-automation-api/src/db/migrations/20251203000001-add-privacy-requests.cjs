@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Migration: Add Privacy Requests Table
+ *
+ * One signed row per data subject request (GDPR/CCPA export or erase).
+ * The contact's email is not stored: subject_hash is an HMAC of it, so a
+ * later request for the same address can be matched without keeping the
+ * address itself. signature is an HMAC over the rest of the row and shows
+ * the record was not altered after the request ran.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('privacy_requests', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4
+      },
+      request_type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'export | erase'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        comment: 'completed | partial (a store failed, see summary)'
+      },
+      subject_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        comment: 'HMAC-SHA256 of the lower-cased email'
+      },
+      actor: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Ticket reference or how the request was received'
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Records found/erased per store'
+      },
+      signature: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('privacy_requests', ['subject_hash'], {
+      name: 'idx_privacy_requests_subject'
+    });
+    await queryInterface.addIndex('privacy_requests', ['created_at'], {
+      name: 'idx_privacy_requests_created_at'
+    });
+
+    // Add CHECK constraints (PostgreSQL only)
+    const isPostgres = queryInterface.sequelize.options.dialect === 'postgres';
+    if (isPostgres) {
+      await queryInterface.sequelize.query(`
+        ALTER TABLE privacy_requests
+        ADD CONSTRAINT chk_privacy_requests_type CHECK (request_type IN ('export', 'erase')),
+        ADD CONSTRAINT chk_privacy_requests_status CHECK (status IN ('completed', 'partial'));
+      `);
+    }
+
+    console.log('✓ Created privacy_requests table');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('privacy_requests');
+    console.log('✓ Dropped privacy_requests table');
+  }
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Migration: Add Outbound Webhook Tables
+ *
+ * Event subscriptions for downstream systems (data warehouse loaders, Slack
+ * bots) so they are pushed signals instead of polling the API:
+ * - webhook_subscriptions: target URL, subscribed event types and the
+ *   secret deliveries are HMAC-signed with
+ * - webhook_deliveries: one row per event per subscription, with retry
+ *   state and the last response; doubles as the delivery log. Replays
+ *   insert a new row pointing at the original (replay_of).
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('webhook_subscriptions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      event_types: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Subscribed event types, or ["*"] for all'
+      },
+      secret: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'HMAC-SHA256 signing secret'
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        defaultValue: Sequelize.UUIDV4
+      },
+      subscription_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'webhook_subscriptions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      event_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Shared by every delivery (and replay) of the same event'
+      },
+      event_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: 'Event envelope sent as the request body'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+        comment: 'pending | delivering | delivered | failed'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'HTTP status of the last attempt'
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      replay_of: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Delivery this row replays'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['status', 'next_attempt_at'], {
+      name: 'idx_webhook_deliveries_due'
+    });
+    await queryInterface.addIndex('webhook_deliveries', ['subscription_id', 'created_at'], {
+      name: 'idx_webhook_deliveries_subscription'
+    });
+    await queryInterface.addIndex('webhook_deliveries', ['event_type', 'created_at'], {
+      name: 'idx_webhook_deliveries_event_type'
+    });
+
+    // Add CHECK constraints (PostgreSQL only)
+    const isPostgres = queryInterface.sequelize.options.dialect === 'postgres';
+    if (isPostgres) {
+      await queryInterface.sequelize.query(`
+        ALTER TABLE webhook_deliveries
+        ADD CONSTRAINT chk_webhook_deliveries_status CHECK (status IN ('pending', 'delivering', 'delivered', 'failed'));
+      `);
+    }
+
+    console.log('✓ Created webhook_subscriptions and webhook_deliveries tables');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhook_subscriptions');
+    console.log('✓ Dropped webhook_subscriptions and webhook_deliveries tables');
+  }
+};
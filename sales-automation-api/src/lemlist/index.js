@@ -14,6 +14,23 @@ import { LemlistClient } from './lemlist-client.js';
 
 dotenv.config();
 
+/**
+ * Scope required to call a Lemlist tool over HTTP
+ * Read-only tools need read:outreach, everything else write:outreach.
+ */
+function lemlistToolScope(name) {
+  if (!name) {
+    return null;
+  }
+
+  return {
+    action: /^(get|search|export|validate|health)_/.test(name) && name !== 'search_and_enrich_person'
+      ? 'read'
+      : 'write',
+    resource: 'outreach',
+  };
+}
+
 class LemlistMCPServer {
   constructor() {
     this.server = new Server({
@@ -794,7 +811,11 @@ class LemlistMCPServer {
     };
   }
 
-  async callTool(params) {
+  /**
+   * Execute a tool against a Lemlist client
+   * HTTP sessions pass their own client so concurrent users never share API keys.
+   */
+  async callTool(params, client = this.lemlistClient) {
     const { name, arguments: args } = params;
       
       try {
@@ -803,177 +824,177 @@ class LemlistMCPServer {
         switch (name) {
           // Campaign Management
           case 'get_campaigns':
-            result = await this.lemlistClient.getCampaigns(args);
+            result = await client.getCampaigns(args);
             break;
 
           case 'get_campaign':
-            result = await this.lemlistClient.getCampaign(args.campaignId);
+            result = await client.getCampaign(args.campaignId);
             break;
 
           case 'create_campaign':
-            result = await this.lemlistClient.createCampaign(args);
+            result = await client.createCampaign(args);
             break;
 
           case 'update_campaign':
-            result = await this.lemlistClient.updateCampaign(args.campaignId, args);
+            result = await client.updateCampaign(args.campaignId, args);
             break;
 
           case 'delete_campaign':
-            result = await this.lemlistClient.deleteCampaign(args.campaignId);
+            result = await client.deleteCampaign(args.campaignId);
             break;
 
           // Lead Management
           case 'get_leads':
-            result = await this.lemlistClient.getLeads(args);
+            result = await client.getLeads(args);
             break;
 
           case 'add_lead':
-            result = await this.lemlistClient.addLead(args);
+            result = await client.addLead(args);
             break;
 
           case 'bulk_add_leads':
-            result = await this.lemlistClient.bulkAddLeads(args.campaignId, args.leads);
+            result = await client.bulkAddLeads(args.campaignId, args.leads);
             break;
 
           case 'update_lead':
-            result = await this.lemlistClient.updateLead(args.leadId, args);
+            result = await client.updateLead(args.leadId, args);
             break;
 
           case 'delete_lead':
-            result = await this.lemlistClient.deleteLead(args.leadId);
+            result = await client.deleteLead(args.leadId);
             break;
 
           // Activity & Analytics
           case 'get_activities':
-            result = await this.lemlistClient.getActivities(args);
+            result = await client.getActivities(args);
             break;
 
           case 'get_campaign_stats':
-            result = await this.lemlistClient.getCampaignStats(args.campaignId);
+            result = await client.getCampaignStats(args.campaignId);
             break;
 
           // Team & Account
           case 'get_team_members':
-            result = await this.lemlistClient.getTeamMembers();
+            result = await client.getTeamMembers();
             break;
 
           case 'get_account_info':
-            result = await this.lemlistClient.getAccountInfo();
+            result = await client.getAccountInfo();
             break;
 
           // Templates
           case 'get_templates':
-            result = await this.lemlistClient.getTemplates(args);
+            result = await client.getTemplates(args);
             break;
 
           case 'create_template':
-            result = await this.lemlistClient.createTemplate(args);
+            result = await client.createTemplate(args);
             break;
 
           // High-level workflows
           case 'create_complete_campaign':
-            result = await this.lemlistClient.createCompleteCampaign(args);
+            result = await client.createCompleteCampaign(args);
             break;
 
           // Unsubscribe Management
           case 'get_unsubscribes':
-            result = await this.lemlistClient.getUnsubscribes(args);
+            result = await client.getUnsubscribes(args);
             break;
 
           case 'add_to_unsubscribes':
-            result = await this.lemlistClient.addToUnsubscribes(args.email);
+            result = await client.addToUnsubscribes(args.email);
             break;
 
           case 'remove_from_unsubscribes':
-            result = await this.lemlistClient.removeFromUnsubscribes(args.email);
+            result = await client.removeFromUnsubscribes(args.email);
             break;
 
           case 'unsubscribe_from_campaign':
-            result = await this.lemlistClient.unsubscribeFromCampaign(args.campaignId, args.leadId);
+            result = await client.unsubscribeFromCampaign(args.campaignId, args.leadId);
             break;
 
           // Advanced Activities
           case 'get_activities_with_filters':
-            result = await this.lemlistClient.getActivitiesWithFilters(args);
+            result = await client.getActivitiesWithFilters(args);
             break;
 
           case 'get_activity_types':
-            result = await this.lemlistClient.getActivityTypes();
+            result = await client.getActivityTypes();
             break;
 
           case 'get_grouped_activities':
-            result = await this.lemlistClient.getGroupedActivities(args.campaignId, args.groupBy);
+            result = await client.getGroupedActivities(args.campaignId, args.groupBy);
             break;
 
           // Webhooks
           case 'create_webhook':
-            result = await this.lemlistClient.createWebhook(args);
+            result = await client.createWebhook(args);
             break;
 
           case 'get_webhooks':
-            result = await this.lemlistClient.getWebhooks();
+            result = await client.getWebhooks();
             break;
 
           case 'update_webhook':
-            result = await this.lemlistClient.updateWebhook(args.webhookId, args);
+            result = await client.updateWebhook(args.webhookId, args);
             break;
 
           case 'delete_webhook':
-            result = await this.lemlistClient.deleteWebhook(args.webhookId);
+            result = await client.deleteWebhook(args.webhookId);
             break;
 
           // Advanced Search
           case 'search_leads_advanced':
-            result = await this.lemlistClient.searchLeadsAdvanced(args);
+            result = await client.searchLeadsAdvanced(args);
             break;
 
           case 'search_campaigns':
-            result = await this.lemlistClient.searchCampaigns(args);
+            result = await client.searchCampaigns(args);
             break;
 
           // Enhanced Analytics
           case 'get_detailed_campaign_stats':
-            result = await this.lemlistClient.getDetailedCampaignStats(args.campaignId, args);
+            result = await client.getDetailedCampaignStats(args.campaignId, args);
             break;
 
           case 'get_multi_campaign_stats':
-            result = await this.lemlistClient.getMultiCampaignStats(args.campaignIds, args);
+            result = await client.getMultiCampaignStats(args.campaignIds, args);
             break;
 
           // LinkedIn Enrichment
           case 'search_database_for_linkedin':
-            result = await this.lemlistClient.searchPeople(args.filters || [], args.page || 1);
+            result = await client.searchPeople(args.filters || [], args.page || 1);
             break;
 
           case 'search_and_enrich_person':
-            result = await this.lemlistClient.searchAndEnrichPerson(args.firstName, args.lastName, args.companyDomain);
+            result = await client.searchAndEnrichPerson(args.firstName, args.lastName, args.companyDomain);
             break;
 
           case 'enrich_lead_linkedin':
-            result = await this.lemlistClient.enrichLeadWithLinkedIn(args.leadId);
+            result = await client.enrichLeadWithLinkedIn(args.leadId);
             break;
 
           case 'get_enriched_lead_data':
-            result = await this.lemlistClient.getEnrichedLeadData(args.leadId);
+            result = await client.getEnrichedLeadData(args.leadId);
             break;
 
           // Import/Export
           case 'export_leads':
-            result = await this.lemlistClient.exportLeads(args.campaignId, args);
+            result = await client.exportLeads(args.campaignId, args);
             break;
 
           case 'validate_lead_data':
-            result = await this.lemlistClient.validateLeadData(args.leads);
+            result = await client.validateLeadData(args.leads);
             break;
 
           // Rate Limiting
           case 'get_rate_limit_status':
-            result = await this.lemlistClient.getRateLimitStatus();
+            result = await client.getRateLimitStatus();
             break;
 
           // Utility
           case 'health_check':
-            result = await this.lemlistClient.healthCheck();
+            result = await client.healthCheck();
             break;
 
           default:
@@ -1029,14 +1050,32 @@ class LemlistMCPServer {
       }
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  setupToolHandlers(server = this.server, client = null) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       return await this.getToolsList();
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      return await this.callTool(request.params);
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      return await this.callTool(request.params, client || this.lemlistClient);
+    });
+  }
+
+  /**
+   * Build a Server for one HTTP session, bound to the caller's Lemlist API key
+   */
+  createSessionServer(lemlistApiKey) {
+    const server = new Server({
+      name: 'lemlist-mcp-server',
+      version: '1.0.0',
+    }, {
+      capabilities: {
+        tools: {},
+      },
     });
+
+    this.setupToolHandlers(server, new LemlistClient({ apiKey: lemlistApiKey }));
+    server.onerror = this.server.onerror;
+    return server;
   }
 
   categorizeError(error) {
@@ -1189,6 +1228,9 @@ class LemlistMCPServer {
   }
 
   async runHttpServer() {
+    // Loaded here so stdio mode doesn't need the API key database
+    const { mountMcpHttpTransport } = await import('../utils/mcp-http-transport.js');
+
     const app = express();
     const port = process.env.PORT || 3000;
 
@@ -1203,7 +1245,8 @@ class LemlistMCPServer {
       } else {
         res.header('Access-Control-Allow-Origin', allowedOrigins);
       }
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Lemlist-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+      res.header('Access-Control-Expose-Headers', 'Mcp-Session-Id');
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
       next();
     });
@@ -1219,54 +1262,20 @@ class LemlistMCPServer {
       });
     });
 
-    // MCP endpoint for remote access
-    app.post('/mcp', async (req, res) => {
-      try {
-        // Basic API key validation if required
-        if (process.env.API_KEY_REQUIRED === 'true') {
-          const apiKey = req.headers.authorization?.replace('Bearer ', '');
-          if (!apiKey || apiKey !== process.env.MCP_API_KEY) {
-            return res.status(401).json({ error: 'Unauthorized' });
-          }
-        }
-
-        // Get Lemlist API key from header (sent by proxy)
-        const lemlistApiKey = req.headers['x-lemlist-api-key'] || process.env.LEMLIST_API_KEY;
-        if (!lemlistApiKey) {
-          return res.status(400).json({ error: 'Lemlist API key required' });
-        }
-
-        // Temporarily update the client with the user's API key
-        const originalApiKey = this.lemlistClient.apiKey;
-        this.lemlistClient = new LemlistClient({
-          apiKey: lemlistApiKey,
-        });
-
-        const { method, params } = req.body;
-        
-        try {
-          if (method === 'tools/list') {
-            // Directly call the tools list handler instead of using server.request
-            const toolsResponse = await this.getToolsList();
-            console.log(`Tools list request - API Key: ${lemlistApiKey?.substring(0, 8)}...`);
-            console.log(`Tools count: ${toolsResponse.tools?.length || 0}`);
-            res.json(toolsResponse);
-          } else if (method === 'tools/call') {
-            const toolResponse = await this.callTool(params);
-            res.json(toolResponse);
-          } else {
-            res.status(400).json({ error: 'Invalid method' });
-          }
-        } finally {
-          // Restore original client (though this doesn't matter much for stateless requests)
-          this.lemlistClient = new LemlistClient({
-            apiKey: originalApiKey,
-          });
-        }
-      } catch (error) {
-        console.error('MCP Request Error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+    // MCP endpoint for remote access (Streamable HTTP)
+    // Each session is bound to the Lemlist API key sent when it was opened
+    app.post('/mcp', (req, res, next) => {
+      if (!req.headers['mcp-session-id'] && !req.headers['x-lemlist-api-key'] && !process.env.LEMLIST_API_KEY) {
+        return res.status(400).json({ error: 'Lemlist API key required' });
       }
+      next();
+    });
+
+    this.httpTransport = mountMcpHttpTransport(app, {
+      createServer: (req) => this.createSessionServer(
+        req.headers['x-lemlist-api-key'] || process.env.LEMLIST_API_KEY
+      ),
+      toolScope: lemlistToolScope,
     });
 
     // Info endpoint
@@ -1277,7 +1286,7 @@ class LemlistMCPServer {
         description: 'Model Context Protocol server for Lemlist.com integration',
         endpoints: {
           health: '/health',
-          mcp: '/mcp (POST)'
+          mcp: '/mcp (Streamable HTTP: POST, GET, DELETE)'
         },
         usage: 'Use this server with Claude Desktop or other MCP clients'
       });
@@ -123,9 +123,12 @@ export class LemlistClient {
   }
 
   async addLead(leadData) {
-    const { campaignId, email, firstName, lastName, companyName } = leadData;
+    // Anything beyond the core fields (linkedinUrl, custom variables) is passed
+    // through so campaign steps can reference it as {{variableName}}
+    const { campaignId, email, firstName, lastName, companyName, ...customFields } = leadData;
     
     const payload = {
+      ...customFields,
       email,
       firstName,
       lastName,
@@ -502,6 +505,25 @@ export class LemlistClient {
     };
   }
 
+  // === ACTIVITIES ===
+
+  async getActivities(options = {}) {
+    /**
+     * Get campaign activities (emailsSent, emailsOpened, linkedinInviteAccepted, ...)
+     * Filterable by campaignId, leadId and activity type
+     */
+    const { campaignId, leadId, type, limit = 100, offset = 0 } = options;
+
+    const response = await this._makeRequest('get', '/activities', {
+      campaignId,
+      leadId,
+      type,
+      limit,
+      offset
+    });
+    return response.data;
+  }
+
   async getCampaignStats(campaignId) {
     /**
      * Get detailed campaign statistics
@@ -8,14 +8,31 @@
  * - Multi-source data enrichment (Explorium, Apollo, LinkedIn)
  * - HubSpot CRM synchronization
  * - lemlist outreach campaign management
+ * - v2 campaigns (templates, instances, enrollments), ICP profiles and the
+ *   dead letter queue - see utils/mcp-campaign-tools.js
  * - Job queue management and status tracking
+ *
+ * Besides tools, the server exposes resources (ICP profiles, knowledge base,
+ * campaign performance, weekly digest) and prompts for common outreach jobs -
+ * see utils/mcp-resources.js and utils/mcp-prompts.js.
+ *
+ * Transports:
+ * - stdio (default) for local agents
+ * - Streamable HTTP (`--http` or MCP_TRANSPORT=http) for remote agents,
+ *   authenticated with database API keys - see utils/mcp-http-transport.js
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import express from 'express';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { JobQueue } from './utils/job-queue.js';
@@ -39,19 +56,68 @@ import { ImportWorker } from './workers/import-worker.js';
 // Import YOLO Manager
 import { YoloManager } from './utils/yolo-manager.js';
 
+// Import MCP resources and prompts
+import { McpResources } from './utils/mcp-resources.js';
+import { McpPrompts } from './utils/mcp-prompts.js';
+
+// Import v2 campaign, ICP and DLQ tools
+import { McpCampaignTools } from './utils/mcp-campaign-tools.js';
+
+/**
+ * Read-only tools; every other tool needs the write scope
+ */
+const READ_ONLY_TOOLS = new Set([
+  'hubspot_search',
+  'lemlist_get_stats',
+  'get_job_status',
+  'list_jobs',
+  'yolo_status',
+  'yolo_get_config',
+  'yolo_get_activity',
+  'yolo_list_approvals',
+]);
+
+/**
+ * API key resource for each tool family, matching the REST routes
+ * (/api/discover, /api/enrich, /api/sync, ...) so existing scopes carry over
+ */
+const TOOL_RESOURCES = [
+  ['discover_', 'discover'],
+  ['enrich_', 'enrich'],
+  ['verify_email', 'enrich'],
+  ['hubspot_', 'sync'],
+  ['lemlist_', 'outreach'],
+  ['yolo_', 'yolo'],
+  ['submit_job', 'jobs'],
+  ['get_job_status', 'jobs'],
+  ['list_jobs', 'jobs'],
+  ['cancel_job', 'jobs'],
+];
+
+/**
+ * Scope required to call a tool over HTTP
+ * @returns {{action: string, resource: string}|null} null for unknown tools
+ */
+function toolScope(name) {
+  const campaignScope = McpCampaignTools.scopeFor(name);
+  if (campaignScope) {
+    return campaignScope;
+  }
+
+  const entry = TOOL_RESOURCES.find(([prefix]) => name?.startsWith(prefix));
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    action: READ_ONLY_TOOLS.has(name) ? 'read' : 'write',
+    resource: entry[1],
+  };
+}
+
 class SalesAutomationMCPServer {
   constructor() {
-    this.server = new Server(
-      {
-        name: 'sales-automation-mcp',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
+    this.server = this.createServer();
 
     // Initialize components
     this.jobQueue = new JobQueue();
@@ -79,13 +145,35 @@ class SalesAutomationMCPServer {
     // Initialize YOLO Manager
     this.yoloManager = new YoloManager(this.workers, this.database);
 
-    this.setupHandlers();
     this.startBackgroundWorkers();
   }
 
-  setupHandlers() {
+  /**
+   * Build an MCP Server with all tool handlers registered
+   * HTTP mode creates one per session; they share clients, workers and the job queue.
+   */
+  createServer() {
+    const server = new Server(
+      {
+        name: 'sales-automation-mcp',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {},
+          prompts: {},
+        },
+      }
+    );
+
+    this.setupHandlers(server);
+    return server;
+  }
+
+  setupHandlers(server) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         // Lead Discovery Tools
         {
@@ -651,11 +739,68 @@ class SalesAutomationMCPServer {
             },
           },
         },
+        {
+          name: 'yolo_list_approvals',
+          description: 'List YOLO approval requests for high-volume cycles',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              status: {
+                type: 'string',
+                enum: ['pending', 'approved', 'rejected', 'expired', 'cancelled', 'all'],
+                default: 'pending',
+              },
+              limit: {
+                type: 'number',
+                default: 50,
+              },
+            },
+          },
+        },
+        {
+          name: 'yolo_approve',
+          description: 'Approve a pending YOLO cycle so it resumes',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              approval_id: {
+                type: 'string',
+                description: 'Approval ID (from yolo_list_approvals or yolo_trigger_cycle)',
+              },
+              notes: {
+                type: 'string',
+                description: 'Optional note recorded with the decision',
+              },
+            },
+            required: ['approval_id'],
+          },
+        },
+        {
+          name: 'yolo_reject',
+          description: 'Reject a pending YOLO cycle so it is cancelled',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              approval_id: {
+                type: 'string',
+                description: 'Approval ID (from yolo_list_approvals or yolo_trigger_cycle)',
+              },
+              notes: {
+                type: 'string',
+                description: 'Reason for rejecting',
+              },
+            },
+            required: ['approval_id'],
+          },
+        },
+
+        // Campaign (v2), ICP and Dead Letter Queue Tools
+        ...McpCampaignTools.list(),
       ],
     }));
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
@@ -778,9 +923,21 @@ class SalesAutomationMCPServer {
           case 'yolo_get_activity':
             result = await this.yoloGetActivity(args);
             break;
+          case 'yolo_list_approvals':
+            result = await this.yoloListApprovals(args);
+            break;
+          case 'yolo_approve':
+            result = await this.yoloApprove(args);
+            break;
+          case 'yolo_reject':
+            result = await this.yoloReject(args);
+            break;
 
           default:
-            throw new Error(`Unknown tool: ${name}`);
+            if (!McpCampaignTools.has(name)) {
+              throw new Error(`Unknown tool: ${name}`);
+            }
+            result = await McpCampaignTools.call(name, args, extra?.authInfo);
         }
 
         return {
@@ -807,6 +964,28 @@ class SalesAutomationMCPServer {
         };
       }
     });
+
+    // Resources: context assistants can attach without tool calls
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await McpResources.list(),
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: McpResources.listTemplates(),
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await McpResources.read(request.params.uri);
+    });
+
+    // Prompts: common outreach jobs with their context embedded
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: McpPrompts.list(),
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return await McpPrompts.get(request.params.name, request.params.arguments);
+    });
   }
 
   async submitJob(args) {
@@ -884,6 +1063,18 @@ class SalesAutomationMCPServer {
     return await this.yoloManager.getActivity(args);
   }
 
+  async yoloListApprovals(args) {
+    return await this.yoloManager.listApprovals(args);
+  }
+
+  async yoloApprove(args) {
+    return await this.yoloManager.approveRequest(args);
+  }
+
+  async yoloReject(args) {
+    return await this.yoloManager.rejectRequest(args);
+  }
+
   // ==========================================================================
   // BACKGROUND WORKERS
   // ==========================================================================
@@ -931,10 +1122,58 @@ class SalesAutomationMCPServer {
   }
 
   async run() {
+    // Open SQLite before serving tools (YOLO approvals and activity live there)
+    await this.database.initialize();
+
+    if (process.argv.includes('--http') || process.env.MCP_TRANSPORT === 'http') {
+      await this.runHttpServer();
+      return;
+    }
+
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('Sales Automation MCP Server running on stdio');
   }
+
+  async runHttpServer() {
+    // Loaded here so stdio mode doesn't need the API key database
+    const { mountMcpHttpTransport } = await import('./utils/mcp-http-transport.js');
+
+    const app = express();
+    const port = parseInt(process.env.MCP_HTTP_PORT) || 3100;
+    const host = process.env.MCP_HTTP_HOST || '0.0.0.0';
+
+    app.disable('x-powered-by');
+    app.use(express.json({ limit: '1mb' }));
+
+    app.get('/health', (req, res) => {
+      res.json({
+        status: 'healthy',
+        service: 'sales-automation-mcp',
+        transport: 'streamable-http',
+        sessions: this.httpTransport.sessions.size,
+        timestamp: new Date().toISOString(),
+      });
+    });
+
+    this.httpTransport = mountMcpHttpTransport(app, {
+      createServer: () => this.createServer(),
+      toolScope,
+      resourceScope: (uri) => McpResources.scopeFor(uri),
+      promptScope: (name) => McpPrompts.scopeFor(name),
+    });
+
+    const httpServer = app.listen(port, host, () => {
+      console.error(`Sales Automation MCP Server listening on http://${host}:${port}/mcp`);
+    });
+
+    const shutdown = async () => {
+      await this.httpTransport.close();
+      httpServer.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }
 }
 
 // Start the server
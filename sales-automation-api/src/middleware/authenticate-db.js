@@ -24,7 +24,9 @@ const PUBLIC_ENDPOINTS = [
   '/dashboard',
   '/',
   '/campaigns/events/webhook',  // Webhook endpoint with signature validation (relative to /api mount)
+  '/campaigns/events/webhook/',  // Provider-native webhooks (/campaigns/events/webhook/:provider), signature validated
   '/campaigns/v2/events/webhook',  // V2 webhook endpoint (relative to /api mount)
+  '/calendar/webhook/booking',  // Booking webhook with signature validation (relative to /api mount)
 ];
 
 /**
@@ -127,6 +129,25 @@ function validateScope(keyScopes, method, path) {
 
   const resource = resourceMatch[1].toLowerCase();
   const action = method.toLowerCase() === 'get' ? 'read' : 'write';
+
+  return hasScope(keyScopes, action, resource);
+}
+
+/**
+ * Check if API key scopes grant an action on a resource
+ * Shared by the REST scope check and MCP tool calls over HTTP.
+ *
+ * @param {Array} keyScopes - API key's granted scopes
+ * @param {string} action - 'read' or 'write'
+ * @param {string} resource - Resource name (e.g. 'campaigns', 'yolo')
+ * @returns {boolean} True if key has required scope
+ */
+export function hasScope(keyScopes, action, resource) {
+  // If no scopes defined, allow all (backward compatibility)
+  if (!keyScopes || keyScopes.length === 0) {
+    return true;
+  }
+
   const requiredScope = `${action}:${resource}`;
 
   // Check if key has required scope or wildcard scope
@@ -331,4 +352,4 @@ export async function checkAuthHealth() {
   }
 }
 
-export default { authenticateDb, requireScope, checkAuthHealth };
+export default { authenticateDb, requireScope, hasScope, checkAuthHealth };
@@ -127,8 +127,12 @@ const PUBLIC_ENDPOINTS = [
   '/',
   '/api/campaigns/events/webhook',  // Webhook endpoint with signature validation (absolute)
   '/campaigns/events/webhook',      // Webhook endpoint (relative to /api mount)
+  '/api/campaigns/events/webhook/',  // Provider-native webhooks (/:provider), signature validated (absolute)
+  '/campaigns/events/webhook/',      // Provider-native webhooks (relative to /api mount)
   '/api/campaigns/v2/events/webhook',  // V2 webhook endpoint (absolute)
   '/campaigns/v2/events/webhook',      // V2 webhook endpoint (relative to /api mount)
+  '/api/calendar/webhook/booking',  // Booking webhook with signature validation (absolute)
+  '/calendar/webhook/booking',      // Booking webhook (relative to /api mount)
   '/api/csrf-token',  // CSRF token generation (must be public to avoid chicken-egg problem)
   '/csrf-token',      // CSRF token (relative to /api mount)
 ];
@@ -116,6 +116,7 @@ class CSRFProtection {
       '/api/webhooks',
       '/api/campaigns/events/webhook',  // Campaign webhook endpoint
       '/api/campaigns/v2/events/webhook',  // V2 webhook endpoint
+      '/api/calendar/webhook',  // Booking webhooks
       '/health',
       '/metrics',
       '/api/auth/login',
@@ -8,6 +8,7 @@
 
 import crypto from 'crypto';
 import { createLogger } from '../utils/logger.js';
+import { EventNormalizer } from '../providers/events/EventNormalizer.js';
 
 const logger = createLogger('WebhookAuth');
 
@@ -247,7 +248,49 @@ export function validateWebhookSignature(req, res, next) {
   return createWebhookAuth(provider)(req, res, next);
 }
 
+/**
+ * Middleware for /events/webhook/:provider
+ * Authenticates the request with the provider's registered event mapping
+ * (EventNormalizer.registerMapping) and exposes it as req.eventMapping.
+ * Unlike validateWebhookSignature there is no test-mode bypass.
+ */
+export function validateProviderWebhook(req, res, next) {
+  const provider = req.validatedParams?.provider || req.params.provider;
+  const mapping = EventNormalizer.getMapping(provider);
+
+  if (!mapping) {
+    logger.warn('Webhook for unmapped provider', { provider, ip: req.ip });
+    return res.status(404).json({
+      error: 'Unknown webhook provider'
+    });
+  }
+
+  const { valid, reason } = mapping.verify(req);
+
+  if (!valid) {
+    if (reason === 'not_configured') {
+      logger.error('Webhook secret not configured', { provider, secretEnvVar: mapping.signature.secretEnv });
+      return res.status(500).json({
+        error: 'Webhook authentication not configured'
+      });
+    }
+
+    logger.warn('Webhook signature verification failed', {
+      provider,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    return res.status(401).json({
+      error: 'Invalid webhook signature'
+    });
+  }
+
+  req.eventMapping = mapping;
+  next();
+}
+
 export default {
   createWebhookAuth,
-  validateWebhookSignature
+  validateWebhookSignature,
+  validateProviderWebhook
 };
@@ -130,6 +130,32 @@ module.exports = (sequelize) => {
     return await this.save();
   };
 
+  /**
+   * Pause all touches. With `until`, the sequence engine resumes the
+   * enrollment automatically once that time has passed.
+   */
+  CampaignEnrollment.prototype.pause = async function({ until = null, reason = null } = {}) {
+    this.status = 'paused';
+    this.next_action_at = until;
+    this.metadata = {
+      ...this.metadata,
+      pause: {
+        reason,
+        until: until ? until.toISOString() : null,
+        paused_at: new Date().toISOString()
+      }
+    };
+    return await this.save();
+  };
+
+  CampaignEnrollment.prototype.resume = async function({ at = new Date() } = {}) {
+    const { pause, ...metadata } = this.metadata || {};
+    this.status = 'active';
+    this.next_action_at = at;
+    this.metadata = metadata;
+    return await this.save();
+  };
+
   CampaignEnrollment.prototype.advanceStep = async function() {
     this.current_step += 1;
     return await this.save();
@@ -0,0 +1,74 @@
+/**
+ * PrivacyRequest Model
+ *
+ * Signed record of a data subject request (GDPR/CCPA export or erase).
+ * Holds an HMAC of the contact's email, never the email itself.
+ *
+ * @see src/services/PrivacyService.js
+ * @see src/db/migrations/20251203000001-add-privacy-requests.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PrivacyRequest = sequelize.define('PrivacyRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    request_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['export', 'erase']]
+      }
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['completed', 'partial']]
+      }
+    },
+
+    subject_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'HMAC-SHA256 of the lower-cased email'
+    },
+
+    actor: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Records found/erased per store'
+    },
+
+    signature: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    }
+
+  }, {
+    tableName: 'privacy_requests',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    comment: 'Signed data subject request audit trail'
+  });
+
+  return PrivacyRequest;
+};
@@ -0,0 +1,57 @@
+/**
+ * SenderMailboxSuspension Model
+ *
+ * Mailboxes taken out of sender pool rotation after crossing a bounce or
+ * complaint threshold (or suspended by hand). Deleting the row resumes it.
+ *
+ * @see src/services/SenderPool.js
+ * @see src/db/migrations/20251201000001-add-sender-mailbox-tables.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SenderMailboxSuspension = sequelize.define('SenderMailboxSuspension', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    mailbox: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      unique: true,
+      comment: 'Lower-cased sender address'
+    },
+
+    reason: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: [['bounce_rate', 'complaint_rate', 'manual']]
+      }
+    },
+
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Rates and thresholds at suspension time'
+    },
+
+    suspended_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+
+  }, {
+    tableName: 'sender_mailbox_suspensions',
+    timestamps: true,
+    underscored: true,
+    comment: 'Sender mailboxes removed from rotation'
+  });
+
+  return SenderMailboxSuspension;
+};
@@ -0,0 +1,76 @@
+/**
+ * SenderMailboxUsage Model
+ *
+ * Daily send, bounce and complaint counts per sender mailbox.
+ * Enforces per-mailbox daily caps and feeds the rolling bounce/complaint
+ * rates that auto-suspend a mailbox.
+ *
+ * @see src/services/SenderPool.js
+ * @see src/db/migrations/20251201000001-add-sender-mailbox-tables.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SenderMailboxUsage = sequelize.define('SenderMailboxUsage', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    mailbox: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Lower-cased sender address'
+    },
+
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'UTC date the counts apply to'
+    },
+
+    sent_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+
+    bounced_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+
+    complaint_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    }
+
+  }, {
+    tableName: 'sender_mailbox_usage',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['mailbox', 'date'],
+        name: 'uq_sender_mailbox_usage_mailbox_date'
+      }
+    ],
+    comment: 'Daily send/bounce/complaint counts per sender mailbox'
+  });
+
+  return SenderMailboxUsage;
+};
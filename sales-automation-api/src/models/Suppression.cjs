@@ -0,0 +1,71 @@
+/**
+ * Suppression Model
+ *
+ * Global do-not-contact entries: an email address, a whole domain or a
+ * LinkedIn profile. Checked before every send on every campaign; deleting
+ * the row allows contact again.
+ *
+ * @see src/services/SuppressionList.js
+ * @see src/db/migrations/20251202000001-add-suppression-tables.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Suppression = sequelize.define('Suppression', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['email', 'domain', 'linkedin']]
+      }
+    },
+
+    value: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      comment: 'Normalized email, domain or LinkedIn profile'
+    },
+
+    reason: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        isIn: [['unsubscribe', 'bounce', 'spam_complaint', 'legal_request', 'manual']]
+      }
+    },
+
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Where the entry came from (webhook provider, api, import, ...)'
+    },
+
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    created_by: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+
+  }, {
+    tableName: 'suppressions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['type', 'value'] }
+    ],
+    comment: 'Global do-not-contact list'
+  });
+
+  return Suppression;
+};
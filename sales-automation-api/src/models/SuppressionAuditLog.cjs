@@ -0,0 +1,71 @@
+/**
+ * SuppressionAuditLog Model
+ *
+ * Append-only record of suppression list changes and of the sends they
+ * blocked, kept even after an entry is removed.
+ *
+ * @see src/services/SuppressionList.js
+ * @see src/db/migrations/20251202000001-add-suppression-tables.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SuppressionAuditLog = sequelize.define('SuppressionAuditLog', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    action: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['add', 'remove', 'blocked']]
+      }
+    },
+
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+
+    value: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+
+    reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+
+    source: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+
+    actor: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'User ID, or system component for automatic entries'
+    },
+
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Blocked send context, import batch, notes'
+    }
+
+  }, {
+    tableName: 'suppression_audit_log',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    comment: 'Suppression list audit trail'
+  });
+
+  return SuppressionAuditLog;
+};
@@ -0,0 +1,107 @@
+/**
+ * WebhookDelivery Model
+ *
+ * One outbound event sent (or to be sent) to one subscription: retry state
+ * and the last response. Kept after delivery as the delivery log.
+ *
+ * @see src/services/WebhookDispatcher.js
+ * @see src/db/migrations/20251204000001-add-webhook-subscriptions.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    subscription_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'webhook_subscriptions',
+        key: 'id'
+      }
+    },
+
+    event_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Shared by every delivery (and replay) of the same event'
+    },
+
+    event_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Event envelope sent as the request body'
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'delivering', 'delivered', 'failed']]
+      }
+    },
+
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    last_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'HTTP status of the last attempt'
+    },
+
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    replay_of: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Delivery this row replays'
+    }
+
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    underscored: true,
+    comment: 'Outbound webhook delivery log'
+  });
+
+  return WebhookDelivery;
+};
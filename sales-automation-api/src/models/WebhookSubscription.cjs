@@ -0,0 +1,70 @@
+/**
+ * WebhookSubscription Model
+ *
+ * A downstream endpoint subscribed to outbound events (reply received,
+ * meeting booked, ...). Deliveries are signed with the subscription's secret.
+ *
+ * @see src/services/WebhookDispatcher.js
+ * @see src/db/migrations/20251204000001-add-webhook-subscriptions.cjs
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookSubscription = sequelize.define('WebhookSubscription', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+      validate: {
+        isUrl: {
+          protocols: ['http', 'https'],
+          require_protocol: true,
+          require_tld: false
+        }
+      }
+    },
+
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    event_types: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Subscribed event types, or ["*"] for all'
+    },
+
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'HMAC-SHA256 signing secret'
+    },
+
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    created_by: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+
+  }, {
+    tableName: 'webhook_subscriptions',
+    timestamps: true,
+    underscored: true,
+    comment: 'Outbound webhook subscriptions'
+  });
+
+  return WebhookSubscription;
+};
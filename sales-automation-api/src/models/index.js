@@ -22,6 +22,13 @@ const OutreachOutcomeModel = require('./OutreachOutcome.cjs');  // AI learning o
 const LinkedInRateLimitModel = require('./LinkedInRateLimit.cjs');  // LinkedIn rate limit tracking
 const VideoGenerationModel = require('./VideoGeneration.cjs');  // HeyGen video tracking
 const ICPProfileModel = require('./ICPProfile.cjs');  // ICP profile management
+const SenderMailboxUsageModel = require('./SenderMailboxUsage.cjs');  // Sender pool daily caps
+const SenderMailboxSuspensionModel = require('./SenderMailboxSuspension.cjs');  // Sender pool suspensions
+const SuppressionModel = require('./Suppression.cjs');  // Global do-not-contact list
+const SuppressionAuditLogModel = require('./SuppressionAuditLog.cjs');  // Suppression audit trail
+const PrivacyRequestModel = require('./PrivacyRequest.cjs');  // Data subject request audit trail
+const WebhookSubscriptionModel = require('./WebhookSubscription.cjs');  // Outbound webhook subscriptions
+const WebhookDeliveryModel = require('./WebhookDelivery.cjs');  // Outbound webhook delivery log
 
 // Initialize models
 const CampaignTemplate = CampaignTemplateModel(sequelize);
@@ -37,6 +44,13 @@ const OutreachOutcome = OutreachOutcomeModel(sequelize);
 const LinkedInRateLimit = LinkedInRateLimitModel(sequelize);
 const VideoGeneration = VideoGenerationModel(sequelize);
 const ICPProfile = ICPProfileModel(sequelize);
+const SenderMailboxUsage = SenderMailboxUsageModel(sequelize);
+const SenderMailboxSuspension = SenderMailboxSuspensionModel(sequelize);
+const Suppression = SuppressionModel(sequelize);
+const SuppressionAuditLog = SuppressionAuditLogModel(sequelize);
+const PrivacyRequest = PrivacyRequestModel(sequelize);
+const WebhookSubscription = WebhookSubscriptionModel(sequelize);
+const WebhookDelivery = WebhookDeliveryModel(sequelize);
 
 // ============================================================================
 // ASSOCIATIONS
@@ -144,6 +158,19 @@ CampaignTemplate.belongsTo(ICPProfile, {
   as: 'icpProfile'
 });
 
+// WebhookSubscription associations
+WebhookSubscription.hasMany(WebhookDelivery, {
+  foreignKey: 'subscription_id',
+  as: 'deliveries',
+  onDelete: 'CASCADE',
+  onUpdate: 'CASCADE'
+});
+
+WebhookDelivery.belongsTo(WebhookSubscription, {
+  foreignKey: 'subscription_id',
+  as: 'subscription'
+});
+
 // ============================================================================
 // SYNC DATABASE (Development only)
 // ============================================================================
@@ -194,6 +221,13 @@ export {
   LinkedInRateLimit,  // LinkedIn rate limit tracking
   VideoGeneration,  // HeyGen video tracking
   ICPProfile,  // ICP profile management
+  SenderMailboxUsage,  // Sender pool daily caps
+  SenderMailboxSuspension,  // Sender pool suspensions
+  Suppression,  // Global do-not-contact list
+  SuppressionAuditLog,  // Suppression audit trail
+  PrivacyRequest,  // Data subject request audit trail
+  WebhookSubscription,  // Outbound webhook subscriptions
+  WebhookDelivery,  // Outbound webhook delivery log
 
   // Utilities
   syncDatabase
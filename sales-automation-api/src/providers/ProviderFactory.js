@@ -3,7 +3,7 @@
  * Creates provider instances based on environment configuration
  *
  * This factory implements the Factory Pattern to provide a single point
- * of instantiation for all provider types (Email, LinkedIn, Video).
+ * of instantiation for all provider types (Email, LinkedIn, Video, Enrichment).
  * Providers can be switched via environment variables without code changes.
  */
 
@@ -16,6 +16,7 @@ export class ProviderFactory {
     this.emailProviders = new Map();
     this.linkedInProviders = new Map();
     this.videoProviders = new Map();
+    this.enrichmentProviders = new Map();
 
     // Instance cache to prevent creating multiple instances
     this.cachedInstances = {
@@ -24,6 +25,9 @@ export class ProviderFactory {
       video: null
     };
 
+    // Sender pool mailboxes, keyed by provider + sender address
+    this.mailboxInstances = new Map();
+
     // Register providers as they become available
     this.registerProviders();
   }
@@ -40,16 +44,15 @@ export class ProviderFactory {
         return new LemlistEmailProvider();
       } catch (error) {
         throw new Error(
-          `Lemlist email provider not yet implemented. ` +
-          `This will be available in Phase 7D. Error: ${error.message}`
+          `Failed to load Lemlist email provider: ${error.message}`
         );
       }
     });
 
-    this.emailProviders.set('postmark', async () => {
+    this.emailProviders.set('postmark', async (options) => {
       try {
         const { PostmarkEmailProvider } = await import('./postmark/PostmarkEmailProvider.js');
-        return new PostmarkEmailProvider();
+        return new PostmarkEmailProvider(options);
       } catch (error) {
         throw new Error(
           `Postmark email provider not yet implemented. ` +
@@ -58,6 +61,17 @@ export class ProviderFactory {
       }
     });
 
+    this.emailProviders.set('smtp', async (options) => {
+      try {
+        const { SmtpEmailProvider } = await import('./smtp/SmtpEmailProvider.js');
+        return new SmtpEmailProvider(options);
+      } catch (error) {
+        throw new Error(
+          `Failed to load SMTP email provider: ${error.message}`
+        );
+      }
+    });
+
     // LinkedIn Providers
     this.linkedInProviders.set('lemlist', async () => {
       try {
@@ -65,8 +79,7 @@ export class ProviderFactory {
         return new LemlistLinkedInProvider();
       } catch (error) {
         throw new Error(
-          `Lemlist LinkedIn provider not yet implemented. ` +
-          `This will be available in Phase 7D. Error: ${error.message}`
+          `Failed to load Lemlist LinkedIn provider: ${error.message}`
         );
       }
     });
@@ -95,6 +108,40 @@ export class ProviderFactory {
         );
       }
     });
+
+    // Enrichment Providers (wrap the API clients the server already holds)
+    this.enrichmentProviders.set('explorium', async (options) => {
+      try {
+        const { ExploriumEnrichmentProvider } = await import('./explorium/ExploriumEnrichmentProvider.js');
+        return new ExploriumEnrichmentProvider(options);
+      } catch (error) {
+        throw new Error(
+          `Failed to load Explorium enrichment provider: ${error.message}`
+        );
+      }
+    });
+
+    this.enrichmentProviders.set('hubspot', async (options) => {
+      try {
+        const { HubSpotEnrichmentProvider } = await import('./hubspot/HubSpotEnrichmentProvider.js');
+        return new HubSpotEnrichmentProvider(options);
+      } catch (error) {
+        throw new Error(
+          `Failed to load HubSpot enrichment provider: ${error.message}`
+        );
+      }
+    });
+
+    this.enrichmentProviders.set('lemlist', async (options) => {
+      try {
+        const { LemlistEnrichmentProvider } = await import('./lemlist/LemlistEnrichmentProvider.js');
+        return new LemlistEnrichmentProvider(options);
+      } catch (error) {
+        throw new Error(
+          `Failed to load Lemlist enrichment provider: ${error.message}`
+        );
+      }
+    });
   }
 
   /**
@@ -147,6 +194,43 @@ export class ProviderFactory {
     }
   }
 
+  /**
+   * Create the email provider for one sender pool mailbox
+   * Credentials come from the env vars the mailbox names (see
+   * ProviderConfig.getMailboxProviderConfig); instances are cached per mailbox.
+   *
+   * @param {Object} mailbox - Mailbox from SenderPool.getPoolConfig()
+   * @returns {Promise<EmailProvider>} Provider sending as mailbox.address
+   * @throws {Error} If the mailbox's provider does not support per-mailbox senders
+   */
+  async createMailboxEmailProvider(mailbox) {
+    const key = `${mailbox.provider}:${mailbox.address}`;
+    if (this.mailboxInstances.has(key)) {
+      return this.mailboxInstances.get(key);
+    }
+
+    const { providerConfig } = await import('../config/provider-config.js');
+    const config = providerConfig.getMailboxProviderConfig(mailbox);
+    const providerFactory = this.emailProviders.get(mailbox.provider);
+
+    if (!config || !providerFactory) {
+      throw new Error(
+        `Email provider "${mailbox.provider}" cannot send for a sender pool mailbox. ` +
+        'Supported: smtp, postmark'
+      );
+    }
+
+    const provider = await providerFactory({ config });
+    this.mailboxInstances.set(key, provider);
+
+    logger.info('Sender pool mailbox provider created', {
+      provider: mailbox.provider,
+      mailbox: mailbox.address
+    });
+
+    return provider;
+  }
+
   /**
    * Create LinkedIn provider based on LINKEDIN_PROVIDER environment variable
    *
@@ -247,6 +331,46 @@ export class ProviderFactory {
     }
   }
 
+  /**
+   * Create the enrichment waterfall providers, in order
+   * Unknown or unconfigured providers are skipped with a warning so one
+   * missing API key does not disable enrichment altogether.
+   *
+   * @param {Array<string>} names - Provider names in waterfall order (ENRICHMENT_PROVIDERS)
+   * @param {Object} clients - API clients keyed by provider name ({ explorium, hubspot, lemlist })
+   * @returns {Promise<Array<EnrichmentProvider>>} Configured providers
+   */
+  async createEnrichmentProviders(names, clients = {}) {
+    const providers = [];
+
+    for (const name of names) {
+      const providerFactory = this.enrichmentProviders.get(name.toLowerCase());
+
+      if (!providerFactory) {
+        const available = Array.from(this.enrichmentProviders.keys()).join(', ');
+        logger.warn(`Enrichment provider "${name}" not found. Available providers: ${available}`);
+        continue;
+      }
+
+      try {
+        const provider = await providerFactory({ client: clients[name.toLowerCase()] });
+        await provider.validateConfig();
+        providers.push(provider);
+      } catch (error) {
+        logger.warn('Skipping enrichment provider', {
+          provider: name,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Enrichment providers created', {
+      providers: providers.map(provider => provider.name)
+    });
+
+    return providers;
+  }
+
   /**
    * Create all providers for a campaign
    * Used when campaign needs multi-channel capabilities
@@ -287,6 +411,10 @@ export class ProviderFactory {
       video: {
         active: process.env.VIDEO_PROVIDER || 'heygen',
         available: Array.from(this.videoProviders.keys())
+      },
+      enrichment: {
+        active: process.env.ENRICHMENT_PROVIDERS || 'explorium',
+        available: Array.from(this.enrichmentProviders.keys())
       }
     };
   }
@@ -337,6 +465,7 @@ export class ProviderFactory {
       linkedin: null,
       video: null
     };
+    this.mailboxInstances.clear();
   }
 
   /**
@@ -0,0 +1,186 @@
+/**
+ * CalDAV / ICS Calendar Provider
+ * Implementation of CalendarProvider interface over iCalendar data
+ *
+ * Two modes (CALENDAR_PROVIDER):
+ * - ics: downloads a published feed (Google "secret address in iCal format",
+ *   Outlook published calendar, ...) and filters it locally. Recurring
+ *   events only yield their first occurrence.
+ * - caldav: sends a calendar-query REPORT with a time range to a CalDAV
+ *   collection (iCloud, Fastmail, Nextcloud, ...); the server expands
+ *   recurring events into occurrences.
+ *
+ * Read-only: the provider never writes to the calendar.
+ */
+
+import axios from 'axios';
+import { CalendarProvider } from '../interfaces/CalendarProvider.js';
+import { ProviderConfigError, ProviderApiError } from '../errors/ProviderError.js';
+import { providerConfig } from '../../config/provider-config.js';
+import { parseIcs } from '../utils/ics-parser.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('CalDavCalendarProvider');
+
+const MODES = ['ics', 'caldav'];
+const REQUEST_TIMEOUT_MS = 15000;
+
+// A feed is re-downloaded at most once a minute (reply bursts all ask for slots)
+const FEED_CACHE_MS = 60 * 1000;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * iCalendar UTC timestamp (20261021T090000Z)
+ * @private
+ */
+function toIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Decode the XML text content of a calendar-data element
+ * @private
+ */
+function decodeXmlText(text) {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+  if (cdata) {
+    return cdata[1];
+  }
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()];
+  });
+}
+
+export class CalDavCalendarProvider extends CalendarProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides providerConfig 'calendar' ({ provider, url, username, password, timezone })
+   */
+  constructor(options = {}) {
+    super();
+
+    const config = options.config || providerConfig.getProviderConfig('calendar') || {};
+    this.mode = (config.provider || 'ics').toLowerCase();
+    this.url = config.url;
+    this.username = config.username;
+    this.password = config.password;
+    this.timezone = config.timezone || 'UTC';
+
+    this._feedCache = null;
+  }
+
+  get name() {
+    return this.mode;
+  }
+
+  async listEvents({ from, to }) {
+    const events = this.mode === 'caldav'
+      ? await this._queryCalDav(from, to)
+      : await this._readFeed();
+
+    // Instantaneous events count when they start inside the range
+    return events.filter(event => (event.end > event.start
+      ? event.end > from && event.start < to
+      : event.start >= from && event.start < to));
+  }
+
+  getCapabilities() {
+    return {
+      expandsRecurrence: this.mode === 'caldav'
+    };
+  }
+
+  async validateConfig() {
+    if (!MODES.includes(this.mode)) {
+      throw new ProviderConfigError(
+        `Unknown calendar provider "${this.mode}". Supported: ${MODES.join(', ')}`,
+        this.name,
+        ['CALENDAR_PROVIDER']
+      );
+    }
+    if (!this.url) {
+      throw new ProviderConfigError('Calendar URL not configured', this.name, ['CALENDAR_URL']);
+    }
+    return true;
+  }
+
+  /**
+   * Download (or reuse) the ICS feed
+   * @private
+   */
+  async _readFeed() {
+    if (this._feedCache && Date.now() - this._feedCache.fetchedAt < FEED_CACHE_MS) {
+      return this._feedCache.events;
+    }
+
+    const data = await this._request({ method: 'GET', url: this.url.replace(/^webcal:/i, 'https:') });
+    const events = parseIcs(data, { defaultTimeZone: this.timezone });
+    this._feedCache = { events, fetchedAt: Date.now() };
+
+    logger.debug('Calendar feed loaded', { events: events.length });
+    return events;
+  }
+
+  /**
+   * calendar-query REPORT for VEVENTs in a time range, expanded server-side
+   * @private
+   */
+  async _queryCalDav(from, to) {
+    const start = toIcsTimestamp(from);
+    const end = toIcsTimestamp(to);
+    const body = `<?xml version="1.0" encoding="utf-8" ?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <C:calendar-data><C:expand start="${start}" end="${end}"/></C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT"><C:time-range start="${start}" end="${end}"/></C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+
+    const data = await this._request({
+      method: 'REPORT',
+      url: this.url,
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      data: body
+    });
+
+    const calendars = [...String(data).matchAll(/<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/gi)]
+      .map(match => decodeXmlText(match[1]));
+
+    return parseIcs(calendars.join('\n'), { defaultTimeZone: this.timezone });
+  }
+
+  /**
+   * @private
+   */
+  async _request(config) {
+    try {
+      const response = await axios.request({
+        ...config,
+        timeout: REQUEST_TIMEOUT_MS,
+        responseType: 'text',
+        auth: this.username ? { username: this.username, password: this.password || '' } : undefined
+      });
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      logger.error('Calendar request failed', { mode: this.mode, status, error: error.message });
+      throw new ProviderApiError(
+        `Calendar ${config.method} failed: ${error.message}`,
+        this.name,
+        status,
+        error.response?.data
+      );
+    }
+  }
+}
+
+export default CalDavCalendarProvider;
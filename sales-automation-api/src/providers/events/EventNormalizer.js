@@ -4,10 +4,21 @@
  *
  * All provider events (email, LinkedIn, video) are normalized to a common
  * structure for consistent storage and processing in the database.
+ *
+ * Each webhook provider is described by an EventMapping registered with
+ * EventNormalizer.registerMapping(): how its requests are authenticated,
+ * where events sit in the payload, which fields hold the IDs and timestamp,
+ * and how its event types map onto EVENT_TYPES. Lemlist and Postmark are
+ * built in; other tools are added through WEBHOOK_EVENT_MAPPINGS
+ * (config/event-mappings.js) and post to
+ * /api/campaigns/events/webhook/:provider.
  */
 
+import crypto from 'crypto';
 import { createLogger } from '../../utils/logger.js';
 import { ProviderMessageLookup } from '../../services/ProviderMessageLookup.js';
+import { WebhookSignature } from '../utils/WebhookSignature.js';
+import { getCustomEventMappings } from '../../config/event-mappings.js';
 
 const logger = createLogger('EventNormalizer');
 
@@ -54,6 +65,338 @@ export const CHANNELS = {
   PHONE: 'phone'
 };
 
+/**
+ * Standard event type -> channel it belongs to
+ */
+const EVENT_CHANNELS = Object.fromEntries(Object.entries(EVENT_TYPES).map(([key, type]) => [
+  type,
+  key.startsWith('EMAIL_') ? CHANNELS.EMAIL : key.startsWith('LINKEDIN_') ? CHANNELS.LINKEDIN : CHANNELS.VIDEO
+]));
+
+/**
+ * Provider-neutral event type names, accepted from every provider
+ */
+const DEFAULT_EVENT_TYPES = {
+  // Email event mappings
+  'email.sent': EVENT_TYPES.EMAIL_SENT,
+  'email.delivered': EVENT_TYPES.EMAIL_DELIVERED,
+  'email.opened': EVENT_TYPES.EMAIL_OPENED,
+  'email.clicked': EVENT_TYPES.EMAIL_CLICKED,
+  'email.replied': EVENT_TYPES.EMAIL_REPLIED,
+  'email.bounced': EVENT_TYPES.EMAIL_BOUNCED,
+  'email.unsubscribed': EVENT_TYPES.EMAIL_UNSUBSCRIBED,
+  'spam_complaint': EVENT_TYPES.EMAIL_SPAM_REPORTED,
+
+  // LinkedIn event mappings
+  'linkedin.profile_visited': EVENT_TYPES.LINKEDIN_PROFILE_VISITED,
+  'linkedin.connection_sent': EVENT_TYPES.LINKEDIN_CONNECTION_SENT,
+  'linkedin.connection_accepted': EVENT_TYPES.LINKEDIN_CONNECTION_ACCEPTED,
+  'linkedin.connection_rejected': EVENT_TYPES.LINKEDIN_CONNECTION_REJECTED,
+  'linkedin.message_sent': EVENT_TYPES.LINKEDIN_MESSAGE_SENT,
+  'linkedin.message_read': EVENT_TYPES.LINKEDIN_MESSAGE_READ,
+  'linkedin.message_replied': EVENT_TYPES.LINKEDIN_MESSAGE_REPLIED,
+
+  // Video event mappings
+  'video.completed': EVENT_TYPES.VIDEO_GENERATED,
+  'video.failed': EVENT_TYPES.VIDEO_GENERATION_FAILED,
+  'video.viewed': EVENT_TYPES.VIDEO_VIEWED,
+  'video.watch_completed': EVENT_TYPES.VIDEO_COMPLETED,
+  'video.shared': EVENT_TYPES.VIDEO_SHARED
+};
+
+/**
+ * Built-in webhook mappings (see EventMapping for the format)
+ */
+const BUILT_IN_MAPPINGS = {
+  lemlist: {
+    signature: { type: 'hmac', header: 'x-lemlist-signature', prefix: 'sha256=' },
+    event_types: {
+      emailsSent: EVENT_TYPES.EMAIL_SENT,
+      emailsOpened: EVENT_TYPES.EMAIL_OPENED,
+      emailsClicked: EVENT_TYPES.EMAIL_CLICKED,
+      emailsReplied: EVENT_TYPES.EMAIL_REPLIED,
+      emailsBounced: EVENT_TYPES.EMAIL_BOUNCED,
+      emailsUnsubscribed: EVENT_TYPES.EMAIL_UNSUBSCRIBED,
+      linkedinVisitDone: EVENT_TYPES.LINKEDIN_PROFILE_VISITED,
+      linkedinInviteDone: EVENT_TYPES.LINKEDIN_CONNECTION_SENT,
+      linkedinInviteAccepted: EVENT_TYPES.LINKEDIN_CONNECTION_ACCEPTED,
+      linkedinSent: EVENT_TYPES.LINKEDIN_MESSAGE_SENT,
+      linkedinOpened: EVENT_TYPES.LINKEDIN_MESSAGE_READ,
+      linkedinReplied: EVENT_TYPES.LINKEDIN_MESSAGE_REPLIED,
+      linkedinVoiceNoteDone: EVENT_TYPES.LINKEDIN_VOICE_MESSAGE_SENT
+    },
+    // Sends are keyed by Lemlist lead ID on both channels
+    fields: {
+      type: 'type',
+      provider_event_id: '_id',
+      provider_message_id: 'leadId',
+      provider_action_id: 'leadId',
+      timestamp: 'createdAt',
+      recipient: 'leadEmail'
+    },
+    data: {
+      lemlistCampaignId: 'campaignId',
+      campaignName: 'campaignName',
+      leadId: 'leadId',
+      leadEmail: 'leadEmail',
+      sequenceStep: 'sequenceStep',
+      subject: 'subject',
+      text: 'text',
+      url: 'url',
+      linkedinUrl: ['linkedinUrl', 'leadLinkedinUrl'],
+      bounceReason: 'errorMessage'
+    }
+  },
+
+  postmark: {
+    // Postmark has no HMAC signing; the webhook URL carries Basic Auth credentials
+    signature: { type: 'basic' },
+    event_types: {
+      Delivery: EVENT_TYPES.EMAIL_DELIVERED,
+      Bounce: EVENT_TYPES.EMAIL_BOUNCED,
+      Open: EVENT_TYPES.EMAIL_OPENED,
+      Click: EVENT_TYPES.EMAIL_CLICKED,
+      SpamComplaint: EVENT_TYPES.EMAIL_SPAM_REPORTED
+    },
+    fields: {
+      type: 'RecordType',
+      provider_event_id: 'ID',
+      provider_message_id: 'MessageID',
+      timestamp: ['DeliveredAt', 'BouncedAt', 'ReceivedAt', 'ChangedAt'],
+      recipient: ['Recipient', 'Email']
+    },
+    data: {
+      recordType: 'RecordType',
+      tag: 'Tag',
+      metadata: 'Metadata',
+      details: 'Details',
+      bounceType: 'Type',
+      description: 'Description',
+      clickedLink: 'OriginalLink',
+      userAgent: 'UserAgent'
+    }
+  }
+};
+
+const SIGNATURE_TYPES = ['hmac', 'token', 'basic'];
+const EVENT_FIELDS = [
+  'type', 'provider_event_id', 'provider_message_id', 'provider_action_id',
+  'timestamp', 'recipient', 'step_number', 'video_id'
+];
+
+/**
+ * Read a field from a payload
+ * A rule is a dotted path ('data.message.id', 'items.0.id') or a list of
+ * paths, the first one holding a value wins.
+ * @private
+ */
+function extractField(source, rule) {
+  if (Array.isArray(rule)) {
+    for (const candidate of rule) {
+      const value = extractField(source, candidate);
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+    return undefined;
+  }
+  if (typeof rule !== 'string' || rule === '') {
+    return undefined;
+  }
+  return rule.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * One provider's webhook format
+ *
+ *   {
+ *     "signature": {
+ *       "type": "hmac" | "token" | "basic",
+ *       "header": "x-acme-signature",      // hmac / token
+ *       "prefix": "sha256=",               // hmac, stripped before comparing
+ *       "encoding": "hex" | "base64",      // hmac (default hex)
+ *       "query": "token",                  // token, also accepted as ?token=
+ *       "secret_env": "ACME_WEBHOOK_SECRET" // default <PROVIDER>_WEBHOOK_SECRET
+ *     },
+ *     "events": "data.events",             // where the event list is (default: the body)
+ *     "event_types": { "email_opened": "opened" },
+ *     "fields": { "type": "event", "provider_message_id": ["message_id", "data.message_id"], ... },
+ *     "data": { "campaign": "campaign.name" },
+ *     "channel": "email"                   // default: the channel of the mapped event type
+ *   }
+ *
+ * HMAC signatures cover the raw request body. Provider types that are
+ * already EVENT_TYPES values need no event_types entry; anything else
+ * unmapped is ignored. Events without an ID get one derived from their
+ * content, so redelivered webhooks stay idempotent.
+ */
+export class EventMapping {
+  /**
+   * @param {string} provider - Provider name
+   * @param {Object} definition - Mapping definition (format above)
+   * @throws {Error} If the definition is invalid
+   */
+  constructor(provider, definition = {}) {
+    this.provider = provider.toLowerCase();
+
+    const { signature = {}, event_types: eventTypes = {}, fields = {}, data = {}, events, channel } = definition;
+    const validTypes = Object.values(EVENT_TYPES);
+
+    if (!SIGNATURE_TYPES.includes(signature.type)) {
+      throw new Error(`${provider}: signature.type must be one of ${SIGNATURE_TYPES.join(', ')}`);
+    }
+    if (signature.type === 'hmac' && !signature.header) {
+      throw new Error(`${provider}: hmac signatures need signature.header`);
+    }
+    if (signature.type === 'token' && !signature.header && !signature.query) {
+      throw new Error(`${provider}: token signatures need signature.header or signature.query`);
+    }
+    if (signature.encoding && !['hex', 'base64'].includes(signature.encoding)) {
+      throw new Error(`${provider}: signature.encoding must be hex or base64`);
+    }
+    if (!fields.type) {
+      throw new Error(`${provider}: fields.type is required`);
+    }
+    const unknownField = Object.keys(fields).find(field => !EVENT_FIELDS.includes(field));
+    if (unknownField) {
+      throw new Error(`${provider}: unknown field '${unknownField}'`);
+    }
+    const badType = Object.values(eventTypes).find(type => !validTypes.includes(type));
+    if (badType) {
+      throw new Error(`${provider}: '${badType}' is not a standard event type`);
+    }
+    if (channel && !Object.values(CHANNELS).includes(channel)) {
+      throw new Error(`${provider}: unknown channel '${channel}'`);
+    }
+
+    this.signature = {
+      encoding: 'hex',
+      secretEnv: signature.secret_env || `${this.provider.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_WEBHOOK_SECRET`,
+      ...signature
+    };
+    this.eventTypes = eventTypes;
+    this.fields = fields;
+    this.data = data;
+    this.events = events;
+    this.channel = channel || null;
+  }
+
+  /**
+   * Standard event type for a provider event type
+   *
+   * @param {string} providerEventType
+   * @returns {string|null} EVENT_TYPES value, or null when unmapped
+   */
+  mapType(providerEventType) {
+    if (Object.prototype.hasOwnProperty.call(this.eventTypes, providerEventType)) {
+      return this.eventTypes[providerEventType];
+    }
+    return Object.values(EVENT_TYPES).includes(providerEventType) ? providerEventType : null;
+  }
+
+  /**
+   * Authenticate a webhook request
+   * Fails closed when the provider's secret is not configured.
+   *
+   * @param {Object} req - Express request (rawBody captured by saveRawBody)
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  verify(req) {
+    const secret = process.env[this.signature.secretEnv];
+    if (!secret) {
+      return { valid: false, reason: 'not_configured' };
+    }
+
+    const headers = req.headers || {};
+    let valid = false;
+
+    switch (this.signature.type) {
+      case 'hmac': {
+        const header = headers[this.signature.header.toLowerCase()];
+        const received = header && this.signature.prefix && header.startsWith(this.signature.prefix)
+          ? header.slice(this.signature.prefix.length)
+          : header;
+        const payload = req.rawBody || JSON.stringify(req.body);
+        valid = !!received && WebhookSignature.verify(received, payload, secret, this.signature.encoding);
+        break;
+      }
+      case 'token': {
+        const received = (this.signature.header && headers[this.signature.header.toLowerCase()]) ||
+          (this.signature.query && req.query?.[this.signature.query]);
+        valid = !!received && WebhookSignature.verifyToken(received, secret);
+        break;
+      }
+      case 'basic': {
+        const header = headers.authorization || '';
+        valid = header.startsWith('Basic ') &&
+          WebhookSignature.verifyToken(Buffer.from(header.slice(6), 'base64').toString('utf8'), secret);
+        break;
+      }
+    }
+
+    return valid ? { valid } : { valid, reason: 'invalid_signature' };
+  }
+
+  /**
+   * Extract raw events from a webhook payload
+   *
+   * @param {Object|Array} payload - Request body
+   * @returns {{events: Array<{rawEvent: Object, channel: string}>, ignored: Array<Object>}}
+   *   rawEvent is in the format EventNormalizer.normalize() consumes;
+   *   ignored lists provider event types with no mapping
+   */
+  parse(payload) {
+    const source = this.events ? extractField(payload, this.events) : payload;
+    const items = Array.isArray(source) ? source : (source ? [source] : []);
+
+    const events = [];
+    const ignored = [];
+
+    for (const item of items) {
+      const providerType = extractField(item, this.fields.type);
+      const type = this.mapType(providerType);
+      if (!type) {
+        ignored.push({ type: providerType ?? null });
+        continue;
+      }
+
+      const field = name => extractField(item, this.fields[name]);
+      const data = { providerEventType: providerType, recipient: field('recipient') };
+      for (const [key, rule] of Object.entries(this.data)) {
+        data[key] = extractField(item, rule);
+      }
+
+      events.push({
+        channel: this.channel || EVENT_CHANNELS[type],
+        rawEvent: {
+          type,
+          providerEventId: String(field('provider_event_id') ?? this._derivedEventId(providerType, item)),
+          providerMessageId: field('provider_message_id') ?? undefined,
+          providerActionId: field('provider_action_id') ?? undefined,
+          timestamp: field('timestamp') ?? new Date(),
+          stepNumber: field('step_number'),
+          videoId: field('video_id'),
+          data
+        }
+      });
+    }
+
+    return { events, ignored };
+  }
+
+  /**
+   * Stable ID for events the provider sends without one
+   * @private
+   */
+  _derivedEventId(providerType, item) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex').slice(0, 32);
+    return `${this.provider}-${providerType}-${hash}`;
+  }
+}
+
+// Registered webhook mappings, keyed by provider name
+const mappings = new Map();
+
 export class EventNormalizer {
   /**
    * Normalize an event from any provider to standard format
@@ -71,11 +414,20 @@ export class EventNormalizer {
       this.validateRawEvent(rawEvent);
 
       // Look up enrollment by provider message ID
-      const enrollment = await ProviderMessageLookup.findEnrollment({
+      let enrollment = await ProviderMessageLookup.findEnrollment({
         providerMessageId: rawEvent.providerMessageId,
         providerActionId: rawEvent.providerActionId
       }, channel);
 
+      // Inbound mail (IMAP) carries its thread instead of a provider message ID
+      if (!enrollment && rawEvent.threadMessageIds?.length) {
+        const match = await ProviderMessageLookup.findEnrollmentByThread(rawEvent.threadMessageIds, channel);
+        if (match) {
+          enrollment = match.enrollment;
+          rawEvent = { ...rawEvent, providerMessageId: match.providerMessageId };
+        }
+      }
+
       // Build normalized event (ALIGNED WITH CampaignEvent MODEL)
       const normalized = {
         // REQUIRED: Foreign keys
@@ -83,7 +435,7 @@ export class EventNormalizer {
         instance_id: enrollment?.instance_id || null,
 
         // REQUIRED: Event identification
-        event_type: this.normalizeEventType(rawEvent.type, channel),
+        event_type: this.normalizeEventType(rawEvent.type, channel, provider),
         channel: this.normalizeChannel(channel),
         timestamp: this.normalizeTimestamp(rawEvent.timestamp),
 
@@ -153,46 +505,56 @@ export class EventNormalizer {
   }
 
   /**
-   * Normalize event type to standard format
+   * Register (or replace) a provider's webhook mapping
+   *
+   * @param {string} provider - Provider name, as used in the webhook URL
+   * @param {Object|EventMapping} definition - Mapping definition
+   * @returns {EventMapping}
+   * @throws {Error} If the definition is invalid
    */
-  static normalizeEventType(providerEventType, channel) {
-    // Map provider-specific event types to standard types
-    const eventTypeMap = {
-      // Email event mappings
-      'email.sent': EVENT_TYPES.EMAIL_SENT,
-      'email.delivered': EVENT_TYPES.EMAIL_DELIVERED,
-      'email.opened': EVENT_TYPES.EMAIL_OPENED,
-      'email.clicked': EVENT_TYPES.EMAIL_CLICKED,
-      'email.replied': EVENT_TYPES.EMAIL_REPLIED,
-      'email.bounced': EVENT_TYPES.EMAIL_BOUNCED,
-      'email.unsubscribed': EVENT_TYPES.EMAIL_UNSUBSCRIBED,
-      'spam_complaint': EVENT_TYPES.EMAIL_SPAM_REPORTED,
-
-      // Postmark-specific
-      'Delivery': EVENT_TYPES.EMAIL_DELIVERED,
-      'Bounce': EVENT_TYPES.EMAIL_BOUNCED,
-      'Open': EVENT_TYPES.EMAIL_OPENED,
-      'Click': EVENT_TYPES.EMAIL_CLICKED,
-      'SpamComplaint': EVENT_TYPES.EMAIL_SPAM_REPORTED,
-
-      // LinkedIn event mappings
-      'linkedin.profile_visited': EVENT_TYPES.LINKEDIN_PROFILE_VISITED,
-      'linkedin.connection_sent': EVENT_TYPES.LINKEDIN_CONNECTION_SENT,
-      'linkedin.connection_accepted': EVENT_TYPES.LINKEDIN_CONNECTION_ACCEPTED,
-      'linkedin.connection_rejected': EVENT_TYPES.LINKEDIN_CONNECTION_REJECTED,
-      'linkedin.message_sent': EVENT_TYPES.LINKEDIN_MESSAGE_SENT,
-      'linkedin.message_read': EVENT_TYPES.LINKEDIN_MESSAGE_READ,
-      'linkedin.message_replied': EVENT_TYPES.LINKEDIN_MESSAGE_REPLIED,
-
-      // Video event mappings
-      'video.completed': EVENT_TYPES.VIDEO_GENERATED,
-      'video.failed': EVENT_TYPES.VIDEO_GENERATION_FAILED,
-      'video.viewed': EVENT_TYPES.VIDEO_VIEWED,
-      'video.watch_completed': EVENT_TYPES.VIDEO_COMPLETED,
-      'video.shared': EVENT_TYPES.VIDEO_SHARED
-    };
+  static registerMapping(provider, definition) {
+    const mapping = definition instanceof EventMapping ? definition : new EventMapping(provider, definition);
+    mappings.set(mapping.provider, mapping);
+    return mapping;
+  }
 
-    const normalized = eventTypeMap[providerEventType] || providerEventType;
+  /**
+   * Webhook mapping of a provider
+   *
+   * @param {string} provider - Provider name
+   * @returns {EventMapping|null}
+   */
+  static getMapping(provider) {
+    return mappings.get(String(provider || '').toLowerCase()) || null;
+  }
+
+  /**
+   * Names of providers with a webhook mapping
+   * @returns {Array<string>}
+   */
+  static getMappedProviders() {
+    return [...mappings.keys()];
+  }
+
+  /**
+   * Normalize event type to standard format
+   *
+   * @param {string} providerEventType - Event type as the provider names it
+   * @param {string} channel - Channel type
+   * @param {string} provider - Provider name; without it every registered
+   *   mapping is searched
+   * @returns {string} Standard event type (unknown types are returned as-is)
+   */
+  static normalizeEventType(providerEventType, channel, provider) {
+    const providerMapping = provider ? this.getMapping(provider) : null;
+    const candidates = providerMapping ? [providerMapping] : [...mappings.values()];
+
+    let normalized = DEFAULT_EVENT_TYPES[providerEventType];
+    for (const mapping of candidates) {
+      if (normalized) break;
+      normalized = mapping.eventTypes[providerEventType];
+    }
+    normalized = normalized || providerEventType;
 
     // Validate normalized type is in our standard types
     const validTypes = Object.values(EVENT_TYPES);
@@ -200,7 +562,8 @@ export class EventNormalizer {
       logger.warn('Unknown event type, using as-is', {
         providerEventType,
         normalized,
-        channel
+        channel,
+        provider
       });
     }
 
@@ -382,4 +745,25 @@ export class EventNormalizer {
   }
 }
 
+/**
+ * Register the built-in mappings, then custom ones from WEBHOOK_EVENT_MAPPINGS
+ * (a custom mapping may replace a built-in one)
+ */
+function registerMappings() {
+  for (const [provider, definition] of Object.entries(BUILT_IN_MAPPINGS)) {
+    EventNormalizer.registerMapping(provider, definition);
+  }
+
+  for (const [provider, definition] of Object.entries(getCustomEventMappings())) {
+    try {
+      EventNormalizer.registerMapping(provider, definition);
+      logger.info('Registered custom webhook event mapping', { provider });
+    } catch (error) {
+      logger.error('Ignoring invalid webhook event mapping', { provider, error: error.message });
+    }
+  }
+}
+
+registerMappings();
+
 export default EventNormalizer;
@@ -0,0 +1,79 @@
+/**
+ * Explorium Enrichment Provider
+ * Implementation of EnrichmentProvider interface backed by ExploriumClient
+ *
+ * Explorium returns the normalized shape already; an empty match comes back
+ * with confidenceScore 0 and is reported as not found.
+ */
+
+import { EnrichmentProvider } from '../interfaces/EnrichmentProvider.js';
+import { ProviderConfigError, ProviderApiError } from '../errors/ProviderError.js';
+
+export class ExploriumEnrichmentProvider extends EnrichmentProvider {
+  /**
+   * @param {Object} options
+   * @param {ExploriumClient} options.client - Configured Explorium client
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client || null;
+  }
+
+  get name() {
+    return 'explorium';
+  }
+
+  async enrichContact(contact) {
+    const { email, firstName, lastName, companyDomain } = contact;
+    const data = this._unwrap('enrichContact', await this.client.enrichContact({
+      email,
+      firstName,
+      lastName,
+      companyDomain,
+    }));
+
+    return { found: data.confidenceScore > 0, data };
+  }
+
+  async enrichCompany(company) {
+    const { domain, name, linkedinUrl } = company;
+    const data = this._unwrap('enrichCompany', await this.client.enrichCompany({ domain, name, linkedinUrl }));
+
+    return { found: data.confidenceScore > 0, data };
+  }
+
+  getCapabilities() {
+    return {
+      supportsContacts: true,
+      supportsCompanies: true,
+      contactFields: [
+        'email', 'emailVerified', 'title', 'seniority', 'department', 'linkedinUrl',
+        'phoneNumber', 'location', 'country',
+      ],
+      companyFields: [
+        'name', 'domain', 'industry', 'employees', 'revenue', 'technologies',
+        'fundingStage', 'signals', 'linkedinUrl',
+      ],
+    };
+  }
+
+  async validateConfig() {
+    if (!this.client) {
+      throw new ProviderConfigError('Explorium client not configured', this.name, ['EXPLORIUM_API_KEY']);
+    }
+    return true;
+  }
+
+  /**
+   * ExploriumClient reports failures as { success: false, error }
+   * @private
+   */
+  _unwrap(method, result) {
+    if (result?.success === false) {
+      throw new ProviderApiError(`Explorium ${method} failed: ${result.error}`, this.name, result.statusCode);
+    }
+    return result;
+  }
+}
+
+export default ExploriumEnrichmentProvider;
@@ -0,0 +1,127 @@
+/**
+ * HubSpot Enrichment Provider
+ * Implementation of EnrichmentProvider interface that reads what reps and
+ * earlier syncs already put in HubSpot
+ *
+ * Useful as a cheap fallback where paid sources have poor coverage: a
+ * contact that is already in the CRM often has a title, phone and company
+ * details. Lookups cost nothing beyond the API quota.
+ */
+
+import { EnrichmentProvider } from '../interfaces/EnrichmentProvider.js';
+import { ProviderConfigError, ProviderApiError } from '../errors/ProviderError.js';
+
+const CONTACT_PROPERTIES = [
+  'email', 'firstname', 'lastname', 'jobtitle', 'phone', 'mobilephone',
+  'hs_linkedin_url', 'city', 'country', 'hs_email_bad_address',
+];
+
+const COMPANY_PROPERTIES = [
+  'name', 'domain', 'industry', 'numberofemployees', 'annualrevenue',
+  'linkedin_company_page', 'city', 'country',
+];
+
+export class HubSpotEnrichmentProvider extends EnrichmentProvider {
+  /**
+   * @param {Object} options
+   * @param {HubSpotClient} options.client - Configured HubSpot client
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client || null;
+  }
+
+  get name() {
+    return 'hubspot';
+  }
+
+  async enrichContact(contact) {
+    if (!contact.email) {
+      return { found: false, data: null };
+    }
+
+    const result = await this.client.searchContacts({
+      filterGroups: [{ filters: [{ propertyName: 'email', operator: 'EQ', value: contact.email }] }],
+      properties: CONTACT_PROPERTIES,
+      limit: 1,
+    });
+    if (!result.success) {
+      throw new ProviderApiError(`HubSpot contact search failed: ${result.error}`, this.name, result.statusCode);
+    }
+
+    const record = result.contacts[0];
+    if (!record) {
+      return { found: false, data: null };
+    }
+
+    const p = record.properties || {};
+    const location = [p.city, p.country].filter(Boolean).join(', ');
+    return {
+      found: true,
+      data: {
+        email: p.email,
+        firstName: p.firstname || null,
+        lastName: p.lastname || null,
+        title: p.jobtitle || null,
+        phoneNumber: p.phone || p.mobilephone || null,
+        linkedinUrl: p.hs_linkedin_url || null,
+        location: location || null,
+        country: p.country || null,
+        // HubSpot flags hard bounces; anything else is unverified
+        emailVerified: p.hs_email_bad_address === 'true' ? false : null,
+      },
+    };
+  }
+
+  async enrichCompany(company) {
+    if (!company.domain) {
+      return { found: false, data: null };
+    }
+
+    const result = await this.client.searchCompanies({
+      filterGroups: [{ filters: [{ propertyName: 'domain', operator: 'EQ', value: company.domain }] }],
+      properties: COMPANY_PROPERTIES,
+      limit: 1,
+    });
+    if (!result.success) {
+      throw new ProviderApiError(`HubSpot company search failed: ${result.error}`, this.name, result.statusCode);
+    }
+
+    const record = result.companies[0];
+    if (!record) {
+      return { found: false, data: null };
+    }
+
+    const p = record.properties || {};
+    return {
+      found: true,
+      data: {
+        name: p.name || null,
+        domain: p.domain || company.domain,
+        industry: p.industry || null,
+        employees: p.numberofemployees ? Number(p.numberofemployees) : null,
+        revenue: p.annualrevenue ? Number(p.annualrevenue) : null,
+        linkedinUrl: p.linkedin_company_page || null,
+        headquarters: [p.city, p.country].filter(Boolean).join(', ') || null,
+      },
+    };
+  }
+
+  getCapabilities() {
+    return {
+      supportsContacts: true,
+      supportsCompanies: true,
+      contactFields: ['firstName', 'lastName', 'title', 'phoneNumber', 'linkedinUrl', 'location', 'country'],
+      companyFields: ['name', 'domain', 'industry', 'employees', 'revenue', 'linkedinUrl', 'headquarters'],
+    };
+  }
+
+  async validateConfig() {
+    if (!this.client) {
+      throw new ProviderConfigError('HubSpot client not configured', this.name, ['HUBSPOT_API_TOKEN']);
+    }
+    return true;
+  }
+}
+
+export default HubSpotEnrichmentProvider;
@@ -0,0 +1,76 @@
+/**
+ * Calendar Provider Interface
+ * Abstract base class for calendar sources (ICS feeds, CalDAV servers)
+ *
+ * MeetingTracker reads events to spot booked meetings with prospects and
+ * busy time to offer free slots. Events use the shape of
+ * providers/utils/ics-parser.js:
+ *
+ *   { uid, summary, description, location, url, start: Date, end: Date,
+ *     allDay, status: 'confirmed'|'tentative'|'cancelled', transparent,
+ *     recurrenceId, organizer: { email, name }, attendees: [{ email, name, partstat }] }
+ */
+
+export class CalendarProvider {
+  /**
+   * Provider name (e.g., 'caldav', 'ics')
+   * @type {string}
+   */
+  get name() {
+    throw new Error('CalendarProvider.name must be implemented');
+  }
+
+  /**
+   * List events overlapping a time range
+   *
+   * @param {Object} range
+   * @param {Date} range.from - Range start
+   * @param {Date} range.to - Range end
+   * @returns {Promise<Array<Object>>} Events sorted by start
+   * @throws {Error} If the calendar cannot be read
+   */
+  async listEvents(range) {
+    throw new Error('CalendarProvider.listEvents() must be implemented');
+  }
+
+  /**
+   * Busy intervals in a time range
+   * Cancelled and transparent (free) events do not count as busy.
+   *
+   * @param {Object} range
+   * @param {Date} range.from - Range start
+   * @param {Date} range.to - Range end
+   * @returns {Promise<Array<{start: Date, end: Date}>>} Busy intervals sorted by start
+   */
+  async getBusy(range) {
+    const events = await this.listEvents(range);
+    return events
+      .filter(event => event.status !== 'cancelled' && !event.transparent)
+      .map(event => ({ start: event.start, end: event.end }));
+  }
+
+  /**
+   * Get provider capabilities
+   *
+   * @returns {Object} Capabilities object
+   * @returns {boolean} capabilities.expandsRecurrence - Recurring events come back as individual occurrences
+   */
+  getCapabilities() {
+    return {
+      expandsRecurrence: false
+    };
+  }
+
+  /**
+   * Validate configuration
+   * Check if provider is properly configured with URL, credentials, etc.
+   *
+   * @returns {Promise<boolean>} True if configuration is valid
+   * @throws {Error} If configuration is invalid
+   */
+  async validateConfig() {
+    throw new Error('CalendarProvider.validateConfig() must be implemented');
+  }
+}
+
+export default CalendarProvider;
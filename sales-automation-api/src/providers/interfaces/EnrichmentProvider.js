@@ -0,0 +1,91 @@
+/**
+ * Enrichment Provider Interface
+ * Abstract base class for all contact/company data sources (Explorium,
+ * HubSpot, Lemlist)
+ *
+ * EnrichmentWaterfall calls providers in the configured order and merges
+ * their results field by field, so every provider returns data in the same
+ * normalized shape (the one EnrichmentWorker._calculateQualityScore reads):
+ *
+ *   contact: { email, firstName, lastName, title, emailVerified, linkedinUrl,
+ *              phoneNumber, location, country, seniority, department,
+ *              confidenceScore, ... }
+ *   company: { name, domain, industry, employees, revenue, technologies,
+ *              fundingStage, signals, linkedinUrl, confidenceScore, ... }
+ *
+ * Fields a provider does not know are left out (or null) rather than guessed.
+ */
+
+export class EnrichmentProvider {
+  /**
+   * Provider name (e.g., 'explorium', 'hubspot')
+   * Used in ENRICHMENT_PROVIDERS, field precedence and cost tracking
+   * @type {string}
+   */
+  get name() {
+    throw new Error('EnrichmentProvider.name must be implemented');
+  }
+
+  /**
+   * Look up a contact
+   *
+   * @param {Object} contact - What we already know
+   * @param {string} contact.email - Email address
+   * @param {string} contact.firstName - First name
+   * @param {string} contact.lastName - Last name
+   * @param {string} contact.companyDomain - Company domain
+   * @returns {Promise<Object>} Lookup result
+   * @returns {boolean} result.found - Whether the provider matched the contact
+   * @returns {Object|null} result.data - Normalized contact fields
+   * @returns {number} result.cost - Actual cost in USD (optional; defaults to the configured unit cost)
+   * @throws {Error} If the lookup fails (the waterfall moves on to the next provider)
+   */
+  async enrichContact(contact) {
+    throw new Error('EnrichmentProvider.enrichContact() must be implemented');
+  }
+
+  /**
+   * Look up a company
+   *
+   * @param {Object} company - What we already know
+   * @param {string} company.domain - Company domain
+   * @param {string} company.name - Company name
+   * @param {string} company.linkedinUrl - Company LinkedIn URL
+   * @returns {Promise<Object>} Lookup result ({ found, data, cost }, as enrichContact)
+   * @throws {Error} If the lookup fails
+   */
+  async enrichCompany(company) {
+    throw new Error('EnrichmentProvider.enrichCompany() must be implemented');
+  }
+
+  /**
+   * Get provider capabilities
+   *
+   * @returns {Object} Capabilities object
+   * @returns {boolean} capabilities.supportsContacts - Implements enrichContact()
+   * @returns {boolean} capabilities.supportsCompanies - Implements enrichCompany()
+   * @returns {Array<string>} capabilities.contactFields - Contact fields it can fill
+   * @returns {Array<string>} capabilities.companyFields - Company fields it can fill
+   */
+  getCapabilities() {
+    return {
+      supportsContacts: true,
+      supportsCompanies: true,
+      contactFields: [],
+      companyFields: []
+    };
+  }
+
+  /**
+   * Validate configuration
+   * Check if provider is properly configured with API keys, etc.
+   *
+   * @returns {Promise<boolean>} True if configuration is valid
+   * @throws {Error} If configuration is invalid
+   */
+  async validateConfig() {
+    throw new Error('EnrichmentProvider.validateConfig() must be implemented');
+  }
+}
+
+export default EnrichmentProvider;
@@ -0,0 +1,390 @@
+/**
+ * Lemlist Email Provider
+ * Implementation of EmailProvider interface on top of the Lemlist client
+ *
+ * Lemlist sends from campaign sequences rather than a transactional API, so
+ * each send adds the lead to a Lemlist campaign (LEMLIST_CAMPAIGN_ID) with the
+ * personalized step content as lead variables. The campaign's email step
+ * should use {{stepSubject}} and {{stepBody}}.
+ *
+ * Lemlist emails each lead once per campaign, so a lead that is already in
+ * the campaign (a second step of the same enrollment) cannot be sent to
+ * again: send() returns status 'failed' instead of claiming a send. Use a
+ * Lemlist campaign per step (metadata.lemlistCampaignId) or another provider
+ * for multi-step sequences.
+ *
+ * The Lemlist lead ID is returned as the message ID; webhooks carry the same
+ * ID so events correlate back to the enrollment.
+ *
+ * Docs: https://developer.lemlist.com
+ */
+
+import { EmailProvider } from '../interfaces/EmailProvider.js';
+import { LemlistClient } from '../../clients/lemlist-client.js';
+import { createLogger } from '../../utils/logger.js';
+import { providerConfig } from '../../config/provider-config.js';
+import { metrics } from '../../utils/metrics.js';
+import { replaceMultiple } from '../utils/variable-replacer.js';
+import { EventNormalizer, CHANNELS } from '../events/EventNormalizer.js';
+import { LemlistWebhook } from './LemlistWebhook.js';
+import { suppressionList } from '../../services/SuppressionList.js';
+
+const logger = createLogger('LemlistEmailProvider');
+
+export class LemlistEmailProvider extends EmailProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.suppressionList - Suppression list (injectable for tests)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.suppressionList = options.suppressionList || suppressionList;
+
+    const config = providerConfig.getProviderConfig('lemlist');
+    this.apiKey = config?.apiKey;
+    this.webhookSecret = config?.webhookSecret;
+    this.campaignId = config?.campaignId;
+    this.client = null;
+
+    if (this.apiKey || process.env.E2E_MOCK_EXTERNAL_APIS === 'true') {
+      this.client = new LemlistClient({
+        apiKey: this.apiKey,
+        defaultCampaignId: this.campaignId
+      });
+    } else {
+      logger.warn('Lemlist API key not configured');
+    }
+
+    if (!this.campaignId) {
+      logger.warn('Lemlist campaign not configured - will need to be provided per-email');
+    }
+  }
+
+  get name() {
+    return 'lemlist';
+  }
+
+  /**
+   * Call a Lemlist client method and unwrap its { success, error } envelope
+   * @private
+   */
+  async _call(method, ...args) {
+    if (!this.client) {
+      throw new Error('LEMLIST_API_KEY not configured');
+    }
+
+    const startTime = Date.now();
+    const result = await this.client[method](...args);
+
+    metrics.histogram('provider.api_latency_ms', Date.now() - startTime, {
+      provider: 'lemlist',
+      endpoint: method
+    });
+
+    if (!result?.success) {
+      metrics.counter('provider.api_calls', 1, {
+        provider: 'lemlist',
+        endpoint: method,
+        status: 'error'
+      });
+      metrics.counter('provider.api_errors', 1, {
+        provider: 'lemlist',
+        error_type: this._mapErrorType(result?.statusCode)
+      });
+
+      const error = new Error(`Lemlist API error: ${result?.error || 'Unknown error'}`);
+      error.statusCode = result?.statusCode;
+      throw error;
+    }
+
+    metrics.counter('provider.api_calls', 1, {
+      provider: 'lemlist',
+      endpoint: method,
+      status: 'success'
+    });
+
+    return result;
+  }
+
+  /**
+   * Send a single email
+   * Adds the lead to the Lemlist campaign with this step's content
+   *
+   * @returns {Promise<Object>} status 'queued', or 'failed' when the lead is
+   *   already in the campaign (nothing new would be sent)
+   */
+  async send(params) {
+    const {
+      to,
+      subject,
+      body,
+      campaignId,
+      enrollmentId,
+      variables = {},
+      metadata = {}
+    } = params;
+
+    const lemlistCampaignId = metadata.lemlistCampaignId || this.campaignId;
+
+    if (!lemlistCampaignId) {
+      throw new Error('Lemlist campaign not configured. Set LEMLIST_CAMPAIGN_ID or provide metadata.lemlistCampaignId');
+    }
+
+    await this.suppressionList.assertAllowed({ email: to }, {
+      channel: 'email',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+
+    // Lemlist only knows its own lead fields, so resolve our variables up front
+    const { subject: personalizedSubject, body: personalizedBody } = replaceMultiple(
+      { subject, body },
+      variables
+    );
+
+    const stepVariables = {
+      stepSubject: personalizedSubject,
+      stepBody: personalizedBody,
+      campaignInstanceId: campaignId || '',
+      enrollmentId: enrollmentId || '',
+      stepNumber: metadata.stepNumber
+    };
+
+    logger.info('Sending Lemlist email', {
+      to,
+      subject: personalizedSubject,
+      lemlistCampaignId,
+      campaignId,
+      enrollmentId
+    });
+
+    try {
+      const leadId = await this._addLead(lemlistCampaignId, to, variables, stepVariables);
+
+      if (!leadId) {
+        logger.warn('Lead already in Lemlist campaign, nothing sent', { to, lemlistCampaignId, enrollmentId });
+        metrics.counter('provider.send_rejected', 1, { provider: 'lemlist', reason: 'lead_exists' });
+
+        return {
+          messageId: null,
+          status: 'failed',
+          error: `Lead is already in Lemlist campaign ${lemlistCampaignId}; Lemlist sends each lead one email per campaign`,
+          to,
+          metadata: { ...metadata, lemlistCampaignId, campaignId, enrollmentId }
+        };
+      }
+
+      return {
+        messageId: leadId,
+        status: 'queued',
+        to,
+        submittedAt: new Date(),
+        metadata: {
+          ...metadata,
+          lemlistLeadId: leadId,
+          lemlistCampaignId,
+          campaignId,
+          enrollmentId
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to send Lemlist email', {
+        error: error.message,
+        to,
+        campaignId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add lead to campaign
+   * @private
+   * @returns {Promise<string|null>} Lead ID, or null when the lead is already in the campaign
+   */
+  async _addLead(lemlistCampaignId, email, variables, stepVariables) {
+    try {
+      const result = await this._call('addLead', {
+        campaignId: lemlistCampaignId,
+        email,
+        firstName: variables.firstName,
+        lastName: variables.lastName,
+        companyName: variables.companyName,
+        customFields: stepVariables
+      });
+      return result.leadId;
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Send batch of emails
+   * Lemlist has no multi-content batch endpoint, so emails are added one by one
+   */
+  async sendBatch(emails) {
+    const successes = [];
+    const failures = [];
+
+    for (const email of emails) {
+      try {
+        const result = await this.send(email);
+        if (result.status === 'failed') {
+          failures.push({ to: email.to, error: result.error });
+          continue;
+        }
+        successes.push({
+          messageId: result.messageId,
+          to: email.to,
+          submittedAt: result.submittedAt
+        });
+      } catch (error) {
+        failures.push({
+          to: email.to,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('Lemlist batch sent', {
+      total: emails.length,
+      successes: successes.length,
+      failures: failures.length
+    });
+
+    return {
+      sent: successes.length,
+      failed: failures.length,
+      successes,
+      failures
+    };
+  }
+
+  /**
+   * Get email delivery status from the lead's latest email activity
+   */
+  async getStatus(messageId) {
+    try {
+      const { activities } = await this._call('getActivities', { leadId: messageId });
+
+      const emailActivities = activities
+        .filter(activity => LemlistWebhook.getChannel(activity.type) === CHANNELS.EMAIL)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+      const latest = emailActivities[emailActivities.length - 1];
+      const sent = emailActivities.find(activity => activity.type === 'emailsSent');
+
+      return {
+        messageId,
+        status: latest ? EventNormalizer.normalizeEventType(latest.type, CHANNELS.EMAIL, 'lemlist') : 'queued',
+        to: latest?.leadEmail || '',
+        subject: latest?.subject,
+        sentAt: sent ? new Date(sent.createdAt) : null,
+        events: emailActivities.map(activity => ({
+          type: EventNormalizer.normalizeEventType(activity.type, CHANNELS.EMAIL, 'lemlist'),
+          timestamp: new Date(activity.createdAt),
+          details: activity.text || activity.url || null
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to get Lemlist status', {
+        messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify webhook signature (HMAC-SHA256 in x-lemlist-signature)
+   */
+  verifyWebhookSignature(req, secret) {
+    return LemlistWebhook.verify(req, secret);
+  }
+
+  /**
+   * Parse webhook payload into normalized event format
+   */
+  parseWebhookEvent(payload) {
+    return LemlistWebhook.parse(payload, CHANNELS.EMAIL);
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      supportsBatch: false,
+      maxBatchSize: 1,
+      supportsTemplates: true,
+      supportsTracking: true,
+      supportsMultichannel: true,
+      supportedEvents: [
+        'emailsSent',
+        'emailsOpened',
+        'emailsClicked',
+        'emailsReplied',
+        'emailsBounced',
+        'emailsUnsubscribed'
+      ]
+    };
+  }
+
+  /**
+   * Validate configuration
+   */
+  async validateConfig() {
+    if (!this.client) {
+      throw new Error('LEMLIST_API_KEY not configured');
+    }
+
+    if (!this.campaignId) {
+      throw new Error('LEMLIST_CAMPAIGN_ID not configured');
+    }
+
+    const health = await this.client.healthCheck();
+
+    if (health.status !== 'healthy') {
+      logger.error('Lemlist configuration validation failed', { error: health.error });
+      throw new Error(`Invalid Lemlist API key: ${health.error || 'health check failed'}`);
+    }
+
+    logger.info('Lemlist configuration validated successfully');
+    return true;
+  }
+
+  /**
+   * Map HTTP status codes to standardized error types for metrics
+   * @private
+   */
+  _mapErrorType(statusCode) {
+    if (!statusCode) return 'network';
+    if (statusCode === 401 || statusCode === 403) return 'auth';
+    if (statusCode === 429) return 'rate_limit';
+    if (statusCode >= 500) return 'server_error';
+    return 'validation';
+  }
+
+  /**
+   * Health check for the Lemlist provider
+   * @returns {Promise<{status: string, message: string}>}
+   */
+  async healthCheck() {
+    if (!this.client) {
+      return { status: 'disabled', message: 'Lemlist not configured' };
+    }
+
+    const health = await this.client.healthCheck();
+
+    return health.status === 'healthy'
+      ? { status: 'healthy', message: 'Lemlist connection successful' }
+      : { status: 'unhealthy', message: health.error || 'Health check failed' };
+  }
+}
+
+export default LemlistEmailProvider;
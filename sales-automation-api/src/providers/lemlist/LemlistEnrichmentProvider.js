@@ -0,0 +1,75 @@
+/**
+ * Lemlist Enrichment Provider
+ * Implementation of EnrichmentProvider interface over Lemlist's lead enrichment
+ *
+ * Lemlist enriches leads asynchronously (enrichLeadWithLinkedIn starts it,
+ * the LinkedIn URL and phone appear on the lead later), so this provider only
+ * reads results for contacts that are already Lemlist leads (lemlistLeadId).
+ * Contacts without one are skipped at no cost. Companies are not supported.
+ */
+
+import { EnrichmentProvider } from '../interfaces/EnrichmentProvider.js';
+import { ProviderConfigError, ProviderApiError } from '../errors/ProviderError.js';
+
+export class LemlistEnrichmentProvider extends EnrichmentProvider {
+  /**
+   * @param {Object} options
+   * @param {LemlistClient} options.client - Configured Lemlist client
+   */
+  constructor(options = {}) {
+    super();
+    this.client = options.client || null;
+  }
+
+  get name() {
+    return 'lemlist';
+  }
+
+  async enrichContact(contact) {
+    const leadId = contact.lemlistLeadId || contact.leadId;
+    if (!leadId) {
+      return { found: false, data: null, cost: 0 };
+    }
+
+    const result = await this.client.getEnrichedLeadData(leadId);
+    if (!result.success) {
+      // Client errors carry the failing method; anything else means "not enriched yet"
+      if (result.method) {
+        throw new ProviderApiError(`Lemlist getEnrichedLeadData failed: ${result.error}`, this.name, result.statusCode);
+      }
+      return { found: false, data: null };
+    }
+
+    const lead = result.fullData || {};
+    return {
+      found: true,
+      data: {
+        linkedinUrl: result.linkedinUrl,
+        phoneNumber: lead.phone || null,
+        title: lead.jobTitle || null,
+      },
+    };
+  }
+
+  async enrichCompany() {
+    return { found: false, data: null, cost: 0 };
+  }
+
+  getCapabilities() {
+    return {
+      supportsContacts: true,
+      supportsCompanies: false,
+      contactFields: ['linkedinUrl', 'phoneNumber', 'title'],
+      companyFields: [],
+    };
+  }
+
+  async validateConfig() {
+    if (!this.client) {
+      throw new ProviderConfigError('Lemlist client not configured', this.name, ['LEMLIST_API_KEY']);
+    }
+    return true;
+  }
+}
+
+export default LemlistEnrichmentProvider;
@@ -0,0 +1,471 @@
+/**
+ * Lemlist LinkedIn Provider
+ * Implementation of LinkedInProvider interface on top of the Lemlist client
+ *
+ * Lemlist runs LinkedIn steps (visit, invite, message) from campaign sequences
+ * using the sender's connected LinkedIn account. Each action adds the lead to
+ * LEMLIST_LINKEDIN_CAMPAIGN_ID with its linkedinUrl plus {{stepType}} /
+ * {{stepMessage}} variables for the campaign's LinkedIn steps.
+ *
+ * A lead already in the campaign would not get a new action, so those calls
+ * return status 'failed' rather than reporting the action as queued.
+ *
+ * The Lemlist lead ID is returned as the action ID; webhooks carry the same
+ * ID so events correlate back to the enrollment.
+ *
+ * Docs: https://developer.lemlist.com
+ */
+
+import { LinkedInProvider } from '../interfaces/LinkedInProvider.js';
+import { LemlistClient } from '../../clients/lemlist-client.js';
+import { createLogger } from '../../utils/logger.js';
+import { providerConfig } from '../../config/provider-config.js';
+import { metrics } from '../../utils/metrics.js';
+import { replaceTemplateVariables } from '../utils/variable-replacer.js';
+import { EventNormalizer, CHANNELS } from '../events/EventNormalizer.js';
+import { LemlistWebhook } from './LemlistWebhook.js';
+import { suppressionList } from '../../services/SuppressionList.js';
+
+const logger = createLogger('LemlistLinkedInProvider');
+
+export class LemlistLinkedInProvider extends LinkedInProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.suppressionList - Suppression list (injectable for tests)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.suppressionList = options.suppressionList || suppressionList;
+
+    const config = providerConfig.getProviderConfig('lemlist');
+    this.apiKey = config?.apiKey;
+    this.webhookSecret = config?.webhookSecret;
+    this.campaignId = config?.linkedinCampaignId;
+    this.client = null;
+
+    // Lemlist enforces its own LinkedIn quotas; these mirror them for reporting
+    this.dailyConnectionLimit = parseInt(process.env.LINKEDIN_DAILY_CONNECTION_LIMIT || '20', 10);
+    this.dailyMessageLimit = parseInt(process.env.LINKEDIN_DAILY_MESSAGE_LIMIT || '50', 10);
+
+    if (this.apiKey || process.env.E2E_MOCK_EXTERNAL_APIS === 'true') {
+      this.client = new LemlistClient({
+        apiKey: this.apiKey,
+        defaultCampaignId: this.campaignId
+      });
+    } else {
+      logger.warn('Lemlist API key not configured');
+    }
+
+    if (!this.campaignId) {
+      logger.warn('Lemlist LinkedIn campaign not configured - will need to be provided per-action');
+    }
+  }
+
+  get name() {
+    return 'lemlist';
+  }
+
+  /**
+   * Throw if the profile or the lead's email is suppressed
+   * Lemlist keys LinkedIn leads by email, so an email opt-out blocks them too
+   * @private
+   */
+  async _assertAllowed({ profileUrl, campaignId, enrollmentId, variables = {} }) {
+    await this.suppressionList.assertAllowed({ linkedinUrl: profileUrl, email: variables.email }, {
+      channel: 'linkedin',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+  }
+
+  /**
+   * Call a Lemlist client method and unwrap its { success, error } envelope
+   * @private
+   */
+  async _call(method, ...args) {
+    if (!this.client) {
+      throw new Error('LEMLIST_API_KEY not configured');
+    }
+
+    const startTime = Date.now();
+    const result = await this.client[method](...args);
+
+    metrics.histogram('provider.api_latency_ms', Date.now() - startTime, {
+      provider: 'lemlist',
+      endpoint: method
+    });
+
+    if (!result?.success) {
+      metrics.counter('provider.api_calls', 1, {
+        provider: 'lemlist',
+        endpoint: method,
+        status: 'error'
+      });
+      metrics.counter('provider.api_errors', 1, {
+        provider: 'lemlist',
+        error_type: result?.statusCode === 429 ? 'rate_limit' : (result?.statusCode >= 500 ? 'server_error' : 'validation')
+      });
+
+      const error = new Error(`Lemlist API error: ${result?.error || 'Unknown error'}`);
+      error.statusCode = result?.statusCode;
+      throw error;
+    }
+
+    metrics.counter('provider.api_calls', 1, {
+      provider: 'lemlist',
+      endpoint: method,
+      status: 'success'
+    });
+
+    return result;
+  }
+
+  /**
+   * Queue a LinkedIn step for the lead in the Lemlist campaign
+   * @private
+   * @returns {Promise<Object>} status 'pending', or 'failed' when the lead is already in the campaign
+   */
+  async _queueAction(stepType, params, message = null) {
+    const {
+      profileUrl,
+      campaignId,
+      enrollmentId,
+      variables = {},
+      metadata = {}
+    } = params;
+
+    const lemlistCampaignId = metadata.lemlistCampaignId || this.campaignId;
+
+    if (!lemlistCampaignId) {
+      throw new Error('Lemlist LinkedIn campaign not configured. Set LEMLIST_LINKEDIN_CAMPAIGN_ID or provide metadata.lemlistCampaignId');
+    }
+
+    // Lemlist keys leads by email, even for LinkedIn-only sequences
+    if (!variables.email) {
+      throw new Error('Lead email is required to queue LinkedIn actions via Lemlist');
+    }
+
+    const stepVariables = {
+      linkedinUrl: profileUrl,
+      stepType,
+      stepMessage: message || '',
+      campaignInstanceId: campaignId || '',
+      enrollmentId: enrollmentId || '',
+      stepNumber: metadata.stepNumber
+    };
+
+    let leadId;
+    try {
+      const result = await this._call('addLead', {
+        campaignId: lemlistCampaignId,
+        email: variables.email,
+        firstName: variables.firstName,
+        lastName: variables.lastName,
+        companyName: variables.companyName,
+        customFields: stepVariables
+      });
+      leadId = result.leadId;
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        throw error;
+      }
+
+      logger.warn('Lead already in Lemlist LinkedIn campaign, action not queued', {
+        stepType,
+        lemlistCampaignId,
+        enrollmentId
+      });
+
+      return {
+        actionId: null,
+        status: 'failed',
+        error: `Lead is already in Lemlist campaign ${lemlistCampaignId}; Lemlist runs each lead through a campaign once`,
+        profileUrl,
+        metadata: { ...metadata, lemlistCampaignId, campaignId, enrollmentId }
+      };
+    }
+
+    return {
+      actionId: leadId,
+      status: 'pending',
+      profileUrl,
+      metadata: {
+        ...metadata,
+        lemlistLeadId: leadId,
+        lemlistCampaignId,
+        campaignId,
+        enrollmentId
+      }
+    };
+  }
+
+  /**
+   * Visit a LinkedIn profile
+   */
+  async visitProfile(params) {
+    logger.info('Visiting LinkedIn profile via Lemlist', {
+      profileUrl: params.profileUrl,
+      campaignId: params.campaignId,
+      enrollmentId: params.enrollmentId
+    });
+
+    try {
+      return await this._queueAction('profile_visit', params);
+    } catch (error) {
+      logger.error('Failed to visit LinkedIn profile', {
+        error: error.message,
+        profileUrl: params.profileUrl,
+        campaignId: params.campaignId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send connection request
+   */
+  async sendConnectionRequest(params) {
+    const { profileUrl, message, variables = {} } = params;
+
+    // Validate connection request
+    this.validateConnectionRequest({ message, profileUrl });
+
+    await this._assertAllowed(params);
+
+    const personalizedMessage = replaceTemplateVariables(message, variables);
+
+    // Double-check character limit after personalization
+    if (personalizedMessage.length > 300) {
+      throw new Error(
+        `Personalized message exceeds LinkedIn's 300 character limit (${personalizedMessage.length} characters)`
+      );
+    }
+
+    logger.info('Sending LinkedIn connection request via Lemlist', {
+      profileUrl,
+      messageLength: personalizedMessage.length,
+      campaignId: params.campaignId,
+      enrollmentId: params.enrollmentId
+    });
+
+    try {
+      const result = await this._queueAction('connection_request', params, personalizedMessage);
+      return { ...result, message: personalizedMessage };
+    } catch (error) {
+      logger.error('Failed to send LinkedIn connection request', {
+        error: error.message,
+        profileUrl,
+        campaignId: params.campaignId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send LinkedIn message
+   */
+  async sendMessage(params) {
+    const { profileUrl, message, variables = {} } = params;
+
+    await this._assertAllowed(params);
+
+    const personalizedMessage = replaceTemplateVariables(message, variables);
+
+    logger.info('Sending LinkedIn message via Lemlist', {
+      profileUrl,
+      messageLength: personalizedMessage.length,
+      campaignId: params.campaignId,
+      enrollmentId: params.enrollmentId
+    });
+
+    try {
+      const result = await this._queueAction('message', params, personalizedMessage);
+      return {
+        ...result,
+        messageId: result.actionId,
+        message: personalizedMessage
+      };
+    } catch (error) {
+      logger.error('Failed to send LinkedIn message', {
+        error: error.message,
+        profileUrl,
+        campaignId: params.campaignId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send voice message (not supported)
+   * Lemlist voice notes are recorded in the Lemlist UI, not supplied via API
+   */
+  async sendVoiceMessage(params) {
+    logger.warn('Voice messages not supported via Lemlist API');
+    return { supported: false };
+  }
+
+  /**
+   * Get action status from the lead's latest LinkedIn activity
+   */
+  async getStatus(actionId) {
+    try {
+      const { activities } = await this._call('getActivities', { leadId: actionId });
+
+      const linkedinActivities = activities
+        .filter(activity => LemlistWebhook.getChannel(activity.type) === CHANNELS.LINKEDIN)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+      const latest = linkedinActivities[linkedinActivities.length - 1];
+
+      return {
+        actionId,
+        status: latest ? EventNormalizer.normalizeEventType(latest.type, CHANNELS.LINKEDIN, 'lemlist') : 'pending',
+        executedAt: latest ? new Date(latest.createdAt) : null,
+        events: linkedinActivities.map(activity => ({
+          type: EventNormalizer.normalizeEventType(activity.type, CHANNELS.LINKEDIN, 'lemlist'),
+          timestamp: new Date(activity.createdAt)
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to get Lemlist LinkedIn status', {
+        actionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Verify webhook signature (HMAC-SHA256 in x-lemlist-signature)
+   */
+  verifyWebhookSignature(req, secret) {
+    return LemlistWebhook.verify(req, secret);
+  }
+
+  /**
+   * Parse webhook payload into normalized event format
+   */
+  parseWebhookEvent(payload) {
+    return LemlistWebhook.parse(payload, CHANNELS.LINKEDIN);
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      supportsProfileVisits: true,
+      supportsConnectionRequests: true,
+      supportsMessages: true,
+      supportsVoiceMessages: false,
+      dailyConnectionLimit: this.dailyConnectionLimit,
+      dailyMessageLimit: this.dailyMessageLimit,
+      supportedEvents: [
+        'linkedinVisitDone',
+        'linkedinInviteDone',
+        'linkedinInviteAccepted',
+        'linkedinSent',
+        'linkedinOpened',
+        'linkedinReplied'
+      ]
+    };
+  }
+
+  /**
+   * Get current rate limit status from today's Lemlist activities
+   */
+  async getRateLimitStatus() {
+    try {
+      const since = new Date();
+      since.setHours(0, 0, 0, 0);
+
+      const countToday = async (type) => {
+        const { activities } = await this._call('getActivities', {
+          campaignId: this.campaignId,
+          type,
+          limit: 100
+        });
+        return activities.filter(activity => new Date(activity.createdAt) >= since).length;
+      };
+
+      const connectionsToday = await countToday('linkedinInviteDone');
+      const messagesToday = await countToday('linkedinSent');
+
+      metrics.gauge('linkedin.daily_usage', connectionsToday, { action_type: 'connection' });
+      metrics.gauge('linkedin.daily_usage', messagesToday, { action_type: 'message' });
+
+      return {
+        connectionsToday,
+        messagesToday,
+        connectionsRemaining: Math.max(0, this.dailyConnectionLimit - connectionsToday),
+        messagesRemaining: Math.max(0, this.dailyMessageLimit - messagesToday),
+        resetsAt: this._getNextMidnight()
+      };
+    } catch (error) {
+      logger.error('Failed to get rate limit status', { error: error.message });
+
+      // Return safe defaults on error (assume limits reached for safety)
+      return {
+        connectionsToday: this.dailyConnectionLimit,
+        messagesToday: this.dailyMessageLimit,
+        connectionsRemaining: 0,
+        messagesRemaining: 0,
+        resetsAt: this._getNextMidnight(),
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Validate configuration
+   */
+  async validateConfig() {
+    if (!this.client) {
+      throw new Error('LEMLIST_API_KEY not configured');
+    }
+
+    if (!this.campaignId) {
+      throw new Error('LEMLIST_LINKEDIN_CAMPAIGN_ID (or LEMLIST_CAMPAIGN_ID) not configured');
+    }
+
+    const health = await this.client.healthCheck();
+
+    if (health.status !== 'healthy') {
+      logger.error('Lemlist configuration validation failed', { error: health.error });
+      throw new Error(`Invalid Lemlist API key: ${health.error || 'health check failed'}`);
+    }
+
+    logger.info('Lemlist LinkedIn configuration validated successfully');
+    return true;
+  }
+
+  /**
+   * Helper: Get next midnight for rate limit reset
+   */
+  _getNextMidnight() {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+    return tomorrow;
+  }
+
+  /**
+   * Health check for the Lemlist LinkedIn provider
+   * @returns {Promise<{status: string, message: string}>}
+   */
+  async healthCheck() {
+    if (!this.client) {
+      return { status: 'disabled', message: 'Lemlist not configured' };
+    }
+
+    const health = await this.client.healthCheck();
+
+    return health.status === 'healthy'
+      ? { status: 'healthy', message: 'Lemlist connection successful' }
+      : { status: 'unhealthy', message: health.error || 'Health check failed' };
+  }
+}
+
+export default LemlistLinkedInProvider;
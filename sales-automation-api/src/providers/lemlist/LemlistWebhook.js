@@ -0,0 +1,120 @@
+/**
+ * Lemlist Webhook Helpers
+ * Signature verification and payload parsing shared by the Lemlist
+ * email and LinkedIn providers (one webhook feeds both channels)
+ *
+ * Docs: https://developer.lemlist.com/#webhooks
+ */
+
+import { createLogger } from '../../utils/logger.js';
+import { WebhookSignature } from '../utils/WebhookSignature.js';
+import { EventNormalizer, CHANNELS } from '../events/EventNormalizer.js';
+
+const logger = createLogger('LemlistWebhook');
+
+export const LEMLIST_SIGNATURE_HEADER = 'x-lemlist-signature';
+
+export class LemlistWebhook {
+  /**
+   * Verify webhook signature
+   * Lemlist sends `x-lemlist-signature: sha256=<hex>`, an HMAC-SHA256 of the raw body
+   *
+   * @param {Object} req - Express request object with headers and rawBody
+   * @param {string} secret - LEMLIST_WEBHOOK_SECRET
+   * @returns {boolean} True if signature is valid
+   */
+  static verify(req, secret) {
+    // P0 SECURITY: FAIL CLOSED - Never allow webhooks without secret configured
+    if (!secret) {
+      logger.error('LEMLIST_WEBHOOK_SECRET not configured - REJECTING all webhooks for security');
+      return false;
+    }
+
+    const signature = WebhookSignature.extractSignature(req.headers || {}, LEMLIST_SIGNATURE_HEADER);
+    if (!signature) {
+      return false;
+    }
+
+    // Raw body is a Buffer when captured by saveRawBody; sign exactly those bytes
+    const payload = req.rawBody
+      ? req.rawBody.toString('utf8')
+      : JSON.stringify(req.body);
+
+    const isValid = WebhookSignature.verify(signature, payload, secret);
+
+    if (!isValid) {
+      logger.warn('Lemlist webhook signature mismatch');
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Parse a Lemlist activity webhook into the provider event format
+   * consumed by EventNormalizer.normalize()
+   *
+   * @param {Object} payload - Raw Lemlist webhook body
+   * @param {string} channel - 'email' or 'linkedin'
+   * @returns {Object} Raw provider event
+   */
+  static parse(payload, channel) {
+    if (!payload || !payload.type) {
+      throw new Error('Lemlist webhook payload is missing activity type');
+    }
+
+    const {
+      _id,
+      type,
+      createdAt,
+      campaignId,
+      campaignName,
+      leadId,
+      leadEmail,
+      sequenceStep
+    } = payload;
+
+    const event = {
+      type: EventNormalizer.normalizeEventType(type, channel, 'lemlist'),
+      // Activity _id is stable across retries; fall back to a deterministic key for dedup
+      providerEventId: _id || `${leadId}-${type}-${createdAt || ''}`,
+      timestamp: new Date(createdAt || Date.now()),
+      recipient: leadEmail,
+      data: {
+        activityType: type,
+        lemlistCampaignId: campaignId,
+        campaignName,
+        leadId,
+        leadEmail,
+        sequenceStep,
+        subject: payload.subject,
+        text: payload.text,
+        url: payload.url,
+        linkedinUrl: payload.linkedinUrl || payload.leadLinkedinUrl,
+        bounceReason: payload.errorMessage
+      }
+    };
+
+    // Sends are keyed by Lemlist lead ID (see LemlistEmailProvider.send / LemlistLinkedInProvider)
+    if (channel === CHANNELS.LINKEDIN) {
+      event.providerActionId = leadId;
+    } else {
+      event.providerMessageId = leadId;
+    }
+
+    return event;
+  }
+
+  /**
+   * Determine which channel a Lemlist activity belongs to
+   *
+   * @param {string} activityType - Lemlist activity type (e.g. emailsOpened, linkedinInviteAccepted)
+   * @returns {string} Channel (email or linkedin)
+   */
+  static getChannel(activityType) {
+    return typeof activityType === 'string' && activityType.startsWith('linkedin')
+      ? CHANNELS.LINKEDIN
+      : CHANNELS.EMAIL;
+  }
+}
+
+export default LemlistWebhook;
@@ -15,14 +15,22 @@ import { createLogger } from '../../utils/logger.js';
 import { providerConfig } from '../../config/provider-config.js';
 import { metrics } from '../../utils/metrics.js';
 import { replaceTemplateVariables } from '../utils/variable-replacer.js';
+import { suppressionList } from '../../services/SuppressionList.js';
+import { getZonedParts, toDateKey } from '../../utils/timezone.js';
 import crypto from 'crypto';
 
 const logger = createLogger('PhantombusterLinkedInProvider');
 
 export class PhantombusterLinkedInProvider extends LinkedInProvider {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.suppressionList - Suppression list (injectable for tests)
+   */
+  constructor(options = {}) {
     super();
 
+    this.suppressionList = options.suppressionList || suppressionList;
+
     const config = providerConfig.getProviderConfig('phantombuster');
     this.apiKey = config?.apiKey;
     this.webhookSecret = config?.webhookSecret;
@@ -268,6 +276,13 @@ export class PhantombusterLinkedInProvider extends LinkedInProvider {
     // Validate connection request
     this.validateConnectionRequest({ message, profileUrl });
 
+    await this.suppressionList.assertAllowed({ linkedinUrl: profileUrl }, {
+      channel: 'linkedin',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+
     // Replace variables in message using shared utility
     const personalizedMessage = replaceTemplateVariables(message, variables);
 
@@ -340,6 +355,13 @@ export class PhantombusterLinkedInProvider extends LinkedInProvider {
       metadata = {}
     } = params;
 
+    await this.suppressionList.assertAllowed({ linkedinUrl: profileUrl }, {
+      channel: 'linkedin',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+
     // Replace variables in message using shared utility
     const personalizedMessage = replaceTemplateVariables(message, variables);
 
@@ -785,12 +807,8 @@ export class PhantombusterLinkedInProvider extends LinkedInProvider {
    * @private
    */
   _getTodayInLinkedInTimezone() {
-    // Use date-fns-tz or similar in production; this is a simple implementation
-    const now = new Date();
     // LinkedIn HQ is in Pacific Time (PST/PDT)
-    const options = { timeZone: 'America/Los_Angeles' };
-    const laDate = new Date(now.toLocaleString('en-US', options));
-    return laDate.toISOString().split('T')[0]; // YYYY-MM-DD
+    return toDateKey(getZonedParts(new Date(), 'America/Los_Angeles')); // YYYY-MM-DD
   }
 
   /**
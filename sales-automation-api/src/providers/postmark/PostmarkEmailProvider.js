@@ -11,15 +11,23 @@ import { createLogger } from '../../utils/logger.js';
 import { providerConfig } from '../../config/provider-config.js';
 import { metrics } from '../../utils/metrics.js';
 import { replaceMultiple } from '../utils/variable-replacer.js';
+import { suppressionList } from '../../services/SuppressionList.js';
 import crypto from 'crypto';
 
 const logger = createLogger('PostmarkEmailProvider');
 
 export class PostmarkEmailProvider extends EmailProvider {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides providerConfig 'postmark' (sender pool mailboxes)
+   * @param {Object} options.suppressionList - Suppression list (injectable for tests)
+   */
+  constructor(options = {}) {
     super();
 
-    const config = providerConfig.getProviderConfig('postmark');
+    this.suppressionList = options.suppressionList || suppressionList;
+
+    const config = options.config || providerConfig.getProviderConfig('postmark');
     this.serverToken = config?.serverToken || config?.apiKey;
     this.webhookSecret = config?.webhookSecret;
     this.senderEmail = config?.senderEmail;
@@ -147,6 +155,13 @@ export class PostmarkEmailProvider extends EmailProvider {
       throw new Error('Sender email not configured. Set POSTMARK_SENDER_EMAIL or provide "from" parameter');
     }
 
+    await this.suppressionList.assertAllowed({ email: to }, {
+      channel: 'email',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+
     // Replace variables in subject and body using shared utility
     const { subject: personalizedSubject, body: personalizedBody } = replaceMultiple(
       { subject, body },
@@ -209,6 +224,29 @@ export class PostmarkEmailProvider extends EmailProvider {
       throw new Error('Postmark batch limit is 500 emails. Split into smaller batches.');
     }
 
+    // Suppressed recipients are reported as failures, the rest still go out
+    const suppressed = [];
+    const allowed = [];
+    for (const params of emails) {
+      try {
+        await this.suppressionList.assertAllowed({ email: params.to }, {
+          channel: 'email',
+          provider: this.name,
+          campaignId: params.campaignId,
+          enrollmentId: params.enrollmentId
+        });
+        allowed.push(params);
+      } catch (error) {
+        if (error.code !== 'RECIPIENT_SUPPRESSED') throw error;
+        suppressed.push({ to: params.to, error: error.message, errorCode: error.code });
+      }
+    }
+    emails = allowed;
+
+    if (emails.length === 0) {
+      return { sent: 0, failed: suppressed.length, successes: [], failures: suppressed };
+    }
+
     const requestBodies = emails.map(params => {
       const {
         to,
@@ -257,7 +295,7 @@ export class PostmarkEmailProvider extends EmailProvider {
       // Postmark returns 200 even if individual messages fail
       // Check each response for errors
       const successes = [];
-      const failures = [];
+      const failures = [...suppressed];
 
       responses.forEach((response, index) => {
         if (response.ErrorCode === 0) {
@@ -276,7 +314,7 @@ export class PostmarkEmailProvider extends EmailProvider {
       });
 
       logger.info('Postmark batch sent', {
-        total: emails.length,
+        total: emails.length + suppressed.length,
         successes: successes.length,
         failures: failures.length
       });
@@ -498,6 +536,13 @@ export class PostmarkEmailProvider extends EmailProvider {
       throw new Error('Sender email required');
     }
 
+    await this.suppressionList.assertAllowed({ email: to }, {
+      channel: 'email',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+
     const requestBody = {
       From: fromEmail,
       To: to,
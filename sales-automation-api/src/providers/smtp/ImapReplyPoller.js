@@ -0,0 +1,453 @@
+/**
+ * IMAP Reply Poller
+ * Captures replies to mail sent by SmtpEmailProvider and turns them into the
+ * same normalized events EventNormalizer produces for webhook providers
+ *
+ * - Polls one mailbox (read-only) for messages newer than the last seen UID;
+ *   the first poll after start looks back IMAP_LOOKBACK_HOURS
+ * - Threads each message to an enrollment through In-Reply-To / References
+ *   (ProviderMessageLookup.findEnrollmentByThread)
+ * - Delivery status notifications (multipart/report) become bounce events
+ * - Auto-replies (Auto-Submitted, X-Autoreply) and messages that do not
+ *   belong to a campaign thread are ignored
+ * - The cursor stops before the first message that fails to process, so it is
+ *   retried next poll (skipped after maxAttempts), and is saved to
+ *   imap_poll_state when a database is given
+ *
+ * The poller never changes flags or moves mail - teammates keep using the
+ * mailbox normally. Re-reading a message after a restart is harmless because
+ * the inbound Message-ID is the event's provider_event_id.
+ */
+
+import { ImapFlow } from 'imapflow';
+import { simpleParser } from 'mailparser';
+import { createLogger } from '../../utils/logger.js';
+import { providerConfig } from '../../config/provider-config.js';
+import { EventNormalizer, CHANNELS } from '../events/EventNormalizer.js';
+
+const logger = createLogger('ImapReplyPoller');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export class ImapReplyPoller {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides providerConfig 'imap'
+   * @param {Function} options.onEvent - async (normalizedEvent, parsedMail) => void,
+   *   called for every message threaded to an enrollment
+   * @param {Function} options.clientFactory - (config) => ImapFlow-compatible client
+   *   (injectable for a local IMAP stand-in)
+   * @param {string} options.provider - Provider name recorded on events (default 'smtp')
+   * @param {Database} options.database - SQLite database wrapper for the UID cursor
+   *   (in memory only when omitted)
+   * @param {number} options.maxAttempts - Polls a failing message is retried in
+   *   before it is skipped (default 10)
+   */
+  constructor(options = {}) {
+    this.config = options.config || providerConfig.getProviderConfig('imap') || {};
+    this.onEvent = options.onEvent || (async () => {});
+    this.clientFactory = options.clientFactory || (config => new ImapFlow({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: { user: config.user, pass: config.password },
+      logger: false
+    }));
+    this.provider = options.provider || 'smtp';
+    this.intervalMs = options.intervalMs || this.config.pollIntervalMs || 60000;
+    this.mailbox = this.config.mailbox || 'INBOX';
+    this.database = options.database || null;
+    this.cursorKey = `${this.config.user}@${this.config.host}/${this.mailbox}`;
+    this.maxAttempts = options.maxAttempts || 10;
+
+    // Mail from these addresses is our own outbound copy, never a reply
+    this.ownAddresses = new Set(
+      [this.config.user, providerConfig.getProviderConfig('smtp')?.senderEmail]
+        .filter(Boolean)
+        .map(address => address.toLowerCase())
+    );
+
+    this.timer = null;
+    this.processing = false;
+    this.lastUid = null;
+    this.uidValidity = null;
+    this.cursorLoaded = false;
+    // UID that failed last poll and how many times it has failed
+    this.failing = { uid: null, attempts: 0 };
+    this.stats = {
+      polls: 0,
+      fetched: 0,
+      matched: 0,
+      ignored: 0,
+      failed: 0,
+      skipped: 0
+    };
+  }
+
+  /**
+   * Start polling the mailbox
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('IMAP poll failed', { error: error.message, stack: error.stack });
+      });
+    }, this.intervalMs).unref(); // unref to allow clean exit
+
+    logger.info('IMAP reply poller started', {
+      host: this.config.host,
+      mailbox: this.mailbox,
+      intervalMs: this.intervalMs
+    });
+  }
+
+  /**
+   * Stop polling and wait for the in-flight poll to finish
+   *
+   * @param {number} maxWait - Max time to wait for current poll (ms)
+   */
+  async stop(maxWait = 30000) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const start = Date.now();
+    while (this.processing && (Date.now() - start < maxWait)) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    logger.info('IMAP reply poller stopped', { stats: this.stats });
+  }
+
+  /**
+   * Fetch new messages once and dispatch the ones that thread to an enrollment
+   * Messages after one that fails are left for the next poll.
+   *
+   * @returns {Promise<{fetched: number, matched: number}>}
+   */
+  async poll() {
+    if (this.processing) {
+      return { fetched: 0, matched: 0 };
+    }
+
+    this.processing = true;
+    this.stats.polls++;
+    const result = { fetched: 0, matched: 0 };
+    const client = this.clientFactory(this.config);
+
+    try {
+      this._loadCursor();
+      await client.connect();
+      const lock = await client.getMailboxLock(this.mailbox, { readOnly: true });
+
+      try {
+        // UIDs are only comparable within one UIDVALIDITY epoch
+        const uidValidity = String(client.mailbox?.uidValidity ?? '');
+        if (uidValidity !== this.uidValidity) {
+          this.uidValidity = uidValidity;
+          this.lastUid = null;
+        }
+
+        const criteria = this.lastUid === null
+          ? { since: new Date(Date.now() - (this.config.lookbackHours || 72) * HOUR_MS) }
+          : { uid: `${this.lastUid + 1}:*` };
+
+        const uids = ((await client.search(criteria, { uid: true })) || [])
+          .filter(uid => this.lastUid === null || uid > this.lastUid)
+          .sort((a, b) => a - b);
+
+        if (uids.length > 0) {
+          let blocked = false;
+          for await (const message of client.fetch(uids, { uid: true, source: true }, { uid: true })) {
+            // Drain the fetch rather than break out of it mid-command
+            if (blocked) {
+              continue;
+            }
+
+            result.fetched++;
+            try {
+              if (await this._handleMessage(message)) {
+                result.matched++;
+              }
+            } catch (error) {
+              if (!this._skipFailedMessage(message.uid, error)) {
+                blocked = true;
+                continue;
+              }
+            }
+            this.lastUid = Math.max(this.lastUid ?? 0, message.uid);
+          }
+        } else if (this.lastUid === null) {
+          this.lastUid = Math.max(0, (client.mailbox?.uidNext ?? 1) - 1);
+        }
+
+        this._saveCursor();
+      } finally {
+        lock.release();
+      }
+
+      await client.logout();
+    } catch (error) {
+      try {
+        client.close?.();
+      } catch {
+        // Connection already gone
+      }
+      throw error;
+    } finally {
+      this.processing = false;
+      this.stats.fetched += result.fetched;
+      this.stats.matched += result.matched;
+    }
+
+    if (result.fetched > 0) {
+      logger.info('IMAP poll complete', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Restore the cursor saved by an earlier process (first poll only)
+   * @private
+   */
+  _loadCursor() {
+    if (this.cursorLoaded) {
+      return;
+    }
+    this.cursorLoaded = true;
+
+    const cursor = this.database?.getImapPollCursor(this.cursorKey);
+    if (cursor) {
+      this.uidValidity = cursor.uidValidity;
+      this.lastUid = cursor.lastUid;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveCursor() {
+    if (this.database && this.lastUid !== null) {
+      this.database.setImapPollCursor(this.cursorKey, this.uidValidity, this.lastUid);
+    }
+  }
+
+  /**
+   * Count a failed attempt at a message
+   * Returns true once it has failed maxAttempts polls in a row, so one bad
+   * message can't hold back the rest of the mailbox forever.
+   * @private
+   */
+  _skipFailedMessage(uid, error) {
+    this.failing = this.failing.uid === uid
+      ? { uid, attempts: this.failing.attempts + 1 }
+      : { uid, attempts: 1 };
+
+    if (this.failing.attempts < this.maxAttempts) {
+      logger.warn('Inbound message will be retried next poll', {
+        uid,
+        attempts: this.failing.attempts,
+        error: error.message
+      });
+      return false;
+    }
+
+    this.stats.skipped++;
+    logger.error('Skipping inbound message after repeated failures', {
+      uid,
+      attempts: this.failing.attempts,
+      error: error.message
+    });
+    this.failing = { uid: null, attempts: 0 };
+    return true;
+  }
+
+  /**
+   * Parse, normalize and dispatch one fetched message
+   * Throws when the message should be retried.
+   * @private
+   */
+  async _handleMessage(message) {
+    try {
+      const parsed = await simpleParser(message.source);
+      const from = parsed.from?.value?.[0]?.address?.toLowerCase();
+
+      if (from && this.ownAddresses.has(from)) {
+        this.stats.ignored++;
+        return false;
+      }
+
+      // Out-of-office and other automatic responses are not prospect replies
+      if (ImapReplyPoller.isAutoReply(parsed) && !ImapReplyPoller.isDeliveryReport(parsed)) {
+        this.stats.ignored++;
+        return false;
+      }
+
+      const rawEvent = ImapReplyPoller.toRawEvent(parsed);
+      if (!rawEvent) {
+        this.stats.ignored++;
+        return false;
+      }
+
+      const event = await EventNormalizer.normalize(rawEvent, this.provider, CHANNELS.EMAIL);
+      if (!event.enrollment_id) {
+        // Not a reply to campaign mail
+        this.stats.ignored++;
+        return false;
+      }
+
+      await this.onEvent(event, parsed);
+      return true;
+    } catch (error) {
+      this.stats.failed++;
+      logger.error('Failed to process inbound message', {
+        uid: message.uid,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build a raw provider event from a parsed message
+   * Returns null for mail that cannot belong to a thread.
+   *
+   * @param {Object} parsed - mailparser simpleParser() result
+   * @returns {Object|null} Raw event for EventNormalizer.normalize()
+   */
+  static toRawEvent(parsed) {
+    const messageId = ImapReplyPoller.parseMessageIds(parsed.messageId)[0];
+    if (!messageId) {
+      return null;
+    }
+
+    const isBounce = ImapReplyPoller.isDeliveryReport(parsed);
+    const threadMessageIds = isBounce
+      ? ImapReplyPoller.bouncedMessageIds(parsed)
+      : ImapReplyPoller.threadMessageIds(parsed);
+
+    if (threadMessageIds.length === 0) {
+      return null;
+    }
+
+    const from = parsed.from?.value?.[0];
+
+    return {
+      type: isBounce ? 'email.bounced' : 'email.replied',
+      providerEventId: messageId,
+      timestamp: parsed.date || new Date(),
+      threadMessageIds,
+      data: {
+        messageId,
+        inReplyTo: threadMessageIds[0],
+        from: from?.address,
+        fromName: from?.name || undefined,
+        subject: parsed.subject,
+        text: isBounce ? undefined : ImapReplyPoller.stripQuotedText(parsed.text)
+      }
+    };
+  }
+
+  /**
+   * Message-IDs a reply points at: In-Reply-To first, then References
+   * newest-first (the last entry is the message directly replied to)
+   */
+  static threadMessageIds(parsed) {
+    const inReplyTo = ImapReplyPoller.parseMessageIds(parsed.inReplyTo);
+    const references = ImapReplyPoller.parseMessageIds(parsed.references).reverse();
+    return [...new Set([...inReplyTo, ...references])];
+  }
+
+  /**
+   * True for automatic responses: Auto-Submitted other than "no" (RFC 3834)
+   * or the X-Autoreply / X-Autorespond headers some servers send instead
+   */
+  static isAutoReply(parsed) {
+    const autoSubmitted = parsed.headers?.get?.('auto-submitted');
+    const value = String(autoSubmitted?.value ?? autoSubmitted ?? '').trim().toLowerCase();
+    if (value && value !== 'no') {
+      return true;
+    }
+    return Boolean(parsed.headers?.get?.('x-autoreply') || parsed.headers?.get?.('x-autorespond'));
+  }
+
+  /**
+   * True for delivery status notifications (RFC 3464)
+   */
+  static isDeliveryReport(parsed) {
+    const contentType = parsed.headers?.get?.('content-type');
+    return contentType?.value === 'multipart/report' &&
+      (contentType.params?.['report-type'] || '').toLowerCase() === 'delivery-status';
+  }
+
+  /**
+   * Message-ID of the original message inside a bounce report
+   * DSNs rarely set In-Reply-To, so the returned headers are searched too.
+   */
+  static bouncedMessageIds(parsed) {
+    const ids = ImapReplyPoller.threadMessageIds(parsed);
+
+    for (const attachment of parsed.attachments || []) {
+      if (!['message/rfc822', 'text/rfc822-headers'].includes(attachment.contentType)) {
+        continue;
+      }
+      const match = attachment.content?.toString('utf8').match(/^Message-ID:\s*(<[^>]+>)/im);
+      if (match) {
+        ids.push(...ImapReplyPoller.parseMessageIds(match[1]));
+      }
+    }
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Normalize Message-ID header values to bare IDs without angle brackets
+   *
+   * @param {string|Array<string>} value - Header value(s)
+   * @returns {Array<string>}
+   */
+  static parseMessageIds(value) {
+    if (!value) {
+      return [];
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    return values.flatMap(entry => {
+      const text = String(entry);
+      const bracketed = text.match(/<[^>]+>/g);
+      if (bracketed) {
+        return bracketed.map(id => id.slice(1, -1).trim());
+      }
+      return text.split(/\s+/).filter(Boolean);
+    });
+  }
+
+  /**
+   * Drop the quoted original from a reply body ("On ... wrote:" and "> " lines)
+   */
+  static stripQuotedText(text) {
+    if (!text) {
+      return '';
+    }
+
+    const lines = [];
+    for (const line of text.split(/\r?\n/)) {
+      if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line)) {
+        break;
+      }
+      if (!line.startsWith('>')) {
+        lines.push(line);
+      }
+    }
+
+    return lines.join('\n').trim();
+  }
+}
+
+export default ImapReplyPoller;
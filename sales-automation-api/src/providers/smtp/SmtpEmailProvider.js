@@ -0,0 +1,353 @@
+/**
+ * SMTP Email Provider
+ * Implementation of EmailProvider interface for self-hosted sending through
+ * an SMTP relay (Google Workspace, Office 365, Postfix, ...)
+ *
+ * Messages are DKIM-signed when SMTP_DKIM_* is configured. SMTP has no
+ * delivery webhooks - replies are captured by ImapReplyPoller, which threads
+ * them back to enrollments through the Message-ID this provider assigns.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { EmailProvider } from '../interfaces/EmailProvider.js';
+import { createLogger } from '../../utils/logger.js';
+import { providerConfig } from '../../config/provider-config.js';
+import { replaceMultiple } from '../utils/variable-replacer.js';
+import { suppressionList } from '../../services/SuppressionList.js';
+
+const logger = createLogger('SmtpEmailProvider');
+
+export class SmtpEmailProvider extends EmailProvider {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides providerConfig 'smtp' (tests, per-mailbox senders)
+   * @param {Object} options.transport - nodemailer transport or transport options
+   *   (e.g. { streamTransport: true, buffer: true } for a local stand-in)
+   * @param {Object} options.suppressionList - Suppression list (injectable for tests)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.suppressionList = options.suppressionList || suppressionList;
+
+    const config = options.config || providerConfig.getProviderConfig('smtp') || {};
+    this.host = config.host;
+    this.port = config.port || 587;
+    this.secure = config.secure || false;
+    this.user = config.user;
+    this.password = config.password;
+    this.senderEmail = config.senderEmail;
+    this.senderName = config.senderName;
+    this.dkim = this._loadDkim(config.dkim);
+
+    this.transporter = (options.transport || this.host)
+      ? nodemailer.createTransport(
+        options.transport || {
+          host: this.host,
+          port: this.port,
+          secure: this.secure,
+          auth: this.user ? { user: this.user, pass: this.password } : undefined
+        },
+        this.dkim ? { dkim: this.dkim } : undefined
+      )
+      : null;
+
+    if (!this.transporter) {
+      logger.warn('SMTP host not configured');
+    }
+
+    if (!this.senderEmail) {
+      logger.warn('SMTP sender email not configured - will need to be provided per-email');
+    }
+  }
+
+  get name() {
+    return 'smtp';
+  }
+
+  /**
+   * Resolve DKIM options, reading the key from disk when a path is given
+   * @private
+   */
+  _loadDkim(dkim) {
+    if (!dkim?.domainName || !dkim?.keySelector) {
+      return null;
+    }
+
+    let privateKey = dkim.privateKey;
+    if (!privateKey && dkim.privateKeyPath) {
+      try {
+        privateKey = fs.readFileSync(dkim.privateKeyPath, 'utf8');
+      } catch (error) {
+        logger.error('Failed to read DKIM private key', {
+          path: dkim.privateKeyPath,
+          error: error.message
+        });
+        return null;
+      }
+    }
+
+    if (!privateKey) {
+      logger.warn('DKIM domain configured without a private key - messages will not be signed');
+      return null;
+    }
+
+    return { domainName: dkim.domainName, keySelector: dkim.keySelector, privateKey };
+  }
+
+  /**
+   * Build a Message-ID on the sender's domain so replies can be threaded
+   * @private
+   */
+  _createMessageId(fromEmail) {
+    const domain = this.dkim?.domainName || fromEmail.split('@')[1] || 'localhost';
+    return `${crypto.randomUUID()}@${domain}`;
+  }
+
+  /**
+   * Send a single email
+   *
+   * Accepts the EmailProvider params plus, for in-thread replies:
+   * @param {string} params.inReplyTo - Message-ID being answered
+   * @param {Array<string>} params.references - Earlier Message-IDs in the thread
+   * @param {string} params.text - Plain text alternative
+   */
+  async send(params) {
+    const {
+      to,
+      subject,
+      body,
+      html,
+      text,
+      from,
+      replyTo,
+      inReplyTo,
+      references,
+      campaignId,
+      enrollmentId,
+      variables = {},
+      metadata = {}
+    } = params;
+
+    if (!this.transporter) {
+      throw new Error('SMTP not configured. Set SMTP_HOST');
+    }
+
+    const fromEmail = from || this.senderEmail;
+
+    if (!fromEmail) {
+      throw new Error('Sender email not configured. Set SMTP_SENDER_EMAIL or provide "from" parameter');
+    }
+
+    await this.suppressionList.assertAllowed({ email: to }, {
+      channel: 'email',
+      provider: this.name,
+      campaignId,
+      enrollmentId
+    });
+
+    // Replace variables in subject and body using shared utility
+    const { subject: personalizedSubject, body: personalizedBody } = replaceMultiple(
+      { subject, body: body || html || '' },
+      variables
+    );
+
+    const messageId = this._createMessageId(fromEmail);
+    const headers = {};
+    if (campaignId) headers['X-Campaign-ID'] = String(campaignId);
+    if (enrollmentId) headers['X-Enrollment-ID'] = String(enrollmentId);
+
+    const message = {
+      from: this.senderName && !from ? { name: this.senderName, address: fromEmail } : fromEmail,
+      to,
+      subject: personalizedSubject,
+      html: personalizedBody,
+      messageId: `<${messageId}>`,
+      headers
+    };
+
+    if (text) message.text = text;
+    if (replyTo) message.replyTo = replyTo;
+    if (inReplyTo) {
+      message.inReplyTo = SmtpEmailProvider.formatMessageId(inReplyTo);
+      message.references = [...(references || []), inReplyTo]
+        .map(id => SmtpEmailProvider.formatMessageId(id));
+    }
+
+    logger.info('Sending SMTP email', {
+      to,
+      subject: personalizedSubject,
+      campaignId,
+      enrollmentId
+    });
+
+    try {
+      const info = await this.transporter.sendMail(message);
+
+      if (info.rejected?.length > 0) {
+        throw new Error(`SMTP server rejected recipient(s): ${info.rejected.join(', ')}`);
+      }
+
+      return {
+        messageId,
+        status: 'sent',
+        to,
+        submittedAt: new Date(),
+        metadata: {
+          ...metadata,
+          smtpResponse: info.response,
+          campaignId,
+          enrollmentId
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to send SMTP email', {
+        error: error.message,
+        to,
+        campaignId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send batch of emails
+   * SMTP has no batch endpoint, so messages go out one by one and
+   * failures are collected per recipient
+   */
+  async sendBatch(emails) {
+    const successes = [];
+    const failures = [];
+
+    logger.info('Sending SMTP batch', { count: emails.length });
+
+    for (const email of emails) {
+      try {
+        const result = await this.send(email);
+        successes.push({
+          messageId: result.messageId,
+          to: email.to,
+          submittedAt: result.submittedAt
+        });
+      } catch (error) {
+        failures.push({ to: email.to, error: error.message });
+      }
+    }
+
+    logger.info('SMTP batch sent', {
+      total: emails.length,
+      successes: successes.length,
+      failures: failures.length
+    });
+
+    return {
+      sent: successes.length,
+      failed: failures.length,
+      successes,
+      failures
+    };
+  }
+
+  /**
+   * Get email delivery status
+   * SMTP only confirms acceptance by the relay; later states are unknown
+   */
+  async getStatus(messageId) {
+    return {
+      messageId,
+      status: 'unknown',
+      events: []
+    };
+  }
+
+  /**
+   * Verify webhook signature
+   * SMTP has no webhooks - FAIL CLOSED so nothing can post events as 'smtp'
+   */
+  verifyWebhookSignature(req, secret) {
+    logger.warn('SMTP provider does not accept webhooks - rejecting request');
+    return false;
+  }
+
+  /**
+   * Parse webhook payload into normalized event format
+   * Not supported - inbound replies come from ImapReplyPoller
+   */
+  parseWebhookEvent(payload) {
+    throw new Error('SMTP provider does not receive webhooks; replies are captured by the IMAP poller');
+  }
+
+  /**
+   * Get provider capabilities
+   */
+  getCapabilities() {
+    return {
+      supportsBatch: true,
+      maxBatchSize: 100,
+      supportsTemplates: false,
+      supportsTracking: false,
+      supportsAttachments: true,
+      supportsDkim: !!this.dkim,
+      supportedEvents: [
+        'sent',
+        'replied',
+        'bounced'
+      ]
+    };
+  }
+
+  /**
+   * Validate configuration
+   */
+  async validateConfig() {
+    if (!this.transporter) {
+      throw new Error('SMTP_HOST not configured');
+    }
+
+    try {
+      await this.transporter.verify();
+      logger.info('SMTP configuration validated successfully');
+      return true;
+    } catch (error) {
+      logger.error('SMTP configuration validation failed', { error: error.message });
+      throw new Error(`Invalid SMTP configuration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Health check for the SMTP provider
+   * @returns {Promise<{status: string, message: string}>}
+   */
+  async healthCheck() {
+    if (!this.transporter) {
+      return { status: 'disabled', message: 'SMTP not configured' };
+    }
+
+    try {
+      await this.transporter.verify();
+      return {
+        status: 'healthy',
+        message: 'SMTP connection successful',
+        dkim: !!this.dkim
+      };
+    } catch (error) {
+      logger.error('SMTP health check failed:', error);
+      return {
+        status: 'unhealthy',
+        message: error.message || 'Health check failed'
+      };
+    }
+  }
+
+  /**
+   * Wrap a bare Message-ID in angle brackets for headers
+   */
+  static formatMessageId(id) {
+    const bare = String(id).trim().replace(/^<|>$/g, '');
+    return `<${bare}>`;
+  }
+}
+
+export default SmtpEmailProvider;
@@ -12,19 +12,21 @@ export class WebhookSignature {
   /**
    * Compute HMAC-SHA256 signature
    *
-   * @param {string|Buffer} payload - Webhook payload
+   * @param {string|Buffer|Object} payload - Webhook payload (raw bytes or string; objects are JSON-encoded)
    * @param {string} secret - Webhook secret
-   * @returns {string} Hex-encoded signature
+   * @param {string} encoding - Digest encoding: 'hex' (default) or 'base64'
+   * @returns {string} Encoded signature
    */
-  static computeSignature(payload, secret) {
-    const payloadString = typeof payload === 'string'
-      ? payload
-      : JSON.stringify(payload);
-
-    return crypto
-      .createHmac('sha256', secret)
-      .update(payloadString, 'utf8')
-      .digest('hex');
+  static computeSignature(payload, secret, encoding = 'hex') {
+    const hmac = crypto.createHmac('sha256', secret);
+
+    if (Buffer.isBuffer(payload)) {
+      hmac.update(payload);
+    } else {
+      hmac.update(typeof payload === 'string' ? payload : JSON.stringify(payload), 'utf8');
+    }
+
+    return hmac.digest(encoding);
   }
 
   /**
@@ -33,21 +35,22 @@ export class WebhookSignature {
    * @param {string} receivedSignature - Signature from webhook header
    * @param {string|Buffer} payload - Webhook payload
    * @param {string} secret - Webhook secret
+   * @param {string} encoding - Digest encoding: 'hex' (default) or 'base64'
    * @returns {boolean} True if signature valid
    */
-  static verify(receivedSignature, payload, secret) {
+  static verify(receivedSignature, payload, secret, encoding = 'hex') {
     if (!receivedSignature || !secret) {
       logger.warn('Missing signature or secret for verification');
       return false;
     }
 
-    const expectedSignature = this.computeSignature(payload, secret);
+    const expectedSignature = this.computeSignature(payload, secret, encoding);
 
     // Timing-safe comparison to prevent timing attacks
     try {
       return crypto.timingSafeEqual(
-        Buffer.from(receivedSignature, 'hex'),
-        Buffer.from(expectedSignature, 'hex')
+        Buffer.from(receivedSignature, encoding),
+        Buffer.from(expectedSignature, encoding)
       );
     } catch (error) {
       // Buffer lengths don't match or invalid hex
@@ -60,6 +63,24 @@ export class WebhookSignature {
     }
   }
 
+  /**
+   * Compare a shared-secret token (header, query param or Basic Auth
+   * credentials) in constant time, without leaking the secret's length
+   *
+   * @param {string} receivedToken - Token from the request
+   * @param {string} secret - Webhook secret
+   * @returns {boolean} True if the token matches
+   */
+  static verifyToken(receivedToken, secret) {
+    if (!receivedToken || !secret) {
+      logger.warn('Missing token or secret for verification');
+      return false;
+    }
+
+    const digest = value => crypto.createHash('sha256').update(String(value), 'utf8').digest();
+    return crypto.timingSafeEqual(digest(receivedToken), digest(secret));
+  }
+
   /**
    * Extract signature from header (common patterns)
    *
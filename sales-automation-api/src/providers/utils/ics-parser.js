@@ -0,0 +1,214 @@
+/**
+ * ICS Parser
+ * Minimal iCalendar (RFC 5545) reader for the calendar provider
+ *
+ * Reads VEVENTs with the fields meeting tracking and free/busy need: times
+ * (UTC, TZID or floating, all-day), status, transparency, organizer and
+ * attendees. Nested components (VALARM) are ignored. Recurrence rules are
+ * not expanded; CalDAV servers expand them when asked (see
+ * CalDavCalendarProvider), plain ICS feeds only yield the first occurrence.
+ */
+
+import { isValidTimeZone, zonedTimeToUtc } from '../../utils/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unfold continuation lines and split into content lines
+ * @private
+ */
+function unfold(text) {
+  return String(text || '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Parse "NAME;PARAM=VALUE;...:value"
+ * @private
+ */
+function parseLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Unescape a TEXT value
+ * @private
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse a DATE or DATE-TIME property
+ * @private
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+function parseDate({ value, params }, defaultTimeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const fields = { year: Number(year), month: Number(month), day: Number(day) };
+
+  if (hour === undefined) {
+    return { date: zonedTimeToUtc(fields, defaultTimeZone), allDay: true };
+  }
+
+  Object.assign(fields, { hour: Number(hour), minute: Number(minute), second: Number(second) });
+  if (utc) {
+    return { date: new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)), allDay: false };
+  }
+
+  // TZID names we do not recognise (e.g., Windows zone names) fall back to the default
+  const timeZone = isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+  return { date: zonedTimeToUtc(fields, timeZone), allDay: false };
+}
+
+/**
+ * Parse a DURATION value (e.g., PT30M, P1DT2H, P1W) into milliseconds
+ * @private
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Parse an ORGANIZER / ATTENDEE property
+ * @private
+ */
+function parsePerson({ value, params }) {
+  const email = value.replace(/^mailto:/i, '').trim().toLowerCase();
+  if (!email.includes('@')) {
+    return null;
+  }
+  return {
+    email,
+    name: params.CN || null,
+    partstat: params.PARTSTAT ? params.PARTSTAT.toLowerCase() : null,
+    role: params.ROLE ? params.ROLE.toLowerCase() : null,
+  };
+}
+
+/**
+ * Build an event from collected VEVENT properties
+ * @private
+ */
+function buildEvent(properties, defaultTimeZone) {
+  const first = name => properties.find(p => p.name === name);
+  const text = name => (first(name) ? unescapeText(first(name).value) : null);
+
+  const start = first('DTSTART') ? parseDate(first('DTSTART'), defaultTimeZone) : null;
+  if (!start) {
+    return null;
+  }
+
+  let end = first('DTEND') ? parseDate(first('DTEND'), defaultTimeZone)?.date : null;
+  if (!end && first('DURATION')) {
+    const duration = parseDuration(first('DURATION').value);
+    end = duration !== null ? new Date(start.date.getTime() + duration) : null;
+  }
+  if (!end) {
+    // RFC 5545: an all-day event without an end lasts one day, a timed one is instantaneous
+    end = start.allDay ? new Date(start.date.getTime() + DAY_MS) : start.date;
+  }
+
+  return {
+    uid: text('UID'),
+    summary: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    url: text('URL'),
+    start: start.date,
+    end,
+    allDay: start.allDay,
+    status: (text('STATUS') || 'CONFIRMED').toLowerCase(),
+    transparent: (text('TRANSP') || '').toUpperCase() === 'TRANSPARENT',
+    recurring: Boolean(first('RRULE')),
+    recurrenceId: text('RECURRENCE-ID'),
+    sequence: Number(text('SEQUENCE')) || 0,
+    organizer: first('ORGANIZER') ? parsePerson(first('ORGANIZER')) : null,
+    attendees: properties
+      .filter(p => p.name === 'ATTENDEE')
+      .map(parsePerson)
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Parse an iCalendar document into events
+ *
+ * @param {string} text - iCalendar data (one or more VCALENDARs)
+ * @param {Object} options
+ * @param {string} options.defaultTimeZone - Zone for floating and all-day times (default 'UTC')
+ * @returns {Array<Object>} Events sorted by start
+ */
+export function parseIcs(text, { defaultTimeZone = 'UTC' } = {}) {
+  const events = [];
+  const stack = [];
+  let properties = null;
+
+  for (const line of unfold(text)) {
+    const property = parseLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (stack[stack.length - 1] === 'VEVENT') {
+        properties = [];
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && properties) {
+        const event = buildEvent(properties, defaultTimeZone);
+        if (event) events.push(event);
+        properties = null;
+      }
+      continue;
+    }
+
+    // Only the VEVENT's own properties, not those of a nested VALARM
+    if (properties && stack[stack.length - 1] === 'VEVENT') {
+      properties.push(property);
+    }
+  }
+
+  return events.sort((a, b) => a.start - b.start);
+}
+
+export default { parseIcs };
@@ -0,0 +1,128 @@
+/**
+ * Calendar Routes
+ * Booking webhook receiver, recorded meetings and free slots
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+const router = express.Router();
+
+import * as controller from '../controllers/calendar-controller.js';
+import { asyncHandler } from '../middleware/campaign-error-handler.js';
+// NOTE: Authentication handled at app level (authenticate-db middleware for /api/*)
+import { validate } from '../middleware/validate.js';
+import {
+  ListMeetingsSchema,
+  GetSlotsSchema,
+  BookingWebhookSchema
+} from '../validators/calendar-schemas.js';
+
+// ============================================================================
+// RATE LIMITING CONFIGURATION
+// ============================================================================
+
+/**
+ * Webhook rate limit
+ * 100 requests per minute per IP
+ */
+const webhookRateLimit = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 100,
+  message: {
+    success: false,
+    error: 'Webhook rate limit exceeded',
+    message: 'Maximum 100 webhook requests per minute',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'test' || process.env.E2E_MODE === 'true'  // Skip rate limiting in tests
+});
+
+/**
+ * General calendar rate limit
+ * 100 requests per 15 minutes (free slot lookups hit the calendar server)
+ */
+const generalRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Rate limit exceeded. Maximum 100 requests per 15 minutes.',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.E2E_MODE === 'true'  // Bypass for E2E tests
+});
+
+// ============================================================================
+// PUBLIC ROUTES (Signature-verified, no API key)
+// ============================================================================
+
+/**
+ * POST /api/calendar/webhook/booking
+ * Booking receiver for Calendly, Cal.com and generic booking tools
+ * Note: Verified with BOOKING_WEBHOOK_SECRET instead of API key authentication
+ */
+router.post(
+  '/webhook/booking',
+  webhookRateLimit,
+  controller.verifyBookingWebhook,
+  validate(BookingWebhookSchema),
+  asyncHandler(controller.receiveBookingWebhook)
+);
+
+// ============================================================================
+// CALENDAR ROUTES
+// ============================================================================
+
+/**
+ * GET /api/calendar/meetings
+ * List recorded meetings
+ *
+ * Query params:
+ *   - status: booked / cancelled
+ *   - since: ISO date
+ *   - limit, offset: Pagination
+ */
+router.get(
+  '/meetings',
+  generalRateLimit,
+  validate(ListMeetingsSchema),
+  asyncHandler(controller.listMeetings)
+);
+
+/**
+ * GET /api/calendar/slots
+ * Free slots within working hours (CALENDAR_TIMEZONE)
+ *
+ * Query params:
+ *   - days: Days ahead to search
+ *   - duration: Slot length in minutes
+ *   - count: Slots to return (default 3)
+ */
+router.get(
+  '/slots',
+  generalRateLimit,
+  validate(GetSlotsSchema),
+  asyncHandler(controller.getSlots)
+);
+
+/**
+ * POST /api/calendar/sync
+ * Scan the calendar for booked meetings now instead of waiting for the next poll
+ */
+router.post(
+  '/sync',
+  generalRateLimit,
+  asyncHandler(controller.syncCalendar)
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default router;
@@ -10,7 +10,7 @@ const router = express.Router();
 import * as controller from '../controllers/campaign-controller.js';
 import { asyncHandler } from '../middleware/campaign-error-handler.js';
 import { authenticate } from '../middleware/authenticate.js';
-import { validateWebhookSignature } from '../middleware/webhook-auth.js';
+import { validateWebhookSignature, validateProviderWebhook } from '../middleware/webhook-auth.js';
 import { validate } from '../middleware/validate.js';
 import {
   CreateCampaignTemplateSchema,
@@ -26,6 +26,7 @@ import {
   CreateEmailSequenceSchema,
   UpdateEmailSequenceSchema,
   DeleteEmailSequenceSchema,
+  EvaluateABTestsSchema,
   CreateLinkedInSequenceSchema,
   UpdateLinkedInSequenceSchema,
   DeleteLinkedInSequenceSchema,
@@ -36,7 +37,9 @@ import {
   GetEnrollmentSchema,
   ListEnrollmentsSchema,
   GetEnrollmentEventsSchema,
-  CreateCampaignEventSchema
+  CreateCampaignEventSchema,
+  ProviderWebhookParamSchema,
+  SenderMailboxParamSchema
 } from '../validators/complete-schemas.js';
 
 // ============================================================================
@@ -115,6 +118,20 @@ router.post(
   asyncHandler(controller.createEvent)
 );
 
+/**
+ * POST /api/campaigns/events/webhook/:provider
+ * Provider-native webhook payloads, translated by the provider's event mapping
+ * (built-in: lemlist, postmark; more via WEBHOOK_EVENT_MAPPINGS)
+ * Note: Authenticated with the provider's configured signature scheme
+ */
+router.post(
+  '/events/webhook/:provider',
+  webhookRateLimit,
+  validate(ProviderWebhookParamSchema),
+  validateProviderWebhook,
+  asyncHandler(controller.ingestProviderWebhook)
+);
+
 // ============================================================================
 // GLOBAL MIDDLEWARE (Applied to all routes below)
 // ============================================================================
@@ -216,6 +233,34 @@ router.delete(
   asyncHandler(controller.deleteEmailSequence)
 );
 
+// ============================================================================
+// EMAIL A/B TEST ROUTES
+// ============================================================================
+
+/**
+ * GET /api/campaigns/templates/:id/ab-tests
+ * Per-variant open/click/reply rates and significance for steps under test
+ * Note: Has additional rate limiting (20 req/5min) due to expensive queries
+ */
+router.get(
+  '/templates/:id/ab-tests',
+  analyticsRateLimit,
+  validate(CampaignTemplateParamSchema),
+  asyncHandler(controller.getTemplateABTests)
+);
+
+/**
+ * POST /api/campaigns/templates/:id/ab-tests/evaluate
+ * Evaluate variant tests now and promote significant winners
+ * (the sequence engine also does this hourly)
+ */
+router.post(
+  '/templates/:id/ab-tests/evaluate',
+  analyticsRateLimit,
+  validate(EvaluateABTestsSchema),
+  asyncHandler(controller.evaluateTemplateABTests)
+);
+
 // ============================================================================
 // LINKEDIN SEQUENCE ROUTES
 // ============================================================================
@@ -312,6 +357,29 @@ router.get(
   asyncHandler(controller.getInstancePerformance)
 );
 
+// ============================================================================
+// SENDER POOL ROUTES
+// ============================================================================
+
+/**
+ * GET /api/campaigns/sender-pool/mailboxes
+ * Daily quota, rolling bounce/complaint rates and suspension of pool mailboxes
+ */
+router.get(
+  '/sender-pool/mailboxes',
+  asyncHandler(controller.listSenderMailboxes)
+);
+
+/**
+ * POST /api/campaigns/sender-pool/mailboxes/:mailbox/resume
+ * Return an auto-suspended mailbox to rotation
+ */
+router.post(
+  '/sender-pool/mailboxes/:mailbox/resume',
+  validate(SenderMailboxParamSchema),
+  asyncHandler(controller.resumeSenderMailbox)
+);
+
 // ============================================================================
 // ENROLLMENT ROUTES
 // ============================================================================
@@ -0,0 +1,96 @@
+/**
+ * Privacy Routes
+ * Data subject export / erase (GDPR, CCPA) and the signed audit trail
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+const router = express.Router();
+
+import * as controller from '../controllers/privacy-controller.js';
+import { asyncHandler } from '../middleware/campaign-error-handler.js';
+// NOTE: Authentication handled at app level (authenticate-db middleware for /api/*)
+import { validate } from '../middleware/validate.js';
+import {
+  PrivacyExportSchema,
+  PrivacyEraseSchema,
+  ListPrivacyRequestsSchema
+} from '../validators/privacy-schemas.js';
+
+// ============================================================================
+// RATE LIMITING CONFIGURATION
+// ============================================================================
+
+/**
+ * Privacy request rate limit
+ * 30 requests per 15 minutes (each request scans every store and HubSpot)
+ */
+const privacyRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Rate limit exceeded. Maximum 30 privacy requests per 15 minutes.',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.E2E_MODE === 'true'  // Bypass for E2E tests
+});
+
+// ============================================================================
+// GLOBAL MIDDLEWARE
+// ============================================================================
+
+router.use(privacyRateLimit);
+
+// ============================================================================
+// PRIVACY ROUTES
+// ============================================================================
+
+/**
+ * POST /api/privacy/export
+ * Everything held about an email as one JSON bundle
+ *
+ * Body:
+ *   - email: Data subject's email
+ *   - note: Optional ticket reference
+ */
+router.post(
+  '/export',
+  validate(PrivacyExportSchema),
+  asyncHandler(controller.exportSubjectData)
+);
+
+/**
+ * POST /api/privacy/erase
+ * Delete / pseudonymize everything held about an email and suppress it
+ *
+ * Body:
+ *   - email: Data subject's email
+ *   - confirm: Must be true
+ *   - note: Optional ticket reference
+ */
+router.post(
+  '/erase',
+  validate(PrivacyEraseSchema),
+  asyncHandler(controller.eraseSubjectData)
+);
+
+/**
+ * GET /api/privacy/requests
+ * Signed audit trail of past requests (signature_valid per record)
+ */
+router.get(
+  '/requests',
+  validate(ListPrivacyRequestsSchema),
+  asyncHandler(controller.listPrivacyRequests)
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default router;
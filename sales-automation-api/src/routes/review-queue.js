@@ -0,0 +1,122 @@
+/**
+ * Review Queue Routes
+ * RESTful API endpoints for human review of AI-drafted replies
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+const router = express.Router();
+
+import * as controller from '../controllers/review-controller.js';
+import { asyncHandler } from '../middleware/campaign-error-handler.js';
+// NOTE: Authentication handled at app level (authenticate-db middleware for /api/*)
+import { validate } from '../middleware/validate.js';
+import {
+  ListReviewItemsSchema,
+  GetReviewItemSchema,
+  UpdateReviewDraftSchema,
+  ApproveReviewSchema,
+  RejectReviewSchema
+} from '../validators/review-schemas.js';
+
+// ============================================================================
+// RATE LIMITING CONFIGURATION
+// ============================================================================
+
+/**
+ * General review queue rate limit
+ * 300 requests per 15 minutes (reps page through the queue quickly)
+ */
+const generalRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Rate limit exceeded. Maximum 300 requests per 15 minutes.',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.E2E_MODE === 'true'  // Bypass for E2E tests
+});
+
+// ============================================================================
+// GLOBAL MIDDLEWARE
+// ============================================================================
+
+router.use(generalRateLimit);
+
+// ============================================================================
+// REVIEW QUEUE ROUTES
+// ============================================================================
+
+/**
+ * GET /api/review-queue
+ * List drafts in the review queue
+ *
+ * Query params:
+ *   - status: pending (default) / sending / sent / failed / rejected / all
+ *   - campaignId: Filter by campaign
+ *   - channel: email / linkedin
+ *   - limit, offset: Pagination
+ */
+router.get(
+  '/',
+  validate(ListReviewItemsSchema),
+  asyncHandler(controller.listReviewItems)
+);
+
+/**
+ * GET /api/review-queue/:id
+ * Get a draft with its incoming message, intent, sentiment and knowledge context
+ */
+router.get(
+  '/:id',
+  validate(GetReviewItemSchema),
+  asyncHandler(controller.getReviewItem)
+);
+
+/**
+ * PATCH /api/review-queue/:id
+ * Edit draft content/subject (pending or failed items only)
+ */
+router.patch(
+  '/:id',
+  validate(UpdateReviewDraftSchema),
+  asyncHandler(controller.updateReviewDraft)
+);
+
+/**
+ * POST /api/review-queue/:id/approve
+ * Approve and send the draft
+ *
+ * Body (optional):
+ *   - content: Final reply body
+ *   - subject: Final subject line
+ */
+router.post(
+  '/:id/approve',
+  validate(ApproveReviewSchema),
+  asyncHandler(controller.approveReview)
+);
+
+/**
+ * POST /api/review-queue/:id/reject
+ * Reject the draft
+ *
+ * Body (optional):
+ *   - reason: Rejection reason
+ */
+router.post(
+  '/:id/reject',
+  validate(RejectReviewSchema),
+  asyncHandler(controller.rejectReview)
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default router;
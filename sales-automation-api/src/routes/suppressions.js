@@ -0,0 +1,143 @@
+/**
+ * Suppression List Routes
+ * RESTful API endpoints for the global do-not-contact list
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+const router = express.Router();
+
+import * as controller from '../controllers/suppression-controller.js';
+import { asyncHandler } from '../middleware/campaign-error-handler.js';
+// NOTE: Authentication handled at app level (authenticate-db middleware for /api/*)
+import { validate } from '../middleware/validate.js';
+import {
+  ListSuppressionsSchema,
+  CheckSuppressionSchema,
+  CreateSuppressionSchema,
+  DeleteSuppressionSchema,
+  ImportSuppressionsSchema,
+  ExportSuppressionsSchema,
+  SuppressionAuditSchema
+} from '../validators/suppression-schemas.js';
+
+// ============================================================================
+// RATE LIMITING CONFIGURATION
+// ============================================================================
+
+/**
+ * General suppression list rate limit
+ * 300 requests per 15 minutes (other tools check contacts before sending)
+ */
+const generalRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300,
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Rate limit exceeded. Maximum 300 requests per 15 minutes.',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.E2E_MODE === 'true'  // Bypass for E2E tests
+});
+
+// ============================================================================
+// GLOBAL MIDDLEWARE
+// ============================================================================
+
+router.use(generalRateLimit);
+
+// ============================================================================
+// SUPPRESSION ROUTES
+// ============================================================================
+
+/**
+ * GET /api/suppressions
+ * List entries
+ *
+ * Query params:
+ *   - type: email / domain / linkedin
+ *   - reason: unsubscribe / bounce / spam_complaint / legal_request / manual
+ *   - search: Substring of the value
+ *   - limit, offset: Pagination
+ */
+router.get(
+  '/',
+  validate(ListSuppressionsSchema),
+  asyncHandler(controller.listSuppressions)
+);
+
+/**
+ * GET /api/suppressions/check
+ * Check a contact (email and/or linkedin_url) against the list
+ */
+router.get(
+  '/check',
+  validate(CheckSuppressionSchema),
+  asyncHandler(controller.checkSuppression)
+);
+
+/**
+ * GET /api/suppressions/export
+ * Download the list (format=csv|json)
+ */
+router.get(
+  '/export',
+  validate(ExportSuppressionsSchema),
+  asyncHandler(controller.exportSuppressions)
+);
+
+/**
+ * GET /api/suppressions/audit
+ * Audit log of additions, removals and blocked sends
+ */
+router.get(
+  '/audit',
+  validate(SuppressionAuditSchema),
+  asyncHandler(controller.getSuppressionAudit)
+);
+
+/**
+ * POST /api/suppressions
+ * Add an entry
+ *
+ * Body:
+ *   - type: email / domain / linkedin
+ *   - value: Address, domain or profile URL
+ *   - reason: Defaults to manual
+ *   - note: Optional
+ */
+router.post(
+  '/',
+  validate(CreateSuppressionSchema),
+  asyncHandler(controller.createSuppression)
+);
+
+/**
+ * POST /api/suppressions/import
+ * Bulk add entries (JSON rows or CSV text)
+ */
+router.post(
+  '/import',
+  validate(ImportSuppressionsSchema),
+  asyncHandler(controller.importSuppressions)
+);
+
+/**
+ * DELETE /api/suppressions/:id
+ * Remove an entry so the contact can be reached again
+ */
+router.delete(
+  '/:id',
+  validate(DeleteSuppressionSchema),
+  asyncHandler(controller.deleteSuppression)
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default router;
@@ -0,0 +1,148 @@
+/**
+ * Outbound Webhook Routes
+ * RESTful API endpoints for webhook subscriptions and the delivery log
+ */
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+const router = express.Router();
+
+import * as controller from '../controllers/webhook-controller.js';
+import { asyncHandler } from '../middleware/campaign-error-handler.js';
+// NOTE: Authentication handled at app level (authenticate-db middleware for /api/*)
+import { validate } from '../middleware/validate.js';
+import {
+  ListWebhooksSchema,
+  CreateWebhookSchema,
+  WebhookIdSchema,
+  UpdateWebhookSchema,
+  ListWebhookDeliveriesSchema,
+  ReplayWebhookDeliveriesSchema
+} from '../validators/webhook-schemas.js';
+
+// ============================================================================
+// RATE LIMITING CONFIGURATION
+// ============================================================================
+
+/**
+ * General webhook admin rate limit
+ * 100 requests per 15 minutes
+ */
+const generalRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: {
+    success: false,
+    error: 'Too many requests',
+    message: 'Rate limit exceeded. Maximum 100 requests per 15 minutes.',
+    statusCode: 429
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.E2E_MODE === 'true'  // Bypass for E2E tests
+});
+
+// ============================================================================
+// GLOBAL MIDDLEWARE
+// ============================================================================
+
+router.use(generalRateLimit);
+
+// ============================================================================
+// DELIVERY LOG ROUTES
+// ============================================================================
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ * Delivery log
+ *
+ * Query params:
+ *   - subscription_id, event_id: Filters
+ *   - status: pending / delivering / delivered / failed
+ *   - event_type: reply.received / meeting.booked / ...
+ *   - limit, offset: Pagination
+ */
+router.get(
+  '/deliveries',
+  validate(ListWebhookDeliveriesSchema),
+  asyncHandler(controller.listDeliveries)
+);
+
+/**
+ * POST /api/admin/webhooks/deliveries/replay
+ * Send past deliveries again
+ *
+ * Body:
+ *   - deliveryIds: Delivery IDs (max 100)
+ */
+router.post(
+  '/deliveries/replay',
+  validate(ReplayWebhookDeliveriesSchema),
+  asyncHandler(controller.replayDeliveries)
+);
+
+// ============================================================================
+// SUBSCRIPTION ROUTES
+// ============================================================================
+
+/**
+ * GET /api/admin/webhooks
+ * List subscriptions (active=true|false to filter)
+ */
+router.get(
+  '/',
+  validate(ListWebhooksSchema),
+  asyncHandler(controller.listWebhooks)
+);
+
+/**
+ * POST /api/admin/webhooks
+ * Register an endpoint; the response carries the signing secret (shown once)
+ *
+ * Body:
+ *   - url: Endpoint URL (https in production)
+ *   - event_types: Event types, or ['*']
+ *   - description: Optional
+ */
+router.post(
+  '/',
+  validate(CreateWebhookSchema),
+  asyncHandler(controller.createWebhook)
+);
+
+/**
+ * GET /api/admin/webhooks/:id
+ * Get a subscription
+ */
+router.get(
+  '/:id',
+  validate(WebhookIdSchema),
+  asyncHandler(controller.getWebhook)
+);
+
+/**
+ * PATCH /api/admin/webhooks/:id
+ * Change url / event_types / description / active, or rotate_secret
+ */
+router.patch(
+  '/:id',
+  validate(UpdateWebhookSchema),
+  asyncHandler(controller.updateWebhook)
+);
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Remove a subscription and its delivery log
+ */
+router.delete(
+  '/:id',
+  validate(WebhookIdSchema),
+  asyncHandler(controller.deleteWebhook)
+);
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default router;
@@ -180,14 +180,20 @@ router.delete(
 );
 
 // ============================================================================
-// WORKFLOW RESUME ROUTES (Phase 2)
+// WORKFLOW RESUME ROUTES
 // ============================================================================
 
 /**
  * POST /api/workflows/:jobId/resume
  * Resume a failed workflow from last successful step
  *
- * Note: This is a Phase 2 feature, not implemented in MVP
+ * Completed steps are skipped with their saved results and recorded side
+ * effects (campaign creation, CRM upserts) are not repeated.
+ *
+ * Response:
+ *   - 202 Accepted with jobId, resumedFrom and statusUrl
+ *   - 404 if the job doesn't exist
+ *   - 409 if the job isn't failed or has no saved run state
  */
 router.post(
   '/:jobId/resume',
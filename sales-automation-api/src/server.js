@@ -53,6 +53,7 @@ const __dirname = dirname(__filename);
 
 // Import our clients
 import { HubSpotClient } from './clients/hubspot-client.js';
+import { SalesforceClient } from './clients/salesforce-client.js';
 import { LemlistClient } from './clients/lemlist-client.js';
 import { ExploriumClient } from './clients/explorium-client.js';
 
@@ -60,6 +61,7 @@ import { ExploriumClient } from './clients/explorium-client.js';
 import { ImportWorker } from './workers/import-worker.js';
 import { EnrichmentWorker } from './workers/enrichment-worker.js';
 import { CRMSyncWorker } from './workers/crm-sync-worker.js';
+import { HubSpotPullWorker } from './workers/hubspot-pull-worker.js';
 
 // Import utilities
 import { Database } from './utils/database.js';
@@ -74,6 +76,10 @@ import ConversationalResponder from './services/ConversationalResponder.js';
 import PostmarkEmailProvider from './providers/postmark/PostmarkEmailProvider.js';
 import PhantomBusterLinkedInProvider from './providers/phantombuster/PhantombusterLinkedInProvider.js';
 import HeyGenVideoProvider from './providers/heygen/HeyGenVideoProvider.js';
+import SmtpEmailProvider from './providers/smtp/SmtpEmailProvider.js';
+import ImapReplyPoller from './providers/smtp/ImapReplyPoller.js';
+import CalDavCalendarProvider from './providers/caldav/CalDavCalendarProvider.js';
+import { providerConfig } from './config/provider-config.js';
 
 // Import campaign management routes (Phase 6B)
 import campaignRoutes from './routes/campaigns.js';
@@ -88,7 +94,19 @@ import performanceRoutes from './routes/performance.js';
 
 // Import orphaned event queue for background processing
 import OrphanedEventQueue from './services/OrphanedEventQueue.js';
+import { ProviderMessageLookup } from './services/ProviderMessageLookup.js';
+import { sequenceEngine, SequenceEngine } from './services/SequenceEngine.js';
+import { campaignEventBus } from './services/CampaignEventBus.js';
+import { OutcomeTracker } from './services/OutcomeTracker.js';
+import { DealAutomation } from './services/DealAutomation.js';
+import { MeetingTracker } from './services/MeetingTracker.js';
+import { PrivacyService } from './services/PrivacyService.js';
+import { senderPool } from './services/SenderPool.js';
+import { suppressionList } from './services/SuppressionList.js';
+import { workflowTriggerDispatcher } from './services/WorkflowTriggerDispatcher.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from './services/WebhookDispatcher.js';
 import * as campaignController from './controllers/campaign-controller.js';
+import * as adminController from './controllers/admin-controller.js';
 
 // Import database connection for health checks
 import { sequelize } from './db/connection.js';
@@ -101,6 +119,11 @@ import { csrfMiddleware, getCsrfTokenHandler } from './middleware/csrf-protectio
 import apiKeysRoutes from './routes/api-keys.js';
 import heygenRoutes from './routes/heygen.js';
 import icpRoutes from './routes/icp.js';
+import reviewQueueRoutes from './routes/review-queue.js';
+import calendarRoutes from './routes/calendar.js';
+import suppressionRoutes from './routes/suppressions.js';
+import privacyRoutes from './routes/privacy.js';
+import webhookRoutes from './routes/webhooks.js';
 import {
   DiscoverByICPSchema,
   DiscoverContactsSchema,
@@ -137,7 +160,9 @@ import {
   ChatMessageSchema,
   ChatHistorySchema,
   DisableYOLOSchema,
-  GetYOLOStatusSchema
+  GetYOLOStatusSchema,
+  ListYOLOApprovalsSchema,
+  DecideYOLOApprovalSchema
 } from './validators/complete-schemas.js';
 
 class SalesAutomationAPIServer {
@@ -233,6 +258,13 @@ class SalesAutomationAPIServer {
       this.hubspot = null;
     }
 
+    try {
+      this.salesforce = new SalesforceClient();
+    } catch (e) {
+      console.warn('⚠️  Salesforce client disabled:', e.message);
+      this.salesforce = null;
+    }
+
     try {
       this.lemlist = new LemlistClient();
     } catch (e) {
@@ -257,6 +289,17 @@ class SalesAutomationAPIServer {
       this.postmarkProvider = null;
     }
 
+    // SMTP is opt-in: only mailboxes with SMTP_HOST send (and receive replies) directly
+    try {
+      this.smtpProvider = providerConfig.getProviderConfig('smtp')?.host ? new SmtpEmailProvider() : null;
+      if (this.smtpProvider) {
+        console.log('[Server] ✓ SMTP email provider initialized');
+      }
+    } catch (e) {
+      console.warn('⚠️  SMTP provider disabled:', e.message);
+      this.smtpProvider = null;
+    }
+
     try {
       this.phantombusterProvider = new PhantomBusterLinkedInProvider();
       console.log('[Server] ✓ PhantomBuster LinkedIn provider initialized');
@@ -273,6 +316,17 @@ class SalesAutomationAPIServer {
       this.heygenProvider = null;
     }
 
+    // Calendar is opt-in: booked meetings are synced and free slots offered only with CALENDAR_URL
+    try {
+      this.calendarProvider = providerConfig.getProviderConfig('calendar')?.enabled ? new CalDavCalendarProvider() : null;
+      if (this.calendarProvider) {
+        console.log('[Server] ✓ Calendar provider initialized');
+      }
+    } catch (e) {
+      console.warn('⚠️  Calendar provider disabled:', e.message);
+      this.calendarProvider = null;
+    }
+
     // Initialize utilities
     this.db = new Database();
     this.jobQueue = new JobQueue(this.db);
@@ -290,6 +344,7 @@ class SalesAutomationAPIServer {
     // Initialize enrichment worker
     this.enrichmentWorker = new EnrichmentWorker({
       explorium: this.explorium,
+      hubspot: this.hubspot,
       lemlist: this.lemlist
     }, this.db);
 
@@ -298,6 +353,27 @@ class SalesAutomationAPIServer {
       this.hubspot,
       this.db
     );
+    this.salesforceSyncWorker = this.salesforce
+      ? new CRMSyncWorker(this.salesforce, this.db)
+      : null;
+
+    // HubSpot -> local changes (lifecycle/owner pauses, conflict resolution)
+    this.hubspotPullWorker = this.hubspot
+      ? new HubSpotPullWorker(this.hubspot, this.db)
+      : null;
+
+    // Positive replies / booked meetings -> HubSpot deals (per-campaign rules)
+    this.dealAutomation = this.hubspot
+      ? new DealAutomation(this.hubspot, this.db)
+      : null;
+
+    // Booked meetings (calendar sync + booking webhooks) -> outcomes, stopped sequences, owner emails
+    this.meetingTracker = new MeetingTracker(this.calendarProvider, this.db, {
+      notifier: this.smtpProvider || this.postmarkProvider
+    });
+
+    // Data subject requests (export / erase one email across SQLite, PostgreSQL and HubSpot)
+    this.privacyService = new PrivacyService(this.db, { hubspot: this.hubspot });
 
     // Initialize B-MAD Workflow Execution Service (Phase 1 MVP)
     this.workflowService = new WorkflowExecutionService({
@@ -311,6 +387,7 @@ class SalesAutomationAPIServer {
     this.campaigns = new Map();
     this.cronJobs = [];
     this.orphanedEventProcessor = null;  // Interval for orphaned event queue processing
+    this.imapReplyPoller = null;  // Reply capture for SMTP mailboxes
     this.yoloPaused = false;  // YOLO pause state for /api/execute endpoint
 
     // Model configuration (updated November 2025)
@@ -751,6 +828,11 @@ class SalesAutomationAPIServer {
             postmark: {
               configured: !!this.postmarkProvider,
               status: this.postmarkProvider ? 'ready' : 'not_configured'
+            },
+            smtp: {
+              configured: !!this.smtpProvider,
+              status: this.smtpProvider ? 'ready' : 'not_configured',
+              replyCapture: this.imapReplyPoller ? { mailbox: this.imapReplyPoller.mailbox, ...this.imapReplyPoller.stats } : null
             }
           },
           linkedin: {
@@ -775,6 +857,10 @@ class SalesAutomationAPIServer {
             hubspot: {
               configured: !!this.hubspot,
               status: this.hubspot ? 'ready' : 'not_configured'
+            },
+            salesforce: {
+              configured: !!this.salesforce,
+              status: this.salesforce ? 'ready' : 'not_configured'
             }
           },
           ai: {
@@ -792,21 +878,37 @@ class SalesAutomationAPIServer {
         };
 
         if (this.conversationalResponder) {
-          if (this.lemlist || this.postmarkProvider) dynamicAI.availableChannels.push('email');
+          if (this.lemlist || this.smtpProvider || this.postmarkProvider) dynamicAI.availableChannels.push('email');
           if (this.phantombusterProvider) dynamicAI.availableChannels.push('linkedin');
           if (this.heygenProvider) dynamicAI.availableChannels.push('video');
+          dynamicAI.requireReview = this.conversationalResponder.config.requireReview;
+          try {
+            dynamicAI.reviewQueue = this.db.getReviewQueueStats();
+          } catch (error) {
+            logger.warn('Failed to load review queue stats', { error: error.message });
+          }
         }
 
         // Calculate overall readiness
-        const emailReady = providers.email.lemlist.configured || providers.email.postmark.configured;
+        const emailReady = providers.email.lemlist.configured || providers.email.postmark.configured ||
+          providers.email.smtp.configured;
         const linkedinReady = providers.linkedin.phantombuster.configured;
         const videoReady = providers.video.heygen.configured;
         const aiReady = providers.ai.anthropic.configured;
 
+        // Per-mailbox quota for campaigns sending through a sender pool
+        let senderPools = [];
+        try {
+          senderPools = await senderPool.getQuotaReport();
+        } catch (error) {
+          logger.warn('Failed to load sender pool quotas', { error: error.message });
+        }
+
         const response = {
           status: 'ok',
           timestamp: new Date().toISOString(),
           providers,
+          senderPools,
           dynamicAI,
           capabilities: {
             email_outreach: emailReady,
@@ -862,35 +964,38 @@ class SalesAutomationAPIServer {
     // ========================================================================
 
     // List dead letter events
-    this.app.get('/api/admin/dlq', validate(GetDLQEventsSchema), async (req, res) => {
-      try {
-        const { DeadLetterEvent } = await import('./models/index.js');
-        const { status, limit = 100, offset = 0 } = req.validatedQuery;
+    this.app.get('/api/admin/dlq', validate(GetDLQEventsSchema), adminController.listDeadLetterEvents);
 
-        const where = status ? { status } : {};
+    // Replay dead letter event(s)
+    this.app.post('/api/admin/dlq/replay', validate(ReplayDLQEventsSchema), adminController.replayDeadLetterEvents);
 
-        const events = await DeadLetterEvent.findAll({
-          where,
-          limit: Math.min(parseInt(limit), 1000),
-          offset: parseInt(offset),
-          order: [['created_at', 'DESC']]
-        });
+    // Get DLQ statistics
+    this.app.get('/api/admin/dlq/stats', validate(GetDLQStatsSchema), adminController.getDeadLetterStats);
+
+    // ========================================================================
+    // YOLO APPROVAL ADMIN ENDPOINTS
+    // High-volume YOLO cycles block until a request here is approved/rejected
+    // (approvals are stored in the shared SQLite database)
+    // ========================================================================
 
-        const total = await DeadLetterEvent.count({ where });
+    // List approval requests
+    this.app.get('/api/admin/yolo/approvals', validate(ListYOLOApprovalsSchema), async (req, res) => {
+      try {
+        const { status, limit, offset } = req.validatedQuery;
+        const { approvals, total } = this.db.listYoloApprovals({ status, limit, offset });
 
         res.json({
           success: true,
-          data: events,
+          data: approvals,
           pagination: {
             total,
-            limit: parseInt(limit),
-            offset: parseInt(offset),
-            hasMore: (parseInt(offset) + events.length) < total
+            limit,
+            offset,
+            hasMore: (offset + approvals.length) < total
           }
         });
-
       } catch (error) {
-        logger.error('Error fetching dead letter events', { error: error.message });
+        logger.error('Error listing YOLO approvals', { error: error.message });
         res.status(500).json({
           success: false,
           error: error.message
@@ -898,133 +1003,14 @@ class SalesAutomationAPIServer {
       }
     });
 
-    // Replay dead letter event(s)
-    this.app.post('/api/admin/dlq/replay', validate(ReplayDLQEventsSchema), async (req, res) => {
-      try {
-        const { DeadLetterEvent } = await import('./models/index.js');
-        const { eventIds } = req.validatedBody;
-
-        // Validation handled by Zod middleware
-        const results = [];
-
-        for (const eventId of eventIds) {
-          try {
-            const dlqEvent = await DeadLetterEvent.findByPk(eventId);
-
-            if (!dlqEvent) {
-              results.push({
-                eventId,
-                success: false,
-                error: 'Event not found'
-              });
-              continue;
-            }
-
-            if (dlqEvent.status !== 'failed') {
-              results.push({
-                eventId,
-                success: false,
-                error: `Event status is ${dlqEvent.status}, can only replay failed events`
-              });
-              continue;
-            }
-
-            // Update status to replaying
-            await dlqEvent.update({ status: 'replaying' });
-
-            // Re-enqueue the event
-            await OrphanedEventQueue.enqueue(dlqEvent.event_data);
-
-            // Update status to replayed
-            await dlqEvent.update({
-              status: 'replayed',
-              replayed_at: new Date()
-            });
-
-            results.push({
-              eventId,
-              success: true,
-              message: 'Event re-queued for processing'
-            });
-
-            logger.info('Dead letter event replayed', {
-              dlqId: eventId,
-              email: dlqEvent.email,
-              eventType: dlqEvent.event_type
-            });
-
-          } catch (error) {
-            logger.error('Error replaying dead letter event', {
-              eventId,
-              error: error.message
-            });
-
-            results.push({
-              eventId,
-              success: false,
-              error: error.message
-            });
-          }
-        }
-
-        res.json({
-          success: true,
-          results,
-          summary: {
-            total: results.length,
-            succeeded: results.filter(r => r.success).length,
-            failed: results.filter(r => !r.success).length
-          }
-        });
-
-      } catch (error) {
-        logger.error('Error in DLQ replay endpoint', { error: error.message });
-        res.status(500).json({
-          success: false,
-          error: error.message
-        });
-      }
+    // Approve a pending cycle (the waiting cycle resumes on its next poll)
+    this.app.post('/api/admin/yolo/approve/:approvalId', validate(DecideYOLOApprovalSchema), async (req, res) => {
+      this.decideYoloApproval(req, res, 'approved');
     });
 
-    // Get DLQ statistics
-    this.app.get('/api/admin/dlq/stats', validate(GetDLQStatsSchema), async (req, res) => {
-      try {
-        const { DeadLetterEvent, sequelize } = await import('./models/index.js');
-
-        const stats = await DeadLetterEvent.findAll({
-          attributes: [
-            'status',
-            'event_type',
-            [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-          ],
-          group: ['status', 'event_type'],
-          raw: true
-        });
-
-        const totalByStatus = await DeadLetterEvent.findAll({
-          attributes: [
-            'status',
-            [sequelize.fn('COUNT', sequelize.col('id')), 'count']
-          ],
-          group: ['status'],
-          raw: true
-        });
-
-        res.json({
-          success: true,
-          data: {
-            byStatusAndType: stats,
-            byStatus: totalByStatus
-          }
-        });
-
-      } catch (error) {
-        logger.error('Error fetching DLQ stats', { error: error.message });
-        res.status(500).json({
-          success: false,
-          error: error.message
-        });
-      }
+    // Reject a pending cycle (the waiting cycle is cancelled)
+    this.app.post('/api/admin/yolo/reject/:approvalId', validate(DecideYOLOApprovalSchema), async (req, res) => {
+      this.decideYoloApproval(req, res, 'rejected');
     });
 
     // AI Cost Tracking Dashboard
@@ -1412,6 +1398,8 @@ class SalesAutomationAPIServer {
     // Mount campaign routes under /api/campaigns/v2 to avoid conflict with Lemlist routes
     // These routes handle templates, instances, sequences, enrollments, and events
     // DB health check runs before all campaign operations
+    // processCampaignEvent persists events from /events/webhook/:provider
+    this.app.locals.processCampaignEvent = (eventData) => this._processCampaignEvent(eventData);
     this.app.use('/api/campaigns/v2', dbHealthCheck, campaignRoutes);
 
     // Also mount at /api/campaigns for backward compatibility (webhooks, etc.)
@@ -1445,8 +1433,10 @@ class SalesAutomationAPIServer {
       const providers = {
         lemlist: this.lemlist,
         postmark: this.postmarkProvider,
+        smtp: this.smtpProvider,
         phantombuster: this.phantombusterProvider,
-        heygen: this.heygenProvider
+        heygen: this.heygenProvider,
+        calendar: this.calendarProvider ? this.meetingTracker : null
       };
 
       // Log which providers are available
@@ -1517,6 +1507,23 @@ class SalesAutomationAPIServer {
     // ICP Profile routes (create, list, update, delete ICP profiles)
     this.app.use('/api/icp', dbHealthCheck, icpRoutes);
 
+    // AI draft review queue (list, edit, approve/send, reject ConversationalResponder drafts)
+    this.app.use('/api/review-queue', reviewQueueRoutes);
+
+    // Calendar (booking webhook, recorded meetings, free slots, manual sync)
+    this.app.locals.meetingTracker = this.meetingTracker;
+    this.app.use('/api/calendar', calendarRoutes);
+
+    // Global suppression list (do-not-contact entries, import/export, audit log)
+    this.app.use('/api/suppressions', dbHealthCheck, suppressionRoutes);
+
+    // Data subject requests (GDPR / CCPA export and erase, signed audit trail)
+    this.app.locals.privacyService = this.privacyService;
+    this.app.use('/api/privacy', dbHealthCheck, privacyRoutes);
+
+    // Outbound webhook subscriptions, delivery log and replay
+    this.app.use('/api/admin/webhooks', dbHealthCheck, webhookRoutes);
+
     // ========================================================================
     // JOB MANAGEMENT
     // ========================================================================
@@ -1763,10 +1770,18 @@ class SalesAutomationAPIServer {
       }
     });
 
-    // Sync enriched contacts to HubSpot (direct call, not job-based)
-    // Handler function for HubSpot sync (shared between routes)
-    const hubspotSyncHandler = async (req, res) => {
+    // Sync enriched contacts to a CRM (direct call, not job-based)
+    // Builds the handler for one CRM's sync worker (shared between routes)
+    const createCrmSyncHandler = (crmLabel, getWorker) => async (req, res) => {
       try {
+        const worker = getWorker();
+        if (!worker) {
+          return res.status(503).json({
+            success: false,
+            error: `${crmLabel} integration is not configured`
+          });
+        }
+
         const { contacts, options = {} } = req.body;
 
         if (!contacts || !Array.isArray(contacts)) {
@@ -1776,7 +1791,7 @@ class SalesAutomationAPIServer {
           });
         }
 
-        const result = await this.crmSyncWorker.batchSyncContacts(contacts, {
+        const result = await worker.batchSyncContacts(contacts, {
           deduplicate: options.deduplicate !== false,
           createIfNew: options.createIfNew !== false,
           updateIfExists: options.updateIfExists !== false,
@@ -1786,7 +1801,7 @@ class SalesAutomationAPIServer {
 
         res.json(result);
       } catch (error) {
-        logger.error(`[Sync] HubSpot sync failed: ${error.message}`);
+        logger.error(`[Sync] ${crmLabel} sync failed: ${error.message}`);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -1794,11 +1809,77 @@ class SalesAutomationAPIServer {
       }
     };
 
+    const hubspotSyncHandler = createCrmSyncHandler('HubSpot', () => this.crmSyncWorker);
+
     // Primary route (legacy path)
     this.app.post('/api/import/sync/hubspot', authenticateDb, hubspotSyncHandler);
     // Alias route (frontend expects this path)
     this.app.post('/api/sync/hubspot', authenticateDb, hubspotSyncHandler);
 
+    this.app.post(
+      '/api/sync/salesforce',
+      authenticateDb,
+      createCrmSyncHandler('Salesforce', () => this.salesforceSyncWorker)
+    );
+
+    // Pull HubSpot changes now instead of waiting for the next interval
+    this.app.post('/api/sync/hubspot/pull', authenticateDb, async (req, res) => {
+      if (!this.hubspotPullWorker) {
+        return res.status(503).json({ success: false, error: 'HubSpot integration is not configured' });
+      }
+
+      try {
+        const run = await this.hubspotPullWorker.run();
+        if (!run) {
+          return res.status(409).json({ success: false, error: 'A HubSpot pull is already running' });
+        }
+
+        res.json({ success: run.status === 'completed', data: run });
+      } catch (error) {
+        logger.error(`[Sync] HubSpot pull failed: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Pull cursors and recent runs
+    this.app.get('/api/sync/hubspot/pull', authenticateDb, async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: {
+            enabled: !!this.hubspotPullWorker?.timer,
+            running: !!this.hubspotPullWorker?.processing,
+            cursors: {
+              contacts: this.db.getHubSpotSyncCursor('contacts'),
+              companies: this.db.getHubSpotSyncCursor('companies')
+            },
+            stats: this.hubspotPullWorker?.stats || null,
+            runs: this.db.listHubSpotSyncLog(Math.min(parseInt(req.query.limit, 10) || 20, 100))
+          }
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Conflict audit trail (which side won each conflicting field and why)
+    this.app.get('/api/sync/conflicts', authenticateDb, async (req, res) => {
+      try {
+        const { crm, identifier, field } = req.query;
+        const result = this.db.listCrmConflicts({
+          crm,
+          identifier: identifier?.toLowerCase(),
+          field,
+          limit: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+          offset: parseInt(req.query.offset, 10) || 0
+        });
+
+        res.json({ success: true, data: result });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Get contacts from database with filters (for import workflow)
     this.app.get('/api/import/contacts', authenticateDb, async (req, res) => {
       try {
@@ -2531,6 +2612,12 @@ Be proactive, take action, and confirm what you've done. If you need more inform
         });
 
         console.log('[YOLO Mode] Daily cycle complete');
+        webhookDispatcher.publish(WEBHOOK_EVENTS.YOLO_CYCLE_FINISHED, {
+          source: 'api_server',
+          status: 'completed',
+          jobs: { discover: discoverJobId, enrich: enrichJobId, outreach: outreachJobId },
+          finished_at: new Date().toISOString()
+        });
       } catch (error) {
         console.error('[YOLO Mode] Error in daily cycle:', error);
         this.broadcast({
@@ -2538,6 +2625,12 @@ Be proactive, take action, and confirm what you've done. If you need more inform
           error: error.message,
           timestamp: new Date().toISOString(),
         });
+        webhookDispatcher.publish(WEBHOOK_EVENTS.YOLO_CYCLE_FINISHED, {
+          source: 'api_server',
+          status: 'failed',
+          error: error.message,
+          finished_at: new Date().toISOString()
+        });
       }
     });
 
@@ -2968,9 +3061,11 @@ Be proactive, take action, and confirm what you've done. If you need more inform
 
     // Check health of integrations (safely handle null clients)
     const hubspotHealth = this.hubspot ? await this.hubspot.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
+    const salesforceHealth = this.salesforce ? await this.salesforce.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
     const lemlistHealth = this.lemlist ? await this.lemlist.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
     const exploriumHealth = this.explorium ? await this.explorium.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
     const postmarkHealth = this.postmarkProvider ? await this.postmarkProvider.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
+    const smtpHealth = this.smtpProvider ? await this.smtpProvider.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
     const phantombusterHealth = this.phantombusterProvider ? await this.phantombusterProvider.healthCheck().catch(() => ({ status: 'error' })) : { status: 'disabled' };
 
     return {
@@ -2981,9 +3076,11 @@ Be proactive, take action, and confirm what you've done. If you need more inform
       campaigns: campaigns.count || 0,
       integrations: {
         hubspot: hubspotHealth.status,
+        salesforce: salesforceHealth.status,
         lemlist: lemlistHealth.status,
         explorium: exploriumHealth.status,
         postmark: postmarkHealth.status,
+        smtp: smtpHealth.status,
         phantombuster: phantombusterHealth.status,
       },
     };
@@ -3013,6 +3110,52 @@ Be proactive, take action, and confirm what you've done. If you need more inform
     console.log('[YOLO Mode] Disabled');
   }
 
+  /**
+   * Record an approve/reject decision for a YOLO approval request
+   * Responds 404 if unknown, 409 if already decided or expired
+   */
+  decideYoloApproval(req, res, decision) {
+    try {
+      const { approvalId } = req.validatedParams;
+      const { notes } = req.validatedBody || {};
+      const decidedBy = req.user?.id || req.apiKey?.prefix || 'api';
+
+      this.db.expireYoloApprovals();
+      const decided = this.db.decideYoloApproval(approvalId, decision, { decidedBy, notes });
+      const approval = this.db.getYoloApproval(approvalId);
+
+      if (!approval) {
+        return res.status(404).json({
+          success: false,
+          error: 'Approval not found',
+          message: `YOLO approval ${approvalId} not found`
+        });
+      }
+
+      if (!decided) {
+        return res.status(409).json({
+          success: false,
+          error: 'Approval already decided',
+          message: `YOLO approval is '${approval.status}' and can no longer be changed`,
+          data: approval
+        });
+      }
+
+      logger.info(`YOLO approval ${decision}`, { approvalId, decidedBy });
+
+      res.json({
+        success: true,
+        data: approval
+      });
+    } catch (error) {
+      logger.error('Error deciding YOLO approval', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   async getYoloStatus() {
     return {
       success: true,
@@ -3128,6 +3271,175 @@ Be proactive, take action, and confirm what you've done. If you need more inform
     }
   }
 
+  /**
+   * Persist a normalized campaign event with the same transaction logic as
+   * createEvent: idempotent on provider_event_id, instance counters updated
+   * under a row lock, enrollment status moved on bounce/unsubscribe/reply.
+   * New events are published on the campaign event bus, and a reply that
+   * completes the enrollment publishes enrollment.completed.
+   *
+   * @param {Object} eventData - CampaignEvent fields (see EventNormalizer.normalize)
+   * @returns {Promise<{event: Object, created: boolean}>}
+   * @throws {Error} If the enrollment does not exist (yet)
+   */
+  async _processCampaignEvent(eventData) {
+    const { CampaignEvent, CampaignEnrollment, CampaignInstance, sequelize } = await import('./models/index.js');
+
+    let isNewEvent = false;
+    let completedEnrollment = null;
+    const event = await sequelize.transaction({
+      isolationLevel: sequelize.constructor.Transaction.ISOLATION_LEVELS.READ_COMMITTED  // Optimal for atomic increments
+    }, async (t) => {
+      // Verify enrollment exists (queued events may predate it)
+      const enrollment = await CampaignEnrollment.findByPk(eventData.enrollment_id, {
+        transaction: t,
+        attributes: ['id', 'instance_id', 'status']
+      });
+
+      if (!enrollment) {
+        // Orphaned queue retries this with the next backoff delay
+        throw new Error(`Enrollment ${eventData.enrollment_id} still not found`);
+      }
+
+      // Lock instance row with SELECT FOR UPDATE for atomic counter updates
+      const instance = await CampaignInstance.findByPk(enrollment.instance_id, {
+        transaction: t,
+        lock: t.LOCK.UPDATE  // Exclusive row lock prevents concurrent counter updates
+      });
+
+      if (!instance) {
+        throw new Error(`Instance not found for enrollment ${eventData.enrollment_id}`);
+      }
+
+      // Use findOrCreate for idempotent event creation
+      const [newEvent, created] = await CampaignEvent.findOrCreate({
+        where: eventData.provider_event_id
+          ? { provider_event_id: eventData.provider_event_id }
+          : {
+            enrollment_id: eventData.enrollment_id,
+            event_type: eventData.event_type,
+            timestamp: eventData.timestamp
+          },
+        defaults: eventData,
+        transaction: t
+      });
+
+      if (!created) {
+        // Event already exists (duplicate) - success
+        return newEvent;
+      }
+
+      isNewEvent = true;
+
+      // Update instance counters atomically - Instance locked, no race conditions
+      switch (eventData.event_type) {
+        case 'sent':
+          await instance.increment('total_sent', { by: 1, transaction: t });
+          break;
+        case 'delivered':
+          await instance.increment('total_delivered', { by: 1, transaction: t });
+          break;
+        case 'opened':
+          await instance.increment('total_opened', { by: 1, transaction: t });
+          break;
+        case 'clicked':
+          await instance.increment('total_clicked', { by: 1, transaction: t });
+          break;
+        case 'replied':
+          await instance.increment('total_replied', { by: 1, transaction: t });
+          break;
+      }
+
+      // Update enrollment status based on event
+      if (eventData.event_type === 'bounced') {
+        await enrollment.update({ status: 'bounced' }, { transaction: t });
+      } else if (eventData.event_type === 'unsubscribed') {
+        await enrollment.update({ status: 'unsubscribed' }, { transaction: t });
+      } else if (eventData.event_type === 'replied' && enrollment.status !== 'completed') {
+        await enrollment.update({ status: 'completed' }, { transaction: t });
+        completedEnrollment = enrollment;
+      }
+
+      return newEvent;
+    });
+
+    if (isNewEvent) {
+      campaignEventBus.publish(event);
+    }
+    if (completedEnrollment) {
+      webhookDispatcher.publish(WEBHOOK_EVENTS.ENROLLMENT_COMPLETED, {
+        enrollment_id: completedEnrollment.id,
+        instance_id: completedEnrollment.instance_id,
+        reason: 'replied',
+        completed_at: new Date(event.timestamp).toISOString()
+      });
+    }
+
+    return { event, created: isNewEvent };
+  }
+
+  /**
+   * Handle a reply or bounce captured from an SMTP mailbox by ImapReplyPoller
+   * Mirrors the webhook flow: persist, update learning outcomes and hand
+   * replies on dynamic AI campaigns to ConversationalResponder in-thread.
+   *
+   * @param {Object} eventData - Normalized event (enrollment already resolved)
+   * @param {Object} parsed - Parsed inbound message
+   */
+  async _handleInboundEmailEvent(eventData, parsed) {
+    const { created } = await this._processCampaignEvent(eventData);
+    if (!created) {
+      return;
+    }
+
+    try {
+      if (eventData.event_type === 'bounced') {
+        await OutcomeTracker.recordNegativeOutcome(eventData.enrollment_id, 'bounced');
+        return;
+      }
+      await OutcomeTracker.recordReply(eventData.enrollment_id);
+      await OutcomeTracker.updateLearnings();
+    } catch (error) {
+      logger.warn('OutcomeTracker update failed (non-blocking)', { error: error.message });
+    }
+
+    if (!this.conversationalResponder) {
+      return;
+    }
+
+    try {
+      const { CampaignEnrollment, CampaignInstance, CampaignTemplate } = await import('./models/index.js');
+      const campaign = await CampaignInstance.findByPk(eventData.instance_id);
+      const template = campaign ? await CampaignTemplate.findByPk(campaign.template_id) : null;
+
+      const isDynamicAI = ConversationalResponder.answersReplies(campaign, template);
+      if (!isDynamicAI) {
+        return;
+      }
+
+      // Contact details live in the enrollment metadata
+      const enrollment = await CampaignEnrollment.findByPk(eventData.enrollment_id);
+      const contact = SequenceEngine.buildVariables(enrollment?.metadata || {});
+      await this.conversationalResponder.handleIncomingReply({
+        leadEmail: contact.email || eventData.metadata?.from,
+        leadName: contact.firstName || eventData.metadata?.fromName,
+        companyName: contact.companyName,
+        campaignId: eventData.instance_id,
+        enrollmentId: eventData.enrollment_id,
+        messageContent: eventData.metadata?.text || parsed?.text || '',
+        subject: eventData.metadata?.subject,
+        channel: 'email',
+        // Inbound Message-ID: the AI response is sent as a reply to it
+        threadId: eventData.provider_event_id
+      });
+    } catch (error) {
+      logger.warn('ConversationalResponder failed (non-blocking)', {
+        error: error.message,
+        enrollmentId: eventData.enrollment_id
+      });
+    }
+  }
+
   async start() {
     // Initialize database first
     await this.db.initialize();
@@ -3152,89 +3464,34 @@ Be proactive, take action, and confirm what you've done. If you need more inform
     // ============================================================================
     this.orphanedEventProcessor = setInterval(async () => {
       try {
-        // Create event processor function that mimics webhook flow
+        // Retry with the same transaction logic as the webhook flow
         const eventProcessor = async (eventData) => {
-          // Import CampaignEvent model for processing
-          const { CampaignEvent, CampaignEnrollment, CampaignInstance, sequelize } = await import('./models/index.js');
-          const { Op } = await import('sequelize');
-
-          // Process event using same transaction logic as createEvent
-          return await sequelize.transaction({
-            isolationLevel: sequelize.constructor.Transaction.ISOLATION_LEVELS.READ_COMMITTED  // Optimal for atomic increments
-          }, async (t) => {
-            // Verify enrollment exists NOW (it may have been created since queue)
-            const enrollment = await CampaignEnrollment.findByPk(eventData.enrollment_id, {
-              transaction: t,
-              attributes: ['id', 'instance_id', 'status']
-            });
-
+          // Provider webhooks queue events that arrived before their send was recorded
+          if (!eventData.enrollment_id && eventData.provider_message_id) {
+            const enrollment = await ProviderMessageLookup.findEnrollment(
+              { providerMessageId: eventData.provider_message_id },
+              eventData.channel
+            );
             if (!enrollment) {
-              // Still not found - will retry with next backoff delay
-              throw new Error(`Enrollment ${eventData.enrollment_id} still not found`);
-            }
-
-            // Lock instance row with SELECT FOR UPDATE for atomic counter updates
-            const instance = await CampaignInstance.findByPk(enrollment.instance_id, {
-              transaction: t,
-              lock: t.LOCK.UPDATE  // Exclusive row lock prevents concurrent counter updates
-            });
-
-            if (!instance) {
-              throw new Error(`Instance not found for enrollment ${eventData.enrollment_id}`);
-            }
-
-            // Use findOrCreate for idempotent event creation
-            const [newEvent, created] = await CampaignEvent.findOrCreate({
-              where: eventData.provider_event_id
-                ? { provider_event_id: eventData.provider_event_id }
-                : {
-                  enrollment_id: eventData.enrollment_id,
-                  event_type: eventData.event_type,
-                  timestamp: eventData.timestamp
-                },
-              defaults: eventData,
-              transaction: t
-            });
-
-            if (!created) {
-              // Event already exists (duplicate) - success
-              return newEvent;
-            }
-
-            // Update instance counters atomically - Instance locked, no race conditions
-            switch (eventData.event_type) {
-              case 'sent':
-                await instance.increment('total_sent', { by: 1, transaction: t });
-                break;
-              case 'delivered':
-                await instance.increment('total_delivered', { by: 1, transaction: t });
-                break;
-              case 'opened':
-                await instance.increment('total_opened', { by: 1, transaction: t });
-                break;
-              case 'clicked':
-                await instance.increment('total_clicked', { by: 1, transaction: t });
-                break;
-              case 'replied':
-                await instance.increment('total_replied', { by: 1, transaction: t });
-                break;
-            }
-
-            // Update enrollment status based on event
-            if (eventData.event_type === 'bounced') {
-              await enrollment.update({ status: 'bounced' }, { transaction: t });
-            } else if (eventData.event_type === 'unsubscribed') {
-              await enrollment.update({ status: 'unsubscribed' }, { transaction: t });
-            } else if (eventData.event_type === 'replied') {
-              await enrollment.update({ status: 'completed' }, { transaction: t });
+              throw new Error(`No enrollment for provider message ${eventData.provider_message_id} yet`);
             }
+            eventData = { ...eventData, enrollment_id: enrollment.id, instance_id: enrollment.instance_id };
+          }
 
-            return newEvent;
-          });
+          const { event } = await this._processCampaignEvent(eventData);
+          return event;
         };
 
         // Process queue with the event processor
-        await OrphanedEventQueue.processQueue(eventProcessor);
+        const results = await OrphanedEventQueue.processQueue(eventProcessor);
+
+        if (results?.dropped > 0) {
+          const { DeadLetterEvent } = await import('./models/index.js');
+          webhookDispatcher.publish(WEBHOOK_EVENTS.DLQ_GROWTH, {
+            added: results.dropped,
+            failed_total: await DeadLetterEvent.count({ where: { status: 'failed' } })
+          });
+        }
 
       } catch (error) {
         logger.error('Error processing orphaned event queue', {
@@ -3246,6 +3503,82 @@ Be proactive, take action, and confirm what you've done. If you need more inform
 
     logger.info('✓ Orphaned event queue processor started (10s interval)');
 
+    // ============================================================================
+    // SEQUENCE ENGINE
+    // Background task that executes due campaign enrollment steps
+    // (email / LinkedIn / video) and schedules the next step from delay_hours
+    // ============================================================================
+    if (process.env.SEQUENCE_ENGINE_ENABLED !== 'false') {
+      sequenceEngine.start();
+      logger.info('✓ Sequence engine started', { intervalMs: sequenceEngine.intervalMs });
+    }
+
+    // ============================================================================
+    // SENDER POOL REPUTATION
+    // Attributes bounces/complaints to the pool mailbox that sent the message
+    // and suspends mailboxes that cross their campaign's thresholds
+    // ============================================================================
+    senderPool.start();
+
+    // ============================================================================
+    // SUPPRESSION LIST
+    // Adds unsubscribes, hard bounces and spam complaints from any provider to
+    // the global do-not-contact list checked by every send path
+    // ============================================================================
+    suppressionList.start();
+
+    // ============================================================================
+    // IMAP REPLY CAPTURE
+    // Polls the SMTP mailbox for replies/bounces to campaign mail so teams
+    // sending from their own Google Workspace / Office mailboxes get the same
+    // reply events as webhook providers
+    // ============================================================================
+    if (this.smtpProvider && providerConfig.getProviderConfig('imap')?.enabled) {
+      this.imapReplyPoller = new ImapReplyPoller({
+        database: this.db,
+        onEvent: (event, parsed) => this._handleInboundEmailEvent(event, parsed)
+      });
+      this.imapReplyPoller.start();
+      logger.info('✓ IMAP reply poller started', { intervalMs: this.imapReplyPoller.intervalMs });
+    }
+
+    // ============================================================================
+    // REACTIVE WORKFLOW TRIGGERS
+    // Runs dynamic-outreach style handler flows when campaign events arrive
+    // for campaigns whose template sets settings.reactive_workflow
+    // ============================================================================
+    if (process.env.WORKFLOW_TRIGGERS_ENABLED !== 'false') {
+      workflowTriggerDispatcher.start({ responder: this.conversationalResponder });
+      logger.info('✓ Workflow trigger dispatcher started');
+    }
+
+    // ============================================================================
+    // OUTBOUND WEBHOOKS
+    // Delivers reply / meeting / enrollment / YOLO / DLQ events to subscribed
+    // downstream systems (signed, retried with backoff, logged)
+    // ============================================================================
+    if (process.env.WEBHOOK_DISPATCHER_ENABLED !== 'false') {
+      webhookDispatcher.start();
+    }
+
+    // ============================================================================
+    // HUBSPOT PULL SYNC
+    // Pulls contacts/companies changed in HubSpot so status changes made by
+    // reps (e.g. closed-won) pause sequences and edits reach local records
+    // ============================================================================
+    if (this.hubspotPullWorker && process.env.HUBSPOT_PULL_SYNC_ENABLED !== 'false') {
+      this.hubspotPullWorker.start();
+      logger.info('✓ HubSpot pull sync started', { intervalMs: this.hubspotPullWorker.intervalMs });
+    }
+
+    // Campaigns opt in with HUBSPOT_DEALS_ENABLED or provider_config.hubspot_deal
+    if (this.dealAutomation) {
+      this.dealAutomation.start();
+    }
+
+    // Polls the calendar for booked meetings (booking webhooks work without it)
+    this.meetingTracker.start();
+
     return new Promise((resolve) => {
       // Start HTTP server
       this.server.listen(this.port, () => {
@@ -3384,6 +3717,39 @@ Be proactive, take action, and confirm what you've done. If you need more inform
       }
     }
 
+    // Stop sequence engine (waits for in-flight step dispatch)
+    await sequenceEngine.stop();
+
+    // Stop sender pool reputation tracking (waits for in-flight updates)
+    await senderPool.stop();
+
+    // Stop suppression list event intake (waits for in-flight writes)
+    await suppressionList.stop();
+
+    // Stop reply capture (waits for in-flight mailbox poll)
+    if (this.imapReplyPoller) {
+      await this.imapReplyPoller.stop();
+    }
+
+    // Stop reacting to campaign events (waits for running handler flows)
+    await workflowTriggerDispatcher.stop();
+
+    // Stop outbound webhooks (waits for queued events and in-flight deliveries)
+    await webhookDispatcher.stop();
+
+    // Stop HubSpot pull sync (waits for the in-flight run)
+    if (this.hubspotPullWorker) {
+      await this.hubspotPullWorker.stop();
+    }
+
+    // Stop deal automation (waits for deals being created or advanced)
+    if (this.dealAutomation) {
+      await this.dealAutomation.stop();
+    }
+
+    // Stop calendar sync (waits for the in-flight sync)
+    await this.meetingTracker.stop();
+
     // Stop cron jobs
     this.cronJobs.forEach(job => job.stop());
 
@@ -0,0 +1,404 @@
+/**
+ * A/B Test Service
+ * Controlled comparison of EmailSequence variants within a template step
+ *
+ * Capabilities:
+ * - Randomized, sticky variant assignment per enrollment
+ *   (stored in enrollment.metadata.ab_variants[step_number])
+ * - Per-variant open/click/reply/meeting aggregation from the step's own
+ *   CampaignEvents (engagement is matched to the variant's send by
+ *   provider_message_id, so later steps are not credited with earlier ones)
+ * - Two-proportion z-test between the leading variant and every other variant
+ * - Winner promotion: losing variants are deactivated and the decision is
+ *   recorded in template.settings.ab_tests[step_number]
+ *
+ * A step is under test when a template has more than one active
+ * EmailSequence row with the same step_number. Rows are told apart by
+ * a_b_variant (falling back to the row ID when unlabelled).
+ */
+
+import Sequelize from 'sequelize';
+import { createLogger } from '../utils/logger.js';
+import { TemplateRanker } from './TemplateRanker.js';
+import { AB_TEST_CONFIG } from '../config/scoring-config.js';
+
+const { Op } = Sequelize;
+const logger = createLogger('ABTestService');
+
+/**
+ * Supported metrics -> outcome counter used as the success count
+ */
+const METRIC_FIELDS = {
+  open_rate: 'opened',
+  click_rate: 'clicked',
+  reply_rate: 'replied'
+};
+
+// Lazy-load models to avoid DB connection on import
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+export class ABTestService {
+  /**
+   * Stable key identifying a variant within its step
+   *
+   * @param {Object} step - EmailSequence row (plain object)
+   * @returns {string} a_b_variant label, or the row ID when unlabelled
+   */
+  static variantKey(step) {
+    return step.a_b_variant || String(step.id);
+  }
+
+  /**
+   * Pick a variant uniformly at random
+   *
+   * @param {Array} variants - Candidate EmailSequence rows
+   * @param {Function} random - Random source returning [0, 1) (injectable for tests)
+   * @returns {Object} Chosen variant
+   */
+  static pickVariant(variants, random = Math.random) {
+    const index = Math.min(Math.floor(random() * variants.length), variants.length - 1);
+    return variants[index];
+  }
+
+  /**
+   * Aggregate outcomes per variant for one template step
+   * Each 'sent' event of the step counts once for the variant the enrollment
+   * received; opens, clicks and replies count when an event carries the same
+   * provider_message_id as that send. A booked meeting counts for the step
+   * whose message was replied to.
+   *
+   * @param {string} templateId - CampaignTemplate ID
+   * @param {number} stepNumber - Step under test
+   * @returns {Promise<Array>} [{ variant, sent, opened, clicked, replied, meetings }]
+   */
+  static async getVariantPerformance(templateId, stepNumber) {
+    const { sequelize } = await getModels();
+
+    const rows = await sequelize.query(`
+      SELECT
+        enr.metadata->'ab_variants'->>:stepKey AS variant,
+        COUNT(DISTINCT sent.id) AS sent,
+        COUNT(DISTINCT CASE WHEN eng.event_type = 'opened' THEN sent.id END) AS opened,
+        COUNT(DISTINCT CASE WHEN eng.event_type = 'clicked' THEN sent.id END) AS clicked,
+        COUNT(DISTINCT CASE WHEN eng.event_type = 'replied' THEN sent.id END) AS replied,
+        COUNT(DISTINCT CASE WHEN eng.event_type = 'replied' AND oo.meeting_booked THEN sent.id END) AS meetings
+      FROM campaign_events sent
+      INNER JOIN campaign_enrollments enr ON sent.enrollment_id = enr.id
+      INNER JOIN campaign_instances ci ON enr.instance_id = ci.id
+      LEFT JOIN campaign_events eng
+        ON eng.enrollment_id = sent.enrollment_id
+        AND eng.provider_message_id = sent.provider_message_id
+        AND eng.event_type IN ('opened', 'clicked', 'replied')
+      LEFT JOIN outreach_outcomes oo ON oo.enrollment_id = enr.id
+      WHERE ci.template_id = :templateId
+        AND sent.event_type = 'sent'
+        AND sent.channel = 'email'
+        AND sent.step_number = :stepNumber
+        AND enr.metadata->'ab_variants'->>:stepKey IS NOT NULL
+      GROUP BY variant
+    `, {
+      replacements: { templateId, stepNumber, stepKey: String(stepNumber) },
+      type: Sequelize.QueryTypes.SELECT
+    });
+
+    return rows.map(r => ({
+      variant: r.variant,
+      sent: parseInt(r.sent, 10) || 0,
+      opened: parseInt(r.opened, 10) || 0,
+      clicked: parseInt(r.clicked, 10) || 0,
+      replied: parseInt(r.replied, 10) || 0,
+      meetings: parseInt(r.meetings, 10) || 0
+    }));
+  }
+
+  /**
+   * Decide whether the leading variant has significantly beaten every other variant
+   *
+   * @param {Array} variants - Per-variant counts from getVariantPerformance()
+   * @param {Object} options - Overrides for AB_TEST_CONFIG
+   * @returns {Object} { significant, winner, leader, metric, pValue, lift, reason, variants }
+   */
+  static determineWinner(variants, options = {}) {
+    const { metric, minSamplesPerVariant, confidenceLevel } = { ...AB_TEST_CONFIG, ...options };
+    const successField = METRIC_FIELDS[metric];
+
+    if (!successField) {
+      throw new Error(`Unsupported A/B test metric: ${metric}`);
+    }
+
+    const ranked = variants
+      .map(v => ({
+        ...v,
+        rate: v.sent > 0 ? v[successField] / v.sent : 0,
+        open_rate: this._percent(v.opened, v.sent),
+        click_rate: this._percent(v.clicked, v.sent),
+        reply_rate: this._percent(v.replied, v.sent),
+        confidence: TemplateRanker.calculateConfidence(v.sent)
+      }))
+      .sort((a, b) => b.rate - a.rate);
+
+    const result = {
+      significant: false,
+      winner: null,
+      leader: ranked[0]?.variant || null,
+      metric,
+      pValue: null,
+      lift: null,
+      variants: ranked
+    };
+
+    if (ranked.length < 2) {
+      return { ...result, reason: 'At least two variants are required' };
+    }
+
+    const underSampled = ranked.filter(v => v.sent < minSamplesPerVariant);
+    if (underSampled.length > 0) {
+      return {
+        ...result,
+        reason: `Waiting for ${minSamplesPerVariant} sends per variant (${underSampled.map(v => v.variant).join(', ')} below)`
+      };
+    }
+
+    const [leader, runnerUp] = ranked;
+
+    // The leader must beat every other variant, so the weakest comparison decides
+    const pValue = Math.max(...ranked.slice(1).map(other =>
+      this.twoProportionZTest(leader[successField], leader.sent, other[successField], other.sent).pValue
+    ));
+
+    const significant = leader.rate > runnerUp.rate && pValue < (1 - confidenceLevel);
+
+    return {
+      ...result,
+      significant,
+      winner: significant ? leader.variant : null,
+      pValue: Number(pValue.toFixed(4)),
+      lift: runnerUp.rate > 0 ? Number(((leader.rate - runnerUp.rate) / runnerUp.rate * 100).toFixed(1)) : null,
+      reason: significant
+        ? `${leader.variant} wins on ${metric} at ${Math.round(confidenceLevel * 100)}% confidence`
+        : `No significant difference on ${metric} yet`
+    };
+  }
+
+  /**
+   * Two-sided two-proportion z-test
+   *
+   * @returns {Object} { z, pValue }
+   */
+  static twoProportionZTest(successesA, totalA, successesB, totalB) {
+    if (totalA === 0 || totalB === 0) {
+      return { z: 0, pValue: 1 };
+    }
+
+    const pooled = (successesA + successesB) / (totalA + totalB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+    if (standardError === 0) {
+      return { z: 0, pValue: 1 };
+    }
+
+    const z = (successesA / totalA - successesB / totalB) / standardError;
+    const pValue = 2 * (1 - this._normalCdf(Math.abs(z)));
+
+    return { z, pValue: Math.min(1, Math.max(0, pValue)) };
+  }
+
+  /**
+   * Evaluate one step under test and promote the winner when significant
+   *
+   * @param {string} templateId - CampaignTemplate ID
+   * @param {number} stepNumber - Step number
+   * @param {Object} options - { promote = true, ...AB_TEST_CONFIG overrides }
+   * @returns {Promise<Object>} Decision (with promoted flag)
+   */
+  static async evaluateStep(templateId, stepNumber, options = {}) {
+    const { promote = true, ...testOptions } = options;
+    const { EmailSequence } = await getModels();
+
+    const rows = await EmailSequence.findAll({
+      where: { template_id: templateId, step_number: stepNumber, is_active: true }
+    });
+
+    if (rows.length < 2) {
+      return { stepNumber, status: 'not_testing', promoted: false };
+    }
+
+    const counts = await this.getVariantPerformance(templateId, stepNumber);
+    const countsByVariant = new Map(counts.map(c => [c.variant, c]));
+
+    // Include active variants that have no outcomes yet
+    const variants = rows.map(row => {
+      const key = this.variantKey(row);
+      return countsByVariant.get(key) ||
+        { variant: key, sent: 0, opened: 0, clicked: 0, replied: 0, meetings: 0 };
+    });
+
+    const decision = this.determineWinner(variants, testOptions);
+
+    if (!decision.significant || !promote) {
+      return { stepNumber, status: decision.significant ? 'winner_found' : 'running', promoted: false, ...decision };
+    }
+
+    const winnerRow = rows.find(row => this.variantKey(row) === decision.winner);
+    await this.promoteWinner(templateId, stepNumber, winnerRow, decision);
+
+    return { stepNumber, status: 'promoted', promoted: true, ...decision };
+  }
+
+  /**
+   * Deactivate losing variants and record the decision on the template
+   *
+   * @param {string} templateId - CampaignTemplate ID
+   * @param {number} stepNumber - Step number
+   * @param {Object} winnerRow - Winning EmailSequence row
+   * @param {Object} decision - Result of determineWinner()
+   */
+  static async promoteWinner(templateId, stepNumber, winnerRow, decision) {
+    const { EmailSequence, CampaignTemplate, sequelize } = await getModels();
+
+    await sequelize.transaction(async (t) => {
+      const [deactivated] = await EmailSequence.update(
+        { is_active: false },
+        {
+          where: {
+            template_id: templateId,
+            step_number: stepNumber,
+            is_active: true,
+            id: { [Op.ne]: winnerRow.id }
+          },
+          transaction: t
+        }
+      );
+
+      const template = await CampaignTemplate.findByPk(templateId, { transaction: t, lock: t.LOCK.UPDATE });
+      const settings = template.settings || {};
+
+      template.settings = {
+        ...settings,
+        ab_tests: {
+          ...(settings.ab_tests || {}),
+          [stepNumber]: {
+            winner: decision.winner,
+            winner_sequence_id: winnerRow.id,
+            metric: decision.metric,
+            p_value: decision.pValue,
+            lift_pct: decision.lift,
+            variants: decision.variants.map(({ variant, sent, opened, clicked, replied, meetings }) =>
+              ({ variant, sent, opened, clicked, replied, meetings })),
+            promoted_at: new Date().toISOString()
+          }
+        }
+      };
+      template.changed('settings', true);
+      await template.save({ transaction: t });
+
+      logger.info('A/B test winner promoted', {
+        templateId,
+        stepNumber,
+        winner: decision.winner,
+        metric: decision.metric,
+        pValue: decision.pValue,
+        deactivated
+      });
+    });
+  }
+
+  /**
+   * Evaluate every step of every template that currently has competing variants
+   *
+   * @param {Object} options - { promote = true, ...AB_TEST_CONFIG overrides }
+   * @returns {Promise<Array>} Decisions per template step
+   */
+  static async evaluateActiveTests(options = {}) {
+    const { sequelize } = await getModels();
+
+    const tests = await sequelize.query(`
+      SELECT template_id, step_number
+      FROM email_sequences
+      WHERE is_active = true
+      GROUP BY template_id, step_number
+      HAVING COUNT(*) > 1
+    `, { type: Sequelize.QueryTypes.SELECT });
+
+    const results = [];
+
+    for (const test of tests) {
+      try {
+        const result = await this.evaluateStep(test.template_id, test.step_number, options);
+        results.push({ templateId: test.template_id, ...result });
+      } catch (error) {
+        logger.error('A/B test evaluation failed', {
+          templateId: test.template_id,
+          stepNumber: test.step_number,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Evaluate all steps under test for one template
+   *
+   * @param {string} templateId - CampaignTemplate ID
+   * @param {Object} options - { promote, stepNumber, ...AB_TEST_CONFIG overrides }
+   * @returns {Promise<Object>} { tests, history }
+   */
+  static async evaluateTemplate(templateId, options = {}) {
+    const { stepNumber, ...evaluateOptions } = options;
+    const { EmailSequence, CampaignTemplate } = await getModels();
+
+    const template = await CampaignTemplate.findByPk(templateId, { attributes: ['id', 'settings'] });
+    if (!template) {
+      return null;
+    }
+
+    const where = { template_id: templateId, is_active: true };
+    if (stepNumber) {
+      where.step_number = stepNumber;
+    }
+
+    const rows = await EmailSequence.findAll({ where, attributes: ['step_number'] });
+    const counts = rows.reduce((acc, row) => acc.set(row.step_number, (acc.get(row.step_number) || 0) + 1), new Map());
+    const steps = [...counts.entries()].filter(([, count]) => count > 1).map(([step]) => step).sort((a, b) => a - b);
+
+    const tests = [];
+    for (const step of steps) {
+      tests.push(await this.evaluateStep(templateId, step, evaluateOptions));
+    }
+
+    return {
+      tests,
+      history: template.settings?.ab_tests || {}
+    };
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+   * @private
+   */
+  static _normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Format a rate as a percentage string (matches TemplateRanker output)
+   * @private
+   */
+  static _percent(count, total) {
+    return total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+  }
+}
+
+export default ABTestService;
@@ -0,0 +1,80 @@
+/**
+ * Campaign Event Bus
+ * In-process pub/sub for newly recorded CampaignEvents
+ *
+ * Every place that persists a CampaignEvent (webhook receiver, orphaned event
+ * processor, SequenceEngine) publishes it here after the write commits, so
+ * consumers such as the reactive workflow dispatcher see each event once.
+ * Duplicate webhooks (findOrCreate hits) are not published.
+ */
+
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CampaignEventBus');
+
+export const CAMPAIGN_EVENT = 'campaign-event';
+
+export class CampaignEventBus extends EventEmitter {
+  /**
+   * Publish a persisted CampaignEvent
+   * Listener errors are logged and never reach the publisher.
+   *
+   * @param {Object} event - CampaignEvent instance or plain row
+   */
+  publish(event) {
+    if (!event) {
+      return;
+    }
+
+    const payload = CampaignEventBus.toPayload(event);
+
+    for (const listener of this.listeners(CAMPAIGN_EVENT)) {
+      Promise.resolve()
+        .then(() => listener(payload))
+        .catch(error => {
+          logger.error('Campaign event listener failed', {
+            eventId: payload.id,
+            eventType: payload.event_type,
+            error: error.message
+          });
+        });
+    }
+  }
+
+  /**
+   * Subscribe to published CampaignEvents
+   * @param {Function} listener - async (event) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.on(CAMPAIGN_EVENT, listener);
+    return () => this.off(CAMPAIGN_EVENT, listener);
+  }
+
+  /**
+   * Reduce a CampaignEvent to the plain fields consumers rely on
+   * @param {Object} event - CampaignEvent instance or plain row
+   * @returns {Object}
+   */
+  static toPayload(event) {
+    const row = typeof event.toJSON === 'function' ? event.toJSON() : event;
+
+    return {
+      id: row.id,
+      enrollment_id: row.enrollment_id,
+      instance_id: row.instance_id,
+      event_type: row.event_type,
+      channel: row.channel,
+      step_number: row.step_number ?? null,
+      provider: row.provider || null,
+      provider_event_id: row.provider_event_id || null,
+      metadata: row.metadata || {},
+      timestamp: row.timestamp ? new Date(row.timestamp) : new Date()
+    };
+  }
+}
+
+export const campaignEventBus = new CampaignEventBus();
+
+export default campaignEventBus;
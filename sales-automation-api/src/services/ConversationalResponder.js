@@ -17,6 +17,8 @@
  */
 
 import KnowledgeService from './KnowledgeService.js';
+import { OutcomeTracker } from './OutcomeTracker.js';
+import { suppressionList, SuppressedRecipientError } from './SuppressionList.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('ConversationalResponder');
@@ -33,6 +35,8 @@ const INTENT_TYPES = {
   UNKNOWN: 'unknown'
 };
 
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
 // Sentiment classifications
 const SENTIMENTS = {
   POSITIVE: 'positive',
@@ -59,14 +63,18 @@ class ConversationalResponder {
       // Multi-channel providers
       this.lemlist = providers.lemlist || null;
       this.postmark = providers.postmark || null;      // Email fallback
+      this.smtp = providers.smtp || null;              // Self-hosted mailbox (replies in-thread)
       this.phantombuster = providers.phantombuster || null;  // LinkedIn automation
       this.heygen = providers.heygen || null;          // Video generation
+      this.calendar = providers.calendar || null;      // MeetingTracker (free slots for meeting requests)
+      this.suppressionList = providers.suppressionList || suppressionList;  // Checked before every reply
 
       this.config = {
         responseDelayMs: config.responseDelayMs || 30000,  // 30s delay to seem human
         maxResponsesPerThread: config.maxResponsesPerThread || 5,
         excludedIntents: config.excludedIntents || ['not_interested', 'out_of_office'],
         requireReview: config.requireReview || false,
+        reviewSendLeaseMinutes: config.reviewSendLeaseMinutes || 15,  // 'sending' longer than this = interrupted
         senderName: config.senderName || 'Sales Team',
         senderRole: config.senderRole || 'Business Development',
         companyName: config.companyName || 'RTGS.global',
@@ -88,6 +96,7 @@ class ConversationalResponder {
         hasPostmark: !!this.postmark,
         hasPhantombuster: !!this.phantombuster,
         hasHeygen: !!this.heygen,
+        hasCalendar: !!this.calendar,
         enableVideo: this.config.enableVideo,
         rateLimitPerHour: this.config.rateLimitPerLeadPerHour
       });
@@ -245,6 +254,13 @@ class ConversationalResponder {
 
       // Step 3: Detect intent and sentiment
       const { intent, sentiment, objectionType, competitor } = await this._detectIntent(messageContent);
+
+      // Webhooks rarely carry sentiment; record ours so positive replies reach outcome listeners
+      if (enrollmentId && sentiment === SENTIMENTS.POSITIVE) {
+        OutcomeTracker.recordReply(enrollmentId, sentiment).catch(error => {
+          logger.warn('Failed to record reply sentiment (non-blocking)', { enrollmentId, error: error.message });
+        });
+      }
       
       // Step 4: Check if intent is excluded
       if (this.config.excludedIntents.includes(intent)) {
@@ -361,11 +377,44 @@ class ConversationalResponder {
       }
 
       // Step 10: Send or queue for review
-      let result;
+      // Queued drafts are stored as outbound messages only once approved (see approveReview)
       if (this.config.requireReview) {
-        result = await this._queueForReview(conversation.id, aiResponse, knowledgeContext);
-      } else {
-        result = await this._sendResponse(leadEmail, campaignId, aiResponse, channel, threadId);
+        const reviewItem = await this._queueForReview(conversation.id, aiResponse, knowledgeContext, {
+          leadEmail,
+          leadName,
+          companyName,
+          campaignId,
+          enrollmentId,
+          channel,
+          threadId,
+          incomingMessage: messageContent,
+          intent,
+          sentiment,
+          warnings: validation.warnings
+        });
+
+        // Drafts count against the per-lead rate limit when generated, not when approved
+        this._trackResponse(leadEmail);
+
+        return {
+          status: 'queued_for_review',
+          conversationId: conversation.id,
+          reviewId: reviewItem.reviewId,
+          intent,
+          sentiment
+        };
+      }
+
+      const sendResult = await this._sendResponse(leadEmail, campaignId, aiResponse, channel, threadId);
+
+      if (sendResult?.reason === 'suppressed') {
+        return {
+          status: 'skipped',
+          reason: 'suppressed',
+          conversationId: conversation.id,
+          intent,
+          sentiment
+        };
       }
 
       // Step 11: Store outbound message
@@ -377,13 +426,7 @@ class ConversationalResponder {
       });
 
       // Step 12: Track knowledge usage for learning
-      if (knowledgeContext.usedKnowledge) {
-        for (const [type, items] of Object.entries(knowledgeContext.usedKnowledge)) {
-          for (const item of items) {
-            this.db.trackKnowledgeUsage(outboundMessage.id, type, item.key, item.relevance);
-          }
-        }
-      }
+      this._trackKnowledgeUsage(outboundMessage.id, knowledgeContext);
 
       // Step 13: Track response for rate limiting (after successful send)
       this._trackResponse(leadEmail);
@@ -392,11 +435,11 @@ class ConversationalResponder {
         conversationId: conversation.id,
         intent,
         responseLength: aiResponse.content.length,
-        sent: !this.config.requireReview
+        sent: true
       });
 
       return {
-        status: this.config.requireReview ? 'queued_for_review' : 'sent',
+        status: 'sent',
         conversationId: conversation.id,
         messageId: outboundMessage.id,
         intent,
@@ -413,12 +456,118 @@ class ConversationalResponder {
     }
   }
 
+  /**
+   * Send a message a workflow composed (no AI generation)
+   * Goes through the same guards as AI replies: per-lead rate limit, max
+   * responses per thread, content checks, the review queue and the
+   * suppression list.
+   * @param {object} message - { leadEmail, leadName, companyName, campaignId, enrollmentId, channel, threadId, subject, content }
+   * @returns {object} { status: 'sent' | 'queued_for_review' | 'skipped' | 'blocked' | 'failed', reason, ... }
+   */
+  async sendMessage(message) {
+    const {
+      leadEmail,
+      leadName,
+      companyName,
+      campaignId,
+      enrollmentId,
+      channel = 'email',
+      threadId,
+      subject,
+      content
+    } = message;
+
+    const rateLimit = this._checkRateLimit(leadEmail);
+    if (!rateLimit.allowed) {
+      logger.warn('Rate limit exceeded for lead, workflow message not sent', { leadEmail, count: rateLimit.count });
+      return { status: 'skipped', reason: 'rate_limited' };
+    }
+
+    const conversation = this.db.getOrCreateLeadConversation(leadEmail, campaignId, {
+      channel,
+      leadName,
+      companyName,
+      enrollmentId,
+      threadId
+    });
+
+    if (!this.db.canAIRespond(conversation.id, this.config.maxResponsesPerThread)) {
+      return { status: 'skipped', reason: 'max_responses_reached', conversationId: conversation.id };
+    }
+
+    const response = { subject, content };
+    const validation = this._validateAIResponse(response, { leadEmail, intent: 'workflow' });
+    if (!validation.valid) {
+      return { status: 'blocked', reason: 'validation_failed', errors: validation.errors, conversationId: conversation.id };
+    }
+
+    if (this.config.requireReview) {
+      const reviewItem = await this._queueForReview(conversation.id, response, null, {
+        leadEmail,
+        leadName,
+        companyName,
+        campaignId,
+        enrollmentId,
+        channel,
+        threadId,
+        warnings: validation.warnings
+      });
+      this._trackResponse(leadEmail);
+
+      return { status: 'queued_for_review', conversationId: conversation.id, reviewId: reviewItem.reviewId };
+    }
+
+    const sendResult = await this._sendResponse(leadEmail, campaignId, response, channel, threadId);
+    if (!sendResult?.sent) {
+      return {
+        status: sendResult?.reason === 'suppressed' ? 'skipped' : 'failed',
+        reason: sendResult?.reason || 'not_sent',
+        conversationId: conversation.id
+      };
+    }
+
+    // Sent: a failed history write must not make the workflow send it again
+    let messageId = null;
+    try {
+      messageId = this.db.addLeadMessage(conversation.id, 'outbound', content, {
+        subject,
+        messageType: 'workflow_message'
+      }).id;
+    } catch (error) {
+      logger.error('Failed to record workflow message', { conversationId: conversation.id, error: error.message });
+    }
+    this._trackResponse(leadEmail);
+
+    return { status: 'sent', conversationId: conversation.id, messageId, provider: sendResult.provider };
+  }
+
+  /**
+   * Whether the responder answers replies for a campaign
+   * @param {object} instance - CampaignInstance (settings)
+   * @param {object} template - CampaignTemplate (path_type)
+   * @returns {boolean}
+   */
+  static answersReplies(instance, template) {
+    return template?.path_type === 'dynamic_ai' || instance?.settings?.dynamic_ai_enabled === true;
+  }
+
   /**
    * Detect intent and sentiment from incoming message
    * @private
    */
   async _detectIntent(messageContent) {
-    const contentLower = messageContent.toLowerCase();
+    return ConversationalResponder.detectIntent(messageContent);
+  }
+
+  /**
+   * Pattern-based intent and sentiment detection
+   * Also used by B-MAD workflow actions (classify_response) without a responder instance.
+   *
+   * @param {string} messageContent - Reply text
+   * @returns {{intent: string, sentiment: string, objectionType?: string, competitor?: string|null}}
+   */
+  static detectIntent(messageContent) {
+    const contentLower = (messageContent || '').toLowerCase();
     
     // Out of office detection
     const oooPatterns = [
@@ -520,6 +669,58 @@ class ConversationalResponder {
     return { intent: INTENT_TYPES.FOLLOW_UP, sentiment: SENTIMENTS.NEUTRAL };
   }
 
+  /**
+   * Extract the return date and backup contact from an out-of-office reply
+   *
+   * Recognizes ISO dates (2025-01-15), "January 15(th)(, 2025)" and
+   * "15(th) January (2025)". Dates without a year resolve to the next
+   * occurrence on or after `now`.
+   *
+   * @param {string} messageContent - Auto-reply text
+   * @param {Date} now - Reference date
+   * @returns {{returnDate: Date|null, backupContact: string|null}}
+   */
+  static parseOutOfOffice(messageContent, now = new Date()) {
+    const text = messageContent || '';
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const candidates = [];
+
+    for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+      candidates.push(new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])));
+    }
+
+    const monthNames = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+    const monthDay = new RegExp(`\\b(${monthNames})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi');
+    const dayMonth = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthNames})\\.?(?:,?\\s+(\\d{4}))?\\b`, 'gi');
+
+    const toDate = (monthName, day, year) => {
+      const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+      if (month === -1 || day < 1 || day > 31) return null;
+
+      const date = new Date(Date.UTC(year ? +year : today.getUTCFullYear(), month, day));
+      if (!year && date < today) {
+        date.setUTCFullYear(date.getUTCFullYear() + 1);
+      }
+      return date;
+    };
+
+    for (const match of text.matchAll(monthDay)) {
+      candidates.push(toDate(match[1], +match[2], match[3]));
+    }
+    for (const match of text.matchAll(dayMonth)) {
+      candidates.push(toDate(match[2], +match[1], match[3]));
+    }
+
+    // Auto-replies often quote the date they were sent; the return date is the earliest future one
+    const returnDate = candidates
+      .filter(date => date && !isNaN(date) && date >= today)
+      .sort((a, b) => a - b)[0] || null;
+
+    const backupContact = text.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/)?.[0] || null;
+
+    return { returnDate, backupContact };
+  }
+
   /**
    * Build knowledge context based on lead and detected intent
    * @private
@@ -576,7 +777,10 @@ class ConversationalResponder {
    * @private
    */
   async _generateResponse({ lead, incomingMessage, conversationHistory, knowledgeContext, intent, sentiment }) {
-    const systemPrompt = this._buildSystemPrompt(lead, knowledgeContext, intent);
+    const availableSlots = intent === INTENT_TYPES.MEETING_REQUEST
+      ? await this._getAvailableSlots()
+      : [];
+    const systemPrompt = this._buildSystemPrompt(lead, knowledgeContext, intent, availableSlots);
     const userPrompt = this._buildUserPrompt(lead, incomingMessage, conversationHistory, intent);
 
     logger.debug('Generating AI response', { intent, historyLength: conversationHistory.length });
@@ -603,11 +807,29 @@ class ConversationalResponder {
     };
   }
 
+  /**
+   * Free calendar slots to offer, or [] without a calendar
+   * A calendar failure must not block the reply: the AI falls back to asking for times.
+   * @private
+   */
+  async _getAvailableSlots() {
+    if (!this.calendar) {
+      return [];
+    }
+
+    try {
+      return await this.calendar.getFreeSlots({ count: 3 });
+    } catch (error) {
+      logger.warn('Failed to load free calendar slots', { error: error.message });
+      return [];
+    }
+  }
+
   /**
    * Build system prompt for AI
    * @private
    */
-  _buildSystemPrompt(lead, knowledgeContext, intent) {
+  _buildSystemPrompt(lead, knowledgeContext, intent, availableSlots = []) {
     const intentGuidance = this._getIntentGuidance(intent);
     
     let knowledgeSection = '';
@@ -628,6 +850,10 @@ class ConversationalResponder {
       knowledgeSection += `\nRELEVANT CASE STUDY:\n${knowledgeContext.relevantCaseStudy}\n`;
     }
 
+    if (availableSlots.length > 0) {
+      knowledgeSection += `\nAVAILABLE TIMES (offer these exact options, do not invent others):\n${availableSlots.map(slot => `- ${slot.label}`).join('\n')}\n`;
+    }
+
     return `You are ${this.config.senderName}, a ${this.config.senderRole} at ${this.config.companyName}, responding to a sales conversation.
 
 CRITICAL RULES:
@@ -742,14 +968,24 @@ Write a response to this message. Remember to be ${lead.name ? `personal to ${le
    */
   async _sendResponse(leadEmail, campaignId, aiResponse, channel, threadId) {
     const result = { sent: false, channel: null, provider: null };
-    
+
+    // Replies go through the global suppression list too, whatever the channel
+    try {
+      await this.suppressionList.assertAllowed({ email: leadEmail }, { channel, campaignId, aiGenerated: true });
+    } catch (error) {
+      if (error instanceof SuppressedRecipientError) {
+        return { sent: false, reason: 'suppressed', suppression: { type: error.entry.type, reason: error.entry.reason } };
+      }
+      throw error;
+    }
+
     try {
       // Route by channel type
       if (channel === 'linkedin') {
         return await this._sendLinkedInResponse(leadEmail, aiResponse, threadId);
       }
       
-      // Email channel - try Lemlist first, then Postmark fallback
+      // Email channel - try Lemlist first, then the SMTP mailbox, then Postmark fallback
       if (this.lemlist && typeof this.lemlist.sendReply === 'function') {
         try {
           await this.lemlist.sendReply(leadEmail, campaignId, aiResponse.content, {
@@ -766,6 +1002,28 @@ Write a response to this message. Remember to be ${lead.name ? `personal to ${le
         }
       }
       
+      // SMTP mailbox - threadId is the lead's Message-ID when the reply came in over IMAP
+      if (this.smtp) {
+        try {
+          const inThread = typeof threadId === 'string' && threadId.includes('@');
+          await this.smtp.send({
+            to: leadEmail,
+            subject: aiResponse.subject || 'Re: Your inquiry',
+            html: this._formatEmailHtml(aiResponse.content),
+            text: aiResponse.content,
+            inReplyTo: inThread ? threadId : undefined,
+            campaignId,
+            metadata: { threadId, aiGenerated: true }
+          });
+          logger.info('Response sent via SMTP', { leadEmail, campaignId, inThread });
+          return { sent: true, channel: 'email', provider: 'smtp' };
+        } catch (smtpError) {
+          logger.warn('SMTP send failed, trying Postmark fallback', {
+            error: smtpError.message
+          });
+        }
+      }
+
       // Postmark fallback for email
       if (this.postmark) {
         try {
@@ -803,11 +1061,6 @@ Write a response to this message. Remember to be ${lead.name ? `personal to ${le
     }
   }
 
-  /**
-   * Queue response for human review
-   * @private
-   */
-
   /**
    * Send response via LinkedIn (PhantomBuster)
    * @private
@@ -841,6 +1094,9 @@ Write a response to this message. Remember to be ${lead.name ? `personal to ${le
       
       return { sent: true, channel: 'linkedin', provider: 'phantombuster' };
     } catch (error) {
+      if (error instanceof SuppressedRecipientError) {
+        return { sent: false, reason: 'suppressed', suppression: { type: error.entry.type, reason: error.entry.reason } };
+      }
       logger.error('PhantomBuster LinkedIn send failed', { 
         error: error.message,
         leadEmail 
@@ -1144,13 +1400,223 @@ Generate ONLY the script text, no stage directions or notes.`;
     return false;
   }
 
-  async _queueForReview(conversationId, aiResponse, knowledgeContext) {
-    // TODO: Implement review queue (could be a database table or external service)
-    logger.info('Response queued for review', { 
-      conversationId, 
-      responseLength: aiResponse.content.length 
+  /**
+   * Queue response for human review
+   * Persists the draft with the context it was generated from so a rep can
+   * edit, approve (send) or reject it later.
+   * @private
+   */
+  async _queueForReview(conversationId, aiResponse, knowledgeContext, context = {}) {
+    const reviewItem = this.db.addReviewItem({
+      conversationId,
+      leadEmail: context.leadEmail,
+      leadName: context.leadName,
+      companyName: context.companyName,
+      campaignId: context.campaignId,
+      enrollmentId: context.enrollmentId,
+      channel: context.channel,
+      threadId: context.threadId,
+      incomingMessage: context.incomingMessage,
+      intent: context.intent,
+      sentiment: context.sentiment,
+      subject: aiResponse.subject,
+      content: aiResponse.content,
+      knowledgeContext,
+      warnings: context.warnings
+    });
+
+    logger.info('Response queued for review', {
+      conversationId,
+      reviewId: reviewItem.id,
+      intent: context.intent,
+      responseLength: aiResponse.content.length
+    });
+
+    return { queued: true, conversationId, reviewId: reviewItem.id };
+  }
+
+  // ==========================================================================
+  // REVIEW QUEUE
+  // ==========================================================================
+
+  /**
+   * List drafts awaiting (or past) human review
+   * @param {object} filters - { status, campaignId, channel, limit, offset }
+   * @returns {object} { items, total, stats }
+   */
+  listReviewQueue(filters = {}) {
+    this._releaseStaleReviewItems();
+    const { items, total } = this.db.listReviewItems(filters);
+    return { items, total, stats: this.db.getReviewQueueStats() };
+  }
+
+  /**
+   * Get a single review item
+   * @param {number} reviewId - Review item ID
+   * @returns {object|null} Review item
+   */
+  getReviewItem(reviewId) {
+    return this.db.getReviewItem(reviewId);
+  }
+
+  /**
+   * Edit a queued draft before approving it
+   * @param {number} reviewId - Review item ID
+   * @param {object} updates - { content, subject, reviewedBy }
+   * @returns {object} { status: 'updated' | 'not_found' | 'invalid_state', item }
+   */
+  editReviewDraft(reviewId, updates = {}) {
+    const item = this.db.getReviewItem(reviewId);
+    if (!item) {
+      return { status: 'not_found' };
+    }
+
+    if (!this.db.updateReviewDraft(reviewId, updates)) {
+      return { status: 'invalid_state', item };
+    }
+
+    logger.info('Review draft edited', { reviewId, reviewedBy: updates.reviewedBy });
+    return { status: 'updated', item: this.db.getReviewItem(reviewId) };
+  }
+
+  /**
+   * Approve a draft and send it through _sendResponse
+   * Optional content/subject edits are applied first. Failed sends leave the
+   * item in 'failed' so it can be retried; items left in 'sending' by an
+   * interrupted send are released to 'failed' after reviewSendLeaseMinutes.
+   *
+   * @param {number} reviewId - Review item ID
+   * @param {object} options - { content, subject, reviewedBy }
+   * @returns {object} { status: 'sent' | 'failed' | 'invalid' | 'not_found' | 'invalid_state', item, ... }
+   */
+  async approveReview(reviewId, options = {}) {
+    const { content, subject, reviewedBy } = options;
+
+    this._releaseStaleReviewItems();
+    const existing = this.db.getReviewItem(reviewId);
+    if (!existing) {
+      return { status: 'not_found' };
+    }
+
+    if (content !== undefined || subject !== undefined) {
+      if (!this.db.updateReviewDraft(reviewId, { content, subject, reviewedBy })) {
+        return { status: 'invalid_state', item: existing };
+      }
+    }
+
+    const item = this.db.getReviewItem(reviewId);
+    const response = { content: item.draft_content, subject: item.draft_subject };
+
+    // Human-edited drafts still go through the same content checks as AI output
+    const validation = this._validateAIResponse(response, { leadEmail: item.lead_email, intent: item.intent });
+    if (!validation.valid) {
+      return { status: 'invalid', errors: validation.errors, item };
+    }
+
+    // Claim the item so two reviewers cannot send it twice
+    if (!this.db.transitionReviewItem(reviewId, ['pending', 'failed'], 'sending', { reviewedBy })) {
+      return { status: 'invalid_state', item };
+    }
+
+    let sendResult;
+    try {
+      sendResult = await this._sendResponse(
+        item.lead_email,
+        item.campaign_id,
+        response,
+        item.channel,
+        item.thread_id
+      );
+    } catch (error) {
+      sendResult = { sent: false, reason: 'send_error', error: error.message };
+    }
+
+    if (!sendResult?.sent) {
+      this.db.transitionReviewItem(reviewId, ['sending'], 'failed', { sendResult });
+      logger.warn('Approved review item failed to send', { reviewId, reason: sendResult?.reason });
+      return { status: 'failed', sendResult, item: this.db.getReviewItem(reviewId) };
+    }
+
+    // The reply went out: bookkeeping failures must not leave the item in
+    // 'sending' or make it retryable (that would send it twice)
+    let outboundMessageId = null;
+    try {
+      const outboundMessage = this.db.addLeadMessage(item.conversation_id, 'outbound', response.content, {
+        subject: response.subject,
+        messageType: 'ai_reply',
+        aiGenerated: true,
+        knowledgeUsed: item.knowledge_context?.usedKnowledge
+      });
+      outboundMessageId = outboundMessage.id;
+
+      this._trackKnowledgeUsage(outboundMessage.id, item.knowledge_context);
+    } catch (error) {
+      logger.error('Failed to record sent review reply', { reviewId, error: error.message });
+    }
+
+    this.db.transitionReviewItem(reviewId, ['sending'], 'sent', {
+      sendResult,
+      outboundMessageId
     });
-    return { queued: true, conversationId };
+
+    logger.info('Review item approved and sent', {
+      reviewId,
+      conversationId: item.conversation_id,
+      provider: sendResult.provider,
+      edited: response.content !== item.original_content,
+      reviewedBy
+    });
+
+    return { status: 'sent', sendResult, item: this.db.getReviewItem(reviewId) };
+  }
+
+  /**
+   * Release items stuck in 'sending' past the send lease
+   * @private
+   */
+  _releaseStaleReviewItems() {
+    const released = this.db.releaseStaleReviewItems(this.config.reviewSendLeaseMinutes);
+    if (released > 0) {
+      logger.warn('Released review items stuck in sending', { released });
+    }
+  }
+
+  /**
+   * Reject a draft so it is never sent
+   * @param {number} reviewId - Review item ID
+   * @param {object} options - { reason, reviewedBy }
+   * @returns {object} { status: 'rejected' | 'not_found' | 'invalid_state', item }
+   */
+  rejectReview(reviewId, options = {}) {
+    const { reason, reviewedBy } = options;
+
+    const item = this.db.getReviewItem(reviewId);
+    if (!item) {
+      return { status: 'not_found' };
+    }
+
+    if (!this.db.transitionReviewItem(reviewId, ['pending', 'failed'], 'rejected', { reviewedBy, notes: reason })) {
+      return { status: 'invalid_state', item };
+    }
+
+    logger.info('Review item rejected', { reviewId, conversationId: item.conversation_id, reviewedBy });
+    return { status: 'rejected', item: this.db.getReviewItem(reviewId) };
+  }
+
+  /**
+   * Record which knowledge items an outbound message used
+   * @private
+   */
+  _trackKnowledgeUsage(messageId, knowledgeContext) {
+    if (!knowledgeContext?.usedKnowledge) {
+      return;
+    }
+
+    for (const [type, items] of Object.entries(knowledgeContext.usedKnowledge)) {
+      for (const item of items) {
+        this.db.trackKnowledgeUsage(messageId, type, item.key, item.relevance);
+      }
+    }
   }
 
   /**
@@ -0,0 +1,505 @@
+/**
+ * Deal Automation Service
+ * Opens or advances HubSpot deals when OutcomeTracker records a positive
+ * reply or a booked meeting, so AEs no longer create them by hand
+ *
+ * For each outcome with a configured stage:
+ * - Finds or creates the HubSpot contact and company (by email / domain)
+ * - Reuses the deal tracked in crm_deals or an open deal already associated
+ *   with the contact in the pipeline; otherwise creates one and associates
+ *   the contact and company
+ * - Moves the deal forward to the outcome's stage, never backwards and never
+ *   out of a closed stage (ordering comes from the pipeline's displayOrder)
+ * - Logs lead_messages not yet on the deal as timestamped notes
+ *
+ * Rules come from the environment and can be overridden per campaign in
+ * provider_config.hubspot_deal:
+ *
+ *   HUBSPOT_DEALS_ENABLED=true
+ *   HUBSPOT_DEAL_PIPELINE=default
+ *   HUBSPOT_DEAL_STAGE_POSITIVE_REPLY=            (empty: replies open no deal)
+ *   HUBSPOT_DEAL_STAGE_MEETING_BOOKED=appointmentscheduled
+ *
+ *   { "hubspot_deal": { "pipeline": "12345", "stages": { "positive_reply": "12346" } } }
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { replaceTemplateVariables } from '../providers/utils/variable-replacer.js';
+import { OutcomeTracker, OUTCOME_EVENTS } from './OutcomeTracker.js';
+
+const logger = createLogger('DealAutomation');
+
+const CRM = 'hubspot';
+const PIPELINE_CACHE_MS = 60 * 60 * 1000;
+const DEAL_PROPERTIES = ['dealname', 'pipeline', 'dealstage'];
+
+const DEFAULT_DEAL_NAME = '{{companyName}} - {{campaignName}}';
+
+// Personal mailboxes never identify a company
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'
+]);
+
+// Lazy-load models so the service can be constructed without PostgreSQL
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+export class DealAutomation {
+  /**
+   * @param {HubSpotClient} hubspotClient
+   * @param {Database} database - SQLite database wrapper
+   * @param {Object} options
+   * @param {boolean} options.enabled - Default for campaigns without an override (HUBSPOT_DEALS_ENABLED)
+   * @param {string} options.pipeline - Pipeline ID (HUBSPOT_DEAL_PIPELINE, default 'default')
+   * @param {Object} options.stages - Stage ID per outcome ({ positive_reply, meeting_booked })
+   * @param {string} options.dealName - Deal name template (HUBSPOT_DEAL_NAME_TEMPLATE)
+   * @param {string} options.ownerId - HubSpot owner for new deals and notes (HUBSPOT_DEAL_OWNER_ID)
+   * @param {boolean} options.logConversation - Log lead_messages as deal notes (default true)
+   */
+  constructor(hubspotClient, database, options = {}) {
+    this.hubspot = hubspotClient;
+    this.database = database;
+
+    this.defaults = {
+      enabled: options.enabled ?? process.env.HUBSPOT_DEALS_ENABLED === 'true',
+      pipeline: options.pipeline || process.env.HUBSPOT_DEAL_PIPELINE || 'default',
+      stages: {
+        [OUTCOME_EVENTS.POSITIVE_REPLY]: process.env.HUBSPOT_DEAL_STAGE_POSITIVE_REPLY || null,
+        [OUTCOME_EVENTS.MEETING_BOOKED]: process.env.HUBSPOT_DEAL_STAGE_MEETING_BOOKED ?? 'appointmentscheduled',
+        ...options.stages
+      },
+      dealName: options.dealName || process.env.HUBSPOT_DEAL_NAME_TEMPLATE || DEFAULT_DEAL_NAME,
+      ownerId: options.ownerId || process.env.HUBSPOT_DEAL_OWNER_ID || null,
+      logConversation: options.logConversation ?? process.env.HUBSPOT_DEAL_LOG_CONVERSATION !== 'false'
+    };
+
+    this.pipelineCache = new Map();
+    this.queues = new Map();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start reacting to OutcomeTracker outcomes
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+
+    this.unsubscribe = OutcomeTracker.onOutcome(outcome => this.handleOutcome(outcome));
+    logger.info('Deal automation started', {
+      enabled: this.defaults.enabled,
+      pipeline: this.defaults.pipeline
+    });
+  }
+
+  /**
+   * Stop reacting to outcomes and wait for deals in progress
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    await Promise.allSettled([...this.queues.values()]);
+  }
+
+  /**
+   * Create or advance the deal for an outcome
+   * Outcomes for the same contact are handled one at a time so two quick
+   * outcomes cannot open two deals.
+   *
+   * @param {Object} outcome - { type, enrollmentId }
+   * @returns {Promise<Object>} { status: 'created'|'advanced'|'unchanged'|'skipped'|'failed', ... }
+   */
+  async handleOutcome({ type, enrollmentId }) {
+    const { CampaignEnrollment, CampaignInstance } = await getModels();
+    const enrollment = await CampaignEnrollment.findByPk(enrollmentId, {
+      include: [{ model: CampaignInstance, as: 'instance' }]
+    });
+
+    const email = enrollment?.metadata?.email?.toLowerCase().trim();
+    if (!email) {
+      logger.warn('No enrollment contact for outcome', { type, enrollmentId });
+      return { status: 'skipped', reason: 'no_contact' };
+    }
+
+    const rule = this.getRule(enrollment.instance?.provider_config);
+    const stage = rule.stages[type];
+    if (!rule.enabled || !stage) {
+      return { status: 'skipped', reason: rule.enabled ? 'no_stage' : 'disabled' };
+    }
+
+    const previous = this.queues.get(email) || Promise.resolve();
+    const run = previous
+      .catch(() => {})
+      .then(() => this._applyOutcome({ type, stage, rule, email, enrollment }));
+
+    this.queues.set(email, run);
+    try {
+      return await run;
+    } finally {
+      if (this.queues.get(email) === run) {
+        this.queues.delete(email);
+      }
+    }
+  }
+
+  /**
+   * Effective rule for a campaign (provider_config.hubspot_deal over the defaults)
+   *
+   * @param {Object} providerConfig - CampaignInstance.provider_config
+   * @returns {Object} { enabled, pipeline, stages, dealName, ownerId, logConversation }
+   */
+  getRule(providerConfig) {
+    const override = providerConfig?.hubspot_deal || {};
+    const pipelineChanged = override.pipeline && override.pipeline !== this.defaults.pipeline;
+
+    return {
+      ...this.defaults,
+      enabled: override.enabled ?? this.defaults.enabled,
+      pipeline: override.pipeline || this.defaults.pipeline,
+      // Stage IDs belong to a pipeline, so another pipeline needs its own stages
+      stages: {
+        ...(pipelineChanged ? {} : this.defaults.stages),
+        ...override.stages
+      },
+      dealName: override.deal_name || this.defaults.dealName,
+      ownerId: override.owner_id || this.defaults.ownerId
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _applyOutcome({ type, stage, rule, email, enrollment }) {
+    try {
+      const contact = enrollment.metadata;
+      const contactId = await this._findOrCreateContact(email, contact);
+      const companyId = await this._findOrCreateCompany(email, contact, contactId);
+
+      const tracked = this.database.getCrmDeal(CRM, email, rule.pipeline);
+      let deal = await this._findOpenDeal(tracked, contactId, rule.pipeline);
+      let status;
+
+      if (deal) {
+        const currentStage = deal.properties.dealstage;
+        if (await this._isForwardMove(rule.pipeline, currentStage, stage)) {
+          const result = await this.hubspot.updateDeal(deal.id, { dealstage: stage });
+          if (!result.success) {
+            throw new Error(`Failed to update deal ${deal.id}: ${result.error}`);
+          }
+          deal = { ...deal, properties: { ...deal.properties, dealstage: stage } };
+          status = 'advanced';
+        } else {
+          status = 'unchanged';
+        }
+      } else {
+        await this._assertStage(rule.pipeline, stage);
+        deal = await this._createDeal({ rule, stage, email, contact, enrollment, contactId, companyId });
+        status = 'created';
+      }
+
+      const lastLoggedMessageId = tracked?.deal_id === String(deal.id) ? tracked.last_logged_message_id : 0;
+      const loggedUpTo = rule.logConversation
+        ? await this._logConversation(deal.id, email, enrollment.instance_id, lastLoggedMessageId, rule.ownerId)
+        : lastLoggedMessageId;
+
+      this.database.saveCrmDeal({
+        crm: CRM,
+        contactEmail: email,
+        pipeline: rule.pipeline,
+        dealId: deal.id,
+        stage: deal.properties.dealstage,
+        trigger: type,
+        enrollmentId: enrollment.id,
+        lastLoggedMessageId: loggedUpTo
+      });
+
+      logger.info(`HubSpot deal ${status}`, {
+        dealId: deal.id,
+        enrollmentId: enrollment.id,
+        outcome: type,
+        stage: deal.properties.dealstage
+      });
+
+      return { status, dealId: deal.id, stage: deal.properties.dealstage };
+    } catch (error) {
+      logger.error('Deal automation failed', {
+        enrollmentId: enrollment.id,
+        outcome: type,
+        error: error.message
+      });
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findOrCreateContact(email, contact) {
+    const search = await this.hubspot.findContactByEmail(email);
+    if (!search.success) {
+      throw new Error(`Failed to search for contact: ${search.error}`);
+    }
+    if (search.found) {
+      return search.contact.id;
+    }
+
+    const created = await this.hubspot.createContact({
+      email,
+      firstName: contact.first_name || contact.firstName,
+      lastName: contact.last_name || contact.lastName,
+      ...(contact.title && { jobtitle: contact.title })
+    });
+    if (!created.success) {
+      throw new Error(`Failed to create contact: ${created.error}`);
+    }
+    return created.contactId;
+  }
+
+  /**
+   * Find or create the contact's company and associate them
+   * Returns null when no business domain is known.
+   * @private
+   */
+  async _findOrCreateCompany(email, contact, contactId) {
+    const domain = DealAutomation.companyDomain(email, contact);
+    if (!domain) {
+      return null;
+    }
+
+    const search = await this.hubspot.findCompanyByDomain(domain);
+    if (!search.success) {
+      throw new Error(`Failed to search for company: ${search.error}`);
+    }
+
+    let companyId = search.company?.id;
+    if (!companyId) {
+      const created = await this.hubspot.createCompany({
+        domain,
+        name: DealAutomation.companyName(contact) || domain
+      });
+      if (!created.success) {
+        throw new Error(`Failed to create company: ${created.error}`);
+      }
+      companyId = created.companyId;
+    }
+
+    const association = await this.hubspot.associateContactToCompany(contactId, companyId);
+    if (!association.success) {
+      logger.warn('Failed to associate contact with company', { contactId, companyId, error: association.error });
+    }
+    return companyId;
+  }
+
+  /**
+   * The tracked deal if it is still open in the pipeline, else an open deal
+   * already associated with the contact there
+   * @private
+   */
+  async _findOpenDeal(tracked, contactId, pipeline) {
+    const candidates = [];
+    if (tracked) {
+      candidates.push(tracked.deal_id);
+    }
+
+    const associations = await this.hubspot.getContactAssociations(contactId, 'deals');
+    if (associations.success) {
+      candidates.push(...associations.associations.map(association => String(association.toObjectId)));
+    } else {
+      logger.warn('Failed to read contact deal associations', { contactId, error: associations.error });
+    }
+
+    for (const dealId of new Set(candidates)) {
+      const result = await this.hubspot.getDeal(dealId, DEAL_PROPERTIES);
+      if (!result.success) {
+        // Deleted deals 404; anything else means HubSpot is unusable right now
+        if (result.statusCode === 404) {
+          continue;
+        }
+        throw new Error(`Failed to read deal ${dealId}: ${result.error}`);
+      }
+
+      const { properties } = result.deal;
+      if (properties.pipeline !== pipeline) {
+        continue;
+      }
+      const stages = await this._getStages(pipeline);
+      if (!stages.get(properties.dealstage)?.isClosed) {
+        return result.deal;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async _createDeal({ rule, stage, email, contact, enrollment, contactId, companyId }) {
+    const dealname = replaceTemplateVariables(rule.dealName, {
+      companyName: DealAutomation.companyName(contact) || DealAutomation.companyDomain(email, contact) || email,
+      campaignName: enrollment.instance?.name || '',
+      firstName: contact.first_name || contact.firstName || '',
+      lastName: contact.last_name || contact.lastName || '',
+      email
+    }).trim().replace(/^-\s*|\s*-$/g, '');
+
+    const created = await this.hubspot.createDeal({
+      dealname,
+      pipeline: rule.pipeline,
+      dealstage: stage,
+      ...(rule.ownerId && { hubspot_owner_id: rule.ownerId })
+    });
+    if (!created.success) {
+      throw new Error(`Failed to create deal: ${created.error}`);
+    }
+
+    const associations = [this.hubspot.associateContactToDeal(contactId, created.dealId)];
+    if (companyId) {
+      associations.push(this.hubspot.associateCompanyToDeal(companyId, created.dealId));
+    }
+    for (const result of await Promise.all(associations)) {
+      if (!result.success) {
+        logger.warn('Failed to associate deal', { dealId: created.dealId, method: result.method, error: result.error });
+      }
+    }
+
+    return { id: created.dealId, properties: { dealname, pipeline: rule.pipeline, dealstage: stage } };
+  }
+
+  /**
+   * Log conversation messages newer than lastMessageId as deal notes
+   * Stops at the first failure so the next outcome retries from there.
+   *
+   * @private
+   * @returns {Promise<number>} ID of the last message logged
+   */
+  async _logConversation(dealId, email, campaignId, lastMessageId, ownerId) {
+    const messages = this.database.getLeadConversationHistory(email, campaignId)
+      .filter(message => message.message_id > lastMessageId)
+      .sort((a, b) => a.message_id - b.message_id);
+
+    let loggedUpTo = lastMessageId;
+    for (const message of messages) {
+      const result = await this.hubspot.createNote({
+        body: DealAutomation.formatNote(message, email),
+        // SQLite datetime('now') is UTC without a zone
+        timestamp: message.created_at ? new Date(`${message.created_at.replace(' ', 'T')}Z`) : undefined,
+        ownerId: ownerId || undefined,
+        associatedObjectType: 'deal',
+        associatedObjectId: dealId
+      });
+      if (!result.success) {
+        logger.warn('Failed to log conversation note', { dealId, messageId: message.message_id, error: result.error });
+        break;
+      }
+      loggedUpTo = message.message_id;
+    }
+
+    return loggedUpTo;
+  }
+
+  /**
+   * Whether moving from currentStage to targetStage goes forward in the pipeline
+   * @private
+   */
+  async _isForwardMove(pipeline, currentStage, targetStage) {
+    const stages = await this._assertStage(pipeline, targetStage);
+    const current = stages.get(currentStage);
+
+    if (!current) {
+      return true;
+    }
+    return !current.isClosed && stages.get(targetStage).displayOrder > current.displayOrder;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Map>} Stages of the pipeline
+   */
+  async _assertStage(pipeline, stage) {
+    const stages = await this._getStages(pipeline);
+    if (!stages.has(stage)) {
+      throw new Error(`Stage ${stage} is not in HubSpot deal pipeline ${pipeline}`);
+    }
+    return stages;
+  }
+
+  /**
+   * Pipeline stages by ID ({ displayOrder, isClosed }), cached for an hour
+   * @private
+   */
+  async _getStages(pipeline) {
+    const cached = this.pipelineCache.get(pipeline);
+    if (cached && Date.now() - cached.fetchedAt < PIPELINE_CACHE_MS) {
+      return cached.stages;
+    }
+
+    const result = await this.hubspot.getDealPipeline(pipeline);
+    if (!result.success) {
+      throw new Error(`Failed to load HubSpot deal pipeline ${pipeline}: ${result.error}`);
+    }
+
+    const stages = new Map(result.stages.map(stage => [stage.id, {
+      displayOrder: stage.displayOrder,
+      // HubSpot returns stage metadata values as strings
+      isClosed: String(stage.metadata?.isClosed) === 'true'
+    }]));
+
+    this.pipelineCache.set(pipeline, { stages, fetchedAt: Date.now() });
+    return stages;
+  }
+
+  /**
+   * Business domain for a contact (explicit company domain, else the email's)
+   *
+   * @param {string} email - Contact email
+   * @param {Object} contact - Enrollment metadata
+   * @returns {string|null}
+   */
+  static companyDomain(email, contact = {}) {
+    const domain = (contact.company_domain || contact.companyDomain || email.split('@')[1] || '')
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .split('/')[0];
+
+    return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+  }
+
+  /**
+   * @param {Object} contact - Enrollment metadata
+   * @returns {string|undefined}
+   */
+  static companyName(contact = {}) {
+    return contact.company_name || contact.companyName ||
+      (typeof contact.company === 'string' ? contact.company : contact.company?.name);
+  }
+
+  /**
+   * Note body for a lead_messages row
+   *
+   * @param {Object} message - Row from getLeadConversationHistory
+   * @param {string} email - Lead email
+   * @returns {string}
+   */
+  static formatNote(message, email) {
+    const heading = message.direction === 'inbound'
+      ? `Reply from ${email}`
+      : `${message.ai_generated ? 'AI response' : 'Email'} sent to ${email}`;
+    const subject = message.subject ? `\nSubject: ${message.subject}` : '';
+
+    return `**${heading}**${subject}\n\n${message.content}`;
+  }
+}
+
+export default DealAutomation;
@@ -0,0 +1,240 @@
+/**
+ * Enrichment Waterfall
+ * Tries enrichment providers in order and merges what they find, so a
+ * contact Explorium cannot match (patchy APAC coverage) still gets enriched
+ * from HubSpot, Lemlist or whatever comes next
+ *
+ * - Providers run in the configured order; a provider that throws is logged
+ *   and skipped
+ * - Each field takes the first non-empty value by precedence: providers
+ *   listed for the field first, then waterfall order, then the input
+ * - The waterfall stops as soon as the merged data reaches the quality
+ *   target (EnrichmentWorker._calculateQualityScore)
+ * - Every lookup is recorded with its cost in enrichment_usage
+ */
+
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('EnrichmentWaterfall');
+
+// Pseudo-source for what the caller already knew
+const INPUT_SOURCE = 'input';
+// Pseudo-source for company data enriched earlier
+const CACHE_SOURCE = 'cache';
+
+function hasValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return true;
+}
+
+export class EnrichmentWaterfall {
+  /**
+   * @param {Array<EnrichmentProvider>} providers - Providers in waterfall order
+   * @param {Object} options
+   * @param {number} options.qualityTarget - Stop once the merged score reaches this (0-1)
+   * @param {Object} options.precedence - { contact: { field: [provider] }, company: { ... } }
+   * @param {Object} options.costs - { provider: { contact, company } } USD per matched lookup
+   * @param {Database} options.database - Records usage when provided
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    this.qualityTarget = options.qualityTarget ?? 0.7;
+    this.precedence = {
+      contact: options.precedence?.contact || {},
+      company: options.precedence?.company || {},
+    };
+    this.costs = options.costs || {};
+    this.database = options.database || null;
+  }
+
+  /**
+   * Run the waterfall for a contact and/or company
+   *
+   * @param {Object} input
+   * @param {Object} input.contact - Contact to look up ({ email, firstName, lastName, companyDomain, ... })
+   * @param {Object} input.company - Company to look up ({ domain, name, linkedinUrl })
+   * @param {Object} input.knownCompany - Already enriched company (company lookups are skipped)
+   * @param {Function} input.score - (contact, company) => quality score 0-1
+   * @returns {Promise<Object>} { contact, company, qualityScore, fieldSources, sources, attempts, cost }
+   * @throws {Error} If every lookup failed
+   */
+  async run({ contact = null, company = null, knownCompany = null, score }) {
+    const found = { contact: [], company: [] };
+    const attempts = [];
+    const lookupCompany = Boolean(company) && !knownCompany;
+
+    let merged = this._mergeAll(contact, lookupCompany ? company : null, knownCompany, found);
+    let qualityScore = score(merged.contact.data, merged.company.data);
+
+    for (const provider of this.providers) {
+      if (qualityScore >= this.qualityTarget) {
+        break;
+      }
+
+      const capabilities = provider.getCapabilities();
+      const lookups = [];
+      if (contact && capabilities.supportsContacts) {
+        lookups.push(['contact', () => provider.enrichContact(this._contactQuery(contact, merged.contact.data))]);
+      }
+      if (lookupCompany && capabilities.supportsCompanies) {
+        lookups.push(['company', () => provider.enrichCompany(company)]);
+      }
+
+      for (const [type, lookup] of lookups) {
+        const attempt = await this._attempt(provider, type, lookup, type === 'contact' ? contact.email : company.domain);
+        attempts.push(attempt.summary);
+        if (attempt.data) {
+          found[type].push({ source: provider.name, data: attempt.data });
+        }
+      }
+
+      merged = this._mergeAll(contact, lookupCompany ? company : null, knownCompany, found);
+      qualityScore = score(merged.contact.data, merged.company.data);
+    }
+
+    if (attempts.length > 0 && attempts.every(attempt => attempt.error)) {
+      throw new Error(`All enrichment providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`);
+    }
+
+    // Contributing providers, in waterfall order
+    const sources = this.providers
+      .map(provider => provider.name)
+      .filter(name => [...found.contact, ...found.company].some(entry => entry.source === name));
+
+    return {
+      contact: merged.contact.data,
+      company: merged.company.data,
+      qualityScore,
+      fieldSources: {
+        contact: merged.contact.sources,
+        company: merged.company.sources,
+      },
+      sources,
+      attempts,
+      cost: attempts.reduce((sum, attempt) => sum + attempt.cost, 0),
+    };
+  }
+
+  /**
+   * Call one provider and record the lookup
+   * @private
+   */
+  async _attempt(provider, type, lookup, lookupKey) {
+    let result;
+    try {
+      result = await lookup();
+    } catch (error) {
+      logger.warn('Enrichment provider failed, trying next', {
+        provider: provider.name,
+        type,
+        error: error.message,
+      });
+      this._recordUsage({ provider: provider.name, objectType: type, lookupKey, found: false, cost: 0 });
+      return { summary: { provider: provider.name, type, found: false, cost: 0, error: error.message } };
+    }
+
+    const matched = Boolean(result?.found && result.data);
+    const cost = result?.cost ?? (matched ? this._unitCost(provider.name, type) : 0);
+    this._recordUsage({ provider: provider.name, objectType: type, lookupKey, found: matched, cost });
+
+    return {
+      data: matched ? result.data : null,
+      summary: { provider: provider.name, type, found: matched, cost },
+    };
+  }
+
+  /**
+   * What the next provider is asked: the input plus identity fields found so far
+   * @private
+   */
+  _contactQuery(contact, mergedContact) {
+    return {
+      ...contact,
+      firstName: contact.firstName || mergedContact?.firstName,
+      lastName: contact.lastName || mergedContact?.lastName,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _mergeAll(contact, company, knownCompany, found) {
+    const companyEntries = knownCompany
+      ? [{ source: CACHE_SOURCE, data: knownCompany }]
+      : [...found.company, ...(company ? [{ source: INPUT_SOURCE, data: company }] : [])];
+
+    return {
+      contact: contact
+        ? this.merge('contact', [...found.contact, { source: INPUT_SOURCE, data: contact }])
+        : { data: null, sources: {} },
+      company: companyEntries.length > 0
+        ? this.merge('company', companyEntries)
+        : { data: null, sources: {} },
+    };
+  }
+
+  /**
+   * Merge provider results field by field
+   *
+   * @param {string} type - 'contact' or 'company'
+   * @param {Array<Object>} entries - [{ source, data }] in waterfall order, input last
+   * @returns {{data: Object, sources: Object}} Merged fields and the source of each
+   */
+  merge(type, entries) {
+    const precedence = this.precedence[type] || {};
+    const data = {};
+    const sources = {};
+    const fields = new Set(entries.flatMap(entry => Object.keys(entry.data)));
+
+    for (const field of fields) {
+      const preferred = precedence[field] || [];
+      const rank = (entry, index) => {
+        const position = preferred.indexOf(entry.source);
+        if (position !== -1) return position;
+        // The input only wins where precedence asks for it
+        return preferred.length + (entry.source === INPUT_SOURCE ? entries.length : index);
+      };
+
+      const winner = entries
+        .map((entry, index) => ({ entry, rank: rank(entry, index) }))
+        .sort((a, b) => a.rank - b.rank)
+        .find(({ entry }) => hasValue(entry.data[field]));
+
+      if (winner) {
+        data[field] = winner.entry.data[field];
+        sources[field] = winner.entry.source;
+      }
+    }
+
+    return { data, sources };
+  }
+
+  /**
+   * @private
+   */
+  _unitCost(provider, type) {
+    const cost = this.costs[provider]?.[type];
+    return typeof cost === 'number' ? cost : 0;
+  }
+
+  /**
+   * @private
+   */
+  _recordUsage(entry) {
+    if (!this.database?.recordEnrichmentUsage) {
+      return;
+    }
+    try {
+      this.database.recordEnrichmentUsage(entry);
+    } catch (error) {
+      logger.warn('Failed to record enrichment usage', { provider: entry.provider, error: error.message });
+    }
+  }
+}
+
+export default EnrichmentWaterfall;
@@ -301,14 +301,14 @@ export class KnowledgeService {
 
     // Known competitor mappings
     const competitorPatterns = {
-      'swift': /## SWIFT.*?(?=## |$)/s,
-      'wise': /## Wise.*?(?=## |$)/s,
-      'transferwise': /## Wise.*?(?=## |$)/s,
-      'ripple': /## Ripple.*?(?=## |$)/s,
-      'xrp': /## Ripple.*?(?=## |$)/s,
-      'currencycloud': /## Currencycloud.*?(?=## |$)/s,
-      'bank': /## Banking Rails.*?(?=## |$)/s,
-      'correspondent': /## SWIFT.*?(?=## |$)/s
+      'swift': /## SWIFT.*?(?=\n## |$)/s,
+      'wise': /## Wise.*?(?=\n## |$)/s,
+      'transferwise': /## Wise.*?(?=\n## |$)/s,
+      'ripple': /## Ripple.*?(?=\n## |$)/s,
+      'xrp': /## Ripple.*?(?=\n## |$)/s,
+      'currencycloud': /## Currencycloud.*?(?=\n## |$)/s,
+      'bank': /## Banking Rails.*?(?=\n## |$)/s,
+      'correspondent': /## SWIFT.*?(?=\n## |$)/s
     };
 
     for (const [key, pattern] of Object.entries(competitorPatterns)) {
@@ -321,6 +321,64 @@ export class KnowledgeService {
     return null;
   }
 
+  /**
+   * Structured competitive intel for a competitor, parsed from its battle card
+   *
+   * @param {string} competitor - Competitor name as mentioned by the prospect
+   * @returns {Promise<Object|null>} Parsed battle card, or null if no card matches
+   */
+  static async getCompetitiveIntel(competitor) {
+    const battleCards = await this.getBattleCards();
+    const section = this.extractCompetitorSection(battleCards, competitor);
+
+    if (!section) {
+      logger.info('No battle card found for competitor', { competitor });
+      return null;
+    }
+
+    return { competitor, ...this.parseBattleCard(section) };
+  }
+
+  /**
+   * Parse a battle card section into its quotes and comparison table
+   *
+   * @param {string} section - Markdown section starting at "## <Competitor>"
+   * @returns {Object} { name, acknowledge, key_differentiators, switch_stories, comparison_points }
+   */
+  static parseBattleCard(section) {
+    const quoteAfter = (heading) => {
+      const match = section.match(new RegExp(`\\*\\*${heading}:\\*\\*\\s*\\n((?:>.*\\n?)+)`));
+      if (!match) return null;
+      return match[1]
+        .split('\n')
+        .map(line => line.replace(/^>\s?/, '').trim())
+        .filter(Boolean)
+        .join(' ')
+        .replace(/^"|"$/g, '');
+    };
+
+    // | Aspect | Them | Us | rows (skipping the header and separator rows)
+    const comparisonPoints = {};
+    const rows = section.split('\n').filter(line => /^\|.*\|$/.test(line.trim()));
+    for (const row of rows.slice(2)) {
+      const [aspect, theirs, ours] = row.split('|').slice(1, -1).map(cell => cell.trim());
+      if (aspect) {
+        comparisonPoints[aspect] = { competitor: theirs, us: ours };
+      }
+    }
+
+    const differentiator = quoteAfter('Key Differentiator');
+    const switchStory = quoteAfter('Switch Story');
+
+    return {
+      name: section.match(/^##\s+(.+)$/m)?.[1].trim() || null,
+      acknowledge: quoteAfter('Acknowledge'),
+      key_differentiators: differentiator ? [differentiator] : [],
+      switch_stories: switchStory ? [switchStory] : [],
+      comparison_points: comparisonPoints
+    };
+  }
+
   /**
    * Get best case study for a given pain point
    *
@@ -0,0 +1,616 @@
+/**
+ * Meeting Tracker
+ * Records meetings booked with prospects, from the calendar and from booking
+ * tool webhooks, so meeting attribution no longer depends on someone calling
+ * OutcomeTracker.recordMeeting by hand
+ *
+ * For each booking:
+ * - Matches attendee emails to campaign enrollments; the latest enrollment
+ *   per attendee gets the meeting
+ * - Records it with OutcomeTracker.recordMeeting (which also drives
+ *   DealAutomation)
+ * - Stops the attendees' running sequences (completed, metadata.stopped)
+ * - Emails the campaign owner (provider_config.owner_email, else
+ *   MEETING_OWNER_EMAIL)
+ *
+ * Meetings are kept in calendar_meetings, so re-synced events and retried
+ * webhooks are recorded once. Bookings that match no enrollment are ignored.
+ *
+ * Free slots for ConversationalResponder come from the calendar's busy time
+ * within working hours:
+ *
+ *   CALENDAR_TIMEZONE=Europe/London
+ *   CALENDAR_WORKING_HOURS=09:00-17:00
+ *   CALENDAR_WORKING_DAYS=1,2,3,4,5        (0 = Sunday)
+ *   CALENDAR_SLOT_MINUTES=30
+ */
+
+import { Op } from 'sequelize';
+import { createLogger } from '../utils/logger.js';
+import { OutcomeTracker } from './OutcomeTracker.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from './WebhookDispatcher.js';
+import {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  parseClockTime
+} from '../utils/timezone.js';
+
+const logger = createLogger('MeetingTracker');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const RUNNING_STATUSES = ['enrolled', 'active', 'paused'];
+const ATTRIBUTABLE_EXCLUDED = ['unsubscribed', 'bounced'];
+
+const DEFAULT_WORKING_HOURS = '09:00-17:00';
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+// Lazy-load models so the service can be constructed without PostgreSQL
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function escapeLike(value) {
+  return value.replace(/([\\%_])/g, '\\$1');
+}
+
+export class MeetingTracker {
+  /**
+   * @param {CalendarProvider|null} calendarProvider - Calendar to sync and read busy time from
+   * @param {Database} database - SQLite database wrapper
+   * @param {Object} options
+   * @param {EmailProvider} options.notifier - Sends owner notifications
+   * @param {string} options.ownerEmail - Default owner (MEETING_OWNER_EMAIL)
+   * @param {string} options.timezone - Working hours timezone (CALENDAR_TIMEZONE, default 'UTC')
+   * @param {string} options.workingHours - 'HH:MM-HH:MM' (CALENDAR_WORKING_HOURS)
+   * @param {Array<number>} options.workingDays - Weekdays, 0 = Sunday (CALENDAR_WORKING_DAYS)
+   * @param {number} options.slotMinutes - Meeting length offered (CALENDAR_SLOT_MINUTES, default 30)
+   * @param {number} options.bufferMinutes - Gap kept around busy time (default 15)
+   * @param {number} options.minNoticeHours - Earliest slot from now (default 4)
+   * @param {number} options.slotDays - Days ahead to offer slots (default 7)
+   * @param {number} options.syncDays - Days ahead to scan for bookings (default 30)
+   * @param {number} options.intervalMs - Calendar sync interval (CALENDAR_SYNC_INTERVAL_MINUTES, default 10)
+   * @param {WebhookDispatcher} options.webhooks - Outbound webhooks (injectable for tests)
+   */
+  constructor(calendarProvider, database, options = {}) {
+    this.calendar = calendarProvider || null;
+    this.database = database;
+    this.notifier = options.notifier || null;
+    this.webhooks = options.webhooks || webhookDispatcher;
+    this.ownerEmail = options.ownerEmail || process.env.MEETING_OWNER_EMAIL || null;
+
+    const timezone = options.timezone || process.env.CALENDAR_TIMEZONE || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      logger.error(`Ignoring invalid CALENDAR_TIMEZONE "${timezone}", using UTC`);
+    }
+    this.timezone = isValidTimeZone(timezone) ? timezone : 'UTC';
+
+    const [start, end] = (options.workingHours || process.env.CALENDAR_WORKING_HOURS || DEFAULT_WORKING_HOURS)
+      .split('-')
+      .map(parseClockTime);
+    this.workingHours = start !== null && end !== null && start < end
+      ? { start, end }
+      : { start: 9 * 60, end: 17 * 60 };
+
+    this.workingDays = options.workingDays ||
+      (process.env.CALENDAR_WORKING_DAYS
+        ? process.env.CALENDAR_WORKING_DAYS.split(',').map(Number).filter(day => day >= 0 && day <= 6)
+        : DEFAULT_WORKING_DAYS);
+
+    this.slotMinutes = options.slotMinutes || parseInt(process.env.CALENDAR_SLOT_MINUTES, 10) || 30;
+    this.bufferMinutes = options.bufferMinutes ?? 15;
+    this.minNoticeHours = options.minNoticeHours ?? 4;
+    this.slotDays = options.slotDays || 7;
+    this.syncDays = options.syncDays || 30;
+    this.intervalMs = options.intervalMs ||
+      (parseInt(process.env.CALENDAR_SYNC_INTERVAL_MINUTES, 10) || 10) * MINUTE_MS;
+
+    this.timer = null;
+    this.processing = false;
+    this.stats = {
+      syncs: 0,
+      recorded: 0,
+      duplicates: 0,
+      cancelled: 0,
+      unmatched: 0,
+      sequencesStopped: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Start syncing the calendar on an interval (no-op without a calendar)
+   */
+  start() {
+    if (this.timer || !this.calendar) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sync().catch(error => {
+        logger.error('Calendar sync failed', { error: error.message });
+      });
+    }, this.intervalMs).unref(); // unref to allow clean exit
+
+    logger.info('Meeting tracker started', {
+      calendar: this.calendar.name,
+      intervalMs: this.intervalMs
+    });
+  }
+
+  /**
+   * Stop syncing and wait for the in-flight sync to finish
+   *
+   * @param {number} maxWait - Max time to wait for current sync (ms)
+   */
+  async stop(maxWait = 30000) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const start = Date.now();
+    while (this.processing && (Date.now() - start < maxWait)) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    logger.info('Meeting tracker stopped', { stats: this.stats });
+  }
+
+  /**
+   * Record bookings found in the calendar (yesterday to syncDays ahead)
+   *
+   * @returns {Promise<Object|null>} Counts per result status, or null if a sync is running
+   */
+  async sync() {
+    if (!this.calendar || this.processing) {
+      return null;
+    }
+
+    this.processing = true;
+    this.stats.syncs++;
+    const counts = { events: 0, recorded: 0, updated: 0, duplicate: 0, cancelled: 0, unmatched: 0, failed: 0 };
+
+    try {
+      const now = Date.now();
+      const events = await this.calendar.listEvents({
+        from: new Date(now - DAY_MS),
+        to: new Date(now + this.syncDays * DAY_MS)
+      });
+
+      for (const event of events) {
+        const booking = MeetingTracker.fromCalendarEvent(event, this.calendar.name);
+        if (!booking) continue;
+
+        counts.events++;
+        try {
+          const result = await this.recordBooking(booking);
+          counts[result.status] = (counts[result.status] || 0) + 1;
+        } catch (error) {
+          counts.failed++;
+          logger.error('Failed to record calendar booking', { uid: event.uid, error: error.message });
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    logger.info('Calendar sync finished', counts);
+    return counts;
+  }
+
+  /**
+   * Record a booked (or cancelled) meeting
+   *
+   * @param {Object} booking - From normalizeBooking() / fromCalendarEvent()
+   * @param {string} booking.source - 'caldav', 'ics', 'calendly', 'cal.com', 'webhook'
+   * @param {string} booking.externalId - Event UID / booking ID (unique per source)
+   * @param {string} booking.title - Meeting title
+   * @param {Date|string} booking.startTime - Meeting start
+   * @param {Date|string} booking.endTime - Meeting end
+   * @param {Array<Object>} booking.attendees - [{ email, name }]
+   * @param {string} booking.status - 'booked' or 'cancelled'
+   * @returns {Promise<Object>} { status: 'recorded'|'updated'|'duplicate'|'cancelled'|'unmatched', meeting, enrollmentIds, stopped }
+   */
+  async recordBooking(booking) {
+    const existing = this.database.getCalendarMeeting(booking.source, booking.externalId);
+
+    if (booking.status === 'cancelled') {
+      if (!existing || existing.status === 'cancelled') {
+        return { status: existing ? 'duplicate' : 'unmatched', meeting: existing };
+      }
+      // The meeting outcome stays recorded: it was booked, which is what we attribute
+      const meeting = this.database.saveCalendarMeeting({
+        ...this._toRow(booking, existing.enrollment_ids),
+        status: 'cancelled'
+      });
+      this.stats.cancelled++;
+      logger.info('Meeting cancelled', { source: booking.source, meetingId: meeting.id });
+      return { status: 'cancelled', meeting };
+    }
+
+    if (existing?.status === 'booked') {
+      const startTime = booking.startTime ? new Date(booking.startTime).toISOString() : null;
+      if (startTime === existing.start_time) {
+        this.stats.duplicates++;
+        return { status: 'duplicate', meeting: existing };
+      }
+      // Rescheduled: same meeting, new time
+      const meeting = this.database.saveCalendarMeeting(this._toRow(booking, existing.enrollment_ids));
+      return { status: 'updated', meeting, enrollmentIds: existing.enrollment_ids };
+    }
+
+    const emails = [...new Set(
+      (booking.attendees || [])
+        .map(attendee => attendee.email?.toLowerCase().trim())
+        .filter(Boolean)
+    )];
+    const enrollments = await this._matchEnrollments(emails);
+
+    // Latest enrollment per attendee gets the meeting
+    const attributed = [];
+    const seen = new Set();
+    for (const enrollment of enrollments) {
+      const email = enrollment.metadata.email.toLowerCase().trim();
+      if (!seen.has(email)) {
+        seen.add(email);
+        attributed.push(enrollment);
+      }
+    }
+
+    if (attributed.length === 0) {
+      this.stats.unmatched++;
+      logger.debug('Booking matched no enrollment', { source: booking.source, attendees: emails.length });
+      return { status: 'unmatched', meeting: null, enrollmentIds: [] };
+    }
+
+    // The same meeting often arrives twice: from the booking tool and from the calendar
+    const enrollmentIds = attributed.map(enrollment => enrollment.id);
+    const twin = booking.startTime
+      ? this.database.getBookedMeetingsAt(booking.startTime)
+        .find(meeting => meeting.source !== booking.source &&
+          meeting.enrollment_ids.some(id => enrollmentIds.includes(id)))
+      : null;
+
+    const meeting = this.database.saveCalendarMeeting(this._toRow(booking, enrollmentIds));
+    if (twin) {
+      this.stats.duplicates++;
+      logger.info('Booking already recorded from another source', { source: booking.source, twinSource: twin.source });
+      return { status: 'duplicate', meeting, enrollmentIds };
+    }
+
+    for (const enrollment of attributed) {
+      try {
+        await OutcomeTracker.recordMeeting(enrollment.id);
+      } catch (error) {
+        logger.warn('Failed to record meeting outcome', { enrollmentId: enrollment.id, error: error.message });
+      }
+    }
+
+    const stopped = await this._stopSequences(enrollments);
+    await this._notifyOwners(meeting, attributed);
+
+    this.webhooks.publish(WEBHOOK_EVENTS.MEETING_BOOKED, {
+      meeting_id: meeting.id,
+      source: booking.source,
+      title: booking.title || null,
+      start_time: booking.startTime ? new Date(booking.startTime).toISOString() : null,
+      end_time: booking.endTime ? new Date(booking.endTime).toISOString() : null,
+      enrollment_ids: enrollmentIds,
+      instance_ids: [...new Set(attributed.map(enrollment => enrollment.instance_id))]
+    });
+
+    this.stats.recorded++;
+    this.stats.sequencesStopped += stopped;
+    logger.info('Meeting recorded', {
+      source: booking.source,
+      meetingId: meeting.id,
+      enrollments: enrollmentIds.length,
+      sequencesStopped: stopped
+    });
+
+    return { status: 'recorded', meeting, enrollmentIds, stopped };
+  }
+
+  /**
+   * Free slots within working hours, at most one per day, earliest first
+   *
+   * @param {Object} options
+   * @param {Date} options.from - Earliest start (default now + minNoticeHours)
+   * @param {number} options.days - Days ahead to search (default slotDays)
+   * @param {number} options.durationMinutes - Slot length (default slotMinutes)
+   * @param {number} options.count - Slots to return (default 3)
+   * @returns {Promise<Array<{start: string, end: string, label: string}>>} Slots with a label in the calendar timezone
+   */
+  async getFreeSlots({ from = null, days = this.slotDays, durationMinutes = this.slotMinutes, count = 3 } = {}) {
+    if (!this.calendar) {
+      return [];
+    }
+
+    const earliest = new Date(Math.max(
+      from ? new Date(from).getTime() : 0,
+      Date.now() + this.minNoticeHours * 60 * MINUTE_MS
+    ));
+    const until = new Date(earliest.getTime() + (days + 1) * DAY_MS);
+    const buffer = this.bufferMinutes * MINUTE_MS;
+    const duration = durationMinutes * MINUTE_MS;
+
+    const busy = (await this.calendar.getBusy({ from: earliest, to: until }))
+      .map(interval => ({ start: interval.start.getTime() - buffer, end: interval.end.getTime() + buffer }));
+
+    const firstDay = getZonedParts(earliest, this.timezone);
+    const slots = [];
+
+    for (let offset = 0; offset <= days && slots.length < count; offset++) {
+      const date = addDays(firstDay, offset);
+      if (!this.workingDays.includes(date.weekday)) continue;
+
+      for (let minute = this.workingHours.start; minute + durationMinutes <= this.workingHours.end; minute += this.slotMinutes) {
+        const start = zonedTimeToUtc({ ...date, hour: Math.floor(minute / 60), minute: minute % 60 }, this.timezone).getTime();
+        const end = start + duration;
+
+        if (start < earliest.getTime()) continue;
+        if (busy.some(interval => start < interval.end && end > interval.start)) continue;
+
+        slots.push({
+          start: new Date(start).toISOString(),
+          end: new Date(end).toISOString(),
+          label: this.formatTime(new Date(start))
+        });
+        break;
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Format a time for prospects and owners (e.g., "Tue 21 Oct, 10:00 BST")
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatTime(date) {
+    return new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    }).format(date);
+  }
+
+  /**
+   * Enrollments (newest first) whose contact email is one of the attendees
+   * @private
+   */
+  async _matchEnrollments(emails) {
+    if (emails.length === 0) {
+      return [];
+    }
+
+    const { CampaignEnrollment, CampaignInstance } = await getModels();
+    return CampaignEnrollment.findAll({
+      where: {
+        status: { [Op.notIn]: ATTRIBUTABLE_EXCLUDED },
+        // Enrollment metadata keeps the address as it was enrolled
+        [Op.or]: emails.map(email => ({ metadata: { email: { [Op.iLike]: escapeLike(email) } } }))
+      },
+      include: [{ model: CampaignInstance, as: 'instance' }],
+      order: [['enrolled_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Complete running enrollments so no further touches go out
+   * @private
+   * @returns {Promise<number>} Sequences stopped
+   */
+  async _stopSequences(enrollments) {
+    let stopped = 0;
+    const now = new Date();
+
+    for (const enrollment of enrollments) {
+      if (!RUNNING_STATUSES.includes(enrollment.status)) continue;
+
+      await enrollment.update({
+        status: 'completed',
+        completed_at: now,
+        next_action_at: null,
+        metadata: {
+          ...enrollment.metadata,
+          stopped: { reason: 'meeting_booked', at: now.toISOString() }
+        }
+      });
+      stopped++;
+
+      this.webhooks.publish(WEBHOOK_EVENTS.ENROLLMENT_COMPLETED, {
+        enrollment_id: enrollment.id,
+        instance_id: enrollment.instance_id,
+        reason: 'meeting_booked',
+        completed_at: now.toISOString()
+      });
+    }
+
+    return stopped;
+  }
+
+  /**
+   * Email each campaign owner about the meeting
+   * @private
+   */
+  async _notifyOwners(meeting, enrollments) {
+    const byOwner = new Map();
+    for (const enrollment of enrollments) {
+      const owner = enrollment.instance?.provider_config?.owner_email || this.ownerEmail;
+      if (!owner) continue;
+      if (!byOwner.has(owner)) byOwner.set(owner, []);
+      byOwner.get(owner).push(enrollment);
+    }
+
+    if (byOwner.size === 0 || !this.notifier) {
+      logger.info('Meeting owner not notified', {
+        meetingId: meeting.id,
+        reason: this.notifier ? 'no_owner_email' : 'no_email_provider'
+      });
+      return;
+    }
+
+    for (const [owner, ownerEnrollments] of byOwner) {
+      const when = meeting.start_time ? this.formatTime(new Date(meeting.start_time)) : 'time not given';
+      const people = ownerEnrollments.map(enrollment => {
+        const contact = enrollment.metadata;
+        const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ') || contact.email;
+        return `<li>${escapeHtml(name)} (${escapeHtml(contact.email)})` +
+          `${contact.company_name ? ` at ${escapeHtml(contact.company_name)}` : ''}` +
+          ` - campaign ${escapeHtml(enrollment.instance?.name || enrollment.instance_id)}</li>`;
+      });
+      const first = ownerEnrollments[0].metadata;
+
+      try {
+        await this.notifier.send({
+          to: owner,
+          subject: `Meeting booked: ${first.company_name || first.email} - ${when}`,
+          body: `<p>A prospect booked a meeting${meeting.title ? ` (${escapeHtml(meeting.title)})` : ''} for <strong>${escapeHtml(when)}</strong>.</p>` +
+            `<ul>${people.join('')}</ul>` +
+            '<p>Their sequences have been stopped.</p>',
+          metadata: { type: 'meeting_booked', meetingId: meeting.id }
+        });
+      } catch (error) {
+        logger.warn('Failed to notify meeting owner', { meetingId: meeting.id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toRow(booking, enrollmentIds) {
+    return {
+      source: booking.source,
+      externalId: booking.externalId,
+      title: booking.title || null,
+      startTime: booking.startTime || null,
+      endTime: booking.endTime || null,
+      attendees: booking.attendees || [],
+      enrollmentIds,
+      status: booking.status || 'booked'
+    };
+  }
+
+  /**
+   * Booking from a calendar event, or null for events without guests
+   * The organizer counts as an attendee: prospects sometimes send the invite.
+   *
+   * @param {Object} event - Event from a CalendarProvider
+   * @param {string} source - Provider name
+   * @returns {Object|null} Booking for recordBooking()
+   */
+  static fromCalendarEvent(event, source) {
+    const attendees = [...(event.attendees || []), ...(event.organizer ? [event.organizer] : [])]
+      .filter(attendee => attendee.partstat !== 'declined')
+      .map(({ email, name }) => ({ email, name }));
+
+    if (!event.uid || attendees.length === 0) {
+      return null;
+    }
+
+    return {
+      source,
+      externalId: event.recurrenceId ? `${event.uid}:${event.recurrenceId}` : event.uid,
+      title: event.summary,
+      startTime: event.start,
+      endTime: event.end,
+      attendees,
+      status: event.status === 'cancelled' ? 'cancelled' : 'booked'
+    };
+  }
+
+  /**
+   * Booking from a booking tool webhook payload
+   *
+   * Understands Calendly (invitee.created / invitee.canceled), Cal.com
+   * (BOOKING_CREATED / BOOKING_RESCHEDULED / BOOKING_CANCELLED) and a
+   * generic shape for anything else:
+   *
+   *   { "id": "abc", "status": "booked", "title": "Intro call",
+   *     "start_time": "2026-10-21T09:00:00Z", "end_time": "2026-10-21T09:30:00Z",
+   *     "attendees": [{ "email": "wei@acme.sg", "name": "Wei" }], "source": "hubspot-meetings" }
+   *
+   * @param {Object} payload - Webhook body
+   * @returns {Object|null} Booking for recordBooking(), or null if unrecognised
+   */
+  static normalizeBooking(payload) {
+    if (!payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    let booking;
+
+    if (typeof payload.event === 'string' && payload.event.startsWith('invitee.')) {
+      const invitee = payload.payload || {};
+      const event = invitee.scheduled_event || {};
+      booking = {
+        source: 'calendly',
+        externalId: invitee.uri,
+        title: event.name,
+        startTime: event.start_time,
+        endTime: event.end_time,
+        attendees: [{ email: invitee.email, name: invitee.name }],
+        status: payload.event === 'invitee.canceled' ? 'cancelled' : 'booked'
+      };
+    } else if (typeof payload.triggerEvent === 'string') {
+      const data = payload.payload || {};
+      booking = {
+        source: 'cal.com',
+        externalId: data.uid || data.bookingId,
+        title: data.title,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        attendees: (data.attendees || []).map(({ email, name }) => ({ email, name })),
+        status: payload.triggerEvent === 'BOOKING_CANCELLED' ? 'cancelled' : 'booked'
+      };
+    } else {
+      const attendees = Array.isArray(payload.attendees)
+        ? payload.attendees.map(attendee => (typeof attendee === 'string' ? { email: attendee } : attendee))
+        : [{ email: payload.attendee_email || payload.email, name: payload.attendee_name || payload.name }];
+      booking = {
+        source: payload.source || 'webhook',
+        externalId: payload.id || payload.booking_id,
+        title: payload.title,
+        startTime: payload.start_time,
+        endTime: payload.end_time,
+        attendees,
+        status: ['cancelled', 'canceled'].includes(String(payload.status).toLowerCase()) ? 'cancelled' : 'booked'
+      };
+    }
+
+    booking.attendees = (booking.attendees || []).filter(attendee => attendee?.email);
+    if (!booking.externalId || booking.attendees.length === 0) {
+      return null;
+    }
+    if (booking.startTime && Number.isNaN(new Date(booking.startTime).getTime())) {
+      return null;
+    }
+
+    booking.externalId = String(booking.externalId);
+    return booking;
+  }
+}
+
+export default MeetingTracker;
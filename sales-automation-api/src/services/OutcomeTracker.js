@@ -7,11 +7,13 @@
  * - Link outcomes to templates and personas
  * - Analyze patterns and update learnings files
  * - Generate weekly performance digests
+ * - Notify outcome listeners (e.g. DealAutomation) of positive replies and meetings
  */
 
 import { createLogger } from '../utils/logger.js';
 import { metrics } from '../utils/metrics.js';
 import { AnalyticsCacheService } from './AnalyticsCacheService.js';
+import { EventEmitter } from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -25,6 +27,14 @@ const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
 const KNOWLEDGE_DIR = path.join(PROJECT_ROOT, 'knowledge');
 const LEARNINGS_DIR = path.join(KNOWLEDGE_DIR, 'learnings');
 
+// Outcomes other services react to
+export const OUTCOME_EVENTS = {
+  POSITIVE_REPLY: 'positive_reply',
+  MEETING_BOOKED: 'meeting_booked'
+};
+
+const outcomeEmitter = new EventEmitter();
+
 // Lazy-load model
 let OutreachOutcome;
 
@@ -37,6 +47,33 @@ async function getOutcomeModel() {
 }
 
 export class OutcomeTracker {
+  /**
+   * Subscribe to positive replies and booked meetings
+   * Listeners run after the outcome is recorded (even when no outreach
+   * outcome row exists) and their errors never reach the caller.
+   *
+   * @param {Function} listener - async ({ type, enrollmentId, sentiment }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  static onOutcome(listener) {
+    outcomeEmitter.on('outcome', listener);
+    return () => outcomeEmitter.off('outcome', listener);
+  }
+
+  /**
+   * Notify outcome listeners without waiting for them
+   * @private
+   */
+  static notifyOutcome(type, enrollmentId, details = {}) {
+    for (const listener of outcomeEmitter.listeners('outcome')) {
+      Promise.resolve()
+        .then(() => listener({ type, enrollmentId, ...details }))
+        .catch(error => {
+          logger.error('Outcome listener failed', { type, enrollmentId, error: error.message });
+        });
+    }
+  }
+
   /**
    * Record a new outreach send
    *
@@ -154,6 +191,10 @@ export class OutcomeTracker {
    * @returns {Promise<Object>} Updated outcome
    */
   static async recordReply(enrollmentId, sentiment = null) {
+    if (sentiment === 'positive') {
+      this.notifyOutcome(OUTCOME_EVENTS.POSITIVE_REPLY, enrollmentId, { sentiment });
+    }
+
     const Outcome = await getOutcomeModel();
 
     try {
@@ -193,6 +234,8 @@ export class OutcomeTracker {
    * @returns {Promise<Object>} Updated outcome
    */
   static async recordMeeting(enrollmentId) {
+    this.notifyOutcome(OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId);
+
     const Outcome = await getOutcomeModel();
 
     try {
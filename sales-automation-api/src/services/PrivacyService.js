@@ -0,0 +1,437 @@
+/**
+ * Privacy Service
+ * Data subject requests (GDPR access/erasure, CCPA know/delete) for one
+ * email address, across every store that holds contact data:
+ *
+ * - SQLite: imported_contacts, enrichment_cache, enrichment_usage,
+ *   lead_conversations/lead_messages, ai_review_queue, crm_deals,
+ *   crm_sync_log, crm_conflict_log, calendar_meetings attendees
+ * - PostgreSQL: CampaignEnrollment (by metadata.email) and its
+ *   CampaignEvent, OutreachOutcome, VideoGeneration and WebhookDelivery rows
+ * - HubSpot: the contact with that email
+ *
+ * Export returns everything as one JSON bundle. Erase:
+ * 1. Suppresses the email (reason legal_request) first, so nothing is sent
+ *    while the request runs and later imports skip the address
+ * 2. Deletes the SQLite rows
+ * 3. Pseudonymizes PostgreSQL: enrollment metadata, event metadata and
+ *    outcome personalization are cleared but the rows stay, so campaign
+ *    counts and A/B results still add up; video generations and outbound
+ *    webhook deliveries about the enrollments are deleted
+ * 4. GDPR-deletes the HubSpot contact
+ *
+ * Each request leaves a signed privacy_requests row (HMAC-SHA256 with
+ * PRIVACY_AUDIT_SECRET) that holds an HMAC of the email rather than the
+ * email. Requests are refused while the secret is unset.
+ */
+
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { createLogger } from '../utils/logger.js';
+import { WebhookSignature } from '../providers/utils/WebhookSignature.js';
+import { suppressionList, SuppressionList } from './SuppressionList.js';
+
+const logger = createLogger('PrivacyService');
+
+const RUNNING_STATUSES = ['enrolled', 'active', 'paused'];
+
+// Lazy-load models so the service can be constructed without PostgreSQL
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+function escapeLike(value) {
+  return value.replace(/([\\%_])/g, '\\$1');
+}
+
+/**
+ * JSON with object keys sorted at every level
+ * JSONB does not keep key order, so signatures are computed over this form.
+ * @private
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export class PrivacyService {
+  /**
+   * @param {Database} database - SQLite database wrapper
+   * @param {Object} options
+   * @param {HubSpotClient} options.hubspot - HubSpot client (null when not configured)
+   * @param {SuppressionList} options.suppressionList - Injectable for tests
+   * @param {string} options.secret - Audit signing key (default PRIVACY_AUDIT_SECRET)
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.hubspot = options.hubspot || null;
+    this.suppressionList = options.suppressionList || suppressionList;
+    this.secret = options.secret ?? process.env.PRIVACY_AUDIT_SECRET;
+  }
+
+  /**
+   * Whether requests can be signed
+   * @returns {boolean}
+   */
+  get configured() {
+    return !!this.secret;
+  }
+
+  /**
+   * Keyed hash identifying a data subject in the audit trail
+   *
+   * @param {string} email - Normalized email
+   * @returns {string} Hex HMAC-SHA256
+   */
+  subjectHash(email) {
+    return WebhookSignature.computeSignature(email, this.secret);
+  }
+
+  /**
+   * Collect everything held about an email
+   *
+   * @param {string} email - Contact email
+   * @param {Object} options - { actor, note }
+   * @returns {Promise<Object>} { bundle, request }
+   */
+  async export(email, { actor = 'system', note = null } = {}) {
+    const address = this._normalize(email);
+
+    const [postgres, hubspot] = await Promise.all([
+      this._findPostgres(address),
+      this._findHubSpot(address)
+    ]);
+    const sqlite = this.database.getDataSubjectRecords(address);
+    const suppression = await this.suppressionList.check({ email: address });
+
+    const request = await this._record('export', address, {
+      actor,
+      note,
+      status: hubspot.status === 'failed' ? 'partial' : 'completed',
+      summary: {
+        sqlite: PrivacyService.countRecords(sqlite),
+        postgres: PrivacyService.countRecords(postgres),
+        hubspot: hubspot.status
+      }
+    });
+
+    logger.info('Data subject export completed', { requestId: request.id, actor });
+
+    return {
+      bundle: {
+        request_id: request.id,
+        subject: address,
+        generated_at: request.created_at,
+        sources: { sqlite, postgres, hubspot },
+        suppression
+      },
+      request
+    };
+  }
+
+  /**
+   * Delete or pseudonymize everything held about an email and suppress it
+   *
+   * @param {string} email - Contact email
+   * @param {Object} options - { actor, note }
+   * @returns {Promise<Object>} Signed privacy request record
+   */
+  async erase(email, { actor = 'system', note = null } = {}) {
+    const address = this._normalize(email);
+
+    const { created } = await this.suppressionList.add({
+      type: 'email',
+      value: address,
+      reason: 'legal_request',
+      source: 'privacy_request',
+      actor
+    });
+
+    const sqlite = this.database.eraseDataSubject(address);
+    const postgres = await this._erasePostgres(address);
+    const hubspot = await this._eraseHubSpot(address);
+
+    const request = await this._record('erase', address, {
+      actor,
+      note,
+      status: hubspot.status === 'failed' ? 'partial' : 'completed',
+      summary: {
+        suppressed: created ? 'added' : 'existing',
+        sqlite,
+        postgres,
+        hubspot: hubspot.status
+      }
+    });
+
+    if (hubspot.status === 'failed') {
+      logger.error('Data subject erase incomplete, HubSpot delete failed', {
+        requestId: request.id,
+        error: hubspot.error
+      });
+    } else {
+      logger.info('Data subject erase completed', { requestId: request.id, actor });
+    }
+
+    return request;
+  }
+
+  /**
+   * List audit records, newest first, with their signature checked
+   *
+   * @param {Object} filters - { type, email, limit, offset }
+   *   email matches through subject_hash
+   * @returns {Promise<Object>} { requests, total }
+   */
+  async listRequests({ type, email, limit = 50, offset = 0 } = {}) {
+    const { PrivacyRequest } = await getModels();
+
+    const where = {};
+    if (type) where.request_type = type;
+    if (email) where.subject_hash = this.subjectHash(this._normalize(email));
+
+    const { rows, count } = await PrivacyRequest.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      requests: rows.map(row => {
+        const request = row.toJSON();
+        return { ...request, signature_valid: this.verify(request) };
+      }),
+      total: count
+    };
+  }
+
+  /**
+   * Check an audit record's signature
+   *
+   * @param {Object} request - privacy_requests row
+   * @returns {boolean}
+   */
+  verify(request) {
+    return WebhookSignature.verify(request.signature, PrivacyService.signedPayload(request), this.secret);
+  }
+
+  /**
+   * The string a privacy request signature covers
+   *
+   * @param {Object} request - privacy_requests row
+   * @returns {string}
+   */
+  static signedPayload(request) {
+    return canonicalJson({
+      id: request.id,
+      request_type: request.request_type,
+      status: request.status,
+      subject_hash: request.subject_hash,
+      actor: request.actor,
+      note: request.note ?? null,
+      summary: request.summary,
+      created_at: new Date(request.created_at).toISOString()
+    });
+  }
+
+  /**
+   * Row count per table
+   *
+   * @param {Object} records - { table: rows[] }
+   * @returns {Object} { table: count }
+   */
+  static countRecords(records) {
+    return Object.fromEntries(Object.entries(records).map(([table, rows]) => [table, rows.length]));
+  }
+
+  /**
+   * @private
+   */
+  _normalize(email) {
+    if (!this.configured) {
+      throw new Error('Privacy requests require PRIVACY_AUDIT_SECRET');
+    }
+    const address = SuppressionList.normalize('email', email);
+    if (!address) {
+      throw new Error('Invalid email for privacy request');
+    }
+    return address;
+  }
+
+  /**
+   * Write the signed audit record
+   * @private
+   */
+  async _record(requestType, address, { actor, note, status, summary }) {
+    const { PrivacyRequest } = await getModels();
+
+    const request = {
+      id: crypto.randomUUID(),
+      request_type: requestType,
+      status,
+      subject_hash: this.subjectHash(address),
+      actor,
+      note,
+      summary,
+      created_at: new Date()
+    };
+    request.signature = WebhookSignature.computeSignature(PrivacyService.signedPayload(request), this.secret);
+
+    const row = await PrivacyRequest.create(request);
+    return row.toJSON();
+  }
+
+  /**
+   * @private
+   */
+  async _findPostgres(address) {
+    const { CampaignEnrollment, CampaignEvent, OutreachOutcome, VideoGeneration, WebhookDelivery } = await getModels();
+
+    const enrollments = await CampaignEnrollment.findAll({
+      // Enrollment metadata keeps the address as it was enrolled
+      where: { metadata: { email: { [Op.iLike]: escapeLike(address) } } },
+      order: [['enrolled_at', 'ASC']]
+    });
+    const ids = enrollments.map(enrollment => enrollment.id);
+
+    const [events, outcomes, videos, deliveries] = await Promise.all([
+      ids.length > 0
+        ? CampaignEvent.findAll({ where: { enrollment_id: ids }, order: [['timestamp', 'ASC']] })
+        : [],
+      ids.length > 0
+        ? OutreachOutcome.findAll({ where: { enrollment_id: ids } })
+        : [],
+      VideoGeneration.findAll({ where: this._videoWhere(address, ids) }),
+      ids.length > 0
+        ? WebhookDelivery.findAll({ where: this._deliveryWhere(ids), order: [['created_at', 'ASC']] })
+        : []
+    ]);
+
+    const toJSON = rows => rows.map(row => row.toJSON());
+    return {
+      campaign_enrollments: toJSON(enrollments),
+      campaign_events: toJSON(events),
+      outreach_outcomes: toJSON(outcomes),
+      video_generations: toJSON(videos),
+      webhook_deliveries: toJSON(deliveries)
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _erasePostgres(address) {
+    const { CampaignEnrollment, CampaignEvent, OutreachOutcome, VideoGeneration, WebhookDelivery, sequelize } = await getModels();
+
+    return sequelize.transaction(async (transaction) => {
+      const enrollments = await CampaignEnrollment.findAll({
+        where: { metadata: { email: { [Op.iLike]: escapeLike(address) } } },
+        attributes: ['id'],
+        transaction
+      });
+      const ids = enrollments.map(enrollment => enrollment.id);
+      const now = new Date();
+
+      let events = 0;
+      let outcomes = 0;
+      let deliveries = 0;
+      if (ids.length > 0) {
+        await CampaignEnrollment.update(
+          { status: 'unsubscribed', unsubscribed_at: now },
+          { where: { id: ids, status: RUNNING_STATUSES }, transaction }
+        );
+        await CampaignEnrollment.update(
+          { metadata: { erased_at: now.toISOString() }, next_action_at: null },
+          { where: { id: ids }, transaction }
+        );
+        [events] = await CampaignEvent.update(
+          { metadata: {} },
+          { where: { enrollment_id: ids }, transaction }
+        );
+        [outcomes] = await OutreachOutcome.update(
+          { subject_line: null, personalization_used: [] },
+          { where: { enrollment_id: ids }, transaction }
+        );
+        deliveries = await WebhookDelivery.destroy({ where: this._deliveryWhere(ids), transaction });
+      }
+
+      const videos = await VideoGeneration.destroy({ where: this._videoWhere(address, ids), transaction });
+
+      return {
+        campaign_enrollments: ids.length,
+        campaign_events: events,
+        outreach_outcomes: outcomes,
+        video_generations: videos,
+        webhook_deliveries: deliveries
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _videoWhere(address, enrollmentIds) {
+    const conditions = [{ lead_email: { [Op.iLike]: escapeLike(address) } }];
+    if (enrollmentIds.length > 0) {
+      conditions.push({ enrollment_id: enrollmentIds });
+    }
+    return { [Op.or]: conditions };
+  }
+
+  /**
+   * Webhook deliveries whose event is about one of the enrollments
+   * (reply.received and enrollment.completed carry one ID, meeting.booked a list)
+   * @private
+   */
+  _deliveryWhere(enrollmentIds) {
+    return {
+      [Op.or]: [
+        { 'payload.data.enrollment_id': { [Op.in]: enrollmentIds } },
+        ...enrollmentIds.map(id => ({ payload: { [Op.contains]: { data: { enrollment_ids: [id] } } } }))
+      ]
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _findHubSpot(address) {
+    if (!this.hubspot) {
+      return { status: 'not_configured', contact: null };
+    }
+
+    const result = await this.hubspot.findContactByEmail(address);
+    if (!result.success) {
+      return { status: 'failed', error: result.error, contact: null };
+    }
+    return { status: result.found ? 'found' : 'not_found', contact: result.contact };
+  }
+
+  /**
+   * @private
+   */
+  async _eraseHubSpot(address) {
+    const found = await this._findHubSpot(address);
+    if (found.status !== 'found') {
+      return found;
+    }
+
+    const result = await this.hubspot.gdprDeleteContact(found.contact.id);
+    return result.success
+      ? { status: 'deleted' }
+      : { status: 'failed', error: result.error };
+  }
+}
@@ -13,15 +13,24 @@ const logger = createLogger('ProviderMessageLookup');
 
 // Lazy-load models to avoid circular dependencies
 let CampaignEnrollment;
+let CampaignEvent;
 
 async function getEnrollmentModel() {
   if (!CampaignEnrollment) {
-    const models = await import('../models/index.cjs');
+    const models = await import('../models/index.js');
     CampaignEnrollment = models.CampaignEnrollment;
   }
   return CampaignEnrollment;
 }
 
+async function getEventModel() {
+  if (!CampaignEvent) {
+    const models = await import('../models/index.js');
+    CampaignEvent = models.CampaignEvent;
+  }
+  return CampaignEvent;
+}
+
 export class ProviderMessageLookup {
   /**
    * Find enrollment by provider message ID
@@ -167,6 +176,70 @@ export class ProviderMessageLookup {
 
     return null;
   }
+
+  /**
+   * Find enrollment for an inbound reply from its thread headers
+   * The enrollment only keeps the latest message ID, so a reply to an earlier
+   * step is matched through the 'sent' event recorded for that step.
+   *
+   * @param {Array<string>} messageIds - In-Reply-To first, then References newest-first
+   * @param {string} channel - Channel type
+   * @returns {Promise<{enrollment: Object, providerMessageId: string}|null>}
+   *   Enrollment and the outbound message ID that matched
+   */
+  static async findEnrollmentByThread(messageIds, channel) {
+    const ids = [...new Set((messageIds || []).filter(Boolean))];
+    if (ids.length === 0) {
+      return null;
+    }
+
+    try {
+      const Enrollment = await getEnrollmentModel();
+
+      for (const id of ids) {
+        const enrollment = await Enrollment.findOne({
+          where: { provider_message_id: id }
+        });
+        if (enrollment) {
+          return { enrollment, providerMessageId: id };
+        }
+      }
+
+      const Event = await getEventModel();
+      const sentEvents = await Event.findAll({
+        where: {
+          event_type: 'sent',
+          channel,
+          provider_message_id: ids
+        },
+        attributes: ['enrollment_id', 'provider_message_id']
+      });
+
+      // Prefer the message closest to the reply in the thread
+      for (const id of ids) {
+        const sent = sentEvents.find(e => e.provider_message_id === id);
+        if (sent) {
+          const enrollment = await Enrollment.findByPk(sent.enrollment_id);
+          if (enrollment) {
+            return { enrollment, providerMessageId: id };
+          }
+        }
+      }
+
+      logger.warn('No enrollment found for reply thread', {
+        messageIds: ids,
+        channel
+      });
+      return null;
+    } catch (error) {
+      logger.error('Error looking up enrollment by thread', {
+        messageIds: ids,
+        channel,
+        error: error.message
+      });
+      return null;
+    }
+  }
 }
 
 export default ProviderMessageLookup;
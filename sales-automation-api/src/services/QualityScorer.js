@@ -6,6 +6,8 @@
  * - Data Quality (40%): Email validation, contact completeness, ICP match
  * - Message Quality (40%): Personalization, length, clear CTA, spam triggers
  * - Timing Quality (20%): Business hours, recent touch avoidance, optimal day
+ *   (in the recipient's local time when timing.timezone is given or can be
+ *   inferred from the contact's location)
  *
  * Quality Gates:
  * - Score >= 70: Allow send
@@ -16,6 +18,8 @@
 import { createLogger } from '../utils/logger.js';
 import { DataQualityService } from './DataQualityService.js';
 import { metrics } from '../utils/metrics.js';
+import { getZonedParts, isValidTimeZone } from '../utils/timezone.js';
+import { inferRecipientTimeZone } from '../utils/recipient-timezone.js';
 import {
   QUALITY_THRESHOLDS as THRESHOLDS,
   QUALITY_WEIGHTS as WEIGHTS,
@@ -241,7 +245,7 @@ export class QualityScorer {
     let score = 0;
 
     // Business hours check (40 points)
-    const businessHoursScore = this.scoreBusinessHours(timing);
+    const businessHoursScore = this.scoreBusinessHours(timing, contact);
     score += businessHoursScore;
     result.details.timing.push({
       check: 'business_hours',
@@ -263,7 +267,7 @@ export class QualityScorer {
     }
 
     // Optimal day check (30 points)
-    const dayScore = this.scoreOptimalDay(timing);
+    const dayScore = this.scoreOptimalDay(timing, contact);
     score += dayScore;
     result.details.timing.push({
       check: 'optimal_day',
@@ -380,28 +384,14 @@ export class QualityScorer {
    * Score business hours timing
    * @private
    */
-  static scoreBusinessHours(timing) {
-    if (!timing || !timing.send_time) {
-      // Default to now
-      const now = new Date();
-      const hour = now.getHours();
-      const day = now.getDay();
-
-      // Weekday 9-17 is ideal
-      if (day >= 1 && day <= 5 && hour >= 9 && hour <= 17) return 40;
-      if (day >= 1 && day <= 5 && hour >= 7 && hour <= 19) return 30;
-      if (day >= 1 && day <= 5) return 20;
-      return 10; // Weekend
-    }
-
-    const sendTime = new Date(timing.send_time);
-    const hour = sendTime.getHours();
-    const day = sendTime.getDay();
+  static scoreBusinessHours(timing, contact) {
+    const { hour, day } = this.localSendTime(timing, contact);
 
+    // Weekday 9-17 is ideal
     if (day >= 1 && day <= 5 && hour >= 9 && hour <= 17) return 40;
     if (day >= 1 && day <= 5 && hour >= 7 && hour <= 19) return 30;
     if (day >= 1 && day <= 5) return 20;
-    return 10;
+    return 10; // Weekend
   }
 
   /**
@@ -423,12 +413,29 @@ export class QualityScorer {
   }
 
   /**
-   * Score optimal sending day
+   * Hour and weekday of the send (default now) where the recipient is,
+   * falling back to server time when their timezone is unknown
    * @private
    */
-  static scoreOptimalDay(timing) {
+  static localSendTime(timing, contact) {
     const sendTime = timing?.send_time ? new Date(timing.send_time) : new Date();
-    const day = sendTime.getDay();
+    const timeZone = isValidTimeZone(timing?.timezone)
+      ? timing.timezone
+      : inferRecipientTimeZone(contact || {})?.timeZone;
+
+    if (!timeZone) {
+      return { hour: sendTime.getHours(), day: sendTime.getDay() };
+    }
+    const local = getZonedParts(sendTime, timeZone);
+    return { hour: local.hour, day: local.weekday };
+  }
+
+  /**
+   * Score optimal sending day
+   * @private
+   */
+  static scoreOptimalDay(timing, contact) {
+    const { day } = this.localSendTime(timing, contact);
 
     // Tuesday-Thursday are best
     if (day >= 2 && day <= 4) return 30;
@@ -0,0 +1,303 @@
+/**
+ * Send Scheduler
+ * Holds each campaign touch until it is a reasonable time where the
+ * recipient is, instead of sending whenever the step falls due
+ *
+ * Configured per CampaignInstance in provider_config.send_window:
+ *
+ *   {
+ *     "days": ["tue", "wed", "thu"],
+ *     "start": "08:00",
+ *     "end": "11:00",
+ *     "quiet_hours": { "start": "20:00", "end": "07:00" },
+ *     "respect_holidays": true,
+ *     "holidays": ["2026-02-17"],
+ *     "timezone": "Europe/London",
+ *     "channels": ["email", "linkedin"]
+ *   }
+ *
+ * - All times are the recipient's local time. The timezone is inferred from
+ *   the contact's location or company HQ (recipient-timezone.js); "timezone"
+ *   is only the fallback for contacts nothing can be inferred for
+ * - Public holidays of the recipient's country (config/holidays.js) are
+ *   skipped; "holidays" adds campaign-specific dates (lunar holidays, a
+ *   company-wide shutdown)
+ * - A step outside the window throws SendWindowDeferredError carrying the
+ *   next allowed instant; SequenceEngine reschedules the enrollment to it
+ *
+ * Omitted fields take the environment defaults:
+ *   SEND_QUIET_HOURS       - Quiet hours for every campaign (default 20:00-07:00, "off" to disable)
+ *   SEND_RESPECT_HOLIDAYS  - Skip recipients' public holidays (default true)
+ *   SEND_DEFAULT_TIMEZONE  - Fallback timezone (default none: recipients with
+ *                            an unknown timezone are sent to without a window)
+ */
+
+import { createLogger } from '../utils/logger.js';
+import {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  parseClockTime,
+  toDateKey
+} from '../utils/timezone.js';
+import { inferRecipientTimeZone } from '../utils/recipient-timezone.js';
+import { getHoliday } from '../config/holidays.js';
+
+const logger = createLogger('SendScheduler');
+
+const DAY_MINUTES = 24 * 60;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Far enough ahead to get past any holiday cluster in a Tue-Thu window
+const MAX_LOOKAHEAD_DAYS = 21;
+
+/**
+ * The recipient is outside the campaign's send window.
+ * The send should be retried at retryAt, not counted as a failure.
+ */
+export class SendWindowDeferredError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SendWindowDeferredError';
+    this.retryAt = details.retryAt;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse 'HH:MM-HH:MM' (or { start, end }) quiet hours
+ * @private
+ */
+function parseQuietHours(value) {
+  if (!value || value === 'off') {
+    return null;
+  }
+  const [start, end] = typeof value === 'string' ? value.split('-') : [value.start, value.end];
+  const range = { start: parseClockTime(start), end: parseClockTime(end) };
+  return range.start === null || range.end === null || range.start === range.end ? null : range;
+}
+
+/**
+ * Subtract one minute range from a list of ranges
+ * @private
+ */
+function subtractRange(ranges, [from, to]) {
+  return ranges.flatMap(([start, end]) => {
+    if (to <= start || from >= end) {
+      return [[start, end]];
+    }
+    return [[start, from], [to, end]].filter(([a, b]) => b > a);
+  });
+}
+
+export class SendScheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.quietHours - Default quiet hours (default SEND_QUIET_HOURS or '20:00-07:00')
+   * @param {boolean} options.respectHolidays - Default holiday handling (default SEND_RESPECT_HOLIDAYS or true)
+   * @param {string} options.defaultTimeZone - Fallback timezone (default SEND_DEFAULT_TIMEZONE)
+   */
+  constructor(options = {}) {
+    this.quietHours = parseQuietHours(options.quietHours ?? process.env.SEND_QUIET_HOURS ?? '20:00-07:00');
+    this.respectHolidays = options.respectHolidays ?? process.env.SEND_RESPECT_HOLIDAYS !== 'false';
+    this.defaultTimeZone = options.defaultTimeZone ?? process.env.SEND_DEFAULT_TIMEZONE ?? null;
+  }
+
+  /**
+   * Effective send window of a campaign, with environment defaults applied
+   *
+   * @param {Object} providerConfig - CampaignInstance.provider_config
+   * @returns {Object} { days, start, end, quietHours, respectHolidays, holidays, timeZone, channels }
+   *   start/end/quietHours in minutes after local midnight
+   */
+  resolveWindow(providerConfig = {}) {
+    const config = providerConfig?.send_window || {};
+
+    const days = Array.isArray(config.days) && config.days.length > 0
+      ? new Set(config.days.map(day => WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase())).filter(day => day >= 0))
+      : new Set([0, 1, 2, 3, 4, 5, 6]);
+
+    let start = parseClockTime(config.start) ?? 0;
+    let end = parseClockTime(config.end) ?? DAY_MINUTES;
+    if (start >= end) {
+      logger.warn('Ignoring send window hours, start is not before end', { start: config.start, end: config.end });
+      start = 0;
+      end = DAY_MINUTES;
+    }
+
+    return {
+      days,
+      start,
+      end,
+      quietHours: config.quiet_hours === undefined ? this.quietHours : parseQuietHours(config.quiet_hours),
+      respectHolidays: config.respect_holidays ?? this.respectHolidays,
+      holidays: new Set(config.holidays || []),
+      timeZone: isValidTimeZone(config.timezone) ? config.timezone : this.defaultTimeZone,
+      channels: config.channels || null
+    };
+  }
+
+  /**
+   * Timezone and country the window is applied in for a contact
+   *
+   * @param {Object} contact - Enrollment metadata
+   * @param {Object} window - From resolveWindow()
+   * @returns {{timeZone: string, country: string|null, source: string}|null}
+   */
+  resolveRecipient(contact, window) {
+    const inferred = inferRecipientTimeZone(contact);
+    if (inferred) {
+      return inferred;
+    }
+    return window.timeZone
+      ? { timeZone: window.timeZone, country: null, source: 'campaign_default' }
+      : null;
+  }
+
+  /**
+   * Earliest instant at or after `now` a contact may be sent to
+   *
+   * @param {Object} contact - Enrollment metadata
+   * @param {Object} window - From resolveWindow()
+   * @param {Date} now
+   * @returns {Object} { allowed, retryAt, reason, timeZone, country, source }
+   *   allowed is true when no timezone is known; retryAt is null when the
+   *   window never opens within the lookahead (e.g. every allowed day is a holiday)
+   */
+  nextAllowedTime(contact, window, now = new Date()) {
+    const recipient = this.resolveRecipient(contact, window);
+    if (!recipient) {
+      return { allowed: true, retryAt: null, reason: 'timezone_unknown', timeZone: null, country: null, source: null };
+    }
+
+    const { timeZone, country } = recipient;
+    const local = getZonedParts(now, timeZone);
+    const nowMinute = local.hour * 60 + local.minute + local.second / 60;
+
+    let reason = null;
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const date = addDays(local, offset);
+      const blocked = this._dayBlockedReason(date, country, window);
+
+      if (blocked) {
+        reason = reason || blocked;
+        continue;
+      }
+
+      for (const [start, end] of this._openRanges(window)) {
+        if (offset === 0 && nowMinute >= end) {
+          continue;
+        }
+        if (offset === 0 && nowMinute >= start) {
+          return { allowed: true, retryAt: now, reason: null, ...recipient };
+        }
+
+        const retryAt = zonedTimeToUtc({ ...date, hour: Math.floor(start / 60), minute: start % 60 }, timeZone);
+        if (!reason) {
+          reason = this._inQuietHours(nowMinute, window) ? 'quiet_hours' : 'outside_window';
+        }
+        return { allowed: false, retryAt, reason, ...recipient };
+      }
+
+      reason = reason || (this._inQuietHours(nowMinute, window) ? 'quiet_hours' : 'outside_window');
+    }
+
+    return { allowed: false, retryAt: null, reason, ...recipient };
+  }
+
+  /**
+   * Throw SendWindowDeferredError unless the contact may be sent to now
+   *
+   * @param {Object} contact - Enrollment metadata
+   * @param {Object} instance - CampaignInstance
+   * @param {Object} context - { channel, enrollmentId, stepNumber, now }
+   */
+  assertAllowed(contact, instance, { channel, enrollmentId, stepNumber, now = new Date() } = {}) {
+    const window = this.resolveWindow(instance.provider_config);
+    if (window.channels && !window.channels.includes(channel)) {
+      return;
+    }
+
+    const result = this.nextAllowedTime(contact, window, now);
+    if (result.allowed) {
+      return;
+    }
+
+    if (!result.retryAt) {
+      // A window that never opens is a configuration problem; holding the
+      // enrollment forever would hide it
+      logger.warn('Send window never opens for recipient, sending anyway', {
+        campaignId: instance.id,
+        enrollmentId,
+        stepNumber,
+        timeZone: result.timeZone,
+        country: result.country
+      });
+      return;
+    }
+
+    throw new SendWindowDeferredError(
+      `Recipient is outside the send window (${result.reason}) until ${result.retryAt.toISOString()}`,
+      {
+        retryAt: result.retryAt,
+        reason: result.reason,
+        timeZone: result.timeZone,
+        country: result.country,
+        source: result.source,
+        channel,
+        enrollmentId
+      }
+    );
+  }
+
+  /**
+   * Why a whole local day is closed, or null
+   * @private
+   */
+  _dayBlockedReason(date, country, window) {
+    if (!window.days.has(date.weekday)) {
+      return 'day_not_allowed';
+    }
+    if (window.holidays.has(toDateKey(date))) {
+      return 'holiday';
+    }
+    if (window.respectHolidays && country && getHoliday(country, date)) {
+      return 'holiday';
+    }
+    return null;
+  }
+
+  /**
+   * Minute ranges of a day inside the window and outside quiet hours
+   * @private
+   */
+  _openRanges(window) {
+    let ranges = [[window.start, window.end]];
+    const quiet = window.quietHours;
+    if (quiet) {
+      ranges = quiet.start < quiet.end
+        ? subtractRange(ranges, [quiet.start, quiet.end])
+        : subtractRange(subtractRange(ranges, [quiet.start, DAY_MINUTES]), [0, quiet.end]);
+    }
+    return ranges;
+  }
+
+  /**
+   * @private
+   */
+  _inQuietHours(minute, window) {
+    const quiet = window.quietHours;
+    if (!quiet) {
+      return false;
+    }
+    return quiet.start < quiet.end
+      ? minute >= quiet.start && minute < quiet.end
+      : minute >= quiet.start || minute < quiet.end;
+  }
+}
+
+// Export singleton instance
+export const sendScheduler = new SendScheduler();
+
+export default sendScheduler;
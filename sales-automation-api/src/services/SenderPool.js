@@ -0,0 +1,543 @@
+/**
+ * Sender Pool
+ * Spreads a campaign's email sends across several mailboxes/domains
+ *
+ * Configured per CampaignInstance in provider_config.sender_pool:
+ *
+ *   {
+ *     "strategy": "round_robin" | "weighted",
+ *     "mailboxes": [
+ *       { "address": "ana@acme-mail.com", "provider": "smtp", "daily_cap": 40,
+ *         "password_env": "SMTP_MAILBOX_ANA_PASSWORD" },
+ *       { "address": "ben@acme-outreach.com", "provider": "postmark", "daily_cap": 80,
+ *         "weight": 2, "server_token_env": "POSTMARK_MAILBOX_OUTREACH_TOKEN" }
+ *     ],
+ *     "thresholds": { "bounce_rate": 0.05, "complaint_rate": 0.003, "min_sends": 50, "window_days": 7 }
+ *   }
+ *
+ * - Rotation: each enrollment's first send goes to the mailbox with the
+ *   fewest sends today (round_robin) or the fewest sends per unit of weight
+ *   (weighted), so the choice is stable across API processes
+ * - Pinning: follow-ups reuse the enrollment's mailbox (metadata.sender_mailbox)
+ *   so they thread and replies reach the same inbox; a capped pinned mailbox
+ *   waits for its reset, a suspended or removed one is replaced
+ * - Daily caps: a send slot is reserved with one conditional upsert on
+ *   sender_mailbox_usage, so concurrent workers never exceed daily_cap
+ * - Auto-suspend: bounce and spam events on the campaign event bus are
+ *   attributed to the sending mailbox; crossing a threshold over the rolling
+ *   window removes the mailbox from rotation until resumed
+ *
+ * Mailboxes are keyed by sender address: a mailbox shared by several
+ * campaigns shares its quota and its reputation.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { providerFactory } from '../providers/ProviderFactory.js';
+import { campaignEventBus } from './CampaignEventBus.js';
+import { EVENT_TYPES } from '../providers/events/EventNormalizer.js';
+
+const logger = createLogger('SenderPool');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_THRESHOLDS = {
+  bounce_rate: 0.05,
+  complaint_rate: 0.003,
+  min_sends: 50,
+  window_days: 7
+};
+
+/**
+ * Every mailbox in the pool is suspended or at its daily cap.
+ * The send should be retried at retryAt, not counted as a failure.
+ */
+export class SenderPoolExhaustedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SenderPoolExhaustedError';
+    this.retryAt = details.retryAt;
+    this.details = details;
+  }
+}
+
+// Lazy-load models to avoid circular dependencies (and DB connection on import)
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+export class SenderPool {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providerFactory - Provider factory (injectable for tests)
+   * @param {Object} options.eventBus - Campaign event bus (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.providerFactory = options.providerFactory || providerFactory;
+    this.eventBus = options.eventBus || campaignEventBus;
+    this.unsubscribe = null;
+    this.pending = new Set();
+  }
+
+  /**
+   * Start attributing bounces and complaints to sending mailboxes
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+
+    this.unsubscribe = this.eventBus.subscribe(event => {
+      const eventType = event.event_type;
+      if (eventType !== EVENT_TYPES.EMAIL_BOUNCED && eventType !== EVENT_TYPES.EMAIL_SPAM_REPORTED) {
+        return;
+      }
+
+      const work = this.recordOutcome(event)
+        .catch(error => {
+          logger.error('Failed to record sender mailbox outcome', {
+            eventType,
+            providerMessageId: event.provider_message_id,
+            error: error.message
+          });
+        })
+        .finally(() => this.pending.delete(work));
+      this.pending.add(work);
+    });
+
+    logger.info('Sender pool reputation tracking started');
+  }
+
+  /**
+   * Stop listening and wait for in-flight outcome updates
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    await Promise.allSettled([...this.pending]);
+  }
+
+  /**
+   * Read and normalize a campaign's sender pool
+   *
+   * @param {Object} providerConfig - CampaignInstance.provider_config
+   * @returns {Object|null} { strategy, mailboxes, thresholds } or null when no pool
+   */
+  static getPoolConfig(providerConfig) {
+    const pool = providerConfig?.sender_pool;
+    if (!pool || !Array.isArray(pool.mailboxes) || pool.mailboxes.length === 0) {
+      return null;
+    }
+
+    return {
+      strategy: pool.strategy === 'weighted' ? 'weighted' : 'round_robin',
+      mailboxes: pool.mailboxes.map(mailbox => ({
+        ...mailbox,
+        address: String(mailbox.address).toLowerCase().trim(),
+        daily_cap: mailbox.daily_cap ?? 50,
+        weight: mailbox.weight ?? 1
+      })),
+      thresholds: { ...DEFAULT_THRESHOLDS, ...(pool.thresholds || {}) }
+    };
+  }
+
+  /**
+   * Mailboxes that can send now, best candidate first
+   *
+   * @param {Object} pool - From getPoolConfig()
+   * @param {Map<string, number>} sentToday - Sends today by address
+   * @param {Set<string>} suspended - Suspended addresses
+   * @param {string} pinned - Address the enrollment already sends from
+   * @returns {Array<Object>} Eligible mailboxes in rotation order; only the
+   *   pinned mailbox (or nothing while it is capped) when it is still usable
+   */
+  static orderCandidates(pool, sentToday, suspended = new Set(), pinned = null) {
+    const load = mailbox => {
+      const sent = sentToday.get(mailbox.address) || 0;
+      return pool.strategy === 'weighted' ? (sent + 1) / mailbox.weight : sent;
+    };
+
+    const pinnedAddress = pinned?.toLowerCase().trim();
+    const mailboxes = pool.mailboxes.some(mailbox => mailbox.address === pinnedAddress) && !suspended.has(pinnedAddress)
+      ? pool.mailboxes.filter(mailbox => mailbox.address === pinnedAddress)
+      : pool.mailboxes;
+
+    // Array.prototype.sort is stable: ties keep configuration order
+    return mailboxes
+      .filter(mailbox => !suspended.has(mailbox.address))
+      .filter(mailbox => (sentToday.get(mailbox.address) || 0) < mailbox.daily_cap)
+      .sort((a, b) => load(a) - load(b));
+  }
+
+  /**
+   * Sum usage rows into send/bounce/complaint rates
+   *
+   * @param {Array<Object>} rows - sender_mailbox_usage rows
+   * @returns {Object} { sent, bounced, complaints, bounceRate, complaintRate }
+   */
+  static computeRates(rows) {
+    const totals = rows.reduce((acc, row) => ({
+      sent: acc.sent + (row.sent_count || 0),
+      bounced: acc.bounced + (row.bounced_count || 0),
+      complaints: acc.complaints + (row.complaint_count || 0)
+    }), { sent: 0, bounced: 0, complaints: 0 });
+
+    return {
+      ...totals,
+      bounceRate: totals.sent > 0 ? totals.bounced / totals.sent : 0,
+      complaintRate: totals.sent > 0 ? totals.complaints / totals.sent : 0
+    };
+  }
+
+  /**
+   * Decide whether rates warrant suspending a mailbox
+   * Complaints are checked first: they hurt domain reputation most.
+   *
+   * @param {Object} rates - From computeRates()
+   * @param {Object} thresholds - Pool thresholds
+   * @returns {Object|null} { reason, rate, threshold, sent } or null to keep sending
+   */
+  static evaluateThresholds(rates, thresholds) {
+    if (rates.sent < thresholds.min_sends) {
+      return null;
+    }
+
+    if (rates.complaints > 0 && rates.complaintRate >= thresholds.complaint_rate) {
+      return { reason: 'complaint_rate', rate: rates.complaintRate, threshold: thresholds.complaint_rate, sent: rates.sent };
+    }
+
+    if (rates.bounced > 0 && rates.bounceRate >= thresholds.bounce_rate) {
+      return { reason: 'bounce_rate', rate: rates.bounceRate, threshold: thresholds.bounce_rate, sent: rates.sent };
+    }
+
+    return null;
+  }
+
+  /**
+   * UTC calendar date (YYYY-MM-DD); daily caps reset at UTC midnight
+   */
+  static utcDate(date = new Date()) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Next UTC midnight after date
+   */
+  static nextUtcMidnight(date = new Date()) {
+    const next = new Date(date);
+    next.setUTCHours(24, 0, 0, 0);
+    return next;
+  }
+
+  /**
+   * Reserve a send slot on the enrollment's mailbox, or the next in rotation
+   *
+   * @param {Object} instance - CampaignInstance
+   * @param {Object} options
+   * @param {string} options.pinned - Enrollment's metadata.sender_mailbox
+   * @param {Date} options.now - Reference time
+   * @returns {Promise<Object|null>} { mailbox, provider, release } or null when
+   *   the campaign has no sender pool. Call release() if the send fails.
+   * @throws {SenderPoolExhaustedError} If no mailbox can send today
+   */
+  async acquire(instance, { pinned = null, now = new Date() } = {}) {
+    const pool = SenderPool.getPoolConfig(instance.provider_config);
+    if (!pool) {
+      return null;
+    }
+
+    const { SenderMailboxUsage, SenderMailboxSuspension } = await getModels();
+    const today = SenderPool.utcDate(now);
+    const addresses = pool.mailboxes.map(mailbox => mailbox.address);
+
+    const [usageRows, suspensions] = await Promise.all([
+      SenderMailboxUsage.findAll({ where: { mailbox: addresses, date: today } }),
+      SenderMailboxSuspension.findAll({ where: { mailbox: addresses } })
+    ]);
+
+    const sentToday = new Map(usageRows.map(row => [row.mailbox, row.sent_count]));
+    const suspended = new Set(suspensions.map(row => row.mailbox));
+
+    for (const mailbox of SenderPool.orderCandidates(pool, sentToday, suspended, pinned)) {
+      // Another worker may have taken the last slot since we read usage
+      if (!(await this._reserveSlot(mailbox, today))) {
+        continue;
+      }
+
+      try {
+        const provider = await this.providerFactory.createMailboxEmailProvider(mailbox);
+        return {
+          mailbox,
+          provider,
+          release: () => this._releaseSlot(mailbox.address, today)
+        };
+      } catch (error) {
+        await this._releaseSlot(mailbox.address, today);
+        throw error;
+      }
+    }
+
+    const retryAt = SenderPool.nextUtcMidnight(now);
+    logger.warn('Sender pool exhausted', {
+      instanceId: instance.id,
+      pinned,
+      mailboxes: addresses.length,
+      suspended: suspended.size,
+      retryAt
+    });
+
+    throw new SenderPoolExhaustedError(
+      `All ${addresses.length} sender mailbox(es) are suspended or at their daily cap`,
+      { instanceId: instance.id, retryAt }
+    );
+  }
+
+  /**
+   * Attribute a bounce or spam complaint to the mailbox that sent the message
+   * and suspend it if the pool's thresholds are crossed
+   *
+   * @param {Object} event - Published CampaignEvent
+   * @returns {Promise<Object|null>} Suspension created, if any
+   */
+  async recordOutcome(event) {
+    if (!event.provider_message_id) {
+      return null;
+    }
+
+    const { CampaignEvent, CampaignInstance, sequelize } = await getModels();
+
+    const sent = await CampaignEvent.findOne({
+      where: {
+        event_type: EVENT_TYPES.EMAIL_SENT,
+        provider_message_id: event.provider_message_id
+      },
+      attributes: ['instance_id', 'metadata']
+    });
+
+    const address = sent?.metadata?.sender_mailbox;
+    if (!address) {
+      // Not sent through a sender pool
+      return null;
+    }
+
+    // SECURITY: column is one of two fixed names, never taken from the event
+    const column = event.event_type === EVENT_TYPES.EMAIL_SPAM_REPORTED ? 'complaint_count' : 'bounced_count';
+
+    await sequelize.query(`
+      INSERT INTO sender_mailbox_usage (mailbox, date, sent_count, bounced_count, complaint_count, created_at, updated_at)
+      VALUES (:address, :today, 0, :bounced, :complaints, NOW(), NOW())
+      ON CONFLICT (mailbox, date)
+      DO UPDATE SET ${column} = sender_mailbox_usage.${column} + 1, updated_at = NOW()
+    `, {
+      replacements: {
+        address,
+        today: SenderPool.utcDate(),
+        bounced: column === 'bounced_count' ? 1 : 0,
+        complaints: column === 'complaint_count' ? 1 : 0
+      }
+    });
+
+    const instance = await CampaignInstance.findByPk(sent.instance_id || event.instance_id, {
+      attributes: ['id', 'provider_config']
+    });
+    const pool = SenderPool.getPoolConfig(instance?.provider_config);
+    const thresholds = pool?.thresholds || DEFAULT_THRESHOLDS;
+
+    const rates = await this.getRates(address, thresholds.window_days);
+    const breach = SenderPool.evaluateThresholds(rates, thresholds);
+    if (!breach) {
+      return null;
+    }
+
+    return this.suspend(address, breach.reason, {
+      ...breach,
+      window_days: thresholds.window_days,
+      instance_id: instance?.id
+    });
+  }
+
+  /**
+   * Rolling send/bounce/complaint rates for a mailbox
+   *
+   * @param {string} address - Sender address
+   * @param {number} windowDays - Days to include (today counts as one)
+   */
+  async getRates(address, windowDays = DEFAULT_THRESHOLDS.window_days) {
+    const { SenderMailboxUsage, sequelize } = await getModels();
+    const { Op } = sequelize.Sequelize;
+    const since = SenderPool.utcDate(new Date(Date.now() - (windowDays - 1) * DAY_MS));
+
+    const rows = await SenderMailboxUsage.findAll({
+      where: { mailbox: address, date: { [Op.gte]: since } }
+    });
+
+    return SenderPool.computeRates(rows);
+  }
+
+  /**
+   * Take a mailbox out of rotation
+   *
+   * @param {string} address - Sender address
+   * @param {string} reason - bounce_rate | complaint_rate | manual
+   * @param {Object} details - Rates/thresholds for the audit trail
+   */
+  async suspend(address, reason, details = {}) {
+    const { SenderMailboxSuspension } = await getModels();
+    const mailbox = address.toLowerCase();
+
+    const [suspension, created] = await SenderMailboxSuspension.findOrCreate({
+      where: { mailbox },
+      defaults: { mailbox, reason, details, suspended_at: new Date() }
+    });
+
+    if (created) {
+      logger.warn('Sender mailbox suspended', { mailbox, reason, ...details });
+    }
+
+    return suspension;
+  }
+
+  /**
+   * Put a suspended mailbox back into rotation
+   *
+   * @param {string} address - Sender address
+   * @returns {Promise<boolean>} True if the mailbox was suspended
+   */
+  async resume(address) {
+    const { SenderMailboxSuspension } = await getModels();
+    const mailbox = address.toLowerCase();
+    const deleted = await SenderMailboxSuspension.destroy({ where: { mailbox } });
+
+    if (deleted > 0) {
+      logger.info('Sender mailbox resumed', { mailbox });
+    }
+
+    return deleted > 0;
+  }
+
+  /**
+   * Quota and reputation of every mailbox used by an active campaign
+   *
+   * @returns {Promise<Array<Object>>} One entry per mailbox
+   */
+  async getQuotaReport(now = new Date()) {
+    const { CampaignInstance, SenderMailboxUsage, SenderMailboxSuspension, sequelize } = await getModels();
+    const { Op } = sequelize.Sequelize;
+
+    const instances = await CampaignInstance.findAll({
+      where: { status: 'active' },
+      attributes: ['id', 'name', 'provider_config']
+    });
+
+    const mailboxes = new Map();
+    for (const instance of instances) {
+      const pool = SenderPool.getPoolConfig(instance.provider_config);
+      for (const mailbox of pool?.mailboxes || []) {
+        const entry = mailboxes.get(mailbox.address) || {
+          address: mailbox.address,
+          provider: mailbox.provider,
+          daily_cap: mailbox.daily_cap,
+          window_days: pool.thresholds.window_days,
+          campaigns: []
+        };
+        // A mailbox shared by campaigns is held to the strictest cap
+        entry.daily_cap = Math.min(entry.daily_cap, mailbox.daily_cap);
+        entry.window_days = Math.max(entry.window_days, pool.thresholds.window_days);
+        entry.campaigns.push({ id: instance.id, name: instance.name });
+        mailboxes.set(mailbox.address, entry);
+      }
+    }
+
+    if (mailboxes.size === 0) {
+      return [];
+    }
+
+    const addresses = [...mailboxes.keys()];
+    const today = SenderPool.utcDate(now);
+    const maxWindow = Math.max(...[...mailboxes.values()].map(entry => entry.window_days));
+    const since = SenderPool.utcDate(new Date(now.getTime() - (maxWindow - 1) * DAY_MS));
+
+    const [usageRows, suspensions] = await Promise.all([
+      SenderMailboxUsage.findAll({ where: { mailbox: addresses, date: { [Op.gte]: since } } }),
+      SenderMailboxSuspension.findAll({ where: { mailbox: addresses } })
+    ]);
+    const suspensionByMailbox = new Map(suspensions.map(row => [row.mailbox, row]));
+
+    return [...mailboxes.values()].map(entry => {
+      const windowStart = SenderPool.utcDate(new Date(now.getTime() - (entry.window_days - 1) * DAY_MS));
+      const rows = usageRows.filter(row => row.mailbox === entry.address);
+      const sentToday = rows.find(row => row.date === today)?.sent_count || 0;
+      const rates = SenderPool.computeRates(rows.filter(row => row.date >= windowStart));
+      const suspension = suspensionByMailbox.get(entry.address);
+
+      return {
+        ...entry,
+        sent_today: sentToday,
+        remaining_today: suspension ? 0 : Math.max(0, entry.daily_cap - sentToday),
+        resets_at: SenderPool.nextUtcMidnight(now).toISOString(),
+        window: {
+          sent: rates.sent,
+          bounced: rates.bounced,
+          complaints: rates.complaints,
+          bounce_rate: Number(rates.bounceRate.toFixed(4)),
+          complaint_rate: Number(rates.complaintRate.toFixed(4))
+        },
+        status: suspension ? 'suspended' : (sentToday >= entry.daily_cap ? 'capped' : 'active'),
+        suspension: suspension
+          ? { reason: suspension.reason, suspended_at: suspension.suspended_at, details: suspension.details }
+          : null
+      };
+    });
+  }
+
+  /**
+   * Atomically count one send against today's cap
+   * @private
+   * @returns {Promise<boolean>} False if the mailbox hit its cap
+   */
+  async _reserveSlot(mailbox, today) {
+    const { sequelize } = await getModels();
+
+    const rows = await sequelize.query(`
+      INSERT INTO sender_mailbox_usage (mailbox, date, sent_count, bounced_count, complaint_count, created_at, updated_at)
+      VALUES (:address, :today, 1, 0, 0, NOW(), NOW())
+      ON CONFLICT (mailbox, date)
+      DO UPDATE SET sent_count = sender_mailbox_usage.sent_count + 1, updated_at = NOW()
+      WHERE sender_mailbox_usage.sent_count < :cap
+      RETURNING sent_count
+    `, {
+      replacements: { address: mailbox.address, today, cap: mailbox.daily_cap },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Give back a reserved slot after a failed send
+   * @private
+   */
+  async _releaseSlot(address, today) {
+    try {
+      const { SenderMailboxUsage, sequelize } = await getModels();
+      const { Op } = sequelize.Sequelize;
+      await SenderMailboxUsage.decrement('sent_count', {
+        by: 1,
+        where: { mailbox: address, date: today, sent_count: { [Op.gt]: 0 } }
+      });
+    } catch (error) {
+      logger.error('Failed to release sender mailbox slot', { mailbox: address, error: error.message });
+    }
+  }
+}
+
+// Export singleton instance
+export const senderPool = new SenderPool();
+
+export default senderPool;
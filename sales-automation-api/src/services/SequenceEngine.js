@@ -0,0 +1,1138 @@
+/**
+ * Sequence Engine
+ * Executes multi-step campaign sequences for CampaignEnrollment records
+ *
+ * Responsibilities:
+ * - Activate newly enrolled contacts in active campaign instances
+ * - Resume enrollments whose timed pause (e.g. out-of-office) has ended
+ * - Poll enrollments whose next_action_at is due
+ * - Dispatch the step via the configured Email/LinkedIn/Video provider
+ * - Record a CampaignEvent, update instance counters and publish it on the
+ *   campaign event bus
+ * - Advance current_step and schedule next_action_at from delay_hours
+ *
+ * Step model:
+ * - Email and LinkedIn steps of a template are merged into one ordered plan
+ *   (by step_number, email before LinkedIn on ties)
+ * - current_step is the number of plan steps already executed, so
+ *   plan[current_step] is always the next step to run
+ * - delay_hours of a step is measured from the previous step (or from
+ *   enrollment for the first step)
+ * - Several active email steps sharing a step_number are A/B variants of one
+ *   plan step; each enrollment is randomly (and stickily) assigned one of them
+ *
+ * Multiple API processes may run the engine concurrently: each due enrollment
+ * is claimed with a conditional UPDATE (lease) before any provider call.
+ *
+ * Campaigns with provider_config.sender_pool send an enrollment's first email
+ * from the next mailbox in rotation (SenderPool) and its follow-ups from the
+ * same one; when no mailbox can send the enrollment is deferred to the next
+ * cap reset instead of failing.
+ *
+ * Every step is checked against the global suppression list first; a
+ * suppressed contact's enrollment is stopped (bounced for bounces,
+ * unsubscribed otherwise) without contacting them.
+ *
+ * Steps are then held to the campaign's send window in the recipient's
+ * local time (SendScheduler): outside it, or on a public holiday, the
+ * enrollment is deferred to the next allowed instant.
+ *
+ * Once a provider has accepted a step it is never retried: a failed event
+ * write goes to the orphaned event queue (retried, then dead-lettered), and
+ * a failed step advance is remembered so the next claim advances the
+ * enrollment without sending again.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { providerFactory } from '../providers/ProviderFactory.js';
+import { ProviderMessageLookup } from './ProviderMessageLookup.js';
+import { OutcomeTracker } from './OutcomeTracker.js';
+import { ABTestService } from './ABTestService.js';
+import { campaignEventBus } from './CampaignEventBus.js';
+import { senderPool, SenderPoolExhaustedError } from './SenderPool.js';
+import { suppressionList, SuppressedRecipientError } from './SuppressionList.js';
+import { sendScheduler, SendWindowDeferredError } from './SendScheduler.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from './WebhookDispatcher.js';
+import orphanedEventQueue from './OrphanedEventQueue.js';
+import { EVENT_TYPES, CHANNELS } from '../providers/events/EventNormalizer.js';
+
+const logger = createLogger('SequenceEngine');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * LinkedIn step type -> provider method and resulting event type
+ */
+const LINKEDIN_ACTIONS = {
+  profile_visit: { method: 'visitProfile', eventType: EVENT_TYPES.LINKEDIN_PROFILE_VISITED },
+  connection_request: { method: 'sendConnectionRequest', eventType: EVENT_TYPES.LINKEDIN_CONNECTION_SENT },
+  message: { method: 'sendMessage', eventType: EVENT_TYPES.LINKEDIN_MESSAGE_SENT },
+  voice_message: { method: 'sendVoiceMessage', eventType: EVENT_TYPES.LINKEDIN_VOICE_MESSAGE_SENT }
+};
+
+/**
+ * Error raised when a step cannot be executed for this enrollment
+ * (e.g. missing recipient data). Non-retryable: the enrollment is paused.
+ */
+export class SequenceStepError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'SequenceStepError';
+    this.details = details;
+  }
+}
+
+// Lazy-load models to avoid circular dependencies (and DB connection on import)
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+export class SequenceEngine {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - Poll interval (default SEQUENCE_ENGINE_INTERVAL_MS or 60s)
+   * @param {number} options.batchSize - Max enrollments per tick (default SEQUENCE_ENGINE_BATCH_SIZE or 50)
+   * @param {number} options.maxAttempts - Provider failures before pausing an enrollment
+   * @param {Object} options.providerFactory - Provider factory (injectable for tests)
+   * @param {Object} options.senderPool - Sender pool (injectable for tests)
+   * @param {Object} options.suppressionList - Suppression list (injectable for tests)
+   * @param {Object} options.sendScheduler - Send window scheduler (injectable for tests)
+   * @param {Object} options.webhooks - Outbound webhooks (injectable for tests)
+   * @param {Object} options.eventQueue - Orphaned event queue for unrecorded sends (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || parseInt(process.env.SEQUENCE_ENGINE_INTERVAL_MS) || 60000;
+    this.batchSize = options.batchSize || parseInt(process.env.SEQUENCE_ENGINE_BATCH_SIZE) || 50;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.leaseMs = options.leaseMs || 10 * 60 * 1000;
+    this.providerFactory = options.providerFactory || providerFactory;
+    this.senderPool = options.senderPool || senderPool;
+    this.suppressionList = options.suppressionList || suppressionList;
+    this.sendScheduler = options.sendScheduler || sendScheduler;
+    this.webhooks = options.webhooks || webhookDispatcher;
+    this.eventQueue = options.eventQueue || orphanedEventQueue;
+    this.abEvaluationIntervalMs = options.abEvaluationIntervalMs ||
+      parseInt(process.env.AB_TEST_EVALUATION_INTERVAL_MS) || 60 * 60 * 1000;
+    this.lastAbEvaluationAt = 0;
+
+    // Retry backoff for transient provider failures
+    this.retryDelays = [
+      5 * 60 * 1000,   // 5 minutes
+      15 * 60 * 1000,  // 15 minutes
+      HOUR_MS,         // 1 hour
+      4 * HOUR_MS      // 4 hours
+    ];
+
+    // Enrollment ID -> { currentStep, metadata } of a sent step whose advance could not be saved
+    this.unadvanced = new Map();
+
+    this.timer = null;
+    this.processing = false;
+    this.stats = {
+      ticks: 0,
+      activated: 0,
+      resumed: 0,
+      executed: 0,
+      completed: 0,
+      failed: 0,
+      paused: 0,
+      deferred: 0,
+      suppressed: 0
+    };
+  }
+
+  /**
+   * Start polling for due enrollments
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Sequence engine tick failed', { error: error.message, stack: error.stack });
+      });
+    }, this.intervalMs).unref(); // unref to allow clean exit
+
+    logger.info('Sequence engine started', {
+      intervalMs: this.intervalMs,
+      batchSize: this.batchSize
+    });
+  }
+
+  /**
+   * Stop polling and wait for the in-flight tick to finish
+   *
+   * @param {number} maxWait - Max time to wait for current tick (ms)
+   */
+  async stop(maxWait = 30000) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const start = Date.now();
+    while (this.processing && (Date.now() - start < maxWait)) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    if (this.processing) {
+      logger.warn('Sequence engine still processing after stop timeout');
+    }
+
+    logger.info('Sequence engine stopped', { stats: this.stats });
+  }
+
+  /**
+   * Run one poll cycle: activate new enrollments, then execute due steps
+   *
+   * @returns {Promise<Object>} Cycle summary
+   */
+  async tick() {
+    if (this.processing) {
+      logger.debug('Previous tick still running, skipping');
+      return { skipped: true };
+    }
+
+    this.processing = true;
+    this.stats.ticks++;
+    const planCache = new Map();
+
+    try {
+      const activated = await this.activatePendingEnrollments(planCache);
+      const resumed = await this.resumeExpiredPauses();
+      const due = await this.findDueEnrollments();
+
+      const summary = { activated, resumed, due: due.length, executed: 0, completed: 0, failed: 0 };
+
+      for (const enrollment of due) {
+        const result = await this.processEnrollment(enrollment, planCache);
+        if (result.executed) summary.executed++;
+        if (result.completed) summary.completed++;
+        if (result.failed) summary.failed++;
+      }
+
+      if (activated > 0 || resumed > 0 || due.length > 0) {
+        logger.info('Sequence engine cycle complete', summary);
+      }
+
+      await this._evaluateABTests();
+
+      return summary;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Move 'enrolled' enrollments of active instances to 'active' and
+   * schedule their first step
+   *
+   * @param {Map} planCache - Per-tick template plan cache
+   * @returns {Promise<number>} Number of enrollments activated
+   */
+  async activatePendingEnrollments(planCache = new Map()) {
+    const { CampaignEnrollment, CampaignInstance } = await getModels();
+
+    const pending = await CampaignEnrollment.findAll({
+      where: { status: 'enrolled' },
+      include: [{
+        model: CampaignInstance,
+        as: 'instance',
+        where: { status: 'active' },
+        attributes: ['id', 'template_id']
+      }],
+      order: [['enrolled_at', 'ASC']],
+      limit: this.batchSize
+    });
+
+    let activated = 0;
+
+    for (const enrollment of pending) {
+      const plan = await this.getStepPlan(enrollment.instance.template_id, planCache);
+      const firstStep = plan[enrollment.current_step];
+
+      const updates = firstStep
+        ? {
+          status: 'active',
+          next_action_at: SequenceEngine.computeNextActionAt(enrollment.enrolled_at || new Date(), firstStep.delay_hours)
+        }
+        : { status: 'completed', completed_at: new Date(), next_action_at: null };
+
+      // Conditional update so concurrent engines activate each enrollment once
+      const [affected] = await CampaignEnrollment.update(updates, {
+        where: { id: enrollment.id, status: 'enrolled' }
+      });
+
+      if (affected > 0) {
+        activated++;
+        this.stats.activated++;
+        if (!firstStep) {
+          this._publishCompleted(enrollment);
+        }
+      }
+    }
+
+    return activated;
+  }
+
+  /**
+   * Reactivate enrollments paused with an end time (CampaignEnrollment#pause
+   * with `until`, e.g. out-of-office) once that time has passed.
+   * Manually paused enrollments carry no pause.until and stay paused.
+   *
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of enrollments resumed
+   */
+  async resumeExpiredPauses(now = new Date()) {
+    const { CampaignEnrollment, sequelize } = await getModels();
+    const { Op } = sequelize.Sequelize;
+
+    const paused = await CampaignEnrollment.findAll({
+      where: {
+        status: 'paused',
+        next_action_at: { [Op.lte]: now },
+        metadata: { pause: { until: { [Op.ne]: null } } }
+      },
+      order: [['next_action_at', 'ASC']],
+      limit: this.batchSize
+    });
+
+    let resumed = 0;
+
+    for (const enrollment of paused) {
+      const { pause, ...metadata } = enrollment.metadata || {};
+      if (!pause?.until) {
+        continue;
+      }
+
+      // Conditional update so concurrent engines resume each enrollment once
+      const [affected] = await CampaignEnrollment.update(
+        { status: 'active', next_action_at: now, metadata },
+        { where: { id: enrollment.id, status: 'paused' } }
+      );
+
+      if (affected > 0) {
+        resumed++;
+        this.stats.resumed++;
+        logger.info('Resumed paused enrollment', {
+          enrollmentId: enrollment.id,
+          reason: pause.reason,
+          pausedUntil: pause.until
+        });
+      }
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Find active enrollments whose next action is due
+   *
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} Due enrollments (with instance and template)
+   */
+  async findDueEnrollments(now = new Date()) {
+    const { CampaignEnrollment, CampaignInstance, CampaignTemplate, sequelize } = await getModels();
+    const { Op } = sequelize.Sequelize;
+
+    return CampaignEnrollment.findAll({
+      where: {
+        status: 'active',
+        next_action_at: { [Op.lte]: now }
+      },
+      include: [{
+        model: CampaignInstance,
+        as: 'instance',
+        where: { status: 'active' },
+        include: [{ model: CampaignTemplate, as: 'template' }]
+      }],
+      order: [['next_action_at', 'ASC']],
+      limit: this.batchSize
+    });
+  }
+
+  /**
+   * Execute the current step of a due enrollment and schedule the next one
+   *
+   * @param {Object} enrollment - CampaignEnrollment (with instance.template)
+   * @param {Map} planCache - Per-tick template plan cache
+   * @returns {Promise<Object>} { executed, completed, failed }
+   */
+  async processEnrollment(enrollment, planCache = new Map()) {
+    const { CampaignEnrollment } = await getModels();
+    const instance = enrollment.instance;
+
+    // Claim the enrollment: push next_action_at forward only if nobody else did
+    const [claimed] = await CampaignEnrollment.update(
+      { next_action_at: new Date(Date.now() + this.leaseMs) },
+      {
+        where: {
+          id: enrollment.id,
+          status: 'active',
+          current_step: enrollment.current_step,
+          next_action_at: enrollment.next_action_at
+        }
+      }
+    );
+
+    if (claimed === 0) {
+      logger.debug('Enrollment claimed by another worker', { enrollmentId: enrollment.id });
+      return { executed: false };
+    }
+
+    const plan = await this.getStepPlan(instance.template_id, planCache);
+    const step = plan[enrollment.current_step];
+
+    if (!step) {
+      await this._completeEnrollment(enrollment);
+      return { executed: false, completed: true };
+    }
+
+    // Sent on an earlier claim whose step advance failed: only advance
+    const unadvanced = this.unadvanced.get(enrollment.id);
+    if (unadvanced?.currentStep === enrollment.current_step) {
+      enrollment.metadata = unadvanced.metadata;
+      logger.info('Step already sent, retrying the step advance', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number
+      });
+      return this._advanceStep(enrollment, instance, plan);
+    }
+
+    try {
+      await this.executeStep(enrollment, instance, step);
+    } catch (error) {
+      await this._handleStepFailure(enrollment, step, error);
+      return { executed: false, failed: true };
+    }
+
+    this.stats.executed++;
+
+    return this._advanceStep(enrollment, instance, plan);
+  }
+
+  /**
+   * Move an enrollment past the step it just ran (or complete it)
+   * The step is already out, so a failed write is never handled as a step
+   * failure; the step is remembered and the advance retried on the next claim.
+   * @private
+   */
+  async _advanceStep(enrollment, instance, plan) {
+    const currentStep = enrollment.current_step;
+    const metadata = enrollment.metadata;
+    const nextStep = plan[currentStep + 1];
+
+    try {
+      if (!nextStep) {
+        await enrollment.update({
+          current_step: currentStep + 1,
+          status: 'completed',
+          completed_at: new Date(),
+          next_action_at: null,
+          metadata: SequenceEngine._clearFailures(metadata)
+        });
+      } else {
+        await enrollment.update({
+          current_step: currentStep + 1,
+          next_action_at: SequenceEngine.computeNextActionAt(new Date(), nextStep.delay_hours),
+          metadata: SequenceEngine._clearFailures(metadata)
+        });
+      }
+    } catch (error) {
+      this.unadvanced.set(enrollment.id, { currentStep, metadata });
+
+      logger.error('Step sent but the step advance failed, will advance on the next claim', {
+        enrollmentId: enrollment.id,
+        currentStep,
+        error: error.message
+      });
+      return { executed: true, completed: false };
+    }
+
+    this.unadvanced.delete(enrollment.id);
+
+    if (!nextStep) {
+      this.stats.completed++;
+      this._publishCompleted(enrollment);
+
+      logger.info('Enrollment completed sequence', {
+        enrollmentId: enrollment.id,
+        instanceId: instance.id,
+        steps: plan.length
+      });
+
+      return { executed: true, completed: true };
+    }
+
+    return { executed: true, completed: false };
+  }
+
+  /**
+   * Dispatch a single step through the matching provider and record the event
+   *
+   * @param {Object} enrollment - CampaignEnrollment
+   * @param {Object} instance - CampaignInstance (with template)
+   * @param {Object} step - Plan step from buildStepPlan()
+   * @returns {Promise<Object>} Provider result
+   */
+  async executeStep(enrollment, instance, step) {
+    const contact = enrollment.metadata || {};
+    const variables = SequenceEngine.buildVariables(contact);
+
+    // Suppression is global: an opt-out by email also stops LinkedIn touches
+    await this.suppressionList.assertAllowed({
+      email: contact.email,
+      linkedinUrl: contact.linkedin_url || contact.linkedinUrl
+    }, {
+      channel: step.channel,
+      campaignId: instance.id,
+      enrollmentId: enrollment.id,
+      stepNumber: step.step_number
+    });
+
+    this.sendScheduler.assertAllowed(contact, instance, {
+      channel: step.channel,
+      enrollmentId: enrollment.id,
+      stepNumber: step.step_number
+    });
+
+    if (step.channel === CHANNELS.EMAIL) {
+      return this._executeEmailStep(enrollment, instance, step, contact, variables);
+    }
+
+    if (step.channel === CHANNELS.LINKEDIN) {
+      return this._executeLinkedInStep(enrollment, instance, step, contact, variables);
+    }
+
+    throw new SequenceStepError(`Unsupported step channel: ${step.channel}`, { step });
+  }
+
+  /**
+   * Send an email step (optionally generating a personalized video first)
+   * @private
+   */
+  async _executeEmailStep(enrollment, instance, step, contact, variables) {
+    if (!contact.email) {
+      throw new SequenceStepError('Enrollment has no email address for email step', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number
+      });
+    }
+
+    step = this._resolveVariant(enrollment, step);
+
+    // Reserve a sender pool slot first so an exhausted pool wastes no video render
+    const sender = await this.senderPool.acquire(instance, { pinned: contact.sender_mailbox });
+
+    const videoSettings = instance.template?.settings?.video;
+    if (SequenceEngine.shouldAttachVideo(videoSettings, step.step_number)) {
+      const video = await this._executeVideoAction(enrollment, instance, step, videoSettings, variables);
+      if (video?.videoId) {
+        variables.videoId = video.videoId;
+        variables.video_id = video.videoId;
+      }
+    }
+
+    let provider;
+    let result;
+    try {
+      provider = sender?.provider || await this.providerFactory.createEmailProvider();
+
+      result = await provider.send({
+        to: contact.email,
+        subject: step.subject,
+        body: step.body,
+        campaignId: instance.id,
+        enrollmentId: enrollment.id,
+        variables,
+        metadata: {
+          stepNumber: step.step_number,
+          variant: step.ab_variant || undefined
+        }
+      });
+    } catch (error) {
+      // Nothing was sent - give the slot back to today's cap
+      await sender?.release();
+      throw error;
+    }
+
+    // The provider accepted the call but will not send (e.g. Lemlist lead already in campaign)
+    if (result?.status === 'failed') {
+      await sender?.release();
+      throw new SequenceStepError(result.error || `${provider.name} did not send the email`, {
+        provider: provider.name,
+        stepNumber: step.step_number
+      });
+    }
+
+    if (result.messageId) {
+      await this._storeMessageId(enrollment, result.messageId);
+    }
+
+    // Later steps go out from the same mailbox (saved with the step advance)
+    if (sender && contact.sender_mailbox !== sender.mailbox.address) {
+      enrollment.metadata = { ...enrollment.metadata, sender_mailbox: sender.mailbox.address };
+    }
+
+    await this._recordSent(enrollment, instance, step, {
+      eventType: EVENT_TYPES.EMAIL_SENT,
+      channel: CHANNELS.EMAIL,
+      provider: provider.name,
+      providerMessageId: result.messageId,
+      metadata: {
+        subject: step.subject,
+        variant: step.ab_variant || null,
+        sender_mailbox: sender?.mailbox.address
+      }
+    });
+
+    metrics.counter('outreach.sent', 1, { channel: CHANNELS.EMAIL });
+
+    // Learning outcome is tracked per enrollment; seed it on the first email
+    if (!contact.outcome_recorded) {
+      try {
+        await OutcomeTracker.recordSend({
+          enrollment_id: enrollment.id,
+          template_used: instance.template?.name,
+          subject_line: step.subject,
+          persona: contact.persona,
+          industry: contact.industry,
+          company_size: contact.company_size,
+          region: contact.region,
+          channel: CHANNELS.EMAIL
+        });
+        enrollment.metadata = { ...enrollment.metadata, outcome_recorded: true };
+      } catch (error) {
+        logger.warn('Failed to record outreach outcome', {
+          enrollmentId: enrollment.id,
+          error: error.message
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve the A/B variant this enrollment receives for a plan step
+   * The first assignment is random and stored in metadata.ab_variants so
+   * retries and outcome aggregation see the same variant.
+   * @private
+   */
+  _resolveVariant(enrollment, step) {
+    if (!step.variants) {
+      return { ...step, ab_variant: step.a_b_variant || null };
+    }
+
+    const assignments = enrollment.metadata?.ab_variants || {};
+    const assigned = assignments[step.step_number];
+    let variant = step.variants.find(v => ABTestService.variantKey(v) === assigned);
+
+    if (!variant) {
+      variant = ABTestService.pickVariant(step.variants);
+      enrollment.metadata = {
+        ...enrollment.metadata,
+        ab_variants: { ...assignments, [step.step_number]: ABTestService.variantKey(variant) }
+      };
+    }
+
+    return { ...variant, channel: step.channel, ab_variant: ABTestService.variantKey(variant) };
+  }
+
+  /**
+   * Periodically evaluate running A/B tests and promote significant winners
+   * @private
+   */
+  async _evaluateABTests() {
+    if (Date.now() - this.lastAbEvaluationAt < this.abEvaluationIntervalMs) {
+      return;
+    }
+    this.lastAbEvaluationAt = Date.now();
+
+    try {
+      const results = await ABTestService.evaluateActiveTests();
+      const promoted = results.filter(r => r.promoted);
+
+      if (promoted.length > 0) {
+        logger.info('A/B test winners promoted', {
+          promoted: promoted.map(r => ({ templateId: r.templateId, stepNumber: r.stepNumber, winner: r.winner }))
+        });
+      }
+    } catch (error) {
+      logger.error('A/B test evaluation failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Execute a LinkedIn step
+   * @private
+   */
+  async _executeLinkedInStep(enrollment, instance, step, contact, variables) {
+    const action = LINKEDIN_ACTIONS[step.type];
+
+    if (!action) {
+      throw new SequenceStepError(`Unsupported LinkedIn step type: ${step.type}`, { step });
+    }
+
+    const profileUrl = contact.linkedin_url || contact.linkedinUrl;
+    if (!profileUrl) {
+      throw new SequenceStepError('Enrollment has no LinkedIn profile URL for LinkedIn step', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number
+      });
+    }
+
+    const provider = await this.providerFactory.createLinkedInProvider();
+
+    const result = await provider[action.method]({
+      profileUrl,
+      message: step.message,
+      campaignId: instance.id,
+      enrollmentId: enrollment.id,
+      variables,
+      metadata: { stepNumber: step.step_number }
+    });
+
+    if (result?.supported === false) {
+      throw new SequenceStepError(`LinkedIn provider does not support ${step.type} steps`, {
+        provider: provider.name,
+        stepType: step.type
+      });
+    }
+
+    if (result?.status === 'failed') {
+      throw new SequenceStepError(result.error || `${provider.name} did not queue the LinkedIn ${step.type}`, {
+        provider: provider.name,
+        stepType: step.type
+      });
+    }
+
+    const actionId = result?.actionId || result?.messageId;
+    if (actionId) {
+      await this._storeMessageId(enrollment, enrollment.provider_message_id, { providerActionId: actionId });
+    }
+
+    await this._recordSent(enrollment, instance, step, {
+      eventType: action.eventType,
+      channel: CHANNELS.LINKEDIN,
+      provider: provider.name,
+      providerMessageId: actionId,
+      metadata: { stepType: step.type }
+    });
+
+    if (step.type !== 'profile_visit') {
+      metrics.counter('outreach.sent', 1, { channel: CHANNELS.LINKEDIN });
+    }
+
+    return result;
+  }
+
+  /**
+   * Kick off personalized video generation for an email step
+   * Video failures are recorded but never block the email itself.
+   * @private
+   */
+  async _executeVideoAction(enrollment, instance, step, videoSettings, variables) {
+    try {
+      const provider = await this.providerFactory.createVideoProvider();
+
+      const result = await provider.generateVideo({
+        avatarId: videoSettings.avatar_id || videoSettings.avatarId,
+        voiceId: videoSettings.voice_id || videoSettings.voiceId,
+        script: videoSettings.script,
+        variables,
+        options: videoSettings.options || {},
+        campaignId: instance.id,
+        enrollmentId: enrollment.id,
+        metadata: { stepNumber: step.step_number }
+      });
+
+      await this._recordEvent(enrollment, instance, step, {
+        eventType: EVENT_TYPES.VIDEO_GENERATED,
+        channel: CHANNELS.VIDEO,
+        provider: provider.name,
+        providerMessageId: result.videoId,
+        videoId: result.videoId,
+        videoStatus: result.status
+      });
+
+      return result;
+    } catch (error) {
+      logger.warn('Video generation failed for sequence step, sending without video', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number,
+        error: error.message
+      });
+
+      await this._recordEvent(enrollment, instance, step, {
+        eventType: EVENT_TYPES.VIDEO_GENERATION_FAILED,
+        channel: CHANNELS.VIDEO,
+        metadata: { error: error.message }
+      });
+
+      return null;
+    }
+  }
+
+  /**
+   * Persist a CampaignEvent and bump the matching instance counter
+   * @private
+   */
+  async _recordEvent(enrollment, instance, step, event) {
+    const { CampaignEvent, CampaignInstance } = await getModels();
+
+    const record = await CampaignEvent.create(SequenceEngine._eventData(enrollment, instance, step, event));
+
+    if (event.eventType === EVENT_TYPES.EMAIL_SENT) {
+      await CampaignInstance.increment('total_sent', { by: 1, where: { id: instance.id } });
+    }
+
+    campaignEventBus.publish(record);
+  }
+
+  /**
+   * Record the event for a step the provider has accepted
+   * Never throws: if the write fails the event is handed to the orphaned
+   * event queue, which retries it and dead-letters it when retries run out.
+   * @private
+   */
+  async _recordSent(enrollment, instance, step, event) {
+    const timestamped = { ...event, timestamp: new Date() };
+
+    try {
+      await this._recordEvent(enrollment, instance, step, timestamped);
+    } catch (error) {
+      logger.error('Failed to record sent step, queueing the event', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number,
+        eventType: event.eventType,
+        error: error.message
+      });
+
+      try {
+        await this.eventQueue.enqueue(SequenceEngine._eventData(enrollment, instance, step, timestamped));
+      } catch (queueError) {
+        logger.error('Failed to queue sent step event', {
+          enrollmentId: enrollment.id,
+          stepNumber: step.step_number,
+          error: queueError.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Store the provider message ID of a sent step for webhook correlation
+   * Failures are logged only: the step's event also carries the ID.
+   * @private
+   */
+  async _storeMessageId(enrollment, messageId, options) {
+    try {
+      await ProviderMessageLookup.storeMessageId(enrollment.id, messageId, options);
+    } catch (error) {
+      logger.error('Failed to store provider message ID for sent step', {
+        enrollmentId: enrollment.id,
+        messageId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * CampaignEvent fields for a sequence step event
+   * @private
+   */
+  static _eventData(enrollment, instance, step, event) {
+    return {
+      enrollment_id: enrollment.id,
+      instance_id: instance.id,
+      event_type: event.eventType,
+      channel: event.channel,
+      step_number: step.step_number,
+      timestamp: event.timestamp || new Date(),
+      provider: event.provider || null,
+      provider_message_id: event.providerMessageId || null,
+      video_id: event.videoId || null,
+      video_status: event.videoStatus || null,
+      metadata: { source: 'sequence_engine', ...(event.metadata || {}) }
+    };
+  }
+
+  /**
+   * Retry transient failures with backoff; pause the enrollment when the
+   * step can never succeed or retries are exhausted
+   * @private
+   */
+  async _handleStepFailure(enrollment, step, error) {
+    // Out of sender capacity is not the enrollment's fault: wait for the cap reset
+    if (error instanceof SenderPoolExhaustedError) {
+      await enrollment.update({ next_action_at: error.retryAt });
+      this.stats.deferred++;
+
+      logger.info('Sequence step deferred, sender pool exhausted', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number,
+        retryAt: error.retryAt
+      });
+      return;
+    }
+
+    // Outside the recipient's send window: hold until it opens
+    if (error instanceof SendWindowDeferredError) {
+      await enrollment.update({ next_action_at: error.retryAt });
+      this.stats.deferred++;
+
+      logger.info('Sequence step deferred, outside send window', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number,
+        reason: error.details.reason,
+        timeZone: error.details.timeZone,
+        retryAt: error.retryAt
+      });
+      return;
+    }
+
+    // Suppressed contacts are never retried (a provider may also raise this)
+    if (error instanceof SuppressedRecipientError) {
+      const { entry } = error;
+      await enrollment.update({
+        status: entry.reason === 'bounce' ? 'bounced' : 'unsubscribed',
+        next_action_at: null,
+        metadata: {
+          ...enrollment.metadata,
+          suppressed: { type: entry.type, reason: entry.reason, at: new Date().toISOString() }
+        }
+      });
+      this.stats.suppressed++;
+
+      logger.info('Sequence stopped, contact is suppressed', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number,
+        type: entry.type,
+        reason: entry.reason
+      });
+      return;
+    }
+
+    this.stats.failed++;
+
+    const failures = (enrollment.metadata?.sequence_failures || 0) + 1;
+    const permanent = error instanceof SequenceStepError || failures >= this.maxAttempts;
+
+    const metadata = {
+      ...enrollment.metadata,
+      sequence_failures: failures,
+      sequence_last_error: error.message,
+      sequence_last_error_at: new Date().toISOString()
+    };
+
+    if (permanent) {
+      await enrollment.update({ status: 'paused', next_action_at: null, metadata });
+      this.stats.paused++;
+
+      logger.error('Sequence step failed, enrollment paused', {
+        enrollmentId: enrollment.id,
+        stepNumber: step.step_number,
+        channel: step.channel,
+        failures,
+        error: error.message
+      });
+      return;
+    }
+
+    const delay = this.retryDelays[Math.min(failures - 1, this.retryDelays.length - 1)];
+    await enrollment.update({ next_action_at: new Date(Date.now() + delay), metadata });
+
+    logger.warn('Sequence step failed, will retry', {
+      enrollmentId: enrollment.id,
+      stepNumber: step.step_number,
+      channel: step.channel,
+      failures,
+      retryInMs: delay,
+      error: error.message
+    });
+  }
+
+  /**
+   * Mark an enrollment whose plan has no remaining steps as completed
+   * @private
+   */
+  async _completeEnrollment(enrollment) {
+    await enrollment.update({
+      status: 'completed',
+      completed_at: new Date(),
+      next_action_at: null
+    });
+    this.stats.completed++;
+    this._publishCompleted(enrollment);
+  }
+
+  /**
+   * Publish enrollment.completed for an enrollment that ran out of steps
+   * @private
+   */
+  _publishCompleted(enrollment) {
+    this.webhooks.publish(WEBHOOK_EVENTS.ENROLLMENT_COMPLETED, {
+      enrollment_id: enrollment.id,
+      instance_id: enrollment.instance_id,
+      reason: 'sequence_finished',
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Load (and cache per tick) the ordered step plan for a template
+   *
+   * @param {string} templateId - CampaignTemplate ID
+   * @param {Map} planCache - Cache keyed by template ID
+   * @returns {Promise<Array>} Ordered plan steps
+   */
+  async getStepPlan(templateId, planCache = new Map()) {
+    if (planCache.has(templateId)) {
+      return planCache.get(templateId);
+    }
+
+    const { EmailSequence, LinkedInSequence } = await getModels();
+
+    const [emailSteps, linkedinSteps] = await Promise.all([
+      EmailSequence.findAll({ where: { template_id: templateId, is_active: true } }),
+      LinkedInSequence.findAll({ where: { template_id: templateId, is_active: true } })
+    ]);
+
+    const plan = SequenceEngine.buildStepPlan(
+      emailSteps.map(s => s.get({ plain: true })),
+      linkedinSteps.map(s => s.get({ plain: true }))
+    );
+
+    planCache.set(templateId, plan);
+    return plan;
+  }
+
+  /**
+   * Merge email and LinkedIn sequence steps into a single ordered plan
+   * Email steps sharing a step_number collapse into one plan step whose
+   * `variants` lists the A/B variants (ordered by variant key; the first
+   * variant's delay_hours applies to the step).
+   *
+   * @param {Array} emailSteps - EmailSequence rows (plain objects)
+   * @param {Array} linkedinSteps - LinkedInSequence rows (plain objects)
+   * @returns {Array} Steps sorted by step_number, each tagged with channel
+   */
+  static buildStepPlan(emailSteps = [], linkedinSteps = []) {
+    const channelOrder = { [CHANNELS.EMAIL]: 0, [CHANNELS.LINKEDIN]: 1 };
+
+    const emailGroups = new Map();
+    for (const step of emailSteps.filter(s => s.is_active !== false)) {
+      const group = emailGroups.get(step.step_number) || [];
+      group.push({ ...step, channel: CHANNELS.EMAIL });
+      emailGroups.set(step.step_number, group);
+    }
+
+    const emailPlan = [...emailGroups.values()].map(group => {
+      if (group.length === 1) {
+        return group[0];
+      }
+      const variants = group.sort((a, b) =>
+        ABTestService.variantKey(a).localeCompare(ABTestService.variantKey(b))
+      );
+      return { ...variants[0], variants };
+    });
+
+    return [
+      ...emailPlan,
+      ...linkedinSteps.filter(s => s.is_active !== false).map(s => ({ ...s, channel: CHANNELS.LINKEDIN }))
+    ].sort((a, b) =>
+      (a.step_number - b.step_number) || (channelOrder[a.channel] - channelOrder[b.channel])
+    );
+  }
+
+  /**
+   * Compute when the next step is due
+   *
+   * @param {Date|string} from - Time the previous step ran (or enrollment time)
+   * @param {number} delayHours - Step delay_hours
+   * @returns {Date} Due date
+   */
+  static computeNextActionAt(from, delayHours = 0) {
+    const base = new Date(from).getTime();
+    const hours = Number.isFinite(Number(delayHours)) ? Math.max(0, Number(delayHours)) : 0;
+    return new Date(base + hours * HOUR_MS);
+  }
+
+  /**
+   * Build personalization variables from enrollment metadata
+   *
+   * @param {Object} contact - Enrollment metadata
+   * @returns {Object} Variables for variable-replacer ({{firstName}} etc.)
+   */
+  static buildVariables(contact = {}) {
+    const variables = {
+      email: contact.email,
+      firstName: contact.first_name || contact.firstName,
+      lastName: contact.last_name || contact.lastName,
+      companyName: contact.company_name || contact.companyName || contact.company,
+      title: contact.title || contact.job_title,
+      linkedinUrl: contact.linkedin_url || contact.linkedinUrl,
+      ...(contact.variables || {})
+    };
+
+    return Object.fromEntries(
+      Object.entries(variables).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Whether a template's video settings apply to the given email step
+   *
+   * @param {Object} videoSettings - template.settings.video
+   * @param {number} stepNumber - Email step number
+   * @returns {boolean}
+   */
+  static shouldAttachVideo(videoSettings, stepNumber) {
+    if (!videoSettings?.enabled || !videoSettings.script) {
+      return false;
+    }
+
+    const steps = Array.isArray(videoSettings.steps) ? videoSettings.steps : [1];
+    return steps.includes(stepNumber);
+  }
+
+  /**
+   * Drop failure bookkeeping after a successful step
+   * @private
+   */
+  static _clearFailures(metadata = {}) {
+    const {
+      sequence_failures: _failures,
+      sequence_last_error: _error,
+      sequence_last_error_at: _errorAt,
+      ...rest
+    } = metadata || {};
+    return rest;
+  }
+
+  /**
+   * Get engine statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      running: !!this.timer,
+      processing: this.processing,
+      intervalMs: this.intervalMs
+    };
+  }
+}
+
+// Export singleton instance
+export const sequenceEngine = new SequenceEngine();
+
+export default sequenceEngine;
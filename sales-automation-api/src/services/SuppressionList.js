@@ -0,0 +1,527 @@
+/**
+ * Suppression List
+ * Global do-not-contact list checked before every send, on every campaign
+ * and channel
+ *
+ * Entries suppress an email address, a whole domain or a LinkedIn profile,
+ * with a reason:
+ * - unsubscribe: the contact opted out (any campaign)
+ * - bounce: hard bounce; soft bounces are not suppressed
+ * - spam_complaint: the contact marked a message as spam
+ * - legal_request: erasure / do-not-contact request
+ * - manual: added by a user
+ *
+ * Send paths call assertAllowed() before dispatch: the sequence engine,
+ * Postmark, SMTP, PhantomBuster and ConversationalResponder replies. A
+ * blocked send throws SuppressedRecipientError and is written to the audit
+ * log. Lookup failures propagate: with the list unreadable nothing is sent.
+ *
+ * Unsubscribe, hard bounce and spam events on the campaign event bus add
+ * entries automatically, so opting out of one campaign stops all of them.
+ */
+
+import { Op } from 'sequelize';
+import { createLogger } from '../utils/logger.js';
+import { campaignEventBus } from './CampaignEventBus.js';
+import { EVENT_TYPES } from '../providers/events/EventNormalizer.js';
+
+const logger = createLogger('SuppressionList');
+
+export const SUPPRESSION_TYPES = ['email', 'domain', 'linkedin'];
+
+export const SUPPRESSION_REASONS = ['unsubscribe', 'bounce', 'spam_complaint', 'legal_request', 'manual'];
+
+/**
+ * Campaign event type -> suppression reason
+ */
+const EVENT_REASONS = {
+  [EVENT_TYPES.EMAIL_UNSUBSCRIBED]: 'unsubscribe',
+  [EVENT_TYPES.EMAIL_BOUNCED]: 'bounce',
+  [EVENT_TYPES.EMAIL_SPAM_REPORTED]: 'spam_complaint'
+};
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * The recipient is on the suppression list. Never retry the send.
+ */
+export class SuppressedRecipientError extends Error {
+  constructor(entry) {
+    super(`Recipient suppressed (${entry.type} ${entry.value}: ${entry.reason})`);
+    this.name = 'SuppressedRecipientError';
+    this.code = 'RECIPIENT_SUPPRESSED';
+    this.entry = entry;
+  }
+}
+
+// Lazy-load models to avoid circular dependencies (and DB connection on import)
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+export class SuppressionList {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Campaign event bus (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || campaignEventBus;
+    this.unsubscribe = null;
+    this.pending = new Set();
+  }
+
+  /**
+   * Start suppressing contacts who unsubscribe, hard bounce or complain
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+
+    this.unsubscribe = this.eventBus.subscribe(event => {
+      if (!EVENT_REASONS[event.event_type]) {
+        return;
+      }
+
+      const work = this.recordEvent(event)
+        .catch(error => {
+          logger.error('Failed to suppress contact from campaign event', {
+            eventType: event.event_type,
+            enrollmentId: event.enrollment_id,
+            error: error.message
+          });
+        })
+        .finally(() => this.pending.delete(work));
+      this.pending.add(work);
+    });
+
+    logger.info('Suppression list event tracking started');
+  }
+
+  /**
+   * Stop listening and wait for in-flight additions
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    await Promise.allSettled([...this.pending]);
+  }
+
+  /**
+   * Normalize a value for its suppression type
+   *
+   * @param {string} type - email | domain | linkedin
+   * @param {string} value - Raw value
+   * @returns {string|null} Normalized value, or null if invalid
+   */
+  static normalize(type, value) {
+    const raw = String(value ?? '').trim().toLowerCase();
+    if (!raw) {
+      return null;
+    }
+
+    switch (type) {
+      case 'email': {
+        const email = raw.replace(/^mailto:/, '');
+        return EMAIL_PATTERN.test(email) ? email : null;
+      }
+      case 'domain': {
+        const domain = raw.replace(/^[^@]*@/, '').replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+      }
+      case 'linkedin': {
+        // linkedin.com/in/<slug> (or /company/, /sales/lead/...) without scheme, subdomain, query or slash
+        const match = /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?(?:www\.)?linkedin\.com\/(.+?)\/?(?:[?#].*)?$/.exec(raw);
+        return match ? `linkedin.com/${decodeURIComponent(match[1]).replace(/\/+$/, '')}` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Suppression keys to look up for a recipient
+   *
+   * @param {Object} recipient
+   * @param {string|Array<string>} recipient.email - Address(es), "Name <address>" allowed
+   * @param {string} recipient.linkedinUrl - LinkedIn profile URL
+   * @returns {Array<{type: string, value: string}>}
+   */
+  static keysFor({ email, linkedinUrl } = {}) {
+    const keys = [];
+
+    for (const address of SuppressionList.extractEmails(email)) {
+      keys.push({ type: 'email', value: address });
+      keys.push({ type: 'domain', value: address.split('@')[1] });
+    }
+
+    const profile = SuppressionList.normalize('linkedin', linkedinUrl);
+    if (profile) {
+      keys.push({ type: 'linkedin', value: profile });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Addresses in a "to" value (string, comma-separated list or array)
+   *
+   * @param {string|Array<string>} to
+   * @returns {Array<string>} Normalized addresses
+   */
+  static extractEmails(to) {
+    const parts = (Array.isArray(to) ? to : [to])
+      .filter(Boolean)
+      .flatMap(value => String(value).split(','));
+
+    return [...new Set(parts
+      .map(part => /<([^>]+)>/.exec(part)?.[1] || part)
+      .map(part => SuppressionList.normalize('email', part))
+      .filter(Boolean))];
+  }
+
+  /**
+   * Find the entry suppressing a recipient
+   * Email entries win over domain entries, domain over LinkedIn.
+   *
+   * @param {Object} recipient - { email, linkedinUrl }
+   * @returns {Promise<Object|null>} Suppression entry or null
+   */
+  async check(recipient) {
+    const keys = SuppressionList.keysFor(recipient);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    const { Suppression } = await getModels();
+    const entries = await Suppression.findAll({
+      where: { [Op.or]: keys.map(({ type, value }) => ({ type, value })) }
+    });
+
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const rank = entry => SUPPRESSION_TYPES.indexOf(entry.type);
+    const entry = entries.sort((a, b) => rank(a) - rank(b))[0];
+    return typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+  }
+
+  /**
+   * Check many recipients at once (imports, bulk enrollment)
+   *
+   * @param {Array<Object>} recipients - [{ email, linkedinUrl }]
+   * @returns {Promise<Array<boolean>>} Suppressed flag per recipient, in order
+   */
+  async checkMany(recipients) {
+    const recipientKeys = recipients.map(recipient => SuppressionList.keysFor(recipient));
+    const unique = [...new Map(recipientKeys.flat().map(key => [`${key.type}:${key.value}`, key])).values()];
+
+    const suppressed = new Set();
+    if (unique.length > 0) {
+      const { Suppression } = await getModels();
+      for (let i = 0; i < unique.length; i += 500) {
+        const entries = await Suppression.findAll({
+          where: { [Op.or]: unique.slice(i, i + 500).map(({ type, value }) => ({ type, value })) },
+          attributes: ['type', 'value']
+        });
+        entries.forEach(entry => suppressed.add(`${entry.type}:${entry.value}`));
+      }
+    }
+
+    return recipientKeys.map(keys => keys.some(key => suppressed.has(`${key.type}:${key.value}`)));
+  }
+
+  /**
+   * Throw if a recipient is suppressed (and audit the blocked send)
+   *
+   * @param {Object} recipient - { email, linkedinUrl }
+   * @param {Object} context - Logged with the block: { channel, provider, campaignId, enrollmentId }
+   * @throws {SuppressedRecipientError}
+   */
+  async assertAllowed(recipient, context = {}) {
+    const entry = await this.check(recipient);
+    if (!entry) {
+      return;
+    }
+
+    logger.warn('Send blocked by suppression list', {
+      type: entry.type,
+      reason: entry.reason,
+      ...context
+    });
+
+    try {
+      const { SuppressionAuditLog } = await getModels();
+      await SuppressionAuditLog.create({
+        action: 'blocked',
+        type: entry.type,
+        value: entry.value,
+        reason: entry.reason,
+        source: context.provider || context.channel || null,
+        actor: 'system',
+        details: context
+      });
+    } catch (error) {
+      // The send is still blocked; only the audit row is missing
+      logger.error('Failed to audit blocked send', { error: error.message });
+    }
+
+    throw new SuppressedRecipientError(entry);
+  }
+
+  /**
+   * Add an entry (existing entries are kept as they are)
+   *
+   * @param {Object} entry
+   * @param {string} entry.type - email | domain | linkedin
+   * @param {string} entry.value - Value to suppress
+   * @param {string} entry.reason - One of SUPPRESSION_REASONS
+   * @param {string} entry.source - Origin (e.g. 'postmark', 'api', 'import')
+   * @param {string} entry.note - Free text
+   * @param {string} entry.actor - User ID or system component
+   * @returns {Promise<Object>} { entry, created }
+   */
+  async add({ type, value, reason, source = null, note = null, actor = 'system' }) {
+    const normalized = SuppressionList.normalize(type, value);
+    if (!normalized) {
+      throw new Error(`Invalid ${type} value for suppression`);
+    }
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      throw new Error(`Invalid suppression reason "${reason}". Supported: ${SUPPRESSION_REASONS.join(', ')}`);
+    }
+
+    const { Suppression, SuppressionAuditLog, sequelize } = await getModels();
+
+    const [entry, created] = await sequelize.transaction(async (t) => {
+      const result = await Suppression.findOrCreate({
+        where: { type, value: normalized },
+        defaults: { reason, source, note, created_by: actor },
+        transaction: t
+      });
+
+      if (result[1]) {
+        await SuppressionAuditLog.create({
+          action: 'add',
+          type,
+          value: normalized,
+          reason,
+          source,
+          actor,
+          details: note ? { note } : {}
+        }, { transaction: t });
+      }
+
+      return result;
+    });
+
+    if (created) {
+      logger.info('Added to suppression list', { type, reason, source });
+    }
+
+    return { entry: entry.toJSON(), created };
+  }
+
+  /**
+   * Remove an entry so the contact can be reached again
+   *
+   * @param {number} id - Suppression ID
+   * @param {Object} options - { actor, note }
+   * @returns {Promise<Object|null>} Removed entry, or null if not found
+   */
+  async remove(id, { actor = 'system', note = null } = {}) {
+    const { Suppression, SuppressionAuditLog, sequelize } = await getModels();
+
+    return sequelize.transaction(async (t) => {
+      const entry = await Suppression.findByPk(id, { transaction: t });
+      if (!entry) {
+        return null;
+      }
+
+      await entry.destroy({ transaction: t });
+      await SuppressionAuditLog.create({
+        action: 'remove',
+        type: entry.type,
+        value: entry.value,
+        reason: entry.reason,
+        source: entry.source,
+        actor,
+        details: note ? { note } : {}
+      }, { transaction: t });
+
+      logger.info('Removed from suppression list', { type: entry.type, reason: entry.reason, actor });
+      return entry.toJSON();
+    });
+  }
+
+  /**
+   * List entries, newest first
+   *
+   * @param {Object} filters - { type, reason, search, limit, offset }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async list({ type, reason, search, limit = 50, offset = 0 } = {}) {
+    const { Suppression } = await getModels();
+
+    const where = {};
+    if (type) where.type = type;
+    if (reason) where.reason = reason;
+    if (search) where.value = { [Op.iLike]: `%${search.toLowerCase().replace(/([\\%_])/g, '\\$1')}%` };
+
+    const { rows, count } = await Suppression.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { entries: rows.map(row => row.toJSON()), total: count };
+  }
+
+  /**
+   * Add many entries (e.g. a list exported from another tool)
+   * Invalid rows are reported, not fatal.
+   *
+   * @param {Array<Object>} rows - [{ type, value, reason, note }]
+   * @param {Object} defaults - { reason, source, actor } for rows without their own
+   * @returns {Promise<Object>} { added, existing, invalid: [{ row, error }] }
+   */
+  async import(rows, { reason = 'manual', source = 'import', actor = 'system' } = {}) {
+    const result = { added: 0, existing: 0, invalid: [] };
+
+    for (const [index, row] of rows.entries()) {
+      const type = row.type || SuppressionList.detectType(row.value);
+      try {
+        const { created } = await this.add({
+          type,
+          value: row.value,
+          reason: row.reason || reason,
+          note: row.note || null,
+          source,
+          actor
+        });
+        result[created ? 'added' : 'existing']++;
+      } catch (error) {
+        if (error.message.startsWith('Invalid')) {
+          result.invalid.push({ row: index + 1, value: row.value ?? null, error: error.message });
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    logger.info('Suppression list import finished', {
+      added: result.added,
+      existing: result.existing,
+      invalid: result.invalid.length,
+      source
+    });
+
+    return result;
+  }
+
+  /**
+   * All entries, oldest first
+   *
+   * @param {Object} filters - { type, reason }
+   * @returns {Promise<Array<Object>>}
+   */
+  async export({ type, reason } = {}) {
+    const { Suppression } = await getModels();
+
+    const where = {};
+    if (type) where.type = type;
+    if (reason) where.reason = reason;
+
+    const rows = await Suppression.findAll({ where, order: [['created_at', 'ASC']] });
+    return rows.map(row => row.toJSON());
+  }
+
+  /**
+   * Audit log, newest first
+   *
+   * @param {Object} filters - { action, type, value, limit, offset }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async getAuditLog({ action, type, value, limit = 50, offset = 0 } = {}) {
+    const { SuppressionAuditLog } = await getModels();
+
+    const where = {};
+    if (action) where.action = action;
+    if (type) where.type = type;
+    if (value) {
+      where.value = type ? (SuppressionList.normalize(type, value) || value) : value.trim().toLowerCase();
+    }
+
+    const { rows, count } = await SuppressionAuditLog.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { entries: rows.map(row => row.toJSON()), total: count };
+  }
+
+  /**
+   * Suppress the contact behind an unsubscribe, hard bounce or spam event
+   *
+   * @param {Object} event - Campaign event bus payload
+   * @returns {Promise<Object|null>} add() result, or null when nothing was suppressed
+   */
+  async recordEvent(event) {
+    const reason = EVENT_REASONS[event.event_type];
+    if (!reason) {
+      return null;
+    }
+
+    // Mailbox-full and other temporary failures do not make the address bad
+    const bounceType = String(event.metadata?.bounceType || event.metadata?.bounce_type || '');
+    if (reason === 'bounce' && /soft|transient|temporary/i.test(bounceType)) {
+      return null;
+    }
+
+    const { CampaignEnrollment } = await getModels();
+    const enrollment = event.enrollment_id
+      ? await CampaignEnrollment.findByPk(event.enrollment_id, { attributes: ['id', 'metadata'] })
+      : null;
+    const email = enrollment?.metadata?.email || event.metadata?.email;
+
+    if (!email) {
+      logger.warn('No email for suppression event', { eventType: event.event_type, enrollmentId: event.enrollment_id });
+      return null;
+    }
+
+    return this.add({
+      type: 'email',
+      value: email,
+      reason,
+      source: event.provider || 'campaign_event',
+      actor: 'system'
+    });
+  }
+
+  /**
+   * Guess the type of an imported value
+   *
+   * @param {string} value
+   * @returns {string} email | linkedin | domain
+   */
+  static detectType(value) {
+    const raw = String(value ?? '').toLowerCase();
+    if (raw.includes('linkedin.com/')) return 'linkedin';
+    if (raw.includes('@')) return 'email';
+    return 'domain';
+  }
+}
+
+export const suppressionList = new SuppressionList();
+
+export default suppressionList;
@@ -0,0 +1,678 @@
+/**
+ * Webhook Dispatcher
+ * Pushes key events to subscribed downstream systems (data warehouse
+ * loaders, Slack bots) so they no longer poll campaign performance
+ *
+ * Events:
+ *   reply.received        - A prospect replied (email or LinkedIn)
+ *   meeting.booked        - MeetingTracker attributed a booked meeting
+ *   enrollment.completed  - An enrollment finished its sequence, replied or
+ *                           booked a meeting (data.reason)
+ *   yolo.cycle_finished   - A YOLO cycle completed, was cancelled or failed
+ *   dlq.growth            - Orphaned events were moved to the dead letter queue
+ *
+ * publish() stores one webhook_deliveries row per matching active
+ * subscription and the delivery loop POSTs them:
+ *
+ *   POST <subscription url>
+ *   Content-Type: application/json
+ *   X-Webhook-Id: <event id, unchanged across retries and replays>
+ *   X-Webhook-Event: reply.received
+ *   X-Webhook-Timestamp: <unix ms>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ *   { "id": "...", "type": "reply.received", "created_at": "...", "data": { ... } }
+ *
+ * Any 2xx response is a success. Other responses, timeouts and network
+ * errors are retried with backoff (1m, 5m, 30m, 2h, 6h) until the attempts
+ * run out, then the delivery is marked failed. Any delivery can be replayed
+ * from the admin API as a new delivery of the same event.
+ *
+ * Deliveries live in PostgreSQL, so processes without the delivery loop (the
+ * MCP server's YOLO manager) can publish and the API server delivers.
+ *
+ *   WEBHOOK_MAX_ATTEMPTS          - Attempts before a delivery fails (default 6)
+ *   WEBHOOK_TIMEOUT_MS            - Request timeout (default 10000)
+ *   WEBHOOK_DELIVERY_INTERVAL_MS  - Delivery loop interval (default 15000)
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { Op } from 'sequelize';
+import { createLogger } from '../utils/logger.js';
+import { campaignEventBus } from './CampaignEventBus.js';
+import { WebhookSignature } from '../providers/utils/WebhookSignature.js';
+import { EVENT_TYPES } from '../providers/events/EventNormalizer.js';
+
+const logger = createLogger('WebhookDispatcher');
+
+export const WEBHOOK_EVENTS = {
+  REPLY_RECEIVED: 'reply.received',
+  MEETING_BOOKED: 'meeting.booked',
+  ENROLLMENT_COMPLETED: 'enrollment.completed',
+  YOLO_CYCLE_FINISHED: 'yolo.cycle_finished',
+  DLQ_GROWTH: 'dlq.growth'
+};
+
+export const WEBHOOK_EVENT_TYPES = Object.values(WEBHOOK_EVENTS);
+
+export const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Campaign events that are prospect replies
+const REPLY_EVENTS = [EVENT_TYPES.EMAIL_REPLIED, EVENT_TYPES.LINKEDIN_MESSAGE_REPLIED];
+
+const MAX_ERROR_LENGTH = 1000;
+
+// Lazy-load models to avoid circular dependencies (and DB connection on import)
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+export class WebhookDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Campaign event bus (injectable for tests)
+   * @param {Object} options.http - HTTP client with axios' post() (injectable for tests)
+   * @param {number} options.maxAttempts - Attempts before a delivery fails
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {number} options.intervalMs - Delivery loop interval
+   */
+  constructor(options = {}) {
+    this.eventBus = options.eventBus || campaignEventBus;
+    this.http = options.http || axios;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.intervalMs = options.intervalMs || parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10) || 15000;
+    this.batchSize = options.batchSize || 50;
+
+    // A delivery left 'delivering' this long (process died mid-request) is picked up again
+    this.leaseMs = options.leaseMs || 5 * MINUTE_MS;
+
+    // Delay before attempt n + 1
+    this.retryDelays = [
+      MINUTE_MS,
+      5 * MINUTE_MS,
+      30 * MINUTE_MS,
+      2 * HOUR_MS,
+      6 * HOUR_MS
+    ];
+
+    this.timer = null;
+    this.unsubscribe = null;
+    this.processing = null;
+    this.pending = new Set();
+    this.stats = {
+      published: 0,
+      delivered: 0,
+      retried: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Start the delivery loop and publish replies from the campaign event bus
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.unsubscribe = this.eventBus.subscribe(event => this.handleCampaignEvent(event));
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+
+    logger.info('Webhook dispatcher started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop the loop and wait for queued events and in-flight deliveries
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await Promise.allSettled([...this.pending]);
+    if (this.processing) {
+      await this.processing;
+    }
+
+    logger.info('Webhook dispatcher stopped', { stats: this.stats });
+  }
+
+  /**
+   * Queue an event for every subscription to its type, without blocking
+   * the caller; failures are logged, never thrown
+   *
+   * @param {string} type - One of WEBHOOK_EVENT_TYPES
+   * @param {Object} data - Event data
+   * @returns {Promise<void>} Settles once the deliveries are stored
+   */
+  publish(type, data) {
+    const work = this.emit(type, data)
+      .then(count => {
+        // Deliver right away when this process runs the loop
+        if (count > 0 && this.timer) {
+          this.tick();
+        }
+      })
+      .catch(error => {
+        logger.error('Failed to queue webhook event', { type, error: error.message });
+      })
+      .finally(() => this.pending.delete(work));
+
+    this.pending.add(work);
+    return work;
+  }
+
+  /**
+   * Store one delivery per active subscription to the event type
+   *
+   * @param {string} type - One of WEBHOOK_EVENT_TYPES
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} Deliveries queued
+   * @throws {Error} On an unknown event type
+   */
+  async emit(type, data = {}) {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown webhook event type: ${type}`);
+    }
+
+    const { WebhookSubscription, WebhookDelivery } = await getModels();
+
+    // Subscriptions are few; match in memory rather than per-dialect JSON queries
+    const subscriptions = (await WebhookSubscription.findAll({ where: { active: true } }))
+      .filter(subscription => WebhookDispatcher.matches(subscription.event_types, type));
+
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      created_at: now.toISOString(),
+      data
+    };
+
+    await WebhookDelivery.bulkCreate(subscriptions.map(subscription => ({
+      subscription_id: subscription.id,
+      event_id: event.id,
+      event_type: type,
+      payload: event,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now
+    })));
+
+    this.stats.published++;
+    logger.debug('Webhook event queued', { type, eventId: event.id, subscriptions: subscriptions.length });
+
+    return subscriptions.length;
+  }
+
+  /**
+   * Whether a subscription's event types include an event type
+   *
+   * @param {Array<string>} eventTypes - Subscribed types ('*' = all)
+   * @param {string} type - Event type
+   * @returns {boolean}
+   */
+  static matches(eventTypes, type) {
+    return Array.isArray(eventTypes) && (eventTypes.includes('*') || eventTypes.includes(type));
+  }
+
+  /**
+   * Publish reply.received for replies on the campaign event bus
+   * Only identifiers go out: the event metadata holds the reply text and
+   * addresses, which stay in campaign_events. Whoever moves the enrollment
+   * to completed on a reply publishes enrollment.completed.
+   *
+   * @param {Object} event - Payload from CampaignEventBus
+   */
+  handleCampaignEvent(event) {
+    if (!REPLY_EVENTS.includes(event?.event_type)) {
+      return;
+    }
+
+    this.publish(WEBHOOK_EVENTS.REPLY_RECEIVED, {
+      campaign_event_id: event.id,
+      enrollment_id: event.enrollment_id,
+      instance_id: event.instance_id,
+      channel: event.channel,
+      provider: event.provider,
+      provider_event_id: event.provider_event_id,
+      step_number: event.step_number,
+      replied_at: new Date(event.timestamp).toISOString()
+    });
+  }
+
+  /**
+   * Run processDue() unless a run is already in flight
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (!this.processing) {
+      this.processing = this.processDue()
+        .then(() => {})
+        .catch(error => {
+          logger.error('Webhook delivery run failed', { error: error.message });
+        })
+        .finally(() => {
+          this.processing = null;
+        });
+    }
+    return this.processing;
+  }
+
+  /**
+   * Send deliveries that are due, oldest first
+   *
+   * @param {Date} now
+   * @returns {Promise<{delivered: number, retrying: number, failed: number}>}
+   */
+  async processDue(now = new Date()) {
+    const { WebhookDelivery, WebhookSubscription } = await getModels();
+
+    const due = await WebhookDelivery.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending', next_attempt_at: { [Op.lte]: now } },
+          { status: 'delivering', last_attempt_at: { [Op.lt]: new Date(now.getTime() - this.leaseMs) } }
+        ]
+      },
+      include: [{ model: WebhookSubscription, as: 'subscription' }],
+      order: [['next_attempt_at', 'ASC']],
+      limit: this.batchSize
+    });
+
+    const results = { delivered: 0, retrying: 0, failed: 0 };
+
+    for (const delivery of due) {
+      // Conditional claim so concurrent dispatchers send each attempt once;
+      // the attempt counts even if this process dies before it finishes
+      const attempt = delivery.attempts + 1;
+      const [claimed] = await WebhookDelivery.update(
+        { status: 'delivering', attempts: attempt, last_attempt_at: new Date() },
+        { where: { id: delivery.id, status: delivery.status, attempts: delivery.attempts } }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      const outcome = await this.deliver(delivery, delivery.subscription, attempt);
+      results[outcome]++;
+    }
+
+    return results;
+  }
+
+  /**
+   * POST one delivery and record the outcome
+   *
+   * @param {Object} delivery - WebhookDelivery
+   * @param {Object} subscription - Its WebhookSubscription
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {Promise<string>} delivered | retrying | failed
+   */
+  async deliver(delivery, subscription, attempt) {
+    if (!subscription?.active) {
+      await delivery.update({
+        status: 'failed',
+        attempts: attempt,
+        next_attempt_at: null,
+        last_error: 'Subscription is disabled'
+      });
+      this.stats.failed++;
+      return 'failed';
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await this.http.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'sales-automation-webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': WebhookDispatcher.sign(body, subscription.secret, timestamp)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const result = {
+      attempts: attempt,
+      last_attempt_at: new Date(timestamp),
+      response_status: responseStatus,
+      duration_ms: Date.now() - timestamp
+    };
+
+    if (!error) {
+      await delivery.update({
+        ...result,
+        status: 'delivered',
+        delivered_at: new Date(),
+        next_attempt_at: null,
+        last_error: null
+      });
+      this.stats.delivered++;
+      return 'delivered';
+    }
+
+    const lastError = error.slice(0, MAX_ERROR_LENGTH);
+
+    if (attempt >= this.maxAttempts) {
+      await delivery.update({ ...result, status: 'failed', next_attempt_at: null, last_error: lastError });
+      this.stats.failed++;
+      logger.warn('Webhook delivery failed, giving up', {
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        eventType: delivery.event_type,
+        attempts: attempt,
+        error: lastError
+      });
+      return 'failed';
+    }
+
+    const delay = this.retryDelays[Math.min(attempt, this.retryDelays.length) - 1];
+    await delivery.update({
+      ...result,
+      status: 'pending',
+      next_attempt_at: new Date(Date.now() + delay),
+      last_error: lastError
+    });
+    this.stats.retried++;
+    logger.info('Webhook delivery failed, will retry', {
+      deliveryId: delivery.id,
+      subscriptionId: subscription.id,
+      attempt,
+      retryInMs: delay,
+      error: lastError
+    });
+    return 'retrying';
+  }
+
+  /**
+   * Signature header value for a request body
+   *
+   * @param {string} body - Raw JSON body
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - X-Webhook-Timestamp value (unix ms)
+   * @returns {string} sha256=<hex>
+   */
+  static sign(body, secret, timestamp) {
+    return `sha256=${WebhookSignature.computeSignature(`${timestamp}.${body}`, secret)}`;
+  }
+
+  /**
+   * Queue past deliveries again as new deliveries of the same events
+   * Works for any status: a receiver may have lost an event it acknowledged.
+   *
+   * @param {Array<string>} deliveryIds - WebhookDelivery IDs
+   * @returns {Promise<Array<Object>>} Per ID: { deliveryId, success, replayId | error }
+   */
+  async replay(deliveryIds) {
+    const { WebhookDelivery, WebhookSubscription } = await getModels();
+    const results = [];
+
+    for (const id of deliveryIds) {
+      const original = await WebhookDelivery.findByPk(id, {
+        include: [{ model: WebhookSubscription, as: 'subscription' }]
+      });
+
+      if (!original) {
+        results.push({ deliveryId: id, success: false, error: 'Delivery not found' });
+        continue;
+      }
+      if (!original.subscription?.active) {
+        results.push({ deliveryId: id, success: false, error: 'Subscription is disabled' });
+        continue;
+      }
+
+      const replay = await WebhookDelivery.create({
+        subscription_id: original.subscription_id,
+        event_id: original.event_id,
+        event_type: original.event_type,
+        payload: original.payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(),
+        replay_of: original.id
+      });
+
+      results.push({ deliveryId: id, success: true, replayId: replay.id });
+    }
+
+    if (results.some(result => result.success) && this.timer) {
+      this.tick();
+    }
+
+    return results;
+  }
+
+  /**
+   * List the delivery log, newest first
+   *
+   * @param {Object} filters - { subscriptionId, status, eventType, eventId, limit, offset }
+   * @returns {Promise<{deliveries: Array<Object>, total: number}>}
+   */
+  async listDeliveries({ subscriptionId, status, eventType, eventId, limit = 50, offset = 0 } = {}) {
+    const { WebhookDelivery } = await getModels();
+
+    const where = {};
+    if (subscriptionId) where.subscription_id = subscriptionId;
+    if (status) where.status = status;
+    if (eventType) where.event_type = eventType;
+    if (eventId) where.event_id = eventId;
+
+    const { rows, count } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { deliveries: rows.map(row => row.toJSON()), total: count };
+  }
+
+  /**
+   * Register an endpoint
+   * The secret is returned here (and on rotation) only.
+   *
+   * @param {Object} input - { url, eventTypes, description, actor }
+   * @returns {Promise<{subscription: Object, secret: string}>}
+   * @throws {Error} 'Invalid ...' on a bad URL or event type
+   */
+  async createSubscription({ url, eventTypes, description = null, actor = null }) {
+    const { WebhookSubscription } = await getModels();
+
+    WebhookDispatcher.validateUrl(url);
+    const secret = WebhookDispatcher.generateSecret();
+
+    const subscription = await WebhookSubscription.create({
+      url,
+      description,
+      event_types: WebhookDispatcher.normalizeEventTypes(eventTypes),
+      secret,
+      active: true,
+      created_by: actor
+    });
+
+    logger.info('Webhook subscription created', { subscriptionId: subscription.id, actor, eventTypes: subscription.event_types });
+
+    return { subscription: WebhookDispatcher.toPublic(subscription), secret };
+  }
+
+  /**
+   * List subscriptions, newest first
+   *
+   * @param {Object} filters - { active, limit, offset }
+   * @returns {Promise<{subscriptions: Array<Object>, total: number}>}
+   */
+  async listSubscriptions({ active, limit = 50, offset = 0 } = {}) {
+    const { WebhookSubscription } = await getModels();
+
+    const { rows, count } = await WebhookSubscription.findAndCountAll({
+      where: active === undefined ? {} : { active },
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return { subscriptions: rows.map(row => WebhookDispatcher.toPublic(row)), total: count };
+  }
+
+  /**
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription without its secret
+   */
+  async getSubscription(id) {
+    const { WebhookSubscription } = await getModels();
+    const subscription = await WebhookSubscription.findByPk(id);
+    return subscription ? WebhookDispatcher.toPublic(subscription) : null;
+  }
+
+  /**
+   * Change an endpoint; rotating the secret returns the new one
+   *
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - { url, eventTypes, description, active, rotateSecret, actor }
+   * @returns {Promise<{subscription: Object, secret?: string}|null>} null if not found
+   * @throws {Error} 'Invalid ...' on a bad URL or event type
+   */
+  async updateSubscription(id, { url, eventTypes, description, active, rotateSecret = false, actor = null }) {
+    const { WebhookSubscription } = await getModels();
+
+    const subscription = await WebhookSubscription.findByPk(id);
+    if (!subscription) {
+      return null;
+    }
+
+    const updates = {};
+    if (url !== undefined) {
+      WebhookDispatcher.validateUrl(url);
+      updates.url = url;
+    }
+    if (eventTypes !== undefined) updates.event_types = WebhookDispatcher.normalizeEventTypes(eventTypes);
+    if (description !== undefined) updates.description = description;
+    if (active !== undefined) updates.active = active;
+    if (rotateSecret) updates.secret = WebhookDispatcher.generateSecret();
+
+    await subscription.update(updates);
+
+    logger.info('Webhook subscription updated', { subscriptionId: id, actor, fields: Object.keys(updates).filter(key => key !== 'secret'), rotateSecret });
+
+    return rotateSecret
+      ? { subscription: WebhookDispatcher.toPublic(subscription), secret: updates.secret }
+      : { subscription: WebhookDispatcher.toPublic(subscription) };
+  }
+
+  /**
+   * Delete an endpoint and its delivery log
+   *
+   * @param {string} id - Subscription ID
+   * @returns {Promise<boolean>} false if not found
+   */
+  async deleteSubscription(id, { actor = null } = {}) {
+    const { WebhookSubscription } = await getModels();
+
+    const subscription = await WebhookSubscription.findByPk(id);
+    if (!subscription) {
+      return false;
+    }
+
+    await subscription.destroy();
+    logger.info('Webhook subscription deleted', { subscriptionId: id, actor });
+    return true;
+  }
+
+  /**
+   * @returns {string} New signing secret
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Subscription as returned by the API: the secret is never shown again,
+   * only its last characters to tell secrets apart
+   *
+   * @param {Object} subscription - WebhookSubscription instance or row
+   * @returns {Object}
+   */
+  static toPublic(subscription) {
+    const { secret, ...row } = typeof subscription.toJSON === 'function' ? subscription.toJSON() : subscription;
+    return { ...row, secret_hint: secret ? `...${secret.slice(-4)}` : null };
+  }
+
+  /**
+   * Deduplicate event types; '*' stands for all
+   * @throws {Error} 'Invalid event type ...'
+   */
+  static normalizeEventTypes(eventTypes) {
+    const types = [...new Set(eventTypes || [])];
+    const unknown = types.find(type => type !== '*' && !WEBHOOK_EVENT_TYPES.includes(type));
+
+    if (types.length === 0 || unknown) {
+      throw new Error(`Invalid event type ${unknown ? `'${unknown}'` : '(none given)'}; expected '*' or ${WEBHOOK_EVENT_TYPES.join(', ')}`);
+    }
+    return types.includes('*') ? ['*'] : types;
+  }
+
+  /**
+   * http(s) URLs only; production endpoints must use https
+   * @throws {Error} 'Invalid webhook URL ...'
+   */
+  static validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Invalid webhook URL: not a URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Invalid webhook URL: must be http or https');
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      throw new Error('Invalid webhook URL: https is required in production');
+    }
+    if (parsed.username || parsed.password) {
+      throw new Error('Invalid webhook URL: credentials in the URL are not allowed; deliveries are signed');
+    }
+  }
+}
+
+// Export singleton instance
+export const webhookDispatcher = new WebhookDispatcher();
+
+export default webhookDispatcher;
@@ -9,6 +9,7 @@
  * - Optional sync execution with timeout
  * - WebSocket broadcasts for workflow state changes
  * - Integration with WorkflowStateManager for crash recovery
+ * - Resuming failed async runs from their last completed step
  */
 
 import { randomUUID } from 'crypto';
@@ -18,31 +19,39 @@ const logger = createLogger('WorkflowExecutionService');
 
 // Lazy-load WorkflowEngine to allow TypeScript import via tsx loader
 let WorkflowEngineClass = null;
-let workflowEngineInstance = null;
 
 /**
- * Initialize the WorkflowEngine (lazy loading)
+ * Create a WorkflowEngine for a single run (lazy loading)
+ *
+ * Engines hold per-run state (context, run id, replayed side effects), so
+ * runs never share one.
  * @private
  */
-async function getWorkflowEngine() {
-  if (!workflowEngineInstance) {
-    if (!WorkflowEngineClass) {
-      try {
-        // Dynamic import of TypeScript module (requires tsx loader)
-        const module = await import('../bmad/WorkflowEngine.ts');
-        WorkflowEngineClass = module.WorkflowEngine;
-        logger.info('WorkflowEngine loaded successfully');
-      } catch (error) {
-        logger.error('Failed to load WorkflowEngine', {
-          error: error.message,
-          hint: 'Ensure server is started with: node --import tsx src/server.js'
-        });
-        throw new Error(`WorkflowEngine not available: ${error.message}. Start server with tsx loader.`);
-      }
+async function createWorkflowEngine() {
+  if (!WorkflowEngineClass) {
+    try {
+      // Dynamic import of TypeScript module (requires tsx loader)
+      const module = await import('../bmad/WorkflowEngine.ts');
+      WorkflowEngineClass = module.WorkflowEngine;
+      logger.info('WorkflowEngine loaded successfully');
+    } catch (error) {
+      logger.error('Failed to load WorkflowEngine', {
+        error: error.message,
+        hint: 'Ensure server is started with: node --import tsx src/server.js'
+      });
+      throw new Error(`WorkflowEngine not available: ${error.message}. Start server with tsx loader.`);
     }
-    workflowEngineInstance = new WorkflowEngineClass();
   }
-  return workflowEngineInstance;
+  return new WorkflowEngineClass();
+}
+
+/**
+ * Lazy-load WorkflowStateManager (its import opens the Postgres connection)
+ * @private
+ */
+async function createStateManager() {
+  const { WorkflowStateManager } = await import('../bmad/WorkflowStateManager.js');
+  return new WorkflowStateManager();
 }
 
 /**
@@ -54,11 +63,18 @@ export class WorkflowExecutionService {
    * @param {Object} options.jobQueue - JobQueue instance for async processing
    * @param {Object} options.db - Database instance
    * @param {Object} options.wss - WebSocketServer for broadcasting
+   * @param {Object} options.stateManager - WorkflowStateManager (injectable for tests)
+   * @param {Function} options.createEngine - Returns a new engine per run (injectable for tests)
    */
   constructor(options = {}) {
     this.jobQueue = options.jobQueue;
     this.db = options.db;
     this.wss = options.wss;
+    this.stateManager = options.stateManager || null;
+    this.createEngine = options.createEngine || createWorkflowEngine;
+
+    // Engine run ids executing in this process, so a resume can't overlap its run
+    this.activeRuns = new Set();
 
     logger.info('WorkflowExecutionService initialized');
   }
@@ -73,22 +89,26 @@ export class WorkflowExecutionService {
    * @returns {Object} Job info with jobId and status URL
    */
   async executeAsync(workflowName, inputs = {}, options = {}) {
-    const jobId = `workflow_${randomUUID().split('-')[0]}`;
     const priority = options.priority || 'normal';
 
-    logger.info('Enqueueing workflow for async execution', {
-      jobId,
-      workflowName,
-      priority,
-      inputKeys: Object.keys(inputs)
-    });
+    // The engine run id is assigned up front so the job can be resumed later
+    const workflowId = randomUUID();
 
     // Enqueue job
     const job = await this.jobQueue.enqueue('workflow', {
       workflowName,
       inputs,
-      jobId
+      workflowId
     }, priority);
+    const jobId = job.id;
+
+    logger.info('Enqueued workflow for async execution', {
+      jobId,
+      workflowId,
+      workflowName,
+      priority,
+      inputKeys: Object.keys(inputs)
+    });
 
     // Broadcast job created event
     this._broadcast('workflow.queued', {
@@ -140,8 +160,7 @@ export class WorkflowExecutionService {
         }, timeout);
       });
 
-      // Get the workflow engine
-      const engine = await getWorkflowEngine();
+      const engine = await this.createEngine();
 
       // Execute with timeout
       const result = await Promise.race([
@@ -200,11 +219,13 @@ export class WorkflowExecutionService {
    * @returns {Object} Workflow result
    */
   async processWorkflowJob(job) {
-    const { workflowName, inputs, jobId } = job.parameters || job;
+    const { workflowName, inputs, workflowId } = job.parameters || job;
+    const jobId = job.id || job.jobId;
     const startTime = Date.now();
 
     logger.info('Processing workflow job', {
       jobId,
+      workflowId,
       workflowName
     });
 
@@ -221,9 +242,13 @@ export class WorkflowExecutionService {
       startedAt: new Date().toISOString()
     });
 
+    if (workflowId) {
+      this.activeRuns.add(workflowId);
+    }
+
     try {
-      const engine = await getWorkflowEngine();
-      const result = await engine.runWorkflow(workflowName, inputs);
+      const engine = await this.createEngine();
+      const result = await engine.runWorkflow(workflowName, inputs, { workflowId });
 
       const duration = Date.now() - startTime;
 
@@ -281,6 +306,8 @@ export class WorkflowExecutionService {
       });
 
       throw error;
+    } finally {
+      this.activeRuns.delete(workflowId);
     }
   }
 
@@ -389,6 +416,149 @@ export class WorkflowExecutionService {
     return result;
   }
 
+  /**
+   * Resume a failed workflow job from its last completed step
+   *
+   * The engine restores the saved context, skips completed steps and replays
+   * recorded side effects, so work such as enrichment isn't paid for twice.
+   *
+   * @param {string} jobId - Workflow job ID
+   * @returns {Object} { success, jobId, workflowId, resumedFrom, completedSteps }
+   *   or { success: false, reason: 'not_found' | 'not_resumable' | 'conflict', message }
+   */
+  async resumeWorkflow(jobId) {
+    if (!this.jobQueue) {
+      throw new Error('JobQueue not initialized');
+    }
+
+    const job = await this.jobQueue.getJob(jobId);
+    if (!job || job.type !== 'workflow') {
+      return { success: false, reason: 'not_found', message: 'Workflow job not found' };
+    }
+
+    const { workflowName, workflowId } = job.parameters || {};
+    if (!workflowId) {
+      return {
+        success: false,
+        reason: 'not_resumable',
+        message: 'Workflow job has no recorded run state to resume from'
+      };
+    }
+
+    if (job.status !== 'failed') {
+      return {
+        success: false,
+        reason: 'conflict',
+        message: `Only failed workflows can be resumed (status: ${job.status})`
+      };
+    }
+
+    if (!this.stateManager) {
+      this.stateManager = await createStateManager();
+    }
+
+    const state = await this.stateManager.getWorkflowState(workflowId);
+    if (!state) {
+      return { success: false, reason: 'not_resumable', message: 'Workflow run state not found' };
+    }
+    if (state.status === 'completed') {
+      return { success: false, reason: 'conflict', message: 'Workflow run already completed' };
+    }
+    if (state.status === 'running' || this.activeRuns.has(workflowId)) {
+      return { success: false, reason: 'conflict', message: 'Workflow run is still active' };
+    }
+
+    // Claimed before the next await so concurrent resume requests can't both start
+    this.activeRuns.add(workflowId);
+
+    try {
+      await this.jobQueue.updateStatus(jobId, 'processing');
+    } catch (error) {
+      this.activeRuns.delete(workflowId);
+      throw error;
+    }
+
+    logger.info('Resuming workflow job', {
+      jobId,
+      workflowId,
+      workflowName,
+      lastStep: state.currentStep,
+      completedSteps: state.completedSteps.length
+    });
+
+    // Run in the background like a queued job; the caller polls the status URL
+    this._runResume(jobId, workflowId, workflowName).catch(() => {
+      // Already recorded on the job and broadcast
+    });
+
+    return {
+      success: true,
+      jobId,
+      workflowId,
+      status: 'processing',
+      resumedFrom: state.currentStep,
+      completedSteps: state.completedSteps,
+      statusUrl: `/api/workflows/${jobId}`
+    };
+  }
+
+  /**
+   * Run a resumed workflow and record the outcome on its job
+   * @private
+   */
+  async _runResume(jobId, workflowId, workflowName) {
+    const startTime = Date.now();
+
+    this._broadcast('workflow.resumed', {
+      jobId,
+      workflowName,
+      resumedAt: new Date().toISOString()
+    });
+
+    try {
+      const engine = await this.createEngine();
+      const result = await engine.resumeWorkflow(workflowId);
+      const duration = Date.now() - startTime;
+
+      await this.jobQueue.updateStatus(jobId, 'completed', result);
+
+      this._broadcast('workflow.completed', {
+        jobId,
+        workflowName,
+        mode: 'resume',
+        durationMs: duration,
+        completedAt: new Date().toISOString()
+      });
+
+      logger.info('Resumed workflow job completed', { jobId, workflowName, durationMs: duration });
+      return result;
+    } catch (error) {
+      const duration = Date.now() - startTime;
+
+      await this.jobQueue.updateStatus(jobId, 'failed', null, error.message);
+
+      this._broadcast('workflow.failed', {
+        jobId,
+        workflowName,
+        mode: 'resume',
+        error: error.message,
+        durationMs: duration,
+        failedAt: new Date().toISOString()
+      });
+
+      logger.error('Resumed workflow job failed', {
+        jobId,
+        workflowName,
+        error: error.message,
+        durationMs: duration
+      });
+
+      throw error;
+    } finally {
+      this.activeRuns.delete(workflowId);
+    }
+  }
+
   /**
    * Broadcast WebSocket message
    * @private
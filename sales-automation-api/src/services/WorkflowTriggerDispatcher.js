@@ -0,0 +1,431 @@
+/**
+ * Workflow Trigger Dispatcher
+ * Runs reactive B-MAD workflows (execution_mode: reactive) off campaign events
+ *
+ * Flow:
+ * 1. Subscribes to the campaign event bus (newly recorded CampaignEvents)
+ * 2. Resolves the enrollment's campaign; campaigns opt in through their
+ *    template's settings.reactive_workflow (e.g. 'dynamic-outreach')
+ * 3. Builds the trigger context (event, per-enrollment event counts, enrollment)
+ *    and picks the highest-priority trigger whose `on` / `condition` match.
+ *    Replies are classified first (event.metadata.intent / sentiment), since
+ *    no provider webhook reports them.
+ * 4. Runs the trigger's handler flow on a fresh WorkflowEngine, which persists
+ *    its own workflow_states row ("<workflow>/<flow>")
+ *
+ * At most one run per enrollment and handler is in flight; a trigger that fires
+ * again while its flow is still running is skipped.
+ */
+
+import { createLogger } from '../utils/logger.js';
+import { campaignEventBus } from './CampaignEventBus.js';
+import { ConversationalResponder } from './ConversationalResponder.js';
+
+const logger = createLogger('WorkflowTriggerDispatcher');
+
+// How long a campaign's reactive_workflow setting is cached
+const CAMPAIGN_CACHE_MS = 60 * 1000;
+
+// Event types whose reply text is classified before triggers are matched
+const REPLY_EVENT_TYPES = ['replied', 'message_replied'];
+
+// Lazy-load models to avoid circular dependencies (and DB connection on import)
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+// Lazy-load the TypeScript engine (requires tsx loader, see WorkflowExecutionService)
+let engineModules;
+
+async function getEngineModules() {
+  if (!engineModules) {
+    try {
+      const [engineModule, registryModule] = await Promise.all([
+        import('../bmad/WorkflowEngine.ts'),
+        import('../bmad/ToolRegistry.ts')
+      ]);
+      engineModules = {
+        WorkflowEngine: engineModule.WorkflowEngine,
+        ToolRegistry: registryModule.ToolRegistry
+      };
+    } catch (error) {
+      logger.error('Failed to load WorkflowEngine', {
+        error: error.message,
+        hint: 'Ensure server is started with: node --import tsx src/server.js'
+      });
+      throw new Error(`WorkflowEngine not available: ${error.message}. Start server with tsx loader.`);
+    }
+  }
+  return engineModules;
+}
+
+export class WorkflowTriggerDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bus - CampaignEventBus (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.bus = options.bus || campaignEventBus;
+    this.unsubscribe = null;
+
+    this.registry = null;   // Shared ToolRegistry for all flow runs
+    this.responder = null;  // ConversationalResponder for the flows' send steps
+    this.matcher = null;    // WorkflowEngine used only to load/match triggers
+    this.triggers = new Map();       // workflowName -> ordered triggers
+    this.campaignWorkflows = new Map(); // instanceId -> { workflowName, expiresAt }
+    this.active = new Map();         // "<enrollmentId>:<handler>" -> run promise
+
+    this.stats = {
+      received: 0,
+      matched: 0,
+      started: 0,
+      completed: 0,
+      failed: 0,
+      skipped: 0
+    };
+  }
+
+  /**
+   * Start listening for campaign events
+   *
+   * @param {Object} options
+   * @param {Object} options.responder - ConversationalResponder the send_* steps go through
+   */
+  start(options = {}) {
+    if (this.unsubscribe) {
+      return;
+    }
+
+    this.responder = options.responder || null;
+
+    this.unsubscribe = this.bus.subscribe(event => this.handleEvent(event));
+    logger.info('Workflow trigger dispatcher started');
+  }
+
+  /**
+   * Stop listening and wait for running handler flows
+   *
+   * @param {number} maxWait - Max time to wait for running flows (ms)
+   */
+  async stop(maxWait = 30000) {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.active.size > 0) {
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, maxWait);
+      });
+      await Promise.race([Promise.allSettled([...this.active.values()]), timeout]);
+      clearTimeout(timer);
+    }
+
+    if (this.active.size > 0) {
+      logger.warn('Handler flows still running after stop timeout', { running: this.active.size });
+    }
+
+    logger.info('Workflow trigger dispatcher stopped', { stats: this.stats });
+  }
+
+  /**
+   * Handle one published CampaignEvent
+   *
+   * @param {Object} event - Payload from CampaignEventBus
+   * @returns {Promise<Object|null>} { trigger, handler, enrollmentId } when a flow was started
+   */
+  async handleEvent(event) {
+    if (!event?.enrollment_id) {
+      return null;
+    }
+
+    this.stats.received++;
+
+    const { CampaignEnrollment } = await getModels();
+    const enrollment = await CampaignEnrollment.findByPk(event.enrollment_id);
+    if (!enrollment) {
+      return null;
+    }
+
+    const workflowName = await this._getCampaignWorkflow(enrollment.instance_id);
+    if (!workflowName) {
+      return null;
+    }
+
+    const triggers = await this._getTriggers(workflowName);
+    const counts = await this._getEventCounts(enrollment.id);
+    const context = WorkflowTriggerDispatcher.buildTriggerContext(event, counts, enrollment);
+
+    const trigger = this.matcher.matchTrigger(triggers, context);
+    if (!trigger) {
+      return null;
+    }
+
+    this.stats.matched++;
+
+    const key = `${enrollment.id}:${trigger.handler}`;
+    if (this.active.has(key)) {
+      this.stats.skipped++;
+      logger.info('Handler flow already running for enrollment, skipping trigger', {
+        enrollmentId: enrollment.id,
+        trigger: trigger.event,
+        handler: trigger.handler
+      });
+      return null;
+    }
+
+    const inputs = WorkflowTriggerDispatcher.buildFlowInputs(context, trigger);
+    const run = this._runFlow(workflowName, trigger, inputs).finally(() => {
+      this.active.delete(key);
+    });
+    this.active.set(key, run);
+
+    return { trigger: trigger.event, handler: trigger.handler, enrollmentId: enrollment.id };
+  }
+
+  /**
+   * Run a handler flow on its own engine (engines hold per-run state)
+   * @private
+   */
+  async _runFlow(workflowName, trigger, inputs) {
+    const { WorkflowEngine } = await getEngineModules();
+    const engine = new WorkflowEngine(this.registry);
+
+    this.stats.started++;
+    logger.info('Starting reactive handler flow', {
+      workflowName,
+      trigger: trigger.event,
+      handler: trigger.handler,
+      enrollmentId: inputs.enrollment_id,
+      eventId: inputs.event_id
+    });
+
+    try {
+      await engine.runFlow(workflowName, trigger.handler, inputs);
+      this.stats.completed++;
+    } catch (error) {
+      // The engine has already recorded the failure in workflow_states
+      this.stats.failed++;
+      logger.error('Reactive handler flow failed', {
+        workflowName,
+        handler: trigger.handler,
+        enrollmentId: inputs.enrollment_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reactive workflow configured for a campaign instance (cached briefly)
+   * @private
+   */
+  async _getCampaignWorkflow(instanceId) {
+    const cached = this.campaignWorkflows.get(instanceId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.workflowName;
+    }
+
+    const { CampaignInstance, CampaignTemplate } = await getModels();
+    const instance = await CampaignInstance.findByPk(instanceId, {
+      attributes: ['id', 'template_id'],
+      include: [{ model: CampaignTemplate, as: 'template', attributes: ['id', 'settings'] }]
+    });
+
+    const workflowName = instance?.template?.settings?.reactive_workflow || null;
+    this.campaignWorkflows.set(instanceId, { workflowName, expiresAt: Date.now() + CAMPAIGN_CACHE_MS });
+
+    return workflowName;
+  }
+
+  /**
+   * Load (and cache) a reactive workflow's triggers
+   * @private
+   */
+  async _getTriggers(workflowName) {
+    if (!this.matcher) {
+      const { WorkflowEngine, ToolRegistry } = await getEngineModules();
+      this.registry = new ToolRegistry({ responder: this.responder });
+      this.matcher = new WorkflowEngine(this.registry);
+    }
+
+    if (!this.triggers.has(workflowName)) {
+      const triggers = this.matcher.loadTriggers(workflowName);
+      this.triggers.set(workflowName, triggers);
+      logger.info('Loaded reactive workflow triggers', {
+        workflowName,
+        triggers: triggers.map(trigger => trigger.event)
+      });
+    }
+
+    return this.triggers.get(workflowName);
+  }
+
+  /**
+   * Count the enrollment's events by type (including the current event)
+   * @private
+   */
+  async _getEventCounts(enrollmentId) {
+    const { CampaignEvent, sequelize } = await getModels();
+
+    const rows = await CampaignEvent.findAll({
+      attributes: ['event_type', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { enrollment_id: enrollmentId },
+      group: ['event_type'],
+      raw: true
+    });
+
+    return WorkflowTriggerDispatcher.countsByType(rows);
+  }
+
+  /**
+   * Get dispatcher statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      running: this.active.size,
+      workflows: [...this.triggers.keys()]
+    };
+  }
+
+  /**
+   * Turn grouped COUNT rows into { event_type: count }
+   *
+   * @param {Array<{event_type: string, count: string|number}>} rows
+   * @returns {Object}
+   */
+  static countsByType(rows = []) {
+    const counts = {};
+    for (const row of rows) {
+      counts[row.event_type] = parseInt(row.count, 10) || 0;
+    }
+    return counts;
+  }
+
+  /**
+   * Build the object trigger conditions are evaluated against
+   *
+   * @param {Object} event - CampaignEvent payload
+   * @param {Object} counts - Event counts for the enrollment by type
+   * @param {Object} enrollment - CampaignEnrollment
+   * @returns {{event: Object, stats: Object, enrollment: Object}}
+   */
+  static buildTriggerContext(event, counts, enrollment) {
+    const metadata = WorkflowTriggerDispatcher.classifyReply(event);
+
+    return {
+      event: {
+        ...event,
+        metadata,
+        // Providers name the clicked link differently
+        url: metadata.url || metadata.link || metadata.clickedLink || metadata.OriginalLink || null
+      },
+      stats: { ...counts },
+      enrollment: {
+        id: enrollment.id,
+        instance_id: enrollment.instance_id,
+        contact_id: enrollment.contact_id,
+        status: enrollment.status,
+        current_step: enrollment.current_step,
+        contact: enrollment.metadata || {}
+      }
+    };
+  }
+
+  /**
+   * Add intent / sentiment to a reply event's metadata so trigger conditions
+   * can route on them. Uses the same pattern classifier as the responder
+   * (ConversationalResponder.detectIntent); values a provider already set
+   * are kept.
+   *
+   * @param {Object} event - CampaignEvent payload
+   * @returns {Object} Metadata, classified for replies with text
+   */
+  static classifyReply(event) {
+    const metadata = event.metadata || {};
+    if (!REPLY_EVENT_TYPES.includes(event.event_type) || metadata.intent || metadata.sentiment) {
+      return metadata;
+    }
+
+    // Auto-submitted replies (RFC 3834) are out-of-office notices whatever they say
+    if (metadata.autoSubmitted) {
+      return { ...metadata, intent: 'out_of_office', sentiment: 'neutral' };
+    }
+
+    const text = WorkflowTriggerDispatcher.replyText(metadata);
+    if (!text) {
+      return metadata;
+    }
+
+    const { intent, sentiment, objectionType, competitor } = ConversationalResponder.detectIntent(text);
+    const classified = { ...metadata, intent, sentiment };
+    if (objectionType) {
+      classified.objection_type = objectionType;
+    }
+    if (objectionType === 'competitor' && competitor && !metadata.competitor) {
+      classified.competitor = competitor;
+    }
+    return classified;
+  }
+
+  /**
+   * Reply text from event metadata (providers use different keys)
+   *
+   * @param {Object} metadata
+   * @returns {string|null}
+   */
+  static replyText(metadata) {
+    return metadata.text || metadata.body || metadata.reply || null;
+  }
+
+  /**
+   * Initial context for a handler flow
+   * Flow steps list the names they need (reply_content, open_count, ...).
+   *
+   * @param {Object} context - Trigger context from buildTriggerContext()
+   * @param {Object} trigger - Matched trigger
+   * @returns {Object}
+   */
+  static buildFlowInputs(context, trigger) {
+    const { event, stats, enrollment } = context;
+    const contact = enrollment.contact;
+    const metadata = event.metadata;
+
+    return {
+      trigger: trigger.event,
+      event_id: event.id,
+      event_type: event.event_type,
+      channel: event.channel,
+      event,
+      enrollment_id: enrollment.id,
+      instance_id: enrollment.instance_id,
+      contact_id: enrollment.contact_id,
+      prospect_data: contact,
+      prospect_email: contact.email,
+      first_name: contact.first_name || contact.firstName,
+      sender_email: metadata.from || metadata.leadEmail || contact.email,
+      subject: metadata.subject,
+      // Inbound Message-ID: send steps answer in the prospect's thread
+      thread_id: event.provider_event_id,
+      reply_content: WorkflowTriggerDispatcher.replyText(metadata),
+      sentiment: metadata.sentiment,
+      intent: metadata.intent,
+      competitor_name: metadata.competitor,
+      clicked_url: event.url,
+      open_count: stats.opened || 0,
+      clicks: stats.clicked || 0,
+      engagement_metrics: stats
+    };
+  }
+}
+
+export const workflowTriggerDispatcher = new WorkflowTriggerDispatcher();
+
+export default workflowTriggerDispatcher;
@@ -51,6 +51,14 @@ const SERVICE_CONFIGS = {
     name: 'HubSpot API'
   },
 
+  salesforce: {
+    timeout: 15000,              // Composite and SOQL calls are slower than HubSpot
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+    volumeThreshold: 10,
+    name: 'Salesforce API'
+  },
+
   lemlist: {
     timeout: 15000,              // Lemlist can be slower for email operations
     errorThresholdPercentage: 60, // More tolerant of transient errors
@@ -166,6 +166,29 @@ export class Database {
       CREATE INDEX IF NOT EXISTS idx_yolo_activity_date ON yolo_activity(activity_date);
     `);
 
+    // YOLO approval requests (high-volume cycles wait here for a human decision)
+    // status: pending -> approved | rejected | expired | cancelled
+    // Timestamps are ISO-8601 strings so expiry can be compared lexically
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS yolo_approvals (
+        id TEXT PRIMARY KEY,
+        operation TEXT NOT NULL,
+        details TEXT NOT NULL,
+        expected_leads INTEGER NOT NULL DEFAULT 0,
+        estimated_cost REAL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        requested_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        decided_at TEXT,
+        decided_by TEXT,
+        decision_notes TEXT
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_yolo_approvals_status ON yolo_approvals(status, requested_at);
+    `);
+
     // HubSpot sync state table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS hubspot_sync_state (
@@ -220,6 +243,115 @@ export class Database {
       CREATE INDEX IF NOT EXISTS idx_hubspot_sync_date ON hubspot_sync_log(sync_started_at);
     `);
 
+    // Pull sync (HubSpot -> local): separate company cursor and run counters
+    for (const migration of [
+      'ALTER TABLE hubspot_sync_state ADD COLUMN companies_last_sync_timestamp TEXT',
+      'ALTER TABLE hubspot_sync_log ADD COLUMN companies_fetched INTEGER DEFAULT 0',
+      'ALTER TABLE hubspot_sync_log ADD COLUMN enrollments_paused INTEGER DEFAULT 0',
+      'ALTER TABLE hubspot_sync_log ADD COLUMN conflicts_resolved INTEGER DEFAULT 0',
+    ]) {
+      try {
+        this.db.exec(migration);
+      } catch (error) {
+        // Column already exists, ignore
+      }
+    }
+
+    // CRM field conflict audit trail (one row per conflicting field resolution)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS crm_conflict_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        crm TEXT NOT NULL,
+        object_type TEXT NOT NULL,
+        identifier TEXT NOT NULL,
+        crm_id TEXT,
+        field TEXT NOT NULL,
+        local_value TEXT,
+        crm_value TEXT,
+        rule TEXT NOT NULL,
+        winner TEXT NOT NULL,
+        local_modified_at TEXT,
+        crm_modified_at TEXT,
+        resolved_at TEXT NOT NULL
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_crm_conflict_identifier ON crm_conflict_log(identifier);
+      CREATE INDEX IF NOT EXISTS idx_crm_conflict_date ON crm_conflict_log(resolved_at);
+    `);
+
+    // CRM deals opened or advanced from campaign outcomes (one per contact and pipeline)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS crm_deals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        crm TEXT NOT NULL,
+        contact_email TEXT NOT NULL,
+        pipeline TEXT NOT NULL,
+        deal_id TEXT NOT NULL,
+        stage TEXT,
+        trigger TEXT,
+        enrollment_id TEXT,
+        last_logged_message_id INTEGER DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE(crm, contact_email, pipeline)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_crm_deals_deal ON crm_deals(crm, deal_id);
+    `);
+
+    // Enrichment lookups per provider (waterfall cost tracking)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS enrichment_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        object_type TEXT NOT NULL,
+        lookup_key TEXT,
+        found INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_enrichment_usage_provider ON enrichment_usage(provider, created_at);
+    `);
+
+    // Meetings booked with prospects (calendar sync and booking webhooks)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS calendar_meetings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        external_id TEXT NOT NULL,
+        title TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        attendees TEXT,
+        enrollment_ids TEXT,
+        status TEXT NOT NULL DEFAULT 'booked',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE(source, external_id)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_calendar_meetings_start ON calendar_meetings(start_time);
+    `);
+
+    // Last IMAP UID processed per polled mailbox (ImapReplyPoller)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS imap_poll_state (
+        mailbox_key TEXT PRIMARY KEY,
+        uid_validity TEXT NOT NULL,
+        last_uid INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
     // CRM sync log table (individual record syncs)
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS crm_sync_log (
@@ -236,6 +368,23 @@ export class Database {
       CREATE INDEX IF NOT EXISTS idx_crm_sync_log_date ON crm_sync_log(synced_at);
     `);
 
+    // Record which CRM a sync went to (hubspot_id is kept for HubSpot rows)
+    try {
+      this.db.exec(`
+        ALTER TABLE crm_sync_log ADD COLUMN crm TEXT DEFAULT 'hubspot'
+      `);
+    } catch (error) {
+      // Column already exists, ignore
+    }
+
+    try {
+      this.db.exec(`
+        ALTER TABLE crm_sync_log ADD COLUMN crm_id TEXT
+      `);
+    } catch (error) {
+      // Column already exists, ignore
+    }
+
     // Add hubspot_last_modified column to imported_contacts if not exists
     try {
       this.db.exec(`
@@ -337,6 +486,45 @@ export class Database {
       CREATE INDEX IF NOT EXISTS idx_lead_messages_conv ON lead_messages(conversation_id, created_at);
       CREATE INDEX IF NOT EXISTS idx_message_knowledge ON message_knowledge_usage(message_id);
     `);
+
+    // Human review queue for AI drafts (ConversationalResponder with requireReview)
+    // status: pending -> sending -> sent | failed, or pending -> rejected
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ai_review_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        lead_email TEXT NOT NULL,
+        lead_name TEXT,
+        company_name TEXT,
+        campaign_id TEXT,
+        enrollment_id TEXT,
+        channel TEXT DEFAULT 'email',
+        thread_id TEXT,
+        incoming_message TEXT,
+        intent TEXT,
+        sentiment TEXT,
+        draft_subject TEXT,
+        draft_content TEXT NOT NULL,
+        original_content TEXT NOT NULL,
+        knowledge_context TEXT,
+        validation_warnings TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reviewed_by TEXT,
+        review_notes TEXT,
+        send_result TEXT,
+        outbound_message_id INTEGER,
+        reviewed_at TEXT,
+        sent_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conversation_id) REFERENCES lead_conversations(id)
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ai_review_queue_status ON ai_review_queue(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_ai_review_queue_conversation ON ai_review_queue(conversation_id);
+    `);
   }
 
   // Job operations
@@ -911,6 +1099,768 @@ export class Database {
     `).all();
   }
 
+  // AI Review Queue operations (for ConversationalResponder requireReview mode)
+
+  /**
+   * Queue an AI draft for human review
+   * @param {object} item - Draft and the context it was generated from
+   * @returns {object} Review queue record
+   */
+  addReviewItem(item) {
+    const {
+      conversationId,
+      leadEmail,
+      leadName = null,
+      companyName = null,
+      campaignId = null,
+      enrollmentId = null,
+      channel = 'email',
+      threadId = null,
+      incomingMessage = null,
+      intent = null,
+      sentiment = null,
+      subject = null,
+      content,
+      knowledgeContext = null,
+      warnings = null
+    } = item;
+
+    const result = this.db.prepare(`
+      INSERT INTO ai_review_queue (
+        conversation_id, lead_email, lead_name, company_name, campaign_id, enrollment_id,
+        channel, thread_id, incoming_message, intent, sentiment,
+        draft_subject, draft_content, original_content, knowledge_context, validation_warnings
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      conversationId, leadEmail, leadName, companyName, campaignId, enrollmentId,
+      channel, threadId, incomingMessage, intent, sentiment,
+      subject, content, content,
+      knowledgeContext ? JSON.stringify(knowledgeContext) : null,
+      warnings && warnings.length > 0 ? JSON.stringify(warnings) : null
+    );
+
+    return this.getReviewItem(result.lastInsertRowid);
+  }
+
+  /**
+   * Get a review queue item by ID
+   * @param {number} id - Review item ID
+   * @returns {object|null} Review item with JSON columns parsed
+   */
+  getReviewItem(id) {
+    const row = this.db.prepare('SELECT * FROM ai_review_queue WHERE id = ?').get(id);
+    return row ? this._parseReviewItem(row) : null;
+  }
+
+  /**
+   * List review queue items
+   * @param {object} filters - { status, campaignId, channel, limit, offset }
+   * @returns {object} { items, total }
+   */
+  listReviewItems(filters = {}) {
+    const { status = 'pending', campaignId, channel, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (status && status !== 'all') {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (campaignId) {
+      conditions.push('campaign_id = ?');
+      params.push(campaignId);
+    }
+    if (channel) {
+      conditions.push('channel = ?');
+      params.push(channel);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const items = this.db.prepare(`
+      SELECT * FROM ai_review_queue
+      ${where}
+      ORDER BY created_at ASC, id ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    const { total } = this.db.prepare(`
+      SELECT COUNT(*) as total FROM ai_review_queue ${where}
+    `).get(...params);
+
+    return { items: items.map(row => this._parseReviewItem(row)), total };
+  }
+
+  /**
+   * Count review queue items by status
+   * @returns {object} { pending, sending, sent, failed, rejected }
+   */
+  getReviewQueueStats() {
+    const rows = this.db.prepare(`
+      SELECT status, COUNT(*) as count FROM ai_review_queue GROUP BY status
+    `).all();
+
+    const stats = { pending: 0, sending: 0, sent: 0, failed: 0, rejected: 0 };
+    for (const row of rows) {
+      stats[row.status] = row.count;
+    }
+    return stats;
+  }
+
+  /**
+   * Edit the draft of a reviewable item
+   * @param {number} id - Review item ID
+   * @param {object} updates - { content, subject, reviewedBy }
+   * @returns {boolean} Whether the draft was updated (false if not pending/failed)
+   */
+  updateReviewDraft(id, updates = {}) {
+    const { content = null, subject = null, reviewedBy = null } = updates;
+
+    const result = this.db.prepare(`
+      UPDATE ai_review_queue
+      SET draft_content = COALESCE(?, draft_content),
+          draft_subject = COALESCE(?, draft_subject),
+          reviewed_by = COALESCE(?, reviewed_by),
+          updated_at = datetime('now')
+      WHERE id = ? AND status IN ('pending', 'failed')
+    `).run(content, subject, reviewedBy, id);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Transition a review item to a new status
+   * Guarded by the expected current status(es) so concurrent reviewers cannot
+   * approve or reject the same draft twice.
+   *
+   * @param {number} id - Review item ID
+   * @param {string[]} fromStatuses - Allowed current statuses
+   * @param {string} toStatus - New status
+   * @param {object} options - { reviewedBy, notes, sendResult, outboundMessageId }
+   * @returns {boolean} Whether the transition happened
+   */
+  transitionReviewItem(id, fromStatuses, toStatus, options = {}) {
+    const { reviewedBy = null, notes = null, sendResult = null, outboundMessageId = null } = options;
+    const placeholders = fromStatuses.map(() => '?').join(', ');
+
+    const result = this.db.prepare(`
+      UPDATE ai_review_queue
+      SET status = ?,
+          reviewed_by = COALESCE(?, reviewed_by),
+          review_notes = COALESCE(?, review_notes),
+          send_result = COALESCE(?, send_result),
+          outbound_message_id = COALESCE(?, outbound_message_id),
+          reviewed_at = CASE WHEN ? IN ('sending', 'rejected') THEN datetime('now') ELSE reviewed_at END,
+          sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END,
+          updated_at = datetime('now')
+      WHERE id = ? AND status IN (${placeholders})
+    `).run(
+      toStatus, reviewedBy, notes,
+      sendResult ? JSON.stringify(sendResult) : null,
+      outboundMessageId,
+      toStatus, toStatus,
+      id, ...fromStatuses
+    );
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Move items stuck in 'sending' (the process died mid-send) back to
+   * 'failed' so a reviewer can retry or reject them
+   * @param {number} leaseMinutes - How long a send may take before it counts as interrupted
+   * @returns {number} Items released
+   */
+  releaseStaleReviewItems(leaseMinutes) {
+    const result = this.db.prepare(`
+      UPDATE ai_review_queue
+      SET status = 'failed',
+          send_result = ?,
+          updated_at = datetime('now')
+      WHERE status = 'sending' AND updated_at <= datetime('now', ?)
+    `).run(
+      JSON.stringify({ sent: false, reason: 'send_interrupted' }),
+      `-${leaseMinutes} minutes`
+    );
+
+    return result.changes;
+  }
+
+  /**
+   * Parse JSON columns of a review queue row
+   * @private
+   */
+  _parseReviewItem(row) {
+    return {
+      ...row,
+      knowledge_context: this.safeParse(row.knowledge_context, null),
+      validation_warnings: this.safeParse(row.validation_warnings, []),
+      send_result: this.safeParse(row.send_result, null)
+    };
+  }
+
+  // YOLO approval operations (shared by the MCP YoloManager and the API server)
+
+  /**
+   * Create a pending YOLO approval request
+   * @param {object} approval - { id, operation, details, expectedLeads, estimatedCost, expiresAt }
+   * @returns {object} Approval record
+   */
+  createYoloApproval(approval) {
+    const { id, operation, details = {}, expectedLeads = 0, estimatedCost = null, expiresAt } = approval;
+
+    this.db.prepare(`
+      INSERT INTO yolo_approvals (id, operation, details, expected_leads, estimated_cost, requested_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id, operation, JSON.stringify(details), expectedLeads,
+      estimatedCost !== null ? Number(estimatedCost) : null,
+      new Date().toISOString(),
+      new Date(expiresAt).toISOString()
+    );
+
+    return this.getYoloApproval(id);
+  }
+
+  /**
+   * Get a YOLO approval by ID
+   * @param {string} id - Approval ID
+   * @returns {object|null} Approval with details parsed
+   */
+  getYoloApproval(id) {
+    const row = this.db.prepare('SELECT * FROM yolo_approvals WHERE id = ?').get(id);
+    return row ? { ...row, details: this.safeParse(row.details, {}) } : null;
+  }
+
+  /**
+   * List YOLO approvals (newest first)
+   * Stale pending requests are expired first so callers never see them as actionable.
+   *
+   * @param {object} filters - { status, limit, offset }
+   * @returns {object} { approvals, total }
+   */
+  listYoloApprovals(filters = {}) {
+    const { status = 'pending', limit = 50, offset = 0 } = filters;
+
+    this.expireYoloApprovals();
+
+    const where = status && status !== 'all' ? 'WHERE status = ?' : '';
+    const params = where ? [status] : [];
+
+    const rows = this.db.prepare(`
+      SELECT * FROM yolo_approvals
+      ${where}
+      ORDER BY requested_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    const { total } = this.db.prepare(`
+      SELECT COUNT(*) as total FROM yolo_approvals ${where}
+    `).get(...params);
+
+    return {
+      approvals: rows.map(row => ({ ...row, details: this.safeParse(row.details, {}) })),
+      total
+    };
+  }
+
+  /**
+   * Record a decision on a pending, unexpired approval
+   * @param {string} id - Approval ID
+   * @param {string} status - approved | rejected | cancelled
+   * @param {object} options - { decidedBy, notes }
+   * @returns {boolean} Whether the decision was recorded (false if already decided or expired)
+   */
+  decideYoloApproval(id, status, options = {}) {
+    const { decidedBy = null, notes = null } = options;
+    const now = new Date().toISOString();
+
+    const result = this.db.prepare(`
+      UPDATE yolo_approvals
+      SET status = ?, decided_at = ?, decided_by = ?, decision_notes = ?
+      WHERE id = ? AND status = 'pending' AND expires_at > ?
+    `).run(status, now, decidedBy, notes, id, now);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Mark pending approvals past their expiry as expired
+   * @returns {number} Number of approvals expired
+   */
+  expireYoloApprovals() {
+    const now = new Date().toISOString();
+
+    const result = this.db.prepare(`
+      UPDATE yolo_approvals
+      SET status = 'expired', decided_at = ?
+      WHERE status = 'pending' AND expires_at <= ?
+    `).run(now, now);
+
+    return result.changes;
+  }
+
+  // HubSpot pull sync operations
+
+  /**
+   * Last HubSpot modified time already pulled
+   * Companies start from the contacts cursor the first time.
+   *
+   * @param {string} objectType - 'contacts' or 'companies'
+   * @returns {string} ISO timestamp
+   */
+  getHubSpotSyncCursor(objectType = 'contacts') {
+    const row = this.db.prepare('SELECT * FROM hubspot_sync_state WHERE id = 1').get();
+    if (objectType === 'companies') {
+      return row.companies_last_sync_timestamp || row.last_sync_timestamp;
+    }
+    return row.last_sync_timestamp;
+  }
+
+  /**
+   * @param {string} objectType - 'contacts' or 'companies'
+   * @param {string} timestamp - ISO timestamp of the newest record pulled
+   */
+  setHubSpotSyncCursor(objectType, timestamp) {
+    const column = objectType === 'companies' ? 'companies_last_sync_timestamp' : 'last_sync_timestamp';
+
+    this.db.prepare(`
+      UPDATE hubspot_sync_state SET ${column} = ?, updated_at = ? WHERE id = 1
+    `).run(new Date(timestamp).toISOString(), new Date().toISOString());
+  }
+
+  /**
+   * Open a sync run in hubspot_sync_log
+   * @returns {number} Run ID
+   */
+  startHubSpotSyncLog() {
+    const result = this.db.prepare(`
+      INSERT INTO hubspot_sync_log (sync_started_at, status) VALUES (?, 'running')
+    `).run(new Date().toISOString());
+
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Close a sync run with its counters
+   * @param {number} id - Run ID
+   * @param {object} run - { status, cursor, contactsFetched, ..., errors }
+   */
+  finishHubSpotSyncLog(id, run) {
+    this.db.prepare(`
+      UPDATE hubspot_sync_log
+      SET sync_completed_at = ?, last_sync_timestamp = ?, status = ?,
+          contacts_fetched = ?, contacts_created = ?, contacts_updated = ?, contacts_skipped = ?,
+          companies_fetched = ?, enrollments_paused = ?, conflicts_resolved = ?, errors = ?
+      WHERE id = ?
+    `).run(
+      new Date().toISOString(), run.cursor || null, run.status,
+      run.contactsFetched || 0, run.contactsCreated || 0, run.contactsUpdated || 0, run.contactsSkipped || 0,
+      run.companiesFetched || 0, run.enrollmentsPaused || 0, run.conflictsResolved || 0,
+      run.errors?.length ? JSON.stringify(run.errors) : null,
+      id
+    );
+  }
+
+  /**
+   * Recent sync runs (newest first)
+   * @param {number} limit - Max runs
+   * @returns {Array<object>} Runs with errors parsed
+   */
+  listHubSpotSyncLog(limit = 20) {
+    return this.db.prepare(`
+      SELECT * FROM hubspot_sync_log ORDER BY sync_started_at DESC LIMIT ?
+    `).all(limit).map(row => ({ ...row, errors: this.safeParse(row.errors, []) }));
+  }
+
+  /**
+   * Record a resolved CRM field conflict
+   * @param {object} conflict - { crm, objectType, identifier, crmId, field, localValue, crmValue, rule, winner, localModifiedAt, crmModifiedAt }
+   */
+  recordCrmConflict(conflict) {
+    const toText = value => (value === null || value === undefined ? null : String(value));
+
+    this.db.prepare(`
+      INSERT INTO crm_conflict_log
+      (crm, object_type, identifier, crm_id, field, local_value, crm_value, rule, winner, local_modified_at, crm_modified_at, resolved_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      conflict.crm, conflict.objectType, conflict.identifier, toText(conflict.crmId), conflict.field,
+      toText(conflict.localValue), toText(conflict.crmValue), conflict.rule, conflict.winner,
+      toText(conflict.localModifiedAt), toText(conflict.crmModifiedAt),
+      new Date().toISOString()
+    );
+  }
+
+  /**
+   * List CRM conflict resolutions (newest first)
+   * @param {object} filters - { crm, identifier, field, limit, offset }
+   * @returns {object} { conflicts, total }
+   */
+  listCrmConflicts(filters = {}) {
+    const { limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    for (const [key, column] of [['crm', 'crm'], ['identifier', 'identifier'], ['field', 'field']]) {
+      if (filters[key]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[key]);
+      }
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const conflicts = this.db.prepare(`
+      SELECT * FROM crm_conflict_log
+      ${where}
+      ORDER BY resolved_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    const { total } = this.db.prepare(`
+      SELECT COUNT(*) as total FROM crm_conflict_log ${where}
+    `).get(...params);
+
+    return { conflicts, total };
+  }
+
+  /**
+   * Get the tracked deal for a contact in a pipeline
+   * @param {string} crm - CRM name
+   * @param {string} contactEmail - Contact email
+   * @param {string} pipeline - Pipeline ID
+   * @returns {object|null} crm_deals row
+   */
+  getCrmDeal(crm, contactEmail, pipeline) {
+    return this.db.prepare(`
+      SELECT * FROM crm_deals WHERE crm = ? AND contact_email = ? AND pipeline = ?
+    `).get(crm, contactEmail.toLowerCase(), pipeline) || null;
+  }
+
+  /**
+   * Create or update the tracked deal for a contact in a pipeline
+   * @param {object} deal - { crm, contactEmail, pipeline, dealId, stage, trigger, enrollmentId, lastLoggedMessageId }
+   * @returns {object} crm_deals row
+   */
+  saveCrmDeal(deal) {
+    const now = new Date().toISOString();
+    const email = deal.contactEmail.toLowerCase();
+
+    this.db.prepare(`
+      INSERT INTO crm_deals
+      (crm, contact_email, pipeline, deal_id, stage, trigger, enrollment_id, last_logged_message_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(crm, contact_email, pipeline) DO UPDATE SET
+        deal_id = excluded.deal_id,
+        stage = excluded.stage,
+        trigger = excluded.trigger,
+        enrollment_id = excluded.enrollment_id,
+        last_logged_message_id = excluded.last_logged_message_id,
+        updated_at = excluded.updated_at
+    `).run(
+      deal.crm, email, deal.pipeline, String(deal.dealId), deal.stage ?? null, deal.trigger ?? null,
+      deal.enrollmentId ?? null, deal.lastLoggedMessageId ?? 0, now, now
+    );
+
+    return this.getCrmDeal(deal.crm, email, deal.pipeline);
+  }
+
+  /**
+   * Record an enrichment provider lookup
+   * @param {object} entry - { provider, objectType, lookupKey, found, cost }
+   */
+  recordEnrichmentUsage(entry) {
+    this.db.prepare(`
+      INSERT INTO enrichment_usage (provider, object_type, lookup_key, found, cost_usd, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.provider, entry.objectType, entry.lookupKey ?? null, entry.found ? 1 : 0,
+      entry.cost || 0, new Date().toISOString()
+    );
+  }
+
+  /**
+   * Enrichment lookups, hits and cost per provider
+   * @param {object} options - { days } (default 30)
+   * @returns {Array<object>} [{ provider, lookups, hits, hit_rate, cost_usd }]
+   */
+  getEnrichmentCostSummary({ days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    return this.db.prepare(`
+      SELECT
+        provider,
+        COUNT(*) as lookups,
+        SUM(found) as hits,
+        ROUND(SUM(cost_usd), 4) as cost_usd
+      FROM enrichment_usage
+      WHERE created_at >= ?
+      GROUP BY provider
+      ORDER BY cost_usd DESC
+    `).all(since).map(row => ({
+      ...row,
+      hit_rate: row.lookups > 0 ? row.hits / row.lookups : 0
+    }));
+  }
+
+  /**
+   * Get a recorded meeting by its source and external ID
+   * @param {string} source - 'caldav', 'ics', 'calendly', 'webhook', ...
+   * @param {string} externalId - Event UID / booking ID
+   * @returns {object|null} calendar_meetings row
+   */
+  getCalendarMeeting(source, externalId) {
+    const row = this.db.prepare(`
+      SELECT * FROM calendar_meetings WHERE source = ? AND external_id = ?
+    `).get(source, String(externalId));
+
+    return row ? this._parseCalendarMeeting(row) : null;
+  }
+
+  /**
+   * Booked meetings starting at an instant, from any source
+   * @param {Date|string} startTime - Meeting start
+   * @returns {Array<object>} calendar_meetings rows
+   */
+  getBookedMeetingsAt(startTime) {
+    return this.db.prepare(`
+      SELECT * FROM calendar_meetings WHERE start_time = ? AND status = 'booked'
+    `).all(new Date(startTime).toISOString()).map(row => this._parseCalendarMeeting(row));
+  }
+
+  /**
+   * Create or update a recorded meeting
+   * @param {object} meeting - { source, externalId, title, startTime, endTime, attendees, enrollmentIds, status }
+   * @returns {object} calendar_meetings row
+   */
+  saveCalendarMeeting(meeting) {
+    const now = new Date().toISOString();
+    const toIso = value => (value ? new Date(value).toISOString() : null);
+
+    this.db.prepare(`
+      INSERT INTO calendar_meetings
+      (source, external_id, title, start_time, end_time, attendees, enrollment_ids, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(source, external_id) DO UPDATE SET
+        title = excluded.title,
+        start_time = excluded.start_time,
+        end_time = excluded.end_time,
+        attendees = excluded.attendees,
+        enrollment_ids = excluded.enrollment_ids,
+        status = excluded.status,
+        updated_at = excluded.updated_at
+    `).run(
+      meeting.source, String(meeting.externalId), meeting.title ?? null,
+      toIso(meeting.startTime), toIso(meeting.endTime),
+      JSON.stringify(meeting.attendees || []), JSON.stringify(meeting.enrollmentIds || []),
+      meeting.status || 'booked', now, now
+    );
+
+    return this.getCalendarMeeting(meeting.source, meeting.externalId);
+  }
+
+  /**
+   * List recorded meetings, newest start first
+   * @param {object} options - { status, since, limit, offset }
+   * @returns {{meetings: Array<object>, total: number}}
+   */
+  listCalendarMeetings({ status = null, since = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (since) {
+      conditions.push('start_time >= ?');
+      params.push(new Date(since).toISOString());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM calendar_meetings ${where}`).get(...params);
+    const meetings = this.db.prepare(`
+      SELECT * FROM calendar_meetings ${where}
+      ORDER BY start_time DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(row => this._parseCalendarMeeting(row));
+
+    return { meetings, total };
+  }
+
+  /**
+   * @private
+   */
+  _parseCalendarMeeting(row) {
+    return {
+      ...row,
+      attendees: this.safeParse(row.attendees, []),
+      enrollment_ids: this.safeParse(row.enrollment_ids, [])
+    };
+  }
+
+  // IMAP reply poller operations
+
+  /**
+   * @param {string} mailboxKey - Account and mailbox, e.g. 'sales@acme.com@imap.acme.com/INBOX'
+   * @returns {{uidValidity: string, lastUid: number}|null}
+   */
+  getImapPollCursor(mailboxKey) {
+    const row = this.db.prepare('SELECT * FROM imap_poll_state WHERE mailbox_key = ?').get(mailboxKey);
+    return row ? { uidValidity: row.uid_validity, lastUid: row.last_uid } : null;
+  }
+
+  /**
+   * @param {string} mailboxKey - Account and mailbox
+   * @param {string} uidValidity - UIDVALIDITY the UID belongs to
+   * @param {number} lastUid - Highest UID fully processed
+   */
+  setImapPollCursor(mailboxKey, uidValidity, lastUid) {
+    this.db.prepare(`
+      INSERT INTO imap_poll_state (mailbox_key, uid_validity, last_uid, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(mailbox_key) DO UPDATE SET
+        uid_validity = excluded.uid_validity,
+        last_uid = excluded.last_uid,
+        updated_at = excluded.updated_at
+    `).run(mailboxKey, uidValidity, lastUid, new Date().toISOString());
+  }
+
+  // Data subject requests (privacy export / erase)
+
+  /**
+   * Every local row about a contact
+   * @param {string} email - Contact email (matched case-insensitively)
+   * @returns {object} Rows per table
+   */
+  getDataSubjectRecords(email) {
+    const address = email.toLowerCase();
+    const conversations = this.db.prepare(`
+      SELECT * FROM lead_conversations WHERE lower(lead_email) = ?
+    `).all(address);
+    const conversationIds = conversations.map(conversation => conversation.id);
+    const inConversations = conversationIds.map(() => '?').join(', ');
+
+    return {
+      imported_contacts: this.db.prepare(`
+        SELECT * FROM imported_contacts WHERE lower(email) = ?
+      `).all(address).map(row => ({ ...row, data: this.safeParse(row.data, {}) })),
+      enrichment_cache: this.db.prepare(`
+        SELECT * FROM enrichment_cache WHERE type = 'contact' AND lower(key) = ?
+      `).all(address).map(row => ({ ...row, data: this.safeParse(row.data, {}) })),
+      enrichment_usage: this.db.prepare(`
+        SELECT * FROM enrichment_usage WHERE lower(lookup_key) = ?
+      `).all(address),
+      lead_conversations: conversations,
+      lead_messages: conversationIds.length > 0
+        ? this.db.prepare(`
+          SELECT * FROM lead_messages WHERE conversation_id IN (${inConversations}) ORDER BY created_at ASC
+        `).all(...conversationIds)
+        : [],
+      ai_review_queue: this.db.prepare(`
+        SELECT * FROM ai_review_queue WHERE lower(lead_email) = ?
+      `).all(address).map(row => this._parseReviewItem(row)),
+      crm_deals: this.db.prepare(`
+        SELECT * FROM crm_deals WHERE lower(contact_email) = ?
+      `).all(address),
+      crm_sync_log: this.db.prepare(`
+        SELECT * FROM crm_sync_log WHERE type = 'contact' AND lower(identifier) = ?
+      `).all(address).map(row => ({ ...row, metadata: this.safeParse(row.metadata, null) })),
+      crm_conflict_log: this.db.prepare(`
+        SELECT * FROM crm_conflict_log WHERE object_type = 'contact' AND lower(identifier) = ?
+      `).all(address),
+      calendar_meetings: this._calendarMeetingsWithAttendee(address)
+    };
+  }
+
+  /**
+   * Delete every local row about a contact
+   * Meetings with other attendees are kept with this attendee removed.
+   * @param {string} email - Contact email (matched case-insensitively)
+   * @returns {object} Rows deleted (or updated, for meetings) per table
+   */
+  eraseDataSubject(email) {
+    const address = email.toLowerCase();
+
+    return this.db.transaction(() => {
+      const conversationIds = this.db.prepare(`
+        SELECT id FROM lead_conversations WHERE lower(lead_email) = ?
+      `).all(address).map(row => row.id);
+      const inConversations = conversationIds.map(() => '?').join(', ');
+
+      const erased = {};
+
+      if (conversationIds.length > 0) {
+        // Children first: knowledge usage -> messages, review items -> conversations
+        this.db.prepare(`
+          DELETE FROM message_knowledge_usage WHERE message_id IN (
+            SELECT id FROM lead_messages WHERE conversation_id IN (${inConversations})
+          )
+        `).run(...conversationIds);
+        erased.lead_messages = this.db.prepare(`
+          DELETE FROM lead_messages WHERE conversation_id IN (${inConversations})
+        `).run(...conversationIds).changes;
+        this.db.prepare(`
+          DELETE FROM ai_review_queue WHERE conversation_id IN (${inConversations})
+        `).run(...conversationIds);
+      } else {
+        erased.lead_messages = 0;
+      }
+
+      erased.ai_review_queue = this.db.prepare(`
+        DELETE FROM ai_review_queue WHERE lower(lead_email) = ?
+      `).run(address).changes;
+      erased.lead_conversations = this.db.prepare(`
+        DELETE FROM lead_conversations WHERE lower(lead_email) = ?
+      `).run(address).changes;
+      erased.imported_contacts = this.db.prepare(`
+        DELETE FROM imported_contacts WHERE lower(email) = ?
+      `).run(address).changes;
+      erased.enrichment_cache = this.db.prepare(`
+        DELETE FROM enrichment_cache WHERE type = 'contact' AND lower(key) = ?
+      `).run(address).changes;
+      erased.enrichment_usage = this.db.prepare(`
+        DELETE FROM enrichment_usage WHERE lower(lookup_key) = ?
+      `).run(address).changes;
+      erased.crm_deals = this.db.prepare(`
+        DELETE FROM crm_deals WHERE lower(contact_email) = ?
+      `).run(address).changes;
+      erased.crm_sync_log = this.db.prepare(`
+        DELETE FROM crm_sync_log WHERE type = 'contact' AND lower(identifier) = ?
+      `).run(address).changes;
+      erased.crm_conflict_log = this.db.prepare(`
+        DELETE FROM crm_conflict_log WHERE object_type = 'contact' AND lower(identifier) = ?
+      `).run(address).changes;
+
+      const updateAttendees = this.db.prepare(`
+        UPDATE calendar_meetings SET attendees = ?, updated_at = ? WHERE id = ?
+      `);
+      const now = new Date().toISOString();
+      const meetings = this._calendarMeetingsWithAttendee(address);
+      for (const meeting of meetings) {
+        const attendees = meeting.attendees.filter(attendee => String(attendee?.email || '').toLowerCase() !== address);
+        updateAttendees.run(JSON.stringify(attendees), now, meeting.id);
+      }
+      erased.calendar_meetings = meetings.length;
+
+      return erased;
+    })();
+  }
+
+  /**
+   * @private
+   */
+  _calendarMeetingsWithAttendee(address) {
+    // LIKE narrows the scan; the parsed attendee list decides
+    return this.db.prepare(`
+      SELECT * FROM calendar_meetings WHERE lower(attendees) LIKE ? ESCAPE '\\'
+    `).all(`%${address.replace(/[\\%_]/g, '\\$&')}%`)
+      .map(row => this._parseCalendarMeeting(row))
+      .filter(meeting => meeting.attendees.some(attendee => String(attendee?.email || '').toLowerCase() === address));
+  }
+
   // Contact operations
   getContacts(filters = {}) {
     let query = 'SELECT * FROM imported_contacts WHERE 1=1';
@@ -94,6 +94,13 @@ export class JobQueue {
     return response;
   }
 
+  /**
+   * Get the raw job record, including its parameters
+   */
+  async getJob(jobId) {
+    return this.db.getJob(jobId);
+  }
+
   /**
    * Update job status
    */
@@ -0,0 +1,439 @@
+/**
+ * MCP Campaign Tools
+ * Parity tools for the v2 campaign system, ICP profiles and the dead letter
+ * queue, so an agent can build a template, launch an instance, enroll
+ * contacts and replay failed events end-to-end
+ *
+ * Each tool runs the same Zod schema (validators/complete-schemas.js) and
+ * controller as its REST route, so validation rules, defaults and response
+ * shapes match /api/campaigns, /api/icp and /api/admin/dlq exactly.
+ *
+ * Tool arguments are flat: route params get descriptive names (template_id,
+ * instance_id, ...) and every other argument is passed as body and query.
+ */
+
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { validate } from '../middleware/validate.js';
+import {
+  CreateCampaignTemplateSchema,
+  UpdateCampaignTemplateSchema,
+  ListCampaignTemplatesSchema,
+  CampaignTemplateParamSchema,
+  CampaignInstanceParamSchema,
+  CreateEmailSequenceSchema,
+  CreateLinkedInSequenceSchema,
+  CreateCampaignInstanceSchema,
+  ListCampaignInstancesSchema,
+  GetCampaignInstanceSchema,
+  UpdateCampaignInstanceStatusSchema,
+  GetCampaignPerformanceSchema,
+  CreateEnrollmentSchema,
+  BulkEnrollSchema,
+  GetEnrollmentSchema,
+  CreateICPProfileSchema,
+  UpdateICPProfileSchema,
+  ICPProfileParamSchema,
+  GetDLQEventsSchema,
+  ReplayDLQEventsSchema,
+  GetDLQStatsSchema
+} from '../validators/complete-schemas.js';
+
+// Controllers import the models, which need Postgres - load them on first call
+// so the stdio server still starts without a database
+const CONTROLLERS = {
+  campaign: () => import('../controllers/campaign-controller.js'),
+  icp: () => import('../controllers/icp-controller.js'),
+  admin: () => import('../controllers/admin-controller.js'),
+};
+
+const TEMPLATE_PARAMS = { id: 'template_id' };
+const INSTANCE_PARAMS = { id: 'instance_id' };
+
+/**
+ * Tool definitions
+ * - schema: request schema from complete-schemas.js (null = no input)
+ * - params: route param -> tool argument name
+ * - controller/handler: the REST route's controller function
+ * - scope: API key resource of the REST route; readOnly tools need read only
+ */
+const TOOLS = [
+  // Templates
+  {
+    name: 'campaign_list_templates',
+    description: 'List v2 campaign templates (paginated, filter by type, path type or active flag)',
+    schema: ListCampaignTemplatesSchema,
+    controller: 'campaign',
+    handler: 'listTemplates',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+  {
+    name: 'campaign_get_template',
+    description: 'Get a campaign template with its email and LinkedIn sequence steps',
+    schema: CampaignTemplateParamSchema,
+    params: TEMPLATE_PARAMS,
+    controller: 'campaign',
+    handler: 'getTemplate',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+  {
+    name: 'campaign_create_template',
+    description: 'Create a campaign template (add steps with campaign_add_email_step / campaign_add_linkedin_step)',
+    schema: CreateCampaignTemplateSchema,
+    controller: 'campaign',
+    handler: 'createTemplate',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_update_template',
+    description: 'Update a campaign template',
+    schema: UpdateCampaignTemplateSchema,
+    params: TEMPLATE_PARAMS,
+    controller: 'campaign',
+    handler: 'updateTemplate',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_add_email_step',
+    description: 'Add an email step to a campaign template',
+    schema: CreateEmailSequenceSchema,
+    params: TEMPLATE_PARAMS,
+    controller: 'campaign',
+    handler: 'createEmailSequence',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_add_linkedin_step',
+    description: 'Add a LinkedIn step (profile visit, connection request, message, ...) to a campaign template',
+    schema: CreateLinkedInSequenceSchema,
+    params: TEMPLATE_PARAMS,
+    controller: 'campaign',
+    handler: 'createLinkedInSequence',
+    scope: 'campaigns',
+  },
+
+  // Instances
+  {
+    name: 'campaign_list_instances',
+    description: 'List campaign instances (paginated, filter by status or template)',
+    schema: ListCampaignInstancesSchema,
+    controller: 'campaign',
+    handler: 'listInstances',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+  {
+    name: 'campaign_create_instance',
+    description: 'Create a campaign instance (a run of an active template)',
+    schema: CreateCampaignInstanceSchema,
+    controller: 'campaign',
+    handler: 'createInstance',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_get_instance',
+    description: 'Get a campaign instance with its template, recent enrollments and metrics',
+    schema: GetCampaignInstanceSchema,
+    params: INSTANCE_PARAMS,
+    controller: 'campaign',
+    handler: 'getInstance',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+  {
+    name: 'campaign_update_instance_status',
+    description: 'Start, pause or complete a campaign instance',
+    schema: UpdateCampaignInstanceStatusSchema,
+    params: INSTANCE_PARAMS,
+    controller: 'campaign',
+    handler: 'updateInstanceStatus',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_get_performance',
+    description: 'Get campaign instance analytics: metrics, funnel, step performance and enrollment status',
+    schema: GetCampaignPerformanceSchema,
+    params: INSTANCE_PARAMS,
+    controller: 'campaign',
+    handler: 'getInstancePerformance',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+
+  // Enrollments
+  {
+    name: 'campaign_enroll',
+    description: 'Enroll one contact in a campaign instance',
+    schema: CreateEnrollmentSchema,
+    params: INSTANCE_PARAMS,
+    controller: 'campaign',
+    handler: 'createEnrollment',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_bulk_enroll',
+    description: 'Enroll up to 1000 contacts in a campaign instance',
+    schema: BulkEnrollSchema,
+    params: INSTANCE_PARAMS,
+    controller: 'campaign',
+    handler: 'bulkEnroll',
+    scope: 'campaigns',
+  },
+  {
+    name: 'campaign_list_enrollments',
+    description: 'List the enrollments of a campaign instance with their latest events',
+    schema: CampaignInstanceParamSchema,
+    params: INSTANCE_PARAMS,
+    controller: 'campaign',
+    handler: 'listEnrollments',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+  {
+    name: 'campaign_get_enrollment',
+    description: 'Get an enrollment with its full event history',
+    schema: GetEnrollmentSchema,
+    params: { id: 'enrollment_id' },
+    controller: 'campaign',
+    handler: 'getEnrollment',
+    scope: 'campaigns',
+    readOnly: true,
+  },
+
+  // ICP profiles
+  {
+    name: 'icp_list',
+    description: 'List ICP profiles',
+    schema: null,
+    controller: 'icp',
+    handler: 'listProfiles',
+    scope: 'icp',
+    readOnly: true,
+  },
+  {
+    name: 'icp_get',
+    description: 'Get an ICP profile',
+    schema: ICPProfileParamSchema,
+    params: { id: 'profile_id' },
+    controller: 'icp',
+    handler: 'getProfile',
+    scope: 'icp',
+    readOnly: true,
+  },
+  {
+    name: 'icp_create',
+    description: 'Create an ICP profile (firmographics, target titles and scoring thresholds)',
+    schema: CreateICPProfileSchema,
+    controller: 'icp',
+    handler: 'createProfile',
+    scope: 'icp',
+  },
+  {
+    name: 'icp_update',
+    description: 'Update an ICP profile; nested objects are merged into the stored values',
+    schema: UpdateICPProfileSchema,
+    params: { id: 'profile_id' },
+    controller: 'icp',
+    handler: 'updateProfile',
+    scope: 'icp',
+  },
+  {
+    name: 'icp_delete',
+    description: 'Delete an ICP profile (deactivated instead when campaign templates use it)',
+    schema: ICPProfileParamSchema,
+    params: { id: 'profile_id' },
+    controller: 'icp',
+    handler: 'deleteProfile',
+    scope: 'icp',
+  },
+
+  // Dead letter queue
+  {
+    name: 'dlq_list',
+    description: 'List events that failed processing after all retries',
+    schema: GetDLQEventsSchema,
+    controller: 'admin',
+    handler: 'listDeadLetterEvents',
+    scope: 'admin',
+    readOnly: true,
+  },
+  {
+    name: 'dlq_stats',
+    description: 'Count dead letter events by status and event type',
+    schema: GetDLQStatsSchema,
+    controller: 'admin',
+    handler: 'getDeadLetterStats',
+    scope: 'admin',
+    readOnly: true,
+  },
+  {
+    name: 'dlq_replay',
+    description: 'Re-queue failed dead letter events for processing (up to 100 per call)',
+    schema: ReplayDLQEventsSchema,
+    controller: 'admin',
+    handler: 'replayDeadLetterEvents',
+    scope: 'admin',
+  },
+];
+
+/**
+ * Minimal Express response stand-in that records status and JSON body
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+export class McpCampaignTools {
+  /**
+   * List tools for tools/list
+   * @returns {Array<Object>}
+   */
+  static list() {
+    return TOOLS.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: McpCampaignTools.inputSchema(tool),
+    }));
+  }
+
+  /**
+   * @returns {boolean} Whether this module provides the tool
+   */
+  static has(name) {
+    return TOOLS.some(tool => tool.name === name);
+  }
+
+  /**
+   * Scope needed to call a tool over HTTP
+   * @returns {{action: string, resource: string}|null} null for unknown tools
+   */
+  static scopeFor(name) {
+    const tool = TOOLS.find(t => t.name === name);
+    return tool ? { action: tool.readOnly ? 'read' : 'write', resource: tool.scope } : null;
+  }
+
+  /**
+   * Flatten a {params, query, body} request schema into one JSON Schema
+   * object, renaming route params to their tool argument names
+   */
+  static inputSchema(tool) {
+    const properties = {};
+    const required = [];
+
+    if (tool.schema) {
+      const json = zodToJsonSchema(tool.schema, { $refStrategy: 'none' });
+
+      for (const [location, part] of Object.entries(json.properties)) {
+        for (const [key, property] of Object.entries(part.properties || {})) {
+          const name = location === 'params' ? tool.params?.[key] || key : key;
+          properties[name] = property;
+          if (part.required?.includes(key) && !required.includes(name)) {
+            required.push(name);
+          }
+        }
+      }
+    }
+
+    return required.length > 0
+      ? { type: 'object', properties, required }
+      : { type: 'object', properties };
+  }
+
+  /**
+   * Build the request the route would see for a set of tool arguments
+   * Schemas strip keys they don't declare, so body and query can both take
+   * every argument.
+   *
+   * @param {Object} tool - Tool definition
+   * @param {Object} args - Tool arguments
+   * @param {Object} authInfo - MCP authInfo (HTTP transport only)
+   */
+  static buildRequest(tool, args = {}, authInfo = undefined) {
+    const params = {};
+    for (const [param, arg] of Object.entries(tool.params || {})) {
+      if (args[arg] !== undefined) {
+        params[param] = args[arg];
+      }
+    }
+
+    const userId = authInfo?.extra?.userId;
+
+    return {
+      method: 'MCP',
+      path: tool.name,
+      params,
+      query: { ...args },
+      body: { ...args },
+      user: userId ? { id: userId } : undefined,
+    };
+  }
+
+  /**
+   * Call a tool
+   *
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} authInfo - MCP authInfo (HTTP transport only)
+   * @returns {Promise<Object>} The route's JSON response
+   * @throws {Error} On validation failures and error responses
+   */
+  static async call(name, args, authInfo) {
+    const tool = TOOLS.find(t => t.name === name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    const req = McpCampaignTools.buildRequest(tool, args, authInfo);
+    const res = createResponse();
+
+    if (tool.schema) {
+      let valid = false;
+      await validate(tool.schema)(req, res, () => { valid = true; });
+      if (!valid) {
+        throw new Error(McpCampaignTools.describeError(tool, res.body));
+      }
+    }
+
+    const controller = await CONTROLLERS[tool.controller]();
+    await controller[tool.handler](req, res);
+
+    if (res.statusCode >= 400) {
+      throw new Error(McpCampaignTools.describeError(tool, res.body));
+    }
+
+    return res.body;
+  }
+
+  /**
+   * One-line error message from an error response, naming invalid fields
+   * by their tool argument names
+   */
+  static describeError(tool, body = {}) {
+    const summary = body.message && body.message !== body.error
+      ? `${body.error}: ${body.message}`
+      : body.error || 'Request failed';
+
+    const details = (body.details || []).map(detail => {
+      const [location, key, ...rest] = detail.field.split('.');
+      const arg = location === 'params' ? tool.params?.[key] || key : key;
+      const field = [arg, ...rest].filter(Boolean).join('.') || location;
+      return detail.message ? `${field}: ${detail.message}` : field;
+    });
+
+    return details.length > 0 ? `${summary} (${details.join('; ')})` : summary;
+  }
+}
+
+export default McpCampaignTools;
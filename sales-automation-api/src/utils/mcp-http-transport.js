@@ -0,0 +1,268 @@
+/**
+ * MCP Streamable HTTP Transport
+ * Serves an MCP server over HTTP so remote agents can use the same tools as
+ * the local stdio process
+ *
+ * - POST carries JSON-RPC messages (responses are JSON or an SSE stream),
+ *   GET opens the server-to-client SSE stream, DELETE ends the session
+ * - Every request is authenticated with authenticateDb (database API keys)
+ * - Each session gets its own SDK Server (a Server serves exactly one
+ *   transport) and is bound to the API key that initialized it
+ * - tools/call, resources/read and prompts/get are checked against the
+ *   key's scopes before dispatch
+ * - Idle sessions are closed after sessionTtlMs
+ */
+
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { authenticateDb, hasScope } from '../middleware/authenticate-db.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('McpHttpTransport');
+
+export const SESSION_HEADER = 'mcp-session-id';
+
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+
+/**
+ * Write a JSON-RPC error without going through a transport
+ */
+function sendJsonRpcError(res, status, code, message, id = null) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id
+  });
+}
+
+/**
+ * Expose the authenticated key to MCP handlers
+ * The transport forwards req.auth to request handlers as extra.authInfo.
+ */
+function attachAuthInfo(req, res, next) {
+  req.auth = {
+    token: req.apiKey.prefix,
+    clientId: req.apiKey.prefix,
+    scopes: req.apiKey.scopes || [],
+    extra: {
+      apiKeyId: req.apiKey.id,
+      apiKeyName: req.apiKey.name,
+      userId: req.apiKey.userId
+    }
+  };
+  next();
+}
+
+/**
+ * Find the first scoped request in a JSON-RPC body (single or batch) that
+ * the key's scopes do not cover
+ *
+ * @param {Object|Array} body - Parsed JSON-RPC body
+ * @param {Array<string>} scopes - API key scopes
+ * @param {Object} resolvers - Each (name or uri) => {action, resource} | null
+ * @param {Function} resolvers.toolScope - For tools/call
+ * @param {Function} resolvers.resourceScope - For resources/read
+ * @param {Function} resolvers.promptScope - For prompts/get
+ * @returns {{message: Object, scope: string}|null}
+ */
+export function findDeniedRequest(body, scopes, resolvers = {}) {
+  const { toolScope = () => null, resourceScope = () => null, promptScope = () => null } = resolvers;
+  const messages = Array.isArray(body) ? body : [body];
+
+  for (const message of messages) {
+    let scope;
+    switch (message?.method) {
+      case 'tools/call':
+        scope = toolScope(message.params?.name);
+        break;
+      case 'resources/read':
+        scope = resourceScope(message.params?.uri);
+        break;
+      case 'prompts/get':
+        scope = promptScope(message.params?.name);
+        break;
+      default:
+        continue;
+    }
+
+    // Unknown names pass through - the server answers them with its own error
+    if (scope && !hasScope(scopes, scope.action, scope.resource)) {
+      return { message, scope: `${scope.action}:${scope.resource}` };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Mount the MCP endpoint on an Express app
+ * The app must already parse JSON bodies.
+ *
+ * @param {Object} app - Express app
+ * @param {Object} options
+ * @param {Function} options.createServer - async (req) => Server with handlers registered
+ * @param {Function} options.toolScope - (toolName) => {action, resource} | null
+ * @param {Function} options.resourceScope - (uri) => {action, resource} | null
+ * @param {Function} options.promptScope - (promptName) => {action, resource} | null
+ * @param {string} options.path - Endpoint path (default '/mcp')
+ * @param {number} options.sessionTtlMs - Idle time before a session is closed
+ * @param {number} options.maxSessions - Open sessions allowed at once
+ * @returns {{sessions: Map, close: Function}}
+ */
+export function mountMcpHttpTransport(app, options = {}) {
+  const {
+    createServer,
+    toolScope,
+    resourceScope,
+    promptScope,
+    path = '/mcp',
+    sessionTtlMs = parseInt(process.env.MCP_SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS,
+    maxSessions = parseInt(process.env.MCP_MAX_SESSIONS) || DEFAULT_MAX_SESSIONS
+  } = options;
+
+  const sessions = new Map();
+
+  const closeSession = async (sessionId, reason) => {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.warn('Failed to close MCP session', { sessionId, error: error.message });
+    }
+    logger.info('MCP session closed', { sessionId, reason, apiKey: session.apiKeyPrefix });
+  };
+
+  /**
+   * Resolve the session for a follow-up request
+   * Sessions opened by another key are reported as not found.
+   */
+  const getSession = (req, res) => {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, `Bad Request: missing ${SESSION_HEADER} header`);
+      return null;
+    }
+
+    const session = sessions.get(sessionId);
+    if (!session || session.apiKeyId !== req.apiKey.id) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+
+    session.lastSeenAt = Date.now();
+    return session;
+  };
+
+  const handlePost = async (req, res) => {
+    try {
+      const denied = findDeniedRequest(req.body, req.apiKey.scopes, { toolScope, resourceScope, promptScope });
+      if (denied) {
+        const target = denied.message.params?.name || denied.message.params?.uri;
+        logger.warn(`Insufficient scope for key ${req.apiKey.prefix}: ${denied.message.method} ${target}`, {
+          keyId: req.apiKey.id,
+          requiredScope: denied.scope,
+          grantedScopes: req.apiKey.scopes
+        });
+        // SECURITY: Generic error message (don't reveal scope requirements)
+        return sendJsonRpcError(res, 403, -32003, 'Forbidden', denied.message.id ?? null);
+      }
+
+      if (req.headers[SESSION_HEADER]) {
+        const session = getSession(req, res);
+        if (session) {
+          await session.transport.handleRequest(req, res, req.body);
+        }
+        return;
+      }
+
+      if (!isInitializeRequest(req.body)) {
+        return sendJsonRpcError(res, 400, -32000, 'Bad Request: send an initialize request to open a session');
+      }
+
+      if (sessions.size >= maxSessions) {
+        logger.warn('MCP session limit reached', { maxSessions });
+        return sendJsonRpcError(res, 503, -32000, 'Too many open MCP sessions, try again later');
+      }
+
+      const server = await createServer(req);
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (sessionId) => {
+          sessions.set(sessionId, {
+            transport,
+            server,
+            apiKeyId: req.apiKey.id,
+            apiKeyPrefix: req.apiKey.prefix,
+            createdAt: Date.now(),
+            lastSeenAt: Date.now()
+          });
+          logger.info('MCP session opened', { sessionId, apiKey: req.apiKey.prefix });
+        }
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          sessions.delete(transport.sessionId);
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      logger.error('MCP request failed', { error: error.message, stack: error.stack });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  };
+
+  const handleSessionRequest = async (req, res) => {
+    try {
+      const session = getSession(req, res);
+      if (session) {
+        await session.transport.handleRequest(req, res);
+      }
+    } catch (error) {
+      logger.error('MCP request failed', { method: req.method, error: error.message });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  };
+
+  app.post(path, authenticateDb, attachAuthInfo, handlePost);
+  app.get(path, authenticateDb, attachAuthInfo, handleSessionRequest);
+  app.delete(path, authenticateDb, attachAuthInfo, handleSessionRequest);
+
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const [sessionId, session] of sessions) {
+      if (session.lastSeenAt < cutoff) {
+        closeSession(sessionId, 'idle');
+      }
+    }
+  }, Math.min(sessionTtlMs, 60000)).unref(); // unref to allow clean exit
+
+  logger.info('MCP Streamable HTTP transport mounted', { path, sessionTtlMs, maxSessions });
+
+  return {
+    sessions,
+
+    /**
+     * Close every open session and stop the idle sweeper
+     */
+    async close() {
+      clearInterval(sweeper);
+      await Promise.all([...sessions.keys()].map(sessionId => closeSession(sessionId, 'shutdown')));
+    }
+  };
+}
+
+export default mountMcpHttpTransport;
@@ -0,0 +1,244 @@
+/**
+ * MCP Prompts
+ * Ready-made prompts for common outreach jobs. Each prompt embeds the
+ * relevant MCP resources (knowledge files, ICP profile, campaign
+ * performance) so the assistant starts with the context attached.
+ */
+
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { McpResources } from './mcp-resources.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('McpPrompts');
+
+const PROMPTS = [
+  {
+    name: 'draft_first_touch_email',
+    description: 'Draft a first-touch cold email for a persona using case studies, value props and the matching playbook',
+    arguments: [
+      { name: 'persona', description: 'Prospect persona, e.g. "Head of Treasury" or "VP Payments"', required: true },
+      { name: 'company', description: 'Prospect company name', required: false },
+      { name: 'pain_point', description: 'Known pain point or trigger event', required: false },
+    ],
+    scope: 'knowledge',
+  },
+  {
+    name: 'handle_objection',
+    description: 'Draft a reply to a prospect objection using battle cards and value propositions',
+    arguments: [
+      { name: 'objection', description: 'The objection as the prospect wrote it', required: true },
+      { name: 'competitor', description: 'Competitor mentioned, if any', required: false },
+    ],
+    scope: 'knowledge',
+  },
+  {
+    name: 'review_campaign_performance',
+    description: 'Diagnose a campaign instance funnel and recommend changes',
+    arguments: [
+      { name: 'instance_id', description: 'Campaign instance ID', required: true },
+    ],
+    scope: 'campaigns',
+  },
+  {
+    name: 'qualify_lead',
+    description: 'Score a lead against an ICP profile and recommend approve, review or disqualify',
+    arguments: [
+      { name: 'profile_id', description: 'ICP profile ID', required: true },
+      { name: 'lead', description: 'Lead details (JSON or free text)', required: true },
+    ],
+    scope: 'icp',
+  },
+];
+
+export class McpPrompts {
+  /**
+   * List prompts for prompts/list
+   * @returns {Array<Object>}
+   */
+  static list() {
+    return PROMPTS.map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args,
+    }));
+  }
+
+  /**
+   * Scope needed to get a prompt over HTTP
+   * @returns {{action: string, resource: string}|null} null for unknown prompts
+   */
+  static scopeFor(name) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    return prompt ? { action: 'read', resource: prompt.scope } : null;
+  }
+
+  /**
+   * Build a prompt for prompts/get
+   *
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments
+   * @returns {Promise<{description: string, messages: Array<Object>}>}
+   * @throws {McpError} InvalidParams for unknown prompts or missing arguments
+   */
+  static async get(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && !args[arg.name]?.trim())
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s): ${missing.join(', ')}`);
+    }
+
+    switch (name) {
+      case 'draft_first_touch_email':
+        return McpPrompts._draftFirstTouchEmail(prompt, args);
+      case 'handle_objection':
+        return McpPrompts._handleObjection(prompt, args);
+      case 'review_campaign_performance':
+        return McpPrompts._reviewCampaignPerformance(prompt, args);
+      case 'qualify_lead':
+        return McpPrompts._qualifyLead(prompt, args);
+    }
+  }
+
+  /**
+   * Knowledge playbook for a persona (same rule as KnowledgeService.getContextForPersona)
+   */
+  static playbookFor(persona) {
+    const personaLower = persona.toLowerCase();
+    const isTreasury = personaLower.includes('treasury') ||
+                       personaLower.includes('finance') ||
+                       personaLower.includes('cfo');
+    return isTreasury ? 'treasury-playbook' : 'psp-playbook';
+  }
+
+  /**
+   * Build a prompt result: embedded resources first, then the instructions
+   */
+  static async build(description, uris, instructions) {
+    const messages = [];
+
+    for (const uri of uris) {
+      try {
+        const { contents } = await McpResources.read(uri);
+        messages.push({
+          role: 'user',
+          content: { type: 'resource', resource: contents[0] },
+        });
+      } catch (error) {
+        // Optional context (e.g. an empty learnings file) shouldn't block the prompt
+        if (!uri.startsWith('knowledge://')) {
+          throw error;
+        }
+        logger.warn('Skipping unavailable knowledge resource', { uri, error: error.message });
+      }
+    }
+
+    messages.push({
+      role: 'user',
+      content: { type: 'text', text: instructions },
+    });
+
+    return { description, messages };
+  }
+
+  /**
+   * @private
+   */
+  static _draftFirstTouchEmail(prompt, { persona, company, pain_point: painPoint }) {
+    const target = company ? `a ${persona} at ${company}` : `a ${persona}`;
+
+    return McpPrompts.build(
+      `First-touch email for ${target}`,
+      [
+        'knowledge://company/value-propositions',
+        'knowledge://company/case-studies',
+        `knowledge://industry/${McpPrompts.playbookFor(persona)}`,
+        'knowledge://learnings/what-works',
+        'knowledge://learnings/what-doesnt-work',
+      ],
+      [
+        `Draft a first-touch cold email to ${target}.`,
+        painPoint ? `Known pain point / trigger: ${painPoint}.` : null,
+        '',
+        'Use the attached knowledge:',
+        '- Lead with the case study closest to this persona and cite its result',
+        '- Use the playbook language for this persona',
+        '- Follow what works; avoid every pattern listed in what doesn\'t work',
+        '- Under 120 words, one clear call to action, no attachments or links',
+        '',
+        'Return a subject line (under 50 characters) and the email body.',
+      ].filter(line => line !== null).join('\n')
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _handleObjection(prompt, { objection, competitor }) {
+    return McpPrompts.build(
+      competitor ? `Objection reply (competitor: ${competitor})` : 'Objection reply',
+      [
+        'knowledge://competitive/battle-cards',
+        'knowledge://company/value-propositions',
+      ],
+      [
+        'A prospect replied with this objection:',
+        '',
+        `> ${objection.split('\n').join('\n> ')}`,
+        '',
+        competitor
+          ? `They mentioned ${competitor} - use its battle card section.`
+          : 'Use the battle cards if a competitor is implied.',
+        'Acknowledge the concern, answer it with one concrete proof point, and',
+        'propose a low-friction next step. Keep it under 100 words.',
+      ].join('\n')
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _reviewCampaignPerformance(prompt, { instance_id: instanceId }) {
+    return McpPrompts.build(
+      'Campaign performance review',
+      [
+        `campaign://instances/${encodeURIComponent(instanceId)}/performance`,
+        'knowledge://learnings/what-works',
+      ],
+      [
+        'Review the attached campaign performance.',
+        '- Walk the funnel (enrolled -> sent -> delivered -> opened -> replied) and name the weakest stage',
+        '- Compare step performance and call out the step losing the most prospects',
+        '- Flag deliverability problems (bounces, low delivery rate)',
+        '- Recommend at most three concrete changes, most impactful first',
+      ].join('\n')
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _qualifyLead(prompt, { profile_id: profileId, lead }) {
+    return McpPrompts.build(
+      'Lead qualification',
+      [`icp://profiles/${encodeURIComponent(profileId)}`],
+      [
+        'Score this lead against the attached ICP profile:',
+        '',
+        lead,
+        '',
+        'Check firmographics (size, revenue, industry, geography) and title fit',
+        '(primary vs secondary titles). Give a fit score between 0 and 1 and map it to',
+        'the profile scoring thresholds: autoApprove, reviewRequired or disqualify.',
+        'List the criteria that matched and the ones that did not.',
+      ].join('\n')
+    );
+  }
+}
+
+export default McpPrompts;
@@ -0,0 +1,304 @@
+/**
+ * MCP Resources
+ * Read-only context assistants can attach directly instead of calling tools
+ *
+ * URIs:
+ * - icp://profiles                          Active ICP profiles (summary)
+ * - icp://profiles/{id}                     One ICP profile
+ * - knowledge://{category}/{name}           Knowledge base markdown file
+ * - campaign://instances/{id}/performance   Campaign instance analytics
+ * - outcomes://digest/weekly                Weekly outreach digest (markdown)
+ *
+ * Database-backed resources are skipped from listings (not errors) when
+ * Postgres is unavailable, so knowledge files stay usable from a bare
+ * stdio process.
+ */
+
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { KnowledgeService } from '../services/KnowledgeService.js';
+import { OutcomeTracker } from '../services/OutcomeTracker.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('McpResources');
+
+// Listing every campaign would flood the client; older ones stay readable by URI
+const MAX_LISTED_INSTANCES = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const JSON_MIME = 'application/json';
+const MARKDOWN_MIME = 'text/markdown';
+
+// Lazy-load models (Postgres is optional for knowledge-only use)
+let models;
+
+async function getModels() {
+  if (!models) {
+    models = await import('../models/index.js');
+  }
+  return models;
+}
+
+/**
+ * Resource templates advertised via resources/templates/list
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'icp://profiles/{id}',
+    name: 'ICP profile',
+    description: 'Firmographics, target titles and scoring thresholds of one ICP profile',
+    mimeType: JSON_MIME,
+  },
+  {
+    uriTemplate: 'knowledge://{category}/{name}',
+    name: 'Knowledge file',
+    description: 'Knowledge base file (company, competitive, industry or learnings)',
+    mimeType: MARKDOWN_MIME,
+  },
+  {
+    uriTemplate: 'campaign://instances/{id}/performance',
+    name: 'Campaign performance',
+    description: 'Metrics, funnel, step performance and enrollment status of a campaign instance',
+    mimeType: JSON_MIME,
+  },
+];
+
+/**
+ * API key resource needed to read each URI scheme over HTTP
+ */
+const SCHEME_RESOURCES = {
+  icp: 'icp',
+  knowledge: 'knowledge',
+  campaign: 'campaigns',
+  outcomes: 'performance',
+};
+
+export class McpResources {
+  /**
+   * List concrete resources
+   * @returns {Promise<Array<Object>>}
+   */
+  static async list() {
+    const resources = [
+      {
+        uri: 'outcomes://digest/weekly',
+        name: 'Weekly outreach digest',
+        description: 'Sent/open/reply/meeting rates and top templates for the last 7 days',
+        mimeType: MARKDOWN_MIME,
+      },
+    ];
+
+    const knowledge = await KnowledgeService.listAvailableKnowledge();
+    for (const [category, names] of Object.entries(knowledge)) {
+      for (const name of names) {
+        resources.push({
+          uri: `knowledge://${category}/${name}`,
+          name: `Knowledge: ${category}/${name}`,
+          mimeType: MARKDOWN_MIME,
+        });
+      }
+    }
+
+    try {
+      const { ICPProfile, CampaignInstance } = await getModels();
+
+      const [profiles, instances] = await Promise.all([
+        ICPProfile.findActive({ attributes: ['id', 'name', 'tier', 'description'] }),
+        CampaignInstance.findAll({
+          attributes: ['id', 'name', 'status'],
+          where: { status: ['active', 'paused'] },
+          order: [['updated_at', 'DESC']],
+          limit: MAX_LISTED_INSTANCES,
+        }),
+      ]);
+
+      resources.push({
+        uri: 'icp://profiles',
+        name: 'ICP profiles',
+        description: `${profiles.length} active ICP profile(s)`,
+        mimeType: JSON_MIME,
+      });
+
+      for (const profile of profiles) {
+        resources.push({
+          uri: `icp://profiles/${profile.id}`,
+          name: `ICP: ${profile.name}`,
+          description: profile.description || `${profile.tier} tier`,
+          mimeType: JSON_MIME,
+        });
+      }
+
+      for (const instance of instances) {
+        resources.push({
+          uri: `campaign://instances/${instance.id}/performance`,
+          name: `Campaign performance: ${instance.name}`,
+          description: `Status: ${instance.status}`,
+          mimeType: JSON_MIME,
+        });
+      }
+    } catch (error) {
+      logger.warn('Database resources unavailable', { error: error.message });
+    }
+
+    return resources;
+  }
+
+  /**
+   * List resource templates
+   * @returns {Array<Object>}
+   */
+  static listTemplates() {
+    return RESOURCE_TEMPLATES;
+  }
+
+  /**
+   * Read a resource
+   *
+   * @param {string} uri - Resource URI
+   * @returns {Promise<{contents: Array<Object>}>} resources/read result
+   * @throws {McpError} InvalidParams for unknown or missing resources
+   */
+  static async read(uri) {
+    const { scheme, segments } = McpResources.parseUri(uri);
+
+    switch (scheme) {
+      case 'icp':
+        if (segments[0] === 'profiles' && segments.length === 1) {
+          return McpResources.json(uri, await McpResources._readIcpProfiles());
+        }
+        if (segments[0] === 'profiles' && segments.length === 2) {
+          return McpResources.json(uri, await McpResources._readIcpProfile(uri, segments[1]));
+        }
+        break;
+
+      case 'knowledge':
+        if (segments.length === 2) {
+          return McpResources.markdown(uri, await McpResources._readKnowledge(uri, segments[0], segments[1]));
+        }
+        break;
+
+      case 'campaign':
+        if (segments[0] === 'instances' && segments[2] === 'performance' && segments.length === 3) {
+          return McpResources.json(uri, await McpResources._readCampaignPerformance(uri, segments[1]));
+        }
+        break;
+
+      case 'outcomes':
+        if (segments.join('/') === 'digest/weekly') {
+          return McpResources.markdown(uri, await OutcomeTracker.generateWeeklyDigest());
+        }
+        break;
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  /**
+   * Scope needed to read a URI over HTTP
+   * @returns {{action: string, resource: string}|null} null for unknown schemes
+   */
+  static scopeFor(uri) {
+    const resource = SCHEME_RESOURCES[McpResources.parseUri(uri).scheme];
+    return resource ? { action: 'read', resource } : null;
+  }
+
+  /**
+   * Split a resource URI into scheme and path segments
+   * (icp://profiles/abc -> { scheme: 'icp', segments: ['profiles', 'abc'] })
+   */
+  static parseUri(uri) {
+    const match = /^([a-z]+):\/\/(.+)$/.exec(uri || '');
+    if (!match) {
+      return { scheme: null, segments: [] };
+    }
+
+    try {
+      return {
+        scheme: match[1],
+        segments: match[2].split('/').filter(Boolean).map(segment => decodeURIComponent(segment)),
+      };
+    } catch {
+      // Malformed percent-encoding
+      return { scheme: null, segments: [] };
+    }
+  }
+
+  static json(uri, data) {
+    return {
+      contents: [{ uri, mimeType: JSON_MIME, text: JSON.stringify(data, null, 2) }],
+    };
+  }
+
+  static markdown(uri, text) {
+    return {
+      contents: [{ uri, mimeType: MARKDOWN_MIME, text }],
+    };
+  }
+
+  /**
+   * @private
+   */
+  static async _readIcpProfiles() {
+    const { ICPProfile } = await getModels();
+    const profiles = await ICPProfile.findActive();
+
+    return profiles.map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      tier: profile.tier,
+      description: profile.description,
+      titles: profile.titles,
+      firmographics: profile.firmographics,
+    }));
+  }
+
+  /**
+   * @private
+   */
+  static async _readIcpProfile(uri, id) {
+    const { ICPProfile } = await getModels();
+    const profile = UUID_PATTERN.test(id) ? await ICPProfile.findByPk(id) : null;
+
+    if (!profile) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+
+    return profile.toJSON();
+  }
+
+  /**
+   * @private
+   */
+  static async _readKnowledge(uri, category, name) {
+    let content;
+    try {
+      content = await KnowledgeService.loadKnowledgeFile(category, name);
+    } catch (error) {
+      // Invalid category or filename
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+
+    if (content === null) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+
+    return content;
+  }
+
+  /**
+   * @private
+   */
+  static async _readCampaignPerformance(uri, id) {
+    const { CampaignInstance } = await getModels();
+    const instance = UUID_PATTERN.test(id) ? await CampaignInstance.findByPk(id) : null;
+
+    if (!instance) {
+      throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}`);
+    }
+
+    const { buildInstancePerformance } = await import('../controllers/campaign-controller.js');
+    return buildInstancePerformance(instance);
+  }
+}
+
+export default McpResources;
@@ -0,0 +1,281 @@
+/**
+ * Recipient Timezone Inference
+ * Works out a contact's IANA timezone and country from the location data
+ * enrichment leaves on the contact, most specific source first:
+ *
+ * 1. An explicit timezone on the contact (timezone / time_zone / timeZone)
+ * 2. The contact's own location: city, state/region, country, location
+ *    ("Singapore", "Austin, TX", "Greater Sydney Area, Australia")
+ * 3. The company headquarters: company.headquartersCity/State/Country,
+ *    company.headquarters, or flat company_city/company_state/company_country
+ *
+ * Countries spanning several timezones fall back to their main business
+ * timezone when no state or known city narrows them down.
+ */
+
+import { isValidTimeZone } from './timezone.js';
+
+/**
+ * ISO country -> main business timezone
+ */
+const COUNTRY_ZONES = {
+  US: 'America/New_York', CA: 'America/Toronto', MX: 'America/Mexico_City',
+  BR: 'America/Sao_Paulo', AR: 'America/Argentina/Buenos_Aires', CL: 'America/Santiago',
+  CO: 'America/Bogota', PE: 'America/Lima',
+  GB: 'Europe/London', IE: 'Europe/Dublin', PT: 'Europe/Lisbon', ES: 'Europe/Madrid',
+  FR: 'Europe/Paris', BE: 'Europe/Brussels', NL: 'Europe/Amsterdam', LU: 'Europe/Luxembourg',
+  DE: 'Europe/Berlin', AT: 'Europe/Vienna', CH: 'Europe/Zurich', IT: 'Europe/Rome',
+  DK: 'Europe/Copenhagen', SE: 'Europe/Stockholm', NO: 'Europe/Oslo', FI: 'Europe/Helsinki',
+  PL: 'Europe/Warsaw', CZ: 'Europe/Prague', HU: 'Europe/Budapest', RO: 'Europe/Bucharest',
+  GR: 'Europe/Athens', EE: 'Europe/Tallinn', LV: 'Europe/Riga', LT: 'Europe/Vilnius',
+  UA: 'Europe/Kyiv', TR: 'Europe/Istanbul', RU: 'Europe/Moscow', IL: 'Asia/Jerusalem',
+  AE: 'Asia/Dubai', SA: 'Asia/Riyadh', QA: 'Asia/Qatar', EG: 'Africa/Cairo',
+  ZA: 'Africa/Johannesburg', NG: 'Africa/Lagos', KE: 'Africa/Nairobi',
+  IN: 'Asia/Kolkata', PK: 'Asia/Karachi', BD: 'Asia/Dhaka', SG: 'Asia/Singapore',
+  MY: 'Asia/Kuala_Lumpur', ID: 'Asia/Jakarta', TH: 'Asia/Bangkok', VN: 'Asia/Ho_Chi_Minh',
+  PH: 'Asia/Manila', HK: 'Asia/Hong_Kong', CN: 'Asia/Shanghai', TW: 'Asia/Taipei',
+  KR: 'Asia/Seoul', JP: 'Asia/Tokyo', AU: 'Australia/Sydney', NZ: 'Pacific/Auckland'
+};
+
+/**
+ * Country names and common aliases -> ISO code
+ */
+const COUNTRY_ALIASES = {
+  'united states': 'US', 'united states of america': 'US', usa: 'US', 'u.s.': 'US', 'u.s.a.': 'US', america: 'US',
+  canada: 'CA', mexico: 'MX', brazil: 'BR', brasil: 'BR', argentina: 'AR', chile: 'CL',
+  colombia: 'CO', peru: 'PE',
+  'united kingdom': 'GB', uk: 'GB', 'great britain': 'GB', britain: 'GB', england: 'GB',
+  scotland: 'GB', wales: 'GB', 'northern ireland': 'GB', ireland: 'IE', portugal: 'PT',
+  spain: 'ES', france: 'FR', belgium: 'BE', netherlands: 'NL', 'the netherlands': 'NL',
+  holland: 'NL', luxembourg: 'LU', germany: 'DE', deutschland: 'DE', austria: 'AT',
+  switzerland: 'CH', italy: 'IT', denmark: 'DK', sweden: 'SE', norway: 'NO', finland: 'FI',
+  poland: 'PL', 'czech republic': 'CZ', czechia: 'CZ', hungary: 'HU', romania: 'RO',
+  greece: 'GR', estonia: 'EE', latvia: 'LV', lithuania: 'LT', ukraine: 'UA', turkey: 'TR',
+  turkiye: 'TR', russia: 'RU', israel: 'IL', 'united arab emirates': 'AE', uae: 'AE',
+  'saudi arabia': 'SA', qatar: 'QA', egypt: 'EG', 'south africa': 'ZA', nigeria: 'NG',
+  kenya: 'KE', india: 'IN', pakistan: 'PK', bangladesh: 'BD', singapore: 'SG',
+  malaysia: 'MY', indonesia: 'ID', thailand: 'TH', vietnam: 'VN', 'viet nam': 'VN',
+  philippines: 'PH', 'hong kong': 'HK', 'hong kong sar': 'HK', china: 'CN', taiwan: 'TW',
+  'south korea': 'KR', korea: 'KR', 'republic of korea': 'KR', japan: 'JP',
+  australia: 'AU', 'new zealand': 'NZ'
+};
+
+/**
+ * Regions of multi-timezone countries -> timezone (names and postal codes)
+ */
+const REGION_ZONES = {
+  US: {
+    Eastern: ['ct', 'connecticut', 'de', 'delaware', 'dc', 'district of columbia', 'washington dc', 'washington d.c.',
+      'fl', 'florida', 'ga', 'georgia', 'in', 'indiana', 'ky', 'kentucky', 'me', 'maine', 'md', 'maryland',
+      'ma', 'massachusetts', 'mi', 'michigan', 'nh', 'new hampshire', 'nj', 'new jersey', 'ny', 'new york',
+      'nc', 'north carolina', 'oh', 'ohio', 'pa', 'pennsylvania', 'ri', 'rhode island', 'sc', 'south carolina',
+      'vt', 'vermont', 'va', 'virginia', 'wv', 'west virginia'],
+    Central: ['al', 'alabama', 'ar', 'arkansas', 'il', 'illinois', 'ia', 'iowa', 'ks', 'kansas', 'la', 'louisiana',
+      'mn', 'minnesota', 'ms', 'mississippi', 'mo', 'missouri', 'ne', 'nebraska', 'nd', 'north dakota',
+      'ok', 'oklahoma', 'sd', 'south dakota', 'tn', 'tennessee', 'tx', 'texas', 'wi', 'wisconsin'],
+    Mountain: ['co', 'colorado', 'id', 'idaho', 'mt', 'montana', 'nm', 'new mexico', 'ut', 'utah', 'wy', 'wyoming'],
+    Arizona: ['az', 'arizona'],
+    Pacific: ['ca', 'california', 'nv', 'nevada', 'or', 'oregon', 'wa', 'washington'],
+    Alaska: ['ak', 'alaska'],
+    Hawaii: ['hi', 'hawaii']
+  },
+  CA: {
+    Toronto: ['on', 'ontario', 'qc', 'quebec', 'québec'],
+    Halifax: ['ns', 'nova scotia', 'nb', 'new brunswick', 'pe', 'pei', 'prince edward island'],
+    St_Johns: ['nl', 'newfoundland', 'newfoundland and labrador'],
+    Winnipeg: ['mb', 'manitoba'],
+    Regina: ['sk', 'saskatchewan'],
+    Edmonton: ['ab', 'alberta'],
+    Vancouver: ['bc', 'british columbia'],
+    Whitehorse: ['yt', 'yukon']
+  },
+  AU: {
+    Sydney: ['nsw', 'new south wales', 'act', 'australian capital territory'],
+    Melbourne: ['vic', 'victoria'],
+    Hobart: ['tas', 'tasmania'],
+    Brisbane: ['qld', 'queensland'],
+    Adelaide: ['sa', 'south australia'],
+    Darwin: ['nt', 'northern territory'],
+    Perth: ['wa', 'western australia']
+  }
+};
+
+const REGION_PREFIX = { US: 'America/', CA: 'America/', AU: 'Australia/' };
+const US_ZONE_NAMES = {
+  Eastern: 'America/New_York',
+  Central: 'America/Chicago',
+  Mountain: 'America/Denver',
+  Arizona: 'America/Phoenix',
+  Pacific: 'America/Los_Angeles',
+  Alaska: 'America/Anchorage',
+  Hawaii: 'Pacific/Honolulu'
+};
+
+const REGIONS = Object.fromEntries(Object.entries(REGION_ZONES).map(([country, zones]) => [
+  country,
+  new Map(Object.entries(zones).flatMap(([zone, names]) => names.map(name => [
+    name,
+    country === 'US' ? US_ZONE_NAMES[zone] : `${REGION_PREFIX[country]}${zone}`
+  ])))
+]));
+
+/**
+ * Business cities whose timezone differs from their country default or that
+ * often appear without a country ("Bay Area", "Bangalore")
+ */
+const CITIES = {
+  'san francisco': ['US', 'America/Los_Angeles'], 'bay area': ['US', 'America/Los_Angeles'],
+  'silicon valley': ['US', 'America/Los_Angeles'], 'los angeles': ['US', 'America/Los_Angeles'],
+  'san jose': ['US', 'America/Los_Angeles'], 'palo alto': ['US', 'America/Los_Angeles'],
+  'san diego': ['US', 'America/Los_Angeles'], seattle: ['US', 'America/Los_Angeles'],
+  portland: ['US', 'America/Los_Angeles'], 'las vegas': ['US', 'America/Los_Angeles'],
+  denver: ['US', 'America/Denver'], boulder: ['US', 'America/Denver'], 'salt lake city': ['US', 'America/Denver'],
+  phoenix: ['US', 'America/Phoenix'], chicago: ['US', 'America/Chicago'], austin: ['US', 'America/Chicago'],
+  dallas: ['US', 'America/Chicago'], houston: ['US', 'America/Chicago'], minneapolis: ['US', 'America/Chicago'],
+  nashville: ['US', 'America/Chicago'], 'new york city': ['US', 'America/New_York'],
+  nyc: ['US', 'America/New_York'], boston: ['US', 'America/New_York'], atlanta: ['US', 'America/New_York'],
+  miami: ['US', 'America/New_York'], 'washington dc': ['US', 'America/New_York'],
+  toronto: ['CA', 'America/Toronto'], montreal: ['CA', 'America/Toronto'], ottawa: ['CA', 'America/Toronto'],
+  vancouver: ['CA', 'America/Vancouver'], calgary: ['CA', 'America/Edmonton'],
+  london: ['GB', 'Europe/London'], manchester: ['GB', 'Europe/London'], edinburgh: ['GB', 'Europe/London'],
+  dublin: ['IE', 'Europe/Dublin'], paris: ['FR', 'Europe/Paris'], berlin: ['DE', 'Europe/Berlin'],
+  munich: ['DE', 'Europe/Berlin'], amsterdam: ['NL', 'Europe/Amsterdam'], madrid: ['ES', 'Europe/Madrid'],
+  barcelona: ['ES', 'Europe/Madrid'], lisbon: ['PT', 'Europe/Lisbon'], zurich: ['CH', 'Europe/Zurich'],
+  stockholm: ['SE', 'Europe/Stockholm'], copenhagen: ['DK', 'Europe/Copenhagen'],
+  'tel aviv': ['IL', 'Asia/Jerusalem'], dubai: ['AE', 'Asia/Dubai'], 'abu dhabi': ['AE', 'Asia/Dubai'],
+  bangalore: ['IN', 'Asia/Kolkata'], bengaluru: ['IN', 'Asia/Kolkata'], mumbai: ['IN', 'Asia/Kolkata'],
+  'new delhi': ['IN', 'Asia/Kolkata'], hyderabad: ['IN', 'Asia/Kolkata'],
+  'kuala lumpur': ['MY', 'Asia/Kuala_Lumpur'], jakarta: ['ID', 'Asia/Jakarta'], bali: ['ID', 'Asia/Makassar'],
+  bangkok: ['TH', 'Asia/Bangkok'], manila: ['PH', 'Asia/Manila'], shanghai: ['CN', 'Asia/Shanghai'],
+  beijing: ['CN', 'Asia/Shanghai'], shenzhen: ['CN', 'Asia/Shanghai'], taipei: ['TW', 'Asia/Taipei'],
+  seoul: ['KR', 'Asia/Seoul'], tokyo: ['JP', 'Asia/Tokyo'], osaka: ['JP', 'Asia/Tokyo'],
+  sydney: ['AU', 'Australia/Sydney'], melbourne: ['AU', 'Australia/Melbourne'],
+  brisbane: ['AU', 'Australia/Brisbane'], perth: ['AU', 'Australia/Perth'], adelaide: ['AU', 'Australia/Adelaide'],
+  auckland: ['NZ', 'Pacific/Auckland'], wellington: ['NZ', 'Pacific/Auckland'],
+  'sao paulo': ['BR', 'America/Sao_Paulo'], 'são paulo': ['BR', 'America/Sao_Paulo'],
+  'mexico city': ['MX', 'America/Mexico_City'], 'buenos aires': ['AR', 'America/Argentina/Buenos_Aires'],
+  johannesburg: ['ZA', 'Africa/Johannesburg'], 'cape town': ['ZA', 'Africa/Johannesburg'],
+  lagos: ['NG', 'Africa/Lagos'], nairobi: ['KE', 'Africa/Nairobi']
+};
+
+/**
+ * Lowercase a place name and drop LinkedIn-style qualifiers
+ * ("Greater Sydney Area" -> "sydney", "San Francisco Bay Area" -> "san francisco")
+ * @private
+ */
+function cleanPlace(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^greater /, '')
+    .replace(/ (metropolitan|metro|bay)? ?(area|region)$/, '')
+    .replace(/ \d{3,}[\w -]*$/, '') // trailing postal code ("CA 94105")
+    .trim();
+}
+
+/**
+ * ISO country code from a name, alias or code
+ *
+ * @param {string} value - e.g., 'United Kingdom', 'UK', 'gb'
+ * @returns {string|null}
+ */
+export function resolveCountry(value) {
+  if (!value) {
+    return null;
+  }
+  const place = cleanPlace(value);
+  if (COUNTRY_ALIASES[place]) {
+    return COUNTRY_ALIASES[place];
+  }
+  const code = place.toUpperCase();
+  return COUNTRY_ZONES[code] ? code : null;
+}
+
+/**
+ * Timezone for a set of place fields
+ * @private
+ */
+function resolvePlace({ city, state, country, location }) {
+  const parts = [location, city, state, country]
+    .filter(Boolean)
+    .flatMap(value => String(value).split(','))
+    .map(cleanPlace)
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  let countryCode = resolveCountry(country);
+  if (!countryCode) {
+    // Country is usually the last comma-separated part of a location string;
+    // two-letter parts there are read as US states first ("Denver, CO")
+    countryCode = [...parts].reverse()
+      .map(part => (part.length === 2 && REGIONS.US.has(part) ? null : resolveCountry(part)))
+      .find(Boolean) || null;
+  }
+
+  const knownCity = parts.map(part => CITIES[part]).find(match => match && (!countryCode || match[0] === countryCode));
+
+  // States/provinces beat the city table ("Portland, ME", "Perth, WA");
+  // without a country or known city, two-letter codes are read as US states
+  const regionCountry = countryCode || knownCity?.[0] || 'US';
+  const regions = REGIONS[regionCountry];
+  if (regions) {
+    const region = parts.find(part => regions.has(part) &&
+      (countryCode || knownCity || part.length > 2 || parts.length > 1));
+    if (region) {
+      return { timeZone: regions.get(region), country: regionCountry };
+    }
+  }
+
+  if (knownCity) {
+    return { timeZone: knownCity[1], country: knownCity[0] };
+  }
+
+  if (countryCode) {
+    return { timeZone: COUNTRY_ZONES[countryCode], country: countryCode };
+  }
+
+  return null;
+}
+
+/**
+ * Infer a contact's timezone
+ *
+ * @param {Object} contact - Contact / enrollment metadata
+ * @returns {{timeZone: string, country: string|null, source: string}|null}
+ *   source is 'contact_timezone', 'contact_location' or 'company_hq'
+ */
+export function inferRecipientTimeZone(contact = {}) {
+  const own = resolvePlace({
+    city: contact.city,
+    state: contact.state || contact.region,
+    country: contact.country,
+    location: contact.location
+  });
+
+  const explicit = [contact.timezone, contact.time_zone, contact.timeZone].find(isValidTimeZone);
+  if (explicit) {
+    return { timeZone: explicit, country: own?.country || null, source: 'contact_timezone' };
+  }
+
+  if (own) {
+    return { ...own, source: 'contact_location' };
+  }
+
+  const company = contact.company && typeof contact.company === 'object' ? contact.company : {};
+  const hq = resolvePlace({
+    city: company.headquartersCity || contact.company_city,
+    state: company.headquartersState || contact.company_state,
+    country: company.headquartersCountry || company.country || contact.company_country,
+    location: company.headquarters || contact.company_headquarters
+  });
+
+  return hq ? { ...hq, source: 'company_hq' } : null;
+}
+
+export default {
+  resolveCountry,
+  inferRecipientTimeZone
+};
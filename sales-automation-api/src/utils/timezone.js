@@ -0,0 +1,150 @@
+/**
+ * Timezone Utilities
+ * Wall-clock <-> UTC conversion for IANA timezones using Intl, so calendar
+ * and scheduling code does not need a date library
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check that a timezone name is usable
+ * @param {string} timeZone - IANA timezone (e.g., 'Asia/Singapore')
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 0 (Sunday) - 6
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ * @private
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * Times skipped by a DST change are shifted forward by the gap.
+ *
+ * @param {Object} fields - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getOffsetMs(new Date(guess), timeZone);
+
+  // Re-check: the offset at the result can differ across a DST change
+  const corrected = getOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+}
+
+/**
+ * Add calendar days to a wall-clock date (no timezone involved)
+ *
+ * @param {Object} date - { year, month, day }
+ * @param {number} days - Days to add (may be negative)
+ * @returns {{year: number, month: number, day: number, weekday: number}}
+ */
+export function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+  };
+}
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ *
+ * @param {string} value - e.g., '09:30'
+ * @returns {number|null} Minutes, or null if invalid
+ */
+export function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format a wall-clock date as YYYY-MM-DD
+ *
+ * @param {Object} date - { year, month, day }
+ * @returns {string}
+ */
+export function toDateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export default {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  parseClockTime,
+  toDateKey,
+};
@@ -14,11 +14,24 @@ import yaml from 'yaml';
 import cron from 'node-cron';
 import { createLogger } from './logger.js';
 import { safeJsonParse } from './prototype-protection.js';
+import { webhookDispatcher, WEBHOOK_EVENTS } from '../services/WebhookDispatcher.js';
+
+// Approval defaults, overridable via yolo_mode.safety in yolo-config.yaml
+const DEFAULT_AUTO_APPROVE_MAX_LEADS = 10;
+const DEFAULT_APPROVAL_EXPIRY_HOURS = 24;
+const DEFAULT_APPROVAL_POLL_SECONDS = 30;
 
 export class YoloManager {
-  constructor(workers, database) {
+  /**
+   * @param {Object} workers - Discovery, enrichment, CRM and outreach workers
+   * @param {Database} database - Shared SQLite database
+   * @param {Object} options
+   * @param {Object} options.webhooks - Outbound webhooks (injectable for tests)
+   */
+  constructor(workers, database, options = {}) {
     this.workers = workers;
     this.database = database;
+    this.webhooks = options.webhooks || webhookDispatcher;
     this.logger = createLogger('YOLO');
 
     // YOLO state
@@ -31,6 +44,11 @@ export class YoloManager {
     // Cron jobs
     this.cronJobs = [];
 
+    // Cycle in flight (at most one) and the approval it is waiting on
+    this.currentCycle = null;
+    this.pendingApprovalId = null;
+    this._wakeApprovalWaiter = null;
+
     // Activity tracking
     this.stats = {
       cyclesRun: 0,
@@ -121,6 +139,9 @@ export class YoloManager {
     try {
       this.logger.info('Disabling autonomous mode...');
 
+      // A cycle blocked on approval would otherwise keep disable() waiting until expiry
+      this._cancelPendingApproval('YOLO mode disabled');
+
       if (!immediate && this.currentCycle) {
         this.logger.info('Finishing current cycle before stopping...');
         // Wait for current cycle to finish
@@ -203,6 +224,7 @@ export class YoloManager {
       this.enabled = false;
       this.paused = false;
       this._stopCronJobs();
+      this._cancelPendingApproval(`Emergency stop: ${reason}`);
 
       // 2. Pause all active lemlist campaigns
       const campaigns = await this.workers.outreach.getActiveCampaigns();
@@ -250,6 +272,9 @@ export class YoloManager {
     if (detailed && this.enabled) {
       status.config = this.config?.yolo_mode;
       status.nextRun = this._getNextRunTime();
+      status.pendingApproval = this.pendingApprovalId
+        ? this.database.getYoloApproval(this.pendingApprovalId)
+        : null;
       status.cronJobs = this.cronJobs.map((job) => ({
         schedule: job.schedule,
         nextRun: job.nextRun,
@@ -280,15 +305,46 @@ export class YoloManager {
       };
     }
 
+    if (this.currentCycle) {
+      return {
+        success: false,
+        error: 'A YOLO cycle is already running',
+        pendingApproval: this.pendingApprovalId,
+      };
+    }
+
     this.logger.info('Manually triggering cycle...');
 
     try {
-      const result = await this._runCycle(skip_steps);
+      // Return as soon as the cycle either finishes or blocks on approval;
+      // a blocked cycle keeps running and resumes once the approval is decided
+      let notifyApprovalRequested;
+      const approvalRequested = new Promise((resolve) => {
+        notifyApprovalRequested = resolve;
+      });
+
+      const cycle = this._startCycle(skip_steps, { onApprovalRequested: notifyApprovalRequested });
+
+      const outcome = await Promise.race([
+        cycle.then((result) => ({ result })),
+        approvalRequested.then((approval) => ({ approval })),
+      ]);
+
+      if (outcome.approval) {
+        cycle.catch((error) => this.logger.error(`Cycle failed after approval: ${error.message}`));
+
+        return {
+          success: true,
+          message: 'YOLO cycle is waiting for approval',
+          approval: outcome.approval,
+          approveWith: 'yolo_approve',
+        };
+      }
 
       return {
         success: true,
         message: 'YOLO cycle completed',
-        result,
+        result: outcome.result,
       };
     } catch (error) {
       this.logger.error(`Cycle failed: ${error.message}`);
@@ -352,6 +408,38 @@ export class YoloManager {
     }
   }
 
+  // ==========================================================================
+  // APPROVALS
+  // ==========================================================================
+
+  async listApprovals(options = {}) {
+    const { status = 'pending', limit = 50, offset = 0 } = options;
+
+    try {
+      const { approvals, total } = this.database.listYoloApprovals({ status, limit, offset });
+
+      return {
+        success: true,
+        approvals,
+        total,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to list approvals: ${error.message}`);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async approveRequest(options = {}) {
+    return this._decideApproval('approved', options);
+  }
+
+  async rejectRequest(options = {}) {
+    return this._decideApproval('rejected', options);
+  }
+
   // ==========================================================================
   // ACTIVITY LOG
   // ==========================================================================
@@ -472,8 +560,15 @@ export class YoloManager {
     if (yolo.discovery?.schedule) {
       const discoveryCron = cron.schedule(yolo.discovery.schedule, async () => {
         if (this.enabled && !this.paused) {
+          if (this.currentCycle) {
+            this.logger.warn('Skipping scheduled cycle: previous cycle still running', {
+              pendingApproval: this.pendingApprovalId,
+            });
+            return;
+          }
+
           this.logger.info('Running scheduled discovery cycle...');
-          await this._runCycle();
+          await this._startCycle();
         }
       });
 
@@ -519,7 +614,19 @@ export class YoloManager {
     return 'Next run time calculation not yet implemented';
   }
 
-  async _runCycle(skipSteps = []) {
+  /**
+   * Run a cycle, tracking it as the current cycle until it settles
+   */
+  _startCycle(skipSteps = [], options = {}) {
+    const cycle = this._runCycle(skipSteps, options).finally(() => {
+      this.currentCycle = null;
+    });
+
+    this.currentCycle = cycle;
+    return cycle;
+  }
+
+  async _runCycle(skipSteps = [], options = {}) {
     const yolo = this.config.yolo_mode;
     const result = {
       discovered: 0,
@@ -534,20 +641,29 @@ export class YoloManager {
       const expectedLeads = this._calculateExpectedLeads(yolo, skipSteps);
       const estimatedCost = this._estimateAICost(expectedLeads);
 
-      // Require approval for high-volume operations (>10 leads)
-      if (expectedLeads > 10) {
+      // Require approval above the configured auto-approve threshold.
+      // The cycle blocks here until the request is approved, rejected or expires.
+      const policy = YoloManager.resolveApprovalPolicy(yolo);
+
+      if (expectedLeads > policy.autoApproveMaxLeads) {
         const approval = await this._requestApproval({
           operation: 'YOLO Cycle',
           expectedLeads,
           estimatedCost,
           steps: this._getActiveSteps(skipSteps),
-        });
+        }, policy, options);
+
+        result.approval = { id: approval.approvalId, status: approval.status };
 
         if (!approval.approved) {
-          console.log('[YOLO] Cycle cancelled: approval denied');
-          result.errors.push('User denied approval for high-volume operation');
+          this.logger.warn(`Cycle cancelled: approval ${approval.status}`, { approvalId: approval.approvalId });
+          result.errors.push(`High-volume operation not approved (${approval.status})`);
+          await this._logActivity('cycle_cancelled', result);
+          this._publishCycleFinished('cancelled', result);
           return result;
         }
+
+        this.logger.info('Approval granted, resuming cycle', { approvalId: approval.approvalId });
       }
 
       // Step 1: Discovery
@@ -644,16 +760,32 @@ export class YoloManager {
 
       // Log activity
       await this._logActivity('cycle_completed', result);
+      this._publishCycleFinished('completed', result);
 
       return result;
     } catch (error) {
       console.error('[YOLO] Cycle error:', error.message);
       result.errors.push(error.message);
       this.stats.errors++;
+      this._publishCycleFinished('failed', result);
       throw error;
     }
   }
 
+  /**
+   * Publish yolo.cycle_finished to webhook subscribers
+   * @private
+   */
+  _publishCycleFinished(status, result) {
+    const { _enrichedContacts, _syncedContacts, ...counts } = result;
+    this.webhooks.publish(WEBHOOK_EVENTS.YOLO_CYCLE_FINISHED, {
+      source: 'yolo_manager',
+      status,
+      ...counts,
+      finished_at: new Date().toISOString()
+    });
+  }
+
   /**
    * Calculate expected number of leads for this cycle
    */
@@ -691,47 +823,168 @@ export class YoloManager {
   }
 
   /**
-   * Request user approval for high-volume operation
-   * In production, this would integrate with a notification/approval system
+   * Resolve approval settings from yolo_mode.safety
+   *
+   * @param {Object} yolo - yolo_mode config section
+   * @returns {{autoApproveMaxLeads: number, expiryHours: number, pollIntervalMs: number}}
    */
-  async _requestApproval(details) {
-    console.warn('[YOLO] HIGH-VOLUME OPERATION DETECTED:');
-    console.warn(`  Operation: ${details.operation}`);
-    console.warn(`  Expected Leads: ${details.expectedLeads}`);
-    console.warn(`  Estimated Cost: $${details.estimatedCost}`);
-    console.warn(`  Active Steps: ${details.steps.join(', ')}`);
-
-    // In a real implementation, this would:
-    // 1. Send notification to user (email, Slack, dashboard alert)
-    // 2. Store pending approval in database
-    // 3. Wait for user response via API endpoint
-    // 4. Return approval status
-
-    // For now, we'll create a pending approval that must be manually approved
-    // via the API: POST /api/admin/yolo/approve/:approvalId
-
-    const approvalId = `yolo_${Date.now()}`;
-    this.pendingApprovals = this.pendingApprovals || {};
-    this.pendingApprovals[approvalId] = {
+  static resolveApprovalPolicy(yolo = {}) {
+    const safety = yolo?.safety || {};
+    const numberOr = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+
+    return {
+      autoApproveMaxLeads: numberOr(safety.auto_approve_max_leads, DEFAULT_AUTO_APPROVE_MAX_LEADS),
+      expiryHours: numberOr(safety.approval_expiry_hours, DEFAULT_APPROVAL_EXPIRY_HOURS) || DEFAULT_APPROVAL_EXPIRY_HOURS,
+      pollIntervalMs: (numberOr(safety.approval_poll_seconds, DEFAULT_APPROVAL_POLL_SECONDS) || DEFAULT_APPROVAL_POLL_SECONDS) * 1000,
+    };
+  }
+
+  /**
+   * Persist an approval request and block until it is decided or expires
+   * Approvals live in the shared SQLite database, so they can be decided from
+   * the MCP tools or the API server (POST /api/admin/yolo/approve/:approvalId).
+   */
+  async _requestApproval(details, policy, options = {}) {
+    const approvalId = `yolo_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    const expiresAt = new Date(Date.now() + policy.expiryHours * 60 * 60 * 1000);
+
+    const approval = this.database.createYoloApproval({
       id: approvalId,
+      operation: details.operation,
       details,
-      requestedAt: new Date().toISOString(),
-      status: 'pending',
-    };
+      expectedLeads: details.expectedLeads,
+      estimatedCost: details.estimatedCost,
+      expiresAt,
+    });
+
+    this.pendingApprovalId = approvalId;
+
+    this.logger.warn('High-volume operation requires approval', {
+      approvalId,
+      expectedLeads: details.expectedLeads,
+      estimatedCost: details.estimatedCost,
+      steps: details.steps,
+      threshold: policy.autoApproveMaxLeads,
+      expiresAt: approval.expires_at,
+    });
+
+    await this._logActivity('approval_requested', {
+      approvalId,
+      expectedLeads: details.expectedLeads,
+      estimatedCost: details.estimatedCost,
+      expiresAt: approval.expires_at,
+    });
+
+    options.onApprovalRequested?.(approval);
 
-    console.warn(`[YOLO] Approval required. Approval ID: ${approvalId}`);
-    console.warn('[YOLO] Approve via: POST /api/admin/yolo/approve/:approvalId');
+    try {
+      return await this._waitForApproval(approvalId, policy.pollIntervalMs);
+    } finally {
+      this.pendingApprovalId = null;
+    }
+  }
+
+  /**
+   * Poll the approval until it leaves the pending state
+   * Decisions made in this process wake the waiter immediately.
+   */
+  async _waitForApproval(approvalId, pollIntervalMs) {
+    for (;;) {
+      this.database.expireYoloApprovals();
+      const approval = this.database.getYoloApproval(approvalId);
 
-    // For MVP: auto-approve operations under 100 leads (safety limit)
-    // Remove this in production once approval UI is built
-    if (details.expectedLeads <= 100) {
-      console.warn('[YOLO] AUTO-APPROVED (under safety limit)');
-      this.pendingApprovals[approvalId].status = 'approved';
-      return { approved: true, approvalId };
+      if (!approval) {
+        return { approved: false, approvalId, status: 'missing' };
+      }
+
+      if (approval.status !== 'pending') {
+        await this._logActivity(`approval_${approval.status}`, {
+          approvalId,
+          decidedBy: approval.decided_by,
+          notes: approval.decision_notes,
+        });
+
+        return {
+          approved: approval.status === 'approved',
+          approvalId,
+          status: approval.status,
+          decidedBy: approval.decided_by,
+        };
+      }
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, pollIntervalMs);
+        this._wakeApprovalWaiter = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wakeApprovalWaiter = null;
+    }
+  }
+
+  _decideApproval(decision, options) {
+    const { approval_id, decided_by = 'mcp', notes = null } = options;
+
+    if (!approval_id) {
+      return { success: false, error: 'approval_id is required' };
+    }
+
+    try {
+      this.database.expireYoloApprovals();
+      const decided = this.database.decideYoloApproval(approval_id, decision, {
+        decidedBy: decided_by,
+        notes,
+      });
+      const approval = this.database.getYoloApproval(approval_id);
+
+      if (!approval) {
+        return { success: false, error: `Approval ${approval_id} not found` };
+      }
+
+      if (!decided) {
+        return {
+          success: false,
+          error: `Approval is already ${approval.status}`,
+          approval,
+        };
+      }
+
+      if (approval_id === this.pendingApprovalId) {
+        this._wakeApprovalWaiter?.();
+      }
+
+      this.logger.info(`Approval ${decision}`, { approvalId: approval_id, decidedBy: decided_by });
+
+      return {
+        success: true,
+        message: decision === 'approved' ? 'Approved - cycle will resume' : 'Rejected - cycle will be cancelled',
+        approval,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to record approval decision: ${error.message}`);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  _cancelPendingApproval(reason) {
+    if (!this.pendingApprovalId) {
+      return;
+    }
+
+    try {
+      this.database.decideYoloApproval(this.pendingApprovalId, 'cancelled', {
+        decidedBy: 'system',
+        notes: reason,
+      });
+    } catch (error) {
+      this.logger.error(`Failed to cancel approval: ${error.message}`);
     }
 
-    // Operations over 100 leads require manual approval
-    return { approved: false, approvalId };
+    this._wakeApprovalWaiter?.();
   }
 
   async _monitorReplies() {
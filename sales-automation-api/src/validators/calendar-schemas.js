@@ -0,0 +1,46 @@
+/**
+ * Calendar Validation Schemas
+ * Zod validation for meeting tracking and free slot endpoints
+ */
+
+import { z } from 'zod';
+
+// =============================================================================
+// MEETING SCHEMAS
+// =============================================================================
+
+/**
+ * GET /api/calendar/meetings
+ * List recorded meetings
+ */
+export const ListMeetingsSchema = z.object({
+  query: z.object({
+    status: z.enum(['booked', 'cancelled']).optional().describe('Filter by status'),
+    since: z.coerce.date().optional().describe('Only meetings starting at or after this time'),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+      .describe('Maximum number of results'),
+    offset: z.coerce.number().int().min(0).default(0)
+      .describe('Number of results to skip')
+  })
+});
+
+/**
+ * GET /api/calendar/slots
+ * Free slots within working hours
+ */
+export const GetSlotsSchema = z.object({
+  query: z.object({
+    days: z.coerce.number().int().min(1).max(30).optional().describe('Days ahead to search'),
+    duration: z.coerce.number().int().min(15).max(240).optional().describe('Slot length in minutes'),
+    count: z.coerce.number().int().min(1).max(10).default(3).describe('Slots to return')
+  })
+});
+
+/**
+ * POST /api/calendar/webhook/booking
+ * Booking tool payloads vary (Calendly, Cal.com, generic); MeetingTracker
+ * normalizes them, so only the envelope is checked here
+ */
+export const BookingWebhookSchema = z.object({
+  body: z.object({}).passthrough()
+});
@@ -12,6 +12,7 @@
  */
 
 import { z } from 'zod';
+import { isValidTimeZone, parseClockTime } from '../utils/timezone.js';
 
 // Conditional import: Use simple sanitizer in test mode to avoid jsdom/parse5 ESM issues
 // Check if running under Jest (process.env.JEST_WORKER_ID is set by Jest)
@@ -454,6 +455,21 @@ export const DeleteEmailSequenceSchema = z.object({
   })
 });
 
+/**
+ * POST /api/campaigns/templates/:id/ab-tests/evaluate
+ * Evaluate email variant tests and promote significant winners
+ */
+export const EvaluateABTestsSchema = z.object({
+  params: z.object({
+    id: UUIDSchema
+  }),
+  body: z.object({
+    step_number: z.number().int().positive().max(50).optional(),
+    metric: z.enum(['open_rate', 'click_rate', 'reply_rate']).optional(),
+    promote: z.boolean().default(true)
+  }).optional().default({})
+});
+
 // =============================================================================
 // LINKEDIN SEQUENCE SCHEMAS
 // =============================================================================
@@ -535,6 +551,104 @@ export const DeleteLinkedInSequenceSchema = z.object({
 
 const CampaignStatusEnum = z.enum(['draft', 'active', 'paused', 'completed', 'failed']);
 
+// Secrets stay in the environment; mailboxes only name the variable, and only
+// under the provider's prefix (MAILBOX_SECRET_PREFIXES in provider-config.js)
+const mailboxSecretEnvSchema = prefix => z.string().regex(
+  new RegExp(`^${prefix}[A-Z0-9_]{1,100}$`),
+  `Must be an environment variable name starting with ${prefix}`
+);
+
+/**
+ * Sender pool mailbox (provider_config.sender_pool.mailboxes[])
+ */
+export const SenderMailboxSchema = z.object({
+  address: EmailSchema,
+  provider: z.enum(['smtp', 'postmark']),
+  from_name: z.string().max(255).transform(val => sanitizeString(val)).optional(),
+  daily_cap: z.number().int().min(1).max(10000).default(50),
+  weight: z.number().int().min(1).max(100).default(1),
+  // SMTP overrides (default to SMTP_* settings); another host must be listed
+  // in SMTP_MAILBOX_HOSTS and needs its own password_env
+  host: z.string().max(255).optional(),
+  port: z.number().int().min(1).max(65535).optional(),
+  secure: z.boolean().optional(),
+  user: z.string().max(255).optional(),
+  password_env: mailboxSecretEnvSchema('SMTP_MAILBOX_').optional(),
+  dkim_domain: z.string().max(255).optional(),
+  dkim_selector: z.string().max(63).optional(),
+  dkim_private_key_env: mailboxSecretEnvSchema('SMTP_MAILBOX_').optional(),
+  // Postmark override (defaults to POSTMARK_SERVER_TOKEN)
+  server_token_env: mailboxSecretEnvSchema('POSTMARK_MAILBOX_').optional()
+}).strict();
+
+/**
+ * Multi-mailbox sender pool (provider_config.sender_pool)
+ */
+export const SenderPoolSchema = z.object({
+  strategy: z.enum(['round_robin', 'weighted']).default('round_robin'),
+  mailboxes: z.array(SenderMailboxSchema).min(1).max(100)
+    .refine(
+      mailboxes => new Set(mailboxes.map(m => m.address)).size === mailboxes.length,
+      'Mailbox addresses must be unique'
+    ),
+  thresholds: z.object({
+    bounce_rate: z.number().min(0).max(1).optional(),
+    complaint_rate: z.number().min(0).max(1).optional(),
+    min_sends: z.number().int().min(1).max(100000).optional(),
+    window_days: z.number().int().min(1).max(90).optional()
+  }).strict().optional()
+}).strict();
+
+// HubSpot pipeline and stage IDs (internal names or numeric IDs)
+const HubSpotIdSchema = z.string().regex(/^[A-Za-z0-9_-]{1,100}$/, 'Must be a HubSpot ID');
+
+/**
+ * HubSpot deal automation override (provider_config.hubspot_deal)
+ * A null stage turns that outcome off for the campaign.
+ */
+export const HubSpotDealRuleSchema = z.object({
+  enabled: z.boolean().optional(),
+  pipeline: HubSpotIdSchema.optional(),
+  stages: z.object({
+    positive_reply: HubSpotIdSchema.nullable().optional(),
+    meeting_booked: HubSpotIdSchema.nullable().optional()
+  }).strict().optional(),
+  deal_name: z.string().min(1).max(255).transform(val => sanitizeString(val)).optional(),
+  owner_id: z.string().regex(/^\d{1,20}$/, 'Must be a HubSpot owner ID').optional()
+}).strict();
+
+const ClockTimeSchema = z.string().refine(val => parseClockTime(val) !== null, 'Must be a time as HH:MM');
+
+/**
+ * Recipient-local send window (provider_config.send_window)
+ * quiet_hours may wrap midnight; null turns the default quiet hours off.
+ */
+export const SendWindowSchema = z.object({
+  days: z.array(z.enum(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'])).min(1).max(7).optional(),
+  start: ClockTimeSchema.optional(),
+  end: ClockTimeSchema.optional(),
+  quiet_hours: z.object({
+    start: ClockTimeSchema,
+    end: ClockTimeSchema
+  }).strict().nullable().optional(),
+  respect_holidays: z.boolean().optional(),
+  holidays: z.array(z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Must be a date as YYYY-MM-DD')).max(366).optional(),
+  timezone: z.string().refine(isValidTimeZone, 'Must be an IANA timezone').optional(),
+  channels: z.array(z.enum(['email', 'linkedin'])).min(1).optional()
+}).strict().refine(
+  window => !window.start || !window.end || parseClockTime(window.start) < parseClockTime(window.end),
+  { message: 'start must be before end', path: ['end'] }
+);
+
+/**
+ * POST /api/campaigns/sender-pool/mailboxes/:mailbox/resume
+ */
+export const SenderMailboxParamSchema = z.object({
+  params: z.object({
+    mailbox: EmailSchema
+  })
+});
+
 /**
  * POST /api/campaigns/instances
  * Create campaign instance
@@ -544,8 +658,11 @@ export const CreateCampaignInstanceSchema = z.object({
     template_id: UUIDSchema,
     name: z.string().min(1).max(255).transform(val => sanitizeString(val)),
     provider_config: z.object({
-      email_provider: z.enum(['lemlist', 'postmark']).optional(),
-      linkedin_provider: z.enum(['lemlist', 'phantombuster']).optional()
+      email_provider: z.enum(['lemlist', 'postmark', 'smtp']).optional(),
+      linkedin_provider: z.enum(['lemlist', 'phantombuster']).optional(),
+      sender_pool: SenderPoolSchema.optional(),
+      hubspot_deal: HubSpotDealRuleSchema.optional(),
+      send_window: SendWindowSchema.optional()
     }).optional().default({})
   })
 });
@@ -716,6 +833,16 @@ export const CreateCampaignEventSchema = z.object({
   })
 });
 
+/**
+ * POST /api/campaigns/events/webhook/:provider
+ * Provider-native webhook payloads, translated by the provider's event mapping
+ */
+export const ProviderWebhookParamSchema = z.object({
+  params: z.object({
+    provider: z.string().regex(/^[a-z0-9_-]{1,50}$/, 'Invalid provider name')
+  })
+});
+
 /**
  * GET /api/campaigns/enrollments/:id/events
  * Get events for enrollment
@@ -768,6 +895,90 @@ export const ChatHistorySchema = z.object({
   })
 });
 
+// =============================================================================
+// ICP PROFILE SCHEMAS
+// =============================================================================
+
+const ICPTierEnum = z.enum(['core', 'expansion', 'strategic']);
+
+const FirmographicsSchema = z.object({
+  companySize: z.object({
+    min: z.number().min(0).default(0),
+    max: z.number().min(0).default(0)
+  }).default({ min: 0, max: 0 }),
+  revenue: z.object({
+    min: z.number().min(0).default(0),
+    max: z.number().min(0).default(0)
+  }).default({ min: 0, max: 0 }),
+  industries: z.array(z.string()).default([]),
+  geographies: z.array(z.string()).default([])
+}).default({});
+
+const TitlesSchema = z.object({
+  primary: z.array(z.string()).default([]),
+  secondary: z.array(z.string()).default([])
+}).default({});
+
+const ScoringSchema = z.object({
+  autoApprove: z.number().min(0).max(1).default(0.85),
+  reviewRequired: z.number().min(0).max(1).default(0.70),
+  disqualify: z.number().min(0).max(1).default(0.50)
+}).default({});
+
+const StatsSchema = z.object({
+  discovered: z.number().default(0),
+  enriched: z.number().default(0),
+  enrolled: z.number().default(0),
+  avgScore: z.number().default(0)
+}).default({});
+
+/**
+ * POST /api/icp
+ * Create ICP profile
+ */
+export const CreateICPProfileSchema = z.object({
+  body: z.object({
+    name: z.string().min(1).max(255),
+    description: z.string().optional().default(''),
+    tier: ICPTierEnum.default('core'),
+    active: z.boolean().default(true),
+    firmographics: FirmographicsSchema,
+    titles: TitlesSchema,
+    scoring: ScoringSchema,
+    stats: StatsSchema
+  })
+});
+
+/**
+ * PATCH /api/icp/:id
+ * Update ICP profile (nested objects are merged into the stored values)
+ */
+export const UpdateICPProfileSchema = z.object({
+  params: z.object({
+    id: UUIDSchema
+  }),
+  body: z.object({
+    name: z.string().min(1).max(255).optional(),
+    description: z.string().optional(),
+    tier: ICPTierEnum.optional(),
+    active: z.boolean().optional(),
+    firmographics: FirmographicsSchema.optional(),
+    titles: TitlesSchema.optional(),
+    scoring: ScoringSchema.optional(),
+    stats: StatsSchema.optional()
+  })
+});
+
+/**
+ * GET /api/icp/:id
+ * DELETE /api/icp/:id
+ */
+export const ICPProfileParamSchema = z.object({
+  params: z.object({
+    id: UUIDSchema
+  })
+});
+
 // =============================================================================
 // ADMIN / DLQ (Dead Letter Queue) SCHEMAS
 // =============================================================================
@@ -778,6 +989,7 @@ export const ChatHistorySchema = z.object({
  */
 export const GetDLQEventsSchema = z.object({
   query: z.object({
+    status: z.enum(['failed', 'replaying', 'replayed', 'ignored']).optional(),
     limit: z.coerce.number().int().min(1).max(1000).default(100),
     offset: z.coerce.number().int().min(0).default(0),
     provider: z.string().max(50).optional(),
@@ -1044,6 +1256,32 @@ export const GetYOLOStatusSchema = z.object({
   query: z.object({}).optional()
 });
 
+/**
+ * GET /api/admin/yolo/approvals
+ * List approval requests for high-volume YOLO cycles
+ */
+export const ListYOLOApprovalsSchema = z.object({
+  query: z.object({
+    status: z.enum(['pending', 'approved', 'rejected', 'expired', 'cancelled', 'all']).default('pending'),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    offset: z.coerce.number().int().min(0).default(0)
+  })
+});
+
+/**
+ * POST /api/admin/yolo/approve/:approvalId
+ * POST /api/admin/yolo/reject/:approvalId
+ * Decide a pending YOLO approval
+ */
+export const DecideYOLOApprovalSchema = z.object({
+  params: z.object({
+    approvalId: z.string().regex(/^yolo_[a-z0-9_]+$/, 'Invalid approval ID').max(100)
+  }),
+  body: z.object({
+    notes: z.string().max(1000).optional()
+  }).optional().default({})
+});
+
 // =============================================================================
 // CAMPAIGN STATS SCHEMAS
 // =============================================================================
@@ -1227,6 +1465,7 @@ export default {
   CreateEmailSequenceSchema,
   UpdateEmailSequenceSchema,
   DeleteEmailSequenceSchema,
+  EvaluateABTestsSchema,
 
   // LinkedIn Sequences
   CreateLinkedInSequenceSchema,
@@ -1234,6 +1473,10 @@ export default {
   DeleteLinkedInSequenceSchema,
 
   // Campaign Instances
+  SenderMailboxSchema,
+  SenderPoolSchema,
+  SendWindowSchema,
+  SenderMailboxParamSchema,
   CreateCampaignInstanceSchema,
   ListCampaignInstancesSchema,
   GetCampaignInstanceSchema,
@@ -1250,12 +1493,18 @@ export default {
 
   // Events
   CreateCampaignEventSchema,
+  ProviderWebhookParamSchema,
   GetEnrollmentEventsSchema,
 
   // Chat
   ChatMessageSchema,
   ChatHistorySchema,
 
+  // ICP Profiles
+  CreateICPProfileSchema,
+  UpdateICPProfileSchema,
+  ICPProfileParamSchema,
+
   // Admin / DLQ
   GetDLQEventsSchema,
   ReplayDLQEventsSchema,
@@ -1283,6 +1532,8 @@ export default {
   EnableYOLOSchema,
   DisableYOLOSchema,
   GetYOLOStatusSchema,
+  ListYOLOApprovalsSchema,
+  DecideYOLOApprovalSchema,
 
   // Campaign Stats
   GetCampaignStatsSchema,
@@ -0,0 +1,50 @@
+/**
+ * Privacy Request Validation Schemas
+ * Zod validation for data subject export / erase endpoints
+ */
+
+import { z } from 'zod';
+
+const SubjectEmail = z.string().trim().toLowerCase().email().max(320)
+  .describe('Email address of the data subject');
+
+// =============================================================================
+// REQUEST SCHEMAS
+// =============================================================================
+
+/**
+ * POST /api/privacy/export
+ * Collect everything held about an email
+ */
+export const PrivacyExportSchema = z.object({
+  body: z.object({
+    email: SubjectEmail,
+    note: z.string().trim().max(2000).optional().describe('Ticket reference or how the request was received')
+  })
+});
+
+/**
+ * POST /api/privacy/erase
+ * Delete / pseudonymize everything held about an email (irreversible)
+ */
+export const PrivacyEraseSchema = z.object({
+  body: z.object({
+    email: SubjectEmail,
+    confirm: z.literal(true, {
+      errorMap: () => ({ message: 'Erasure is irreversible; set confirm: true' })
+    }),
+    note: z.string().trim().max(2000).optional().describe('Ticket reference or how the request was received')
+  })
+});
+
+/**
+ * GET /api/privacy/requests
+ * Signed audit trail of past requests
+ */
+export const ListPrivacyRequestsSchema = z.object({
+  query: z.object({
+    type: z.enum(['export', 'erase']).optional().describe('Filter by request type'),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    offset: z.coerce.number().int().min(0).default(0)
+  })
+});
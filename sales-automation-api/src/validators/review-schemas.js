@@ -0,0 +1,111 @@
+/**
+ * Review Queue Validation Schemas
+ * Zod validation for the AI draft review queue endpoints
+ */
+
+import { z } from 'zod';
+
+// =============================================================================
+// REVIEW QUEUE ENUMS
+// =============================================================================
+
+/**
+ * Review item status values
+ */
+export const ReviewStatusEnum = z.enum([
+  'pending',
+  'sending',
+  'sent',
+  'failed',
+  'rejected'
+]);
+
+const ReviewIdParams = z.object({
+  id: z.coerce.number().int().positive().describe('Review item ID')
+});
+
+// =============================================================================
+// LIST / GET SCHEMAS
+// =============================================================================
+
+/**
+ * GET /api/review-queue
+ * List review items with filters
+ */
+export const ListReviewItemsSchema = z.object({
+  query: z.object({
+    status: z.union([ReviewStatusEnum, z.literal('all')]).default('pending')
+      .describe('Filter by status (default: pending)'),
+    campaignId: z.string().max(255).optional().describe('Filter by campaign ID'),
+    channel: z.enum(['email', 'linkedin']).optional().describe('Filter by channel'),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+      .describe('Maximum number of results'),
+    offset: z.coerce.number().int().min(0).default(0)
+      .describe('Number of results to skip')
+  })
+});
+
+/**
+ * GET /api/review-queue/:id
+ * Get a single review item
+ */
+export const GetReviewItemSchema = z.object({
+  params: ReviewIdParams
+});
+
+// =============================================================================
+// REVIEW ACTION SCHEMAS
+// =============================================================================
+
+/**
+ * PATCH /api/review-queue/:id
+ * Edit a draft before approval
+ */
+export const UpdateReviewDraftSchema = z.object({
+  params: ReviewIdParams,
+  body: z.object({
+    content: z.string().trim().min(1).max(10000).optional().describe('Edited reply body'),
+    subject: z.string().trim().max(500).optional().describe('Edited subject line')
+  }).refine(body => body.content !== undefined || body.subject !== undefined, {
+    message: 'Provide content and/or subject to update'
+  })
+});
+
+/**
+ * POST /api/review-queue/:id/approve
+ * Approve (optionally with final edits) and send
+ */
+export const ApproveReviewSchema = z.object({
+  params: ReviewIdParams,
+  body: z.object({
+    content: z.string().trim().min(1).max(10000).optional().describe('Final reply body'),
+    subject: z.string().trim().max(500).optional().describe('Final subject line')
+  }).optional().default({})
+});
+
+/**
+ * POST /api/review-queue/:id/reject
+ * Reject a draft so it is never sent
+ */
+export const RejectReviewSchema = z.object({
+  params: ReviewIdParams,
+  body: z.object({
+    reason: z.string().trim().max(1000).optional().describe('Why the draft was rejected')
+  }).optional().default({})
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  // Enums
+  ReviewStatusEnum,
+
+  // Request schemas
+  ListReviewItemsSchema,
+  GetReviewItemSchema,
+  UpdateReviewDraftSchema,
+  ApproveReviewSchema,
+  RejectReviewSchema
+};
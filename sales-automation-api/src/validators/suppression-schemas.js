@@ -0,0 +1,124 @@
+/**
+ * Suppression List Validation Schemas
+ * Zod validation for the global do-not-contact list endpoints
+ */
+
+import { z } from 'zod';
+import { SUPPRESSION_TYPES, SUPPRESSION_REASONS } from '../services/SuppressionList.js';
+
+// =============================================================================
+// SUPPRESSION ENUMS
+// =============================================================================
+
+export const SuppressionTypeEnum = z.enum(SUPPRESSION_TYPES);
+
+export const SuppressionReasonEnum = z.enum(SUPPRESSION_REASONS);
+
+const SuppressionIdParams = z.object({
+  id: z.coerce.number().int().positive().describe('Suppression ID')
+});
+
+// =============================================================================
+// LIST / CHECK SCHEMAS
+// =============================================================================
+
+/**
+ * GET /api/suppressions
+ * List entries with filters
+ */
+export const ListSuppressionsSchema = z.object({
+  query: z.object({
+    type: SuppressionTypeEnum.optional().describe('Filter by type'),
+    reason: SuppressionReasonEnum.optional().describe('Filter by reason'),
+    search: z.string().trim().min(1).max(255).optional().describe('Substring of the suppressed value'),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+      .describe('Maximum number of results'),
+    offset: z.coerce.number().int().min(0).default(0)
+      .describe('Number of results to skip')
+  })
+});
+
+/**
+ * GET /api/suppressions/check
+ * Would a send to this contact be blocked?
+ */
+export const CheckSuppressionSchema = z.object({
+  query: z.object({
+    email: z.string().trim().max(320).optional().describe('Email address'),
+    linkedin_url: z.string().trim().max(500).optional().describe('LinkedIn profile URL')
+  }).refine(query => query.email || query.linkedin_url, {
+    message: 'Provide email and/or linkedin_url'
+  })
+});
+
+// =============================================================================
+// CHANGE SCHEMAS
+// =============================================================================
+
+/**
+ * POST /api/suppressions
+ * Add an entry
+ */
+export const CreateSuppressionSchema = z.object({
+  body: z.object({
+    type: SuppressionTypeEnum.describe('email, domain or linkedin'),
+    value: z.string().trim().min(1).max(500).describe('Email, domain or LinkedIn profile URL'),
+    reason: SuppressionReasonEnum.default('manual').describe('Why the contact is suppressed'),
+    note: z.string().trim().max(2000).optional().describe('Free text, e.g. ticket reference')
+  })
+});
+
+/**
+ * DELETE /api/suppressions/:id
+ * Remove an entry (allows contact again)
+ */
+export const DeleteSuppressionSchema = z.object({
+  params: SuppressionIdParams,
+  body: z.object({
+    note: z.string().trim().max(2000).optional().describe('Why the entry was removed')
+  }).optional()
+});
+
+/**
+ * POST /api/suppressions/import
+ * Bulk add entries, as JSON rows or CSV text (header: value[,type,reason,note])
+ */
+export const ImportSuppressionsSchema = z.object({
+  body: z.object({
+    entries: z.array(z.object({
+      type: SuppressionTypeEnum.optional().describe('Detected from the value when omitted'),
+      value: z.string().trim().min(1).max(500),
+      reason: SuppressionReasonEnum.optional(),
+      note: z.string().trim().max(2000).optional()
+    })).max(10000).optional(),
+    csv: z.string().max(5 * 1024 * 1024).optional().describe('CSV with a header row'),
+    reason: SuppressionReasonEnum.default('manual').describe('Reason for rows without one'),
+    source: z.string().trim().max(100).default('import').describe('Where the list came from')
+  }).refine(body => body.entries || body.csv, {
+    message: 'Provide entries or csv'
+  })
+});
+
+/**
+ * GET /api/suppressions/export
+ */
+export const ExportSuppressionsSchema = z.object({
+  query: z.object({
+    type: SuppressionTypeEnum.optional(),
+    reason: SuppressionReasonEnum.optional(),
+    format: z.enum(['csv', 'json']).default('csv')
+  })
+});
+
+/**
+ * GET /api/suppressions/audit
+ */
+export const SuppressionAuditSchema = z.object({
+  query: z.object({
+    action: z.enum(['add', 'remove', 'blocked']).optional().describe('Filter by action'),
+    type: SuppressionTypeEnum.optional(),
+    value: z.string().trim().max(500).optional().describe('Exact suppressed value'),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    offset: z.coerce.number().int().min(0).default(0)
+  })
+});
@@ -0,0 +1,109 @@
+/**
+ * Outbound Webhook Validation Schemas
+ * Zod validation for the webhook subscription and delivery log endpoints
+ */
+
+import { z } from 'zod';
+import { WEBHOOK_EVENT_TYPES, DELIVERY_STATUSES } from '../services/WebhookDispatcher.js';
+
+// =============================================================================
+// WEBHOOK ENUMS
+// =============================================================================
+
+export const WebhookEventTypeEnum = z.enum(WEBHOOK_EVENT_TYPES);
+
+export const DeliveryStatusEnum = z.enum(DELIVERY_STATUSES);
+
+const SubscribedEventTypes = z.array(z.union([WebhookEventTypeEnum, z.literal('*')]))
+  .min(1, 'At least one event type required')
+  .describe("Event types to receive, or ['*'] for all");
+
+const WebhookIdParams = z.object({
+  id: z.string().uuid().describe('Subscription ID')
+});
+
+const BooleanQuery = z.enum(['true', 'false']).transform(value => value === 'true');
+
+// =============================================================================
+// SUBSCRIPTION SCHEMAS
+// =============================================================================
+
+/**
+ * GET /api/admin/webhooks
+ * List subscriptions
+ */
+export const ListWebhooksSchema = z.object({
+  query: z.object({
+    active: BooleanQuery.optional().describe('Filter by enabled state'),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+      .describe('Maximum number of results'),
+    offset: z.coerce.number().int().min(0).default(0)
+      .describe('Number of results to skip')
+  })
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Register an endpoint
+ */
+export const CreateWebhookSchema = z.object({
+  body: z.object({
+    url: z.string().trim().url().max(2048).describe('Endpoint receiving signed POSTs'),
+    event_types: SubscribedEventTypes,
+    description: z.string().trim().max(255).optional().describe('e.g. "Warehouse loader"')
+  })
+});
+
+/**
+ * GET /api/admin/webhooks/:id
+ * DELETE /api/admin/webhooks/:id
+ */
+export const WebhookIdSchema = z.object({
+  params: WebhookIdParams
+});
+
+/**
+ * PATCH /api/admin/webhooks/:id
+ * Change, enable/disable an endpoint or rotate its secret
+ */
+export const UpdateWebhookSchema = z.object({
+  params: WebhookIdParams,
+  body: z.object({
+    url: z.string().trim().url().max(2048).optional(),
+    event_types: SubscribedEventTypes.optional(),
+    description: z.string().trim().max(255).nullable().optional(),
+    active: z.boolean().optional(),
+    rotate_secret: z.boolean().default(false).describe('Issue a new signing secret')
+  })
+});
+
+// =============================================================================
+// DELIVERY LOG SCHEMAS
+// =============================================================================
+
+/**
+ * GET /api/admin/webhooks/deliveries
+ * Delivery log, newest first
+ */
+export const ListWebhookDeliveriesSchema = z.object({
+  query: z.object({
+    subscription_id: z.string().uuid().optional().describe('Filter by subscription'),
+    status: DeliveryStatusEnum.optional().describe('Filter by status'),
+    event_type: WebhookEventTypeEnum.optional().describe('Filter by event type'),
+    event_id: z.string().uuid().optional().describe('All deliveries of one event'),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    offset: z.coerce.number().int().min(0).default(0)
+  })
+});
+
+/**
+ * POST /api/admin/webhooks/deliveries/replay
+ * Send past deliveries again
+ */
+export const ReplayWebhookDeliveriesSchema = z.object({
+  body: z.object({
+    deliveryIds: z.array(z.string().uuid())
+      .min(1, 'At least one delivery ID required')
+      .max(100, 'Maximum 100 deliveries per replay')
+  })
+});
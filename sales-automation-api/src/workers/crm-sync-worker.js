@@ -1,25 +1,35 @@
 /**
  * CRM Sync Worker - Sales Automation
  *
- * Handles synchronization of enriched contacts and companies to HubSpot CRM.
+ * Handles synchronization of enriched contacts and companies to a CRM (HubSpot
+ * or Salesforce) through the CRMClient interface.
  * Manages deduplication, company association, property mapping, and activity logging.
  *
  * Key Features:
  * - Automatic deduplication (email-based for contacts, domain-based for companies)
  * - Company-contact association
- * - Custom property mapping (ICP scores, enrichment data, pain points)
+ * - Configurable property mapping per CRM (ICP scores, enrichment data, pain points)
  * - Activity timeline logging
  * - Batch operations with error handling
  */
 
 // ARCH-004 FIX: Import structured logger instead of using console.*
 import { createLogger } from '../utils/logger.js';
+import { getFieldMapping, mapFields } from '../config/crm-field-mapping.js';
 
 const logger = createLogger('CRMSyncWorker');
 
 export class CRMSyncWorker {
-  constructor(hubspotClient, database) {
-    this.hubspot = hubspotClient;
+  /**
+   * @param {CRMClient} crmClient - HubSpotClient or SalesforceClient
+   * @param {Object} database - SQLite database wrapper
+   * @param {Object} options
+   * @param {Object} options.fieldMapping - Field mapping overrides ({contact, company})
+   */
+  constructor(crmClient, database, options = {}) {
+    this.crm = crmClient;
+    this.crmName = crmClient?.name || 'hubspot';
+    this.fieldMapping = getFieldMapping(this.crmName, options.fieldMapping);
     this.database = database;
 
     // Sync statistics
@@ -38,10 +48,10 @@ export class CRMSyncWorker {
   // ==========================================================================
 
   /**
-   * Sync enriched contact to HubSpot
+   * Sync enriched contact to the CRM
    * @param {Object} enrichedContact - Enriched contact data from enrichment worker
    * @param {Object} options - Sync options
-   * @returns {Promise<Object>} Sync result with HubSpot contact ID
+   * @returns {Promise<Object>} Sync result with CRM contact ID
    */
   async syncContact(enrichedContact, options = {}) {
     const {
@@ -61,7 +71,7 @@ export class CRMSyncWorker {
       // Step 1: Check for existing contact (deduplication)
       let existingContact = null;
       if (deduplicate) {
-        const searchResult = await this.hubspot.findContactByEmail(email);
+        const searchResult = await this.crm.findContactByEmail(email);
         if (searchResult.success && searchResult.found) {
           existingContact = searchResult.contact;
         } else if (!searchResult.success) {
@@ -71,7 +81,7 @@ export class CRMSyncWorker {
         }
       }
 
-      // Step 2: Prepare HubSpot properties
+      // Step 2: Prepare CRM properties
       const properties = this._mapContactProperties(enrichedContact);
 
       let contactId;
@@ -81,7 +91,7 @@ export class CRMSyncWorker {
           logger.info(
             `[CRM Sync] Updating existing contact: ${existingContact.id}`
           );
-          const updateResult = await this.hubspot.updateContact(existingContact.id, properties);
+          const updateResult = await this.crm.updateContact(existingContact.id, properties);
           if (!updateResult.success) {
             throw new Error(`Failed to update contact: ${updateResult.error}`);
           }
@@ -95,7 +105,7 @@ export class CRMSyncWorker {
         // New contact
         if (createIfNew) {
           logger.info(`[CRM Sync] Creating new contact: ${email}`);
-          const createResult = await this.hubspot.createContact(properties);
+          const createResult = await this.crm.createContact(properties);
           if (!createResult.success) {
             throw new Error(`Failed to create contact: ${createResult.error}`);
           }
@@ -119,7 +129,7 @@ export class CRMSyncWorker {
         });
 
         if (companyId) {
-          const assocResult = await this.hubspot.associateContactToCompany(contactId, companyId);
+          const assocResult = await this.crm.associateContactToCompany(contactId, companyId);
           if (assocResult.success) {
             this.stats.associationsCreated++;
             logger.info(
@@ -160,7 +170,7 @@ export class CRMSyncWorker {
   }
 
   /**
-   * Batch sync multiple contacts to HubSpot
+   * Batch sync multiple contacts to the CRM
    * @param {Array} enrichedContacts - Array of enriched contacts
    * @param {Object} options - Sync options
    * @returns {Promise<Object>} Batch sync results
@@ -229,10 +239,10 @@ export class CRMSyncWorker {
   // ==========================================================================
 
   /**
-   * Sync company to HubSpot
+   * Sync company to the CRM
    * @param {Object} companyData - Company data from enrichment
    * @param {Object} options - Sync options
-   * @returns {Promise<string>} HubSpot company ID
+   * @returns {Promise<string>} CRM company ID
    */
   async syncCompany(companyData, options = {}) {
     const { deduplicate = true, createIfNew = true, updateIfExists = true } =
@@ -246,7 +256,7 @@ export class CRMSyncWorker {
       // Step 1: Check for existing company
       let existingCompany = null;
       if (deduplicate && domain) {
-        const searchResult = await this.hubspot.findCompanyByDomain(domain);
+        const searchResult = await this.crm.findCompanyByDomain(domain);
         if (searchResult.success && searchResult.found) {
           existingCompany = searchResult.company;
         } else if (!searchResult.success) {
@@ -265,7 +275,7 @@ export class CRMSyncWorker {
           logger.info(
             `[CRM Sync] Updating existing company: ${existingCompany.id}`
           );
-          const updateResult = await this.hubspot.updateCompany(existingCompany.id, properties);
+          const updateResult = await this.crm.updateCompany(existingCompany.id, properties);
           if (!updateResult.success) {
             throw new Error(`Failed to update company: ${updateResult.error}`);
           }
@@ -277,7 +287,7 @@ export class CRMSyncWorker {
       } else {
         if (createIfNew) {
           logger.info(`[CRM Sync] Creating new company: ${domain || name}`);
-          const createResult = await this.hubspot.createCompany(properties);
+          const createResult = await this.crm.createCompany(properties);
           if (!createResult.success) {
             throw new Error(`Failed to create company: ${createResult.error}`);
           }
@@ -309,7 +319,8 @@ export class CRMSyncWorker {
   // ==========================================================================
 
   /**
-   * Map enriched contact data to HubSpot properties
+   * Map enriched contact data to CRM properties
+   * Builds canonical fields, then renames them with the CRM's field mapping.
    * @private
    */
   _mapContactProperties(enrichedContact) {
@@ -329,34 +340,34 @@ export class CRMSyncWorker {
       enrichedAt,
     } = enrichedContact;
 
-    const properties = {
+    const fields = {
       email,
-      firstname: firstName,
-      lastname: lastName,
+      firstName,
+      lastName,
     };
 
     // Standard properties
-    if (title) properties.jobtitle = title;
-    if (phoneNumber) properties.phone = phoneNumber;
-    if (linkedinUrl) properties.linkedin_url = linkedinUrl;
-    if (location) properties.city = location;
-    if (seniority) properties.seniority = seniority;
-    if (department) properties.department = department;
+    if (title) fields.title = title;
+    if (phoneNumber) fields.phone = phoneNumber;
+    if (linkedinUrl) fields.linkedinUrl = linkedinUrl;
+    if (location) fields.city = location;
+    if (seniority) fields.seniority = seniority;
+    if (department) fields.department = department;
 
     // Company info (if not associating as separate company)
     if (company && company.name) {
-      properties.company = company.name;
-      if (company.domain) properties.domain = company.domain;
+      fields.companyName = company.name;
+      if (company.domain) fields.companyDomain = company.domain;
     }
 
     // Custom properties for sales intelligence
     if (intelligence) {
       // Pain points
       if (intelligence.painHypotheses && intelligence.painHypotheses.length > 0) {
-        properties.pain_points = intelligence.painHypotheses
+        fields.painPoints = intelligence.painHypotheses
           .map((p) => p.pain)
           .join('; ');
-        properties.pain_confidence = Math.max(
+        fields.painConfidence = Math.max(
           ...intelligence.painHypotheses.map((p) => p.confidence)
         );
       }
@@ -366,28 +377,28 @@ export class CRMSyncWorker {
         intelligence.personalizationHooks &&
         intelligence.personalizationHooks.length > 0
       ) {
-        properties.personalization_hooks = intelligence.personalizationHooks
+        fields.personalizationHooks = intelligence.personalizationHooks
           .map((h) => h.hook)
           .join('; ');
       }
 
       // Why now trigger
       if (intelligence.whyNow) {
-        properties.why_now_trigger = intelligence.whyNow.trigger;
-        properties.why_now_urgency = intelligence.whyNow.urgency;
+        fields.whyNowTrigger = intelligence.whyNow.trigger;
+        fields.whyNowUrgency = intelligence.whyNow.urgency;
       }
     }
 
     // Enrichment metadata
-    properties.data_quality_score = dataQuality;
-    properties.last_enriched = enrichedAt;
-    properties.enrichment_source = 'explorium';
+    fields.dataQualityScore = dataQuality;
+    fields.lastEnriched = enrichedAt;
+    fields.enrichmentSource = 'explorium';
 
-    return properties;
+    return mapFields(this.fieldMapping.contact, fields);
   }
 
   /**
-   * Map company data to HubSpot properties
+   * Map company data to CRM properties
    * @private
    */
   _mapCompanyProperties(companyData) {
@@ -405,36 +416,36 @@ export class CRMSyncWorker {
       signals,
     } = companyData;
 
-    const properties = {
+    const fields = {
       name,
     };
 
     // Standard properties
-    if (domain) properties.domain = domain;
-    if (industry) properties.industry = industry;
-    if (employees) properties.numberofemployees = employees;
-    if (revenue) properties.annualrevenue = revenue;
-    if (headquarters) properties.city = headquarters;
-    if (foundedYear) properties.founded_year = foundedYear;
+    if (domain) fields.domain = domain;
+    if (industry) fields.industry = industry;
+    if (employees) fields.employees = employees;
+    if (revenue) fields.revenue = revenue;
+    if (headquarters) fields.city = headquarters;
+    if (foundedYear) fields.foundedYear = foundedYear;
 
     // Custom properties
     if (technologies && technologies.length > 0) {
-      properties.technologies = technologies.join('; ');
+      fields.technologies = technologies.join('; ');
     }
 
     if (fundingStage) {
-      properties.funding_stage = fundingStage;
+      fields.fundingStage = fundingStage;
     }
 
     if (fundingAmount) {
-      properties.total_funding = fundingAmount;
+      fields.totalFunding = fundingAmount;
     }
 
     if (signals && signals.length > 0) {
-      properties.growth_signals = signals.join('; ');
+      fields.growthSignals = signals.join('; ');
     }
 
-    return properties;
+    return mapFields(this.fieldMapping.company, fields);
   }
 
   // ==========================================================================
@@ -442,7 +453,7 @@ export class CRMSyncWorker {
   // ==========================================================================
 
   /**
-   * Log enrichment activity to HubSpot timeline
+   * Log enrichment activity to the CRM timeline
    * @private
    */
   async _logEnrichmentActivity(contactId, enrichedContact) {
@@ -472,7 +483,7 @@ export class CRMSyncWorker {
         noteBody += `**Why Now:** ${intelligence.whyNow.trigger} (urgency: ${intelligence.whyNow.urgency})\n`;
       }
 
-      await this.hubspot.createNote({
+      await this.crm.createNote({
         body: noteBody,
         associatedObjectType: 'contact',
         associatedObjectId: contactId,
@@ -495,33 +506,40 @@ export class CRMSyncWorker {
    * Record sync in database for tracking
    * @private
    */
-  async _recordSync(type, identifier, hubspotId, metadata) {
+  async _recordSync(type, identifier, crmId, metadata) {
     try {
       const stmt = this.database.db.prepare(`
-        INSERT OR REPLACE INTO crm_sync_log (type, identifier, hubspot_id, metadata, synced_at)
-        VALUES (?, ?, ?, ?, datetime('now'))
+        INSERT OR REPLACE INTO crm_sync_log (type, identifier, crm, crm_id, hubspot_id, metadata, synced_at)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
       `);
 
-      stmt.run(type, identifier, hubspotId, JSON.stringify(metadata));
+      stmt.run(
+        type,
+        identifier,
+        this.crmName,
+        crmId,
+        this.crmName === 'hubspot' ? crmId : null,
+        JSON.stringify(metadata)
+      );
     } catch (error) {
       logger.error('[CRM Sync] Failed to record sync:', error.message);
     }
   }
 
   /**
-   * Check if contact/company was recently synced
+   * Check if contact/company was recently synced to this worker's CRM
    */
   async wasRecentlySynced(type, identifier, withinHours = 24) {
     try {
       const stmt = this.database.db.prepare(`
         SELECT synced_at
         FROM crm_sync_log
-        WHERE type = ? AND identifier = ?
+        WHERE type = ? AND identifier = ? AND crm = ?
         ORDER BY synced_at DESC
         LIMIT 1
       `);
 
-      const row = stmt.get(type, identifier);
+      const row = stmt.get(type, identifier, this.crmName);
       if (!row) return false;
 
       const syncedAt = new Date(row.synced_at).getTime();
@@ -540,7 +558,7 @@ export class CRMSyncWorker {
   // ==========================================================================
 
   /**
-   * Upsert contacts in bulk (HubSpot batch API)
+   * Upsert contacts in bulk (CRM batch API)
    * @param {Array} contacts - Array of enriched contacts
    * @returns {Promise<Object>} Batch upsert result
    */
@@ -565,13 +583,12 @@ export class CRMSyncWorker {
         logger.info(`[CRM Sync] Deduplicated batch: removed ${duplicatesRemoved} duplicate contacts`);
       }
 
-      // Map to HubSpot format
-      const hubspotContacts = deduplicatedContacts.map((contact) => ({
-        properties: this._mapContactProperties(contact),
-      }));
+      // Map to CRM properties (the client wraps them for its batch API)
+      const crmContacts = deduplicatedContacts.map((contact) =>
+        this._mapContactProperties(contact)
+      );
 
-      // Use HubSpot batch API
-      const result = await this.hubspot.batchUpsertContacts(hubspotContacts);
+      const result = await this.crm.batchUpsertContacts(crmContacts);
 
       logger.info(
         `[CRM Sync] Bulk upsert complete: ${result.results?.length || 0} contacts processed`
@@ -1,11 +1,14 @@
 /**
  * Enrichment Worker - Sales Automation
  *
- * Handles background enrichment of contacts and companies using Explorium.
- * Manages batch processing, rate limiting, caching, and quality scoring.
+ * Handles background enrichment of contacts and companies through the
+ * enrichment provider waterfall (Explorium first by default, see
+ * config/enrichment-waterfall.js). Manages batch processing, rate limiting,
+ * caching, and quality scoring.
  *
  * Key Features:
  * - Batch enrichment with configurable batch sizes
+ * - Provider waterfall with per-field precedence and per-provider cost tracking
  * - Automatic rate limit management
  * - Enrichment caching (30-day TTL)
  * - Data quality scoring
@@ -16,15 +19,30 @@
 import { EventEmitter } from 'events';
 import { createLogger } from '../utils/logger.js';
 import { safeJsonParse } from '../utils/prototype-protection.js';
+import { providerFactory } from '../providers/ProviderFactory.js';
+import { EnrichmentWaterfall } from '../services/EnrichmentWaterfall.js';
+import { getWaterfallConfig } from '../config/enrichment-waterfall.js';
 
 export class EnrichmentWorker extends EventEmitter {
-  constructor(clients, database) {
+  /**
+   * @param {Object} clients - API clients ({ explorium, hubspot, lemlist })
+   * @param {Database} database - SQLite database wrapper
+   * @param {Object} options
+   * @param {Array<EnrichmentProvider>} options.providers - Explicit waterfall (default: built from ENRICHMENT_PROVIDERS)
+   * @param {Object} options.waterfall - Overrides for getWaterfallConfig()
+   */
+  constructor(clients, database, options = {}) {
     super();
 
+    this.clients = clients;
     this.explorium = clients.explorium;
     this.hubspot = clients.hubspot;
     this.database = database;
 
+    this.waterfallConfig = getWaterfallConfig(options.waterfall);
+    this.providers = options.providers || null;
+    this.waterfall = null;
+
     // Enrichment cache with type-specific TTLs
     this.cacheEnabled = true;
     // ARCH-007 FIX: Separate TTLs for contacts vs companies
@@ -64,22 +82,28 @@ export class EnrichmentWorker extends EventEmitter {
       // SECURITY FIX: Phase 2, T2.4 - Use secure logger to redact PII
       this.logger.info('Enriching contact', { email });
 
-      // Step 1: Enrich company (if domain provided)
-      let companyData = null;
-      if (companyDomain) {
-        companyData = await this.enrichCompany({ domain: companyDomain });
-      }
-
-      // Step 2: Enrich contact
-      const contactData = await this.explorium.enrichContact({
-        email,
-        firstName,
-        lastName,
-        companyDomain,
+      // Step 1: Reuse cached company data (if domain provided)
+      const cachedCompany = companyDomain && this.cacheEnabled
+        ? await this._getCachedEnrichment('company', companyDomain)
+        : null;
+
+      // Step 2: Run the provider waterfall until the quality target is met
+      const waterfall = await this._getWaterfall();
+      const result = await waterfall.run({
+        contact: { email, firstName, lastName, companyDomain, lemlistLeadId: contact.lemlistLeadId },
+        company: companyDomain ? { domain: companyDomain } : null,
+        knownCompany: cachedCompany,
+        score: (contactData, companyData) => this._calculateQualityScore(contactData, companyData),
       });
 
-      // Step 3: Calculate data quality score
-      const qualityScore = this._calculateQualityScore(contactData, companyData);
+      const contactData = result.contact;
+      const companyData = result.company;
+      if (companyData && !cachedCompany && this.cacheEnabled) {
+        await this._cacheEnrichment('company', companyDomain, companyData);
+      }
+
+      // Step 3: Data quality score of the merged result
+      const qualityScore = result.qualityScore;
 
       // Step 4: Generate intelligence (pain points, hooks)
       const intelligence = await this._generateIntelligence(
@@ -93,7 +117,10 @@ export class EnrichmentWorker extends EventEmitter {
         dataQuality: qualityScore,
         intelligence,
         enrichedAt: new Date().toISOString(),
-        source: 'explorium',
+        source: result.sources[0] || null,
+        sources: result.sources,
+        fieldSources: result.fieldSources,
+        enrichmentCost: result.cost,
       };
 
       // Cache the result
@@ -247,12 +274,13 @@ export class EnrichmentWorker extends EventEmitter {
 
       this.logger.info('Enriching company', { companyKey: key });
 
-      // Enrich via Explorium
-      const companyData = await this.explorium.enrichCompany({
-        domain,
-        name,
-        linkedinUrl,
+      // Enrich via the provider waterfall
+      const waterfall = await this._getWaterfall();
+      const result = await waterfall.run({
+        company: { domain, name, linkedinUrl },
+        score: (_, companyData) => this._calculateQualityScore(null, companyData),
       });
+      const companyData = result.company;
 
       // Cache result
       if (this.cacheEnabled) {
@@ -320,6 +348,27 @@ export class EnrichmentWorker extends EventEmitter {
     return results;
   }
 
+  /**
+   * Build the enrichment waterfall on first use
+   * @private
+   */
+  async _getWaterfall() {
+    if (!this.waterfall) {
+      const providers = this.providers ||
+        await providerFactory.createEnrichmentProviders(this.waterfallConfig.providers, this.clients);
+
+      if (providers.length === 0) {
+        throw new Error('No enrichment providers configured (check ENRICHMENT_PROVIDERS and API keys)');
+      }
+
+      this.waterfall = new EnrichmentWaterfall(providers, {
+        ...this.waterfallConfig,
+        database: this.database,
+      });
+    }
+    return this.waterfall;
+  }
+
   // ==========================================================================
   // INTELLIGENCE GENERATION
   // ==========================================================================
@@ -655,7 +704,9 @@ export class EnrichmentWorker extends EventEmitter {
 
       return {
         ...stats,
-        rateLimiter: this.rateLimiter.getStatus(),
+        rateLimiter: this.rateLimiter?.getStatus() ?? null,
+        providers: this.waterfallConfig.providers,
+        providerCosts: this.database.getEnrichmentCostSummary(),
         cacheEnabled: this.cacheEnabled,
         cacheTTL: {
           contact: this.cacheTTL.contact / (24 * 60 * 60 * 1000) + ' days',
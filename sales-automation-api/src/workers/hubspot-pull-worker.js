@@ -0,0 +1,606 @@
+/**
+ * HubSpot Pull Worker - Sales Automation
+ *
+ * The HubSpot -> local half of the CRM sync (CRMSyncWorker pushes enriched
+ * contacts the other way). Each run pulls contacts and companies modified in
+ * HubSpot since the last cursor (hubspot_sync_state) and:
+ *
+ * - Creates/updates imported_contacts rows
+ * - Resolves field conflicts with the configured rules (crm_wins,
+ *   enrichment_wins, newest_wins - see config/crm-conflict-rules.js), writes
+ *   every resolution to crm_conflict_log and pushes kept local values back
+ * - Pauses active enrollments when a contact's lifecycle stage or owner
+ *   changes, or when the contact/company reaches a stop stage
+ *   (HUBSPOT_PAUSE_LIFECYCLE_STAGES, default opportunity/customer/evangelist)
+ *
+ * Records are read in ascending modified order and the cursor only moves to
+ * the newest record processed, so a run capped by maxRecords resumes where it
+ * stopped. Runs are recorded in hubspot_sync_log.
+ */
+
+import { Op } from 'sequelize';
+import { createLogger } from '../utils/logger.js';
+import { getFieldMapping } from '../config/crm-field-mapping.js';
+import { getConflictRules, resolveConflict } from '../config/crm-conflict-rules.js';
+
+const logger = createLogger('HubSpotPullWorker');
+
+const PAGE_SIZE = 100;
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_PAUSE_STAGES = ['opportunity', 'customer', 'evangelist'];
+
+// Canonical field -> imported_contacts column (email is the row key)
+const LOCAL_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  title: 'title',
+  phone: 'phone',
+  linkedinUrl: 'linkedin_url',
+  companyName: 'company',
+  companyDomain: 'company_domain',
+};
+
+// Properties that drive enrollment pausing
+const STATE_PROPERTIES = ['lifecyclestage', 'hubspot_owner_id'];
+
+// Lazy-load models so the worker can be constructed without PostgreSQL
+let CampaignEnrollment;
+
+async function getEnrollmentModel() {
+  if (!CampaignEnrollment) {
+    const models = await import('../models/index.js');
+    CampaignEnrollment = models.CampaignEnrollment;
+  }
+  return CampaignEnrollment;
+}
+
+export class HubSpotPullWorker {
+  /**
+   * @param {HubSpotClient} hubspotClient
+   * @param {Database} database - SQLite database wrapper
+   * @param {Object} options
+   * @param {number} options.intervalMs - Poll interval (default HUBSPOT_PULL_INTERVAL_MINUTES, 15)
+   * @param {number} options.maxRecords - Max contacts/companies per run (default 1000)
+   * @param {boolean} options.writeBack - Push kept local values back to HubSpot (default true)
+   * @param {Array<string>} options.pauseLifecycleStages - Stages that always pause enrollments
+   * @param {Object} options.conflictRules - Overrides for getConflictRules ({default, fields})
+   * @param {Object} options.fieldMapping - Overrides for getFieldMapping ({contact, company})
+   */
+  constructor(hubspotClient, database, options = {}) {
+    this.hubspot = hubspotClient;
+    this.database = database;
+
+    this.intervalMs = options.intervalMs ||
+      (parseInt(process.env.HUBSPOT_PULL_INTERVAL_MINUTES, 10) || 15) * MINUTE_MS;
+    this.maxRecords = options.maxRecords || 1000;
+    this.writeBack = options.writeBack ?? process.env.HUBSPOT_PULL_WRITE_BACK !== 'false';
+    this.pauseStages = new Set(
+      options.pauseLifecycleStages ||
+      (process.env.HUBSPOT_PAUSE_LIFECYCLE_STAGES
+        ? process.env.HUBSPOT_PAUSE_LIFECYCLE_STAGES.split(',').map(stage => stage.trim()).filter(Boolean)
+        : DEFAULT_PAUSE_STAGES)
+    );
+    this.conflictRules = getConflictRules('hubspot', options.conflictRules);
+    this.fieldMapping = getFieldMapping('hubspot', options.fieldMapping);
+
+    this.timer = null;
+    this.processing = false;
+    this.stats = {
+      runs: 0,
+      contactsFetched: 0,
+      companiesFetched: 0,
+      enrollmentsPaused: 0,
+      conflictsResolved: 0,
+      failed: 0,
+    };
+  }
+
+  /**
+   * Start pulling on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => {
+        logger.error('HubSpot pull failed', { error: error.message, stack: error.stack });
+      });
+    }, this.intervalMs).unref(); // unref to allow clean exit
+
+    logger.info('HubSpot pull worker started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop pulling and wait for the in-flight run to finish
+   *
+   * @param {number} maxWait - Max time to wait for current run (ms)
+   */
+  async stop(maxWait = 30000) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    const start = Date.now();
+    while (this.processing && (Date.now() - start < maxWait)) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    logger.info('HubSpot pull worker stopped', { stats: this.stats });
+  }
+
+  /**
+   * Pull contacts, then companies, modified since the cursors
+   *
+   * @returns {Promise<Object|null>} Run counters, or null if a run is already in progress
+   */
+  async run() {
+    if (this.processing) {
+      return null;
+    }
+
+    this.processing = true;
+    this.stats.runs++;
+
+    const logId = this.database.startHubSpotSyncLog();
+    const run = {
+      status: 'completed',
+      contactsFetched: 0,
+      contactsCreated: 0,
+      contactsUpdated: 0,
+      contactsSkipped: 0,
+      companiesFetched: 0,
+      enrollmentsPaused: 0,
+      conflictsResolved: 0,
+      errors: [],
+    };
+
+    try {
+      run.cursor = await this._pull('contacts', run, contact => this._applyContact(contact, run));
+      await this._pull('companies', run, company => this._applyCompany(company, run));
+    } catch (error) {
+      run.status = 'failed';
+      run.errors.push({ error: error.message });
+      this.stats.failed++;
+      logger.error('HubSpot pull run failed', { error: error.message });
+    } finally {
+      this.stats.contactsFetched += run.contactsFetched;
+      this.stats.companiesFetched += run.companiesFetched;
+      this.stats.enrollmentsPaused += run.enrollmentsPaused;
+      this.stats.conflictsResolved += run.conflictsResolved;
+      this.database.finishHubSpotSyncLog(logId, run);
+      this.processing = false;
+    }
+
+    logger.info('HubSpot pull run finished', {
+      status: run.status,
+      contactsFetched: run.contactsFetched,
+      companiesFetched: run.companiesFetched,
+      enrollmentsPaused: run.enrollmentsPaused,
+      conflictsResolved: run.conflictsResolved,
+      errors: run.errors.length,
+    });
+
+    return run;
+  }
+
+  // ==========================================================================
+  // PULL
+  // ==========================================================================
+
+  /**
+   * Page through records modified since the cursor (oldest first)
+   * A record that fails to apply is logged in the run and skipped.
+   * @private
+   * @returns {Promise<string>} New cursor
+   */
+  async _pull(objectType, run, apply) {
+    const isContacts = objectType === 'contacts';
+    const modifiedProperty = isContacts ? 'lastmodifieddate' : 'hs_lastmodifieddate';
+    const search = isContacts
+      ? params => this.hubspot.searchContacts(params)
+      : params => this.hubspot.searchCompanies(params);
+
+    let cursor = this.database.getHubSpotSyncCursor(objectType);
+    let after;
+    let fetched = 0;
+
+    do {
+      const page = await search({
+        // GTE re-reads the boundary record; applying it twice is a no-op
+        filterGroups: [{
+          filters: [{ propertyName: modifiedProperty, operator: 'GTE', value: String(new Date(cursor).getTime()) }],
+        }],
+        sorts: [{ propertyName: modifiedProperty, direction: 'ASCENDING' }],
+        properties: this._properties(objectType),
+        limit: PAGE_SIZE,
+        after,
+      });
+
+      if (!page.success) {
+        throw new Error(`HubSpot ${objectType} search failed: ${page.error}`);
+      }
+
+      const records = isContacts ? page.contacts : page.companies;
+      for (const record of records) {
+        try {
+          await apply(record);
+        } catch (error) {
+          run.errors.push({ objectType, id: record.id, error: error.message });
+          logger.error(`Failed to apply HubSpot ${objectType} change`, { id: record.id, error: error.message });
+        }
+
+        const modifiedAt = record.updatedAt || record.properties?.[modifiedProperty];
+        if (modifiedAt && new Date(modifiedAt) > new Date(cursor)) {
+          cursor = modifiedAt;
+        }
+      }
+
+      fetched += records.length;
+      after = page.paging?.next?.after;
+    } while (after && fetched < this.maxRecords);
+
+    run[isContacts ? 'contactsFetched' : 'companiesFetched'] += fetched;
+    this.database.setHubSpotSyncCursor(objectType, cursor);
+
+    return new Date(cursor).toISOString();
+  }
+
+  /**
+   * HubSpot properties to request
+   * @private
+   */
+  _properties(objectType) {
+    if (objectType === 'companies') {
+      return ['name', 'domain', 'hs_lastmodifieddate', ...STATE_PROPERTIES];
+    }
+
+    const mapped = ['email', ...Object.keys(LOCAL_COLUMNS)]
+      .map(field => this.fieldMapping.contact[field])
+      .filter(Boolean);
+    return [...new Set([...mapped, 'lastmodifieddate', ...STATE_PROPERTIES])];
+  }
+
+  // ==========================================================================
+  // CONTACTS
+  // ==========================================================================
+
+  /**
+   * Apply one pulled contact to imported_contacts and enrollments
+   * @private
+   */
+  async _applyContact(contact, run) {
+    const properties = contact.properties || {};
+    const rawEmail = properties[this.fieldMapping.contact.email || 'email']?.trim();
+    const email = rawEmail?.toLowerCase();
+
+    if (!email) {
+      run.contactsSkipped++;
+      return;
+    }
+
+    // Enrollment metadata keeps the address as it was enrolled
+    const emails = [...new Set([email, rawEmail])];
+
+    const crmModifiedAt = contact.updatedAt || properties.lastmodifieddate || null;
+    const crmFields = {};
+    for (const field of Object.keys(LOCAL_COLUMNS)) {
+      const property = this.fieldMapping.contact[field];
+      // A cleared HubSpot field carries no information - never erase ours with it
+      if (property && properties[property] !== undefined && properties[property] !== null && properties[property] !== '') {
+        crmFields[field] = properties[property];
+      }
+    }
+
+    const hubspotState = Object.fromEntries(STATE_PROPERTIES.map(name => [name, properties[name] ?? null]));
+    const row = this.database.db.prepare('SELECT * FROM imported_contacts WHERE email = ?').get(email);
+
+    if (!row) {
+      this._insertContact(email, crmFields, contact.id, hubspotState, crmModifiedAt);
+      run.contactsCreated++;
+      await this._pauseForChanges({ emails }, null, hubspotState, run);
+      return;
+    }
+
+    const data = this.database.safeParse(row.data, {});
+    const localModifiedAt = this._localModifiedAt(row, data);
+    const updates = {};
+    const keptLocal = {};
+
+    for (const [field, column] of Object.entries(LOCAL_COLUMNS)) {
+      const crmValue = crmFields[field];
+      const localValue = row[column];
+
+      if (crmValue === undefined || String(crmValue) === String(localValue ?? '')) {
+        continue;
+      }
+
+      if (localValue === null || localValue === '') {
+        // Nothing to conflict with - take HubSpot's value
+        updates[column] = crmValue;
+        continue;
+      }
+
+      const winner = this._resolve('contact', email, contact.id, field, {
+        localValue, crmValue, localModifiedAt, crmModifiedAt,
+      });
+      run.conflictsResolved++;
+
+      if (winner === 'crm') {
+        updates[column] = crmValue;
+      } else {
+        keptLocal[this.fieldMapping.contact[field]] = localValue;
+      }
+    }
+
+    this._updateContact(email, data, updates, contact.id, hubspotState, crmModifiedAt);
+    if (Object.keys(updates).length > 0) {
+      run.contactsUpdated++;
+    } else {
+      run.contactsSkipped++;
+    }
+
+    await this._writeBack(() => this.hubspot.updateContact(contact.id, keptLocal), keptLocal, contact.id, run);
+
+    const previous = data.hubspotProperties
+      ? Object.fromEntries(
+        STATE_PROPERTIES
+          .filter(name => name in data.hubspotProperties)
+          .map(name => [name, data.hubspotProperties[name] ?? null])
+      )
+      : null;
+    await this._pauseForChanges({ emails }, previous, hubspotState, run);
+  }
+
+  /**
+   * @private
+   */
+  _insertContact(email, fields, hubspotId, hubspotState, crmModifiedAt) {
+    const data = {
+      email,
+      ...fields,
+      company: fields.companyName,
+      source: 'hubspot',
+      hubspotId,
+      hubspotProperties: hubspotState,
+    };
+
+    this.database.db.prepare(`
+      INSERT INTO imported_contacts
+      (email, first_name, last_name, title, company, company_domain, phone, linkedin_url, source, data, hubspot_last_modified, imported_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'hubspot', ?, ?, datetime('now'))
+    `).run(
+      email,
+      fields.firstName ?? null,
+      fields.lastName ?? null,
+      fields.title ?? null,
+      fields.companyName ?? null,
+      fields.companyDomain ?? null,
+      fields.phone ?? null,
+      fields.linkedinUrl ?? null,
+      JSON.stringify(data),
+      crmModifiedAt
+    );
+  }
+
+  /**
+   * Apply column updates and remember HubSpot's state for change detection
+   * imported_at is left alone: it stays the local "last changed by us" time.
+   * @private
+   */
+  _updateContact(email, data, updates, hubspotId, hubspotState, crmModifiedAt) {
+    const columns = Object.keys(updates);
+    const assignments = columns.map(column => `${column} = ?`);
+
+    this.database.db.prepare(`
+      UPDATE imported_contacts
+      SET ${[...assignments, 'data = ?', 'hubspot_last_modified = ?'].join(', ')}
+      WHERE email = ?
+    `).run(
+      ...columns.map(column => updates[column]),
+      JSON.stringify({
+        ...data,
+        hubspotId,
+        hubspotProperties: { ...data.hubspotProperties, ...hubspotState },
+      }),
+      crmModifiedAt,
+      email
+    );
+  }
+
+  /**
+   * When the local row was last changed by import or enrichment
+   * @private
+   */
+  _localModifiedAt(row, data) {
+    const times = [row.imported_at, data.enrichedAt]
+      .filter(Boolean)
+      // SQLite datetime('now') is UTC without a zone designator
+      .map(value => new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value))
+      .filter(date => !Number.isNaN(date.getTime()));
+
+    return times.length > 0
+      ? new Date(Math.max(...times.map(date => date.getTime()))).toISOString()
+      : null;
+  }
+
+  // ==========================================================================
+  // COMPANIES
+  // ==========================================================================
+
+  /**
+   * Apply one pulled company to the contacts at its domain
+   * @private
+   */
+  async _applyCompany(company, run) {
+    const properties = company.properties || {};
+    const domain = properties.domain?.trim().toLowerCase();
+
+    if (!domain) {
+      return;
+    }
+
+    const rows = this.database.db.prepare(
+      'SELECT email, company, imported_at, data FROM imported_contacts WHERE lower(company_domain) = ?'
+    ).all(domain);
+    const emails = rows.map(row => row.email);
+
+    const crmName = properties.name?.trim();
+    const named = rows.filter(row => row.company);
+
+    if (crmName && rows.length > 0) {
+      if (named.length === 0) {
+        this.database.db.prepare(
+          'UPDATE imported_contacts SET company = ? WHERE lower(company_domain) = ?'
+        ).run(crmName, domain);
+      } else if (named.some(row => row.company !== crmName)) {
+        // One resolution per company, judged against our newest contact there
+        const local = named
+          .map(row => ({ row, modifiedAt: this._localModifiedAt(row, this.database.safeParse(row.data, {})) }))
+          .sort((a, b) => String(b.modifiedAt).localeCompare(String(a.modifiedAt)))[0];
+
+        const winner = this._resolve('company', domain, company.id, 'companyName', {
+          localValue: local.row.company,
+          crmValue: crmName,
+          localModifiedAt: local.modifiedAt,
+          crmModifiedAt: company.updatedAt || properties.hs_lastmodifieddate || null,
+        });
+        run.conflictsResolved++;
+
+        if (winner === 'crm') {
+          this.database.db.prepare(
+            'UPDATE imported_contacts SET company = ? WHERE lower(company_domain) = ?'
+          ).run(crmName, domain);
+        } else {
+          const keptLocal = { name: local.row.company };
+          await this._writeBack(() => this.hubspot.updateCompany(company.id, keptLocal), keptLocal, company.id, run);
+        }
+      }
+    }
+
+    // Company state isn't stored locally, so only stop stages pause here
+    if (this.pauseStages.has(properties.lifecyclestage)) {
+      run.enrollmentsPaused += await this._pauseEnrollments(
+        { emails, domain },
+        `HubSpot company lifecycle stage is ${properties.lifecyclestage}`
+      );
+    }
+  }
+
+  // ==========================================================================
+  // CONFLICTS & WRITE-BACK
+  // ==========================================================================
+
+  /**
+   * Resolve and audit one field conflict
+   * @private
+   * @returns {'crm'|'local'} Winner
+   */
+  _resolve(objectType, identifier, crmId, field, conflict) {
+    const rule = this.conflictRules.fields[field] || this.conflictRules.default;
+    const { winner } = resolveConflict(rule, conflict);
+
+    this.database.recordCrmConflict({
+      crm: 'hubspot',
+      objectType,
+      identifier,
+      crmId,
+      field,
+      rule,
+      winner,
+      ...conflict,
+    });
+
+    logger.info('Resolved CRM field conflict', { objectType, identifier, field, rule, winner });
+    return winner;
+  }
+
+  /**
+   * Push values that won locally back to HubSpot
+   * @private
+   */
+  async _writeBack(update, properties, id, run) {
+    if (!this.writeBack || Object.keys(properties).length === 0) {
+      return;
+    }
+
+    const result = await update();
+    if (!result.success) {
+      run.errors.push({ id, error: `Write-back failed: ${result.error}` });
+      logger.warn('Failed to write kept values back to HubSpot', { id, error: result.error });
+    }
+  }
+
+  // ==========================================================================
+  // ENROLLMENTS
+  // ==========================================================================
+
+  /**
+   * Pause enrollments when lifecycle stage or owner changed, or the contact is in a stop stage
+   * @private
+   */
+  async _pauseForChanges(target, previous, current, run) {
+    const reasons = [];
+
+    if (previous && 'lifecyclestage' in previous && previous.lifecyclestage !== current.lifecyclestage) {
+      reasons.push(`lifecycle stage changed from ${previous.lifecyclestage || 'none'} to ${current.lifecyclestage || 'none'}`);
+    } else if (!(previous && 'lifecyclestage' in previous) && this.pauseStages.has(current.lifecyclestage)) {
+      reasons.push(`lifecycle stage is ${current.lifecyclestage}`);
+    }
+
+    if (previous && 'hubspot_owner_id' in previous && previous.hubspot_owner_id !== current.hubspot_owner_id) {
+      reasons.push(`owner changed from ${previous.hubspot_owner_id || 'none'} to ${current.hubspot_owner_id || 'none'}`);
+    }
+
+    if (reasons.length > 0) {
+      run.enrollmentsPaused += await this._pauseEnrollments(target, `HubSpot ${reasons.join('; ')}`);
+    }
+  }
+
+  /**
+   * Pause enrolled/active enrollments for the given emails (or anyone at the domain)
+   * Paused without an end time, so they stay paused until a rep resumes them.
+   * @private
+   * @returns {Promise<number>} Enrollments paused
+   */
+  async _pauseEnrollments({ emails = [], domain = null }, reason) {
+    const matchers = [];
+    if (emails.length > 0) {
+      matchers.push({ metadata: { email: { [Op.in]: emails } } });
+    }
+    if (domain) {
+      matchers.push({ metadata: { email: { [Op.iLike]: `%@${domain.replace(/([\\%_])/g, '\\$1')}` } } });
+    }
+    if (matchers.length === 0) {
+      return 0;
+    }
+
+    const Enrollment = await getEnrollmentModel();
+    const enrollments = await Enrollment.findAll({
+      where: {
+        status: { [Op.in]: ['enrolled', 'active'] },
+        [Op.or]: matchers,
+      },
+    });
+
+    for (const enrollment of enrollments) {
+      await enrollment.pause({ reason });
+    }
+
+    if (enrollments.length > 0) {
+      logger.info('Paused enrollments after HubSpot change', {
+        count: enrollments.length,
+        reason,
+        emails: emails.length,
+        domain,
+      });
+    }
+
+    return enrollments.length;
+  }
+}
+
+export default HubSpotPullWorker;
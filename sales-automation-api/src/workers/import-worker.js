@@ -21,6 +21,7 @@ import { EventEmitter } from 'events';
 import { safeJsonParse } from '../utils/prototype-protection.js';
 // ARCH-004 FIX: Import structured logger
 import { createLogger } from '../utils/logger.js';
+import { suppressionList } from '../services/SuppressionList.js';
 
 const logger = createLogger('ImportWorker');
 
@@ -32,6 +33,7 @@ export class ImportWorker extends EventEmitter {
     this.lemlist = clients.lemlist;
     this.explorium = clients.explorium;
     this.database = database;
+    this.suppressionList = clients.suppressionList || suppressionList;
 
     // Import statistics
     this.stats = {
@@ -84,6 +86,9 @@ export class ImportWorker extends EventEmitter {
       }
 
       // Store imported contacts
+      // Suppressed contacts (opt-outs, erasure requests) are never re-imported
+      finalContacts = await this._excludeSuppressed(finalContacts);
+
       await this._storeImportedContacts(finalContacts, 'csv');
 
       this.stats.imported += finalContacts.length;
@@ -232,6 +237,9 @@ export class ImportWorker extends EventEmitter {
       }
 
       // Store
+      // Suppressed contacts (opt-outs, erasure requests) are never re-imported
+      finalContacts = await this._excludeSuppressed(finalContacts);
+
       await this._storeImportedContacts(finalContacts, 'lemlist');
 
       this.stats.imported += finalContacts.length;
@@ -380,6 +388,9 @@ export class ImportWorker extends EventEmitter {
       }
 
       // Store
+      // Suppressed contacts (opt-outs, erasure requests) are never re-imported
+      finalContacts = await this._excludeSuppressed(finalContacts);
+
       await this._storeImportedContacts(finalContacts, 'hubspot');
 
       this.stats.imported += finalContacts.length;
@@ -458,6 +469,9 @@ export class ImportWorker extends EventEmitter {
       }
 
       // Store
+      // Suppressed contacts (opt-outs, erasure requests) are never re-imported
+      finalContacts = await this._excludeSuppressed(finalContacts);
+
       await this._storeImportedContacts(finalContacts, 'hubspot_list');
 
       this.stats.imported += finalContacts.length;
@@ -569,6 +583,26 @@ export class ImportWorker extends EventEmitter {
     return unique;
   }
 
+  /**
+   * Drop contacts on the suppression list
+   * @private
+   */
+  async _excludeSuppressed(contacts) {
+    if (contacts.length === 0) {
+      return contacts;
+    }
+
+    const suppressed = await this.suppressionList.checkMany(
+      contacts.map(contact => ({ email: contact.email, linkedinUrl: contact.linkedinUrl }))
+    );
+    const allowed = contacts.filter((contact, index) => !suppressed[index]);
+
+    if (allowed.length < contacts.length) {
+      logger.info(`[Import] Skipping ${contacts.length - allowed.length} suppressed contacts`);
+    }
+    return allowed;
+  }
+
   /**
    * Check if contact already exists in database
    * @private
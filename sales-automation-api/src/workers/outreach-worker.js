@@ -16,6 +16,7 @@
 // ARCH-004 FIX: Import structured logger
 import { createLogger } from '../utils/logger.js';
 import KnowledgeService from '../services/KnowledgeService.js';
+import { suppressionList, SuppressedRecipientError } from '../services/SuppressionList.js';
 
 const logger = createLogger('OutreachWorker');
 
@@ -160,6 +161,9 @@ export class OutreachWorker {
     try {
       logger.info(`[Outreach] Enrolling ${email} in campaign ${campaignId}`);
 
+      // An opt-out from any campaign blocks enrollment in every other one
+      await suppressionList.assertAllowed({ email }, { channel: 'email', campaignId });
+
       // Step 0: Load knowledge context for this persona (non-blocking enhancement)
       let knowledgeContext = {};
       try {
@@ -221,6 +225,16 @@ export class OutreachWorker {
         variables,
       };
     } catch (error) {
+      if (error instanceof SuppressedRecipientError) {
+        logger.info(`[Outreach] Skipped suppressed lead ${email}`);
+        return {
+          success: false,
+          suppressed: true,
+          error: error.message,
+          lead: { email, firstName, lastName },
+        };
+      }
+
       logger.error(
         `[Outreach] Failed to enroll ${email}:`,
         error.message
@@ -261,20 +275,40 @@ export class OutreachWorker {
         `[Outreach] Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(leads.length / batchSize)}`
       );
 
-      // Prepare batch for lemlist bulk API
-      const bulkLeads = batch.map((lead) => ({
-        email: lead.email,
-        firstName: lead.firstName,
-        lastName: lead.lastName,
-        companyName: lead.companyName,
-        customFields: this._preparePersonalizationVariables(
-          lead,
-          lead.intelligence,
-          {}
-        ),
-      }));
-
       try {
+        // Suppressed contacts never reach Lemlist
+        const allowed = [];
+        for (const lead of batch) {
+          try {
+            await suppressionList.assertAllowed({ email: lead.email }, { channel: 'email', campaignId });
+            allowed.push(lead);
+          } catch (error) {
+            if (!(error instanceof SuppressedRecipientError)) throw error;
+            results.failed.push({
+              email: lead.email,
+              error: error.message,
+              suppressed: true,
+            });
+          }
+        }
+
+        if (allowed.length === 0) {
+          continue;
+        }
+
+        // Prepare batch for lemlist bulk API
+        const bulkLeads = allowed.map((lead) => ({
+          email: lead.email,
+          firstName: lead.firstName,
+          lastName: lead.lastName,
+          companyName: lead.companyName,
+          customFields: this._preparePersonalizationVariables(
+            lead,
+            lead.intelligence,
+            {}
+          ),
+        }));
+
         const batchResult = await this.lemlist.bulkAddLeads(campaignId, bulkLeads);
 
         for (const result of batchResult.results || []) {
@@ -579,11 +613,11 @@ export class OutreachWorker {
     try {
       logger.info(`[Outreach] Processing unsubscribe for ${email}`);
 
-      await this.lemlist.addToUnsubscribes(email);
-
-      // Record in database
+      // Global suppression list first: it blocks every campaign and channel
       await this._recordUnsubscribe(email);
 
+      await this.lemlist.addToUnsubscribes(email);
+
       logger.info(`[Outreach] ${email} unsubscribed successfully`);
 
       return {
@@ -605,10 +639,15 @@ export class OutreachWorker {
 
   /**
    * Check if email is unsubscribed
+   * Checks the global suppression list, then Lemlist's own list
    * @param {string} email - Email to check
    * @returns {Promise<boolean>} True if unsubscribed
    */
   async isUnsubscribed(email) {
+    if (await suppressionList.check({ email })) {
+      return true;
+    }
+
     try {
       const unsubscribes = await this.lemlist.getUnsubscribes();
       return unsubscribes.some((unsub) => unsub.email === email);
@@ -661,12 +700,13 @@ export class OutreachWorker {
 
   async _recordUnsubscribe(email) {
     try {
-      const stmt = this.database.db.prepare(`
-        INSERT INTO unsubscribes (email, unsubscribed_at)
-        VALUES (?, datetime('now'))
-      `);
-
-      stmt.run(email);
+      await suppressionList.add({
+        type: 'email',
+        value: email,
+        reason: 'unsubscribe',
+        source: 'lemlist',
+        actor: 'outreach_worker'
+      });
     } catch (error) {
       logger.error('[Outreach] Failed to record unsubscribe:', error.message);
       this.stats.errors = (this.stats.errors || 0) + 1;
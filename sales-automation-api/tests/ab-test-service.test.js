@@ -0,0 +1,136 @@
+/**
+ * A/B Test Service Unit Tests
+ *
+ * Tests for variant assignment and statistical winner selection.
+ *
+ * These tests focus on the pure static methods; the per-variant query runs
+ * against a stubbed sequelize.query.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+
+const query = jest.fn();
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  sequelize: { query }
+}));
+
+const { ABTestService } = await import('../src/services/ABTestService.js');
+
+const counts = (variant, sent, replied, opened = 0, clicked = 0) =>
+  ({ variant, sent, opened, clicked, replied, meetings: 0 });
+
+describe('ABTestService', () => {
+  describe('variantKey', () => {
+    it('should use the a_b_variant label when present', () => {
+      expect(ABTestService.variantKey({ id: 'seq-1', a_b_variant: 'B' })).toBe('B');
+    });
+
+    it('should fall back to the row ID for unlabelled variants', () => {
+      expect(ABTestService.variantKey({ id: 'seq-1', a_b_variant: null })).toBe('seq-1');
+    });
+  });
+
+  describe('pickVariant', () => {
+    const variants = [{ a_b_variant: 'A' }, { a_b_variant: 'B' }, { a_b_variant: 'C' }];
+
+    it('should map the random source onto the variant list', () => {
+      expect(ABTestService.pickVariant(variants, () => 0).a_b_variant).toBe('A');
+      expect(ABTestService.pickVariant(variants, () => 0.5).a_b_variant).toBe('B');
+      expect(ABTestService.pickVariant(variants, () => 0.99).a_b_variant).toBe('C');
+    });
+  });
+
+  describe('twoProportionZTest', () => {
+    it('should report no difference for identical rates', () => {
+      const { z, pValue } = ABTestService.twoProportionZTest(10, 100, 10, 100);
+      expect(z).toBe(0);
+      expect(pValue).toBeCloseTo(1, 5);
+    });
+
+    it('should compute the two-sided p-value', () => {
+      // 20% vs 10% on 200 sends each: z ~= 2.80, p ~= 0.005
+      const { z, pValue } = ABTestService.twoProportionZTest(40, 200, 20, 200);
+      expect(z).toBeCloseTo(2.80, 1);
+      expect(pValue).toBeGreaterThan(0.004);
+      expect(pValue).toBeLessThan(0.006);
+    });
+
+    it('should handle empty samples', () => {
+      expect(ABTestService.twoProportionZTest(0, 0, 5, 10).pValue).toBe(1);
+    });
+  });
+
+  describe('determineWinner', () => {
+    const options = { metric: 'reply_rate', minSamplesPerVariant: 20, confidenceLevel: 0.95 };
+
+    it('should wait until every variant has the minimum sample size', () => {
+      const result = ABTestService.determineWinner([counts('A', 200, 40), counts('B', 10, 0)], options);
+
+      expect(result.significant).toBe(false);
+      expect(result.winner).toBeNull();
+      expect(result.leader).toBe('A');
+      expect(result.reason).toContain('B');
+    });
+
+    it('should declare a winner when the difference is significant', () => {
+      const result = ABTestService.determineWinner([counts('A', 200, 20), counts('B', 200, 40)], options);
+
+      expect(result.significant).toBe(true);
+      expect(result.winner).toBe('B');
+      expect(result.lift).toBe(100);
+      expect(result.variants[0]).toMatchObject({ variant: 'B', reply_rate: '20.0' });
+    });
+
+    it('should not declare a winner for a small difference', () => {
+      const result = ABTestService.determineWinner([counts('A', 100, 10), counts('B', 100, 12)], options);
+
+      expect(result.significant).toBe(false);
+      expect(result.leader).toBe('B');
+      expect(result.pValue).toBeGreaterThan(0.05);
+    });
+
+    it('should require the leader to beat every other variant', () => {
+      const result = ABTestService.determineWinner(
+        [counts('A', 200, 40), counts('B', 200, 38), counts('C', 200, 10)],
+        options
+      );
+
+      expect(result.significant).toBe(false);
+    });
+
+    it('should compare on the configured metric', () => {
+      const result = ABTestService.determineWinner(
+        [counts('A', 200, 10, 120), counts('B', 200, 10, 60)],
+        { ...options, metric: 'open_rate' }
+      );
+
+      expect(result.winner).toBe('A');
+    });
+
+    it('should reject unknown metrics', () => {
+      expect(() => ABTestService.determineWinner([], { ...options, metric: 'meeting_rate' }))
+        .toThrow('Unsupported A/B test metric');
+    });
+  });
+
+  describe('getVariantPerformance', () => {
+    it('should credit engagement to the send of that step only', async () => {
+      query.mockResolvedValueOnce([
+        { variant: 'A', sent: '120', opened: '60', clicked: '9', replied: '6', meetings: '2' }
+      ]);
+
+      const result = await ABTestService.getVariantPerformance('tpl-1', 2);
+
+      expect(result).toEqual([{ variant: 'A', sent: 120, opened: 60, clicked: 9, replied: 6, meetings: 2 }]);
+
+      const [sql, options] = query.mock.calls[0];
+      expect(options.replacements).toEqual({ templateId: 'tpl-1', stepNumber: 2, stepKey: '2' });
+      expect(sql).toMatch(/FROM campaign_events sent/);
+      expect(sql).toMatch(/sent\.step_number = :stepNumber/);
+      expect(sql).toMatch(/eng\.provider_message_id = sent\.provider_message_id/);
+      // Enrollment-level outcome flags must not decide opens/clicks/replies
+      expect(sql).not.toMatch(/oo\.(opened|clicked|replied)/);
+    });
+  });
+});
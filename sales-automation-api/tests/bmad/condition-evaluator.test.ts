@@ -0,0 +1,123 @@
+/**
+ * Condition Evaluator Unit Tests
+ *
+ * Covers the `when:` / trigger condition language: paths, literals,
+ * comparisons, logic, helpers and syntax errors.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConditionEvaluator,
+  ConditionSyntaxError,
+  resolvePath,
+  tokenize
+} from '../../src/bmad/ConditionEvaluator';
+
+const context = {
+  'define-icp': { quality_thresholds: { auto_approve: 0.8 } },
+  'enrich-contacts': [
+    { email: 'jane@acme.com', verified: true },
+    { email: 'wei@acme.sg', verified: false }
+  ],
+  'search-companies': { companies: [{ domain: 'acme.com' }] },
+  event: { event_type: 'replied', metadata: { intent: 'objection', body: 'Too expensive for us' } },
+  score: 0.85,
+  tier: 'A'
+};
+
+describe('ConditionEvaluator', () => {
+  const conditions = new ConditionEvaluator();
+  const evaluate = (expression: string | boolean) => conditions.evaluate(expression, context);
+
+  describe('paths', () => {
+    it('should resolve hyphenated step ids, nested keys and indexes', () => {
+      assert.equal(evaluate('define-icp.quality_thresholds.auto_approve == 0.8'), true);
+      assert.equal(evaluate("search-companies.companies[0].domain == 'acme.com'"), true);
+      assert.equal(evaluate('enrich-contacts.length == 2'), true);
+    });
+
+    it('should treat missing paths as undefined', () => {
+      assert.equal(evaluate('missing-step.value'), false);
+      assert.equal(evaluate('missing-step.value == null'), false);
+      assert.equal(evaluate('!missing-step.value'), true);
+    });
+
+    it('should not walk into the prototype chain', () => {
+      assert.equal(resolvePath(context, ['event', 'constructor']), undefined);
+      assert.equal(resolvePath(context, ['__proto__']), undefined);
+      assert.equal(evaluate('exists(event.toString)'), false);
+    });
+  });
+
+  describe('comparisons and logic', () => {
+    it('should compare numbers and strings', () => {
+      assert.equal(evaluate('score >= 0.85'), true);
+      assert.equal(evaluate('score < 0.5'), false);
+      assert.equal(evaluate("tier != 'B'"), true);
+      assert.equal(evaluate("tier < 'B'"), true);
+    });
+
+    it('should not order values of different types', () => {
+      assert.equal(evaluate("score > 'A'"), false);
+      assert.equal(evaluate('missing > 0'), false);
+      assert.equal(evaluate('missing <= 0'), false);
+    });
+
+    it('should combine clauses with precedence and parentheses', () => {
+      assert.equal(evaluate("tier == 'B' || score > 0.5 && score < 0.9"), true);
+      assert.equal(evaluate("(tier == 'B' || score > 0.5) && score > 0.9"), false);
+      assert.equal(evaluate("!(tier == 'B')"), true);
+    });
+
+    it('should pass boolean `when:` values through', () => {
+      assert.equal(evaluate(true), true);
+      assert.equal(evaluate(false), false);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should count with len()', () => {
+      assert.equal(evaluate('len(enrich-contacts) == 2'), true);
+      assert.equal(evaluate('len(define-icp) == 1'), true);
+      assert.equal(evaluate('len(missing) == 0'), true);
+    });
+
+    it('should compute the share of truthy fields with ratio()', () => {
+      assert.equal(evaluate("ratio(enrich-contacts, 'verified') == 0.5"), true);
+      assert.equal(evaluate("ratio(missing, 'verified') == 0"), true);
+    });
+
+    it('should check presence with exists()', () => {
+      assert.equal(evaluate('exists(event.metadata.intent)'), true);
+      assert.equal(evaluate('exists(event.metadata.sentiment)'), false);
+    });
+
+    it('should match substrings and list members with contains()', () => {
+      assert.equal(evaluate("contains(event.metadata.body, 'expensive')"), true);
+      assert.equal(evaluate("contains(enrich-contacts, 'jane@acme.com')"), false);
+      assert.equal(evaluate('contains(missing, 1)'), false);
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('should reject malformed expressions', () => {
+      for (const expression of ["tier == 'A", 'score >', '(score > 1', 'score > 1 )', 'score + 1', 'a.', 'a[b]']) {
+        assert.throws(() => conditions.compile(expression), ConditionSyntaxError, expression);
+      }
+    });
+
+    it('should reject unknown helpers', () => {
+      assert.throws(() => conditions.compile('eval(score)'), /unknown function "eval"/);
+    });
+
+    it('should tokenize pipes for input expressions', () => {
+      assert.deepEqual(tokenize('a | b').map(token => token.value), ['a', '|', 'b']);
+    });
+  });
+
+  it('should cache compiled expressions', () => {
+    const evaluator = new ConditionEvaluator();
+    assert.equal(evaluator.compile('score > 1'), evaluator.compile('score > 1'));
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Expression Resolver Unit Tests
+ *
+ * Covers `${...}` step input expressions: paths, filters, defaults,
+ * missing keys, interpolation and reference validation.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExpressionResolver, InputExpressionError } from '../../src/bmad/ExpressionResolver';
+
+const scope = {
+  steps: {
+    'define-icp': { industries: ['fintech', 'payments'], owner: null },
+    'enrich-contacts': [
+      { email: 'jane@acme.com', email_verified: true, company: { domain: 'acme.com' } },
+      { email: 'wei@acme.sg', email_verified: false, company: { domain: 'acme.sg' } }
+    ]
+  },
+  inputs: { company_name: 'Acme', count: 3 },
+  previous: { score: 0.9 }
+};
+
+describe('ExpressionResolver', () => {
+  const expressions = new ExpressionResolver();
+  const resolve = (template: string) => expressions.resolve(template, scope);
+
+  describe('paths', () => {
+    it('should resolve step results, inputs and the previous step', () => {
+      assert.equal(resolve('${steps.enrich-contacts[0].email}'), 'jane@acme.com');
+      assert.equal(resolve('${steps.enrich-contacts[1].company.domain}'), 'acme.sg');
+      assert.equal(resolve('${inputs.company_name}'), 'Acme');
+      assert.equal(resolve('${previous.score}'), 0.9);
+    });
+
+    it('should keep the type of a lone expression', () => {
+      assert.deepEqual(resolve('${steps.define-icp.industries}'), ['fintech', 'payments']);
+      assert.equal(resolve('${inputs.count}'), 3);
+      assert.equal(resolve('${inputs.count > 2}'), true);
+    });
+
+    it('should interpolate expressions into surrounding text', () => {
+      assert.equal(resolve('Intro for ${inputs.company_name} (${inputs.count})'), 'Intro for Acme (3)');
+      assert.equal(resolve('Industries: ${steps.define-icp.industries}'), 'Industries: ["fintech","payments"]');
+    });
+  });
+
+  describe('missing keys', () => {
+    it('should resolve a lone missing path to undefined', () => {
+      assert.equal(resolve('${inputs.owner_email}'), undefined);
+      assert.equal(resolve('${steps.enrich-contacts[5].email}'), undefined);
+      assert.equal(resolve('${steps.define-icp.owner.email}'), undefined);
+    });
+
+    it('should interpolate missing and null values as empty text', () => {
+      assert.equal(resolve('Owner: ${inputs.owner_email}'), 'Owner: ');
+      assert.equal(resolve('Owner: ${steps.define-icp.owner}'), 'Owner: ');
+    });
+
+    it('should return undefined from list filters applied to a missing value', () => {
+      assert.equal(resolve("${inputs.contacts | map('email')}"), undefined);
+      assert.equal(resolve('${inputs.contacts | first}'), undefined);
+      assert.equal(resolve('${inputs.contacts | length}'), 0);
+    });
+  });
+
+  describe('defaults', () => {
+    it('should use the default for missing and null values', () => {
+      assert.equal(resolve("${inputs.owner_email | default('sales@example.com')}"), 'sales@example.com');
+      assert.equal(resolve("${steps.define-icp.owner | default('sales@example.com')}"), 'sales@example.com');
+      assert.equal(resolve("${inputs.contacts | map('email') | join | default('none')}"), 'none');
+    });
+
+    it('should keep present values, including falsy ones', () => {
+      assert.equal(resolve("${inputs.company_name | default('Unknown')}"), 'Acme');
+      assert.equal(resolve("${steps.enrich-contacts[1].email_verified | default(true)}"), false);
+    });
+
+    it('should accept another path as the default', () => {
+      assert.equal(resolve('${inputs.owner_email | default(inputs.company_name)}'), 'Acme');
+    });
+  });
+
+  describe('filters', () => {
+    it('should chain filter, map and join', () => {
+      assert.deepEqual(
+        resolve("${steps.enrich-contacts | filter('email_verified') | map('email')}"),
+        ['jane@acme.com']
+      );
+      assert.deepEqual(resolve("${steps.enrich-contacts | map('company.domain')}"), ['acme.com', 'acme.sg']);
+      assert.equal(resolve("${steps.enrich-contacts | filter('company.domain', 'acme.sg') | length}"), 1);
+      assert.equal(resolve("${steps.define-icp.industries | join(' / ')}"), 'fintech / payments');
+      assert.equal(resolve('${steps.define-icp.industries | last}'), 'payments');
+    });
+  });
+
+  describe('syntax errors', () => {
+    const invalid = (template: string, message: RegExp) =>
+      assert.throws(() => expressions.compile(template), (error: Error) => {
+        assert.ok(error instanceof InputExpressionError);
+        assert.match(error.message, message);
+        return true;
+      });
+
+    it('should reject malformed expressions', () => {
+      invalid('${}', /empty expression/);
+      invalid('Hi ${inputs.name', /unterminated/);
+      invalid('${inputs.name | shout}', /unknown filter "shout"/);
+      invalid('${inputs.name | default}', /filter "default" takes 1 argument\(s\), got 0/);
+      invalid('${| first}', /missing value before "\|"/);
+    });
+  });
+
+  describe('validate', () => {
+    const available = new Set(['define-icp']);
+
+    it('should accept references to earlier steps, inputs and previous', () => {
+      expressions.validate("${steps.define-icp.industries | join(',')} ${inputs.name} ${previous.score}", available, true);
+    });
+
+    it('should reject unknown roots, later steps and previous in the first step', () => {
+      assert.throws(() => expressions.validate('${contacts[0]}', available, true), /unknown reference "contacts"/);
+      assert.throws(
+        () => expressions.validate('${steps.enrich-contacts[0]}', available, true),
+        /step "enrich-contacts" does not run before this step \(available: define-icp\)/
+      );
+      assert.throws(
+        () => expressions.validate('${inputs.name | default(steps.score-leads)}', available, true),
+        /step "score-leads"/
+      );
+      assert.throws(() => expressions.validate('${previous.score}', available, false), /"previous" used in the first step/);
+    });
+  });
+
+  it('should detect templates', () => {
+    assert.equal(ExpressionResolver.isTemplate('${inputs.name}'), true);
+    assert.equal(ExpressionResolver.isTemplate('from_previous_step'), false);
+    assert.equal(ExpressionResolver.isTemplate(42), false);
+  });
+});
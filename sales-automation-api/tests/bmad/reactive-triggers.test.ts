@@ -0,0 +1,58 @@
+/**
+ * Reactive Trigger Tests
+ *
+ * Matches reply events, as the dispatcher sees them, against the triggers
+ * of the shipped dynamic-outreach workflow.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkflowEngine } from '../../src/bmad/WorkflowEngine';
+import { WorkflowTriggerDispatcher } from '../../src/services/WorkflowTriggerDispatcher.js';
+
+const enrollment = {
+  id: 'enr_1',
+  instance_id: 'inst_1',
+  contact_id: 'con_1',
+  status: 'active',
+  current_step: 2,
+  metadata: { email: 'jane@acme.com', first_name: 'Jane' }
+};
+
+// CampaignEvent payload for an inbound email reply
+const reply = (text: string, extra: Record<string, unknown> = {}) => ({
+  id: 'evt_1',
+  enrollment_id: enrollment.id,
+  instance_id: enrollment.instance_id,
+  event_type: 'replied',
+  channel: 'email',
+  metadata: { from: 'jane@acme.com', subject: 'Re: Settlement', text, ...extra }
+});
+
+describe('dynamic-outreach triggers', () => {
+  const engine = new WorkflowEngine();
+  let triggers: ReturnType<WorkflowEngine['loadTriggers']>;
+
+  before(() => {
+    triggers = engine.loadTriggers('dynamic-outreach');
+  });
+
+  const match = (event: any) => {
+    const context = WorkflowTriggerDispatcher.buildTriggerContext(event, { replied: 1 }, enrollment);
+    return engine.matchTrigger(triggers, context)?.event ?? null;
+  };
+
+  it('should route a decline to the graceful exit', () => {
+    assert.equal(match(reply('Thanks, but we are not interested. Please remove me from your list.')), 'negative_response');
+  });
+
+  it('should route an out-of-office reply to pause and reschedule', () => {
+    assert.equal(match(reply('I am out of the office until Monday with limited access to email.')), 'out_of_office_detected');
+    assert.equal(match(reply('Thanks for your message.', { autoSubmitted: 'auto-replied' })), 'out_of_office_detected');
+  });
+
+  it('should route neutral and unclassified replies to analysis', () => {
+    assert.equal(match(reply('Could you send more details on settlement times?')), 'prospect_reply_received');
+    assert.equal(match({ ...reply(''), metadata: {} }), 'prospect_reply_received');
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * B-mad Test Setup
+ *
+ * The bmad engine is TypeScript, so its unit tests run on node:test through
+ * tsx (`npm run test:bmad:unit`) rather than Jest. Loaded with --import
+ * before any test file.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'error';
+
+// WorkflowStateManager imports the PostgreSQL connection, which refuses to
+// load without credentials. Tests replace the state manager, so these are
+// never used to connect.
+process.env.POSTGRES_HOST ??= 'localhost';
+process.env.POSTGRES_DB ??= 'bmad_unit_test';
+process.env.POSTGRES_USER ??= 'bmad_unit_test';
+process.env.POSTGRES_PASSWORD ??= 'bmad_unit_test';
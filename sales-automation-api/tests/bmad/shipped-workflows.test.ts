@@ -0,0 +1,104 @@
+/**
+ * Shipped Workflow Tests
+ *
+ * Every workflow under bmad-library must validate and use only registered
+ * actions, so none fails at start or silently loses a trigger.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { WorkflowEngine } from '../../src/bmad/WorkflowEngine';
+import { ToolRegistry } from '../../src/bmad/ToolRegistry';
+
+const WORKFLOWS_DIR = join(process.cwd(), 'bmad-library', 'modules', 'sales', 'workflows');
+
+const workflowNames = readdirSync(WORKFLOWS_DIR)
+  .filter(file => file.endsWith('.workflow.yaml'))
+  .map(file => file.replace('.workflow.yaml', ''));
+
+function createEngine() {
+  const engine = new WorkflowEngine(new ToolRegistry());
+  Object.assign(engine as any, {
+    stateManager: {
+      createWorkflow: async (workflowId: string) => workflowId,
+      updateStepCompleted: async () => {},
+      recordSideEffect: async () => {},
+      completeWorkflow: async () => {},
+      failWorkflow: async () => {}
+    }
+  });
+  return engine;
+}
+
+describe('shipped workflows', () => {
+  const engine = createEngine() as any;
+
+  it('should find the workflow library', () => {
+    assert.ok(workflowNames.includes('prospect-discovery'));
+    assert.ok(workflowNames.includes('dynamic-outreach'));
+  });
+
+  for (const name of workflowNames) {
+    it(`${name} should only use registered actions`, () => {
+      const { workflow } = engine.loadDefinition(name);
+      const stepLists: Array<[string, any[]]> = workflow.metadata?.execution_mode === 'reactive'
+        ? Object.entries(workflow.flows || {}).map(([flow, definition]: [string, any]) => [`${name}/${flow}`, definition.steps])
+        : [[name, workflow.steps]];
+
+      assert.ok(stepLists.length > 0);
+      for (const [runName, steps] of stepLists) {
+        engine.validateSteps(steps);
+        engine.assertActionsRegistered(runName, steps);
+      }
+    });
+  }
+
+  it('should load every dynamic-outreach trigger', () => {
+    const { workflow } = engine.loadDefinition('dynamic-outreach');
+    const triggers = engine.loadTriggers('dynamic-outreach');
+
+    assert.deepEqual(
+      triggers.map((trigger: any) => trigger.event).sort(),
+      workflow.triggers.map((trigger: any) => trigger.event).sort()
+    );
+  });
+
+  describe('dynamic-outreach flows', () => {
+    it('should pick a strategy for an objection', async () => {
+      const context = await createEngine().runFlow('dynamic-outreach', 'objection-handling-flow', {
+        enrollment_id: 'enr_1',
+        reply_content: 'I need to check with my CFO before we go further.'
+      });
+
+      assert.equal(context['classify-objection'].objection_category, 'authority');
+      assert.equal(context['select-strategy'].approach, 'facilitate_internal_buy_in');
+      // Without a ConversationalResponder nothing is sent
+      assert.deepEqual(context['execute-response'], { sent: false, reason: 'no_responder', enrollment_id: 'enr_1' });
+    });
+
+    it('should pick the next content for a click', async () => {
+      const context = await createEngine().runFlow('dynamic-outreach', 'content-engagement-flow', {
+        enrollment_id: 'enr_1',
+        clicked_url: 'https://acme.com/customers/uk-psp',
+        clicks: 1
+      });
+
+      assert.equal(context['identify-content'].content_type, 'case_study');
+      assert.equal(context['recommend-next-content'].next_content, 'send_similar_case_study');
+    });
+
+    it('should draft a direct ask for high engagement', async () => {
+      const context = await createEngine().runFlow('dynamic-outreach', 'high-intent-sequence', {
+        enrollment_id: 'enr_1',
+        first_name: 'Jane',
+        open_count: 3,
+        clicks: 0
+      });
+
+      assert.equal(context['detect-pattern'].recommended_action, 'direct_ask');
+      assert.match(context['craft-direct-ask'].body, /^Jane - I noticed/);
+    });
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * ToolRegistry Action Tests
+ *
+ * Runs registered workflow actions against stand-ins for the models, the
+ * suppression list, the Lemlist client and the ConversationalResponder, so
+ * no database or API key is needed.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkflowEngine } from '../../src/bmad/WorkflowEngine';
+import { ToolRegistry } from '../../src/bmad/ToolRegistry';
+import * as models from '../../src/models/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days: number) => new Date(Date.now() - days * DAY_MS);
+
+function createSuppressionList(suppressedEmails: string[] = []) {
+  return {
+    checkMany: async (recipients: Array<{ email: string }>) =>
+      recipients.map(recipient => suppressedEmails.includes(recipient.email))
+  };
+}
+
+function createLemlist() {
+  return {
+    campaigns: [] as any[],
+    leads: [] as any[],
+    createCampaign: async function (campaign: any) {
+      this.campaigns.push(campaign);
+      return { success: true, campaignId: 'cmp_re_1' };
+    },
+    bulkAddLeads: async function (campaignId: string, leads: any[]) {
+      this.leads.push({ campaignId, leads });
+      return { success: true };
+    },
+    getCampaignStats: async () => ({
+      success: true,
+      total: { sent: 100, opened: 40, replied: 12, unsubscribed: 6 }
+    }),
+    getActivities: async () => ({ success: true, activities: [] })
+  };
+}
+
+function coldEnrollment(id: string, email: string, outcome: any = {}, metadata: any = {}) {
+  return {
+    id,
+    instance_id: 'inst_1',
+    contact_id: `contact_${id}`,
+    current_step: 2,
+    updated_at: daysAgo(120),
+    metadata: { email, first_name: 'Jane', company_name: 'Acme', ...metadata },
+    outcome: { sent_at: daysAgo(130), open_count: 1, click_count: 0, replied: false, subject_line: 'Faster payouts', ...outcome }
+  };
+}
+
+function createResponder(status = 'sent') {
+  return {
+    messages: [] as any[],
+    sendMessage: async function (message: any) {
+      this.messages.push(message);
+      return status === 'queued_for_review' ? { status, reviewId: 'rev_1' } : { status };
+    }
+  };
+}
+
+function activeEnrollment(status = 'active', pathType = 'structured') {
+  return {
+    id: 'enr_1',
+    instance_id: 'inst_1',
+    status,
+    metadata: { email: 'jane@acme.com', first_name: 'Jane', company_name: 'Acme' },
+    instance: { settings: {}, template: { path_type: pathType } }
+  };
+}
+
+function createEngine(registry: ToolRegistry) {
+  const engine = new WorkflowEngine(registry);
+  Object.assign(engine as any, {
+    stateManager: {
+      createWorkflow: async (workflowId: string) => workflowId,
+      updateStepCompleted: async () => {},
+      recordSideEffect: async () => {},
+      completeWorkflow: async () => {},
+      failWorkflow: async () => {}
+    }
+  });
+  return engine;
+}
+
+const stubbed: Array<[any, string, any]> = [];
+
+function stub(target: any, key: string, value: any) {
+  stubbed.push([target, key, target[key]]);
+  target[key] = value;
+}
+
+function restoreStubs() {
+  while (stubbed.length > 0) {
+    const [target, key, original] = stubbed.pop()!;
+    target[key] = original;
+  }
+}
+
+describe('ToolRegistry re-engagement actions', () => {
+  let registry: ToolRegistry;
+  let lemlist: ReturnType<typeof createLemlist>;
+  let findAllOptions: any;
+
+  const run = (action: string, inputs: any) => registry.getTool(action)!(inputs);
+
+  beforeEach(() => {
+    registry = new ToolRegistry({ suppressionList: createSuppressionList(['gone@acme.com']) });
+    lemlist = createLemlist();
+    (registry as any).lemlist = lemlist;
+    (registry as any).explorium = undefined;
+
+    findAllOptions = null;
+    stub(models.CampaignEnrollment, 'findAll', async (options: any) => {
+      findAllOptions = options;
+      return [
+        coldEnrollment('enr_1', 'jane@acme.com', { open_count: 5 }),
+        coldEnrollment('enr_2', 'gone@acme.com'),
+        coldEnrollment('enr_3', 'low@acme.com', {}, { icp_score: 40 })
+      ];
+    });
+  });
+
+  afterEach(restoreStubs);
+
+  it('should find cold prospects, skipping suppressed and off-ICP contacts', async () => {
+    const result = await run('query_cold_prospects', {
+      days_since_contact: 120,
+      criteria: { last_contacted: '> 90 days ago', open_rate: '> 0', icp_score: '> 70' },
+      filters: { min_original_touches: 2 }
+    });
+
+    assert.deepEqual(result.cold_lead_list.map((lead: any) => lead.email), ['jane@acme.com']);
+    assert.equal(result.cold_lead_list[0].days_since_contact, 120);
+    assert.equal(result.cold_lead_stats.total_cold, 1);
+    assert.deepEqual(result.cold_lead_stats.original_campaign, ['inst_1']);
+
+    const outcomeWhere = findAllOptions.include[0].where;
+    assert.equal(outcomeWhere.replied, false);
+    assert.equal(outcomeWhere.opened, true);
+    const cutoff = Object.getOwnPropertySymbols(findAllOptions.where.updated_at)
+      .map(symbol => findAllOptions.where.updated_at[symbol])[0];
+    assert.ok(Math.abs(cutoff.getTime() - daysAgo(120).getTime()) < 1000);
+  });
+
+  it('should fall back to the cold window in the criteria', async () => {
+    await run('query_cold_prospects', { criteria: { last_contacted: '> 180 days ago' } });
+
+    const cutoff = Object.getOwnPropertySymbols(findAllOptions.where.updated_at)
+      .map(symbol => findAllOptions.where.updated_at[symbol])[0];
+    assert.ok(Math.abs(cutoff.getTime() - daysAgo(180).getTime()) < 1000);
+    assert.equal(findAllOptions.include[0].where.opened, undefined);
+  });
+
+  it('should segment leads and write a message per lead', async () => {
+    const leads = [
+      { enrollment_id: 'enr_1', email: 'jane@acme.com', first_name: 'Jane', open_count: 5, days_since_contact: 120, subject_line: 'Faster payouts' },
+      { enrollment_id: 'enr_2', email: 'sam@beta.io', first_name: 'Sam', open_count: 1, days_since_contact: 95, competitor: 'Stripe' }
+    ];
+
+    const strategies = await run('design_re_engagement_approach', { validated_leads: { validated_leads: leads } });
+    assert.deepEqual(strategies.segmented_strategies.high_engagement_never_replied.enrollment_ids, ['enr_1']);
+    assert.deepEqual(strategies.segmented_strategies.competitor_switched.enrollment_ids, ['enr_2']);
+
+    const messages = await run('craft_re_engagement_messages', { validated_leads: { validated_leads: leads }, strategies });
+    assert.match(messages.personalization_data.enr_1.body, /Jane - I reached out a few months back about Faster payouts/);
+    assert.match(messages.personalization_data.enr_2.body, /went with Stripe/);
+    assert.doesNotMatch(messages.personalization_data.enr_2.body, /\{\{/);
+  });
+
+  it('should enroll each validated lead with its own message, skipping new opt-outs', async () => {
+    const leads = [
+      { enrollment_id: 'enr_1', email: 'jane@acme.com', first_name: 'Jane' },
+      { enrollment_id: 'enr_2', email: 'gone@acme.com', first_name: 'Gus' }
+    ];
+    const messages = {
+      personalization_data: {
+        enr_1: { subject: 'Hi Jane', body: 'Body for Jane', reminder: 'Reminder for Jane' },
+        enr_2: { subject: 'Hi Gus', body: 'Body for Gus', reminder: 'Reminder for Gus' }
+      }
+    };
+
+    const result = await run('create_lemlist_re_engagement', { validated_leads: { validated_leads: leads }, messages });
+
+    assert.equal(result.campaign_id, 'cmp_re_1');
+    assert.equal(result.enrolled_count, 1);
+    assert.equal(result.skipped_suppressed, 1);
+    assert.equal(lemlist.campaigns[0].emails.length, 2);
+    assert.deepEqual(lemlist.leads[0].leads, [{
+      email: 'jane@acme.com',
+      firstName: 'Jane',
+      lastName: undefined,
+      companyName: undefined,
+      reEngagementSubject: 'Hi Jane',
+      reEngagementBody: 'Body for Jane',
+      reEngagementReminder: 'Reminder for Jane'
+    }]);
+  });
+
+  it('should report campaign performance with alerts', async () => {
+    const result = await run('monitor_campaign_performance', { campaign_id: 'cmp_re_1' });
+
+    assert.equal(result.performance_report.reply_rate, 0.12);
+    assert.equal(result.performance_report.unsubscribe_rate, 0.06);
+    assert.deepEqual(result.alerts.map((alert: any) => alert.action), ['alert_sales_team', 'pause_campaign']);
+  });
+
+  it('should route replies by intent', async () => {
+    const result = await run('route_responses', {
+      campaign_replies: [
+        { leadEmail: 'a@acme.com', text: "Yes, I'm interested - let's set up a call" },
+        { leadEmail: 'b@acme.com', text: 'Not interested, please remove me' }
+      ]
+    });
+
+    assert.deepEqual(result.routed.map((reply: any) => reply.route), ['positive_reply', 'not_interested']);
+    assert.equal(result.routed[0].action, 'trigger_accelerate_to_demo_flow');
+    assert.equal(result.counts.positive_reply, 1);
+  });
+
+  it('should run the shipped re-engagement workflow end to end', async () => {
+    const engine = new WorkflowEngine(registry);
+    const completed: string[] = [];
+    let finalContext: any = null;
+    Object.assign(engine as any, {
+      stateManager: {
+        createWorkflow: async (workflowId: string) => workflowId,
+        updateStepCompleted: async (_workflowId: string, stepId: string) => { completed.push(stepId); },
+        recordSideEffect: async () => {},
+        completeWorkflow: async (_workflowId: string, context: any) => { finalContext = context; },
+        failWorkflow: async () => {}
+      }
+    });
+
+    await engine.runWorkflow('re-engagement', { daysSinceContact: 100 });
+
+    assert.equal(completed.length, 9);
+    assert.equal(finalContext['setup-re-engagement-campaign'].enrolled_count, 1);
+    assert.equal(finalContext['track-re-engagement-performance'].campaign_id, 'cmp_re_1');
+    assert.equal(lemlist.leads[0].leads[0].email, 'jane@acme.com');
+  });
+});
+
+describe('ToolRegistry send actions', () => {
+  let responder: ReturnType<typeof createResponder>;
+  let enrollment: ReturnType<typeof activeEnrollment>;
+
+  const runFlow = (flow: string, inputs: any) =>
+    createEngine(new ToolRegistry({ responder })).runFlow('dynamic-outreach', flow, inputs);
+
+  beforeEach(() => {
+    responder = createResponder();
+    enrollment = activeEnrollment();
+    stub(models.CampaignEnrollment, 'findByPk', async (id: string) => (id === enrollment.id ? enrollment : null));
+  });
+
+  afterEach(restoreStubs);
+
+  it('should send the crafted direct ask to a highly engaged prospect', async () => {
+    const context = await runFlow('high-intent-sequence', {
+      enrollment_id: 'enr_1',
+      first_name: 'Jane',
+      prospect_email: 'jane@acme.com',
+      event_type: 'opened',
+      open_count: 3,
+      clicks: 0
+    });
+
+    assert.deepEqual(context['send-and-track'], {
+      sent: true, status: 'sent', reason: null, review_id: null, enrollment_id: 'enr_1'
+    });
+    assert.equal(responder.messages.length, 1);
+    assert.equal(responder.messages[0].leadEmail, 'jane@acme.com');
+    assert.equal(responder.messages[0].campaignId, 'inst_1');
+    assert.equal(responder.messages[0].content, context['craft-direct-ask'].body);
+    assert.equal(responder.messages[0].threadId, undefined);
+  });
+
+  it('should answer an objection in the prospect\'s thread', async () => {
+    const context = await runFlow('objection-handling-flow', {
+      enrollment_id: 'enr_1',
+      first_name: 'Jane',
+      event_type: 'replied',
+      subject: 'Settlement timing',
+      thread_id: '<msg_1@acme.com>',
+      reply_content: 'I need to check with my CFO before we go further.'
+    });
+
+    assert.equal(context['execute-response'].sent, true);
+    assert.equal(responder.messages[0].subject, 'Re: Settlement timing');
+    assert.equal(responder.messages[0].threadId, '<msg_1@acme.com>');
+    assert.match(responder.messages[0].content, /^Makes sense, Jane.\n\nWould a short overview you can share internally help/);
+  });
+
+  it('should leave replies on dynamic AI campaigns to the responder', async () => {
+    enrollment = activeEnrollment('active', 'dynamic_ai');
+
+    const context = await runFlow('objection-handling-flow', {
+      enrollment_id: 'enr_1',
+      event_type: 'replied',
+      reply_content: 'Too expensive for us right now.'
+    });
+
+    assert.equal(context['execute-response'].reason, 'answered_by_responder');
+    assert.equal(responder.messages.length, 0);
+  });
+
+  it('should not message a finished enrollment', async () => {
+    enrollment = activeEnrollment('completed');
+
+    const result = await new ToolRegistry({ responder }).getTool('send_priority_email')!({ enrollment_id: 'enr_1' });
+
+    assert.deepEqual(result, { sent: false, reason: 'Enrollment is completed', enrollment_id: 'enr_1' });
+    assert.equal(responder.messages.length, 0);
+  });
+
+  it('should report messages held for review', async () => {
+    responder = createResponder('queued_for_review');
+
+    const result = await new ToolRegistry({ responder }).getTool('send_personalized_follow_up')!({
+      enrollment_id: 'enr_1',
+      first_name: 'Jane',
+      progression: { next_content: 'send_roi_calculator' }
+    });
+
+    assert.equal(result.sent, false);
+    assert.equal(result.status, 'queued_for_review');
+    assert.equal(result.review_id, 'rev_1');
+  });
+
+  it('should refuse to send without an enrollment', async () => {
+    await assert.rejects(
+      new ToolRegistry({ responder }).getTool('send_priority_email')!({}),
+      /send_priority_email requires enrollment_id/
+    );
+  });
+});
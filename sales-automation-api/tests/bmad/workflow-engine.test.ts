@@ -0,0 +1,315 @@
+/**
+ * Workflow Engine Unit Tests
+ *
+ * Runs workflows written to a temp directory against a registry of test
+ * tools, with an in-memory stand-in for the workflow_states persistence.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as yaml from 'js-yaml';
+import { WorkflowEngine, StepTimeoutError } from '../../src/bmad/WorkflowEngine';
+import { ToolRegistry } from '../../src/bmad/ToolRegistry';
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createStateManager() {
+  return {
+    completed: [] as string[],
+    failures: [] as Array<{ stepId: string | null; message: string }>,
+    finalContext: null as any,
+    saved: null as any,
+    createWorkflow: async (workflowId: string) => workflowId,
+    updateStepCompleted: async function (_workflowId: string, stepId: string) {
+      this.completed.push(stepId);
+    },
+    recordSideEffect: async () => {},
+    completeWorkflow: async function (_workflowId: string, context: any) {
+      this.finalContext = context;
+    },
+    failWorkflow: async function (_workflowId: string, stepId: string | null, error: Error) {
+      this.failures.push({ stepId, message: error.message });
+    },
+    resumeWorkflow: async function () {
+      return this.saved;
+    }
+  };
+}
+
+describe('WorkflowEngine', () => {
+  let root: string;
+  let registry: ToolRegistry;
+  let engine: WorkflowEngine;
+  let state: ReturnType<typeof createStateManager>;
+
+  const defineWorkflow = (name: string, workflow: any) => {
+    writeFileSync(join(root, 'workflows', `${name}.workflow.yaml`), yaml.dump({ workflow }));
+  };
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'bmad-engine-'));
+    mkdirSync(join(root, 'workflows'));
+    registry = new ToolRegistry();
+    engine = new WorkflowEngine(registry);
+    state = createStateManager();
+    Object.assign(engine as any, { rootPath: root, stateManager: state });
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('when', () => {
+    it('should skip steps whose condition is false', async () => {
+      const calls: string[] = [];
+      registry.register('score', async () => ({ score: 0.4 }));
+      registry.register('approve', async () => {
+        calls.push('approve');
+        return { approved: true };
+      });
+      registry.register('review', async (inputs: any) => {
+        calls.push('review');
+        return { reviewed: inputs.result };
+      });
+
+      defineWorkflow('qualify', {
+        steps: [
+          { id: 'score-lead', action: 'score' },
+          { id: 'auto-approve', action: 'approve', when: 'score-lead.score >= 0.8' },
+          { id: 'manual-review', action: 'review', when: '!exists(auto-approve)', inputs: { result: 'from_previous_step' } },
+          { id: 'disabled', action: 'approve', when: false }
+        ]
+      });
+
+      const context = await engine.runWorkflow('qualify', {});
+
+      assert.deepEqual(calls, ['review']);
+      // from_previous_step points at the last step that ran, not the skipped one
+      assert.deepEqual(context['manual-review'], { reviewed: { score: 0.4 } });
+      assert.equal('auto-approve' in context, false);
+      assert.deepEqual(state.completed, ['score-lead', 'manual-review']);
+    });
+
+    it('should fail before any step runs on a malformed condition', async () => {
+      let called = false;
+      registry.register('score', async () => {
+        called = true;
+        return {};
+      });
+      defineWorkflow('broken', { steps: [{ id: 'score-lead', action: 'score', when: 'score-lead.score >' }] });
+
+      await assert.rejects(engine.runWorkflow('broken', {}), { name: 'ConditionSyntaxError' });
+      assert.equal(called, false);
+    });
+  });
+
+  describe('retry', () => {
+    it('should retry a failing step with backoff until it succeeds', async () => {
+      let attempts = 0;
+      registry.register('flaky', async () => {
+        attempts++;
+        if (attempts < 3) {
+          throw new Error('ECONNRESET');
+        }
+        return { ok: true };
+      });
+      defineWorkflow('flaky', {
+        steps: [{ id: 'call-api', action: 'flaky', retry: { max_attempts: 3, backoff_ms: 1 } }]
+      });
+
+      const context = await engine.runWorkflow('flaky', {});
+
+      assert.equal(attempts, 3);
+      assert.deepEqual(context['call-api'], { ok: true });
+    });
+
+    it('should give up after max_attempts and record the failed step', async () => {
+      let attempts = 0;
+      registry.register('down', async () => {
+        attempts++;
+        throw new Error('Service unavailable');
+      });
+      defineWorkflow('down', {
+        steps: [{ id: 'call-api', action: 'down', retry: { max_attempts: 2, backoff_ms: 1 } }]
+      });
+
+      await assert.rejects(engine.runWorkflow('down', {}), /Service unavailable/);
+      assert.equal(attempts, 2);
+      assert.deepEqual(state.failures[0], { stepId: 'call-api', message: 'Service unavailable' });
+    });
+
+    it('should apply the workflow error_handling policy to steps without their own', async () => {
+      let attempts = 0;
+      registry.register('down', async () => {
+        attempts++;
+        throw new Error('Service unavailable');
+      });
+      defineWorkflow('down', {
+        error_handling: { on_api_failure: { action: 'retry_with_backoff', max_retries: 2, backoff_ms: 1 } },
+        steps: [{ id: 'call-api', action: 'down' }]
+      });
+
+      await assert.rejects(engine.runWorkflow('down', {}));
+      assert.equal(attempts, 3);
+    });
+
+    it('should not retry errors that fail the same way every time', async () => {
+      let attempts = 0;
+      registry.register('invalid', async () => {
+        attempts++;
+        const error = new Error('Invalid input');
+        error.name = 'ZodError';
+        throw error;
+      });
+      defineWorkflow('invalid', {
+        steps: [{ id: 'validate', action: 'invalid', retry: { max_attempts: 3, backoff_ms: 1 } }]
+      });
+
+      await assert.rejects(engine.runWorkflow('invalid', {}), { name: 'ZodError' });
+      assert.equal(attempts, 1);
+    });
+
+    it('should resolve step retry shorthands', () => {
+      assert.equal(WorkflowEngine.resolveRetryPolicy(false).maxAttempts, 1);
+      assert.deepEqual(WorkflowEngine.resolveRetryPolicy(3), { maxAttempts: 3, backoffMs: 1000, multiplier: 2, maxBackoffMs: 30000 });
+      assert.equal(WorkflowEngine.resolveRetryPolicy({ max_attempts: 'x' }).maxAttempts, 1);
+    });
+  });
+
+  describe('timeout', () => {
+    it('should fail a step that exceeds timeout_ms without retrying it', async () => {
+      let attempts = 0;
+      registry.register('slow', async () => {
+        attempts++;
+        await sleep(200);
+        return { ok: true };
+      });
+      defineWorkflow('slow', {
+        steps: [{ id: 'slow-call', action: 'slow', timeout_ms: 20, retry: { max_attempts: 3, backoff_ms: 1 } }]
+      });
+
+      await assert.rejects(engine.runWorkflow('slow', {}), (error: Error) => {
+        assert.ok(error instanceof StepTimeoutError);
+        assert.match(error.message, /Step "slow-call" timed out after 20ms/);
+        return true;
+      });
+      assert.equal(attempts, 1);
+    });
+
+    it('should continue past a timed out step with a continuing on_failure handler', async () => {
+      registry.register('slow', async () => {
+        await sleep(200);
+        return { ok: true };
+      });
+      registry.register('fallback', async (inputs: any) => ({ notified: inputs.step_id }));
+      defineWorkflow('slow', {
+        steps: [{ id: 'slow-call', action: 'slow', timeout_ms: 20, on_failure: { action: 'fallback', continue: true } }]
+      });
+
+      const context = await engine.runWorkflow('slow', {});
+
+      assert.deepEqual(context['slow-call'], {
+        failed: true,
+        error: 'Step "slow-call" timed out after 20ms',
+        handled_by: 'fallback',
+        fallback_result: { notified: 'slow-call' }
+      });
+    });
+  });
+
+  describe('parallel', () => {
+    it('should run members concurrently and collect results under the group id', async () => {
+      const started: string[] = [];
+      registry.register('lookup', async (inputs: any) => {
+        started.push(inputs.source);
+        await sleep(inputs.source === 'crm' ? 20 : 5);
+        return { source: inputs.source };
+      });
+      defineWorkflow('enrich', {
+        steps: [{
+          id: 'enrich-all',
+          parallel: [
+            { id: 'crm', action: 'lookup', inputs: { source: 'crm' } },
+            { id: 'web', action: 'lookup', inputs: { source: 'web' } },
+            { id: 'skipped', action: 'lookup', when: false }
+          ]
+        }]
+      });
+
+      const context = await engine.runWorkflow('enrich', {});
+
+      assert.deepEqual(started, ['crm', 'web']);
+      assert.deepEqual(context['enrich-all'], { crm: { source: 'crm' }, web: { source: 'web' } });
+      assert.deepEqual(context.crm, { source: 'crm' });
+      assert.deepEqual(state.completed, ['crm', 'web', 'enrich-all']);
+    });
+
+    it('should run each member against its own copy of the context', async () => {
+      registry.register('quick', async () => ({ done: true }));
+      registry.register('slow-failure', async () => {
+        await sleep(20);
+        throw new Error('Lookup failed');
+      });
+      registry.register('fallback', async (inputs: any) => ({ sibling: inputs.sibling ?? null }));
+      defineWorkflow('isolated', {
+        steps: [{
+          id: 'group',
+          parallel: [
+            { id: 'first', action: 'quick' },
+            {
+              id: 'second',
+              action: 'slow-failure',
+              // Resolved after "first" finished; it must not see the sibling's write
+              on_failure: { action: 'fallback', continue: true, inputs: { sibling: 'from_step_first' } }
+            }
+          ]
+        }]
+      });
+
+      const context = await engine.runWorkflow('isolated', {});
+
+      assert.deepEqual(context.second.fallback_result, { sibling: null });
+      assert.deepEqual(context.first, { done: true });
+      assert.deepEqual(Object.keys(context.group), ['first', 'second']);
+    });
+
+    it('should keep succeeded members completed when a sibling fails, and only re-run the failed one on resume', async () => {
+      const calls: string[] = [];
+      let failSecond = true;
+      registry.register('first-tool', async () => {
+        calls.push('first');
+        return { value: 1 };
+      });
+      registry.register('second-tool', async () => {
+        calls.push('second');
+        if (failSecond) {
+          throw new Error('Lookup failed');
+        }
+        return { value: 2 };
+      });
+      defineWorkflow('partial', {
+        steps: [{
+          id: 'group',
+          parallel: [
+            { id: 'first', action: 'first-tool' },
+            { id: 'second', action: 'second-tool' }
+          ]
+        }]
+      });
+
+      await assert.rejects(engine.runWorkflow('partial', {}), /Lookup failed/);
+      assert.deepEqual(state.completed, ['first']);
+
+      failSecond = false;
+      calls.length = 0;
+      state.saved = { workflowName: 'partial', context: { first: { value: 1 } }, completedSteps: ['first'] };
+      const context = await engine.resumeWorkflow('run-1');
+
+      assert.deepEqual(calls, ['second']);
+      assert.deepEqual(context.group, { first: { value: 1 }, second: { value: 2 } });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Booking Webhook Route Tests
+ * Posts to the calendar router with supertest; the MeetingTracker is a
+ * stand-in so these tests don't require the database.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import calendarRoutes from '../src/routes/calendar.js';
+import { saveRawBody } from '../src/middleware/webhook-auth.js';
+import { providerConfig } from '../src/config/provider-config.js';
+
+const SECRET = 'booking_test_secret';
+
+const sign = body => crypto.createHmac('sha256', SECRET).update(body, 'utf8').digest('hex');
+
+describe('POST /api/calendar/webhook/booking', () => {
+  const recordBooking = jest.fn(async () => ({ status: 'booked', meeting: { id: 7 }, enrollmentIds: ['enr_1'], stopped: 1 }));
+  let app;
+  let originalSecret;
+
+  beforeAll(() => {
+    originalSecret = providerConfig.config.calendar.webhookSecret;
+    providerConfig.config.calendar.webhookSecret = SECRET;
+
+    app = express();
+    app.use(express.json({ verify: saveRawBody }));
+    app.locals.meetingTracker = { recordBooking };
+    app.use('/api/calendar', calendarRoutes);
+  });
+
+  afterAll(() => {
+    providerConfig.config.calendar.webhookSecret = originalSecret;
+  });
+
+  const post = (body, signature) => {
+    const req = request(app)
+      .post('/api/calendar/webhook/booking')
+      .set('Content-Type', 'application/json');
+    if (signature) {
+      req.set('X-Booking-Signature', signature);
+    }
+    return req.send(body);
+  };
+
+  it('should reject an unsigned request before validating its body', async () => {
+    const response = await post('["not", "an", "object"]');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid webhook signature');
+    expect(response.body.details).toBeUndefined();
+  });
+
+  it('should validate the body of a signed request', async () => {
+    const body = '["not", "an", "object"]';
+    const response = await post(body, sign(body));
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should record a signed booking', async () => {
+    const body = JSON.stringify({
+      event: 'booking.created',
+      start_time: '2025-12-02T15:00:00Z',
+      attendees: [{ email: 'jane@acme.com' }],
+      id: 'bk_1'
+    });
+    const response = await post(body, `sha256=${sign(body)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'booked', meetingId: 7, sequencesStopped: 1 });
+    expect(recordBooking).toHaveBeenCalledWith(expect.objectContaining({ externalId: 'bk_1' }));
+  });
+});
@@ -4,10 +4,11 @@
  * Target Coverage: 100% (critical security path)
  */
 
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
 import request from 'supertest';
 import crypto from 'crypto';
 import { createTestServer, getTestModels } from './helpers/test-server.js';
+import { webhookDispatcher } from '../src/services/WebhookDispatcher.js';
 import {
   createCompleteCampaign,
   createEventFixture,
@@ -502,6 +503,32 @@ describe('Campaign API - Webhook Event Processing (CRITICAL)', () => {
       expect(response.body.message).toBe('Event queued for retry');
       expect(response.body.retryable).toBe(true);
     });
+
+    it('should publish enrollment.completed only for the reply that completes the enrollment', async () => {
+      const enrollment = enrollments[0];
+      const publish = jest.spyOn(webhookDispatcher, 'publish').mockResolvedValue();
+
+      try {
+        for (const providerEventId of ['reply_evt_1', 'reply_evt_2']) {
+          const response = await request(app)
+            .post('/api/campaigns/events/webhook')
+            .send({
+              enrollment_id: enrollment.id,
+              event_type: 'replied',
+              channel: 'email',
+              provider_event_id: providerEventId,
+              timestamp: new Date().toISOString()
+            });
+          expectSuccessResponse(response, 201);
+        }
+
+        const completed = publish.mock.calls.filter(([type]) => type === 'enrollment.completed');
+        expect(completed).toHaveLength(1);
+        expect(completed[0][1]).toMatchObject({ enrollment_id: enrollment.id, reason: 'replied' });
+      } finally {
+        publish.mockRestore();
+      }
+    });
   });
 
   describe('Transaction Isolation (READ_COMMITTED)', () => {
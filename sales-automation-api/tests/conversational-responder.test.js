@@ -0,0 +1,172 @@
+/**
+ * ConversationalResponder Unit Tests
+ *
+ * Tests for the static reply analysis helpers shared with B-MAD workflow
+ * actions (classify_response, parse_ooo_message), and for sendMessage, the
+ * send path of workflow send_* steps (real SQLite database in a temp
+ * directory, stubbed provider send).
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Database } from '../src/utils/database.js';
+import { ConversationalResponder, INTENT_TYPES, SENTIMENTS } from '../src/services/ConversationalResponder.js';
+
+const MESSAGE = {
+  leadEmail: 'jane@acme.com',
+  leadName: 'Jane',
+  campaignId: 'camp-1',
+  enrollmentId: 'enr-1',
+  subject: 'Re: Settlement',
+  content: 'Totally fair, Jane - budget matters. Would a quick ROI breakdown for your volumes help?'
+};
+
+describe('ConversationalResponder', () => {
+  describe('detectIntent', () => {
+    it('should detect out-of-office auto-replies', () => {
+      const result = ConversationalResponder.detectIntent('I am out of the office until Monday');
+      expect(result).toEqual({ intent: INTENT_TYPES.OUT_OF_OFFICE, sentiment: SENTIMENTS.NEUTRAL });
+    });
+
+    it('should detect meeting requests as positive', () => {
+      const result = ConversationalResponder.detectIntent("Sure, what's your availability next week?");
+      expect(result.intent).toBe(INTENT_TYPES.MEETING_REQUEST);
+      expect(result.sentiment).toBe(SENTIMENTS.POSITIVE);
+    });
+
+    it('should extract the competitor from competitor objections', () => {
+      const result = ConversationalResponder.detectIntent('We are already using Wise for this');
+      expect(result.intent).toBe(INTENT_TYPES.OBJECTION);
+      expect(result.objectionType).toBe('competitor');
+      expect(result.competitor).toBe('wise');
+    });
+
+    it('should fall back to a neutral follow-up', () => {
+      expect(ConversationalResponder.detectIntent('')).toEqual({
+        intent: INTENT_TYPES.FOLLOW_UP,
+        sentiment: SENTIMENTS.NEUTRAL
+      });
+    });
+  });
+
+  describe('parseOutOfOffice', () => {
+    const now = new Date('2025-06-10T12:00:00Z');
+
+    it('should parse month-day return dates and the backup contact', () => {
+      const result = ConversationalResponder.parseOutOfOffice(
+        'I am out of the office until June 20th. For urgent matters contact bob@acme.com',
+        now
+      );
+      expect(result.returnDate.toISOString()).toBe('2025-06-20T00:00:00.000Z');
+      expect(result.backupContact).toBe('bob@acme.com');
+    });
+
+    it('should parse ISO and day-month dates', () => {
+      expect(ConversationalResponder.parseOutOfOffice('Away until 2025-07-01', now).returnDate.toISOString())
+        .toBe('2025-07-01T00:00:00.000Z');
+      expect(ConversationalResponder.parseOutOfOffice('Back on the 16th of June', now).returnDate.toISOString())
+        .toBe('2025-06-16T00:00:00.000Z');
+    });
+
+    it('should ignore past dates such as the quoted send date', () => {
+      const result = ConversationalResponder.parseOutOfOffice('Sent: 9 June 2025. Back on June 16', now);
+      expect(result.returnDate.toISOString()).toBe('2025-06-16T00:00:00.000Z');
+    });
+
+    it('should roll dates without a year into the next year when already past', () => {
+      const result = ConversationalResponder.parseOutOfOffice('Returning January 3', now);
+      expect(result.returnDate.toISOString()).toBe('2026-01-03T00:00:00.000Z');
+    });
+
+    it('should return nulls when nothing is recognizable', () => {
+      expect(ConversationalResponder.parseOutOfOffice('On leave, back soon', now)).toEqual({
+        returnDate: null,
+        backupContact: null
+      });
+    });
+  });
+
+  describe('answersReplies', () => {
+    it('should answer replies on dynamic AI campaigns only', () => {
+      expect(ConversationalResponder.answersReplies({ settings: {} }, { path_type: 'dynamic_ai' })).toBe(true);
+      expect(ConversationalResponder.answersReplies({ settings: { dynamic_ai_enabled: true } }, { path_type: 'structured' })).toBe(true);
+      expect(ConversationalResponder.answersReplies({ settings: {} }, { path_type: 'structured' })).toBe(false);
+      expect(ConversationalResponder.answersReplies(null, null)).toBe(false);
+    });
+  });
+
+  describe('sendMessage', () => {
+    let tempDir;
+    let database;
+    let responder;
+    let sendResponse;
+
+    const history = () => database.getLeadConversationHistory('jane@acme.com', 'camp-1');
+
+    beforeEach(async () => {
+      tempDir = mkdtempSync(join(tmpdir(), 'responder-send-'));
+      database = new Database(join(tempDir, 'test.db'));
+      await database.initialize();
+      responder = new ConversationalResponder(database, null, {}, { responseDelayMs: 0 });
+      sendResponse = jest.spyOn(responder, '_sendResponse').mockResolvedValue({ sent: true, provider: 'smtp' });
+    });
+
+    afterEach(() => {
+      responder.shutdown();
+      database.close();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should send and record the message', async () => {
+      const result = await responder.sendMessage({ ...MESSAGE, threadId: '<abc@acme.com>' });
+
+      expect(result).toMatchObject({ status: 'sent', provider: 'smtp' });
+      expect(sendResponse).toHaveBeenCalledWith(
+        'jane@acme.com',
+        'camp-1',
+        { subject: 'Re: Settlement', content: MESSAGE.content },
+        'email',
+        '<abc@acme.com>'
+      );
+      expect(history()).toEqual([expect.objectContaining({ direction: 'outbound', message_type: 'workflow_message' })]);
+    });
+
+    it('should queue the message for review when review is required', async () => {
+      responder.config.requireReview = true;
+
+      const result = await responder.sendMessage(MESSAGE);
+
+      expect(result.status).toBe('queued_for_review');
+      expect(sendResponse).not.toHaveBeenCalled();
+      expect(database.getReviewItem(result.reviewId)).toMatchObject({ status: 'pending', draft_content: MESSAGE.content });
+    });
+
+    it('should skip suppressed recipients without recording a message', async () => {
+      sendResponse.mockResolvedValueOnce({ sent: false, reason: 'suppressed' });
+
+      const result = await responder.sendMessage(MESSAGE);
+
+      expect(result).toMatchObject({ status: 'skipped', reason: 'suppressed' });
+      expect(history()).toEqual([]);
+    });
+
+    it('should block content that fails validation', async () => {
+      const result = await responder.sendMessage({ ...MESSAGE, content: 'Hi' });
+
+      expect(result).toMatchObject({ status: 'blocked', reason: 'validation_failed' });
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    it('should respect the per-lead rate limit', async () => {
+      responder.config.rateLimitPerLeadPerHour = 1;
+
+      await responder.sendMessage(MESSAGE);
+      const result = await responder.sendMessage(MESSAGE);
+
+      expect(result).toEqual({ status: 'skipped', reason: 'rate_limited' });
+      expect(sendResponse).toHaveBeenCalledTimes(1);
+    });
+  });
+});
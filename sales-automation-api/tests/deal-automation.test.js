@@ -0,0 +1,275 @@
+/**
+ * Deal Automation Unit Tests
+ *
+ * Uses a real SQLite database in a temp directory, an in-memory stand-in for
+ * the HubSpot client and a stubbed enrollment model, so no HubSpot or
+ * PostgreSQL is needed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const enrollments = new Map();
+
+const CampaignEnrollment = {
+  findByPk: jest.fn(async id => enrollments.get(id) || null)
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  CampaignEnrollment,
+  CampaignInstance: {},
+  OutreachOutcome: { findOne: jest.fn(async () => null) }
+}));
+
+const { DealAutomation } = await import('../src/services/DealAutomation.js');
+const { OutcomeTracker, OUTCOME_EVENTS } = await import('../src/services/OutcomeTracker.js');
+const { Database } = await import('../src/utils/database.js');
+
+const PIPELINE_STAGES = [
+  { id: 'appointmentscheduled', displayOrder: 0, metadata: { isClosed: 'false' } },
+  { id: 'qualifiedtobuy', displayOrder: 1, metadata: { isClosed: 'false' } },
+  { id: 'contractsent', displayOrder: 2, metadata: { isClosed: 'false' } },
+  { id: 'closedwon', displayOrder: 3, metadata: { isClosed: 'true' } }
+];
+
+function createHubSpot() {
+  let nextId = 100;
+  const hubspot = {
+    contacts: new Map(),
+    companies: new Map(),
+    deals: new Map(),
+    dealContacts: new Map(),
+    notes: []
+  };
+
+  Object.assign(hubspot, {
+    findContactByEmail: jest.fn(async email => {
+      const contact = [...hubspot.contacts.values()].find(c => c.properties.email === email) || null;
+      return { success: true, found: !!contact, contact };
+    }),
+    createContact: jest.fn(async ({ email, firstName, lastName, ...rest }) => {
+      const id = String(nextId++);
+      hubspot.contacts.set(id, { id, properties: { email, firstname: firstName, lastname: lastName, ...rest } });
+      return { success: true, contactId: id };
+    }),
+    findCompanyByDomain: jest.fn(async domain => {
+      const company = [...hubspot.companies.values()].find(c => c.properties.domain === domain) || null;
+      return { success: true, found: !!company, company };
+    }),
+    createCompany: jest.fn(async properties => {
+      const id = String(nextId++);
+      hubspot.companies.set(id, { id, properties });
+      return { success: true, companyId: id };
+    }),
+    associateContactToCompany: jest.fn(async () => ({ success: true })),
+    getContactAssociations: jest.fn(async contactId => ({
+      success: true,
+      associations: (hubspot.dealContacts.get(contactId) || []).map(dealId => ({ toObjectId: Number(dealId) }))
+    })),
+    getDeal: jest.fn(async dealId => {
+      const deal = hubspot.deals.get(String(dealId));
+      return deal
+        ? { success: true, deal: { id: deal.id, properties: { ...deal.properties } } }
+        : { success: false, error: 'Not found', statusCode: 404 };
+    }),
+    getDealPipeline: jest.fn(async id => ({ success: true, pipeline: { id }, stages: PIPELINE_STAGES })),
+    createDeal: jest.fn(async properties => {
+      const id = String(nextId++);
+      hubspot.deals.set(id, { id, properties: { ...properties } });
+      return { success: true, dealId: id };
+    }),
+    updateDeal: jest.fn(async (id, properties) => {
+      Object.assign(hubspot.deals.get(id).properties, properties);
+      return { success: true };
+    }),
+    associateContactToDeal: jest.fn(async (contactId, dealId) => {
+      hubspot.dealContacts.set(contactId, [...(hubspot.dealContacts.get(contactId) || []), dealId]);
+      return { success: true };
+    }),
+    associateCompanyToDeal: jest.fn(async () => ({ success: true })),
+    createNote: jest.fn(async note => {
+      hubspot.notes.push(note);
+      return { success: true, noteId: String(nextId++) };
+    })
+  });
+
+  return hubspot;
+}
+
+function createEnrollment(id, metadata, providerConfig = {}) {
+  const enrollment = {
+    id,
+    instance_id: 'campaign-1',
+    metadata,
+    instance: { id: 'campaign-1', name: 'Treasury Q4', provider_config: providerConfig }
+  };
+  enrollments.set(id, enrollment);
+  return enrollment;
+}
+
+describe('DealAutomation', () => {
+  let dir;
+  let database;
+  let hubspot;
+  let automation;
+
+  beforeEach(async () => {
+    enrollments.clear();
+    jest.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'deal-automation-'));
+    database = new Database(join(dir, 'test.db'));
+    await database.initialize();
+    hubspot = createHubSpot();
+    automation = new DealAutomation(hubspot, database, {
+      enabled: true,
+      stages: { positive_reply: 'appointmentscheduled', meeting_booked: 'qualifiedtobuy' }
+    });
+  });
+
+  afterEach(async () => {
+    await automation.stop();
+    database.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function addMessages(email, messages) {
+    const conversation = database.getOrCreateLeadConversation(email, 'campaign-1', { channel: 'email' });
+    return messages.map(([direction, content, options = {}]) =>
+      database.addLeadMessage(conversation.id, direction, content, options));
+  }
+
+  it('should create a deal with the contact, company and conversation on a positive reply', async () => {
+    createEnrollment('enr-1', { email: 'Ada@Acme.com', first_name: 'Ada', company_name: 'Acme' });
+    addMessages('ada@acme.com', [
+      ['outbound', 'Quick question about treasury', { subject: 'Treasury' }],
+      ['inbound', 'Sounds interesting, tell me more', { sentiment: 'positive' }]
+    ]);
+
+    const result = await automation.handleOutcome({ type: OUTCOME_EVENTS.POSITIVE_REPLY, enrollmentId: 'enr-1' });
+
+    expect(result).toMatchObject({ status: 'created', stage: 'appointmentscheduled' });
+    const [contactId] = hubspot.contacts.keys();
+    const [companyId] = hubspot.companies.keys();
+    expect(hubspot.companies.get(companyId).properties).toEqual({ domain: 'acme.com', name: 'Acme' });
+    expect(hubspot.createDeal).toHaveBeenCalledWith({
+      dealname: 'Acme - Treasury Q4',
+      pipeline: 'default',
+      dealstage: 'appointmentscheduled'
+    });
+    expect(hubspot.associateContactToDeal).toHaveBeenCalledWith(contactId, result.dealId);
+    expect(hubspot.associateCompanyToDeal).toHaveBeenCalledWith(companyId, result.dealId);
+
+    expect(hubspot.notes).toHaveLength(2);
+    expect(hubspot.notes[0]).toMatchObject({ associatedObjectType: 'deal', associatedObjectId: result.dealId });
+    expect(hubspot.notes[0].body).toBe('**Email sent to ada@acme.com**\nSubject: Treasury\n\nQuick question about treasury');
+    expect(hubspot.notes[1].body).toContain('Sounds interesting');
+    expect(hubspot.notes[1].timestamp).toBeInstanceOf(Date);
+
+    expect(database.getCrmDeal('hubspot', 'ada@acme.com', 'default')).toMatchObject({
+      deal_id: result.dealId,
+      stage: 'appointmentscheduled',
+      trigger: 'positive_reply'
+    });
+  });
+
+  it('should advance the tracked deal and only log new messages', async () => {
+    createEnrollment('enr-1', { email: 'ada@acme.com', company_name: 'Acme' });
+    addMessages('ada@acme.com', [['inbound', 'Tell me more']]);
+    const first = await automation.handleOutcome({ type: OUTCOME_EVENTS.POSITIVE_REPLY, enrollmentId: 'enr-1' });
+
+    addMessages('ada@acme.com', [['inbound', 'Tuesday at 10 works']]);
+    const second = await automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' });
+
+    expect(second).toMatchObject({ status: 'advanced', dealId: first.dealId, stage: 'qualifiedtobuy' });
+    expect(hubspot.createDeal).toHaveBeenCalledTimes(1);
+    expect(hubspot.deals.get(first.dealId).properties.dealstage).toBe('qualifiedtobuy');
+    expect(hubspot.notes.map(note => note.body)).toEqual([
+      expect.stringContaining('Tell me more'),
+      expect.stringContaining('Tuesday at 10 works')
+    ]);
+  });
+
+  it('should never move a deal backwards or out of a closed stage', async () => {
+    createEnrollment('enr-1', { email: 'ada@acme.com' });
+    const { dealId } = await automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' });
+
+    hubspot.deals.get(dealId).properties.dealstage = 'contractsent';
+    const backwards = await automation.handleOutcome({ type: OUTCOME_EVENTS.POSITIVE_REPLY, enrollmentId: 'enr-1' });
+    expect(backwards).toMatchObject({ status: 'unchanged', dealId, stage: 'contractsent' });
+
+    // A closed deal is left alone and a new one is opened for the new outcome
+    hubspot.deals.get(dealId).properties.dealstage = 'closedwon';
+    const reopened = await automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' });
+    expect(reopened.status).toBe('created');
+    expect(reopened.dealId).not.toBe(dealId);
+    expect(hubspot.deals.get(dealId).properties.dealstage).toBe('closedwon');
+    expect(hubspot.updateDeal).not.toHaveBeenCalled();
+  });
+
+  it('should adopt an open deal the contact already has in the pipeline', async () => {
+    hubspot.contacts.set('7', { id: '7', properties: { email: 'ada@acme.com' } });
+    hubspot.deals.set('55', { id: '55', properties: { pipeline: 'other', dealstage: 'x' } });
+    hubspot.deals.set('56', { id: '56', properties: { pipeline: 'default', dealstage: 'appointmentscheduled' } });
+    hubspot.dealContacts.set('7', ['55', '56']);
+    createEnrollment('enr-1', { email: 'ada@acme.com' });
+
+    const result = await automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' });
+
+    expect(result).toMatchObject({ status: 'advanced', dealId: '56' });
+    expect(hubspot.createDeal).not.toHaveBeenCalled();
+  });
+
+  it('should apply per-campaign rules and skip disabled outcomes', async () => {
+    createEnrollment('enr-1', { email: 'ada@acme.com' }, { hubspot_deal: { enabled: false } });
+    createEnrollment('enr-2', { email: 'grace@acme.com' }, {
+      hubspot_deal: { stages: { positive_reply: null } }
+    });
+
+    expect(await automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' }))
+      .toEqual({ status: 'skipped', reason: 'disabled' });
+    expect(await automation.handleOutcome({ type: OUTCOME_EVENTS.POSITIVE_REPLY, enrollmentId: 'enr-2' }))
+      .toEqual({ status: 'skipped', reason: 'no_stage' });
+    expect(hubspot.findContactByEmail).not.toHaveBeenCalled();
+
+    const rule = automation.getRule({ hubspot_deal: { pipeline: '999', stages: { meeting_booked: '1001' } } });
+    expect(rule.stages).toEqual({ meeting_booked: '1001' });
+  });
+
+  it('should fail without creating a deal when the stage is not in the pipeline', async () => {
+    createEnrollment('enr-1', { email: 'ada@gmail.com' }, { hubspot_deal: { stages: { meeting_booked: 'nope' } } });
+
+    const result = await automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' });
+
+    expect(result).toEqual({ status: 'failed', error: 'Stage nope is not in HubSpot deal pipeline default' });
+    expect(hubspot.createDeal).not.toHaveBeenCalled();
+    // Personal mailboxes get no company
+    expect(hubspot.createCompany).not.toHaveBeenCalled();
+  });
+
+  it('should open one deal when outcomes for a contact arrive together', async () => {
+    createEnrollment('enr-1', { email: 'ada@acme.com' });
+
+    const results = await Promise.all([
+      automation.handleOutcome({ type: OUTCOME_EVENTS.POSITIVE_REPLY, enrollmentId: 'enr-1' }),
+      automation.handleOutcome({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['created', 'advanced']);
+    expect(hubspot.deals.size).toBe(1);
+  });
+
+  it('should react to meetings recorded through OutcomeTracker once started', async () => {
+    createEnrollment('enr-1', { email: 'ada@acme.com' });
+    const handled = jest.spyOn(automation, 'handleOutcome');
+    automation.start();
+
+    await OutcomeTracker.recordMeeting('enr-1');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(handled).toHaveBeenCalledWith({ type: OUTCOME_EVENTS.MEETING_BOOKED, enrollmentId: 'enr-1' });
+    await handled.mock.results[0].value;
+    expect(hubspot.createDeal).toHaveBeenCalledWith(expect.objectContaining({ dealstage: 'qualifiedtobuy' }));
+  });
+});
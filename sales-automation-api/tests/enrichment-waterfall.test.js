@@ -0,0 +1,176 @@
+/**
+ * Enrichment Waterfall Unit Tests
+ *
+ * Runs the waterfall and EnrichmentWorker against in-memory providers and a
+ * real SQLite database in a temp directory, so no enrichment API is needed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EnrichmentProvider } from '../src/providers/interfaces/EnrichmentProvider.js';
+import { EnrichmentWaterfall } from '../src/services/EnrichmentWaterfall.js';
+import { EnrichmentWorker } from '../src/workers/enrichment-worker.js';
+import { Database } from '../src/utils/database.js';
+
+class FakeProvider extends EnrichmentProvider {
+  constructor(name, { contact = null, company = null, error = null, cost } = {}) {
+    super();
+    this._name = name;
+    this.enrichContact = jest.fn(async () => {
+      if (error) throw new Error(error);
+      return { found: !!contact, data: contact, cost };
+    });
+    this.enrichCompany = jest.fn(async () => {
+      if (error) throw new Error(error);
+      return { found: !!company, data: company, cost };
+    });
+  }
+
+  get name() {
+    return this._name;
+  }
+
+  async validateConfig() {
+    return true;
+  }
+}
+
+const FULL_COMPANY = {
+  name: 'Acme Pay',
+  domain: 'acme.sg',
+  industry: 'Fintech',
+  employees: 250,
+  revenue: 40000000,
+  technologies: ['Stripe'],
+  fundingStage: 'Series B',
+  signals: ['funding'],
+  confidenceScore: 0.9
+};
+
+describe('EnrichmentWaterfall', () => {
+  let tempDir;
+  let database;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'enrichment-waterfall-'));
+    database = new Database(join(tempDir, 'test.db'));
+    await database.initialize();
+  });
+
+  afterEach(() => {
+    database.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const score = (contact, company) => new EnrichmentWorker({}, database)._calculateQualityScore(contact, company);
+
+  it('stops once the quality target is reached', async () => {
+    const explorium = new FakeProvider('explorium', {
+      contact: { email: 'wei@acme.sg', emailVerified: true, title: 'CFO', linkedinUrl: 'li/wei', phoneNumber: '+65', location: 'Singapore', confidenceScore: 0.9 },
+      company: FULL_COMPANY
+    });
+    const hubspot = new FakeProvider('hubspot', { contact: { title: 'Finance Director' } });
+    const waterfall = new EnrichmentWaterfall([explorium, hubspot], { qualityTarget: 0.7, database });
+
+    const result = await waterfall.run({
+      contact: { email: 'wei@acme.sg', companyDomain: 'acme.sg' },
+      company: { domain: 'acme.sg' },
+      score
+    });
+
+    expect(result.qualityScore).toBeGreaterThanOrEqual(0.7);
+    expect(result.sources).toEqual(['explorium']);
+    expect(hubspot.enrichContact).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the next provider when one finds nothing or fails', async () => {
+    const explorium = new FakeProvider('explorium');
+    const lemlist = new FakeProvider('lemlist', { error: 'rate limited' });
+    const hubspot = new FakeProvider('hubspot', {
+      contact: { firstName: 'Wei', title: 'CFO', phoneNumber: '+65 6000 0000' },
+      company: { name: 'Acme Pay', industry: 'Fintech' }
+    });
+    const waterfall = new EnrichmentWaterfall([explorium, lemlist, hubspot], {
+      qualityTarget: 0.9,
+      costs: { explorium: { contact: 0.12 }, hubspot: { contact: 0.01, company: 0.01 } },
+      database
+    });
+
+    const result = await waterfall.run({
+      contact: { email: 'wei@acme.sg' },
+      company: { domain: 'acme.sg' },
+      score
+    });
+
+    expect(result.contact).toEqual({ firstName: 'Wei', title: 'CFO', phoneNumber: '+65 6000 0000', email: 'wei@acme.sg' });
+    expect(result.company).toEqual({ name: 'Acme Pay', industry: 'Fintech', domain: 'acme.sg' });
+    expect(result.fieldSources.contact).toMatchObject({ title: 'hubspot', email: 'input' });
+    expect(result.attempts.find(a => a.provider === 'lemlist').error).toBe('rate limited');
+    // Misses are free; matched lookups use the configured unit cost
+    expect(result.cost).toBeCloseTo(0.02);
+
+    const summary = database.getEnrichmentCostSummary();
+    expect(summary.find(row => row.provider === 'hubspot')).toMatchObject({ lookups: 2, hits: 2, cost_usd: 0.02 });
+    expect(summary.find(row => row.provider === 'explorium')).toMatchObject({ lookups: 2, hits: 0, cost_usd: 0 });
+  });
+
+  it('applies per-field source precedence over waterfall order', async () => {
+    const explorium = new FakeProvider('explorium', { contact: { title: 'Head of Treasury', linkedinUrl: 'li/explorium' }, cost: 0.1 });
+    const hubspot = new FakeProvider('hubspot', { contact: { title: 'CFO', linkedinUrl: 'li/hubspot' } });
+    const waterfall = new EnrichmentWaterfall([explorium, hubspot], {
+      qualityTarget: 1,
+      precedence: { contact: { title: ['hubspot'] } }
+    });
+
+    const result = await waterfall.run({ contact: { email: 'wei@acme.sg' }, score });
+
+    expect(result.contact.title).toBe('CFO');
+    expect(result.contact.linkedinUrl).toBe('li/explorium');
+    expect(result.fieldSources.contact).toMatchObject({ title: 'hubspot', linkedinUrl: 'explorium' });
+    // Provider-reported cost wins over the configured one
+    expect(result.cost).toBeCloseTo(0.1);
+  });
+
+  it('throws when every provider fails', async () => {
+    const waterfall = new EnrichmentWaterfall([new FakeProvider('explorium', { error: 'down' })], {});
+
+    await expect(waterfall.run({ contact: { email: 'wei@acme.sg' }, score }))
+      .rejects.toThrow('All enrichment providers failed: explorium: down');
+  });
+
+  describe('EnrichmentWorker', () => {
+    it('enriches through the waterfall and caches the company', async () => {
+      const explorium = new FakeProvider('explorium', { company: FULL_COMPANY });
+      const hubspot = new FakeProvider('hubspot', { contact: { title: 'CFO', location: 'Singapore' } });
+      const worker = new EnrichmentWorker({}, database, { providers: [explorium, hubspot] });
+
+      const result = await worker.enrichContact({ email: 'wei@acme.sg', companyDomain: 'acme.sg' });
+
+      expect(result.success).toBe(true);
+      expect(result.contact).toMatchObject({
+        email: 'wei@acme.sg',
+        title: 'CFO',
+        source: 'explorium',
+        sources: ['explorium', 'hubspot'],
+        company: { name: 'Acme Pay', fundingStage: 'Series B' }
+      });
+      expect(result.contact.intelligence.whyNow.trigger).toBe('Recent funding round');
+
+      // A second contact at the same company reuses the cached company
+      await worker.enrichContact({ email: 'lin@acme.sg', companyDomain: 'acme.sg' });
+      expect(explorium.enrichCompany).toHaveBeenCalledTimes(1);
+      expect(hubspot.enrichCompany).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports failure when every provider fails', async () => {
+      const worker = new EnrichmentWorker({}, database, { providers: [new FakeProvider('explorium', { error: 'down' })] });
+
+      const result = await worker.enrichContact({ email: 'wei@acme.sg' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('explorium: down');
+    });
+  });
+});
@@ -7,9 +7,11 @@
  * These tests focus on the pure static methods that don't require database access.
  */
 
-import { describe, it, expect } from '@jest/globals';
+import { describe, it, expect, afterEach } from '@jest/globals';
+import crypto from 'crypto';
 import {
   EventNormalizer,
+  EventMapping,
   EVENT_TYPES,
   CHANNELS
 } from '../src/providers/events/EventNormalizer.js';
@@ -159,6 +161,21 @@ describe('EventNormalizer', () => {
       });
     });
 
+    describe('Lemlist-specific events', () => {
+      it('should normalize Lemlist email activities', () => {
+        expect(EventNormalizer.normalizeEventType('emailsSent', 'email')).toBe('sent');
+        expect(EventNormalizer.normalizeEventType('emailsReplied', 'email')).toBe('replied');
+        expect(EventNormalizer.normalizeEventType('emailsBounced', 'email')).toBe('bounced');
+      });
+
+      it('should normalize Lemlist LinkedIn activities', () => {
+        expect(EventNormalizer.normalizeEventType('linkedinInviteAccepted', 'linkedin'))
+          .toBe('connection_accepted');
+        expect(EventNormalizer.normalizeEventType('linkedinReplied', 'linkedin'))
+          .toBe('message_replied');
+      });
+    });
+
     describe('LinkedIn events', () => {
       it('should normalize linkedin.profile_visited', () => {
         expect(EventNormalizer.normalizeEventType('linkedin.profile_visited', 'linkedin'))
@@ -568,4 +585,115 @@ describe('EventNormalizer', () => {
       expect(EventNormalizer.getCounterIncrements(EVENT_TYPES.EMAIL_SPAM_REPORTED)).toEqual({});
     });
   });
+
+  describe('event mappings', () => {
+    const acme = {
+      signature: { type: 'hmac', header: 'x-acme-signature', prefix: 'sha256=' },
+      events: 'data.events',
+      event_types: { email_opened: 'opened', link_clicked: 'clicked' },
+      fields: {
+        type: 'event',
+        provider_event_id: 'id',
+        provider_message_id: ['message.id', 'message_id'],
+        timestamp: 'occurred_at',
+        recipient: 'message.to'
+      },
+      data: { campaign: 'campaign.name' }
+    };
+
+    afterEach(() => {
+      delete process.env.ACME_WEBHOOK_SECRET;
+    });
+
+    it('should map provider event types per provider', () => {
+      expect(EventNormalizer.normalizeEventType('emailsOpened', CHANNELS.EMAIL, 'lemlist')).toBe('opened');
+      expect(EventNormalizer.normalizeEventType('Bounce', CHANNELS.EMAIL, 'postmark')).toBe('bounced');
+      expect(EventNormalizer.normalizeEventType('email.sent', CHANNELS.EMAIL, 'postmark')).toBe('sent');
+      // Postmark names mean nothing to Lemlist
+      expect(EventNormalizer.normalizeEventType('Bounce', CHANNELS.EMAIL, 'lemlist')).toBe('Bounce');
+    });
+
+    it('should extract events with field rules', () => {
+      const mapping = new EventMapping('acme', acme);
+      const { events, ignored } = mapping.parse({
+        data: {
+          events: [
+            { event: 'email_opened', id: 'ev1', message_id: 'm1', occurred_at: '2026-10-01T10:00:00Z', message: { to: 'a@b.com' }, campaign: { name: 'Q4' } },
+            { event: 'link_clicked', id: 'ev2', message: { id: 'm2' }, occurred_at: '2026-10-01T11:00:00Z' },
+            { event: 'list_updated', id: 'ev3' }
+          ]
+        }
+      });
+
+      expect(events).toHaveLength(2);
+      expect(events[0]).toEqual({
+        channel: 'email',
+        rawEvent: {
+          type: 'opened',
+          providerEventId: 'ev1',
+          providerMessageId: 'm1',
+          providerActionId: undefined,
+          timestamp: '2026-10-01T10:00:00Z',
+          stepNumber: undefined,
+          videoId: undefined,
+          data: { providerEventType: 'email_opened', recipient: 'a@b.com', campaign: 'Q4' }
+        }
+      });
+      expect(events[1].rawEvent).toMatchObject({ type: 'clicked', providerMessageId: 'm2' });
+      expect(ignored).toEqual([{ type: 'list_updated' }]);
+    });
+
+    it('should derive a stable event ID when the provider sends none', () => {
+      const mapping = new EventMapping('acme', { ...acme, events: undefined });
+      const payload = { event: 'opened', message_id: 'm1', occurred_at: '2026-10-01T10:00:00Z' };
+
+      const first = mapping.parse(payload).events[0].rawEvent.providerEventId;
+      expect(first).toMatch(/^acme-opened-[a-f0-9]{32}$/);
+      expect(mapping.parse({ ...payload }).events[0].rawEvent.providerEventId).toBe(first);
+    });
+
+    it('should verify HMAC signatures over the raw body', () => {
+      process.env.ACME_WEBHOOK_SECRET = 'acme_secret';
+      const mapping = new EventMapping('acme', acme);
+      const rawBody = Buffer.from('{"data":{"events":[]}}');
+      const signature = crypto.createHmac('sha256', 'acme_secret').update(rawBody).digest('hex');
+
+      expect(mapping.verify({ rawBody, headers: { 'x-acme-signature': `sha256=${signature}` } })).toEqual({ valid: true });
+      expect(mapping.verify({ rawBody, headers: { 'x-acme-signature': 'sha256=' + 'a'.repeat(64) } }))
+        .toEqual({ valid: false, reason: 'invalid_signature' });
+    });
+
+    it('should verify tokens and Basic Auth credentials', () => {
+      process.env.ACME_WEBHOOK_SECRET = 'acme_secret';
+      const token = new EventMapping('acme', { ...acme, signature: { type: 'token', header: 'x-acme-token', query: 'token' } });
+      const basic = new EventMapping('acme', { ...acme, signature: { type: 'basic' } });
+
+      expect(token.verify({ headers: {}, query: { token: 'acme_secret' } }).valid).toBe(true);
+      expect(token.verify({ headers: { 'x-acme-token': 'nope' }, query: {} }).valid).toBe(false);
+      expect(basic.verify({
+        headers: { authorization: `Basic ${Buffer.from('acme_secret').toString('base64')}` }
+      }).valid).toBe(true);
+    });
+
+    it('should fail closed without a configured secret', () => {
+      const mapping = new EventMapping('acme', acme);
+
+      expect(mapping.verify({ rawBody: Buffer.from('{}'), headers: { 'x-acme-signature': 'sha256=00' } }))
+        .toEqual({ valid: false, reason: 'not_configured' });
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => new EventMapping('acme', { ...acme, signature: { type: 'none' } })).toThrow('signature.type');
+      expect(() => new EventMapping('acme', { ...acme, event_types: { x: 'teleported' } })).toThrow('standard event type');
+      expect(() => new EventMapping('acme', { ...acme, fields: { id: 'id' } })).toThrow('fields.type');
+    });
+
+    it('should register mappings by lower-cased provider name', () => {
+      EventNormalizer.registerMapping('AcmeTest', acme);
+
+      expect(EventNormalizer.getMapping('acmetest')).toBeInstanceOf(EventMapping);
+      expect(EventNormalizer.getMappedProviders()).toEqual(expect.arrayContaining(['lemlist', 'postmark', 'acmetest']));
+      expect(EventNormalizer.normalizeEventType('email_opened', CHANNELS.EMAIL, 'acmetest')).toBe('opened');
+    });
+  });
 });
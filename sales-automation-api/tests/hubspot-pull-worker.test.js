@@ -0,0 +1,263 @@
+/**
+ * HubSpot Pull Worker Unit Tests
+ *
+ * Uses a real SQLite database in a temp directory, a stand-in HubSpot client
+ * and a stubbed enrollment model, so no HubSpot or PostgreSQL is needed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Op } from 'sequelize';
+
+const enrollments = [];
+
+// Evaluates the worker's where clause: status IN, OR of metadata.email IN / ILIKE '%@domain'
+function matchesWhere(enrollment, where) {
+  const email = enrollment.metadata.email;
+  return where.status[Op.in].includes(enrollment.status) && where[Op.or].some(({ metadata }) =>
+    metadata.email[Op.in]?.includes(email) ||
+    (metadata.email[Op.iLike] && email.endsWith(metadata.email[Op.iLike].slice(1)))
+  );
+}
+
+const CampaignEnrollment = {
+  findAll: jest.fn(async ({ where }) => enrollments.filter(enrollment => matchesWhere(enrollment, where)))
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({ CampaignEnrollment }));
+
+const { HubSpotPullWorker } = await import('../src/workers/hubspot-pull-worker.js');
+const { Database } = await import('../src/utils/database.js');
+const { resolveConflict, getConflictRules } = await import('../src/config/crm-conflict-rules.js');
+
+function createEnrollment(email) {
+  const enrollment = {
+    status: 'active',
+    metadata: { email },
+    pause: jest.fn(async ({ reason }) => {
+      enrollment.status = 'paused';
+      enrollment.metadata = { ...enrollment.metadata, pause: { reason } };
+    })
+  };
+  enrollments.push(enrollment);
+  return enrollment;
+}
+
+function hubspotContact(id, properties, updatedAt = '2026-10-10T12:00:00.000Z') {
+  return { id, properties: { lastmodifieddate: updatedAt, ...properties }, updatedAt };
+}
+
+function createHubSpot({ contacts = [], companies = [] } = {}) {
+  return {
+    searchContacts: jest.fn(async () => ({ success: true, contacts, paging: undefined })),
+    searchCompanies: jest.fn(async () => ({ success: true, companies, paging: undefined })),
+    updateContact: jest.fn(async () => ({ success: true })),
+    updateCompany: jest.fn(async () => ({ success: true }))
+  };
+}
+
+describe('HubSpotPullWorker', () => {
+  let dir;
+  let database;
+
+  beforeEach(async () => {
+    enrollments.length = 0;
+    jest.clearAllMocks();
+    dir = mkdtempSync(join(tmpdir(), 'hubspot-pull-'));
+    database = new Database(join(dir, 'test.db'));
+    await database.initialize();
+  });
+
+  afterEach(() => {
+    database.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function importContact(email, fields = {}, importedAt = '2026-10-01 09:00:00', data = {}) {
+    database.db.prepare(`
+      INSERT INTO imported_contacts (email, first_name, title, company, company_domain, source, data, imported_at)
+      VALUES (?, ?, ?, ?, ?, 'csv', ?, ?)
+    `).run(email, fields.firstName ?? null, fields.title ?? null, fields.company ?? null,
+      fields.companyDomain ?? null, JSON.stringify(data), importedAt);
+  }
+
+  function getContact(email) {
+    return database.db.prepare('SELECT * FROM imported_contacts WHERE email = ?').get(email);
+  }
+
+  it('should create contacts and advance the cursor to the newest record', async () => {
+    const hubspot = createHubSpot({
+      contacts: [
+        hubspotContact('101', { email: 'Ada@Acme.com', firstname: 'Ada', jobtitle: 'CFO' }, '2026-10-10T12:00:00.000Z'),
+        hubspotContact('102', { email: 'grace@acme.com', firstname: 'Grace' }, '2026-10-11T08:30:00.000Z')
+      ]
+    });
+    const worker = new HubSpotPullWorker(hubspot, database);
+
+    const run = await worker.run();
+
+    expect(run).toMatchObject({ status: 'completed', contactsFetched: 2, contactsCreated: 2 });
+    expect(getContact('ada@acme.com')).toMatchObject({ first_name: 'Ada', title: 'CFO', source: 'hubspot' });
+    expect(database.getHubSpotSyncCursor('contacts')).toBe('2026-10-11T08:30:00.000Z');
+
+    const [search] = hubspot.searchContacts.mock.calls[0];
+    expect(search.sorts).toEqual([{ propertyName: 'lastmodifieddate', direction: 'ASCENDING' }]);
+    expect(search.filterGroups[0].filters[0]).toMatchObject({ propertyName: 'lastmodifieddate', operator: 'GTE' });
+
+    const [log] = database.listHubSpotSyncLog();
+    expect(log).toMatchObject({ status: 'completed', contacts_fetched: 2, contacts_created: 2 });
+  });
+
+  it('should pause active enrollments when the lifecycle stage changes', async () => {
+    importContact('ada@acme.com', { firstName: 'Ada' }, '2026-10-01 09:00:00', {
+      hubspotProperties: { lifecyclestage: 'lead', hubspot_owner_id: '7' }
+    });
+    const enrollment = createEnrollment('ada@acme.com');
+
+    const worker = new HubSpotPullWorker(createHubSpot({
+      contacts: [hubspotContact('101', { email: 'ada@acme.com', lifecyclestage: 'salesqualifiedlead', hubspot_owner_id: '7' })]
+    }), database);
+
+    const run = await worker.run();
+
+    expect(run.enrollmentsPaused).toBe(1);
+    expect(enrollment.pause).toHaveBeenCalledWith({
+      reason: 'HubSpot lifecycle stage changed from lead to salesqualifiedlead'
+    });
+    expect(JSON.parse(getContact('ada@acme.com').data).hubspotProperties.lifecyclestage).toBe('salesqualifiedlead');
+  });
+
+  it('should pause on owner changes and on stop stages for newly seen contacts', async () => {
+    importContact('ada@acme.com', {}, '2026-10-01 09:00:00', {
+      hubspotProperties: { lifecyclestage: 'lead', hubspot_owner_id: '7' }
+    });
+    createEnrollment('ada@acme.com');
+    createEnrollment('grace@acme.com');
+
+    const worker = new HubSpotPullWorker(createHubSpot({
+      contacts: [
+        hubspotContact('101', { email: 'ada@acme.com', lifecyclestage: 'lead', hubspot_owner_id: '9' }),
+        hubspotContact('102', { email: 'grace@acme.com', lifecyclestage: 'customer' })
+      ]
+    }), database);
+
+    const run = await worker.run();
+
+    expect(run.enrollmentsPaused).toBe(2);
+    expect(enrollments.map(enrollment => enrollment.metadata.pause.reason)).toEqual([
+      'HubSpot owner changed from 7 to 9',
+      'HubSpot lifecycle stage is customer'
+    ]);
+  });
+
+  it('should not pause when nothing relevant changed', async () => {
+    importContact('ada@acme.com', {}, '2026-10-01 09:00:00', {
+      hubspotProperties: { lifecyclestage: 'lead', hubspot_owner_id: '7' }
+    });
+    createEnrollment('ada@acme.com');
+
+    const worker = new HubSpotPullWorker(createHubSpot({
+      contacts: [hubspotContact('101', { email: 'ada@acme.com', lifecyclestage: 'lead', hubspot_owner_id: '7', jobtitle: 'CFO' })]
+    }), database);
+
+    const run = await worker.run();
+
+    expect(run.enrollmentsPaused).toBe(0);
+    expect(CampaignEnrollment.findAll).not.toHaveBeenCalled();
+  });
+
+  it('should resolve conflicts by rule, audit them and write kept values back', async () => {
+    importContact('ada@acme.com', { firstName: 'Ada', title: 'VP Finance' }, '2026-10-01 09:00:00', {
+      enrichedAt: '2026-10-20T00:00:00.000Z'
+    });
+    const hubspot = createHubSpot({
+      contacts: [hubspotContact('101', { email: 'ada@acme.com', firstname: 'Adeline', jobtitle: 'CFO' }, '2026-10-15T00:00:00.000Z')]
+    });
+    const worker = new HubSpotPullWorker(hubspot, database, {
+      conflictRules: { default: 'newest_wins', fields: { firstName: 'crm_wins' } }
+    });
+
+    const run = await worker.run();
+
+    expect(run.conflictsResolved).toBe(2);
+    // crm_wins takes HubSpot's name; newest_wins keeps the later enrichment
+    expect(getContact('ada@acme.com')).toMatchObject({ first_name: 'Adeline', title: 'VP Finance' });
+    expect(hubspot.updateContact).toHaveBeenCalledWith('101', { jobtitle: 'VP Finance' });
+
+    const { conflicts, total } = database.listCrmConflicts({ identifier: 'ada@acme.com' });
+    expect(total).toBe(2);
+    expect(conflicts.map(({ field, rule, winner }) => ({ field, rule, winner }))).toEqual(
+      expect.arrayContaining([
+        { field: 'firstName', rule: 'crm_wins', winner: 'crm' },
+        { field: 'title', rule: 'newest_wins', winner: 'local' }
+      ])
+    );
+  });
+
+  it('should fill empty local fields without recording a conflict', async () => {
+    importContact('ada@acme.com', { firstName: 'Ada' });
+
+    const run = await new HubSpotPullWorker(createHubSpot({
+      contacts: [hubspotContact('101', { email: 'ada@acme.com', firstname: 'Ada', jobtitle: 'CFO', phone: '' })]
+    }), database).run();
+
+    expect(run).toMatchObject({ conflictsResolved: 0, contactsUpdated: 1 });
+    expect(getContact('ada@acme.com')).toMatchObject({ title: 'CFO', phone: null });
+  });
+
+  it('should pause everyone at a company that reaches a stop stage', async () => {
+    importContact('ada@acme.com', { company: 'Acme', companyDomain: 'acme.com' });
+    createEnrollment('ada@acme.com');
+
+    const run = await new HubSpotPullWorker(createHubSpot({
+      companies: [{ id: '501', properties: { name: 'Acme', domain: 'acme.com', lifecyclestage: 'customer' }, updatedAt: '2026-10-12T00:00:00.000Z' }]
+    }), database).run();
+
+    expect(run).toMatchObject({ companiesFetched: 1, enrollmentsPaused: 1 });
+    expect(database.getHubSpotSyncCursor('companies')).toBe('2026-10-12T00:00:00.000Z');
+  });
+
+  it('should record a failed run and keep the cursor when HubSpot search fails', async () => {
+    const before = database.getHubSpotSyncCursor('contacts');
+    const hubspot = createHubSpot();
+    hubspot.searchContacts.mockResolvedValue({ success: false, error: 'HubSpot API is temporarily unavailable' });
+
+    const run = await new HubSpotPullWorker(hubspot, database).run();
+
+    expect(run.status).toBe('failed');
+    expect(database.getHubSpotSyncCursor('contacts')).toBe(before);
+    expect(database.listHubSpotSyncLog()[0].errors).toEqual([
+      { error: 'HubSpot contacts search failed: HubSpot API is temporarily unavailable' }
+    ]);
+  });
+});
+
+describe('CRM conflict rules', () => {
+  const conflict = {
+    localValue: 'VP Finance',
+    crmValue: 'CFO',
+    localModifiedAt: '2026-10-01T00:00:00.000Z',
+    crmModifiedAt: '2026-10-02T00:00:00.000Z'
+  };
+
+  afterEach(() => {
+    delete process.env.HUBSPOT_CONFLICT_RULE;
+    delete process.env.HUBSPOT_CONFLICT_RULES;
+  });
+
+  it('should pick the winner for each rule', () => {
+    expect(resolveConflict('crm_wins', conflict).winner).toBe('crm');
+    expect(resolveConflict('enrichment_wins', conflict).winner).toBe('local');
+    expect(resolveConflict('newest_wins', conflict)).toEqual({ winner: 'crm', value: 'CFO' });
+    expect(resolveConflict('newest_wins', { ...conflict, crmModifiedAt: null }).winner).toBe('local');
+  });
+
+  it('should read rules from the environment and drop unknown ones', () => {
+    process.env.HUBSPOT_CONFLICT_RULE = 'crm_wins';
+    process.env.HUBSPOT_CONFLICT_RULES = '{"title":"enrichment_wins","phone":"coin_flip"}';
+
+    expect(getConflictRules('hubspot')).toEqual({ default: 'crm_wins', fields: { title: 'enrichment_wins' } });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * KnowledgeService Unit Tests
+ *
+ * Tests for battle card extraction and parsing used for competitive intel.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { KnowledgeService } from '../src/services/KnowledgeService.js';
+
+const BATTLE_CARDS = `# Competitive Battle Cards
+
+## Wise Business (formerly TransferWise)
+
+### Overview
+Wise is a consumer-focused fintech.
+
+**Acknowledge:**
+> "Wise has done a great job making FX transparent."
+
+**Differentiate:**
+
+| Aspect | Wise Business | Us |
+|--------|---------------|----|
+| Settlement | Same-day (most) | Real-time (seconds) |
+| Volume Handling | SMB volumes | High-volume processing |
+
+**Key Differentiator:**
+> "Wise is great for SMBs. PSPs need enterprise-grade
+> infrastructure."
+
+**Switch Story:**
+> "A PSP cut settlement time to 12 seconds."
+
+---
+
+## Ripple / XRP
+
+### Overview
+Ripple provides blockchain-based payments.
+`;
+
+describe('KnowledgeService', () => {
+  describe('extractCompetitorSection', () => {
+    it('should return the whole competitor section including subsections', () => {
+      const section = KnowledgeService.extractCompetitorSection(BATTLE_CARDS, 'TransferWise');
+      expect(section.startsWith('## Wise Business')).toBe(true);
+      expect(section).toContain('### Overview');
+      expect(section).toContain('**Switch Story:**');
+      expect(section).not.toContain('## Ripple');
+    });
+
+    it('should return null for unknown competitors', () => {
+      expect(KnowledgeService.extractCompetitorSection(BATTLE_CARDS, 'Acme')).toBeNull();
+    });
+  });
+
+  describe('parseBattleCard', () => {
+    const section = KnowledgeService.extractCompetitorSection(BATTLE_CARDS, 'wise');
+    const card = KnowledgeService.parseBattleCard(section);
+
+    it('should parse the name and quotes', () => {
+      expect(card.name).toBe('Wise Business (formerly TransferWise)');
+      expect(card.acknowledge).toBe('Wise has done a great job making FX transparent.');
+      expect(card.key_differentiators).toEqual([
+        'Wise is great for SMBs. PSPs need enterprise-grade infrastructure.'
+      ]);
+      expect(card.switch_stories).toEqual(['A PSP cut settlement time to 12 seconds.']);
+    });
+
+    it('should parse the comparison table', () => {
+      expect(card.comparison_points).toEqual({
+        Settlement: { competitor: 'Same-day (most)', us: 'Real-time (seconds)' },
+        'Volume Handling': { competitor: 'SMB volumes', us: 'High-volume processing' }
+      });
+    });
+
+    it('should tolerate sections without quotes or tables', () => {
+      const ripple = KnowledgeService.parseBattleCard(
+        KnowledgeService.extractCompetitorSection(BATTLE_CARDS, 'xrp')
+      );
+      expect(ripple).toEqual({
+        name: 'Ripple / XRP',
+        acknowledge: null,
+        key_differentiators: [],
+        switch_stories: [],
+        comparison_points: {}
+      });
+    });
+  });
+});
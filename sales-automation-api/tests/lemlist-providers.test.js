@@ -0,0 +1,156 @@
+/**
+ * Lemlist Provider Unit Tests
+ *
+ * Tests for the Lemlist email and LinkedIn adapters against a stubbed
+ * Lemlist client and suppression list, in particular leads that are already
+ * in the campaign and suppressed recipients.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { LemlistEmailProvider } from '../src/providers/lemlist/LemlistEmailProvider.js';
+import { LemlistLinkedInProvider } from '../src/providers/lemlist/LemlistLinkedInProvider.js';
+import { SuppressedRecipientError } from '../src/services/SuppressionList.js';
+
+const LEAD_EXISTS = { success: false, error: 'Lead already in campaign', statusCode: 409 };
+
+function createClient() {
+  return {
+    addLead: jest.fn(async () => ({ success: true, leadId: 'lea_1' })),
+    updateLead: jest.fn(async () => ({ success: true, lead: { _id: 'lea_1' } }))
+  };
+}
+
+function createSuppressionList() {
+  return { assertAllowed: jest.fn(async () => {}) };
+}
+
+const SUPPRESSED = new SuppressedRecipientError({ type: 'email', value: 'jane@acme.com', reason: 'unsubscribed' });
+
+describe('LemlistEmailProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new LemlistEmailProvider({ suppressionList: createSuppressionList() });
+    provider.campaignId = 'cam_1';
+    provider.client = createClient();
+  });
+
+  const email = {
+    to: 'jane@acme.com',
+    subject: 'Hi {{firstName}}',
+    body: 'Quick question, {{firstName}}',
+    campaignId: 'inst-1',
+    enrollmentId: 'enr-1',
+    variables: { firstName: 'Jane' },
+    metadata: { stepNumber: 1 }
+  };
+
+  it('should add the lead with the personalized step content', async () => {
+    const result = await provider.send(email);
+
+    expect(result).toMatchObject({ messageId: 'lea_1', status: 'queued' });
+    expect(provider.client.addLead).toHaveBeenCalledWith(expect.objectContaining({
+      campaignId: 'cam_1',
+      email: 'jane@acme.com',
+      customFields: expect.objectContaining({ stepSubject: 'Hi Jane', stepBody: 'Quick question, Jane' })
+    }));
+  });
+
+  it('should report a failed send when the lead is already in the campaign', async () => {
+    provider.client.addLead.mockResolvedValueOnce(LEAD_EXISTS);
+
+    const result = await provider.send({ ...email, metadata: { stepNumber: 2 } });
+
+    expect(result.status).toBe('failed');
+    expect(result.messageId).toBeNull();
+    expect(result.error).toContain('already in Lemlist campaign cam_1');
+    expect(provider.client.updateLead).not.toHaveBeenCalled();
+  });
+
+  it('should count leads already in the campaign as batch failures', async () => {
+    provider.client.addLead
+      .mockResolvedValueOnce({ success: true, leadId: 'lea_1' })
+      .mockResolvedValueOnce(LEAD_EXISTS);
+
+    const result = await provider.sendBatch([email, { ...email, to: 'wei@acme.sg' }]);
+
+    expect(result.sent).toBe(1);
+    expect(result.failed).toBe(1);
+    expect(result.failures[0].to).toBe('wei@acme.sg');
+  });
+
+  it('should throw other API errors', async () => {
+    provider.client.addLead.mockResolvedValueOnce({ success: false, error: 'Unauthorized', statusCode: 401 });
+
+    await expect(provider.send(email)).rejects.toThrow('Lemlist API error: Unauthorized');
+  });
+
+  it('should check the suppression list before adding the lead', async () => {
+    await provider.send(email);
+
+    expect(provider.suppressionList.assertAllowed).toHaveBeenCalledWith(
+      { email: 'jane@acme.com' },
+      { channel: 'email', provider: 'lemlist', campaignId: 'inst-1', enrollmentId: 'enr-1' }
+    );
+  });
+
+  it('should not add a suppressed recipient', async () => {
+    provider.suppressionList.assertAllowed.mockRejectedValueOnce(SUPPRESSED);
+
+    await expect(provider.send(email)).rejects.toThrow(SuppressedRecipientError);
+    expect(provider.client.addLead).not.toHaveBeenCalled();
+  });
+});
+
+describe('LemlistLinkedInProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new LemlistLinkedInProvider({ suppressionList: createSuppressionList() });
+    provider.campaignId = 'cam_li';
+    provider.client = createClient();
+  });
+
+  it('should report a failed action when the lead is already in the campaign', async () => {
+    provider.client.addLead.mockResolvedValueOnce(LEAD_EXISTS);
+
+    const result = await provider.sendMessage({
+      profileUrl: 'https://www.linkedin.com/in/jane',
+      message: 'Thanks for connecting',
+      variables: { email: 'jane@acme.com' },
+      metadata: { stepNumber: 3 }
+    });
+
+    expect(result.status).toBe('failed');
+    expect(result.actionId).toBeNull();
+    expect(provider.client.updateLead).not.toHaveBeenCalled();
+  });
+
+  const action = {
+    profileUrl: 'https://www.linkedin.com/in/jane',
+    campaignId: 'inst-1',
+    enrollmentId: 'enr-1',
+    variables: { email: 'jane@acme.com' },
+    metadata: { stepNumber: 2 }
+  };
+
+  it('should check the profile and the lead email before queueing a message', async () => {
+    const result = await provider.sendMessage({ ...action, message: 'Thanks for connecting' });
+
+    expect(result.actionId).toBe('lea_1');
+    expect(provider.suppressionList.assertAllowed).toHaveBeenCalledWith(
+      { linkedinUrl: 'https://www.linkedin.com/in/jane', email: 'jane@acme.com' },
+      { channel: 'linkedin', provider: 'lemlist', campaignId: 'inst-1', enrollmentId: 'enr-1' }
+    );
+  });
+
+  it.each([
+    ['sendConnectionRequest', 'Hi Jane, would love to connect'],
+    ['sendMessage', 'Thanks for connecting']
+  ])('%s should not queue an action for a suppressed recipient', async (method, message) => {
+    provider.suppressionList.assertAllowed.mockRejectedValueOnce(SUPPRESSED);
+
+    await expect(provider[method]({ ...action, message })).rejects.toThrow(SuppressedRecipientError);
+    expect(provider.client.addLead).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Lemlist Webhook Unit Tests
+ *
+ * Tests for Lemlist webhook signature verification and activity parsing
+ * shared by the Lemlist email and LinkedIn providers.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import crypto from 'crypto';
+import { LemlistWebhook } from '../src/providers/lemlist/LemlistWebhook.js';
+
+describe('LemlistWebhook', () => {
+  const secret = 'lemlist_test_secret';
+  const body = JSON.stringify({ _id: 'act_1', type: 'emailsReplied', leadId: 'lea_1' });
+  const signature = crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex');
+
+  describe('verify', () => {
+    it('should accept a valid sha256= signature over the raw body', () => {
+      const req = {
+        headers: { 'x-lemlist-signature': `sha256=${signature}` },
+        rawBody: Buffer.from(body)
+      };
+      expect(LemlistWebhook.verify(req, secret)).toBe(true);
+    });
+
+    it('should reject a tampered body', () => {
+      const req = {
+        headers: { 'x-lemlist-signature': `sha256=${signature}` },
+        rawBody: Buffer.from(body.replace('lea_1', 'lea_2'))
+      };
+      expect(LemlistWebhook.verify(req, secret)).toBe(false);
+    });
+
+    it('should fail closed without a secret or signature header', () => {
+      expect(LemlistWebhook.verify({ headers: { 'x-lemlist-signature': signature }, rawBody: Buffer.from(body) }, undefined))
+        .toBe(false);
+      expect(LemlistWebhook.verify({ headers: {}, rawBody: Buffer.from(body) }, secret)).toBe(false);
+    });
+  });
+
+  describe('parse', () => {
+    it('should map an email activity keyed by lead ID', () => {
+      const event = LemlistWebhook.parse({
+        _id: 'act_1',
+        type: 'emailsReplied',
+        createdAt: '2025-03-01T10:00:00.000Z',
+        campaignId: 'cam_1',
+        leadId: 'lea_1',
+        leadEmail: 'jane@acme.com',
+        text: 'Sounds good'
+      }, 'email');
+
+      expect(event.type).toBe('replied');
+      expect(event.providerEventId).toBe('act_1');
+      expect(event.providerMessageId).toBe('lea_1');
+      expect(event.providerActionId).toBeUndefined();
+      expect(event.timestamp.toISOString()).toBe('2025-03-01T10:00:00.000Z');
+      expect(event.data).toMatchObject({ activityType: 'emailsReplied', lemlistCampaignId: 'cam_1', text: 'Sounds good' });
+    });
+
+    it('should key LinkedIn activities by action ID', () => {
+      const event = LemlistWebhook.parse({ type: 'linkedinInviteAccepted', leadId: 'lea_1', createdAt: '2025-03-01T10:00:00.000Z' }, 'linkedin');
+
+      expect(event.type).toBe('connection_accepted');
+      expect(event.providerActionId).toBe('lea_1');
+      expect(event.providerEventId).toBe('lea_1-linkedinInviteAccepted-2025-03-01T10:00:00.000Z');
+    });
+
+    it('should throw when the activity type is missing', () => {
+      expect(() => LemlistWebhook.parse({ leadId: 'lea_1' }, 'email')).toThrow('missing activity type');
+    });
+  });
+
+  describe('getChannel', () => {
+    it('should route linkedin* activities to the LinkedIn channel', () => {
+      expect(LemlistWebhook.getChannel('linkedinSent')).toBe('linkedin');
+      expect(LemlistWebhook.getChannel('emailsOpened')).toBe('email');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * MCP Campaign Tools Unit Tests
+ *
+ * Controllers are replaced with stand-ins so these tests exercise argument
+ * mapping, schema validation and response handling without a database.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const TEMPLATE_ID = '6f1c2d3e-4b5a-4c6d-8e7f-9a0b1c2d3e4f';
+const CONTACT_ID = '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d';
+
+const campaignController = {
+  bulkEnroll: jest.fn(async (req, res) => {
+    res.status(201).json({ success: true, data: { instance: req.validatedParams.id, body: req.validatedBody } });
+  }),
+  createEmailSequence: jest.fn(async (req, res) => {
+    res.status(201).json({ success: true, data: { ...req.validatedBody, user: req.user?.id } });
+  }),
+  getInstance: jest.fn(async () => {
+    const error = new Error('Campaign instance not found');
+    error.statusCode = 404;
+    throw error;
+  })
+};
+
+const icpController = {
+  getProfile: jest.fn(async (req, res) => {
+    res.status(404).json({ success: false, error: 'ICP profile not found' });
+  })
+};
+
+jest.unstable_mockModule('../src/controllers/campaign-controller.js', () => campaignController);
+jest.unstable_mockModule('../src/controllers/icp-controller.js', () => icpController);
+
+const { McpCampaignTools } = await import('../src/utils/mcp-campaign-tools.js');
+
+describe('McpCampaignTools', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('list', () => {
+    it('should flatten request schemas into tool input schemas', () => {
+      const bulkEnroll = McpCampaignTools.list().find(tool => tool.name === 'campaign_bulk_enroll');
+
+      expect(bulkEnroll.inputSchema.type).toBe('object');
+      expect(Object.keys(bulkEnroll.inputSchema.properties)).toEqual(['instance_id', 'contact_ids']);
+      expect(bulkEnroll.inputSchema.required).toEqual(['instance_id', 'contact_ids']);
+    });
+
+    it('should cover templates, instances, enrollments, ICP profiles and the DLQ', () => {
+      const names = McpCampaignTools.list().map(tool => tool.name);
+
+      expect(names).toEqual(expect.arrayContaining([
+        'campaign_create_template',
+        'campaign_add_email_step',
+        'campaign_create_instance',
+        'campaign_bulk_enroll',
+        'icp_create',
+        'dlq_replay'
+      ]));
+    });
+
+    it('should list tools without input as an empty object schema', () => {
+      const icpList = McpCampaignTools.list().find(tool => tool.name === 'icp_list');
+      expect(icpList.inputSchema).toEqual({ type: 'object', properties: {} });
+    });
+  });
+
+  describe('scopeFor', () => {
+    it('should map tools to the REST route resources', () => {
+      expect(McpCampaignTools.scopeFor('campaign_list_instances')).toEqual({ action: 'read', resource: 'campaigns' });
+      expect(McpCampaignTools.scopeFor('campaign_bulk_enroll')).toEqual({ action: 'write', resource: 'campaigns' });
+      expect(McpCampaignTools.scopeFor('icp_delete')).toEqual({ action: 'write', resource: 'icp' });
+      expect(McpCampaignTools.scopeFor('dlq_stats')).toEqual({ action: 'read', resource: 'admin' });
+      expect(McpCampaignTools.scopeFor('yolo_status')).toBeNull();
+    });
+  });
+
+  describe('call', () => {
+    it('should pass validated params and body to the controller', async () => {
+      const result = await McpCampaignTools.call('campaign_bulk_enroll', {
+        instance_id: 'cam_abc123',
+        contact_ids: [CONTACT_ID]
+      });
+
+      expect(result).toEqual({
+        success: true,
+        data: { instance: 'cam_abc123', body: { contact_ids: [CONTACT_ID] } }
+      });
+    });
+
+    it('should apply schema defaults and attribute writes to the API key user', async () => {
+      const result = await McpCampaignTools.call('campaign_add_email_step', {
+        template_id: TEMPLATE_ID,
+        step_number: 1,
+        body: 'Hi {{first_name}}, quick question about treasury ops.'
+      }, { extra: { userId: 'user-42' } });
+
+      expect(result.data).toMatchObject({ template_id: TEMPLATE_ID, delay_hours: 0, is_active: true, user: 'user-42' });
+    });
+
+    it('should reject invalid arguments before reaching the controller', async () => {
+      await expect(McpCampaignTools.call('campaign_bulk_enroll', {
+        instance_id: 'bad id',
+        contact_ids: ['not-a-uuid']
+      })).rejects.toThrow(/^Validation failed \(.*contact_ids\.0.*instance_id/);
+
+      expect(campaignController.bulkEnroll).not.toHaveBeenCalled();
+    });
+
+    it('should turn error responses into errors', async () => {
+      await expect(McpCampaignTools.call('icp_get', { profile_id: TEMPLATE_ID }))
+        .rejects.toThrow('ICP profile not found');
+    });
+
+    it('should propagate controller errors', async () => {
+      await expect(McpCampaignTools.call('campaign_get_instance', { instance_id: 'cam_abc123' }))
+        .rejects.toThrow('Campaign instance not found');
+    });
+
+    it('should reject unknown tools', async () => {
+      await expect(McpCampaignTools.call('campaign_nope', {})).rejects.toThrow('Unknown tool');
+    });
+  });
+});
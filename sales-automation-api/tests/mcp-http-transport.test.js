@@ -0,0 +1,205 @@
+/**
+ * MCP Streamable HTTP Transport Tests
+ * Drives a real MCP Server through the HTTP transport with supertest.
+ *
+ * authenticateDb is replaced with a header-based stand-in so these tests
+ * don't require the API key database.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const TEST_KEYS = {
+  'sk_reader': { id: 'key-reader', prefix: 'sk_reader', scopes: ['read:yolo'] },
+  'sk_admin': { id: 'key-admin', prefix: 'sk_admin', scopes: ['admin'] }
+};
+
+jest.unstable_mockModule('../src/middleware/authenticate-db.js', () => ({
+  authenticateDb: (req, res, next) => {
+    const apiKey = TEST_KEYS[req.headers['x-api-key']];
+    if (!apiKey) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    req.apiKey = apiKey;
+    next();
+  },
+  hasScope: (scopes, action, resource) =>
+    scopes.includes(`${action}:${resource}`) || scopes.includes('admin')
+}));
+
+const { mountMcpHttpTransport, findDeniedRequest } = await import('../src/utils/mcp-http-transport.js');
+
+const toolScope = (name) => name?.startsWith('yolo_')
+  ? { action: name === 'yolo_status' ? 'read' : 'write', resource: 'yolo' }
+  : null;
+
+function createServer() {
+  const server = new Server({ name: 'test-mcp', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [
+      { name: 'yolo_status', inputSchema: { type: 'object' } },
+      { name: 'yolo_enable', inputSchema: { type: 'object' } }
+    ]
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => ({
+    content: [{
+      type: 'text',
+      text: JSON.stringify({ tool: request.params.name, clientId: extra.authInfo?.clientId })
+    }]
+  }));
+
+  return server;
+}
+
+/**
+ * POST a JSON-RPC message and return the JSON-RPC reply (JSON or SSE framed)
+ */
+async function rpc(app, key, message, sessionId) {
+  let req = request(app)
+    .post('/mcp')
+    .set('X-API-Key', key)
+    .set('Accept', 'application/json, text/event-stream')
+    .set('Content-Type', 'application/json');
+
+  if (sessionId) {
+    req = req.set('Mcp-Session-Id', sessionId).set('Mcp-Protocol-Version', '2025-03-26');
+  }
+
+  const res = await req.send(message).buffer(true).parse((response, callback) => {
+    let text = '';
+    response.on('data', chunk => { text += chunk; });
+    response.on('end', () => callback(null, text));
+  });
+
+  const text = res.body || '';
+  const data = text.split('\n').find(line => line.startsWith('data: '));
+  return { res, reply: text ? JSON.parse(data ? data.slice(6) : text) : null };
+}
+
+async function openSession(app, key) {
+  const { res } = await rpc(app, key, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test-client', version: '1.0.0' }
+    }
+  });
+
+  const sessionId = res.headers['mcp-session-id'];
+  await rpc(app, key, { jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+  return sessionId;
+}
+
+describe('MCP Streamable HTTP transport', () => {
+  let app, transport;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    transport = mountMcpHttpTransport(app, { createServer, toolScope });
+  });
+
+  afterAll(async () => {
+    await transport.close();
+  });
+
+  it('should reject requests without an API key', async () => {
+    const res = await request(app).post('/mcp').send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    expect(res.status).toBe(401);
+  });
+
+  it('should require an initialize request before other calls', async () => {
+    const { res } = await rpc(app, 'sk_admin', { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should open a session and serve tools with the caller as authInfo', async () => {
+    const sessionId = await openSession(app, 'sk_reader');
+    expect(sessionId).toBeTruthy();
+    expect(transport.sessions.has(sessionId)).toBe(true);
+
+    const list = await rpc(app, 'sk_reader', { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId);
+    expect(list.reply.result.tools.map(tool => tool.name)).toEqual(['yolo_status', 'yolo_enable']);
+
+    const call = await rpc(app, 'sk_reader', {
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'tools/call',
+      params: { name: 'yolo_status', arguments: {} }
+    }, sessionId);
+    expect(JSON.parse(call.reply.result.content[0].text)).toEqual({ tool: 'yolo_status', clientId: 'sk_reader' });
+  });
+
+  it('should refuse tool calls outside the key scopes', async () => {
+    const sessionId = await openSession(app, 'sk_reader');
+
+    const { res, reply } = await rpc(app, 'sk_reader', {
+      jsonrpc: '2.0',
+      id: 4,
+      method: 'tools/call',
+      params: { name: 'yolo_enable', arguments: {} }
+    }, sessionId);
+
+    expect(res.status).toBe(403);
+    expect(reply.id).toBe(4);
+    expect(reply.error.message).toBe('Forbidden');
+  });
+
+  it('should not let another key use a session', async () => {
+    const sessionId = await openSession(app, 'sk_reader');
+
+    const { res } = await rpc(app, 'sk_admin', { jsonrpc: '2.0', id: 5, method: 'tools/list' }, sessionId);
+    expect(res.status).toBe(404);
+  });
+
+  it('should end a session on DELETE', async () => {
+    const sessionId = await openSession(app, 'sk_admin');
+
+    const res = await request(app)
+      .delete('/mcp')
+      .set('X-API-Key', 'sk_admin')
+      .set('Mcp-Session-Id', sessionId)
+      .set('Mcp-Protocol-Version', '2025-03-26');
+
+    expect(res.status).toBe(200);
+    expect(transport.sessions.has(sessionId)).toBe(false);
+  });
+});
+
+describe('findDeniedRequest', () => {
+  it('should check every tools/call in a batch', () => {
+    const batch = [
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'yolo_status' } },
+      { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'yolo_enable' } }
+    ];
+
+    const denied = findDeniedRequest(batch, ['read:yolo'], { toolScope });
+    expect(denied.message.id).toBe(3);
+    expect(denied.scope).toBe('write:yolo');
+  });
+
+  it('should check resource reads and prompts', () => {
+    const resourceScope = () => ({ action: 'read', resource: 'icp' });
+    const promptScope = () => ({ action: 'read', resource: 'knowledge' });
+    const read = { jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: 'icp://profiles' } };
+    const prompt = { jsonrpc: '2.0', id: 2, method: 'prompts/get', params: { name: 'handle_objection' } };
+
+    expect(findDeniedRequest(read, ['read:yolo'], { resourceScope }).scope).toBe('read:icp');
+    expect(findDeniedRequest(read, ['read:icp'], { resourceScope })).toBeNull();
+    expect(findDeniedRequest(prompt, ['read:icp'], { promptScope }).scope).toBe('read:knowledge');
+  });
+
+  it('should let unknown tools through to the server', () => {
+    const message = { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'nope' } };
+    expect(findDeniedRequest(message, ['read:yolo'], { toolScope })).toBeNull();
+  });
+});
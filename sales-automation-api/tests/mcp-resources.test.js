@@ -0,0 +1,108 @@
+/**
+ * MCP Resources / Prompts Unit Tests
+ *
+ * Knowledge resources are read from the repository's knowledge/ directory.
+ * These tests focus on paths that don't require database access.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { McpResources } from '../src/utils/mcp-resources.js';
+import { McpPrompts } from '../src/utils/mcp-prompts.js';
+
+describe('McpResources', () => {
+  describe('parseUri', () => {
+    it('should split scheme and decoded segments', () => {
+      expect(McpResources.parseUri('campaign://instances/abc/performance')).toEqual({
+        scheme: 'campaign',
+        segments: ['instances', 'abc', 'performance']
+      });
+      expect(McpResources.parseUri('knowledge://company/case%2Dstudies').segments)
+        .toEqual(['company', 'case-studies']);
+    });
+
+    it('should reject malformed URIs', () => {
+      expect(McpResources.parseUri('not a uri').scheme).toBeNull();
+      expect(McpResources.parseUri('icp://profiles/%E0%A4%A').scheme).toBeNull();
+    });
+  });
+
+  describe('scopeFor', () => {
+    it('should map URI schemes to API key resources', () => {
+      expect(McpResources.scopeFor('icp://profiles')).toEqual({ action: 'read', resource: 'icp' });
+      expect(McpResources.scopeFor('campaign://instances/x/performance').resource).toBe('campaigns');
+      expect(McpResources.scopeFor('outcomes://digest/weekly').resource).toBe('performance');
+      expect(McpResources.scopeFor('file:///etc/passwd')).toBeNull();
+    });
+  });
+
+  describe('list', () => {
+    it('should list knowledge files and the weekly digest', async () => {
+      const uris = (await McpResources.list()).map(resource => resource.uri);
+
+      expect(uris).toContain('outcomes://digest/weekly');
+      expect(uris).toContain('knowledge://company/case-studies');
+      expect(uris).toContain('knowledge://competitive/battle-cards');
+    });
+  });
+
+  describe('read', () => {
+    it('should read a knowledge file as markdown', async () => {
+      const { contents } = await McpResources.read('knowledge://company/value-propositions');
+
+      expect(contents[0].uri).toBe('knowledge://company/value-propositions');
+      expect(contents[0].mimeType).toBe('text/markdown');
+      expect(contents[0].text.length).toBeGreaterThan(0);
+    });
+
+    it('should reject path traversal and unknown resources', async () => {
+      await expect(McpResources.read('knowledge://company/..%2F..%2Fpackage'))
+        .rejects.toBeInstanceOf(McpError);
+      await expect(McpResources.read('knowledge://secrets/keys')).rejects.toThrow('Invalid category');
+      await expect(McpResources.read('knowledge://company/missing-file')).rejects.toThrow('Resource not found');
+      await expect(McpResources.read('icp://somewhere/else')).rejects.toThrow('Unknown resource');
+    });
+  });
+});
+
+describe('McpPrompts', () => {
+  it('should list prompts with their arguments', () => {
+    const draft = McpPrompts.list().find(prompt => prompt.name === 'draft_first_touch_email');
+
+    expect(draft.arguments.find(arg => arg.name === 'persona').required).toBe(true);
+    expect(draft.scope).toBeUndefined();
+  });
+
+  it('should embed knowledge resources ahead of the instructions', async () => {
+    const result = await McpPrompts.get('draft_first_touch_email', {
+      persona: 'Head of Treasury',
+      company: 'Acme Bank'
+    });
+
+    const uris = result.messages
+      .filter(message => message.content.type === 'resource')
+      .map(message => message.content.resource.uri);
+
+    expect(uris).toContain('knowledge://company/case-studies');
+    expect(uris).toContain('knowledge://industry/treasury-playbook');
+
+    const instructions = result.messages[result.messages.length - 1].content;
+    expect(instructions.type).toBe('text');
+    expect(instructions.text).toContain('a Head of Treasury at Acme Bank');
+  });
+
+  it('should pick the PSP playbook for payments personas', () => {
+    expect(McpPrompts.playbookFor('VP Payments')).toBe('psp-playbook');
+    expect(McpPrompts.playbookFor('CFO')).toBe('treasury-playbook');
+  });
+
+  it('should require mandatory arguments', async () => {
+    await expect(McpPrompts.get('handle_objection', {})).rejects.toThrow('objection');
+    await expect(McpPrompts.get('nope', {})).rejects.toThrow('Unknown prompt');
+  });
+
+  it('should map prompts to API key resources', () => {
+    expect(McpPrompts.scopeFor('qualify_lead')).toEqual({ action: 'read', resource: 'icp' });
+    expect(McpPrompts.scopeFor('nope')).toBeNull();
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Meeting Tracker Unit Tests
+ *
+ * Uses a real SQLite database in a temp directory, an in-memory calendar and
+ * a stubbed enrollment model, so no calendar server or PostgreSQL is needed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let enrollments = [];
+
+const CampaignEnrollment = {
+  findAll: jest.fn(async () => enrollments.filter(e => !['unsubscribed', 'bounced'].includes(e.status)))
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  CampaignEnrollment,
+  CampaignInstance: {},
+  OutreachOutcome: { findOne: jest.fn(async () => null) }
+}));
+
+const { MeetingTracker } = await import('../src/services/MeetingTracker.js');
+const { OutcomeTracker } = await import('../src/services/OutcomeTracker.js');
+const { CalendarProvider } = await import('../src/providers/interfaces/CalendarProvider.js');
+const { parseIcs } = await import('../src/providers/utils/ics-parser.js');
+const { Database } = await import('../src/utils/database.js');
+
+class FakeCalendar extends CalendarProvider {
+  constructor(events = []) {
+    super();
+    this.events = events;
+  }
+
+  get name() {
+    return 'ics';
+  }
+
+  async listEvents() {
+    return this.events;
+  }
+
+  async validateConfig() {
+    return true;
+  }
+}
+
+function createEnrollment(id, email, overrides = {}) {
+  const enrollment = {
+    id,
+    instance_id: 'instance-1',
+    status: 'active',
+    metadata: { email, first_name: 'Wei', company_name: 'Acme Pay' },
+    instance: { name: 'APAC Fintech', provider_config: {} },
+    ...overrides
+  };
+  enrollment.update = jest.fn(async changes => Object.assign(enrollment, changes));
+  return enrollment;
+}
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:intro-1@example.com',
+  'SUMMARY:Intro call\\, Acme',
+  'DTSTART;TZID=Europe/London:20261021T100000',
+  'DTEND;TZID=Europe/London:20261021T103000',
+  'ORGANIZER;CN=Sam:mailto:sam@rtgs.global',
+  'ATTENDEE;CN="Wei, Tan";PARTSTAT=ACCEPTED:mailto:Wei@Acme.sg',
+  'ATTENDEE;PARTSTAT=DECLINED:mailto:cfo@acme.sg',
+  'DESCRIPTION:Agenda: payments rails and settlement times across APAC corr',
+  ' idors',
+  'BEGIN:VALARM',
+  'TRIGGER:-PT15M',
+  'DESCRIPTION:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:holiday@example.com',
+  'SUMMARY:Bank holiday',
+  'DTSTART;VALUE=DATE:20261020',
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('ICS parser', () => {
+  it('reads zoned, all-day, folded and quoted values and skips alarms', () => {
+    const [holiday, intro] = parseIcs(ICS);
+
+    expect(holiday.allDay).toBe(true);
+    expect(holiday.start.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+    expect(holiday.end.toISOString()).toBe('2026-10-21T00:00:00.000Z');
+    expect(holiday.transparent).toBe(true);
+
+    // BST (UTC+1) on 21 October
+    expect(intro.start.toISOString()).toBe('2026-10-21T09:00:00.000Z');
+    expect(intro.end.toISOString()).toBe('2026-10-21T09:30:00.000Z');
+    expect(intro.summary).toBe('Intro call, Acme');
+    expect(intro.description).toBe('Agenda: payments rails and settlement times across APAC corridors');
+    expect(intro.organizer.email).toBe('sam@rtgs.global');
+    expect(intro.attendees).toEqual([
+      { email: 'wei@acme.sg', name: 'Wei, Tan', partstat: 'accepted', role: null },
+      { email: 'cfo@acme.sg', name: null, partstat: 'declined', role: null }
+    ]);
+  });
+});
+
+describe('MeetingTracker', () => {
+  let tempDir;
+  let database;
+  let notifier;
+  let webhooks;
+  let recordMeeting;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'meeting-tracker-'));
+    database = new Database(join(tempDir, 'test.db'));
+    await database.initialize();
+
+    enrollments = [];
+    CampaignEnrollment.findAll.mockClear();
+    notifier = { send: jest.fn(async () => ({ success: true })) };
+    webhooks = { publish: jest.fn() };
+    recordMeeting = jest.spyOn(OutcomeTracker, 'recordMeeting').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    recordMeeting.mockRestore();
+    database.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('records a booking, stops sequences and notifies the owner', async () => {
+    const latest = createEnrollment('enr-2', 'wei@acme.sg', {
+      instance: { name: 'APAC Fintech', provider_config: { owner_email: 'ae@rtgs.global' } }
+    });
+    const older = createEnrollment('enr-1', 'wei@acme.sg', { status: 'paused' });
+    enrollments = [latest, older];
+
+    const tracker = new MeetingTracker(null, database, { notifier, webhooks, ownerEmail: 'sales@rtgs.global' });
+    const result = await tracker.recordBooking({
+      source: 'calendly',
+      externalId: 'https://api.calendly.com/invitees/1',
+      title: 'Intro <call>',
+      startTime: '2026-10-21T09:00:00Z',
+      endTime: '2026-10-21T09:30:00Z',
+      attendees: [{ email: 'Wei@Acme.sg' }],
+      status: 'booked'
+    });
+
+    expect(result.status).toBe('recorded');
+    expect(result.enrollmentIds).toEqual(['enr-2']);
+    expect(result.stopped).toBe(2);
+    expect(recordMeeting).toHaveBeenCalledTimes(1);
+    expect(recordMeeting).toHaveBeenCalledWith('enr-2');
+
+    expect(latest.status).toBe('completed');
+    expect(latest.next_action_at).toBeNull();
+    expect(latest.metadata.stopped.reason).toBe('meeting_booked');
+    expect(older.status).toBe('completed');
+
+    expect(notifier.send).toHaveBeenCalledTimes(1);
+    const email = notifier.send.mock.calls[0][0];
+    expect(email.to).toBe('ae@rtgs.global');
+    expect(email.body).toContain('Intro &lt;call&gt;');
+    expect(email.body).toContain('APAC Fintech');
+
+    expect(webhooks.publish).toHaveBeenCalledWith('meeting.booked', expect.objectContaining({
+      meeting_id: result.meeting.id,
+      source: 'calendly',
+      start_time: '2026-10-21T09:00:00.000Z',
+      enrollment_ids: ['enr-2'],
+      instance_ids: ['instance-1']
+    }));
+    expect(webhooks.publish).toHaveBeenCalledWith('enrollment.completed', expect.objectContaining({
+      enrollment_id: 'enr-1',
+      reason: 'meeting_booked'
+    }));
+
+    expect(database.listCalendarMeetings().total).toBe(1);
+  });
+
+  it('records each booking once across retries and sources', async () => {
+    enrollments = [createEnrollment('enr-1', 'wei@acme.sg')];
+    const tracker = new MeetingTracker(null, database, { notifier, webhooks, ownerEmail: 'sales@rtgs.global' });
+    const booking = {
+      source: 'cal.com',
+      externalId: 'booking-1',
+      startTime: '2026-10-21T09:00:00Z',
+      attendees: [{ email: 'wei@acme.sg' }],
+      status: 'booked'
+    };
+
+    expect((await tracker.recordBooking(booking)).status).toBe('recorded');
+    expect((await tracker.recordBooking(booking)).status).toBe('duplicate');
+    expect((await tracker.recordBooking({ ...booking, source: 'ics', externalId: 'uid-1' })).status).toBe('duplicate');
+    expect((await tracker.recordBooking({ ...booking, startTime: '2026-10-22T09:00:00Z' })).status).toBe('updated');
+    expect((await tracker.recordBooking({ ...booking, status: 'cancelled' })).status).toBe('cancelled');
+
+    expect(recordMeeting).toHaveBeenCalledTimes(1);
+    expect(notifier.send).toHaveBeenCalledTimes(1);
+    expect(database.getCalendarMeeting('cal.com', 'booking-1').status).toBe('cancelled');
+  });
+
+  it('ignores bookings that match no enrollment', async () => {
+    const tracker = new MeetingTracker(null, database, { notifier, webhooks });
+    const result = await tracker.recordBooking({
+      source: 'webhook',
+      externalId: 'x-1',
+      attendees: [{ email: 'stranger@example.com' }],
+      status: 'booked'
+    });
+
+    expect(result.status).toBe('unmatched');
+    expect(recordMeeting).not.toHaveBeenCalled();
+    expect(database.listCalendarMeetings().total).toBe(0);
+  });
+
+  it('syncs calendar events, skipping declined attendees', async () => {
+    enrollments = [createEnrollment('enr-1', 'wei@acme.sg')];
+    const calendar = new FakeCalendar(parseIcs(ICS));
+    const tracker = new MeetingTracker(calendar, database, { notifier, webhooks });
+
+    const counts = await tracker.sync();
+
+    expect(counts.recorded).toBe(1);
+    const meeting = database.getCalendarMeeting('ics', 'intro-1@example.com');
+    expect(meeting.enrollment_ids).toEqual(['enr-1']);
+    expect(meeting.attendees.map(a => a.email)).toEqual(['wei@acme.sg', 'sam@rtgs.global']);
+  });
+
+  it('offers free slots inside working hours around busy time', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T06:00:00Z'), doNotFake: ['setTimeout', 'setInterval'] });
+    try {
+      // Monday 19 Oct: busy 09:00-12:00 London (BST), so the first slot after the 15 min buffer is 12:15
+      const calendar = new FakeCalendar([
+        { uid: 'busy', start: new Date('2026-10-19T08:00:00Z'), end: new Date('2026-10-19T11:00:00Z'), status: 'confirmed' },
+        { uid: 'free', start: new Date('2026-10-20T08:00:00Z'), end: new Date('2026-10-20T16:00:00Z'), status: 'confirmed', transparent: true }
+      ]);
+      const tracker = new MeetingTracker(calendar, database, {
+        timezone: 'Europe/London',
+        workingHours: '09:00-17:00',
+        minNoticeHours: 0
+      });
+
+      const slots = await tracker.getFreeSlots({ count: 3 });
+
+      expect(slots.map(slot => slot.start)).toEqual([
+        '2026-10-19T11:30:00.000Z',
+        '2026-10-20T08:00:00.000Z',
+        '2026-10-21T08:00:00.000Z'
+      ]);
+      expect(slots[0].label).toBe('Mon 19 Oct, 12:30 BST');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('normalizes Calendly, Cal.com and generic booking payloads', () => {
+    expect(MeetingTracker.normalizeBooking({
+      event: 'invitee.canceled',
+      payload: {
+        uri: 'https://api.calendly.com/invitees/1',
+        email: 'wei@acme.sg',
+        name: 'Wei',
+        scheduled_event: { name: 'Intro', start_time: '2026-10-21T09:00:00Z', end_time: '2026-10-21T09:30:00Z' }
+      }
+    })).toMatchObject({ source: 'calendly', externalId: 'https://api.calendly.com/invitees/1', status: 'cancelled' });
+
+    expect(MeetingTracker.normalizeBooking({
+      triggerEvent: 'BOOKING_CREATED',
+      payload: { uid: 'abc', startTime: '2026-10-21T09:00:00Z', attendees: [{ email: 'wei@acme.sg', name: 'Wei' }] }
+    })).toMatchObject({ source: 'cal.com', externalId: 'abc', status: 'booked', attendees: [{ email: 'wei@acme.sg' }] });
+
+    expect(MeetingTracker.normalizeBooking({ id: 7, attendees: ['wei@acme.sg'] }))
+      .toMatchObject({ source: 'webhook', externalId: '7', attendees: [{ email: 'wei@acme.sg' }] });
+
+    expect(MeetingTracker.normalizeBooking({ id: 7 })).toBeNull();
+    expect(MeetingTracker.normalizeBooking({ id: 8, email: 'a@b.co', start_time: 'soon' })).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * OutreachWorker Unit Tests
+ *
+ * Lemlist enrollment against a stubbed Lemlist client and suppression list:
+ * a contact who opted out of any campaign must never be added to another.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const assertAllowed = jest.fn(async () => {});
+
+jest.unstable_mockModule('../src/services/SuppressionList.js', () => {
+  class SuppressedRecipientError extends Error {
+    constructor(entry) {
+      super(`Recipient suppressed (${entry.type} ${entry.value}: ${entry.reason})`);
+      this.name = 'SuppressedRecipientError';
+      this.entry = entry;
+    }
+  }
+  return { SuppressedRecipientError, suppressionList: { assertAllowed, check: async () => null } };
+});
+
+const { SuppressedRecipientError } = await import('../src/services/SuppressionList.js');
+const { OutreachWorker } = await import('../src/workers/outreach-worker.js');
+
+const suppressed = email => new SuppressedRecipientError({ type: 'email', value: email, reason: 'unsubscribed' });
+
+function createLemlist() {
+  return {
+    addLead: jest.fn(async () => ({ leadId: 'lea_1' })),
+    enrichLeadWithLinkedIn: jest.fn(async () => ({})),
+    bulkAddLeads: jest.fn(async (campaignId, leads) => ({
+      results: leads.map((lead, index) => ({ success: true, email: lead.email, leadId: `lea_${index + 1}` }))
+    }))
+  };
+}
+
+describe('OutreachWorker', () => {
+  let lemlist;
+  let worker;
+
+  beforeEach(() => {
+    assertAllowed.mockReset();
+    assertAllowed.mockResolvedValue(undefined);
+    lemlist = createLemlist();
+    worker = new OutreachWorker(lemlist, null);
+    worker._recordEnrollment = jest.fn(async () => {});
+    worker._sleep = jest.fn(async () => {});
+  });
+
+  describe('enrollLead', () => {
+    const lead = { email: 'jane@acme.com', firstName: 'Jane', companyName: 'Acme' };
+
+    it('should check the suppression list before adding the lead', async () => {
+      const result = await worker.enrollLead(lead, 'cam_1', { enrichLinkedIn: false });
+
+      expect(result).toMatchObject({ success: true, leadId: 'lea_1' });
+      expect(assertAllowed).toHaveBeenCalledWith({ email: 'jane@acme.com' }, { channel: 'email', campaignId: 'cam_1' });
+    });
+
+    it('should not enroll a suppressed contact', async () => {
+      assertAllowed.mockRejectedValueOnce(suppressed('jane@acme.com'));
+
+      const result = await worker.enrollLead(lead, 'cam_1');
+
+      expect(result).toMatchObject({ success: false, suppressed: true, lead: { email: 'jane@acme.com' } });
+      expect(lemlist.addLead).not.toHaveBeenCalled();
+      expect(worker.stats.errors).toBe(0);
+    });
+  });
+
+  describe('batchEnrollLeads', () => {
+    it('should leave suppressed contacts out of the bulk add', async () => {
+      assertAllowed.mockImplementation(async ({ email }) => {
+        if (email === 'gone@acme.com') throw suppressed(email);
+      });
+
+      const result = await worker.batchEnrollLeads(
+        [{ email: 'jane@acme.com' }, { email: 'gone@acme.com' }],
+        'cam_1'
+      );
+
+      expect(lemlist.bulkAddLeads).toHaveBeenCalledWith('cam_1', [expect.objectContaining({ email: 'jane@acme.com' })]);
+      expect(result.enrolled.map(lead => lead.email)).toEqual(['jane@acme.com']);
+      expect(result.failed).toEqual([expect.objectContaining({ email: 'gone@acme.com', suppressed: true })]);
+    });
+
+    it('should skip the bulk add when the whole batch is suppressed', async () => {
+      assertAllowed.mockRejectedValue(suppressed('gone@acme.com'));
+
+      const result = await worker.batchEnrollLeads([{ email: 'gone@acme.com' }], 'cam_1');
+
+      expect(lemlist.bulkAddLeads).not.toHaveBeenCalled();
+      expect(result.failed).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Privacy Service Unit Tests
+ *
+ * Uses a real SQLite database in a temp directory, in-memory stand-ins for
+ * the PostgreSQL models, HubSpot and the suppression list.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Op } from 'sequelize';
+
+const SECRET = 'test-privacy-secret';
+
+let enrollmentRows = [];
+let privacyRequests = [];
+
+const toRows = rows => rows.map(row => ({ ...row, toJSON: () => ({ ...row }) }));
+
+const CampaignEnrollment = {
+  findAll: jest.fn(async () => toRows(enrollmentRows)),
+  update: jest.fn(async () => [enrollmentRows.length])
+};
+const CampaignEvent = {
+  findAll: jest.fn(async () => toRows([{ id: 'ev1', event_type: 'replied', metadata: { body: 'Call me' } }])),
+  update: jest.fn(async () => [1])
+};
+const OutreachOutcome = {
+  findAll: jest.fn(async () => []),
+  update: jest.fn(async () => [0])
+};
+const VideoGeneration = {
+  findAll: jest.fn(async () => []),
+  destroy: jest.fn(async () => 2)
+};
+const WebhookDelivery = {
+  findAll: jest.fn(async () => toRows([{ id: 'del-1', event_type: 'reply.received', payload: { data: { enrollment_id: 'enr-1' } } }])),
+  destroy: jest.fn(async () => 1)
+};
+const PrivacyRequest = {
+  // Mimic the JSONB round trip: key order is not preserved
+  create: jest.fn(async data => {
+    const row = JSON.parse(JSON.stringify(data));
+    row.summary = Object.fromEntries(Object.entries(row.summary).reverse());
+    privacyRequests.push(row);
+    return { toJSON: () => ({ ...row }) };
+  }),
+  findAndCountAll: jest.fn(async () => ({ rows: toRows(privacyRequests), count: privacyRequests.length }))
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  CampaignEnrollment,
+  CampaignEvent,
+  OutreachOutcome,
+  VideoGeneration,
+  WebhookDelivery,
+  PrivacyRequest,
+  sequelize: { transaction: async fn => fn({}) }
+}));
+
+const { PrivacyService } = await import('../src/services/PrivacyService.js');
+const { Database } = await import('../src/utils/database.js');
+
+describe('PrivacyService', () => {
+  let tempDir;
+  let database;
+  let hubspot;
+  let suppressionList;
+  let service;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'privacy-service-'));
+    database = new Database(join(tempDir, 'test.db'));
+    await database.initialize();
+
+    enrollmentRows = [{ id: 'enr-1', status: 'active', metadata: { email: 'Jane@Acme.com' } }];
+    privacyRequests = [];
+    jest.clearAllMocks();
+
+    hubspot = {
+      findContactByEmail: jest.fn(async () => ({ success: true, found: true, contact: { id: '501', properties: { email: 'jane@acme.com' } } })),
+      gdprDeleteContact: jest.fn(async () => ({ success: true, contactId: '501' }))
+    };
+    suppressionList = {
+      add: jest.fn(async () => ({ entry: {}, created: true })),
+      check: jest.fn(async () => null)
+    };
+    service = new PrivacyService(database, { hubspot, suppressionList, secret: SECRET });
+
+    seedLocalData(database);
+  });
+
+  afterEach(() => {
+    database.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function seedLocalData(db) {
+    db.db.prepare(`
+      INSERT INTO imported_contacts (email, first_name, source, data) VALUES (?, ?, 'csv', ?)
+    `).run('jane@acme.com', 'Jane', JSON.stringify({ email: 'jane@acme.com' }));
+    db.db.prepare(`
+      INSERT INTO imported_contacts (email, first_name, source, data) VALUES (?, ?, 'csv', '{}')
+    `).run('bob@acme.com', 'Bob');
+
+    const conversation = db.getOrCreateLeadConversation('Jane@Acme.com', 'camp-1', { leadName: 'Jane' });
+    db.addLeadMessage(conversation.id, 'inbound', 'Interested, call me on +44 7700 900123');
+    db.addReviewItem({ conversationId: conversation.id, leadEmail: 'Jane@Acme.com', content: 'Draft reply' });
+
+    db.saveCalendarMeeting({
+      source: 'ics',
+      externalId: 'm1',
+      title: 'Intro',
+      startTime: '2026-10-21T09:00:00Z',
+      attendees: [{ email: 'jane@acme.com', name: 'Jane' }, { email: 'sam@rtgs.global', name: 'Sam' }]
+    });
+  }
+
+  it('exports every store as one bundle with a signed audit record', async () => {
+    const { bundle, request } = await service.export(' JANE@acme.com ', { actor: 'u1', note: 'DSAR-42' });
+
+    expect(bundle.subject).toBe('jane@acme.com');
+    expect(bundle.request_id).toBe(request.id);
+    expect(bundle.sources.sqlite.imported_contacts).toHaveLength(1);
+    expect(bundle.sources.sqlite.lead_messages[0].content).toContain('call me');
+    expect(bundle.sources.sqlite.ai_review_queue).toHaveLength(1);
+    expect(bundle.sources.sqlite.calendar_meetings).toHaveLength(1);
+    expect(bundle.sources.postgres.campaign_enrollments[0].id).toBe('enr-1');
+    expect(bundle.sources.postgres.campaign_events).toHaveLength(1);
+    expect(bundle.sources.postgres.webhook_deliveries[0].id).toBe('del-1');
+    expect(WebhookDelivery.findAll.mock.calls[0][0].where[Op.or]).toContainEqual(
+      { 'payload.data.enrollment_id': { [Op.in]: ['enr-1'] } }
+    );
+    expect(bundle.sources.hubspot).toMatchObject({ status: 'found', contact: { id: '501' } });
+
+    expect(request).toMatchObject({ request_type: 'export', status: 'completed', actor: 'u1' });
+    expect(request.summary.sqlite.lead_messages).toBe(1);
+    expect(JSON.stringify(request)).not.toContain('jane@acme.com');
+  });
+
+  it('erases local data, pseudonymizes campaigns, deletes from HubSpot and suppresses', async () => {
+    const request = await service.erase('jane@acme.com', { actor: 'u1' });
+
+    expect(suppressionList.add).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'email', value: 'jane@acme.com', reason: 'legal_request'
+    }));
+
+    const remaining = database.getDataSubjectRecords('jane@acme.com');
+    expect(PrivacyService.countRecords(remaining)).toEqual(
+      Object.fromEntries(Object.keys(remaining).map(table => [table, 0]))
+    );
+    expect(database.db.prepare('SELECT COUNT(*) AS n FROM imported_contacts').get().n).toBe(1);
+
+    const [meeting] = database.listCalendarMeetings().meetings;
+    expect(meeting.attendees).toEqual([{ email: 'sam@rtgs.global', name: 'Sam' }]);
+
+    expect(CampaignEnrollment.update).toHaveBeenCalledWith(
+      { metadata: { erased_at: expect.any(String) }, next_action_at: null },
+      expect.objectContaining({ where: { id: ['enr-1'] } })
+    );
+    expect(CampaignEvent.update).toHaveBeenCalledWith({ metadata: {} }, expect.anything());
+    expect(WebhookDelivery.destroy.mock.calls[0][0].where[Op.or]).toContainEqual(
+      { payload: { [Op.contains]: { data: { enrollment_ids: ['enr-1'] } } } }
+    );
+    expect(hubspot.gdprDeleteContact).toHaveBeenCalledWith('501');
+
+    expect(request).toMatchObject({ request_type: 'erase', status: 'completed' });
+    expect(request.summary.sqlite).toMatchObject({ imported_contacts: 1, lead_messages: 1, calendar_meetings: 1 });
+    expect(request.summary.postgres.video_generations).toBe(2);
+    expect(request.summary.postgres.webhook_deliveries).toBe(1);
+    expect(request.summary.hubspot).toBe('deleted');
+  });
+
+  it('marks the request partial when HubSpot fails', async () => {
+    hubspot.gdprDeleteContact.mockResolvedValueOnce({ success: false, error: 'HubSpot API error: 500' });
+
+    const request = await service.erase('jane@acme.com');
+
+    expect(request.status).toBe('partial');
+    expect(database.getDataSubjectRecords('jane@acme.com').imported_contacts).toHaveLength(0);
+  });
+
+  it('verifies stored signatures and detects tampering', async () => {
+    await service.erase('jane@acme.com', { actor: 'u1' });
+
+    let { requests } = await service.listRequests();
+    expect(requests[0].signature_valid).toBe(true);
+
+    privacyRequests[0].actor = 'someone-else';
+    ({ requests } = await service.listRequests());
+    expect(requests[0].signature_valid).toBe(false);
+  });
+
+  it('refuses requests without a signing secret', async () => {
+    const unsigned = new PrivacyService(database, { hubspot, suppressionList, secret: '' });
+
+    expect(unsigned.configured).toBe(false);
+    await expect(unsigned.erase('jane@acme.com')).rejects.toThrow('PRIVACY_AUDIT_SECRET');
+    expect(suppressionList.add).not.toHaveBeenCalled();
+  });
+});
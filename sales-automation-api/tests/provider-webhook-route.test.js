@@ -0,0 +1,131 @@
+/**
+ * Provider Webhook Route Tests
+ * Posts Lemlist callbacks through the /api authentication and the campaigns
+ * router with supertest. Message lookups and the orphaned event queue are
+ * stand-ins so these tests don't require the database or Redis.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+
+const SECRET = 'lemlist_test_secret';
+
+// The campaign controller imports the models, whose PostgreSQL connection
+// refuses to load without credentials. Public webhooks never query it.
+process.env.POSTGRES_HOST ??= 'localhost';
+process.env.POSTGRES_DB ??= 'webhook_route_test';
+process.env.POSTGRES_USER ??= 'webhook_route_test';
+process.env.POSTGRES_PASSWORD ??= 'webhook_route_test';
+
+const findEnrollment = jest.fn();
+const enqueue = jest.fn(async () => true);
+
+jest.unstable_mockModule('../src/services/ProviderMessageLookup.js', () => {
+  const ProviderMessageLookup = {
+    findEnrollment,
+    findEnrollmentByThread: async () => null
+  };
+  return { ProviderMessageLookup, default: ProviderMessageLookup };
+});
+
+jest.unstable_mockModule('../src/services/OrphanedEventQueue.js', () => ({
+  default: { enqueue }
+}));
+
+const { default: campaignRoutes } = await import('../src/routes/campaigns.js');
+const { authenticate } = await import('../src/middleware/authenticate.js');
+const { authenticateDb } = await import('../src/middleware/authenticate-db.js');
+const { saveRawBody } = await import('../src/middleware/webhook-auth.js');
+
+const sign = body => `sha256=${crypto.createHmac('sha256', SECRET).update(body, 'utf8').digest('hex')}`;
+
+const openedEvent = {
+  _id: 'evt_1',
+  type: 'emailsOpened',
+  leadId: 'lead_1',
+  leadEmail: 'jane@acme.com',
+  createdAt: '2025-12-02T15:00:00Z'
+};
+
+describe.each([
+  ['authenticateDb', authenticateDb],
+  ['authenticate', authenticate]
+])('POST /api/campaigns/events/webhook/:provider behind %s', (name, auth) => {
+  const processCampaignEvent = jest.fn(async () => ({ created: true }));
+  let app;
+  let originalSecret;
+
+  beforeAll(() => {
+    originalSecret = process.env.LEMLIST_WEBHOOK_SECRET;
+    process.env.LEMLIST_WEBHOOK_SECRET = SECRET;
+
+    app = express();
+    app.use(express.json({ verify: saveRawBody }));
+    app.locals.processCampaignEvent = processCampaignEvent;
+    app.use('/api', auth);
+    app.use('/api/campaigns', campaignRoutes);
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) {
+      delete process.env.LEMLIST_WEBHOOK_SECRET;
+    } else {
+      process.env.LEMLIST_WEBHOOK_SECRET = originalSecret;
+    }
+  });
+
+  beforeEach(() => {
+    findEnrollment.mockReset();
+    enqueue.mockClear();
+    processCampaignEvent.mockClear();
+  });
+
+  const post = (body, signature) => {
+    const req = request(app)
+      .post('/api/campaigns/events/webhook/lemlist')
+      .set('Content-Type', 'application/json');
+    if (signature) {
+      req.set('X-Lemlist-Signature', signature);
+    }
+    return req.send(body);
+  };
+
+  it('should accept a signed callback without an API key', async () => {
+    findEnrollment.mockResolvedValue({ id: 'enr_1', instance_id: 'inst_1', current_step: 1 });
+    const body = JSON.stringify(openedEvent);
+
+    const response = await post(body, sign(body));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ received: 1, processed: 1 });
+    expect(processCampaignEvent).toHaveBeenCalledWith(expect.objectContaining({
+      enrollment_id: 'enr_1',
+      event_type: 'opened',
+      provider: 'lemlist'
+    }));
+  });
+
+  it('should reject an unsigned callback', async () => {
+    const response = await post(JSON.stringify(openedEvent));
+
+    expect(response.status).toBe(401);
+    expect(processCampaignEvent).not.toHaveBeenCalled();
+  });
+
+  it('should queue events whose enrollment is not found yet', async () => {
+    findEnrollment.mockResolvedValue(null);
+    const body = JSON.stringify(openedEvent);
+
+    const response = await post(body, sign(body));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ received: 1, processed: 0, queued: 1, uncorrelated: 0 });
+    expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+      enrollment_id: null,
+      provider_message_id: 'lead_1'
+    }));
+    expect(processCampaignEvent).not.toHaveBeenCalled();
+  });
+});
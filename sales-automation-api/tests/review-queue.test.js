@@ -0,0 +1,248 @@
+/**
+ * Review Queue Unit Tests
+ *
+ * Covers the ai_review_queue database methods and the review controller,
+ * using a real SQLite database in a temp directory and a responder whose
+ * send path is stubbed, so no AI or email provider is needed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Database } from '../src/utils/database.js';
+import { ConversationalResponder } from '../src/services/ConversationalResponder.js';
+import * as controller from '../src/controllers/review-controller.js';
+
+const DRAFT = 'Hi Jane, thanks for getting back to me. Happy to walk you through how settlement works on our network next week.';
+
+function queueDraft(database, overrides = {}) {
+  const conversation = database.getOrCreateLeadConversation('jane@acme.com', 'camp-1');
+  return database.addReviewItem({
+    conversationId: conversation.id,
+    leadEmail: 'jane@acme.com',
+    leadName: 'Jane',
+    campaignId: 'camp-1',
+    incomingMessage: 'Can you tell me more?',
+    intent: 'question',
+    sentiment: 'neutral',
+    subject: 'Re: Settlement',
+    content: DRAFT,
+    ...overrides
+  });
+}
+
+function createRes() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+}
+
+describe('Review queue', () => {
+  let tempDir;
+  let database;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'review-queue-'));
+    database = new Database(join(tempDir, 'test.db'));
+    await database.initialize();
+  });
+
+  afterEach(() => {
+    database.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('database', () => {
+    it('should list pending items oldest first with stats', () => {
+      const first = queueDraft(database);
+      const second = queueDraft(database, { channel: 'linkedin' });
+      database.transitionReviewItem(second.id, ['pending'], 'rejected');
+
+      expect(database.listReviewItems().items.map(item => item.id)).toEqual([first.id]);
+      expect(database.listReviewItems({ status: 'all' }).total).toBe(2);
+      expect(database.listReviewItems({ status: 'all', channel: 'linkedin' }).items[0].id).toBe(second.id);
+      expect(database.getReviewQueueStats()).toEqual({ pending: 1, sending: 0, sent: 0, failed: 0, rejected: 1 });
+    });
+
+    it('should only edit drafts that are pending or failed', () => {
+      const item = queueDraft(database);
+
+      expect(database.updateReviewDraft(item.id, { content: 'Edited', reviewedBy: 'rep-1' })).toBe(true);
+      const edited = database.getReviewItem(item.id);
+      expect(edited.draft_content).toBe('Edited');
+      expect(edited.draft_subject).toBe('Re: Settlement');
+      expect(edited.original_content).toBe(DRAFT);
+
+      database.transitionReviewItem(item.id, ['pending'], 'sending');
+      expect(database.updateReviewDraft(item.id, { content: 'Too late' })).toBe(false);
+    });
+
+    it('should guard transitions by the current status', () => {
+      const item = queueDraft(database);
+
+      expect(database.transitionReviewItem(item.id, ['pending', 'failed'], 'sending', { reviewedBy: 'rep-1' })).toBe(true);
+      expect(database.transitionReviewItem(item.id, ['pending', 'failed'], 'sending')).toBe(false);
+      expect(database.transitionReviewItem(item.id, ['sending'], 'sent', { sendResult: { sent: true } })).toBe(true);
+
+      const sent = database.getReviewItem(item.id);
+      expect(sent.status).toBe('sent');
+      expect(sent.reviewed_by).toBe('rep-1');
+      expect(sent.send_result).toEqual({ sent: true });
+      expect(sent.sent_at).not.toBeNull();
+    });
+
+    it('should release items stuck in sending past the lease', () => {
+      const stuck = queueDraft(database);
+      const fresh = queueDraft(database);
+      database.transitionReviewItem(stuck.id, ['pending'], 'sending');
+      database.transitionReviewItem(fresh.id, ['pending'], 'sending');
+      database.db.prepare(`UPDATE ai_review_queue SET updated_at = datetime('now', '-30 minutes') WHERE id = ?`).run(stuck.id);
+
+      expect(database.releaseStaleReviewItems(15)).toBe(1);
+      expect(database.getReviewItem(stuck.id)).toMatchObject({
+        status: 'failed',
+        send_result: { sent: false, reason: 'send_interrupted' }
+      });
+      expect(database.getReviewItem(fresh.id).status).toBe('sending');
+    });
+  });
+
+  describe('controller', () => {
+    let responder;
+    let sendResponse;
+    let req;
+
+    beforeEach(() => {
+      responder = new ConversationalResponder(database, null, {}, { requireReview: true });
+      sendResponse = jest.spyOn(responder, '_sendResponse').mockResolvedValue({ sent: true, provider: 'postmark' });
+      req = {
+        app: { locals: { conversationalResponder: responder } },
+        user: { id: 'rep-1' },
+        validatedQuery: { status: 'pending', limit: 50, offset: 0 },
+        validatedParams: {},
+        validatedBody: {}
+      };
+    });
+
+    afterEach(() => {
+      responder.shutdown();
+    });
+
+    it('should list the queue with stats and pagination', async () => {
+      queueDraft(database);
+      const res = createRes();
+
+      await controller.listReviewItems(req, res);
+
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.stats.pending).toBe(1);
+      expect(res.body.pagination).toEqual({ total: 1, limit: 50, offset: 0, hasMore: false });
+    });
+
+    it('should return 503 without a responder', async () => {
+      req.app.locals.conversationalResponder = null;
+      const res = createRes();
+
+      await controller.listReviewItems(req, res);
+
+      expect(res.statusCode).toBe(503);
+    });
+
+    it('should edit a draft and reject edits once rejected', async () => {
+      const item = queueDraft(database);
+      req.validatedParams = { id: item.id };
+      req.validatedBody = { content: `${DRAFT} Does Tuesday work?` };
+
+      const res = createRes();
+      await controller.updateReviewDraft(req, res);
+      expect(res.body.data.draft_content).toBe(`${DRAFT} Does Tuesday work?`);
+
+      await controller.rejectReview({ ...req, validatedBody: { reason: 'Off tone' } }, createRes());
+
+      const conflict = createRes();
+      await controller.updateReviewDraft(req, conflict);
+      expect(conflict.statusCode).toBe(409);
+    });
+
+    it('should approve and send a draft once', async () => {
+      const item = queueDraft(database);
+      req.validatedParams = { id: item.id };
+
+      const res = createRes();
+      await controller.approveReview(req, res);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toMatchObject({ status: 'sent', reviewed_by: 'rep-1' });
+      expect(res.body.data.outbound_message_id).not.toBeNull();
+      expect(sendResponse).toHaveBeenCalledWith('jane@acme.com', 'camp-1', { content: DRAFT, subject: 'Re: Settlement' }, 'email', null);
+
+      const again = createRes();
+      await controller.approveReview(req, again);
+      expect(again.statusCode).toBe(409);
+      expect(sendResponse).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave a draft retryable when the send throws', async () => {
+      const item = queueDraft(database);
+      req.validatedParams = { id: item.id };
+      sendResponse.mockRejectedValueOnce(new Error('Postmark unavailable'));
+
+      const failed = createRes();
+      await controller.approveReview(req, failed);
+
+      expect(failed.statusCode).toBe(502);
+      expect(failed.body.message).toBe('Postmark unavailable');
+      expect(database.getReviewItem(item.id).status).toBe('failed');
+
+      const retried = createRes();
+      await controller.approveReview(req, retried);
+      expect(retried.body.data.status).toBe('sent');
+    });
+
+    it('should mark a sent draft sent even if recording the message fails', async () => {
+      const item = queueDraft(database);
+      req.validatedParams = { id: item.id };
+      jest.spyOn(database, 'addLeadMessage').mockImplementationOnce(() => {
+        throw new Error('disk I/O error');
+      });
+
+      const res = createRes();
+      await controller.approveReview(req, res);
+
+      expect(res.body.data.status).toBe('sent');
+    });
+
+    it('should reject drafts that fail content checks', async () => {
+      const item = queueDraft(database);
+      req.validatedParams = { id: item.id };
+      req.validatedBody = { content: 'ok' };
+
+      const res = createRes();
+      await controller.approveReview(req, res);
+
+      expect(res.statusCode).toBe(400);
+      expect(sendResponse).not.toHaveBeenCalled();
+      expect(database.getReviewItem(item.id).status).toBe('pending');
+    });
+
+    it('should return 404 for unknown items', async () => {
+      req.validatedParams = { id: 999 };
+      const res = createRes();
+
+      await controller.rejectReview(req, res);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Salesforce Client Unit Tests
+ *
+ * Runs the client in mock mode (in-memory records) and syncs through
+ * CRMSyncWorker, so no Salesforce org or network access is needed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { SalesforceClient } from '../src/clients/salesforce-client.js';
+import { CRMSyncWorker } from '../src/workers/crm-sync-worker.js';
+import { getFieldMapping, mapFields } from '../src/config/crm-field-mapping.js';
+
+function createDatabase() {
+  const statement = { run: jest.fn(), get: jest.fn(), all: jest.fn(() => []) };
+  return {
+    statement,
+    db: { prepare: jest.fn(() => statement) }
+  };
+}
+
+describe('SalesforceClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new SalesforceClient({ mockMode: true });
+  });
+
+  describe('configuration', () => {
+    it('should require credentials outside mock mode', () => {
+      expect(() => new SalesforceClient({ mockMode: false })).toThrow('SALESFORCE_CLIENT_ID');
+    });
+
+    it('should report itself as the salesforce CRM', () => {
+      expect(client.name).toBe('salesforce');
+    });
+  });
+
+  describe('contacts', () => {
+    it('should create and find contacts by email, case-insensitively', async () => {
+      const created = await client.createContact({ Email: 'Ada@Example.com', FirstName: 'Ada' });
+
+      expect(created.success).toBe(true);
+      expect(created.contactId).toMatch(/^003/);
+      expect(created.contact.properties.LastName).toBe('Ada');
+
+      const found = await client.findContactByEmail('ada@example.com');
+      expect(found).toMatchObject({ success: true, found: true, contact: { id: created.contactId } });
+    });
+
+    it('should return an error result when updating a missing contact', async () => {
+      const result = await client.updateContact('003000000000999AAA', { Title: 'CFO' });
+
+      expect(result).toMatchObject({ success: false, method: 'updateContact', statusCode: 404 });
+    });
+
+    it('should update existing contacts and create new ones in a batch upsert', async () => {
+      const { contactId } = await client.createContact({ Email: 'ada@example.com', LastName: 'Lovelace' });
+
+      const result = await client.batchUpsertContacts([
+        { Email: 'ada@example.com', Title: 'CTO' },
+        { Email: 'grace@example.com', FirstName: 'Grace', LastName: 'Hopper' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.count).toBe(2);
+      expect(result.results).toEqual([
+        expect.objectContaining({ email: 'grace@example.com', action: 'created', success: true }),
+        expect.objectContaining({ id: contactId, action: 'updated', success: true })
+      ]);
+
+      const ada = await client.findContactByEmail('ada@example.com');
+      expect(ada.contact.properties).toMatchObject({ LastName: 'Lovelace', Title: 'CTO' });
+    });
+  });
+
+  describe('accounts and opportunities', () => {
+    it('should match accounts on the website hostname only', async () => {
+      await client.createCompany({ Name: 'Not Acme', Website: 'https://notacme.com' });
+      const { companyId } = await client.createCompany({ Name: 'Acme', Website: 'https://www.acme.com/about' });
+
+      const result = await client.findCompanyByDomain('acme.com');
+
+      expect(result).toMatchObject({ found: true, company: { id: companyId } });
+      expect((await client.findCompanyByDomain('acme.io')).found).toBe(false);
+    });
+
+    it('should default opportunity stage and close date and link contacts by role', async () => {
+      const { contactId } = await client.createContact({ Email: 'ada@example.com' });
+      const deal = await client.createDeal({ Name: 'Acme - Treasury' });
+
+      expect(deal.dealId).toMatch(/^006/);
+      expect(deal.deal.properties.StageName).toBe('Prospecting');
+      expect(deal.deal.properties.CloseDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+      const role = await client.associateContactToDeal(contactId, deal.dealId);
+      expect(role.success).toBe(true);
+      expect(client.mockRecords.get('OpportunityContactRole').get(role.result.id))
+        .toMatchObject({ ContactId: contactId, OpportunityId: deal.dealId });
+    });
+
+    it('should log notes as completed tasks on the contact', async () => {
+      const note = await client.createNote({
+        body: 'Contact enriched via Explorium\n\nDetails',
+        associatedObjectType: 'contact',
+        associatedObjectId: '003000000000001AAA'
+      });
+
+      expect(note.note.properties).toMatchObject({
+        Subject: 'Contact enriched via Explorium',
+        Status: 'Completed',
+        WhoId: '003000000000001AAA'
+      });
+    });
+
+    it('should translate HubSpot task values to Salesforce picklists', async () => {
+      const task = await client.createTask({
+        subject: 'Follow up',
+        status: 'NOT_STARTED',
+        priority: 'HIGH',
+        associatedObjectType: 'deal',
+        associatedObjectId: '006000000000001AAA'
+      });
+
+      expect(task.task.properties).toMatchObject({
+        Status: 'Not Started',
+        Priority: 'High',
+        WhatId: '006000000000001AAA'
+      });
+    });
+  });
+
+  describe('escapeSoql', () => {
+    it('should escape quotes and backslashes', () => {
+      expect(SalesforceClient.escapeSoql("o'brien\\x")).toBe("o\\'brien\\\\x");
+    });
+
+    it('should escape LIKE wildcards when requested', () => {
+      expect(SalesforceClient.escapeSoql('100%_off')).toBe('100%_off');
+      expect(SalesforceClient.escapeSoql('100%_off', true)).toBe('100\\%\\_off');
+    });
+  });
+});
+
+describe('CRM field mapping', () => {
+  afterEach(() => {
+    delete process.env.SALESFORCE_FIELD_MAPPING;
+  });
+
+  it('should drop fields mapped to null', () => {
+    const mapping = getFieldMapping('salesforce');
+
+    expect(mapFields(mapping.contact, { email: 'a@b.co', painPoints: 'cash visibility' }))
+      .toEqual({ Email: 'a@b.co' });
+  });
+
+  it('should merge environment and explicit overrides over the defaults', () => {
+    process.env.SALESFORCE_FIELD_MAPPING = '{"contact":{"painPoints":"Pain_Points__c","title":"Job_Title__c"}}';
+
+    const mapping = getFieldMapping('salesforce', { contact: { title: null } });
+
+    expect(mapping.contact).toMatchObject({ email: 'Email', painPoints: 'Pain_Points__c', title: null });
+  });
+
+  it('should ignore invalid overrides', () => {
+    process.env.SALESFORCE_FIELD_MAPPING = '{not json';
+
+    expect(getFieldMapping('salesforce').contact.email).toBe('Email');
+  });
+});
+
+describe('CRMSyncWorker with Salesforce', () => {
+  const enrichedContact = {
+    email: 'ada@acme.com',
+    firstName: 'Ada',
+    lastName: 'Lovelace',
+    title: 'CFO',
+    linkedinUrl: 'https://linkedin.com/in/ada',
+    company: { name: 'Acme', domain: 'acme.com', employees: 250 },
+    intelligence: {
+      painHypotheses: [{ pain: 'Cash visibility', confidence: 0.8 }],
+      personalizationHooks: [],
+      whyNow: null
+    },
+    dataQuality: 0.9,
+    enrichedAt: '2026-10-01T00:00:00.000Z'
+  };
+
+  let client;
+  let database;
+  let worker;
+
+  beforeEach(() => {
+    client = new SalesforceClient({ mockMode: true });
+    database = createDatabase();
+    worker = new CRMSyncWorker(client, database);
+  });
+
+  it('should create the contact and account, link them and log the enrichment', async () => {
+    const result = await worker.syncContact(enrichedContact);
+
+    expect(result).toMatchObject({ success: true, action: 'created' });
+
+    const contact = client.mockRecords.get('Contact').get(result.contactId);
+    expect(contact).toMatchObject({ Email: 'ada@acme.com', Title: 'CFO', AccountId: result.companyId });
+    expect(contact).not.toHaveProperty('pain_points');
+    expect(client.mockRecords.get('Account').get(result.companyId))
+      .toMatchObject({ Name: 'Acme', Website: 'acme.com', NumberOfEmployees: 250 });
+    expect([...client.mockRecords.get('Task').values()][0]).toMatchObject({ WhoId: result.contactId });
+
+    expect(database.statement.run).toHaveBeenCalledWith(
+      'contact', 'ada@acme.com', 'salesforce', result.contactId, null, expect.any(String)
+    );
+  });
+
+  it('should update on the second sync instead of duplicating', async () => {
+    const first = await worker.syncContact(enrichedContact, { logActivity: false });
+    const second = await worker.syncContact({ ...enrichedContact, title: 'CEO' }, { logActivity: false });
+
+    expect(second).toMatchObject({ success: true, action: 'updated', contactId: first.contactId, companyId: first.companyId });
+    expect(client.mockRecords.get('Contact').size).toBe(1);
+    expect(client.mockRecords.get('Account').size).toBe(1);
+  });
+
+  it('should sync custom fields once they are mapped', async () => {
+    worker = new CRMSyncWorker(client, database, {
+      fieldMapping: { contact: { painPoints: 'Pain_Points__c' } }
+    });
+
+    const result = await worker.syncContact(enrichedContact, { associateCompany: false, logActivity: false });
+
+    expect(client.mockRecords.get('Contact').get(result.contactId).Pain_Points__c).toBe('Cash visibility');
+  });
+
+  it('should bulk upsert mapped contacts', async () => {
+    const result = await worker.bulkUpsertContacts([enrichedContact, { ...enrichedContact, title: 'CEO' }]);
+
+    expect(result.count).toBe(1);
+    expect([...client.mockRecords.get('Contact').values()][0]).toMatchObject({ Email: 'ada@acme.com', Title: 'CEO' });
+  });
+});
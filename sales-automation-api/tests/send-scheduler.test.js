@@ -0,0 +1,195 @@
+/**
+ * Send Scheduler Unit Tests
+ *
+ * Tests for recipient timezone inference, public holiday calendars and
+ * send window deferral. No database access.
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import { SendScheduler, SendWindowDeferredError } from '../src/services/SendScheduler.js';
+import { SequenceEngine } from '../src/services/SequenceEngine.js';
+import { inferRecipientTimeZone } from '../src/utils/recipient-timezone.js';
+import { getHolidays } from '../src/config/holidays.js';
+
+const scheduler = new SendScheduler({ quietHours: '20:00-07:00', respectHolidays: true, defaultTimeZone: null });
+
+function check(contact, sendWindow, now) {
+  return scheduler.nextAllowedTime(contact, scheduler.resolveWindow({ send_window: sendWindow }), new Date(now));
+}
+
+describe('inferRecipientTimeZone', () => {
+  it('should prefer an explicit timezone over location data', () => {
+    expect(inferRecipientTimeZone({ timezone: 'Asia/Tokyo', country: 'Japan' }))
+      .toEqual({ timeZone: 'Asia/Tokyo', country: 'JP', source: 'contact_timezone' });
+  });
+
+  it('should resolve cities, states and countries from location strings', () => {
+    expect(inferRecipientTimeZone({ location: 'Austin, TX' }).timeZone).toBe('America/Chicago');
+    expect(inferRecipientTimeZone({ location: 'Perth, WA' }).timeZone).toBe('Australia/Perth');
+    expect(inferRecipientTimeZone({ location: 'Greater Sydney Area, Australia' }).timeZone).toBe('Australia/Sydney');
+    expect(inferRecipientTimeZone({ location: 'San Francisco Bay Area' }).timeZone).toBe('America/Los_Angeles');
+    expect(inferRecipientTimeZone({ city: 'Denver', state: 'Colorado', country: 'United States' }))
+      .toEqual({ timeZone: 'America/Denver', country: 'US', source: 'contact_location' });
+    expect(inferRecipientTimeZone({ country: 'SG' }).timeZone).toBe('Asia/Singapore');
+  });
+
+  it('should fall back to the company headquarters', () => {
+    expect(inferRecipientTimeZone({
+      email: 'jane@acme.com',
+      company: { headquartersCity: 'Seattle', headquartersState: 'WA', headquartersCountry: 'United States' }
+    })).toEqual({ timeZone: 'America/Los_Angeles', country: 'US', source: 'company_hq' });
+  });
+
+  it('should return null when nothing is known', () => {
+    expect(inferRecipientTimeZone({ email: 'jane@acme.com' })).toBeNull();
+    expect(inferRecipientTimeZone({ location: 'Remote' })).toBeNull();
+  });
+});
+
+describe('getHolidays', () => {
+  it('should compute Easter-relative and nth-weekday holidays', () => {
+    const uk = getHolidays('GB', 2026);
+    expect(uk.get('2026-04-03')).toBe('Good Friday');
+    expect(uk.get('2026-04-06')).toBe('Easter Monday');
+    expect(uk.get('2026-05-25')).toBe('Spring Bank Holiday');
+
+    expect(getHolidays('US', 2026).get('2026-11-26')).toBe('Thanksgiving');
+    expect(getHolidays('CA', 2026).get('2026-05-18')).toBe('Victoria Day');
+  });
+
+  it('should move weekend holidays to the day they are observed', () => {
+    // Christmas 2027 is a Saturday, Boxing Day a Sunday
+    const au = getHolidays('AU', 2027);
+    expect(au.get('2027-12-27')).toBe('Christmas Day (observed)');
+    expect(au.get('2027-12-28')).toBe('Boxing Day (observed)');
+
+    // US: Saturday holidays are observed on Friday
+    expect(getHolidays('US', 2026).get('2026-07-03')).toBe('Independence Day (observed)');
+  });
+
+  it('should return no holidays for unknown countries', () => {
+    expect(getHolidays('XX', 2026).size).toBe(0);
+  });
+});
+
+describe('SendScheduler', () => {
+  describe('nextAllowedTime', () => {
+    it('should hold a 2am send to an APAC prospect until quiet hours end', () => {
+      // 02:00 Wednesday in Singapore
+      const result = check({ location: 'Singapore' }, undefined, '2026-10-20T18:00:00Z');
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toBe('quiet_hours');
+      expect(result.timeZone).toBe('Asia/Singapore');
+      expect(result.retryAt.toISOString()).toBe('2026-10-20T23:00:00.000Z');
+    });
+
+    it('should allow sends inside the window', () => {
+      const result = check({ location: 'Singapore' }, undefined, '2026-10-21T02:00:00Z');
+
+      expect(result.allowed).toBe(true);
+    });
+
+    it('should move to the next allowed day across a DST change', () => {
+      // Thursday 11:30 in London, after a Tue-Thu 08:00-11:00 window;
+      // the clocks go back on Sunday 25 October
+      const result = check(
+        { country: 'United Kingdom' },
+        { days: ['tue', 'wed', 'thu'], start: '08:00', end: '11:00' },
+        '2026-10-22T10:30:00Z'
+      );
+
+      expect(result.reason).toBe('outside_window');
+      expect(result.retryAt.toISOString()).toBe('2026-10-27T08:00:00.000Z');
+    });
+
+    it('should skip the recipient country\'s public holidays', () => {
+      // Thanksgiving morning in Texas
+      const result = check(
+        { location: 'Austin, TX' },
+        { days: ['tue', 'wed', 'thu'], start: '09:00', end: '17:00' },
+        '2026-11-26T16:00:00Z'
+      );
+
+      expect(result.reason).toBe('holiday');
+      expect(result.retryAt.toISOString()).toBe('2026-12-01T15:00:00.000Z');
+    });
+
+    it('should skip campaign-specific holidays', () => {
+      // Lunar New Year is not in the computed calendars
+      const result = check(
+        { country: 'Singapore' },
+        { holidays: ['2027-02-08'] },
+        '2027-02-08T02:00:00Z'
+      );
+
+      expect(result.reason).toBe('holiday');
+      expect(result.retryAt.toISOString()).toBe('2027-02-08T23:00:00.000Z');
+    });
+
+    it('should use the campaign timezone only when nothing can be inferred', () => {
+      const window = { timezone: 'Asia/Tokyo', quiet_hours: null, start: '09:00', end: '18:00' };
+
+      expect(check({ email: 'jane@acme.com' }, window, '2026-10-21T00:30:00Z'))
+        .toMatchObject({ allowed: true, timeZone: 'Asia/Tokyo', source: 'campaign_default' });
+      expect(check({ location: 'Austin, TX' }, window, '2026-10-21T00:30:00Z'))
+        .toMatchObject({ allowed: false, timeZone: 'America/Chicago' });
+    });
+
+    it('should allow recipients with an unknown timezone', () => {
+      expect(check({ email: 'jane@acme.com' }, { start: '09:00', end: '10:00' }, '2026-10-21T03:00:00Z'))
+        .toMatchObject({ allowed: true, reason: 'timezone_unknown' });
+    });
+  });
+
+  describe('assertAllowed', () => {
+    const instance = id => ({ id, provider_config: { send_window: { start: '09:00', end: '17:00', channels: ['email'] } } });
+
+    it('should throw SendWindowDeferredError with the retry time', () => {
+      let error;
+      try {
+        scheduler.assertAllowed({ location: 'Singapore' }, instance('c1'), {
+          channel: 'email',
+          now: new Date('2026-10-20T18:00:00Z')
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(SendWindowDeferredError);
+      expect(error.retryAt.toISOString()).toBe('2026-10-21T01:00:00.000Z');
+      expect(error.details).toMatchObject({ reason: 'quiet_hours', timeZone: 'Asia/Singapore', country: 'SG' });
+    });
+
+    it('should leave channels outside the window config alone', () => {
+      expect(() => scheduler.assertAllowed({ location: 'Singapore' }, instance('c1'), {
+        channel: 'linkedin',
+        now: new Date('2026-10-20T18:00:00Z')
+      })).not.toThrow();
+    });
+
+    it('should send anyway when the window never opens', () => {
+      const mondays = ['2026-10-26', '2026-11-02', '2026-11-09', '2026-11-16'];
+
+      expect(() => scheduler.assertAllowed({ location: 'Singapore' }, {
+        id: 'c1',
+        provider_config: { send_window: { days: ['mon'], holidays: mondays } }
+      }, { channel: 'email', now: new Date('2026-10-20T18:00:00Z') })).not.toThrow();
+    });
+  });
+});
+
+describe('SequenceEngine send window handling', () => {
+  it('should defer the enrollment without counting a failure', async () => {
+    const engine = new SequenceEngine({ suppressionList: { assertAllowed: jest.fn() }, sendScheduler: scheduler });
+    const enrollment = { id: 'e1', metadata: { email: 'jane@acme.sg' }, update: jest.fn(async () => {}) };
+    const retryAt = new Date('2026-10-20T23:00:00Z');
+    const error = new SendWindowDeferredError('Outside window', { retryAt, reason: 'quiet_hours' });
+
+    await engine._handleStepFailure(enrollment, { step_number: 1, channel: 'email' }, error);
+
+    expect(enrollment.update).toHaveBeenCalledWith({ next_action_at: retryAt });
+    expect(engine.stats.deferred).toBe(1);
+    expect(engine.stats.failed).toBe(0);
+  });
+});
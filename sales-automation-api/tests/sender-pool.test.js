@@ -0,0 +1,240 @@
+/**
+ * Sender Pool Unit Tests
+ *
+ * Tests for mailbox rotation, daily caps and reputation thresholds.
+ *
+ * These tests focus on the pure static methods that don't require database access.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { SenderPool, DEFAULT_THRESHOLDS } from '../src/services/SenderPool.js';
+import { SenderPoolSchema } from '../src/validators/complete-schemas.js';
+import { ProviderConfig } from '../src/config/provider-config.js';
+
+const poolConfig = (overrides = {}) => SenderPool.getPoolConfig({
+  sender_pool: {
+    mailboxes: [
+      { address: 'Ana@Acme-Mail.com', provider: 'smtp', daily_cap: 2 },
+      { address: 'ben@acme-outreach.com', provider: 'postmark', daily_cap: 10, weight: 3 }
+    ],
+    ...overrides
+  }
+});
+
+describe('SenderPool', () => {
+  describe('getPoolConfig', () => {
+    it('should return null when the campaign has no sender pool', () => {
+      expect(SenderPool.getPoolConfig({ email_provider: 'postmark' })).toBeNull();
+      expect(SenderPool.getPoolConfig({ sender_pool: { mailboxes: [] } })).toBeNull();
+      expect(SenderPool.getPoolConfig(null)).toBeNull();
+    });
+
+    it('should normalize addresses and fill defaults', () => {
+      const pool = poolConfig();
+
+      expect(pool.strategy).toBe('round_robin');
+      expect(pool.mailboxes[0].address).toBe('ana@acme-mail.com');
+      expect(pool.mailboxes[0].weight).toBe(1);
+      expect(pool.thresholds).toEqual(DEFAULT_THRESHOLDS);
+    });
+
+    it('should merge partial thresholds over the defaults', () => {
+      const pool = poolConfig({ thresholds: { bounce_rate: 0.02 } });
+
+      expect(pool.thresholds.bounce_rate).toBe(0.02);
+      expect(pool.thresholds.min_sends).toBe(DEFAULT_THRESHOLDS.min_sends);
+    });
+  });
+
+  describe('orderCandidates', () => {
+    it('should rotate round robin by fewest sends today, ties in config order', () => {
+      const pool = poolConfig();
+
+      expect(SenderPool.orderCandidates(pool, new Map()).map(m => m.address))
+        .toEqual(['ana@acme-mail.com', 'ben@acme-outreach.com']);
+
+      const sentToday = new Map([['ana@acme-mail.com', 1]]);
+      expect(SenderPool.orderCandidates(pool, sentToday)[0].address).toBe('ben@acme-outreach.com');
+    });
+
+    it('should favour heavier mailboxes when weighted', () => {
+      const pool = poolConfig({ strategy: 'weighted' });
+      const sentToday = new Map([['ana@acme-mail.com', 0], ['ben@acme-outreach.com', 2]]);
+
+      // (2 + 1) / 3 = 1 vs (0 + 1) / 1 = 1 - tie keeps config order
+      expect(SenderPool.orderCandidates(pool, sentToday)[0].address).toBe('ana@acme-mail.com');
+
+      sentToday.set('ben@acme-outreach.com', 1);
+      expect(SenderPool.orderCandidates(pool, sentToday)[0].address).toBe('ben@acme-outreach.com');
+    });
+
+    it('should skip capped and suspended mailboxes', () => {
+      const pool = poolConfig();
+      const sentToday = new Map([['ana@acme-mail.com', 2]]);
+
+      expect(SenderPool.orderCandidates(pool, sentToday).map(m => m.address))
+        .toEqual(['ben@acme-outreach.com']);
+      expect(SenderPool.orderCandidates(pool, sentToday, new Set(['ben@acme-outreach.com'])))
+        .toEqual([]);
+    });
+    it('should keep an enrollment on its pinned mailbox', () => {
+      const pool = poolConfig();
+      const sentToday = new Map([['ben@acme-outreach.com', 1]]);
+
+      // Rotation would pick ana (fewer sends), the pin keeps ben
+      expect(SenderPool.orderCandidates(pool, sentToday, new Set(), 'Ben@acme-outreach.com').map(m => m.address))
+        .toEqual(['ben@acme-outreach.com']);
+    });
+
+    it('should wait for a capped pinned mailbox instead of switching', () => {
+      const pool = poolConfig();
+      const sentToday = new Map([['ana@acme-mail.com', 2]]);
+
+      expect(SenderPool.orderCandidates(pool, sentToday, new Set(), 'ana@acme-mail.com')).toEqual([]);
+    });
+
+    it('should rotate again when the pinned mailbox is suspended or removed', () => {
+      const pool = poolConfig();
+
+      expect(SenderPool.orderCandidates(pool, new Map(), new Set(['ana@acme-mail.com']), 'ana@acme-mail.com')
+        .map(m => m.address)).toEqual(['ben@acme-outreach.com']);
+      expect(SenderPool.orderCandidates(pool, new Map(), new Set(), 'old@acme-mail.com').map(m => m.address))
+        .toEqual(['ana@acme-mail.com', 'ben@acme-outreach.com']);
+    });
+  });
+
+  describe('computeRates / evaluateThresholds', () => {
+    const thresholds = { ...DEFAULT_THRESHOLDS, min_sends: 100 };
+
+    it('should sum usage rows across the window', () => {
+      const rates = SenderPool.computeRates([
+        { sent_count: 60, bounced_count: 3, complaint_count: 0 },
+        { sent_count: 40, bounced_count: 4, complaint_count: 1 }
+      ]);
+
+      expect(rates.sent).toBe(100);
+      expect(rates.bounceRate).toBeCloseTo(0.07);
+      expect(rates.complaintRate).toBeCloseTo(0.01);
+    });
+
+    it('should not judge a mailbox before min_sends', () => {
+      const rates = SenderPool.computeRates([{ sent_count: 20, bounced_count: 10, complaint_count: 0 }]);
+      expect(SenderPool.evaluateThresholds(rates, thresholds)).toBeNull();
+    });
+
+    it('should suspend on complaints before bounces', () => {
+      const rates = SenderPool.computeRates([{ sent_count: 100, bounced_count: 10, complaint_count: 1 }]);
+      expect(SenderPool.evaluateThresholds(rates, thresholds).reason).toBe('complaint_rate');
+    });
+
+    it('should suspend on bounce rate', () => {
+      const rates = SenderPool.computeRates([{ sent_count: 100, bounced_count: 5, complaint_count: 0 }]);
+      expect(SenderPool.evaluateThresholds(rates, thresholds)).toMatchObject({
+        reason: 'bounce_rate',
+        rate: 0.05,
+        threshold: 0.05
+      });
+    });
+
+    it('should keep healthy mailboxes sending', () => {
+      const rates = SenderPool.computeRates([{ sent_count: 100, bounced_count: 1, complaint_count: 0 }]);
+      expect(SenderPool.evaluateThresholds(rates, thresholds)).toBeNull();
+    });
+  });
+
+  describe('nextUtcMidnight', () => {
+    it('should return the next daily cap reset', () => {
+      expect(SenderPool.nextUtcMidnight(new Date('2025-12-01T15:30:00Z')).toISOString())
+        .toBe('2025-12-02T00:00:00.000Z');
+    });
+  });
+
+  describe('SenderPoolSchema', () => {
+    it('should accept env var references for credentials', () => {
+      const result = SenderPoolSchema.safeParse({
+        mailboxes: [{ address: 'ana@acme-mail.com', provider: 'smtp', password_env: 'SMTP_MAILBOX_ANA_PASSWORD' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.mailboxes[0].daily_cap).toBe(50);
+    });
+
+    it('should reject inline secrets and duplicate mailboxes', () => {
+      expect(SenderPoolSchema.safeParse({
+        mailboxes: [{ address: 'ana@acme-mail.com', provider: 'smtp', password: 'hunter2' }]
+      }).success).toBe(false);
+
+      expect(SenderPoolSchema.safeParse({
+        mailboxes: [
+          { address: 'ana@acme-mail.com', provider: 'smtp' },
+          { address: 'ANA@acme-mail.com', provider: 'postmark' }
+        ]
+      }).success).toBe(false);
+    });
+
+    it('should only accept env vars under the mailbox prefix', () => {
+      const mailbox = fields => SenderPoolSchema.safeParse({
+        mailboxes: [{ address: 'ana@acme-mail.com', provider: 'smtp', ...fields }]
+      }).success;
+
+      expect(mailbox({ password_env: 'SMTP_PASSWORD' })).toBe(false);
+      expect(mailbox({ password_env: 'JWT_SECRET' })).toBe(false);
+      expect(mailbox({ dkim_private_key_env: 'SMTP_DKIM_PRIVATE_KEY' })).toBe(false);
+      expect(mailbox({ server_token_env: 'POSTMARK_SERVER_TOKEN' })).toBe(false);
+      expect(mailbox({ server_token_env: 'POSTMARK_MAILBOX_OUTREACH_TOKEN' })).toBe(true);
+    });
+  });
+
+  describe('ProviderConfig.getMailboxProviderConfig', () => {
+    let config;
+
+    beforeEach(() => {
+      config = new ProviderConfig();
+      config.config.smtp = {
+        ...config.config.smtp,
+        host: 'smtp.acme.com',
+        user: 'rep@acme.com',
+        password: 'base-password',
+        mailboxHosts: ['smtp.partner.com']
+      };
+      config.config.postmark = { ...config.config.postmark, serverToken: 'base-token' };
+      process.env.SMTP_MAILBOX_ANA_PASSWORD = 'ana-password';
+    });
+
+    afterEach(() => {
+      delete process.env.SMTP_MAILBOX_ANA_PASSWORD;
+    });
+
+    const smtp = fields => config.getMailboxProviderConfig({ address: 'ana@acme-mail.com', provider: 'smtp', ...fields });
+
+    it('should read the mailbox password from its own env var', () => {
+      expect(smtp({ password_env: 'SMTP_MAILBOX_ANA_PASSWORD' })).toMatchObject({
+        host: 'smtp.acme.com',
+        user: 'ana@acme-mail.com',
+        password: 'ana-password',
+        senderEmail: 'ana@acme-mail.com'
+      });
+      expect(smtp({ host: 'smtp.partner.com', password_env: 'SMTP_MAILBOX_ANA_PASSWORD' }).host).toBe('smtp.partner.com');
+    });
+
+    it('should only fall back to SMTP_PASSWORD on SMTP_HOST', () => {
+      expect(smtp({}).password).toBe('base-password');
+      expect(() => smtp({ host: 'smtp.partner.com' })).toThrow('needs its own password_env');
+    });
+
+    it('should refuse hosts outside SMTP_MAILBOX_HOSTS', () => {
+      expect(() => smtp({ host: 'mail.attacker.test', password_env: 'SMTP_MAILBOX_ANA_PASSWORD' }))
+        .toThrow('not in SMTP_MAILBOX_HOSTS');
+    });
+
+    it('should refuse secrets outside the prefix and unset variables', () => {
+      expect(() => smtp({ password_env: 'SMTP_PASSWORD' })).toThrow('SMTP_MAILBOX_*');
+      expect(() => smtp({ password_env: 'SMTP_MAILBOX_MISSING' })).toThrow('not set');
+      expect(() => config.getMailboxProviderConfig({
+        address: 'ben@acme-outreach.com',
+        provider: 'postmark',
+        server_token_env: 'POSTMARK_MAILBOX_MISSING'
+      })).toThrow('not set');
+    });
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Sequence Engine Unit Tests
+ *
+ * Tests for step planning and scheduling in the sequence engine, and for
+ * processEnrollment (claim, send, step advance, failure handling) against
+ * stand-ins for the models and providers, so no database is needed.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const models = {
+  CampaignEnrollment: { update: jest.fn() },
+  CampaignEvent: { create: jest.fn() },
+  CampaignInstance: { increment: jest.fn() },
+  EmailSequence: { findAll: jest.fn() },
+  LinkedInSequence: { findAll: jest.fn() }
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({ ...models, default: models }));
+
+const { SequenceEngine } = await import('../src/services/SequenceEngine.js');
+const { SuppressedRecipientError } = await import('../src/services/SuppressionList.js');
+const { SendWindowDeferredError } = await import('../src/services/SendScheduler.js');
+
+const row = values => ({ get: () => values });
+
+function createEnrollment(overrides = {}) {
+  const enrollment = {
+    id: 'enr-1',
+    instance_id: 'inst-1',
+    status: 'active',
+    current_step: 0,
+    next_action_at: new Date('2026-01-05T09:00:00Z'),
+    metadata: { email: 'jane@acme.com', first_name: 'Jane', outcome_recorded: true },
+    instance: { id: 'inst-1', template_id: 'tpl-1', template: { name: 'Intro', settings: {} } },
+    ...overrides
+  };
+  enrollment.update = jest.fn(async changes => Object.assign(enrollment, changes));
+  return enrollment;
+}
+
+describe('SequenceEngine', () => {
+  describe('buildStepPlan', () => {
+    it('should merge email and LinkedIn steps ordered by step_number', () => {
+      const plan = SequenceEngine.buildStepPlan(
+        [
+          { step_number: 3, subject: 'Follow up', delay_hours: 72 },
+          { step_number: 1, subject: 'Intro', delay_hours: 0 }
+        ],
+        [{ step_number: 2, type: 'connection_request', message: 'Hi', delay_hours: 24 }]
+      );
+
+      expect(plan.map(s => [s.step_number, s.channel])).toEqual([
+        [1, 'email'],
+        [2, 'linkedin'],
+        [3, 'email']
+      ]);
+    });
+
+    it('should run email before LinkedIn when step numbers tie', () => {
+      const plan = SequenceEngine.buildStepPlan(
+        [{ step_number: 1, subject: 'Intro' }],
+        [{ step_number: 1, type: 'profile_visit' }]
+      );
+
+      expect(plan.map(s => s.channel)).toEqual(['email', 'linkedin']);
+    });
+
+    it('should skip inactive steps', () => {
+      const plan = SequenceEngine.buildStepPlan(
+        [
+          { step_number: 1, subject: 'Intro', is_active: true },
+          { step_number: 2, subject: 'Disabled', is_active: false }
+        ],
+        []
+      );
+
+      expect(plan).toHaveLength(1);
+      expect(plan[0].subject).toBe('Intro');
+    });
+
+    it('should return an empty plan when template has no steps', () => {
+      expect(SequenceEngine.buildStepPlan()).toEqual([]);
+    });
+
+    it('should collapse email steps sharing a step_number into A/B variants', () => {
+      const plan = SequenceEngine.buildStepPlan(
+        [
+          { id: 's1b', step_number: 1, subject: 'Variant B', a_b_variant: 'B' },
+          { id: 's1a', step_number: 1, subject: 'Variant A', a_b_variant: 'A' },
+          { id: 's2', step_number: 2, subject: 'Follow up' }
+        ],
+        []
+      );
+
+      expect(plan).toHaveLength(2);
+      expect(plan[0].variants.map(v => v.a_b_variant)).toEqual(['A', 'B']);
+      expect(plan[0].channel).toBe('email');
+      expect(plan[1].variants).toBeUndefined();
+    });
+  });
+
+  describe('computeNextActionAt', () => {
+    it('should add delay_hours to the reference time', () => {
+      const from = new Date('2025-01-01T00:00:00Z');
+      expect(SequenceEngine.computeNextActionAt(from, 48).toISOString())
+        .toBe('2025-01-03T00:00:00.000Z');
+    });
+
+    it('should treat missing or negative delay as immediate', () => {
+      const from = new Date('2025-01-01T00:00:00Z');
+      expect(SequenceEngine.computeNextActionAt(from).getTime()).toBe(from.getTime());
+      expect(SequenceEngine.computeNextActionAt(from, -5).getTime()).toBe(from.getTime());
+      expect(SequenceEngine.computeNextActionAt(from, 'abc').getTime()).toBe(from.getTime());
+    });
+  });
+
+  describe('buildVariables', () => {
+    it('should map enrollment metadata to template variables', () => {
+      const variables = SequenceEngine.buildVariables({
+        email: 'jane@acme.com',
+        first_name: 'Jane',
+        company_name: 'Acme',
+        variables: { painPoint: 'churn' }
+      });
+
+      expect(variables).toEqual({
+        email: 'jane@acme.com',
+        firstName: 'Jane',
+        companyName: 'Acme',
+        painPoint: 'churn'
+      });
+    });
+  });
+
+  describe('shouldAttachVideo', () => {
+    it('should default to the first step when video is enabled', () => {
+      const settings = { enabled: true, script: 'Hi {{firstName}}' };
+      expect(SequenceEngine.shouldAttachVideo(settings, 1)).toBe(true);
+      expect(SequenceEngine.shouldAttachVideo(settings, 2)).toBe(false);
+    });
+
+    it('should honour configured steps', () => {
+      const settings = { enabled: true, script: 'Hi', steps: [2, 3] };
+      expect(SequenceEngine.shouldAttachVideo(settings, 1)).toBe(false);
+      expect(SequenceEngine.shouldAttachVideo(settings, 3)).toBe(true);
+    });
+
+    it('should be false when video is disabled or has no script', () => {
+      expect(SequenceEngine.shouldAttachVideo(undefined, 1)).toBe(false);
+      expect(SequenceEngine.shouldAttachVideo({ enabled: false, script: 'Hi' }, 1)).toBe(false);
+      expect(SequenceEngine.shouldAttachVideo({ enabled: true }, 1)).toBe(false);
+    });
+  });
+
+  describe('processEnrollment', () => {
+    let provider;
+    let eventQueue;
+    let webhooks;
+    let suppressionList;
+    let sendScheduler;
+    let engine;
+
+    beforeEach(() => {
+      Object.values(models).forEach(model => Object.values(model).forEach(fn => fn.mockReset()));
+      models.CampaignEnrollment.update.mockResolvedValue([1]);
+      models.CampaignEvent.create.mockImplementation(async values => values);
+      models.CampaignInstance.increment.mockResolvedValue();
+      models.EmailSequence.findAll.mockResolvedValue([
+        row({ step_number: 1, subject: 'Intro', body: 'Hi {{firstName}}', delay_hours: 0 }),
+        row({ step_number: 2, subject: 'Follow up', body: 'Bumping this', delay_hours: 48 })
+      ]);
+      models.LinkedInSequence.findAll.mockResolvedValue([]);
+
+      provider = { name: 'smtp', send: jest.fn(async () => ({ messageId: 'msg-1', status: 'sent' })) };
+      eventQueue = { enqueue: jest.fn(async () => ({})) };
+      webhooks = { publish: jest.fn() };
+      suppressionList = { assertAllowed: jest.fn(async () => {}) };
+      sendScheduler = { assertAllowed: jest.fn() };
+
+      engine = new SequenceEngine({
+        providerFactory: { createEmailProvider: async () => provider },
+        senderPool: { acquire: async () => null },
+        suppressionList,
+        sendScheduler,
+        webhooks,
+        eventQueue
+      });
+    });
+
+    it('should not run an enrollment claimed by another worker', async () => {
+      models.CampaignEnrollment.update.mockResolvedValueOnce([0]);
+      const enrollment = createEnrollment();
+
+      const result = await engine.processEnrollment(enrollment);
+
+      expect(result).toEqual({ executed: false });
+      expect(models.CampaignEnrollment.update).toHaveBeenCalledWith(
+        { next_action_at: expect.any(Date) },
+        { where: { id: 'enr-1', status: 'active', current_step: 0, next_action_at: enrollment.next_action_at } }
+      );
+      expect(provider.send).not.toHaveBeenCalled();
+    });
+
+    it('should send the step, record it and schedule the next one', async () => {
+      const enrollment = createEnrollment();
+
+      const result = await engine.processEnrollment(enrollment);
+
+      expect(result).toEqual({ executed: true, completed: false });
+      expect(provider.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'jane@acme.com',
+        subject: 'Intro',
+        variables: expect.objectContaining({ firstName: 'Jane' })
+      }));
+      expect(models.CampaignEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        event_type: 'sent',
+        step_number: 1,
+        provider_message_id: 'msg-1'
+      }));
+      expect(models.CampaignInstance.increment).toHaveBeenCalledWith('total_sent', { by: 1, where: { id: 'inst-1' } });
+      expect(enrollment.current_step).toBe(1);
+      expect(enrollment.next_action_at.getTime() - Date.now()).toBeGreaterThan(47 * HOUR_MS);
+    });
+
+    it('should complete the enrollment after its last step', async () => {
+      const enrollment = createEnrollment({ current_step: 1 });
+
+      const result = await engine.processEnrollment(enrollment);
+
+      expect(result).toEqual({ executed: true, completed: true });
+      expect(enrollment).toMatchObject({ status: 'completed', current_step: 2, next_action_at: null });
+      expect(webhooks.publish).toHaveBeenCalledWith('enrollment.completed', expect.objectContaining({
+        enrollment_id: 'enr-1',
+        reason: 'sequence_finished'
+      }));
+    });
+
+    it('should retry a transient provider failure with backoff', async () => {
+      provider.send.mockRejectedValueOnce(new Error('Connection reset'));
+      const enrollment = createEnrollment();
+
+      const result = await engine.processEnrollment(enrollment);
+
+      expect(result).toEqual({ executed: false, failed: true });
+      expect(enrollment.current_step).toBe(0);
+      expect(enrollment.status).toBe('active');
+      expect(enrollment.metadata).toMatchObject({ sequence_failures: 1, sequence_last_error: 'Connection reset' });
+      expect(enrollment.next_action_at.getTime() - Date.now()).toBeGreaterThan(4 * 60 * 1000);
+    });
+
+    it('should pause the enrollment once retries are exhausted', async () => {
+      provider.send.mockRejectedValueOnce(new Error('Connection reset'));
+      const enrollment = createEnrollment({
+        metadata: { email: 'jane@acme.com', outcome_recorded: true, sequence_failures: 4 }
+      });
+
+      await engine.processEnrollment(enrollment);
+
+      expect(enrollment).toMatchObject({ status: 'paused', next_action_at: null });
+      expect(enrollment.metadata.sequence_failures).toBe(5);
+    });
+
+    it('should pause on a step that can never succeed', async () => {
+      const enrollment = createEnrollment({ metadata: { first_name: 'Jane' } });
+
+      await engine.processEnrollment(enrollment);
+
+      expect(enrollment.status).toBe('paused');
+      expect(enrollment.metadata.sequence_last_error).toBe('Enrollment has no email address for email step');
+      expect(provider.send).not.toHaveBeenCalled();
+    });
+
+    it('should defer a step outside the send window without counting a failure', async () => {
+      const retryAt = new Date(Date.now() + 12 * HOUR_MS);
+      sendScheduler.assertAllowed.mockImplementationOnce(() => {
+        throw new SendWindowDeferredError('Outside send window', { retryAt, reason: 'outside_hours', timeZone: 'Europe/London' });
+      });
+      const enrollment = createEnrollment();
+
+      await engine.processEnrollment(enrollment);
+
+      expect(enrollment.next_action_at).toBe(retryAt);
+      expect(enrollment.metadata.sequence_failures).toBeUndefined();
+      expect(provider.send).not.toHaveBeenCalled();
+    });
+
+    it('should stop the sequence for a suppressed contact', async () => {
+      suppressionList.assertAllowed.mockRejectedValueOnce(
+        new SuppressedRecipientError({ type: 'email', value: 'jane@acme.com', reason: 'unsubscribe' })
+      );
+      const enrollment = createEnrollment();
+
+      await engine.processEnrollment(enrollment);
+
+      expect(enrollment).toMatchObject({ status: 'unsubscribed', next_action_at: null });
+      expect(enrollment.metadata.suppressed).toMatchObject({ type: 'email', reason: 'unsubscribe' });
+      expect(provider.send).not.toHaveBeenCalled();
+    });
+
+    it('should advance after a send even when recording it fails', async () => {
+      models.CampaignEvent.create.mockRejectedValueOnce(new Error('Connection terminated'));
+      models.CampaignEnrollment.update
+        .mockResolvedValueOnce([1])
+        .mockRejectedValueOnce(new Error('Connection terminated'));
+      const enrollment = createEnrollment();
+
+      const result = await engine.processEnrollment(enrollment);
+
+      expect(result).toEqual({ executed: true, completed: false });
+      expect(enrollment.current_step).toBe(1);
+      expect(enrollment.metadata.sequence_failures).toBeUndefined();
+      expect(eventQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        enrollment_id: 'enr-1',
+        event_type: 'sent',
+        provider_message_id: 'msg-1',
+        timestamp: expect.any(Date)
+      }));
+    });
+
+    it('should not send a step again when its advance failed', async () => {
+      const enrollment = createEnrollment();
+      enrollment.update.mockImplementationOnce(async changes => {
+        Object.assign(enrollment, changes);
+        throw new Error('Connection terminated');
+      });
+
+      const first = await engine.processEnrollment(enrollment);
+      expect(first).toEqual({ executed: true, completed: false });
+
+      // The lease runs out and the unchanged row is claimed again
+      const reloaded = createEnrollment();
+      const second = await engine.processEnrollment(reloaded);
+
+      expect(second).toEqual({ executed: true, completed: false });
+      expect(provider.send).toHaveBeenCalledTimes(1);
+      expect(reloaded.current_step).toBe(1);
+      expect(engine.unadvanced.size).toBe(0);
+    });
+
+    it('should treat a provider that declines to send as a permanent failure', async () => {
+      provider.send.mockResolvedValueOnce({ status: 'failed', error: 'Lead is already in Lemlist campaign' });
+      const enrollment = createEnrollment();
+
+      await engine.processEnrollment(enrollment);
+
+      expect(enrollment.status).toBe('paused');
+      expect(enrollment.metadata.sequence_last_error).toBe('Lead is already in Lemlist campaign');
+      expect(models.CampaignEvent.create).not.toHaveBeenCalled();
+    });
+  });
+});
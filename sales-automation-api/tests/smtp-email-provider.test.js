@@ -0,0 +1,346 @@
+/**
+ * SMTP Email Provider / IMAP Reply Poller Unit Tests
+ *
+ * Sends through nodemailer's stream transport (a local SMTP stand-in) and
+ * parses raw RFC 822 replies with mailparser, as the IMAP poller does.
+ *
+ * These tests focus on methods that don't require database or network access.
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, jest } from '@jest/globals';
+import { simpleParser } from 'mailparser';
+import { SmtpEmailProvider } from '../src/providers/smtp/SmtpEmailProvider.js';
+import { ImapReplyPoller } from '../src/providers/smtp/ImapReplyPoller.js';
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 1024,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+function createProvider(config = {}) {
+  const provider = new SmtpEmailProvider({
+    config: {
+      senderEmail: 'rep@example.com',
+      senderName: 'Sales Rep',
+      ...config
+    },
+    transport: { streamTransport: true, buffer: true, newline: 'unix' },
+    suppressionList: { assertAllowed: jest.fn(async () => {}) }
+  });
+  const sendMail = jest.spyOn(provider.transporter, 'sendMail');
+  return { provider, sendMail };
+}
+
+// ImapFlow stand-in serving messages by UID
+function createImapClient(uids, uidValidity = 7) {
+  const client = {
+    mailbox: { uidValidity, uidNext: Math.max(0, ...uids) + 1 },
+    searches: [],
+    connect: async () => {},
+    getMailboxLock: async () => ({ release: () => {} }),
+    search: async (criteria) => {
+      client.searches.push(criteria);
+      const from = criteria.uid ? parseInt(criteria.uid, 10) : 0;
+      return uids.filter(uid => uid >= from);
+    },
+    fetch: async function* (wanted) {
+      for (const uid of wanted) {
+        yield { uid, source: Buffer.from('') };
+      }
+    },
+    logout: async () => {},
+    close: () => {}
+  };
+  return client;
+}
+
+function createCursorStore(cursor = null) {
+  return {
+    cursor,
+    getImapPollCursor: jest.fn(function () {
+      return this.cursor;
+    }),
+    setImapPollCursor: jest.fn(function (key, uidValidity, lastUid) {
+      this.cursor = { uidValidity, lastUid };
+    })
+  };
+}
+
+async function rawMessage(sendMail) {
+  const info = await sendMail.mock.results[0].value;
+  return info.message.toString();
+}
+
+describe('SmtpEmailProvider', () => {
+  it('should send a personalized message with a threadable Message-ID', async () => {
+    const { provider, sendMail } = createProvider();
+
+    const result = await provider.send({
+      to: 'lead@acme.test',
+      subject: 'Hi {{firstName}}',
+      body: '<p>Hello {{firstName}}</p>',
+      campaignId: 'campaign-1',
+      enrollmentId: 'enrollment-1',
+      variables: { firstName: 'Ada' }
+    });
+
+    expect(result.status).toBe('sent');
+    expect(result.messageId).toMatch(/^[0-9a-f-]{36}@example\.com$/);
+
+    const raw = await rawMessage(sendMail);
+    expect(raw).toContain(`Message-ID: <${result.messageId}>`);
+    expect(raw).toContain('Subject: Hi Ada');
+    expect(raw).toContain('X-Campaign-ID: campaign-1');
+    expect(raw).toContain('X-Enrollment-ID: enrollment-1');
+    expect(raw).toContain('From: Sales Rep <rep@example.com>');
+  });
+
+  it('should DKIM-sign messages when a key is configured', async () => {
+    const { provider, sendMail } = createProvider({
+      dkim: { domainName: 'example.com', keySelector: 'sales', privateKey }
+    });
+
+    await provider.send({ to: 'lead@acme.test', subject: 'Hi', body: 'Hello' });
+
+    const raw = await rawMessage(sendMail);
+    expect(raw).toMatch(/^DKIM-Signature: .*d=example\.com/m);
+    expect(raw).toContain('s=sales');
+    expect(provider.getCapabilities().supportsDkim).toBe(true);
+  });
+
+  it('should set In-Reply-To and References for in-thread replies', async () => {
+    const { provider, sendMail } = createProvider();
+
+    await provider.send({
+      to: 'lead@acme.test',
+      subject: 'Re: Hi',
+      html: '<p>Thanks</p>',
+      inReplyTo: 'reply-1@acme.test',
+      references: ['<original-1@example.com>']
+    });
+
+    const raw = await rawMessage(sendMail);
+    expect(raw).toContain('In-Reply-To: <reply-1@acme.test>');
+    expect(raw).toContain('References: <original-1@example.com> <reply-1@acme.test>');
+  });
+
+  it('should require a sender address', async () => {
+    const { provider } = createProvider({ senderEmail: undefined });
+
+    await expect(provider.send({ to: 'lead@acme.test', subject: 'Hi', body: 'Hello' }))
+      .rejects.toThrow('Sender email not configured');
+  });
+
+  it('should reject webhooks', () => {
+    const { provider } = createProvider();
+
+    expect(provider.verifyWebhookSignature({ headers: {} }, 'secret')).toBe(false);
+    expect(() => provider.parseWebhookEvent({})).toThrow('IMAP poller');
+  });
+
+  it('should report failures per recipient in a batch', async () => {
+    const { provider } = createProvider();
+    provider.transporter.sendMail = jest.fn()
+      .mockResolvedValueOnce({ rejected: [] })
+      .mockResolvedValueOnce({ rejected: ['bad@acme.test'] });
+
+    const result = await provider.sendBatch([
+      { to: 'good@acme.test', subject: 'Hi', body: 'Hello' },
+      { to: 'bad@acme.test', subject: 'Hi', body: 'Hello' }
+    ]);
+
+    expect(result.sent).toBe(1);
+    expect(result.failed).toBe(1);
+    expect(result.failures[0].to).toBe('bad@acme.test');
+  });
+});
+
+describe('ImapReplyPoller', () => {
+  describe('parseMessageIds', () => {
+    it('should strip angle brackets and split header lists', () => {
+      expect(ImapReplyPoller.parseMessageIds('<a@x.com> <b@x.com>')).toEqual(['a@x.com', 'b@x.com']);
+      expect(ImapReplyPoller.parseMessageIds(['<a@x.com>', 'b@x.com'])).toEqual(['a@x.com', 'b@x.com']);
+      expect(ImapReplyPoller.parseMessageIds(undefined)).toEqual([]);
+    });
+  });
+
+  describe('toRawEvent', () => {
+    it('should build a reply event threaded by In-Reply-To then References', async () => {
+      const parsed = await simpleParser([
+        'From: Ada Lovelace <lead@acme.test>',
+        'To: rep@example.com',
+        'Subject: Re: Hi Ada',
+        'Date: Mon, 01 Dec 2025 10:00:00 +0000',
+        'Message-ID: <reply-1@acme.test>',
+        'In-Reply-To: <step-2@example.com>',
+        'References: <step-1@example.com> <step-2@example.com>',
+        '',
+        'Sounds good, call me Tuesday.',
+        '',
+        'On Mon, 1 Dec 2025 at 09:00, Sales Rep <rep@example.com> wrote:',
+        '> Hello Ada'
+      ].join('\r\n'));
+
+      const event = ImapReplyPoller.toRawEvent(parsed);
+
+      expect(event.type).toBe('email.replied');
+      expect(event.providerEventId).toBe('reply-1@acme.test');
+      expect(event.threadMessageIds).toEqual(['step-2@example.com', 'step-1@example.com']);
+      expect(event.timestamp).toEqual(new Date('2025-12-01T10:00:00Z'));
+      expect(event.data.from).toBe('lead@acme.test');
+      expect(event.data.fromName).toBe('Ada Lovelace');
+      expect(event.data.text).toBe('Sounds good, call me Tuesday.');
+    });
+
+    it('should ignore mail that is not part of a thread', async () => {
+      const parsed = await simpleParser([
+        'From: someone@else.test',
+        'Subject: Newsletter',
+        'Message-ID: <news-1@else.test>',
+        '',
+        'Hello'
+      ].join('\r\n'));
+
+      expect(ImapReplyPoller.toRawEvent(parsed)).toBeNull();
+    });
+
+    it('should turn delivery status notifications into bounce events', async () => {
+      const parsed = await simpleParser([
+        'From: Mail Delivery Subsystem <mailer-daemon@example.com>',
+        'Subject: Delivery Status Notification (Failure)',
+        'Message-ID: <dsn-1@example.com>',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/report; report-type=delivery-status; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain',
+        '',
+        'Address not found',
+        '--b1',
+        'Content-Type: message/delivery-status',
+        '',
+        'Final-Recipient: rfc822; gone@acme.test',
+        'Action: failed',
+        'Status: 5.1.1',
+        '--b1',
+        'Content-Type: text/rfc822-headers',
+        '',
+        'From: rep@example.com',
+        'To: gone@acme.test',
+        'Message-ID: <step-1@example.com>',
+        '--b1--'
+      ].join('\r\n'));
+
+      const event = ImapReplyPoller.toRawEvent(parsed);
+
+      expect(event.type).toBe('email.bounced');
+      expect(event.threadMessageIds).toEqual(['step-1@example.com']);
+      expect(event.data.text).toBeUndefined();
+    });
+  });
+
+  describe('isAutoReply', () => {
+    const parse = (...headers) => simpleParser([
+      'From: lead@acme.test',
+      'Message-ID: <reply-2@acme.test>',
+      'In-Reply-To: <step-1@example.com>',
+      ...headers,
+      '',
+      'I am out of the office until Monday.'
+    ].join('\r\n'));
+
+    it('should detect Auto-Submitted and X-Autoreply responses', async () => {
+      expect(ImapReplyPoller.isAutoReply(await parse('Auto-Submitted: auto-replied'))).toBe(true);
+      expect(ImapReplyPoller.isAutoReply(await parse('X-Autoreply: yes'))).toBe(true);
+      expect(ImapReplyPoller.isAutoReply(await parse('Auto-Submitted: no'))).toBe(false);
+      expect(ImapReplyPoller.isAutoReply(await parse())).toBe(false);
+    });
+
+    it('should not record auto-replies as prospect replies', async () => {
+      const onEvent = jest.fn();
+      const poller = new ImapReplyPoller({ config: { host: 'imap.test', user: 'rep@example.com' }, onEvent });
+      const source = [
+        'From: lead@acme.test',
+        'Message-ID: <reply-3@acme.test>',
+        'In-Reply-To: <step-1@example.com>',
+        'Auto-Submitted: auto-replied',
+        '',
+        'Out of office'
+      ].join('\r\n');
+
+      expect(await poller._handleMessage({ uid: 1, source: Buffer.from(source) })).toBe(false);
+      expect(poller.stats.ignored).toBe(1);
+      expect(onEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('poll', () => {
+    const config = { host: 'imap.test', user: 'rep@example.com', mailbox: 'INBOX' };
+
+    it('should stop at a failed message, keep the cursor before it and retry it next poll', async () => {
+      const client = createImapClient([11, 12, 13]);
+      const database = createCursorStore({ uidValidity: '7', lastUid: 10 });
+      const poller = new ImapReplyPoller({ config, database, clientFactory: () => client });
+      const handled = [];
+      let failing = true;
+      jest.spyOn(poller, '_handleMessage').mockImplementation(async ({ uid }) => {
+        if (uid === 12 && failing) {
+          throw new Error('database unavailable');
+        }
+        handled.push(uid);
+        return true;
+      });
+
+      expect(await poller.poll()).toEqual({ fetched: 2, matched: 1 });
+      expect(handled).toEqual([11]);
+      expect(database.cursor).toEqual({ uidValidity: '7', lastUid: 11 });
+
+      failing = false;
+      expect(await poller.poll()).toEqual({ fetched: 2, matched: 2 });
+      expect(client.searches[1]).toEqual({ uid: '12:*' });
+      expect(handled).toEqual([11, 12, 13]);
+      expect(database.cursor).toEqual({ uidValidity: '7', lastUid: 13 });
+    });
+
+    it('should resume from the saved cursor after a restart', async () => {
+      const client = createImapClient([20, 21]);
+      const database = createCursorStore({ uidValidity: '7', lastUid: 20 });
+      const poller = new ImapReplyPoller({ config, database, clientFactory: () => client });
+      jest.spyOn(poller, '_handleMessage').mockResolvedValue(true);
+
+      await poller.poll();
+
+      expect(database.getImapPollCursor).toHaveBeenCalledWith('rep@example.com@imap.test/INBOX');
+      expect(client.searches[0]).toEqual({ uid: '21:*' });
+      expect(poller._handleMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip a message that keeps failing after maxAttempts', async () => {
+      const client = createImapClient([5, 6]);
+      const database = createCursorStore({ uidValidity: '7', lastUid: 4 });
+      const poller = new ImapReplyPoller({ config, database, maxAttempts: 2, clientFactory: () => client });
+      jest.spyOn(poller, '_handleMessage').mockImplementation(async ({ uid }) => {
+        if (uid === 5) {
+          throw new Error('malformed message');
+        }
+        return true;
+      });
+
+      await poller.poll();
+      expect(database.cursor.lastUid).toBe(4);
+
+      await poller.poll();
+      expect(database.cursor.lastUid).toBe(6);
+      expect(poller.stats.skipped).toBe(1);
+    });
+  });
+
+  describe('stripQuotedText', () => {
+    it('should drop quoted lines and forwarded originals', () => {
+      expect(ImapReplyPoller.stripQuotedText('Yes\n> quoted\n-----Original Message-----\nold'))
+        .toBe('Yes');
+    });
+  });
+});
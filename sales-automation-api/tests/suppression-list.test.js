@@ -0,0 +1,265 @@
+/**
+ * Suppression List Unit Tests
+ *
+ * Uses an in-memory stand-in for the suppression models, so no PostgreSQL
+ * is needed.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { Op } from 'sequelize';
+
+let entries = [];
+let auditLog = [];
+let nextId = 1;
+const enrollments = new Map();
+
+const toRow = data => ({
+  ...data,
+  toJSON: () => ({ ...data }),
+  destroy: async () => { entries = entries.filter(entry => entry.id !== data.id); }
+});
+
+const Suppression = {
+  findAll: jest.fn(async ({ where }) => entries
+    .filter(entry => where[Op.or].some(key => key.type === entry.type && key.value === entry.value))
+    .map(toRow)),
+  findOrCreate: jest.fn(async ({ where, defaults }) => {
+    const existing = entries.find(entry => entry.type === where.type && entry.value === where.value);
+    if (existing) {
+      return [toRow(existing), false];
+    }
+    const entry = { id: nextId++, ...where, ...defaults };
+    entries.push(entry);
+    return [toRow(entry), true];
+  }),
+  findByPk: jest.fn(async id => {
+    const entry = entries.find(e => e.id === id);
+    return entry ? toRow(entry) : null;
+  })
+};
+
+const SuppressionAuditLog = {
+  create: jest.fn(async row => { auditLog.push(row); return row; })
+};
+
+const CampaignEnrollment = {
+  findByPk: jest.fn(async id => enrollments.get(id) || null)
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  Suppression,
+  SuppressionAuditLog,
+  CampaignEnrollment,
+  sequelize: { transaction: async fn => fn({}) }
+}));
+
+const { SuppressionList, SuppressedRecipientError } = await import('../src/services/SuppressionList.js');
+const { SequenceEngine } = await import('../src/services/SequenceEngine.js');
+
+describe('SuppressionList', () => {
+  let list;
+
+  beforeEach(() => {
+    entries = [];
+    auditLog = [];
+    nextId = 1;
+    enrollments.clear();
+    list = new SuppressionList({ eventBus: { subscribe: () => () => {} } });
+  });
+
+  describe('normalize', () => {
+    it('should lowercase emails and reject invalid ones', () => {
+      expect(SuppressionList.normalize('email', ' Jane.Doe@Acme.COM ')).toBe('jane.doe@acme.com');
+      expect(SuppressionList.normalize('email', 'mailto:jane@acme.com')).toBe('jane@acme.com');
+      expect(SuppressionList.normalize('email', 'not-an-email')).toBeNull();
+    });
+
+    it('should reduce domains, addresses and URLs to the bare domain', () => {
+      expect(SuppressionList.normalize('domain', 'https://www.Acme.com/about')).toBe('acme.com');
+      expect(SuppressionList.normalize('domain', 'jane@acme.com')).toBe('acme.com');
+      expect(SuppressionList.normalize('domain', 'localhost')).toBeNull();
+    });
+
+    it('should reduce LinkedIn URLs to a canonical profile path', () => {
+      expect(SuppressionList.normalize('linkedin', 'https://uk.linkedin.com/in/Jane-Doe/?trk=x'))
+        .toBe('linkedin.com/in/jane-doe');
+      expect(SuppressionList.normalize('linkedin', 'www.linkedin.com/in/jane-doe'))
+        .toBe('linkedin.com/in/jane-doe');
+      expect(SuppressionList.normalize('linkedin', 'https://example.com/in/jane')).toBeNull();
+    });
+  });
+
+  describe('keysFor', () => {
+    it('should look up every address, its domain and the LinkedIn profile', () => {
+      const keys = SuppressionList.keysFor({
+        email: 'Jane <jane@acme.com>, bob@beta.io',
+        linkedinUrl: 'https://www.linkedin.com/in/jane-doe/'
+      });
+
+      expect(keys).toEqual([
+        { type: 'email', value: 'jane@acme.com' },
+        { type: 'domain', value: 'acme.com' },
+        { type: 'email', value: 'bob@beta.io' },
+        { type: 'domain', value: 'beta.io' },
+        { type: 'linkedin', value: 'linkedin.com/in/jane-doe' }
+      ]);
+    });
+
+    it('should return no keys for an empty recipient', () => {
+      expect(SuppressionList.keysFor({})).toEqual([]);
+    });
+  });
+
+  describe('check', () => {
+    it('should prefer an email entry over a domain entry', async () => {
+      await list.add({ type: 'domain', value: 'acme.com', reason: 'legal_request' });
+      await list.add({ type: 'email', value: 'jane@acme.com', reason: 'unsubscribe' });
+
+      const entry = await list.check({ email: 'JANE@acme.com' });
+
+      expect(entry.type).toBe('email');
+      expect(entry.reason).toBe('unsubscribe');
+    });
+
+    it('should match a colleague through the domain entry', async () => {
+      await list.add({ type: 'domain', value: 'acme.com', reason: 'legal_request' });
+
+      expect((await list.check({ email: 'bob@acme.com' })).type).toBe('domain');
+      expect(await list.check({ email: 'bob@other.com' })).toBeNull();
+    });
+  });
+
+  describe('checkMany', () => {
+    it('should flag each suppressed recipient in order', async () => {
+      await list.add({ type: 'email', value: 'jane@acme.com', reason: 'legal_request' });
+      await list.add({ type: 'domain', value: 'beta.io', reason: 'manual' });
+
+      const flags = await list.checkMany([
+        { email: 'bob@acme.com' },
+        { email: 'Jane@Acme.com' },
+        { email: 'ceo@beta.io' },
+        { email: 'not-an-email' }
+      ]);
+
+      expect(flags).toEqual([false, true, true, false]);
+    });
+  });
+
+  describe('assertAllowed', () => {
+    it('should throw and audit the blocked send', async () => {
+      await list.add({ type: 'linkedin', value: 'linkedin.com/in/jane-doe', reason: 'manual' });
+
+      await expect(list.assertAllowed(
+        { linkedinUrl: 'https://www.linkedin.com/in/Jane-Doe' },
+        { channel: 'linkedin', provider: 'phantombuster', enrollmentId: 'e1' }
+      )).rejects.toBeInstanceOf(SuppressedRecipientError);
+
+      const blocked = auditLog.find(row => row.action === 'blocked');
+      expect(blocked).toMatchObject({ type: 'linkedin', source: 'phantombuster' });
+      expect(blocked.details.enrollmentId).toBe('e1');
+    });
+
+    it('should allow recipients that are not suppressed', async () => {
+      await expect(list.assertAllowed({ email: 'jane@acme.com' })).resolves.toBeUndefined();
+    });
+
+    it('should fail closed when the lookup fails', async () => {
+      Suppression.findAll.mockRejectedValueOnce(new Error('connection refused'));
+
+      await expect(list.assertAllowed({ email: 'jane@acme.com' })).rejects.toThrow('connection refused');
+    });
+  });
+
+  describe('add / remove / import', () => {
+    it('should keep the first entry and audit only real changes', async () => {
+      const first = await list.add({ type: 'email', value: 'jane@acme.com', reason: 'bounce', actor: 'u1' });
+      const second = await list.add({ type: 'email', value: 'Jane@Acme.com', reason: 'manual' });
+
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+      expect(second.entry.reason).toBe('bounce');
+      expect(auditLog.filter(row => row.action === 'add')).toHaveLength(1);
+
+      const removed = await list.remove(first.entry.id, { actor: 'u2' });
+      expect(removed.value).toBe('jane@acme.com');
+      expect(auditLog.at(-1)).toMatchObject({ action: 'remove', actor: 'u2' });
+      expect(await list.remove(first.entry.id)).toBeNull();
+    });
+
+    it('should reject invalid values and reasons', async () => {
+      await expect(list.add({ type: 'email', value: 'nope', reason: 'manual' })).rejects.toThrow('Invalid email');
+      await expect(list.add({ type: 'email', value: 'a@b.com', reason: 'because' })).rejects.toThrow('Invalid suppression reason');
+    });
+
+    it('should detect types and report invalid rows on import', async () => {
+      const result = await list.import([
+        { value: 'jane@acme.com' },
+        { value: 'beta.io', reason: 'legal_request' },
+        { value: 'https://www.linkedin.com/in/jane-doe' },
+        { value: 'jane@acme.com' },
+        { value: '???' }
+      ], { source: 'crm_export' });
+
+      expect(result.added).toBe(3);
+      expect(result.existing).toBe(1);
+      expect(result.invalid).toEqual([{ row: 5, value: '???', error: expect.stringContaining('Invalid') }]);
+      expect(entries.map(e => [e.type, e.reason])).toEqual([
+        ['email', 'manual'],
+        ['domain', 'legal_request'],
+        ['linkedin', 'manual']
+      ]);
+    });
+  });
+
+  describe('recordEvent', () => {
+    it('should suppress the enrollment email on unsubscribe', async () => {
+      enrollments.set('e1', { id: 'e1', metadata: { email: 'jane@acme.com' } });
+
+      await list.recordEvent({ event_type: 'unsubscribed', enrollment_id: 'e1', provider: 'postmark' });
+
+      expect(entries).toEqual([expect.objectContaining({
+        type: 'email', value: 'jane@acme.com', reason: 'unsubscribe', source: 'postmark'
+      })]);
+    });
+
+    it('should skip soft bounces but suppress hard bounces', async () => {
+      enrollments.set('e1', { id: 'e1', metadata: { email: 'jane@acme.com' } });
+
+      expect(await list.recordEvent({
+        event_type: 'bounced', enrollment_id: 'e1', metadata: { bounceType: 'SoftBounce' }
+      })).toBeNull();
+      expect(entries).toHaveLength(0);
+
+      await list.recordEvent({ event_type: 'bounced', enrollment_id: 'e1', metadata: { bounceType: 'HardBounce' } });
+      expect(entries[0].reason).toBe('bounce');
+    });
+
+    it('should ignore unrelated events', async () => {
+      expect(await list.recordEvent({ event_type: 'opened', enrollment_id: 'e1' })).toBeNull();
+    });
+  });
+});
+
+describe('SequenceEngine suppression handling', () => {
+  it('should stop the enrollment without retrying', async () => {
+    const engine = new SequenceEngine({ suppressionList: { assertAllowed: jest.fn() } });
+    const enrollment = {
+      id: 'e1',
+      metadata: { email: 'jane@acme.com' },
+      update: jest.fn(async () => {})
+    };
+    const error = new SuppressedRecipientError({ type: 'email', value: 'jane@acme.com', reason: 'bounce' });
+
+    await engine._handleStepFailure(enrollment, { step_number: 2, channel: 'email' }, error);
+
+    expect(enrollment.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'bounced',
+      next_action_at: null,
+      metadata: expect.objectContaining({
+        email: 'jane@acme.com',
+        suppressed: expect.objectContaining({ type: 'email', reason: 'bounce' })
+      })
+    }));
+    expect(engine.stats.suppressed).toBe(1);
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Webhook Dispatcher Unit Tests
+ *
+ * Uses an in-memory stand-in for the webhook models and a fake HTTP client,
+ * so no PostgreSQL or receiving server is needed.
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+
+let subscriptions = [];
+let deliveries = [];
+let nextId = 1;
+
+const id = () => `00000000-0000-4000-8000-${String(nextId++).padStart(12, '0')}`;
+
+const toDelivery = data => Object.assign(data, {
+  subscription: subscriptions.find(subscription => subscription.id === data.subscription_id) || null,
+  update: async changes => Object.assign(data, changes),
+  toJSON: () => ({ ...data })
+});
+
+const toSubscription = data => Object.assign(data, {
+  update: async changes => Object.assign(data, changes),
+  destroy: async () => {
+    subscriptions = subscriptions.filter(subscription => subscription.id !== data.id);
+    deliveries = deliveries.filter(delivery => delivery.subscription_id !== data.id);
+  },
+  toJSON: () => {
+    const { update, destroy, toJSON, ...row } = data;
+    return row;
+  }
+});
+
+const WebhookSubscription = {
+  findAll: jest.fn(async ({ where }) => subscriptions.filter(subscription => subscription.active === where.active)),
+  findByPk: jest.fn(async pk => subscriptions.find(subscription => subscription.id === pk) || null),
+  create: jest.fn(async row => {
+    const subscription = toSubscription({ id: id(), ...row });
+    subscriptions.push(subscription);
+    return subscription;
+  })
+};
+
+const WebhookDelivery = {
+  bulkCreate: jest.fn(async rows => rows.map(row => {
+    const delivery = toDelivery({ id: id(), ...row });
+    deliveries.push(delivery);
+    return delivery;
+  })),
+  create: jest.fn(async row => {
+    const delivery = toDelivery({ id: id(), ...row });
+    deliveries.push(delivery);
+    return delivery;
+  }),
+  // Due = pending and next_attempt_at <= now; the lease clause is covered by status
+  findAll: jest.fn(async () => deliveries
+    .filter(delivery => delivery.status === 'pending' && delivery.next_attempt_at <= new Date())
+    .map(toDelivery)),
+  findByPk: jest.fn(async pk => {
+    const delivery = deliveries.find(d => d.id === pk);
+    return delivery ? toDelivery(delivery) : null;
+  }),
+  update: jest.fn(async (changes, { where }) => {
+    const delivery = deliveries.find(d => d.id === where.id && d.status === where.status && d.attempts === where.attempts);
+    if (!delivery) {
+      return [0];
+    }
+    Object.assign(delivery, changes);
+    return [1];
+  })
+};
+
+jest.unstable_mockModule('../src/models/index.js', () => ({
+  WebhookSubscription,
+  WebhookDelivery
+}));
+
+const { WebhookDispatcher, WEBHOOK_EVENTS } = await import('../src/services/WebhookDispatcher.js');
+
+const addSubscription = (eventTypes, overrides = {}) => {
+  const subscription = toSubscription({
+    id: id(),
+    url: 'https://hooks.example.com/sales',
+    event_types: eventTypes,
+    secret: 'whsec_test_secret',
+    active: true,
+    ...overrides
+  });
+  subscriptions.push(subscription);
+  return subscription;
+};
+
+describe('WebhookDispatcher', () => {
+  let http;
+  let dispatcher;
+
+  beforeEach(() => {
+    subscriptions = [];
+    deliveries = [];
+    nextId = 1;
+    http = { post: jest.fn(async () => ({ status: 200 })) };
+    dispatcher = new WebhookDispatcher({
+      eventBus: { subscribe: () => () => {} },
+      http,
+      maxAttempts: 3
+    });
+  });
+
+  describe('emit', () => {
+    it('should queue one delivery per subscription to the event type', async () => {
+      const replies = addSubscription([WEBHOOK_EVENTS.REPLY_RECEIVED]);
+      const all = addSubscription(['*']);
+      addSubscription([WEBHOOK_EVENTS.MEETING_BOOKED]);
+      addSubscription([WEBHOOK_EVENTS.REPLY_RECEIVED], { active: false });
+
+      const count = await dispatcher.emit(WEBHOOK_EVENTS.REPLY_RECEIVED, { enrollment_id: 'e1' });
+
+      expect(count).toBe(2);
+      expect(deliveries.map(delivery => delivery.subscription_id)).toEqual([replies.id, all.id]);
+      expect(deliveries[0].event_id).toBe(deliveries[1].event_id);
+      expect(deliveries[0].payload).toMatchObject({
+        id: deliveries[0].event_id,
+        type: 'reply.received',
+        data: { enrollment_id: 'e1' }
+      });
+      expect(deliveries[0].status).toBe('pending');
+    });
+
+    it('should reject unknown event types', async () => {
+      await expect(dispatcher.emit('campaign.paused', {})).rejects.toThrow('Unknown webhook event type');
+    });
+  });
+
+  describe('processDue', () => {
+    it('should POST the event with a verifiable signature', async () => {
+      const subscription = addSubscription(['*']);
+      await dispatcher.emit(WEBHOOK_EVENTS.MEETING_BOOKED, { meeting_id: 7 });
+
+      const results = await dispatcher.processDue();
+
+      expect(results).toEqual({ delivered: 1, retrying: 0, failed: 0 });
+      const [url, body, config] = http.post.mock.calls[0];
+      expect(url).toBe(subscription.url);
+      expect(JSON.parse(body)).toMatchObject({ type: 'meeting.booked', data: { meeting_id: 7 } });
+      expect(config.headers['X-Webhook-Event']).toBe('meeting.booked');
+      expect(config.headers['X-Webhook-Id']).toBe(deliveries[0].event_id);
+
+      const expected = crypto.createHmac('sha256', subscription.secret)
+        .update(`${config.headers['X-Webhook-Timestamp']}.${body}`)
+        .digest('hex');
+      expect(config.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+
+      expect(deliveries[0]).toMatchObject({ status: 'delivered', attempts: 1, response_status: 200 });
+      expect(deliveries[0].delivered_at).toBeInstanceOf(Date);
+    });
+
+    it('should retry failed attempts with backoff', async () => {
+      addSubscription(['*']);
+      http.post.mockResolvedValueOnce({ status: 503 });
+      await dispatcher.emit(WEBHOOK_EVENTS.DLQ_GROWTH, { added: 2 });
+
+      const before = Date.now();
+      const results = await dispatcher.processDue();
+
+      expect(results).toEqual({ delivered: 0, retrying: 1, failed: 0 });
+      expect(deliveries[0]).toMatchObject({ status: 'pending', attempts: 1, response_status: 503, last_error: 'HTTP 503' });
+      expect(deliveries[0].next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+
+      // Not due again until the backoff has passed
+      await dispatcher.processDue();
+      expect(http.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after maxAttempts', async () => {
+      addSubscription(['*']);
+      http.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      await dispatcher.emit(WEBHOOK_EVENTS.YOLO_CYCLE_FINISHED, { status: 'completed' });
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        deliveries[0].next_attempt_at = new Date(Date.now() - 1000);
+        await dispatcher.processDue();
+      }
+
+      expect(http.post).toHaveBeenCalledTimes(3);
+      expect(deliveries[0]).toMatchObject({ status: 'failed', attempts: 3, last_error: 'connect ECONNREFUSED' });
+      expect(dispatcher.stats).toMatchObject({ retried: 2, failed: 1 });
+    });
+
+    it('should fail deliveries of disabled subscriptions without sending', async () => {
+      const subscription = addSubscription(['*']);
+      await dispatcher.emit(WEBHOOK_EVENTS.REPLY_RECEIVED, {});
+      subscription.active = false;
+
+      const results = await dispatcher.processDue();
+
+      expect(results.failed).toBe(1);
+      expect(http.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replay', () => {
+    it('should queue a new delivery of the same event', async () => {
+      addSubscription(['*']);
+      await dispatcher.emit(WEBHOOK_EVENTS.ENROLLMENT_COMPLETED, { enrollment_id: 'e1' });
+      await dispatcher.processDue();
+      const original = deliveries[0];
+
+      const results = await dispatcher.replay([original.id, '00000000-0000-4000-8000-999999999999']);
+
+      expect(results[0]).toMatchObject({ deliveryId: original.id, success: true });
+      expect(results[1]).toEqual({ deliveryId: '00000000-0000-4000-8000-999999999999', success: false, error: 'Delivery not found' });
+
+      const replay = deliveries.find(delivery => delivery.id === results[0].replayId);
+      expect(replay).toMatchObject({
+        event_id: original.event_id,
+        payload: original.payload,
+        status: 'pending',
+        attempts: 0,
+        replay_of: original.id
+      });
+
+      await dispatcher.processDue();
+      expect(http.post).toHaveBeenCalledTimes(2);
+      expect(http.post.mock.calls[1][2].headers['X-Webhook-Id']).toBe(original.event_id);
+    });
+  });
+
+  describe('handleCampaignEvent', () => {
+    it('should publish replies with identifiers only', () => {
+      const publish = jest.spyOn(dispatcher, 'publish').mockResolvedValue();
+
+      dispatcher.handleCampaignEvent({
+        id: 'ev1',
+        enrollment_id: 'e1',
+        instance_id: 'i1',
+        event_type: 'replied',
+        channel: 'email',
+        provider: 'smtp',
+        provider_event_id: 'imap:42',
+        step_number: 2,
+        metadata: { from: 'jane@acme.com', subject: 'Re: intro', text: 'Call me on +44 7700 900123' },
+        timestamp: new Date('2025-12-01T10:00:00Z')
+      });
+      dispatcher.handleCampaignEvent({ event_type: 'opened', channel: 'email', timestamp: new Date() });
+
+      expect(publish).toHaveBeenCalledTimes(1);
+      expect(publish).toHaveBeenCalledWith('reply.received', {
+        campaign_event_id: 'ev1',
+        enrollment_id: 'e1',
+        instance_id: 'i1',
+        channel: 'email',
+        provider: 'smtp',
+        provider_event_id: 'imap:42',
+        step_number: 2,
+        replied_at: '2025-12-01T10:00:00.000Z'
+      });
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('should return the secret once and only a hint afterwards', async () => {
+      const { subscription, secret } = await dispatcher.createSubscription({
+        url: 'https://hooks.example.com/sales',
+        eventTypes: ['meeting.booked', 'meeting.booked']
+      });
+
+      expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(subscription.secret).toBeUndefined();
+      expect(subscription.secret_hint).toBe(`...${secret.slice(-4)}`);
+      expect(subscription.event_types).toEqual(['meeting.booked']);
+
+      const fetched = await dispatcher.getSubscription(subscription.id);
+      expect(fetched.secret).toBeUndefined();
+
+      const rotated = await dispatcher.updateSubscription(subscription.id, { rotateSecret: true });
+      expect(rotated.secret).not.toBe(secret);
+    });
+
+    it('should reject invalid URLs and event types', async () => {
+      await expect(dispatcher.createSubscription({ url: 'ftp://example.com', eventTypes: ['*'] }))
+        .rejects.toThrow('Invalid webhook URL');
+      await expect(dispatcher.createSubscription({ url: 'https://example.com', eventTypes: ['campaign.paused'] }))
+        .rejects.toThrow("Invalid event type 'campaign.paused'");
+    });
+  });
+});
@@ -53,6 +53,33 @@ describe('WebhookSignature', () => {
       const sig2 = WebhookSignature.computeSignature(testPayloadString, testSecret);
       expect(sig1).toBe(sig2);
     });
+
+    it('should sign raw body buffers as bytes', () => {
+      const signature = WebhookSignature.computeSignature(Buffer.from(testPayloadString, 'utf8'), testSecret);
+      expect(signature).toBe(expectedSignature);
+    });
+
+    it('should support base64 encoding', () => {
+      const signature = WebhookSignature.computeSignature(testPayloadString, testSecret, 'base64');
+      expect(signature).toBe(Buffer.from(expectedSignature, 'hex').toString('base64'));
+      expect(WebhookSignature.verify(signature, testPayloadString, testSecret, 'base64')).toBe(true);
+    });
+  });
+
+  describe('verifyToken', () => {
+    it('should accept the matching token', () => {
+      expect(WebhookSignature.verifyToken(testSecret, testSecret)).toBe(true);
+    });
+
+    it('should reject a different token of any length', () => {
+      expect(WebhookSignature.verifyToken('wrong', testSecret)).toBe(false);
+      expect(WebhookSignature.verifyToken(testSecret + 'x', testSecret)).toBe(false);
+    });
+
+    it('should fail closed without a token or secret', () => {
+      expect(WebhookSignature.verifyToken('', testSecret)).toBe(false);
+      expect(WebhookSignature.verifyToken(testSecret, undefined)).toBe(false);
+    });
   });
 
   describe('verify', () => {
@@ -0,0 +1,200 @@
+/**
+ * Workflow Execution Service Unit Tests
+ *
+ * Tests resuming failed workflow jobs against an in-memory job queue and
+ * state manager, with engines the test controls.
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { WorkflowExecutionService } from '../src/services/WorkflowExecutionService.js';
+
+function createJobQueue(jobs) {
+  return {
+    updates: [],
+    async getJob(jobId) {
+      return jobs[jobId] || null;
+    },
+    async updateStatus(jobId, status, result = null, error = null) {
+      this.updates.push({ jobId, status, result, error });
+      if (jobs[jobId]) {
+        jobs[jobId].status = status;
+      }
+    }
+  };
+}
+
+function createEngine(run) {
+  return {
+    runWorkflow: async (workflowName, inputs, options) => run('run', options.workflowId),
+    resumeWorkflow: async (workflowId) => run('resume', workflowId)
+  };
+}
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WorkflowExecutionService', () => {
+  let jobs;
+  let states;
+  let jobQueue;
+  let engines;
+
+  const createService = (run = async () => ({ resumed: true })) => new WorkflowExecutionService({
+    jobQueue,
+    stateManager: { getWorkflowState: async (workflowId) => states[workflowId] || null },
+    createEngine: async () => {
+      const engine = createEngine(run);
+      engines.push(engine);
+      return engine;
+    }
+  });
+
+  beforeEach(() => {
+    jobs = {
+      workflow_1: {
+        id: 'workflow_1',
+        type: 'workflow',
+        status: 'failed',
+        parameters: { workflowName: 'prospect-discovery', workflowId: 'run-1' }
+      }
+    };
+    states = {
+      'run-1': { status: 'failed', currentStep: 'enrich', completedSteps: ['search'] }
+    };
+    jobQueue = createJobQueue(jobs);
+    engines = [];
+  });
+
+  describe('resumeWorkflow', () => {
+    it('should resume a failed job and record the result on it', async () => {
+      const service = createService();
+
+      const response = await service.resumeWorkflow('workflow_1');
+      await flush();
+
+      expect(response).toMatchObject({
+        success: true,
+        workflowId: 'run-1',
+        status: 'processing',
+        resumedFrom: 'enrich',
+        completedSteps: ['search']
+      });
+      expect(jobQueue.updates.map(update => update.status)).toEqual(['processing', 'completed']);
+      expect(jobQueue.updates[1].result).toEqual({ resumed: true });
+      expect(service.activeRuns.size).toBe(0);
+    });
+
+    it('should record a failed resume on the job', async () => {
+      const service = createService(async () => {
+        throw new Error('Enrichment provider down');
+      });
+
+      await service.resumeWorkflow('workflow_1');
+      await flush();
+
+      expect(jobQueue.updates[1]).toMatchObject({ status: 'failed', error: 'Enrichment provider down' });
+      expect(service.activeRuns.size).toBe(0);
+    });
+
+    it('should reject jobs that are missing, not failed or already completed', async () => {
+      const service = createService();
+
+      expect(await service.resumeWorkflow('workflow_missing')).toMatchObject({ success: false, reason: 'not_found' });
+
+      jobs.workflow_1.status = 'processing';
+      expect(await service.resumeWorkflow('workflow_1')).toMatchObject({ success: false, reason: 'conflict' });
+
+      jobs.workflow_1.status = 'failed';
+      states['run-1'].status = 'completed';
+      expect(await service.resumeWorkflow('workflow_1')).toMatchObject({ success: false, reason: 'conflict' });
+      expect(engines).toHaveLength(0);
+    });
+
+    it('should reject a resume while the run is still active', async () => {
+      const service = createService();
+      states['run-1'].status = 'running';
+
+      const response = await service.resumeWorkflow('workflow_1');
+
+      expect(response).toMatchObject({ success: false, reason: 'conflict', message: 'Workflow run is still active' });
+      expect(jobQueue.updates).toHaveLength(0);
+      expect(engines).toHaveLength(0);
+    });
+
+    it('should start only one of two concurrent resume requests', async () => {
+      const pending = deferred();
+      const service = createService(() => pending.promise);
+
+      const responses = await Promise.all([
+        service.resumeWorkflow('workflow_1'),
+        service.resumeWorkflow('workflow_1')
+      ]);
+      await flush();
+
+      expect(responses.map(response => response.success).sort()).toEqual([false, true]);
+      expect(responses.find(response => !response.success).reason).toBe('conflict');
+      expect(engines).toHaveLength(1);
+
+      pending.resolve({ resumed: true });
+      await flush();
+      expect(service.activeRuns.size).toBe(0);
+    });
+
+    it('should reject a resume while a queued run of the same workflow is executing', async () => {
+      const pending = deferred();
+      const service = createService(() => pending.promise);
+
+      const running = service.processWorkflowJob({
+        id: 'workflow_1',
+        parameters: { workflowName: 'prospect-discovery', inputs: {}, workflowId: 'run-1' }
+      });
+      await flush();
+      // The job row reads failed (e.g. from an earlier attempt) while this process runs it
+      jobs.workflow_1.status = 'failed';
+
+      const response = await service.resumeWorkflow('workflow_1');
+
+      expect(response).toMatchObject({ success: false, reason: 'conflict' });
+      expect(engines).toHaveLength(1);
+
+      pending.resolve({ done: true });
+      await running;
+      expect(service.activeRuns.size).toBe(0);
+    });
+
+    it('should run each execution on its own engine', async () => {
+      jobs.workflow_2 = {
+        id: 'workflow_2',
+        type: 'workflow',
+        status: 'failed',
+        parameters: { workflowName: 'prospect-discovery', workflowId: 'run-2' }
+      };
+      states['run-2'] = { status: 'failed', currentStep: 'search', completedSteps: [] };
+      const pending = deferred();
+      const service = createService(() => pending.promise);
+
+      const running = service.processWorkflowJob({
+        id: 'workflow_3',
+        parameters: { workflowName: 'prospect-discovery', inputs: {}, workflowId: 'run-3' }
+      });
+      await service.resumeWorkflow('workflow_1');
+      await service.resumeWorkflow('workflow_2');
+      await flush();
+
+      expect(engines).toHaveLength(3);
+      expect(new Set(engines).size).toBe(3);
+
+      pending.resolve({ done: true });
+      await running;
+      await flush();
+      expect(service.activeRuns.size).toBe(0);
+    });
+  });
+});
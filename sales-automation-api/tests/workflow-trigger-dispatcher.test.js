@@ -0,0 +1,190 @@
+/**
+ * Workflow Trigger Dispatcher Unit Tests
+ *
+ * Tests for the campaign event bus and the trigger context / flow input
+ * helpers used to run reactive workflow handler flows.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { CampaignEventBus } from '../src/services/CampaignEventBus.js';
+import { WorkflowTriggerDispatcher } from '../src/services/WorkflowTriggerDispatcher.js';
+
+describe('CampaignEventBus', () => {
+  it('should deliver plain event payloads to subscribers', async () => {
+    const bus = new CampaignEventBus();
+    const received = [];
+    bus.subscribe(event => received.push(event));
+
+    bus.publish({
+      toJSON: () => ({
+        id: 'evt_1',
+        enrollment_id: 'enr_1',
+        event_type: 'opened',
+        channel: 'email',
+        metadata: { provider: 'postmark' },
+        timestamp: '2025-01-01T00:00:00.000Z'
+      })
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ id: 'evt_1', enrollment_id: 'enr_1', event_type: 'opened' });
+    expect(received[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  it('should isolate the publisher from listener failures', async () => {
+    const bus = new CampaignEventBus();
+    const received = [];
+    bus.subscribe(async () => {
+      throw new Error('listener broke');
+    });
+    bus.subscribe(event => received.push(event.id));
+
+    expect(() => bus.publish({ id: 'evt_2', event_type: 'clicked' })).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(received).toEqual(['evt_2']);
+  });
+
+  it('should stop delivering after unsubscribe', async () => {
+    const bus = new CampaignEventBus();
+    const received = [];
+    const unsubscribe = bus.subscribe(event => received.push(event.id));
+
+    unsubscribe();
+    bus.publish({ id: 'evt_3', event_type: 'sent' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(received).toEqual([]);
+  });
+});
+
+describe('WorkflowTriggerDispatcher', () => {
+  const enrollment = {
+    id: 'enr_1',
+    instance_id: 'inst_1',
+    contact_id: 'con_1',
+    status: 'active',
+    current_step: 2,
+    metadata: { email: 'jane@acme.com', first_name: 'Jane' }
+  };
+
+  describe('countsByType', () => {
+    it('should map grouped rows to numeric counts', () => {
+      const counts = WorkflowTriggerDispatcher.countsByType([
+        { event_type: 'opened', count: '3' },
+        { event_type: 'clicked', count: 1 }
+      ]);
+      expect(counts).toEqual({ opened: 3, clicked: 1 });
+    });
+  });
+
+  describe('buildTriggerContext', () => {
+    it('should expose event, stats and enrollment', () => {
+      const context = WorkflowTriggerDispatcher.buildTriggerContext(
+        { id: 'evt_1', event_type: 'opened', metadata: {} },
+        { opened: 3 },
+        enrollment
+      );
+
+      expect(context.stats.opened).toBe(3);
+      expect(context.enrollment).toMatchObject({ id: 'enr_1', status: 'active', current_step: 2 });
+      expect(context.event.event_type).toBe('opened');
+    });
+
+    it('should normalize the clicked link across providers', () => {
+      const postmark = WorkflowTriggerDispatcher.buildTriggerContext(
+        { event_type: 'clicked', metadata: { OriginalLink: 'https://acme.com/pricing' } },
+        {},
+        enrollment
+      );
+      const lemlist = WorkflowTriggerDispatcher.buildTriggerContext(
+        { event_type: 'clicked', metadata: { url: 'https://acme.com/blog' } },
+        {},
+        enrollment
+      );
+
+      expect(postmark.event.url).toBe('https://acme.com/pricing');
+      expect(lemlist.event.url).toBe('https://acme.com/blog');
+    });
+
+    it('should default missing metadata to an empty object', () => {
+      const context = WorkflowTriggerDispatcher.buildTriggerContext({ event_type: 'replied' }, {}, enrollment);
+      expect(context.event.metadata).toEqual({});
+      expect(context.event.url).toBeNull();
+    });
+  });
+
+  describe('classifyReply', () => {
+    it('should classify reply text for trigger conditions', () => {
+      const context = WorkflowTriggerDispatcher.buildTriggerContext(
+        { event_type: 'replied', metadata: { text: 'Not interested, please remove me from your list.' } },
+        {},
+        enrollment
+      );
+
+      expect(context.event.metadata).toMatchObject({ intent: 'not_interested', sentiment: 'negative' });
+    });
+
+    it('should record objection type and competitor', () => {
+      const metadata = WorkflowTriggerDispatcher.classifyReply({
+        event_type: 'message_replied',
+        metadata: { body: 'We are already using Swift for this.' }
+      });
+
+      expect(metadata).toMatchObject({ intent: 'objection', sentiment: 'objection', objection_type: 'competitor', competitor: 'swift' });
+    });
+
+    it('should treat auto-submitted replies as out of office', () => {
+      const metadata = WorkflowTriggerDispatcher.classifyReply({
+        event_type: 'replied',
+        metadata: { text: 'Thanks for your email.', autoSubmitted: 'auto-replied' }
+      });
+
+      expect(metadata).toMatchObject({ intent: 'out_of_office', sentiment: 'neutral' });
+    });
+
+    it('should keep provider classification and leave other events alone', () => {
+      const provided = { text: 'Not interested', sentiment: 'positive' };
+      expect(WorkflowTriggerDispatcher.classifyReply({ event_type: 'replied', metadata: provided })).toBe(provided);
+
+      const opened = { text: 'Not interested' };
+      expect(WorkflowTriggerDispatcher.classifyReply({ event_type: 'opened', metadata: opened })).toBe(opened);
+      expect(WorkflowTriggerDispatcher.classifyReply({ event_type: 'replied', metadata: {} })).toEqual({});
+    });
+  });
+
+  describe('buildFlowInputs', () => {
+    it('should provide the names handler flows read', () => {
+      const context = WorkflowTriggerDispatcher.buildTriggerContext(
+        {
+          id: 'evt_9',
+          event_type: 'replied',
+          channel: 'email',
+          metadata: { text: 'Sounds interesting', from: 'jane@acme.com', competitor: 'Outreach' }
+        },
+        { opened: 4, clicked: 1, replied: 1 },
+        enrollment
+      );
+
+      const inputs = WorkflowTriggerDispatcher.buildFlowInputs(context, {
+        event: 'prospect_reply_received',
+        handler: 'analyze-and-respond-flow'
+      });
+
+      expect(inputs).toMatchObject({
+        trigger: 'prospect_reply_received',
+        event_id: 'evt_9',
+        enrollment_id: 'enr_1',
+        instance_id: 'inst_1',
+        reply_content: 'Sounds interesting',
+        sender_email: 'jane@acme.com',
+        prospect_email: 'jane@acme.com',
+        first_name: 'Jane',
+        competitor_name: 'Outreach',
+        open_count: 4,
+        clicks: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * YOLO Approval Policy Unit Tests
+ *
+ * Tests for resolving the approval threshold and timing from yolo_mode config,
+ * the persisted approval records, cycles that block until a request is
+ * approved, rejected or expires, and the admin approve/reject handler. Uses a
+ * real SQLite database in a temp directory and stubbed workers.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Database } from '../src/utils/database.js';
+import { YoloManager } from '../src/utils/yolo-manager.js';
+
+// server.js imports the models, whose PostgreSQL connection refuses to load
+// without credentials. The approval handler only uses the SQLite database.
+process.env.POSTGRES_HOST ??= 'localhost';
+process.env.POSTGRES_DB ??= 'yolo_approval_test';
+process.env.POSTGRES_USER ??= 'yolo_approval_test';
+process.env.POSTGRES_PASSWORD ??= 'yolo_approval_test';
+
+const { SalesAutomationAPIServer } = await import('../src/server.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createApproval(database, overrides = {}) {
+  return database.createYoloApproval({
+    id: 'yolo_1_abc',
+    operation: 'YOLO Cycle',
+    details: { steps: ['discovery'] },
+    expectedLeads: 100,
+    estimatedCost: '8.00',
+    expiresAt: new Date(Date.now() + HOUR_MS),
+    ...overrides
+  });
+}
+
+function createRes() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    })
+  };
+  return res;
+}
+
+describe('YoloManager.resolveApprovalPolicy', () => {
+  it('should use defaults when safety settings are missing', () => {
+    expect(YoloManager.resolveApprovalPolicy({})).toEqual({
+      autoApproveMaxLeads: 10,
+      expiryHours: 24,
+      pollIntervalMs: 30000
+    });
+  });
+
+  it('should read the auto-approve threshold and timing from safety config', () => {
+    const policy = YoloManager.resolveApprovalPolicy({
+      safety: {
+        auto_approve_max_leads: 150,
+        approval_expiry_hours: 4,
+        approval_poll_seconds: 10
+      }
+    });
+
+    expect(policy).toEqual({
+      autoApproveMaxLeads: 150,
+      expiryHours: 4,
+      pollIntervalMs: 10000
+    });
+  });
+
+  it('should allow a zero threshold so every cycle needs approval', () => {
+    const policy = YoloManager.resolveApprovalPolicy({ safety: { auto_approve_max_leads: 0 } });
+    expect(policy.autoApproveMaxLeads).toBe(0);
+  });
+
+  it('should ignore invalid values', () => {
+    const policy = YoloManager.resolveApprovalPolicy({
+      safety: {
+        auto_approve_max_leads: 'lots',
+        approval_expiry_hours: -1,
+        approval_poll_seconds: 0
+      }
+    });
+
+    expect(policy).toEqual({
+      autoApproveMaxLeads: 10,
+      expiryHours: 24,
+      pollIntervalMs: 30000
+    });
+  });
+});
+
+describe('YOLO approvals', () => {
+  let tempDir;
+  let database;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'yolo-approvals-'));
+    database = new Database(join(tempDir, 'test.db'));
+    await database.initialize();
+  });
+
+  afterEach(() => {
+    database.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('database', () => {
+    it('should store a pending approval with its details', () => {
+      const approval = createApproval(database);
+
+      expect(approval).toMatchObject({
+        id: 'yolo_1_abc',
+        status: 'pending',
+        expected_leads: 100,
+        estimated_cost: 8,
+        details: { steps: ['discovery'] }
+      });
+    });
+
+    it('should record a decision only once', () => {
+      createApproval(database);
+
+      expect(database.decideYoloApproval('yolo_1_abc', 'approved', { decidedBy: 'ops', notes: 'Looks fine' })).toBe(true);
+      expect(database.decideYoloApproval('yolo_1_abc', 'rejected')).toBe(false);
+      expect(database.getYoloApproval('yolo_1_abc')).toMatchObject({
+        status: 'approved',
+        decided_by: 'ops',
+        decision_notes: 'Looks fine'
+      });
+    });
+
+    it('should expire stale requests and refuse to decide them', () => {
+      createApproval(database, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(database.decideYoloApproval('yolo_1_abc', 'approved')).toBe(false);
+      expect(database.expireYoloApprovals()).toBe(1);
+      expect(database.getYoloApproval('yolo_1_abc').status).toBe('expired');
+    });
+
+    it('should only list actionable requests as pending', () => {
+      createApproval(database);
+      createApproval(database, { id: 'yolo_2_old', expiresAt: new Date(Date.now() - 1000) });
+
+      const pending = database.listYoloApprovals();
+      const all = database.listYoloApprovals({ status: 'all' });
+
+      expect(pending.approvals.map(a => a.id)).toEqual(['yolo_1_abc']);
+      expect(pending.total).toBe(1);
+      expect(all.total).toBe(2);
+      expect(database.listYoloApprovals({ status: 'expired' }).approvals.map(a => a.id)).toEqual(['yolo_2_old']);
+    });
+  });
+
+  describe('YoloManager cycles', () => {
+    let workers;
+    let webhooks;
+    let manager;
+
+    const configure = (safety = {}) => {
+      manager.config = {
+        yolo_mode: {
+          discovery: { icp_profiles: ['psp_cfo'], leads_per_day: 50 },
+          safety: { auto_approve_max_leads: 10, approval_poll_seconds: 0.05, ...safety }
+        }
+      };
+    };
+
+    const activity = () => database.prepare('SELECT activity_type FROM yolo_activity ORDER BY id').all()
+      .map(row => row.activity_type);
+
+    beforeEach(() => {
+      workers = {
+        leadDiscovery: {
+          discoverByICP: jest.fn(async () => ({ success: true, companies: [{ domain: 'acme.com' }] }))
+        }
+      };
+      webhooks = { publish: jest.fn() };
+      manager = new YoloManager(workers, database, { webhooks });
+      configure();
+    });
+
+    it('should run small cycles without asking for approval', async () => {
+      configure({ auto_approve_max_leads: 100 });
+
+      const response = await manager.triggerCycle();
+
+      expect(response).toMatchObject({ success: true, result: { discovered: 1 } });
+      expect(database.listYoloApprovals({ status: 'all' }).total).toBe(0);
+    });
+
+    it('should block a large cycle until it is approved, then resume', async () => {
+      const response = await manager.triggerCycle();
+
+      expect(response).toMatchObject({ success: true, message: 'YOLO cycle is waiting for approval' });
+      expect(response.approval).toMatchObject({ status: 'pending', expected_leads: 50 });
+      expect(workers.leadDiscovery.discoverByICP).not.toHaveBeenCalled();
+
+      const busy = await manager.triggerCycle();
+      expect(busy).toMatchObject({ success: false, pendingApproval: response.approval.id });
+
+      const decision = await manager.approveRequest({ approval_id: response.approval.id, decided_by: 'ops' });
+      expect(decision).toMatchObject({ success: true, approval: { status: 'approved', decided_by: 'ops' } });
+
+      const result = await manager.currentCycle;
+
+      expect(result).toMatchObject({ discovered: 1, approval: { id: response.approval.id, status: 'approved' } });
+      expect(workers.leadDiscovery.discoverByICP).toHaveBeenCalledTimes(1);
+      expect(activity()).toEqual(['approval_requested', 'approval_approved', 'cycle_completed']);
+    });
+
+    it('should cancel a rejected cycle', async () => {
+      const { approval } = await manager.triggerCycle();
+
+      await manager.rejectRequest({ approval_id: approval.id, notes: 'Too many leads today' });
+      const result = await manager.currentCycle;
+
+      expect(result.errors).toEqual(['High-volume operation not approved (rejected)']);
+      expect(workers.leadDiscovery.discoverByICP).not.toHaveBeenCalled();
+      expect(webhooks.publish).toHaveBeenCalledWith('yolo.cycle_finished', expect.objectContaining({ status: 'cancelled' }));
+      expect(activity()).toEqual(['approval_requested', 'approval_rejected', 'cycle_cancelled']);
+    });
+
+    it('should cancel the cycle when nobody decides before expiry', async () => {
+      configure({ approval_expiry_hours: 0.2 / 3600 });
+
+      const { approval } = await manager.triggerCycle();
+      const result = await manager.currentCycle;
+
+      expect(result.approval).toEqual({ id: approval.id, status: 'expired' });
+      expect(workers.leadDiscovery.discoverByICP).not.toHaveBeenCalled();
+
+      const late = await manager.approveRequest({ approval_id: approval.id });
+      expect(late).toMatchObject({ success: false, error: 'Approval is already expired' });
+    });
+
+    it('should pick up a decision recorded by another process', async () => {
+      const { approval } = await manager.triggerCycle();
+
+      database.decideYoloApproval(approval.id, 'approved', { decidedBy: 'api' });
+      const result = await manager.currentCycle;
+
+      expect(result.approval.status).toBe('approved');
+      expect(workers.leadDiscovery.discoverByICP).toHaveBeenCalledTimes(1);
+    });
+
+    it('should list and validate approval requests', async () => {
+      createApproval(database);
+
+      expect(await manager.listApprovals()).toMatchObject({ success: true, total: 1 });
+      expect(await manager.approveRequest({})).toEqual({ success: false, error: 'approval_id is required' });
+      expect(await manager.approveRequest({ approval_id: 'yolo_missing' })).toEqual({
+        success: false,
+        error: 'Approval yolo_missing not found'
+      });
+    });
+  });
+
+  describe('POST /api/admin/yolo/approve|reject/:approvalId', () => {
+    const decide = (decision, approvalId, notes) => {
+      const res = createRes();
+      SalesAutomationAPIServer.prototype.decideYoloApproval.call(
+        { db: database },
+        { validatedParams: { approvalId }, validatedBody: { notes }, apiKey: { prefix: 'sk_live_ab' } },
+        res,
+        decision
+      );
+      return res;
+    };
+
+    it('should approve a pending request', () => {
+      createApproval(database);
+
+      const res = decide('approved', 'yolo_1_abc', 'Go ahead');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toMatchObject({ status: 'approved', decided_by: 'sk_live_ab', decision_notes: 'Go ahead' });
+    });
+
+    it('should refuse to change a decided request', () => {
+      createApproval(database);
+      decide('rejected', 'yolo_1_abc');
+
+      const res = decide('approved', 'yolo_1_abc');
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data.status).toBe('rejected');
+    });
+
+    it('should respond 409 for an expired request', () => {
+      createApproval(database, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = decide('approved', 'yolo_1_abc');
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.data.status).toBe('expired');
+    });
+
+    it('should respond 404 for an unknown request', () => {
+      const res = decide('rejected', 'yolo_missing');
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});